@@ -0,0 +1,25 @@
+-- Assisted vs self-created shots, and where assists were finished.
+-- game_events.assisted: on a shot, true when a teammate's pass set it up
+-- (the assist on a make), false when self-created, null when not tagged.
+-- Assist events reuse game_events.zone_id for the zone of the teammate's
+-- shot; it stays null when no zone was picked.
+
+begin;
+
+alter table public.game_events
+  add column if not exists assisted boolean;
+
+do $$
+begin
+  if not exists (
+    select 1
+    from pg_constraint
+    where conname = 'game_events_assisted_check'
+  ) then
+    alter table public.game_events
+      add constraint game_events_assisted_check
+      check (assisted is null or type = 'shot');
+  end if;
+end $$;
+
+commit;
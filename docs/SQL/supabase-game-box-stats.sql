@@ -0,0 +1,41 @@
+-- Box-score stats beyond shooting.
+-- game_sessions.foul_limit: personal fouls before fouling out (app default 5).
+-- game_events.rebound_type: 'offensive' | 'defensive' on rebound events.
+-- New event types ('turnover', 'foul', 'block') need no schema change.
+-- Legacy rebounds keep a null rebound_type and count toward the total only.
+
+begin;
+
+alter table public.game_sessions
+  add column if not exists foul_limit smallint;
+
+alter table public.game_events
+  add column if not exists rebound_type text;
+
+do $$
+begin
+  if not exists (
+    select 1
+    from pg_constraint
+    where conname = 'game_sessions_foul_limit_check'
+  ) then
+    alter table public.game_sessions
+      add constraint game_sessions_foul_limit_check
+      check (foul_limit is null or foul_limit between 1 and 10);
+  end if;
+
+  if not exists (
+    select 1
+    from pg_constraint
+    where conname = 'game_events_rebound_type_check'
+  ) then
+    alter table public.game_events
+      add constraint game_events_rebound_type_check
+      check (
+        rebound_type is null
+        or rebound_type = any (array['offensive'::text, 'defensive'::text])
+      );
+  end if;
+end $$;
+
+commit;
@@ -0,0 +1,28 @@
+-- Court standard per game, for three-point calls and eFG%.
+-- game_sessions.court_spec: 'high_school' | 'college' | 'nba' | 'fiba'.
+-- New games default it from the level (K-12 and youth AAU: high_school,
+-- college and adult AAU: college). Older games keep a null, which the app
+-- reads as college: the line their zones were drawn for.
+
+begin;
+
+alter table public.game_sessions
+  add column if not exists court_spec text;
+
+do $$
+begin
+  if not exists (
+    select 1
+    from pg_constraint
+    where conname = 'game_sessions_court_spec_check'
+  ) then
+    alter table public.game_sessions
+      add constraint game_sessions_court_spec_check
+      check (
+        court_spec is null
+        or court_spec = any (array['high_school'::text, 'college'::text, 'nba'::text, 'fiba'::text])
+      );
+  end if;
+end $$;
+
+commit;
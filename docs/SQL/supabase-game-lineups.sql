@@ -0,0 +1,61 @@
+-- Lineups on shots.
+-- game_sessions.team_roster: [{ id, number, name }] of the athlete's
+-- teammates, entered when the game is created (optional, empty by default).
+-- game_sessions.current_lineup: team_roster ids on the floor right now while
+-- logging (at most four teammates; the athlete makes five).
+-- game_events.lineup_ids: the current_lineup when a shot was logged. Empty
+-- when nobody was tagged; only shots carry it.
+-- Run after supabase-game-opponent-roster.sql.
+
+begin;
+
+alter table public.game_sessions
+  add column if not exists team_roster jsonb not null default '[]'::jsonb;
+
+alter table public.game_sessions
+  add column if not exists current_lineup jsonb not null default '[]'::jsonb;
+
+alter table public.game_events
+  add column if not exists lineup_ids jsonb not null default '[]'::jsonb;
+
+do $$
+begin
+  if not exists (
+    select 1
+    from pg_constraint
+    where conname = 'game_sessions_team_roster_check'
+  ) then
+    alter table public.game_sessions
+      add constraint game_sessions_team_roster_check
+      check (jsonb_typeof(team_roster) = 'array');
+  end if;
+
+  if not exists (
+    select 1
+    from pg_constraint
+    where conname = 'game_sessions_current_lineup_check'
+  ) then
+    alter table public.game_sessions
+      add constraint game_sessions_current_lineup_check
+      check (
+        jsonb_typeof(current_lineup) = 'array'
+        and jsonb_array_length(current_lineup) <= 4
+      );
+  end if;
+
+  if not exists (
+    select 1
+    from pg_constraint
+    where conname = 'game_events_lineup_ids_check'
+  ) then
+    alter table public.game_events
+      add constraint game_events_lineup_ids_check
+      check (
+        jsonb_typeof(lineup_ids) = 'array'
+        and jsonb_array_length(lineup_ids) <= 4
+        and (type = 'shot' or jsonb_array_length(lineup_ids) = 0)
+      );
+  end if;
+end $$;
+
+commit;
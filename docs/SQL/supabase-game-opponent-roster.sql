@@ -0,0 +1,38 @@
+-- Opponent rosters and defender tags.
+-- game_sessions.opponent_roster: [{ id, number, name }] entered when the
+-- game is created (optional, empty by default).
+-- game_events.defender_id: the roster id of the opponent guarding a shot.
+-- Null when nobody was tagged; only shots carry it.
+
+begin;
+
+alter table public.game_sessions
+  add column if not exists opponent_roster jsonb not null default '[]'::jsonb;
+
+alter table public.game_events
+  add column if not exists defender_id text;
+
+do $$
+begin
+  if not exists (
+    select 1
+    from pg_constraint
+    where conname = 'game_sessions_opponent_roster_check'
+  ) then
+    alter table public.game_sessions
+      add constraint game_sessions_opponent_roster_check
+      check (jsonb_typeof(opponent_roster) = 'array');
+  end if;
+
+  if not exists (
+    select 1
+    from pg_constraint
+    where conname = 'game_events_defender_id_check'
+  ) then
+    alter table public.game_events
+      add constraint game_events_defender_id_check
+      check (defender_id is null or type = 'shot');
+  end if;
+end $$;
+
+commit;
@@ -0,0 +1,67 @@
+-- Period model for games (quarters / halves / custom count + overtime).
+-- game_sessions: format, regulation period count, and the live period.
+-- game_events: the period each event happened in, plus the optional game
+-- clock (seconds left in the period).
+-- Legacy rows keep nulls; the app treats them as four quarters.
+
+begin;
+
+alter table public.game_sessions
+  add column if not exists period_format text,
+  add column if not exists period_count smallint,
+  add column if not exists current_period smallint;
+
+alter table public.game_events
+  add column if not exists period smallint,
+  add column if not exists game_clock_seconds integer;
+
+do $$
+begin
+  if not exists (
+    select 1
+    from pg_constraint
+    where conname = 'game_sessions_period_format_check'
+  ) then
+    alter table public.game_sessions
+      add constraint game_sessions_period_format_check
+      check (
+        period_format is null
+        or period_format = any (array['quarters'::text, 'halves'::text, 'custom'::text])
+      );
+  end if;
+
+  if not exists (
+    select 1
+    from pg_constraint
+    where conname = 'game_sessions_period_count_check'
+  ) then
+    alter table public.game_sessions
+      add constraint game_sessions_period_count_check
+      check (period_count is null or period_count between 1 and 8);
+  end if;
+
+  if not exists (
+    select 1
+    from pg_constraint
+    where conname = 'game_events_period_check'
+  ) then
+    alter table public.game_events
+      add constraint game_events_period_check
+      check (period is null or period >= 1);
+  end if;
+
+  if not exists (
+    select 1
+    from pg_constraint
+    where conname = 'game_events_game_clock_seconds_check'
+  ) then
+    alter table public.game_events
+      add constraint game_events_game_clock_seconds_check
+      check (game_clock_seconds is null or game_clock_seconds >= 0);
+  end if;
+end $$;
+
+create index if not exists game_events_game_period_idx
+  on public.game_events(game_id, period);
+
+commit;
@@ -0,0 +1,18 @@
+-- Shooting fouls and the free throws they lead to.
+-- game_events.fouled: the shot drew a shooting foul (made = and-one).
+-- game_events.parent_event_id: on free throws, the shot that drew the foul.
+-- Standalone free throws (technicals, bonus, older rows) keep a null parent.
+-- No foreign key: rows sync in batches, so a free throw can reach the
+-- server before its shot.
+
+begin;
+
+alter table public.game_events
+  add column if not exists fouled boolean,
+  add column if not exists parent_event_id uuid;
+
+create index if not exists game_events_parent_event_id_idx
+  on public.game_events(parent_event_id)
+  where parent_event_id is not null;
+
+commit;
@@ -0,0 +1,28 @@
+-- Exact shot locations on the half-court image.
+-- game_events.shot_x / shot_y: fractions (0-1) of /court-half.svg, x from
+-- the baseline (left edge), y from the top edge. Set on shots only.
+-- Older shots keep nulls and are drawn at their zone anchor.
+
+begin;
+
+alter table public.game_events
+  add column if not exists shot_x real,
+  add column if not exists shot_y real;
+
+do $$
+begin
+  if not exists (
+    select 1
+    from pg_constraint
+    where conname = 'game_events_shot_location_check'
+  ) then
+    alter table public.game_events
+      add constraint game_events_shot_location_check
+      check (
+        (shot_x is null and shot_y is null)
+        or (shot_x between 0 and 1 and shot_y between 0 and 1)
+      );
+  end if;
+end $$;
+
+commit;
@@ -0,0 +1,34 @@
+-- Situation tags on game shots.
+-- game_events.situation_tags: keys from src/constants/situationTags.js,
+-- at most one per group: 'transition' | 'half_court', 'early_clock' |
+-- 'late_clock', and 'ato' (after timeout). Empty for untagged shots and
+-- every other event type.
+
+begin;
+
+alter table public.game_events
+  add column if not exists situation_tags text[] not null default '{}'::text[];
+
+do $$
+begin
+  if not exists (
+    select 1
+    from pg_constraint
+    where conname = 'game_events_situation_tags_check'
+  ) then
+    alter table public.game_events
+      add constraint game_events_situation_tags_check
+      check (
+        situation_tags <@ array[
+          'transition'::text, 'half_court'::text,
+          'early_clock'::text, 'late_clock'::text,
+          'ato'::text
+        ]
+      );
+  end if;
+end $$;
+
+create index if not exists game_events_situation_tags_idx
+  on public.game_events using gin (situation_tags);
+
+commit;
@@ -0,0 +1,120 @@
+-- Streak challenges for practice ("make N in a row").
+-- practice_challenges: one row per finished challenge. The shots themselves
+-- are ordinary single-shot practice_entries (see supabase-practice-shots.sql);
+-- this row keeps the target and the result:
+--   zone_id / shot_type: where the challenge was shot (no shot type for free throws)
+--   target_streak: makes in a row needed (2-100, see src/constants/challenges.js)
+--   best_streak: longest run of makes during the challenge
+--   attempts / makes: totals over the challenge
+--   completed: true once best_streak reached target_streak
+-- Run after supabase-practice-athlete-link.sql and supabase-sync-watermarks.sql.
+
+begin;
+
+create table if not exists public.practice_challenges (
+  id uuid primary key,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  athlete_id uuid,
+  session_id uuid not null,
+  zone_id text not null,
+  shot_type text,
+  target_streak integer not null,
+  best_streak integer not null default 0,
+  attempts integer not null default 0,
+  makes integer not null default 0,
+  completed boolean not null default false,
+  started_at timestamptz not null default now(),
+  ended_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  constraint practice_challenges_target_check check (target_streak between 2 and 100),
+  constraint practice_challenges_counts_check check (
+    attempts >= 0
+    and makes between 0 and attempts
+    and best_streak between 0 and makes
+  ),
+  constraint practice_challenges_completed_check check (
+    not completed or best_streak >= target_streak
+  )
+);
+
+do $$
+begin
+  if not exists (
+    select 1
+    from pg_constraint
+    where conname = 'practice_challenges_athlete_user_fkey'
+  ) then
+    alter table public.practice_challenges
+      add constraint practice_challenges_athlete_user_fkey
+      foreign key (athlete_id, user_id)
+      references public.athlete_profiles(id, user_id)
+      on delete restrict;
+  end if;
+
+  -- Challenges go with their session.
+  if not exists (
+    select 1
+    from pg_constraint
+    where conname = 'practice_challenges_session_id_fkey'
+  ) then
+    alter table public.practice_challenges
+      add constraint practice_challenges_session_id_fkey
+      foreign key (session_id)
+      references public.practice_sessions(id)
+      on delete cascade;
+  end if;
+end $$;
+
+create index if not exists practice_challenges_user_athlete_idx
+  on public.practice_challenges(user_id, athlete_id);
+
+create index if not exists practice_challenges_user_updated_idx
+  on public.practice_challenges(user_id, updated_at);
+
+create index if not exists practice_challenges_session_idx
+  on public.practice_challenges(session_id);
+
+-- Same sync triggers as the other synced tables.
+drop trigger if exists trg_practice_challenges_sync_updated_at on public.practice_challenges;
+create trigger trg_practice_challenges_sync_updated_at
+  before insert or update on public.practice_challenges
+  for each row execute function public.set_sync_updated_at();
+
+drop trigger if exists trg_practice_challenges_sync_tombstone on public.practice_challenges;
+create trigger trg_practice_challenges_sync_tombstone
+  after delete on public.practice_challenges
+  for each row execute function public.record_sync_tombstone();
+
+alter table public.practice_challenges enable row level security;
+
+drop policy if exists "practice_challenges_select_own" on public.practice_challenges;
+drop policy if exists "practice_challenges_insert_own" on public.practice_challenges;
+drop policy if exists "practice_challenges_update_own" on public.practice_challenges;
+drop policy if exists "practice_challenges_delete_own" on public.practice_challenges;
+
+create policy "practice_challenges_select_own"
+  on public.practice_challenges
+  for select
+  to authenticated
+  using (auth.uid() = user_id);
+
+create policy "practice_challenges_insert_own"
+  on public.practice_challenges
+  for insert
+  to authenticated
+  with check (auth.uid() = user_id);
+
+create policy "practice_challenges_update_own"
+  on public.practice_challenges
+  for update
+  to authenticated
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+create policy "practice_challenges_delete_own"
+  on public.practice_challenges
+  for delete
+  to authenticated
+  using (auth.uid() = user_id);
+
+commit;
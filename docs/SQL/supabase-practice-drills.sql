@@ -0,0 +1,131 @@
+-- Drill / workout templates for practice.
+-- practice_drills: a named, ordered list of steps per athlete.
+--   steps: [{ zone_id, shot_type, target_reps, make_goal }]
+--   (see src/constants/drills.js; make_goal is optional).
+-- practice_markers.drill_id: set on the marker that starts a guided run.
+-- practice_entries.drill_run_id / drill_step: the run (marker) an entry was
+-- logged in and the index of the step it covers.
+-- Run after supabase-practice-athlete-link.sql and supabase-sync-watermarks.sql.
+
+begin;
+
+create table if not exists public.practice_drills (
+  id uuid primary key,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  athlete_id uuid,
+  name text not null,
+  steps jsonb not null default '[]'::jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  constraint practice_drills_name_len check (char_length(name) between 1 and 40),
+  constraint practice_drills_steps_check check (
+    jsonb_typeof(steps) = 'array' and jsonb_array_length(steps) between 1 and 20
+  )
+);
+
+alter table public.practice_markers
+  add column if not exists drill_id uuid;
+
+alter table public.practice_entries
+  add column if not exists drill_run_id uuid,
+  add column if not exists drill_step integer;
+
+do $$
+begin
+  if not exists (
+    select 1
+    from pg_constraint
+    where conname = 'practice_drills_athlete_user_fkey'
+  ) then
+    alter table public.practice_drills
+      add constraint practice_drills_athlete_user_fkey
+      foreign key (athlete_id, user_id)
+      references public.athlete_profiles(id, user_id)
+      on delete restrict;
+  end if;
+
+  -- Deleting a template keeps its past runs.
+  if not exists (
+    select 1
+    from pg_constraint
+    where conname = 'practice_markers_drill_id_fkey'
+  ) then
+    alter table public.practice_markers
+      add constraint practice_markers_drill_id_fkey
+      foreign key (drill_id)
+      references public.practice_drills(id)
+      on delete set null;
+  end if;
+
+  if not exists (
+    select 1
+    from pg_constraint
+    where conname = 'practice_entries_drill_step_check'
+  ) then
+    alter table public.practice_entries
+      add constraint practice_entries_drill_step_check
+      check (
+        (drill_run_id is null and drill_step is null)
+        or (drill_run_id is not null and drill_step >= 0)
+      );
+  end if;
+end $$;
+
+create index if not exists practice_drills_user_athlete_idx
+  on public.practice_drills(user_id, athlete_id);
+
+create index if not exists practice_drills_user_updated_idx
+  on public.practice_drills(user_id, updated_at);
+
+create index if not exists practice_markers_drill_idx
+  on public.practice_markers(drill_id)
+  where drill_id is not null;
+
+create index if not exists practice_entries_drill_run_idx
+  on public.practice_entries(drill_run_id)
+  where drill_run_id is not null;
+
+-- Same sync triggers as the other synced tables.
+drop trigger if exists trg_practice_drills_sync_updated_at on public.practice_drills;
+create trigger trg_practice_drills_sync_updated_at
+  before insert or update on public.practice_drills
+  for each row execute function public.set_sync_updated_at();
+
+drop trigger if exists trg_practice_drills_sync_tombstone on public.practice_drills;
+create trigger trg_practice_drills_sync_tombstone
+  after delete on public.practice_drills
+  for each row execute function public.record_sync_tombstone();
+
+alter table public.practice_drills enable row level security;
+
+drop policy if exists "practice_drills_select_own" on public.practice_drills;
+drop policy if exists "practice_drills_insert_own" on public.practice_drills;
+drop policy if exists "practice_drills_update_own" on public.practice_drills;
+drop policy if exists "practice_drills_delete_own" on public.practice_drills;
+
+create policy "practice_drills_select_own"
+  on public.practice_drills
+  for select
+  to authenticated
+  using (auth.uid() = user_id);
+
+create policy "practice_drills_insert_own"
+  on public.practice_drills
+  for insert
+  to authenticated
+  with check (auth.uid() = user_id);
+
+create policy "practice_drills_update_own"
+  on public.practice_drills
+  for update
+  to authenticated
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+create policy "practice_drills_delete_own"
+  on public.practice_drills
+  for delete
+  to authenticated
+  using (auth.uid() = user_id);
+
+commit;
@@ -0,0 +1,47 @@
+-- Per-shot practice logging.
+-- practice_entries.made: set on a single shot tapped in from the court view
+-- (attempts = 1, makes = 0 or 1); null on batch rows logged as attempts/makes.
+-- practice_entries.shot_x / shot_y: where the shot was tapped, as fractions
+-- of the half-court image (same as game_events.shot_x / shot_y).
+
+begin;
+
+alter table public.practice_entries
+  add column if not exists made boolean,
+  add column if not exists shot_x real,
+  add column if not exists shot_y real;
+
+do $$
+begin
+  if not exists (
+    select 1
+    from pg_constraint
+    where conname = 'practice_entries_made_check'
+  ) then
+    alter table public.practice_entries
+      add constraint practice_entries_made_check
+      check (
+        made is null
+        or (attempts = 1 and makes = made::int)
+      );
+  end if;
+
+  if not exists (
+    select 1
+    from pg_constraint
+    where conname = 'practice_entries_shot_point_check'
+  ) then
+    alter table public.practice_entries
+      add constraint practice_entries_shot_point_check
+      check (
+        (shot_x is null and shot_y is null)
+        or (
+          made is not null
+          and shot_x between 0 and 1
+          and shot_y between 0 and 1
+        )
+      );
+  end if;
+end $$;
+
+commit;
@@ -0,0 +1,65 @@
+-- Practice work/rest interval timer.
+-- practice_sessions.timer_work_sec / timer_rest_sec / timer_started_at: the
+-- interval timer running on a session (all null when none is running).
+-- practice_sessions.timer_index_offset: the interval the running timer counts
+-- from, past the session's earlier intervals (null when none is running).
+-- practice_entries.interval_index / interval_phase: the interval an entry
+-- fell in while the timer ran (0-based per session; 'work' | 'rest').
+-- See src/constants/practiceTimer.js.
+
+begin;
+
+alter table public.practice_sessions
+  add column if not exists timer_work_sec integer,
+  add column if not exists timer_rest_sec integer,
+  add column if not exists timer_started_at timestamptz,
+  add column if not exists timer_index_offset integer;
+
+alter table public.practice_entries
+  add column if not exists interval_index integer,
+  add column if not exists interval_phase text;
+
+do $$
+begin
+  if not exists (
+    select 1
+    from pg_constraint
+    where conname = 'practice_sessions_timer_check'
+  ) then
+    alter table public.practice_sessions
+      add constraint practice_sessions_timer_check
+      check (
+        (timer_work_sec is null and timer_rest_sec is null and timer_started_at is null)
+        or (
+          timer_work_sec between 5 and 600
+          and timer_rest_sec between 5 and 600
+          and timer_started_at is not null
+        )
+      );
+  end if;
+
+  if not exists (
+    select 1
+    from pg_constraint
+    where conname = 'practice_sessions_timer_index_offset_check'
+  ) then
+    alter table public.practice_sessions
+      add constraint practice_sessions_timer_index_offset_check
+      check (timer_index_offset is null or timer_index_offset >= 0);
+  end if;
+
+  if not exists (
+    select 1
+    from pg_constraint
+    where conname = 'practice_entries_interval_check'
+  ) then
+    alter table public.practice_entries
+      add constraint practice_entries_interval_check
+      check (
+        (interval_index is null and interval_phase is null)
+        or (interval_index >= 0 and interval_phase in ('work', 'rest'))
+      );
+  end if;
+end $$;
+
+commit;
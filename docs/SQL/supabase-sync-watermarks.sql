@@ -0,0 +1,98 @@
+-- Incremental pull support for the offline sync engine (src/lib/sync.js).
+-- 1) updated_at on every synced table, maintained by trigger
+-- 2) sync_tombstones: server-side delete feed, filled by trigger
+-- Run after the game/practice/goals/athlete tables exist.
+
+begin;
+
+-- Shared updated_at trigger function. Runs on insert too, so a row the
+-- client sends with an old updated_at still lands after every watermark.
+create or replace function public.set_sync_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at = now();
+  return new;
+end;
+$$;
+
+-- Tombstone feed read by clients as a delta (deleted_at > watermark).
+create table if not exists public.sync_tombstones (
+  id bigint generated always as identity primary key,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  table_name text not null,
+  row_id uuid not null,
+  deleted_at timestamptz not null default now()
+);
+
+create index if not exists sync_tombstones_user_deleted_idx
+  on public.sync_tombstones(user_id, deleted_at);
+
+create or replace function public.record_sync_tombstone()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into public.sync_tombstones (user_id, table_name, row_id)
+  values (old.user_id, tg_table_name, old.id);
+  return old;
+end;
+$$;
+
+do $$
+declare
+  t text;
+begin
+  foreach t in array array[
+    'game_sessions',
+    'game_events',
+    'practice_sessions',
+    'practice_entries',
+    'practice_markers',
+    'goal_sets',
+    'goals',
+    'athlete_profiles'
+  ]
+  loop
+    execute format(
+      'alter table public.%I add column if not exists updated_at timestamptz not null default now()',
+      t
+    );
+
+    execute format(
+      'create index if not exists %I on public.%I(user_id, updated_at)',
+      t || '_user_updated_idx',
+      t
+    );
+
+    execute format('drop trigger if exists %I on public.%I', 'trg_' || t || '_sync_updated_at', t);
+    execute format(
+      'create trigger %I before insert or update on public.%I for each row execute function public.set_sync_updated_at()',
+      'trg_' || t || '_sync_updated_at',
+      t
+    );
+
+    execute format('drop trigger if exists %I on public.%I', 'trg_' || t || '_sync_tombstone', t);
+    execute format(
+      'create trigger %I after delete on public.%I for each row execute function public.record_sync_tombstone()',
+      'trg_' || t || '_sync_tombstone',
+      t
+    );
+  end loop;
+end $$;
+
+alter table public.sync_tombstones enable row level security;
+
+drop policy if exists "sync_tombstones_select_own" on public.sync_tombstones;
+
+-- Read-only for clients; rows are written by the delete trigger.
+create policy "sync_tombstones_select_own"
+  on public.sync_tombstones
+  for select
+  to authenticated
+  using (auth.uid() = user_id);
+
+commit;
@@ -18,6 +18,7 @@ import GoalsManager from "./screens/GoalsManager"
 import Account from "./screens/Account"
 
 import BottomNav from "./components/BottomNav"
+import SyncStatusIndicator from "./components/SyncStatusIndicator"
 
 import { initAutoSync, bootstrapAllData } from "./lib/sync"
 import { supabase } from "./lib/supabase"
@@ -147,6 +148,12 @@ export default function App() {
     setActiveTab(key)
   }
 
+  // Sync issues inbox → open the screen where a rejected row can be fixed
+  const openSyncTarget = (target) => {
+    if (target?.tab === "game") navGame(target.screen, target.params)
+    else if (target?.tab === "practice") navPractice(target.screen, target.params)
+  }
+
   const handleSignOut = async () => {
     await supabase.auth.signOut()
     localStorage.removeItem(LAST_ROUTE_KEY)
@@ -175,6 +182,11 @@ export default function App() {
   // 4) Normal app
   return (
     <div className="w-full min-h-dvh pb-bottomnav">
+      {/* sync indicator (tap → Account) */}
+      <div className="flex justify-end px-4 pt-2">
+        <SyncStatusIndicator onClick={() => setActiveTab("account")} />
+      </div>
+
       {/* tab content */}
       {activeTab === "dashboard" && <Dashboard />}
 
@@ -207,7 +219,7 @@ export default function App() {
       {activeTab === "progress" && <Performance />}
       {activeTab === "heatmap" && <Heatmap />}
       {activeTab === "goals" && <GoalsManager />}
-      {activeTab === "account" && <Account onSignOut={handleSignOut} />}
+      {activeTab === "account" && <Account onSignOut={handleSignOut} onOpenSyncTarget={openSyncTarget} />}
 
       {/* bottom nav */}
       <BottomNav activeTab={activeTab} onChange={handleNavChange} />
@@ -0,0 +1,23 @@
+// Toggle pills for an optional filter (contested, situation, ...): tapping a
+// pill selects it, tapping the active one goes back to "all".
+// options: [{ id, label, title? }]
+export default function FilterPills({ options, value, onChange, label }) {
+  return (
+    <div className="time-pill-group" role={label ? "group" : undefined} aria-label={label}>
+      {options.map((opt) => {
+        const active = opt.id === value
+        return (
+          <button
+            key={opt.id}
+            type="button"
+            title={opt.title || undefined}
+            onClick={() => onChange(active ? "all" : opt.id)}
+            className={"time-pill" + (active ? " time-pill--active" : "")}
+          >
+            {opt.label}
+          </button>
+        )
+      })}
+    </div>
+  )
+}
@@ -0,0 +1,108 @@
+import { useState } from "react"
+import {
+  MAX_SITUATION_TAG_LABEL,
+  addSituationTag,
+  removeSituationTag,
+} from "../constants/situationTags"
+import {
+  loadSituationTagGroups,
+  resetSituationTagGroups,
+  saveSituationTagGroups,
+} from "../lib/situation-tag-settings"
+
+// Edit the situation tags offered when logging game shots and as filters on
+// Performance and Heatmap. Each change is saved right away.
+export default function SituationTagSettings() {
+  const [groups, setGroups] = useState(() => loadSituationTagGroups())
+  const [drafts, setDrafts] = useState({})
+  const [error, setError] = useState("")
+
+  function addTag(groupKey) {
+    const label = String(drafts[groupKey] || "").trim()
+    if (!label) return
+    const next = addSituationTag(groups, groupKey, label)
+    if (next === groups) {
+      setError(`"${label}" is already a tag.`)
+      return
+    }
+    setGroups(saveSituationTagGroups(next))
+    setDrafts((prev) => ({ ...prev, [groupKey]: "" }))
+    setError("")
+  }
+
+  function removeTag(key) {
+    setGroups(saveSituationTagGroups(removeSituationTag(groups, key)))
+    setError("")
+  }
+
+  function reset() {
+    setGroups(resetSituationTagGroups())
+    setDrafts({})
+    setError("")
+  }
+
+  return (
+    <section className="card space-y-3" aria-label="Situation tags">
+      <div className="flex items-center justify-between">
+        <h2 className="text-sm font-semibold text-slate-900">Situation Tags</h2>
+        <button
+          type="button"
+          onClick={reset}
+          className="h-8 rounded-lg border border-slate-300 px-2.5 text-xs font-semibold text-slate-700"
+        >
+          Reset to defaults
+        </button>
+      </div>
+      <div className="text-xs text-slate-500">
+        Tags you can put on game shots. A shot takes one tag per group.
+      </div>
+
+      {groups.map((group) => (
+        <div key={group.key} className="space-y-1.5">
+          <div className="text-xs font-semibold uppercase tracking-wide text-slate-500">{group.label}</div>
+          <div className="flex flex-wrap gap-2">
+            {group.tags.length === 0 && <span className="text-xs text-slate-400">No tags</span>}
+            {group.tags.map((tag) => (
+              <span
+                key={tag.key}
+                className="inline-flex items-center gap-1 rounded-full border border-slate-300 bg-slate-50 pl-2.5 pr-1 text-xs text-slate-800"
+              >
+                {tag.label}
+                <button
+                  type="button"
+                  onClick={() => removeTag(tag.key)}
+                  aria-label={`Remove ${tag.label}`}
+                  className="h-6 w-6 rounded-full text-slate-500"
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+          </div>
+          <div className="flex items-center gap-2">
+            <input
+              type="text"
+              value={drafts[group.key] || ""}
+              maxLength={MAX_SITUATION_TAG_LABEL}
+              onChange={(e) => setDrafts((prev) => ({ ...prev, [group.key]: e.target.value }))}
+              aria-label={`New ${group.label} tag`}
+              placeholder="New tag"
+              className="h-9 min-w-0 flex-1 rounded-lg border border-slate-300 bg-white px-3 text-sm text-slate-900"
+            />
+            <button
+              type="button"
+              onClick={() => addTag(group.key)}
+              disabled={!String(drafts[group.key] || "").trim()}
+              aria-label={`Add ${group.label} tag`}
+              className="h-9 rounded-lg border border-sky-300 bg-sky-50 px-3 text-sm font-semibold text-sky-700 disabled:opacity-50"
+            >
+              Add
+            </button>
+          </div>
+        </div>
+      ))}
+
+      {error && <div className="text-xs text-red-600" role="alert">{error}</div>}
+    </section>
+  )
+}
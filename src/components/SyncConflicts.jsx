@@ -0,0 +1,149 @@
+import { useCallback, useEffect, useState } from "react"
+import {
+  conflictFields,
+  listSyncConflicts,
+  resolveSyncConflict,
+} from "../lib/sync-conflicts"
+import { useSyncStatus } from "../lib/sync-hooks"
+
+function formatValue(field, value) {
+  if (value == null || value === "") return "—"
+  if (typeof value === "boolean") return value ? "Yes" : "No"
+  if (Array.isArray(value)) return value.length ? value.join(", ") : "—"
+  if (field === "ts") return new Date(value).toLocaleString()
+  return String(value)
+}
+
+function conflictTitle(row) {
+  if (row._table === "game_sessions") {
+    return `Game vs ${row.opponent_name || row._conflict?.remote?.opponent_name || "opponent"}`
+  }
+  return `Shot event${row.zone_id ? ` · ${row.zone_id}` : ""}`
+}
+
+export default function SyncConflicts({ onCountChange }) {
+  const [rows, setRows] = useState([])
+  const [choices, setChoices] = useState({})
+  const [error, setError] = useState("")
+
+  const { lastSyncAt, conflictTotal } = useSyncStatus()
+
+  const reload = useCallback(async () => {
+    try {
+      const next = await listSyncConflicts()
+      setRows(next)
+      onCountChange?.(next.length)
+    } catch (err) {
+      setError(err?.message || "Unable to load conflicts.")
+    }
+  }, [onCountChange])
+
+  // Reload after each sync and whenever the conflict count changes
+  useEffect(() => {
+    void reload()
+  }, [reload, lastSyncAt, conflictTotal])
+
+  function pick(rowId, field, side) {
+    setChoices((prev) => ({ ...prev, [rowId]: { ...(prev[rowId] || {}), [field]: side } }))
+  }
+
+  async function resolve(row, choice) {
+    setError("")
+    try {
+      await resolveSyncConflict(row, choice)
+    } catch (err) {
+      setError(err?.message || "Unable to resolve conflict.")
+    }
+    await reload()
+  }
+
+  if (!rows.length) return null
+
+  return (
+    <div className="space-y-3">
+      <div>
+        <h2 className="text-sm font-semibold text-slate-900">Edited on two devices</h2>
+        <div className="text-xs text-slate-500">
+          Pick which version to keep. Changes that don't clash were merged automatically.
+        </div>
+      </div>
+
+      {error && <div className="text-xs text-red-600">{error}</div>}
+
+      {rows.map((row) => {
+        const fields = conflictFields(row)
+        const selected = choices[row.id] || {}
+        const title = conflictTitle(row)
+        return (
+          <section key={row.id} className="card space-y-2">
+            <div className="text-sm font-semibold text-slate-900">{title}</div>
+
+            {fields.map(({ field, label, mine, theirs }) => {
+              const side = selected[field] || "mine"
+              return (
+                <div key={field} className="border-t border-slate-200 pt-2">
+                  <div className="text-[11px] font-semibold uppercase tracking-wide text-slate-500">
+                    {label}
+                  </div>
+                  <div className="mt-1 grid grid-cols-2 gap-2">
+                    <button
+                      type="button"
+                      onClick={() => pick(row.id, field, "mine")}
+                      aria-pressed={side === "mine"}
+                      className={
+                        "h-9 rounded-lg border px-2 text-xs font-semibold " +
+                        (side === "mine" ? "border-sky-400 bg-sky-50 text-sky-800" : "border-slate-300 text-slate-700")
+                      }
+                    >
+                      This device: {formatValue(field, mine)}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => pick(row.id, field, "theirs")}
+                      aria-pressed={side === "theirs"}
+                      className={
+                        "h-9 rounded-lg border px-2 text-xs font-semibold " +
+                        (side === "theirs" ? "border-sky-400 bg-sky-50 text-sky-800" : "border-slate-300 text-slate-700")
+                      }
+                    >
+                      Other device: {formatValue(field, theirs)}
+                    </button>
+                  </div>
+                </div>
+              )
+            })}
+
+            <div className="flex flex-wrap items-center justify-end gap-2 pt-1">
+              <button
+                type="button"
+                onClick={() => resolve(row, "theirs")}
+                className="h-9 rounded-lg border border-slate-300 px-3 text-sm font-medium text-slate-700"
+                aria-label={`Keep theirs for ${title}`}
+              >
+                Keep theirs
+              </button>
+              <button
+                type="button"
+                onClick={() => resolve(row, "mine")}
+                className="h-9 rounded-lg border border-slate-300 px-3 text-sm font-medium text-slate-700"
+                aria-label={`Keep mine for ${title}`}
+              >
+                Keep mine
+              </button>
+              {fields.length > 1 && (
+                <button
+                  type="button"
+                  onClick={() => resolve(row, selected)}
+                  className="btn btn-blue h-9 rounded-lg px-3 text-sm font-semibold"
+                  aria-label={`Save selection for ${title}`}
+                >
+                  Save selection
+                </button>
+              )}
+            </div>
+          </section>
+        )
+      })}
+    </div>
+  )
+}
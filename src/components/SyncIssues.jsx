@@ -0,0 +1,149 @@
+import { useCallback, useEffect, useState } from "react"
+import {
+  discardSyncFailure,
+  groupSyncFailures,
+  listSyncFailures,
+  retryAllSyncFailures,
+  retrySyncFailure,
+  syncFailureEditTarget,
+} from "../lib/sync-failures"
+import { useSyncStatus } from "../lib/sync-hooks"
+
+function rowSummary(row) {
+  const when = row?.ts || row?.started_at || row?.date_iso || row?.created_at
+  const parts = []
+  if (row?.type) parts.push(row.type)
+  if (row?.zone_id) parts.push(row.zone_id)
+  if (row?.opponent) parts.push(`vs ${row.opponent}`)
+  if (row?.name) parts.push(row.name)
+  if (row?.first_name) parts.push(`${row.first_name} ${row.last_name || ""}`.trim())
+  if (when) parts.push(new Date(when).toLocaleString())
+  return parts.join(" · ") || row?.id
+}
+
+export default function SyncIssues({ onCountChange, onEdit }) {
+  const [rows, setRows] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState("")
+
+  const { lastSyncAt, pendingTotal } = useSyncStatus()
+
+  const reload = useCallback(async () => {
+    try {
+      const next = await listSyncFailures()
+      setRows(next)
+      onCountChange?.(next.length)
+    } catch (err) {
+      setError(err?.message || "Unable to load sync issues.")
+    } finally {
+      setLoading(false)
+    }
+  }, [onCountChange])
+
+  // Reload after each sync and whenever the pending queue changes
+  useEffect(() => {
+    void reload()
+  }, [reload, lastSyncAt, pendingTotal])
+
+  async function run(action) {
+    setError("")
+    try {
+      await action()
+    } catch (err) {
+      setError(err?.message || "Something went wrong.")
+    }
+    await reload()
+  }
+
+  function handleDiscard(row) {
+    if (!window.confirm("Discard this change? It will not be sent to the server.")) return
+    void run(() => discardSyncFailure(row))
+  }
+
+  if (loading) {
+    return <div className="text-xs text-slate-500">Loading sync issues...</div>
+  }
+
+  const groups = groupSyncFailures(rows)
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <h2 className="text-sm font-semibold text-slate-900">Sync Issues</h2>
+        {rows.length > 0 && (
+          <button
+            type="button"
+            onClick={() => run(() => retryAllSyncFailures(rows))}
+            className="h-9 rounded-lg border border-sky-300 bg-sky-50 px-3 text-sm font-semibold text-sky-700"
+          >
+            Retry all
+          </button>
+        )}
+      </div>
+
+      {error && <div className="text-xs text-red-600">{error}</div>}
+
+      {groups.length === 0 && (
+        <div className="card text-sm text-slate-600">
+          Everything has synced. Changes the server rejects will show up here.
+        </div>
+      )}
+
+      {groups.map((group) => (
+        <section key={`${group.table}-${group.code}`} className="card space-y-2">
+          <div>
+            <div className="text-sm font-semibold text-slate-900">
+              {group.label} ({group.rows.length})
+            </div>
+            <div className="text-xs text-slate-500">
+              Error {group.code}{group.message ? `: ${group.message}` : ""}
+            </div>
+          </div>
+
+          {group.rows.map((row) => {
+            const target = syncFailureEditTarget(row)
+            const summary = rowSummary(row)
+            return (
+              <div
+                key={row.id}
+                className="flex items-center justify-between gap-2 border-t border-slate-200 pt-2"
+              >
+                <div className="min-w-0 text-xs text-slate-700 truncate">{summary}</div>
+                <div className="flex items-center gap-1 shrink-0">
+                  <button
+                    type="button"
+                    onClick={() => run(() => retrySyncFailure(row))}
+                    className="h-8 rounded-lg border border-slate-300 px-2.5 text-xs font-semibold text-slate-700"
+                    aria-label={`Retry ${summary}`}
+                  >
+                    Retry
+                  </button>
+                  {target && (
+                    <button
+                      type="button"
+                      onClick={() => onEdit?.(target)}
+                      className="h-8 rounded-lg border border-slate-300 px-2.5 text-xs font-semibold text-slate-700"
+                      aria-label={`Edit ${summary}`}
+                    >
+                      Edit
+                    </button>
+                  )}
+                  {row._table !== "athlete_profiles" && (
+                    <button
+                      type="button"
+                      onClick={() => handleDiscard(row)}
+                      className="h-8 rounded-lg border border-red-200 px-2.5 text-xs font-semibold text-red-700"
+                      aria-label={`Discard ${summary}`}
+                    >
+                      Discard
+                    </button>
+                  )}
+                </div>
+              </div>
+            )
+          })}
+        </section>
+      ))}
+    </div>
+  )
+}
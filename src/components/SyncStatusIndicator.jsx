@@ -0,0 +1,74 @@
+import { useSyncStatus } from "../lib/sync-hooks"
+
+/**
+ * Compact sync state for the app header: offline / syncing / conflicts /
+ * paused / error / pending changes / synced.
+ */
+function describeSyncStatus(status) {
+  const pending = status?.pendingTotal || 0
+  if (!status?.online) {
+    return {
+      label: pending ? `Offline · ${pending} pending` : "Offline",
+      tone: "border-orange-200 bg-orange-50 text-orange-700",
+      dot: "bg-orange-500",
+    }
+  }
+  if (status.phase === "push" || status.phase === "pull") {
+    return {
+      label: "Syncing…",
+      tone: "border-sky-200 bg-sky-50 text-sky-700",
+      dot: "bg-sky-500 animate-pulse",
+    }
+  }
+  if (status.conflictTotal) {
+    return {
+      label: status.conflictTotal === 1 ? "1 edit to review" : `${status.conflictTotal} edits to review`,
+      tone: "border-amber-200 bg-amber-50 text-amber-800",
+      dot: "bg-amber-500",
+    }
+  }
+  if (status.circuitOpenUntil) {
+    return {
+      label: "Sync paused",
+      tone: "border-red-200 bg-red-50 text-red-700",
+      dot: "bg-red-500",
+    }
+  }
+  if (status.lastError) {
+    return {
+      label: "Sync error",
+      tone: "border-red-200 bg-red-50 text-red-700",
+      dot: "bg-red-500",
+    }
+  }
+  if (pending) {
+    return {
+      label: `${pending} pending`,
+      tone: "border-amber-200 bg-amber-50 text-amber-700",
+      dot: "bg-amber-500",
+    }
+  }
+  return {
+    label: "Synced",
+    tone: "border-emerald-200 bg-emerald-50 text-emerald-700",
+    dot: "bg-emerald-500",
+  }
+}
+
+export default function SyncStatusIndicator({ onClick }) {
+  const status = useSyncStatus()
+  const { label, tone, dot } = describeSyncStatus(status)
+
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      className={`inline-flex h-7 items-center gap-1.5 rounded-full border px-2.5 text-[11px] font-semibold ${tone}`}
+      aria-label={`Sync status: ${label}`}
+      title={status.lastError?.message || label}
+    >
+      <span className={`h-2 w-2 rounded-full ${dot}`} />
+      {label}
+    </button>
+  )
+}
@@ -0,0 +1,102 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { render, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import SyncConflicts from '../SyncConflicts.jsx'
+
+vi.mock('../../lib/game-db', () => ({}))
+vi.mock('../../lib/sync-notify', () => ({}))
+vi.mock('../../lib/sync-hooks', () => ({
+  useSyncStatus: vi.fn(),
+}))
+
+vi.mock('../../lib/sync-conflicts', async (importOriginal) => {
+  const actual = await importOriginal()
+  return {
+    conflictFields: actual.conflictFields,
+    listSyncConflicts: vi.fn(),
+    resolveSyncConflict: vi.fn(),
+  }
+})
+
+import { listSyncConflicts, resolveSyncConflict } from '../../lib/sync-conflicts'
+import { useSyncStatus } from '../../lib/sync-hooks'
+
+const gameRow = {
+  id: 'gs1',
+  _table: 'game_sessions',
+  opponent_name: 'Bulls',
+  team_score: 60,
+  opponent_score: 52,
+  _conflict: {
+    remote: { team_score: 58, opponent_score: 40 },
+    fields: ['team_score', 'opponent_score'],
+    detected_at: '2024-01-15T12:00:00Z',
+  },
+}
+
+describe('SyncConflicts', () => {
+  beforeEach(() => {
+    useSyncStatus.mockReturnValue({ lastSyncAt: null, conflictTotal: 1 })
+    listSyncConflicts.mockResolvedValue([gameRow])
+    resolveSyncConflict.mockResolvedValue(undefined)
+  })
+
+  afterEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('should render nothing when there are no conflicts', async () => {
+    listSyncConflicts.mockResolvedValue([])
+    const onCountChange = vi.fn()
+
+    const { container } = render(<SyncConflicts onCountChange={onCountChange} />)
+
+    await vi.waitFor(() => expect(onCountChange).toHaveBeenCalledWith(0))
+    expect(container).toBeEmptyDOMElement()
+  })
+
+  it('should reload when a sync brings in a new conflict', async () => {
+    listSyncConflicts.mockResolvedValue([])
+    useSyncStatus.mockReturnValue({ lastSyncAt: null, conflictTotal: 0 })
+    const onCountChange = vi.fn()
+    const { rerender } = render(<SyncConflicts onCountChange={onCountChange} />)
+    await vi.waitFor(() => expect(onCountChange).toHaveBeenCalledWith(0))
+
+    listSyncConflicts.mockResolvedValue([gameRow])
+    useSyncStatus.mockReturnValue({ lastSyncAt: '2024-01-15T12:00:00Z', conflictTotal: 1 })
+    rerender(<SyncConflicts onCountChange={onCountChange} />)
+
+    expect(await screen.findByText('Game vs Bulls')).toBeInTheDocument()
+    expect(onCountChange).toHaveBeenLastCalledWith(1)
+  })
+
+  it('should show both versions of each clashing field', async () => {
+    const onCountChange = vi.fn()
+    render(<SyncConflicts onCountChange={onCountChange} />)
+
+    expect(await screen.findByText('Game vs Bulls')).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'This device: 60' })).toHaveAttribute('aria-pressed', 'true')
+    expect(screen.getByRole('button', { name: 'Other device: 58' })).toHaveAttribute('aria-pressed', 'false')
+    expect(onCountChange).toHaveBeenCalledWith(1)
+  })
+
+  it('should keep the other device version for the whole row', async () => {
+    const user = userEvent.setup()
+    render(<SyncConflicts />)
+
+    await user.click(await screen.findByRole('button', { name: 'Keep theirs for Game vs Bulls' }))
+
+    expect(resolveSyncConflict).toHaveBeenCalledWith(gameRow, 'theirs')
+    expect(listSyncConflicts).toHaveBeenCalledTimes(2)
+  })
+
+  it('should save a per-field selection', async () => {
+    const user = userEvent.setup()
+    render(<SyncConflicts />)
+
+    await user.click(await screen.findByRole('button', { name: 'Other device: 40' }))
+    await user.click(screen.getByRole('button', { name: 'Save selection for Game vs Bulls' }))
+
+    expect(resolveSyncConflict).toHaveBeenCalledWith(gameRow, { opponent_score: 'theirs' })
+  })
+})
@@ -0,0 +1,141 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { render, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import SyncIssues from '../SyncIssues.jsx'
+
+vi.mock('../../lib/game-db', () => ({}))
+vi.mock('../../lib/practice-db', () => ({}))
+vi.mock('../../lib/goals-db', () => ({}))
+vi.mock('../../lib/athlete-profiles-db', () => ({}))
+vi.mock('../../lib/sync', () => ({}))
+vi.mock('../../lib/sync-hooks', () => ({
+  useSyncStatus: vi.fn(),
+}))
+
+vi.mock('../../lib/sync-failures', async (importOriginal) => {
+  const actual = await importOriginal()
+  return {
+    groupSyncFailures: actual.groupSyncFailures,
+    syncFailureEditTarget: actual.syncFailureEditTarget,
+    listSyncFailures: vi.fn(),
+    retrySyncFailure: vi.fn(),
+    retryAllSyncFailures: vi.fn(),
+    discardSyncFailure: vi.fn(),
+  }
+})
+
+import {
+  discardSyncFailure,
+  listSyncFailures,
+  retryAllSyncFailures,
+  retrySyncFailure,
+} from '../../lib/sync-failures'
+import { useSyncStatus } from '../../lib/sync-hooks'
+
+const eventRow = {
+  id: 'e1',
+  game_id: 'gs1',
+  type: 'shot',
+  _table: 'game_events',
+  _sync_failed: true,
+  _sync_error_code: '23502',
+  _sync_error_message: 'null value in column',
+}
+const athleteRow = {
+  id: 'a1',
+  first_name: 'Ava',
+  _table: 'athlete_profiles',
+  _sync_failed: true,
+  _sync_error_code: '23505',
+}
+
+describe('SyncIssues', () => {
+  beforeEach(() => {
+    useSyncStatus.mockReturnValue({ lastSyncAt: null, pendingTotal: 2 })
+    listSyncFailures.mockResolvedValue([eventRow, athleteRow])
+    retrySyncFailure.mockResolvedValue(undefined)
+    retryAllSyncFailures.mockResolvedValue(undefined)
+    discardSyncFailure.mockResolvedValue(undefined)
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    vi.clearAllMocks()
+  })
+
+  it('groups failures by table and reports the count', async () => {
+    const onCountChange = vi.fn()
+    render(<SyncIssues onCountChange={onCountChange} />)
+
+    expect(await screen.findByText('Game events (1)')).toBeInTheDocument()
+    expect(screen.getByText('Athletes (1)')).toBeInTheDocument()
+    expect(screen.getByText('Error 23502: null value in column')).toBeInTheDocument()
+    expect(onCountChange).toHaveBeenCalledWith(2)
+  })
+
+  it('reloads after a sync finishes', async () => {
+    const onCountChange = vi.fn()
+    const { rerender } = render(<SyncIssues onCountChange={onCountChange} />)
+    expect(await screen.findByText('Game events (1)')).toBeInTheDocument()
+
+    listSyncFailures.mockResolvedValue([athleteRow])
+    useSyncStatus.mockReturnValue({ lastSyncAt: '2024-01-15T12:00:00Z', pendingTotal: 1 })
+    rerender(<SyncIssues onCountChange={onCountChange} />)
+
+    await vi.waitFor(() => expect(onCountChange).toHaveBeenLastCalledWith(1))
+    expect(screen.queryByText('Game events (1)')).not.toBeInTheDocument()
+  })
+
+  it('shows an empty state when everything synced', async () => {
+    listSyncFailures.mockResolvedValue([])
+    render(<SyncIssues />)
+
+    expect(await screen.findByText(/Everything has synced/)).toBeInTheDocument()
+    expect(screen.queryByRole('button', { name: 'Retry all' })).not.toBeInTheDocument()
+  })
+
+  it('retries one row or all rows and reloads the list', async () => {
+    const user = userEvent.setup()
+    render(<SyncIssues />)
+
+    await user.click(await screen.findByRole('button', { name: /^Retry shot/ }))
+    expect(retrySyncFailure).toHaveBeenCalledWith(eventRow)
+
+    await user.click(screen.getByRole('button', { name: 'Retry all' }))
+    expect(retryAllSyncFailures).toHaveBeenCalledWith([eventRow, athleteRow])
+    expect(listSyncFailures).toHaveBeenCalledTimes(3)
+  })
+
+  it('opens the edit target for rows with a screen', async () => {
+    const user = userEvent.setup()
+    const onEdit = vi.fn()
+    render(<SyncIssues onEdit={onEdit} />)
+
+    await user.click(await screen.findByRole('button', { name: /^Edit shot/ }))
+
+    expect(onEdit).toHaveBeenCalledWith({ tab: 'game', screen: 'game-logger', params: { id: 'gs1' } })
+    expect(screen.queryByRole('button', { name: /^Edit Ava/ })).not.toBeInTheDocument()
+  })
+
+  it('discards after confirmation and never offers discard for athletes', async () => {
+    const user = userEvent.setup()
+    const confirm = vi.spyOn(window, 'confirm').mockReturnValue(true)
+    render(<SyncIssues />)
+
+    await user.click(await screen.findByRole('button', { name: /^Discard shot/ }))
+
+    expect(confirm).toHaveBeenCalled()
+    expect(discardSyncFailure).toHaveBeenCalledWith(eventRow)
+    expect(screen.queryByRole('button', { name: /^Discard Ava/ })).not.toBeInTheDocument()
+  })
+
+  it('shows the error when an action fails', async () => {
+    const user = userEvent.setup()
+    retrySyncFailure.mockRejectedValue(new Error('still broken'))
+    render(<SyncIssues />)
+
+    await user.click(await screen.findByRole('button', { name: /^Retry shot/ }))
+
+    expect(await screen.findByText('still broken')).toBeInTheDocument()
+  })
+})
@@ -0,0 +1,59 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import SyncStatusIndicator from '../SyncStatusIndicator.jsx'
+
+vi.mock('../../lib/sync-hooks', () => ({
+  useSyncStatus: vi.fn(),
+}))
+
+import { useSyncStatus } from '../../lib/sync-hooks'
+
+const baseStatus = {
+  online: true,
+  phase: 'idle',
+  table: null,
+  pending: {},
+  pendingTotal: 0,
+  conflictTotal: 0,
+  circuitOpenUntil: null,
+  lastSyncAt: null,
+  lastError: null,
+  nextRetryAt: null,
+}
+
+describe('SyncStatusIndicator', () => {
+  beforeEach(() => {
+    useSyncStatus.mockReturnValue(baseStatus)
+  })
+
+  it.each([
+    [{}, 'Synced'],
+    [{ pendingTotal: 4 }, '4 pending'],
+    [{ phase: 'pull' }, 'Syncing…'],
+    [{ lastError: { message: 'x' } }, 'Sync error'],
+    [{ lastError: { message: 'x' }, circuitOpenUntil: '2024-01-15T12:10:00.000Z' }, 'Sync paused'],
+    [{ online: false, pendingTotal: 2 }, 'Offline · 2 pending'],
+    [{ conflictTotal: 1, pendingTotal: 1 }, '1 edit to review'],
+    [{ conflictTotal: 3 }, '3 edits to review'],
+  ])('labels status %o as %s', (patch, label) => {
+    useSyncStatus.mockReturnValue({ ...baseStatus, ...patch })
+    render(<SyncStatusIndicator />)
+
+    expect(screen.getByRole('button', { name: `Sync status: ${label}` })).toBeInTheDocument()
+  })
+
+  it('renders the current status and forwards clicks', async () => {
+    const user = userEvent.setup()
+    const onClick = vi.fn()
+    useSyncStatus.mockReturnValue({ ...baseStatus, lastError: { message: 'Failed to fetch' } })
+    render(<SyncStatusIndicator onClick={onClick} />)
+
+    const button = screen.getByRole('button', { name: 'Sync status: Sync error' })
+    expect(button).toHaveAttribute('title', 'Failed to fetch')
+
+    await user.click(button)
+
+    expect(onClick).toHaveBeenCalled()
+  })
+})
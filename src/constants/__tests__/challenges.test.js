@@ -0,0 +1,83 @@
+// src/constants/__tests__/challenges.test.js
+import { describe, it, expect } from 'vitest'
+import {
+  CHALLENGE_TARGETS,
+  DEFAULT_CHALLENGE_TARGET,
+  normalizeChallengeTarget,
+  challengeKey,
+  startChallenge,
+  applyChallengeShot,
+  challengeRecords,
+  longestMakeStreak,
+} from '../challenges.js'
+
+describe('challenges constants', () => {
+  it('offers targets that are already normalized', () => {
+    for (const target of CHALLENGE_TARGETS) {
+      expect(normalizeChallengeTarget(target)).toBe(target)
+    }
+  })
+
+  it('clamps targets to whole numbers in range', () => {
+    expect(normalizeChallengeTarget('7.8')).toBe(7)
+    expect(normalizeChallengeTarget(1)).toBe(2)
+    expect(normalizeChallengeTarget(500)).toBe(100)
+    expect(normalizeChallengeTarget('')).toBeNull()
+    expect(normalizeChallengeTarget('abc')).toBeNull()
+  })
+
+  it('keys records by zone and shot type, ignoring shot type for free throws', () => {
+    expect(challengeKey('left_wing_3', 'catch_shoot')).toBe('left_wing_3|catch_shoot')
+    expect(challengeKey('left_wing_3', null)).toBe('left_wing_3|')
+    expect(challengeKey('free_throw', 'catch_shoot')).toBe('free_throw|')
+  })
+
+  it('starts a challenge at zero with a usable target', () => {
+    expect(startChallenge({ zoneId: 'free_throw', shotType: 'catch_shoot', target: '' })).toEqual({
+      zone_id: 'free_throw',
+      shot_type: null,
+      target_streak: DEFAULT_CHALLENGE_TARGET,
+      streak: 0,
+      best_streak: 0,
+      attempts: 0,
+      makes: 0,
+      completed: false,
+    })
+  })
+
+  it('tracks the current and best streak and completes on the target', () => {
+    let c = startChallenge({ zoneId: 'nail', shotType: 'off_dribble', target: 3 })
+    for (const made of [true, true, false, true, true]) c = applyChallengeShot(c, made)
+    expect(c).toMatchObject({ streak: 2, best_streak: 2, attempts: 5, makes: 4, completed: false })
+
+    c = applyChallengeShot(c, true)
+    expect(c).toMatchObject({ streak: 3, best_streak: 3, attempts: 6, makes: 5, completed: true })
+  })
+
+  it('keeps the best streak per zone and shot type', () => {
+    expect(
+      challengeRecords([
+        { zone_id: 'nail', shot_type: 'off_dribble', best_streak: 4 },
+        { zone_id: 'nail', shot_type: 'off_dribble', best_streak: 7 },
+        { zone_id: 'nail', shot_type: 'catch_shoot', best_streak: 2 },
+        { zone_id: 'free_throw', shot_type: null, best_streak: 12 },
+      ])
+    ).toEqual({ 'nail|off_dribble': 7, 'nail|catch_shoot': 2, 'free_throw|': 12 })
+    expect(challengeRecords(null)).toEqual({})
+  })
+
+  it('counts the longest make streak per session in time order', () => {
+    const shot = (session_id, ts, made) => ({ session_id, ts, made })
+    expect(
+      longestMakeStreak([
+        shot('a', '03', true),
+        shot('a', '01', true),
+        shot('a', '02', false),
+        shot('a', '04', true),
+        shot('b', '01', true),
+        { session_id: 'b', ts: '02', made: null, attempts: 10, makes: 10 },
+      ])
+    ).toBe(2)
+    expect(longestMakeStreak([])).toBe(0)
+  })
+})
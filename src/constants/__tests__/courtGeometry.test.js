@@ -0,0 +1,150 @@
+// src/constants/__tests__/courtGeometry.test.js
+import { describe, it, expect } from 'vitest'
+import {
+  COURT_SPECS,
+  DEFAULT_COURT_SPEC,
+  courtSpecFor,
+  pointToCourtFeet,
+  isBeyondArc,
+  isInPaint,
+  isInFreeThrowCircle,
+  classifyPoint,
+  zoneIsThree,
+  normalizeCourtSpec,
+  courtSpecForSession,
+  courtSpecsByGame,
+  defaultCourtSpecForLevel,
+  shotIsThree,
+} from '../courtGeometry.js'
+import { ZONES } from '../zones.js'
+import { ZONE_ANCHORS } from '../zoneAnchors.js'
+import { COURT_IMAGE } from '../shotLocation.js'
+
+// Image fractions for a spot `depth` ft out from the rim and `lateral` ft to the left
+const RIM = { x: 113.5, y: 494.9 }
+const PX_PER_FOOT = 17.4
+const at = (depth, lateral) => [
+  (RIM.x + depth * PX_PER_FOOT) / COURT_IMAGE.width,
+  (RIM.y + lateral * PX_PER_FOOT) / COURT_IMAGE.height,
+]
+
+describe('courtGeometry constants', () => {
+  it('resolves spec keys and objects, falling back to the default', () => {
+    expect(courtSpecFor('nba')).toBe(COURT_SPECS.nba)
+    expect(courtSpecFor(COURT_SPECS.high_school)).toBe(COURT_SPECS.high_school)
+    expect(courtSpecFor('unknown')).toBe(COURT_SPECS[DEFAULT_COURT_SPEC])
+    expect(courtSpecFor()).toBe(COURT_SPECS[DEFAULT_COURT_SPEC])
+  })
+
+  it('classifies every zone anchor as its own zone with its shot value', () => {
+    for (const [zoneId, anchor] of Object.entries(ZONE_ANCHORS)) {
+      const zone = ZONES.find((z) => z.id === zoneId)
+      const result = classifyPoint(anchor.x / COURT_IMAGE.width, anchor.y / COURT_IMAGE.height)
+      expect(result, zoneId).toEqual({
+        zoneId,
+        shotValue: zone.isThree ? 3 : 2,
+        isThree: zone.isThree,
+      })
+    }
+  })
+
+  it('converts image fractions to feet from the rim and keeps them on the court', () => {
+    const feet = pointToCourtFeet(...at(10, -4))
+    expect(feet.depth).toBeCloseTo(10, 1)
+    expect(feet.lateral).toBeCloseTo(-4, 1)
+
+    expect(pointToCourtFeet(0, 0.5).depth).toBe(-5.25)
+    expect(pointToCourtFeet(0.5, 0).lateral).toBe(-25)
+    expect(pointToCourtFeet(null, 0.5)).toBeNull()
+  })
+
+  it('moves the three-point line with the court standard', () => {
+    const [x, y] = at(21, 0)
+    expect(classifyPoint(x, y, 'high_school')).toEqual({ zoneId: 'center_3', shotValue: 3, isThree: true })
+    expect(classifyPoint(x, y, 'college')).toEqual({ zoneId: 'center_mid', shotValue: 2, isThree: false })
+    expect(classifyPoint(x, y, 'nba').isThree).toBe(false)
+  })
+
+  it('uses the straight corner segments below the arc', () => {
+    const corner = { depth: 2, lateral: 21.8 }
+    expect(isBeyondArc(corner, 'college')).toBe(true)
+    expect(isBeyondArc(corner, 'nba')).toBe(false)
+    expect(isBeyondArc({ depth: 2, lateral: -22.2 }, 'nba')).toBe(true)
+    // exactly on the line is a two
+    expect(isBeyondArc({ depth: 19.75, lateral: 0 }, 'high_school')).toBe(false)
+
+    expect(classifyPoint(...at(2, 21.8), 'nba')).toEqual({ zoneId: 'left_deep_mid', shotValue: 2, isThree: false })
+    expect(classifyPoint(...at(2, -22.5), 'nba')).toEqual({ zoneId: 'right_corner_3', shotValue: 3, isThree: true })
+  })
+
+  it('sizes the paint and free-throw circle per standard', () => {
+    const block = { depth: 3, lateral: 7 }
+    expect(isInPaint(block, 'college')).toBe(false)
+    expect(isInPaint(block, 'nba')).toBe(true)
+    expect(isInPaint({ depth: 14, lateral: 0 }, 'college')).toBe(false)
+    expect(isInFreeThrowCircle({ depth: 16, lateral: 2 }, 'college')).toBe(true)
+    expect(isInFreeThrowCircle({ depth: 21, lateral: 0 }, 'college')).toBe(false)
+
+    expect(classifyPoint(...at(3, 7), 'college').zoneId).toBe('left_low_post')
+    expect(classifyPoint(...at(3, 7), 'nba').zoneId).toBe('left_low_post')
+    expect(classifyPoint(...at(2, 1)).zoneId).toBe('runner_floater')
+    expect(classifyPoint(...at(11, -1)).zoneId).toBe('nail')
+  })
+
+  it('splits deep threes from the regular ones', () => {
+    expect(classifyPoint(...at(30, 0)).zoneId).toBe('center_deep_3')
+    expect(classifyPoint(...at(25, 15)).zoneId).toBe('left_deep_wing_3')
+    expect(classifyPoint(...at(24, 0)).zoneId).toBe('center_3')
+  })
+
+  it('derives a zone three-point status from its anchor', () => {
+    expect(zoneIsThree('left_wing_3')).toBe(true)
+    expect(zoneIsThree('center_mid')).toBe(false)
+    expect(zoneIsThree('center_mid', 'high_school')).toBe(true)
+    expect(zoneIsThree('free_throw')).toBe(false)
+    expect(zoneIsThree('unknown')).toBe(false)
+  })
+})
+
+describe('court standards per game', () => {
+  it('reads the spec from a session, treating missing values as college', () => {
+    expect(normalizeCourtSpec('fiba')).toBe('fiba')
+    expect(normalizeCourtSpec('wnba')).toBe('college')
+    expect(courtSpecForSession({ court_spec: 'nba' })).toBe('nba')
+    expect(courtSpecForSession({ court_spec: null })).toBe('college')
+    expect(courtSpecForSession(null)).toBe('college')
+
+    const specs = courtSpecsByGame([{ id: 'g1', court_spec: 'high_school' }, { id: 'g2' }])
+    expect(specs.get('g1')).toBe('high_school')
+    expect(specs.get('g2')).toBe('college')
+    expect(courtSpecsByGame(new Map([['g3', { id: 'g3', court_spec: 'fiba' }]])).get('g3')).toBe('fiba')
+  })
+
+  it('suggests a court from the game level', () => {
+    expect(defaultCourtSpecForLevel({ level_category: 'k_12' })).toBe('high_school')
+    expect(defaultCourtSpecForLevel({ level_category: 'college' })).toBe('college')
+    expect(defaultCourtSpecForLevel({ level_category: 'aau', aau_competition_level: '16U' })).toBe('high_school')
+    expect(defaultCourtSpecForLevel({ level_category: 'aau', aau_competition_level: 'Adult' })).toBe('college')
+    expect(defaultCourtSpecForLevel({})).toBe(DEFAULT_COURT_SPEC)
+  })
+
+  it('puts the FIBA arc at 6.75 m with 6.6 m corners', () => {
+    expect(isBeyondArc({ depth: 22.3, lateral: 0 }, 'fiba')).toBe(true)
+    expect(isBeyondArc({ depth: 2, lateral: 21.7 }, 'fiba')).toBe(true)
+    expect(isBeyondArc({ depth: 2, lateral: 21.7 }, 'nba')).toBe(false)
+  })
+
+  it('counts a logged shot as a three by the game line', () => {
+    const longTwo = { type: 'shot', zone_id: 'center_mid', is_three: false, shot_x: at(20.5, 0)[0], shot_y: at(20.5, 0)[1] }
+    expect(shotIsThree(longTwo, 'high_school')).toBe(true)
+    expect(shotIsThree(longTwo, 'college')).toBe(false)
+
+    const legacyWing = { type: 'shot', zone_id: 'left_wing_3', is_three: true }
+    expect(shotIsThree(legacyWing, 'college')).toBe(true)
+    expect(shotIsThree({ type: 'shot', zone_id: 'center_mid', is_three: false }, 'high_school')).toBe(true)
+
+    // no spec, or no zone position: the stored flag stands
+    expect(shotIsThree(longTwo)).toBe(false)
+    expect(shotIsThree({ type: 'shot', zone_id: 'mystery', is_three: true }, 'nba')).toBe(true)
+  })
+})
@@ -0,0 +1,118 @@
+// src/constants/__tests__/drills.test.js
+import { describe, it, expect } from 'vitest'
+import {
+  DRILL_PRESETS,
+  MAX_DRILL_STEPS,
+  normalizeDrillName,
+  normalizeDrillSteps,
+  drillStepLabel,
+  drillTargetReps,
+  nextDrillStep,
+  summarizeDrillRun,
+  bestDrillRun,
+} from '../drills.js'
+
+describe('drills constants', () => {
+  it('ships presets whose steps are already normalized', () => {
+    for (const preset of DRILL_PRESETS) {
+      expect(preset.steps.length).toBeGreaterThan(0)
+      expect(normalizeDrillSteps(preset.steps)).toEqual(preset.steps)
+    }
+    expect(drillTargetReps(DRILL_PRESETS[0].steps)).toBe(50)
+  })
+
+  it('trims and caps drill names', () => {
+    expect(normalizeDrillName('  Mikan  ')).toBe('Mikan')
+    expect(normalizeDrillName(null)).toBe('')
+    expect(normalizeDrillName('x'.repeat(60))).toHaveLength(40)
+  })
+
+  it('normalizes steps from editor rows', () => {
+    const steps = normalizeDrillSteps([
+      { zone_id: 'nail', shot_type: 'off_dribble', target_reps: '12', make_goal: '20' },
+      { zoneId: 'free_throw', shotType: 'catch_shoot', targetReps: 0, makeGoal: '' },
+      { zone_id: 'bogus', shot_type: 'layup', target_reps: 5 },
+      { zone_id: 'center_3', shot_type: 'hook', target_reps: '', make_goal: 0 },
+    ])
+
+    expect(steps).toEqual([
+      { zone_id: 'nail', shot_type: 'off_dribble', target_reps: 12, make_goal: 12 },
+      { zone_id: 'free_throw', shot_type: null, target_reps: 1, make_goal: null },
+      { zone_id: 'center_3', shot_type: null, target_reps: 10, make_goal: null },
+    ])
+    expect(normalizeDrillSteps('nope')).toEqual([])
+  })
+
+  it('keeps at most MAX_DRILL_STEPS steps', () => {
+    const many = Array.from({ length: MAX_DRILL_STEPS + 5 }, () => ({ zone_id: 'nail' }))
+    expect(normalizeDrillSteps(many)).toHaveLength(MAX_DRILL_STEPS)
+  })
+
+  it('labels steps by zone and shot type', () => {
+    expect(drillStepLabel({ zone_id: 'left_corner_3', shot_type: 'catch_shoot' })).toBe(
+      'L Corner 3 · Catch & Shoot'
+    )
+    expect(drillStepLabel({ zone_id: 'free_throw', shot_type: null })).toBe('Free Throw')
+    expect(drillStepLabel(null)).toBe('')
+  })
+
+  it('finds the first step with nothing logged', () => {
+    const steps = [{}, {}, {}]
+    expect(nextDrillStep(steps, [])).toBe(0)
+    expect(nextDrillStep(steps, [{ drill_step: 0 }, { drill_step: 2 }])).toBe(1)
+    expect(nextDrillStep(steps, [{ drill_step: 0 }, { drill_step: 1 }, { drill_step: 2 }])).toBe(-1)
+  })
+
+  it('keeps a step open until its single shots reach the target reps', () => {
+    const steps = [{ target_reps: 2 }, { target_reps: 3 }]
+    const shot = (drill_step, made) => ({ drill_step, attempts: 1, makes: made ? 1 : 0, made })
+
+    expect(nextDrillStep(steps, [shot(0, true)])).toBe(0)
+    expect(nextDrillStep(steps, [shot(0, true), shot(0, false)])).toBe(1)
+    // a batch still finishes a step outright
+    expect(nextDrillStep(steps, [shot(0, true), { drill_step: 0, attempts: 4, makes: 2, made: null }])).toBe(1)
+  })
+
+  it('summarizes a run against the step goals', () => {
+    const steps = [
+      { zone_id: 'nail', target_reps: 10, make_goal: 6 },
+      { zone_id: 'center_3', target_reps: 10, make_goal: 5 },
+      { zone_id: 'free_throw', target_reps: 10, make_goal: null },
+    ]
+    const summary = summarizeDrillRun(steps, [
+      { drill_step: 0, attempts: 10, makes: 7 },
+      { drill_step: 1, attempts: 10, makes: 3 },
+    ])
+
+    expect(summary).toEqual({
+      attempts: 20,
+      makes: 10,
+      fgPct: 50,
+      stepsDone: 2,
+      stepCount: 3,
+      complete: false,
+      goalsSet: 2,
+      goalsMet: 1,
+    })
+    expect(summarizeDrillRun(steps, []).fgPct).toBe(0)
+
+    // single shots short of the target reps leave their step open
+    const partial = summarizeDrillRun(steps, [
+      { drill_step: 0, attempts: 1, makes: 1, made: true },
+      { drill_step: 0, attempts: 1, makes: 0, made: false },
+    ])
+    expect(partial).toMatchObject({ attempts: 2, makes: 1, stepsDone: 0, complete: false })
+  })
+
+  it('picks the run with the most makes, then the better FG%, then the earlier one', () => {
+    const runs = [
+      { id: 'a', ts: '2025-01-03', makes: 8, attempts: 10, fgPct: 80 },
+      { id: 'b', ts: '2025-01-02', makes: 8, attempts: 12, fgPct: 66.7 },
+      { id: 'c', ts: '2025-01-01', makes: 8, attempts: 10, fgPct: 80 },
+      { id: 'd', ts: '2025-01-04', makes: 0, attempts: 0, fgPct: 0 },
+    ]
+    expect(bestDrillRun(runs).id).toBe('c')
+    expect(bestDrillRun([runs[3]])).toBeNull()
+    expect(bestDrillRun(null)).toBeNull()
+  })
+})
@@ -0,0 +1,26 @@
+// src/constants/__tests__/gameStats.test.js
+import { describe, it, expect } from 'vitest'
+import { foulLimitFor, foulStatus, normalizeReboundType } from '../gameStats.js'
+
+describe('gameStats constants', () => {
+  it('defaults the foul limit to 5 and clamps stored values', () => {
+    expect(foulLimitFor(null)).toBe(5)
+    expect(foulLimitFor({ foul_limit: 6 })).toBe(6)
+    expect(foulLimitFor({ foul_limit: 0 })).toBe(5)
+    expect(foulLimitFor({ foul_limit: 40 })).toBe(10)
+  })
+
+  it('reports foul trouble one foul short and at the limit', () => {
+    expect(foulStatus(3, 5)).toBeNull()
+    expect(foulStatus(4, 5)).toBe('warning')
+    expect(foulStatus(5, 5)).toBe('fouled_out')
+    expect(foulStatus(0, 1)).toBeNull()
+  })
+
+  it('keeps only known rebound types', () => {
+    expect(normalizeReboundType('offensive')).toBe('offensive')
+    expect(normalizeReboundType('defensive')).toBe('defensive')
+    expect(normalizeReboundType('team')).toBeNull()
+    expect(normalizeReboundType(undefined)).toBeNull()
+  })
+})
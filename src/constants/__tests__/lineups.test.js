@@ -0,0 +1,41 @@
+// src/constants/__tests__/lineups.test.js
+import { describe, it, expect } from 'vitest'
+import {
+  MAX_LINEUP_TEAMMATES,
+  normalizeTeamRoster,
+  normalizeLineup,
+  lineupLabel,
+} from '../lineups.js'
+
+describe('lineups constants', () => {
+  const roster = [
+    { id: 'p1', number: '5', name: 'Ava' },
+    { id: 'p2', number: '12', name: null },
+    { id: 'p3', number: null, name: 'Kim' },
+    { id: 'p4', number: '1', name: 'Lu' },
+    { id: 'p5', number: '2', name: 'Mo' },
+  ]
+
+  it('normalizes team rosters like opponent rosters', () => {
+    expect(normalizeTeamRoster([{ number: '#5', name: ' Ava ' }, { number: '' }])).toEqual([
+      { id: 'p1', number: '5', name: 'Ava' },
+    ])
+    expect(normalizeTeamRoster(null)).toEqual([])
+  })
+
+  it('dedupes ids, drops players off the roster and keeps roster order', () => {
+    expect(normalizeLineup(['p3', 'p1', 'p3', 'x9', ' '], roster)).toEqual(['p1', 'p3'])
+    expect(normalizeLineup(['b', 'a', 'b'])).toEqual(['b', 'a'])
+    expect(normalizeLineup('p1')).toEqual([])
+  })
+
+  it('keeps at most four teammates', () => {
+    expect(normalizeLineup(['p1', 'p2', 'p3', 'p4', 'p5'], roster)).toHaveLength(MAX_LINEUP_TEAMMATES)
+  })
+
+  it('labels a lineup from the roster', () => {
+    expect(lineupLabel(['p1', 'p2', 'p3'], roster)).toBe('#5 Ava · #12 · Kim')
+    expect(lineupLabel(['gone'], roster)).toBe('Unknown')
+    expect(lineupLabel([], roster)).toBe('')
+  })
+})
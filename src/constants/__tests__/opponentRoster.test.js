@@ -0,0 +1,41 @@
+// src/constants/__tests__/opponentRoster.test.js
+import { describe, it, expect } from 'vitest'
+import {
+  MAX_ROSTER_SIZE,
+  normalizeOpponentRoster,
+  rosterPlayerLabel,
+  findRosterPlayer,
+} from '../opponentRoster.js'
+
+describe('opponentRoster constants', () => {
+  it('trims entries, drops blanks and assigns unique ids', () => {
+    const roster = normalizeOpponentRoster([
+      { id: 'p1', number: '10', name: 'Ann' },
+      { number: '#5', name: '  ' },
+      { number: '', name: '' },
+      { id: 'p1', number: '1234', name: 'Bea' },
+    ])
+
+    expect(roster).toEqual([
+      { id: 'p1', number: '10', name: 'Ann' },
+      { id: 'p2', number: '5', name: null },
+      { id: 'p3', number: '123', name: 'Bea' },
+    ])
+    expect(normalizeOpponentRoster(null)).toEqual([])
+  })
+
+  it('caps the roster size', () => {
+    const many = Array.from({ length: MAX_ROSTER_SIZE + 5 }, (_, i) => ({ number: String(i) }))
+    expect(normalizeOpponentRoster(many)).toHaveLength(MAX_ROSTER_SIZE)
+  })
+
+  it('labels and finds players', () => {
+    const roster = [{ id: 'p1', number: '23', name: 'James' }, { id: 'p2', number: null, name: 'Lee' }]
+    expect(rosterPlayerLabel(roster[0])).toBe('#23 James')
+    expect(rosterPlayerLabel(roster[1])).toBe('Lee')
+    expect(rosterPlayerLabel(null)).toBe('Unknown')
+    expect(findRosterPlayer(roster, 'p2')).toBe(roster[1])
+    expect(findRosterPlayer(roster, 'p9')).toBeNull()
+    expect(findRosterPlayer(undefined, 'p1')).toBeNull()
+  })
+})
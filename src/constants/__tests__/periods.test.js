@@ -0,0 +1,52 @@
+// src/constants/__tests__/periods.test.js
+import { describe, it, expect } from 'vitest'
+import {
+  periodCountFor,
+  periodLabel,
+  periodHalf,
+  isOvertime,
+  parseGameClock,
+  formatGameClock,
+} from '../periods.js'
+
+describe('periods constants', () => {
+  it('treats legacy sessions as four quarters', () => {
+    expect(periodCountFor(null)).toBe(4)
+    expect(periodCountFor({})).toBe(4)
+    expect(periodLabel(2, {})).toBe('Q2')
+  })
+
+  it('uses the format count and clamps custom counts', () => {
+    expect(periodCountFor({ period_format: 'halves' })).toBe(2)
+    expect(periodCountFor({ period_format: 'custom', period_count: 3 })).toBe(3)
+    expect(periodCountFor({ period_format: 'custom', period_count: 20 })).toBe(8)
+  })
+
+  it('labels regulation and overtime periods', () => {
+    const halves = { period_format: 'halves' }
+    expect(periodLabel(1, halves)).toBe('H1')
+    expect(periodLabel(3, halves)).toBe('OT')
+    expect(periodLabel(4, halves)).toBe('OT2')
+    expect(periodLabel(null, halves)).toBe('—')
+    expect(isOvertime(3, halves)).toBe(true)
+    expect(isOvertime(2, halves)).toBe(false)
+  })
+
+  it('splits periods into halves', () => {
+    expect(periodHalf(2, {})).toBe('first')
+    expect(periodHalf(3, {})).toBe('second')
+    expect(periodHalf(5, {})).toBe('overtime')
+    expect(periodHalf(2, { period_format: 'custom', period_count: 3 })).toBe('second')
+    expect(periodHalf(undefined, {})).toBeNull()
+  })
+
+  it('parses and formats the game clock', () => {
+    expect(parseGameClock('7:32')).toBe(452)
+    expect(parseGameClock('45')).toBe(45)
+    expect(parseGameClock('')).toBeNull()
+    expect(parseGameClock('7:75')).toBeNull()
+    expect(formatGameClock(452)).toBe('7:32')
+    expect(formatGameClock(5)).toBe('0:05')
+    expect(formatGameClock(null)).toBe('')
+  })
+})
@@ -0,0 +1,89 @@
+// src/constants/__tests__/practiceTimer.test.js
+import { describe, it, expect } from 'vitest'
+import {
+  INTERVAL_PRESETS,
+  normalizeIntervalSec,
+  sessionTimer,
+  intervalAt,
+  sessionDurationSec,
+  formatDuration,
+  shotsPerMinute,
+  summarizeIntervals,
+} from '../practiceTimer.js'
+
+describe('practiceTimer constants', () => {
+  it('ships presets within the allowed interval lengths', () => {
+    for (const preset of INTERVAL_PRESETS) {
+      expect(normalizeIntervalSec(preset.workSec)).toBe(preset.workSec)
+      expect(normalizeIntervalSec(preset.restSec)).toBe(preset.restSec)
+    }
+  })
+
+  it('clamps interval lengths to whole seconds', () => {
+    expect(normalizeIntervalSec('45.8')).toBe(45)
+    expect(normalizeIntervalSec(1)).toBe(5)
+    expect(normalizeIntervalSec(5000)).toBe(600)
+    expect(normalizeIntervalSec('')).toBeNull()
+    expect(normalizeIntervalSec('abc')).toBeNull()
+  })
+
+  it('reads a running timer off the session', () => {
+    expect(
+      sessionTimer({ timer_work_sec: 60, timer_rest_sec: 30, timer_started_at: '2025-01-15T10:00:00Z' })
+    ).toEqual({ workSec: 60, restSec: 30, startedMs: Date.parse('2025-01-15T10:00:00Z'), indexOffset: 0 })
+    expect(
+      sessionTimer({
+        timer_work_sec: 60,
+        timer_rest_sec: 30,
+        timer_started_at: '2025-01-15T10:00:00Z',
+        timer_index_offset: 2,
+      })
+    ).toMatchObject({ indexOffset: 2 })
+    expect(sessionTimer({ timer_work_sec: 60, timer_rest_sec: null, timer_started_at: '2025-01-15T10:00:00Z' })).toBeNull()
+    expect(sessionTimer(null)).toBeNull()
+  })
+
+  it('places a moment in its interval and phase', () => {
+    const timer = { workSec: 60, restSec: 30, startedMs: 0 }
+    expect(intervalAt(timer, 0)).toEqual({ index: 0, phase: 'work', remainingSec: 60 })
+    expect(intervalAt(timer, 59_500)).toEqual({ index: 0, phase: 'work', remainingSec: 1 })
+    expect(intervalAt(timer, 60_000)).toEqual({ index: 0, phase: 'rest', remainingSec: 30 })
+    expect(intervalAt(timer, 95_000)).toEqual({ index: 1, phase: 'work', remainingSec: 55 })
+    expect(intervalAt({ ...timer, indexOffset: 3 }, 95_000)).toEqual({ index: 4, phase: 'work', remainingSec: 55 })
+    expect(intervalAt(timer, -1)).toBeNull()
+    expect(intervalAt(null, 1000)).toBeNull()
+  })
+
+  it('measures session duration up to the end or now', () => {
+    const session = { started_at: '2025-01-15T10:00:00Z', ended_at: '2025-01-15T10:45:30Z' }
+    expect(sessionDurationSec(session)).toBe(2730)
+    expect(sessionDurationSec({ started_at: '2025-01-15T10:00:00Z' }, Date.parse('2025-01-15T10:01:00Z'))).toBe(60)
+    expect(sessionDurationSec({})).toBe(0)
+  })
+
+  it('formats durations and pace', () => {
+    expect(formatDuration(245)).toBe('4:05')
+    expect(formatDuration(3729)).toBe('1:02:09')
+    expect(formatDuration(null)).toBe('0:00')
+    expect(shotsPerMinute(30, 600)).toBe(3)
+    expect(shotsPerMinute(30, 0)).toBe(0)
+  })
+
+  it('splits makes by phase and interval', () => {
+    const summary = summarizeIntervals([
+      { interval_index: 1, interval_phase: 'work', attempts: 4, makes: 2 },
+      { interval_index: 0, interval_phase: 'rest', attempts: 2, makes: 0 },
+      { interval_index: 0, interval_phase: 'work', attempts: 5, makes: 4 },
+      { interval_index: 0, interval_phase: 'work', attempts: 1, makes: 1 },
+      { interval_index: null, interval_phase: null, attempts: 9, makes: 9 },
+    ])
+
+    expect(summary.work).toEqual({ attempts: 10, makes: 7, fgPct: 70 })
+    expect(summary.rest).toEqual({ attempts: 2, makes: 0, fgPct: 0 })
+    expect(summary.intervals.map((l) => [l.index, l.phase, l.makes, l.attempts])).toEqual([
+      [0, 'work', 5, 6],
+      [0, 'rest', 0, 2],
+      [1, 'work', 2, 4],
+    ])
+  })
+})
@@ -0,0 +1,44 @@
+// src/constants/__tests__/shotLocation.test.js
+import { describe, it, expect } from 'vitest'
+import {
+  COURT_IMAGE,
+  normalizeShotPoint,
+  pointFromTap,
+  zoneAnchorPoint,
+  eventShotPoint,
+  plotPointForEvent,
+} from '../shotLocation.js'
+
+describe('shotLocation constants', () => {
+  it('normalizes, clamps and rounds points', () => {
+    expect(normalizeShotPoint(0.123456, 0.5)).toEqual({ x: 0.1235, y: 0.5 })
+    expect(normalizeShotPoint(-0.2, 1.4)).toEqual({ x: 0, y: 1 })
+    expect(normalizeShotPoint('0.25', '0.75')).toEqual({ x: 0.25, y: 0.75 })
+    expect(normalizeShotPoint(null, 0.5)).toBeNull()
+    expect(normalizeShotPoint('', 0.5)).toBeNull()
+    expect(normalizeShotPoint('abc', 0.5)).toBeNull()
+  })
+
+  it('converts a tap inside the court box to fractions', () => {
+    const rect = { left: 10, top: 20, width: 200, height: 400 }
+    expect(pointFromTap(110, 120, rect)).toEqual({ x: 0.5, y: 0.25 })
+    expect(pointFromTap(110, 120, { left: 0, top: 0, width: 0, height: 0 })).toBeNull()
+    expect(pointFromTap(110, 120, null)).toBeNull()
+  })
+
+  it('places zone anchors on the court image', () => {
+    expect(zoneAnchorPoint('center_3')).toEqual({
+      x: Number((570.1 / COURT_IMAGE.width).toFixed(4)),
+      y: Number((500.2 / COURT_IMAGE.height).toFixed(4)),
+    })
+    expect(zoneAnchorPoint('free_throw')).toBeNull()
+  })
+
+  it('plots stored locations first and falls back to the zone anchor', () => {
+    expect(eventShotPoint({ shot_x: 0.3, shot_y: 0.4 })).toEqual({ x: 0.3, y: 0.4 })
+    expect(eventShotPoint({ zone_id: 'nail' })).toBeNull()
+    expect(plotPointForEvent({ zone_id: 'nail', shot_x: 0.3, shot_y: 0.4 })).toEqual({ x: 0.3, y: 0.4 })
+    expect(plotPointForEvent({ zone_id: 'nail' })).toEqual(zoneAnchorPoint('nail'))
+    expect(plotPointForEvent({ zone_id: 'unknown' })).toBeNull()
+  })
+})
@@ -0,0 +1,97 @@
+// src/constants/__tests__/situationTags.test.js
+import { describe, it, expect } from 'vitest'
+import {
+  SITUATION_TAG_GROUPS,
+  SITUATION_TAGS,
+  situationTagKey,
+  situationTagList,
+  normalizeSituationTagGroups,
+  addSituationTag,
+  removeSituationTag,
+  situationFilterOptions,
+  situationTagLabel,
+  normalizeSituationTags,
+  toggleSituationTag,
+  normalizeSituationFilter,
+  matchesSituation,
+} from '../situationTags.js'
+
+describe('situationTags constants', () => {
+  it('flattens every group into tags with unique keys', () => {
+    const keys = SITUATION_TAGS.map((t) => t.key)
+    expect(new Set(keys).size).toBe(keys.length)
+    expect(keys).toEqual(['transition', 'half_court', 'early_clock', 'late_clock', 'ato'])
+    expect(SITUATION_TAGS.find((t) => t.key === 'ato').group).toBe('play')
+    expect(SITUATION_TAG_GROUPS.every((g) => g.tags.length > 0)).toBe(true)
+    expect(situationTagLabel('late_clock')).toBe('Late clock')
+    expect(situationTagLabel('mystery')).toBe('mystery')
+  })
+
+  it('keeps known tags, one per group, in listed order', () => {
+    expect(normalizeSituationTags(['ato', 'late_clock', 'transition', 'half_court', 'x'])).toEqual([
+      'transition',
+      'late_clock',
+      'ato',
+    ])
+    expect(normalizeSituationTags(null)).toEqual([])
+  })
+
+  it('toggles tags, replacing the other tag of the same group', () => {
+    expect(toggleSituationTag([], 'transition')).toEqual(['transition'])
+    expect(toggleSituationTag(['transition', 'ato'], 'half_court')).toEqual(['half_court', 'ato'])
+    expect(toggleSituationTag(['transition', 'ato'], 'ato')).toEqual(['transition'])
+    expect(toggleSituationTag(['transition'], 'bogus')).toEqual(['transition'])
+  })
+
+  it('normalizes a saved tag set into the default groups', () => {
+    expect(normalizeSituationTagGroups(null)).toBe(SITUATION_TAG_GROUPS)
+    const groups = normalizeSituationTagGroups([
+      { key: 'possession', tags: [{ key: 'press_break', label: ' Press break ' }, { key: 'bad key!', label: '' }] },
+      { key: 'play', tags: [{ key: 'press_break', label: 'Dupe' }, { key: 'ato', label: 'ATO', title: 'After timeout' }] },
+      { key: 'mystery', tags: [{ key: 'x', label: 'X' }] },
+    ])
+    expect(groups.map((g) => g.key)).toEqual(['possession', 'shot_clock', 'play'])
+    expect(groups[0].tags).toEqual([{ key: 'press_break', label: 'Press break' }])
+    expect(groups[1].tags).toEqual([])
+    expect(groups[2].tags).toEqual([{ key: 'ato', label: 'ATO', title: 'After timeout' }])
+  })
+
+  it('adds and removes tags', () => {
+    expect(situationTagKey(' Press break! ')).toBe('press_break')
+    const added = addSituationTag(SITUATION_TAG_GROUPS, 'possession', 'Press break')
+    expect(added[0].tags.map((t) => t.key)).toEqual(['transition', 'half_court', 'press_break'])
+    expect(addSituationTag(added, 'play', 'press  break')).toBe(added)
+    expect(addSituationTag(added, 'play', '  ')).toBe(added)
+    expect(addSituationTag(added, 'nope', 'Zone')).toBe(added)
+    expect(situationTagList(removeSituationTag(added, 'transition')).map((t) => t.key)).toEqual([
+      'half_court',
+      'press_break',
+      'early_clock',
+      'late_clock',
+      'ato',
+    ])
+  })
+
+  it('uses a custom tag set in every helper', () => {
+    const groups = addSituationTag(removeSituationTag(SITUATION_TAG_GROUPS, 'ato'), 'play', 'Sideline out')
+    expect(situationTagLabel('sideline_out', groups)).toBe('Sideline out')
+    expect(normalizeSituationTags(['ato', 'sideline_out', 'transition'], groups)).toEqual([
+      'transition',
+      'sideline_out',
+    ])
+    expect(toggleSituationTag(['sideline_out'], 'transition', groups)).toEqual(['transition', 'sideline_out'])
+    expect(normalizeSituationFilter('sideline_out', groups)).toBe('sideline_out')
+    expect(normalizeSituationFilter('ato', groups)).toBe('all')
+    expect(situationFilterOptions(groups).at(-1)).toEqual({ id: 'sideline_out', label: 'Sideline out', title: undefined })
+    expect(situationFilterOptions().find((o) => o.id === 'ato').title).toBe('After timeout')
+  })
+
+  it('matches events against a situation filter', () => {
+    expect(normalizeSituationFilter('ato')).toBe('ato')
+    expect(normalizeSituationFilter('bogus')).toBe('all')
+    expect(matchesSituation(undefined, 'all')).toBe(true)
+    expect(matchesSituation(['ato'], 'ato')).toBe(true)
+    expect(matchesSituation(['transition'], 'ato')).toBe(false)
+    expect(matchesSituation(null, 'ato')).toBe(false)
+  })
+})
@@ -0,0 +1,95 @@
+// Streak challenges for practice: make N in a row from one zone and shot
+// type. Shots in a challenge are logged as single-shot entries (boolean
+// `made`); the result is kept as a practice_challenges row:
+// { zone_id, shot_type, target_streak, best_streak, attempts, makes,
+//   completed, started_at, ended_at }.
+
+export const CHALLENGE_TARGETS = [5, 10, 25]
+export const DEFAULT_CHALLENGE_TARGET = 10
+export const MIN_CHALLENGE_TARGET = 2
+export const MAX_CHALLENGE_TARGET = 100
+
+const FREE_THROW_ZONE_ID = "free_throw"
+
+/**
+ * Whole number between MIN_CHALLENGE_TARGET and MAX_CHALLENGE_TARGET, or null.
+ */
+export function normalizeChallengeTarget(value) {
+  if (value === "" || value == null) return null
+  const n = Math.floor(Number(value))
+  if (!Number.isFinite(n)) return null
+  return Math.min(MAX_CHALLENGE_TARGET, Math.max(MIN_CHALLENGE_TARGET, n))
+}
+
+// Records are kept per zone + shot type; free throws have no shot type
+export function challengeKey(zoneId, shotType) {
+  const shot = zoneId === FREE_THROW_ZONE_ID ? "" : shotType || ""
+  return `${zoneId || ""}|${shot}`
+}
+
+export function startChallenge({ zoneId, shotType, target }) {
+  return {
+    zone_id: zoneId,
+    shot_type: zoneId === FREE_THROW_ZONE_ID ? null : shotType || null,
+    target_streak: normalizeChallengeTarget(target) ?? DEFAULT_CHALLENGE_TARGET,
+    streak: 0,
+    best_streak: 0,
+    attempts: 0,
+    makes: 0,
+    completed: false,
+  }
+}
+
+/**
+ * Next challenge state after one shot. A miss resets the current streak;
+ * the challenge is completed once the streak reaches the target.
+ */
+export function applyChallengeShot(challenge, made) {
+  const streak = made ? challenge.streak + 1 : 0
+  return {
+    ...challenge,
+    streak,
+    best_streak: Math.max(challenge.best_streak, streak),
+    attempts: challenge.attempts + 1,
+    makes: challenge.makes + (made ? 1 : 0),
+    completed: challenge.completed || streak >= challenge.target_streak,
+  }
+}
+
+/**
+ * Best streak per zone + shot type over saved challenges: { [key]: number }.
+ */
+export function challengeRecords(challenges) {
+  const out = {}
+  for (const c of challenges || []) {
+    const key = challengeKey(c?.zone_id, c?.shot_type)
+    out[key] = Math.max(out[key] || 0, Number(c?.best_streak || 0))
+  }
+  return out
+}
+
+/**
+ * Longest run of consecutive makes over single-shot entries (boolean
+ * `made`), counted within each session in time order. Batch rows carry no
+ * shot order and are skipped.
+ */
+export function longestMakeStreak(entries) {
+  const bySession = new Map()
+  for (const e of entries || []) {
+    if (typeof e?.made !== "boolean") continue
+    const list = bySession.get(e.session_id) || []
+    list.push(e)
+    bySession.set(e.session_id, list)
+  }
+
+  let best = 0
+  for (const shots of bySession.values()) {
+    shots.sort((a, b) => String(a.ts || "").localeCompare(String(b.ts || "")))
+    let run = 0
+    for (const s of shots) {
+      run = s.made ? run + 1 : 0
+      if (run > best) best = run
+    }
+  }
+  return best
+}
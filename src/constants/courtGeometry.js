@@ -0,0 +1,254 @@
+// Court geometry: the three-point arc and corners, the paint (free-throw
+// lane) and the free-throw circle as shapes in feet, for each court
+// standard. `classifyPoint` turns a position on the half-court image into a
+// zone id and shot value; anything that maps taps or stored positions to
+// zones goes through it.
+//
+// Court coordinates are feet from the center of the rim: `depth` runs toward
+// half court (negative behind the rim), `lateral` is positive toward the
+// left side of the drawing (the side with the `left_*` zones).
+
+import { COURT_IMAGE, normalizeShotPoint, zoneAnchorPoint } from "./shotLocation"
+import { ZONES } from "./zones"
+
+// Dimensions in feet. `threePoint.corner` is the distance from the rim to
+// the straight corner segments; where it equals the radius the arc runs all
+// the way down to the rim line.
+export const COURT_SPECS = {
+  high_school: {
+    key: "high_school",
+    label: "High School",
+    width: 50,
+    rimFromBaseline: 5.25,
+    threePoint: { radius: 19.75, corner: 19.75 },
+    lane: { width: 12, length: 19 },
+    freeThrowCircleRadius: 6,
+  },
+  college: {
+    key: "college",
+    label: "College",
+    width: 50,
+    rimFromBaseline: 5.25,
+    threePoint: { radius: 22.146, corner: 21.656 },
+    lane: { width: 12, length: 19 },
+    freeThrowCircleRadius: 6,
+  },
+  nba: {
+    key: "nba",
+    label: "NBA",
+    width: 50,
+    rimFromBaseline: 5.25,
+    threePoint: { radius: 23.75, corner: 22 },
+    lane: { width: 16, length: 19 },
+    freeThrowCircleRadius: 6,
+  },
+  // 15 m x 28 m court, 6.75 m arc, 6.6 m corners, 4.9 m lane
+  fiba: {
+    key: "fiba",
+    label: "FIBA",
+    width: 49.213,
+    rimFromBaseline: 5.167,
+    threePoint: { radius: 22.146, corner: 21.654 },
+    lane: { width: 16.076, length: 19.029 },
+    freeThrowCircleRadius: 5.906,
+  },
+}
+
+export const COURT_SPEC_OPTIONS = [
+  { key: "high_school", label: "High School" },
+  { key: "college", label: "College" },
+  { key: "nba", label: "Pro (NBA)" },
+  { key: "fiba", label: "FIBA" },
+]
+
+// The drawn arc on /court-half.svg sits closest to the college line. Games
+// saved before sessions carried `court_spec` use it too, which is what
+// their zones' three-point flags were drawn for.
+export const DEFAULT_COURT_SPEC = "college"
+
+// Where the drawing puts the rim (pixels on COURT_IMAGE) and its scale,
+// measured from the sidelines 50 ft apart
+const DRAWING = { rimX: 113.5, rimY: 494.9, pxPerFoot: 17.4 }
+
+// Zone boundaries, shared by every spec
+const DEEP_THREE_FEET = 28 // deep threes start here, or 3 ft past the line
+const CORNER_ANGLE = 68 // degrees off the rim's straight-out line
+const SLOT_ANGLE = 12
+const WING_ANGLE = 32
+const DEEP_CENTER_ANGLE = 20
+const MID_CENTER_ANGLE = 15
+const HIGH_POST_ANGLE = 40
+const LOW_POST_FEET = 12 // outside the paint, closer than this is a low post
+const LOW_PAINT_FEET = 8 // paint split: runner / low post below, nail / high post above
+const NAIL_FEET = 17
+const SHORT_CORNER_FEET = 14.5 // lateral split between short corner and deep mid
+
+/**
+ * courtSpecFor(key | spec) → spec object, falling back to the default.
+ */
+export function courtSpecFor(courtSpec) {
+  if (courtSpec && typeof courtSpec === "object" && courtSpec.threePoint) return courtSpec
+  return COURT_SPECS[courtSpec] || COURT_SPECS[DEFAULT_COURT_SPEC]
+}
+
+export function normalizeCourtSpec(value) {
+  return COURT_SPECS[value] ? value : DEFAULT_COURT_SPEC
+}
+
+/**
+ * The court spec a game is played on (a COURT_SPECS key).
+ */
+export function courtSpecForSession(session) {
+  return normalizeCourtSpec(session?.court_spec)
+}
+
+/**
+ * Map of game id → court spec from session rows (an array or a Map).
+ */
+export function courtSpecsByGame(sessions) {
+  const out = new Map()
+  const rows = sessions instanceof Map ? sessions.values() : sessions || []
+  for (const session of rows) {
+    if (session?.id) out.set(session.id, courtSpecForSession(session))
+  }
+  return out
+}
+
+/**
+ * Suggested court for a game level (see constants/programLevel.js):
+ * college and adult play on the college line, youth and school games on
+ * the high school one.
+ */
+export function defaultCourtSpecForLevel({ level_category, aau_competition_level } = {}) {
+  if (level_category === "college") return "college"
+  if (level_category === "aau") {
+    const competition = String(aau_competition_level || "").toLowerCase()
+    return competition === "college" || competition === "adult" ? "college" : "high_school"
+  }
+  if (level_category === "k_12") return "high_school"
+  return DEFAULT_COURT_SPEC
+}
+
+/**
+ * Image fractions → { depth, lateral } in feet from the rim, kept on the
+ * court (not behind the baseline or past a sideline).
+ */
+export function pointToCourtFeet(x, y, courtSpec) {
+  const pt = normalizeShotPoint(x, y)
+  if (!pt) return null
+  const spec = courtSpecFor(courtSpec)
+  const depth = (pt.x * COURT_IMAGE.width - DRAWING.rimX) / DRAWING.pxPerFoot
+  const lateral = (pt.y * COURT_IMAGE.height - DRAWING.rimY) / DRAWING.pxPerFoot
+  const half = spec.width / 2
+  return {
+    depth: Math.max(-spec.rimFromBaseline, depth),
+    lateral: Math.min(half, Math.max(-half, lateral)),
+  }
+}
+
+// Depth where the straight corner segment meets the arc
+function cornerBreakDepth(spec) {
+  const { radius, corner } = spec.threePoint
+  return corner >= radius ? 0 : Math.sqrt(radius ** 2 - corner ** 2)
+}
+
+/**
+ * Beyond the three-point line? A shot on the line is a two.
+ */
+export function isBeyondArc({ depth, lateral }, courtSpec) {
+  const spec = courtSpecFor(courtSpec)
+  if (depth <= cornerBreakDepth(spec)) return Math.abs(lateral) > spec.threePoint.corner
+  return Math.hypot(depth, lateral) > spec.threePoint.radius
+}
+
+/**
+ * Inside the painted lane (baseline to the free-throw line)?
+ */
+export function isInPaint({ depth, lateral }, courtSpec) {
+  const spec = courtSpecFor(courtSpec)
+  const ftLineDepth = spec.lane.length - spec.rimFromBaseline
+  return Math.abs(lateral) <= spec.lane.width / 2 && depth <= ftLineDepth
+}
+
+/**
+ * Inside the free-throw circle (either half)?
+ */
+export function isInFreeThrowCircle({ depth, lateral }, courtSpec) {
+  const spec = courtSpecFor(courtSpec)
+  const ftLineDepth = spec.lane.length - spec.rimFromBaseline
+  return Math.hypot(depth - ftLineDepth, lateral) <= spec.freeThrowCircleRadius
+}
+
+function sided(lateral, suffix) {
+  return `${lateral >= 0 ? "left" : "right"}_${suffix}`
+}
+
+function threePointZone(feet, distance, angle, spec) {
+  const deep = Math.max(DEEP_THREE_FEET, spec.threePoint.radius + 3)
+  if (angle >= CORNER_ANGLE) return sided(feet.lateral, "corner_3")
+  if (distance >= deep) {
+    return angle < DEEP_CENTER_ANGLE ? "center_deep_3" : sided(feet.lateral, "deep_wing_3")
+  }
+  if (angle < SLOT_ANGLE) return "center_3"
+  return sided(feet.lateral, angle < WING_ANGLE ? "slot_3" : "wing_3")
+}
+
+function twoPointZone(feet, distance, angle, spec) {
+  const { lateral, depth } = feet
+  if (isInPaint(feet, spec)) {
+    const centered = Math.abs(lateral) <= spec.lane.width / 4
+    if (depth < LOW_PAINT_FEET) return centered ? "runner_floater" : sided(lateral, "low_post")
+    return centered ? "nail" : sided(lateral, "high_post")
+  }
+  if (angle >= CORNER_ANGLE) {
+    return sided(lateral, Math.abs(lateral) < SHORT_CORNER_FEET ? "short_corner" : "deep_mid")
+  }
+  if (distance < LOW_POST_FEET) return sided(lateral, "low_post")
+  if (angle < MID_CENTER_ANGLE) return distance < NAIL_FEET ? "nail" : "center_mid"
+  return sided(lateral, angle < HIGH_POST_ANGLE ? "high_post" : "wing_mid")
+}
+
+/**
+ * classifyPoint(x, y, courtSpec) → { zoneId, shotValue, isThree } | null
+ * `x` / `y` are fractions of the half-court image (see shotLocation.js);
+ * `courtSpec` is a COURT_SPECS key or spec object (default: college).
+ */
+export function classifyPoint(x, y, courtSpec) {
+  const spec = courtSpecFor(courtSpec)
+  const feet = pointToCourtFeet(x, y, spec)
+  if (!feet) return null
+
+  const distance = Math.hypot(feet.depth, feet.lateral)
+  // 0° straight out from the rim, 90° along the baseline
+  const angle = (Math.atan2(Math.abs(feet.lateral), feet.depth) * 180) / Math.PI
+  const isThree = isBeyondArc(feet, spec)
+  const zoneId = isThree
+    ? threePointZone(feet, distance, angle, spec)
+    : twoPointZone(feet, distance, angle, spec)
+  return { zoneId, shotValue: isThree ? 3 : 2, isThree }
+}
+
+/**
+ * Whether shots from a zone count as threes under a court standard: its
+ * anchor is classified like a tap. Zones without an anchor (free throws)
+ * keep the ZONES flag.
+ */
+export function zoneIsThree(zoneId, courtSpec) {
+  const anchor = zoneAnchorPoint(zoneId)
+  if (!anchor) return !!ZONES.find((z) => z.id === zoneId)?.isThree
+  return classifyPoint(anchor.x, anchor.y, courtSpec).isThree
+}
+
+/**
+ * Whether a logged shot counts as a three on `courtSpec`: its stored
+ * location, else its zone, is checked against that line. With no spec (or
+ * no position at all) the row's own `is_three` stands.
+ */
+export function shotIsThree(ev, courtSpec) {
+  if (!courtSpec) return !!ev?.is_three
+  const x = ev?.shot_x
+  const y = ev?.shot_y
+  if (normalizeShotPoint(x, y)) return classifyPoint(x, y, courtSpec).isThree
+  if (zoneAnchorPoint(ev?.zone_id)) return zoneIsThree(ev.zone_id, courtSpec)
+  return !!ev?.is_three
+}
@@ -0,0 +1,181 @@
+// Drill / workout templates for practice. A template is an ordered list of
+// steps: { zone_id, shot_type, target_reps, make_goal }. A guided run of a
+// template writes a practice marker with `drill_id`; entries logged during
+// the run point back at it through `drill_run_id` and `drill_step`.
+
+import { ZONES } from "./zones"
+import { SHOT_TYPES } from "./shotTypes"
+
+export const MAX_DRILL_STEPS = 20
+export const MAX_DRILL_NAME_LENGTH = 40
+export const DEFAULT_TARGET_REPS = 10
+const MAX_TARGET_REPS = 200
+
+const ZONE_BY_ID = new Map(ZONES.map((z) => [z.id, z]))
+const SHOT_TYPE_BY_ID = new Map(SHOT_TYPES.map((s) => [s.id, s]))
+const FREE_THROW_ZONE_ID = "free_throw"
+
+// Starting points for the template editor
+export const DRILL_PRESETS = [
+  {
+    key: "five_spot_catch_shoot",
+    name: "5-Spot Catch & Shoot",
+    steps: [
+      "left_corner_3",
+      "left_wing_3",
+      "center_3",
+      "right_wing_3",
+      "right_corner_3",
+    ].map((zone_id) => ({
+      zone_id,
+      shot_type: "catch_shoot",
+      target_reps: 10,
+      make_goal: null,
+    })),
+  },
+  {
+    key: "mikan",
+    name: "Mikan Drill",
+    steps: [
+      { zone_id: "left_low_post", shot_type: "layup", target_reps: 10, make_goal: 9 },
+      { zone_id: "right_low_post", shot_type: "layup", target_reps: 10, make_goal: 9 },
+    ],
+  },
+  {
+    key: "free_throws",
+    name: "Free Throws",
+    steps: [{ zone_id: "free_throw", shot_type: null, target_reps: 20, make_goal: 16 }],
+  },
+]
+
+function wholeNumber(value) {
+  if (value === "" || value == null) return null
+  const n = Math.floor(Number(value))
+  return Number.isFinite(n) ? n : null
+}
+
+export function normalizeDrillName(value) {
+  return String(value ?? "").trim().slice(0, MAX_DRILL_NAME_LENGTH)
+}
+
+/**
+ * Known zones only (unknown steps are dropped), shot type cleared for free
+ * throws, reps between 1 and 200, and a make goal no higher than the reps.
+ */
+export function normalizeDrillSteps(list) {
+  if (!Array.isArray(list)) return []
+  const out = []
+  for (const step of list) {
+    if (out.length >= MAX_DRILL_STEPS) break
+    const zoneId = step?.zone_id ?? step?.zoneId
+    if (!ZONE_BY_ID.has(zoneId)) continue
+
+    const shotTypeId = step?.shot_type ?? step?.shotType ?? null
+    const shotType =
+      zoneId === FREE_THROW_ZONE_ID || !SHOT_TYPE_BY_ID.has(shotTypeId) ? null : shotTypeId
+
+    const reps = wholeNumber(step?.target_reps ?? step?.targetReps)
+    const targetReps = Math.min(MAX_TARGET_REPS, Math.max(1, reps ?? DEFAULT_TARGET_REPS))
+
+    const goal = wholeNumber(step?.make_goal ?? step?.makeGoal)
+    const makeGoal = goal == null || goal < 1 ? null : Math.min(goal, targetReps)
+
+    out.push({ zone_id: zoneId, shot_type: shotType, target_reps: targetReps, make_goal: makeGoal })
+  }
+  return out
+}
+
+export function drillStepLabel(step) {
+  if (!step) return ""
+  const zone = ZONE_BY_ID.get(step.zone_id)?.label || step.zone_id
+  const shot = SHOT_TYPE_BY_ID.get(step.shot_type)?.label
+  return shot ? `${zone} · ${shot}` : zone
+}
+
+export function drillTargetReps(steps) {
+  return (steps || []).reduce((sum, s) => sum + Number(s?.target_reps || 0), 0)
+}
+
+/**
+ * Index of the first step still open in this run, or -1 when every step is
+ * done. A batch entry finishes its step; single shots (entries with a boolean
+ * `made`) finish it once they reach the step's target reps.
+ */
+export function nextDrillStep(steps, entries) {
+  const isDone = stepDoneCheck(entries)
+  return (steps || []).findIndex((step, i) => !isDone(step, i))
+}
+
+function stepDoneCheck(entries) {
+  const batched = new Set()
+  const shots = new Map() // step index -> single shots logged
+  for (const e of entries || []) {
+    if (typeof e?.made === "boolean") shots.set(e.drill_step, (shots.get(e.drill_step) || 0) + 1)
+    else batched.add(e?.drill_step)
+  }
+  return (step, i) => batched.has(i) || (shots.get(i) || 0) >= Number(step?.target_reps || 1)
+}
+
+/**
+ * Totals for one run: makes / attempts over its entries, how many steps are
+ * done (see nextDrillStep), and how many step goals were met.
+ */
+export function summarizeDrillRun(steps, entries) {
+  const list = steps || []
+  const byStep = new Map() // step index -> { attempts, makes }
+  let attempts = 0
+  let makes = 0
+  for (const e of entries || []) {
+    const a = Number(e?.attempts || 0)
+    const m = Number(e?.makes || 0)
+    attempts += a
+    makes += m
+    const cur = byStep.get(e?.drill_step) || { attempts: 0, makes: 0 }
+    byStep.set(e?.drill_step, { attempts: cur.attempts + a, makes: cur.makes + m })
+  }
+
+  const isDone = stepDoneCheck(entries)
+  let stepsDone = 0
+  let goalsSet = 0
+  let goalsMet = 0
+  list.forEach((step, i) => {
+    const line = byStep.get(i)
+    if (isDone(step, i)) stepsDone++
+    if (step?.make_goal != null) {
+      goalsSet++
+      if (line && line.makes >= step.make_goal) goalsMet++
+    }
+  })
+
+  return {
+    attempts,
+    makes,
+    fgPct: attempts ? (makes / attempts) * 100 : 0,
+    stepsDone,
+    stepCount: list.length,
+    complete: list.length > 0 && stepsDone === list.length,
+    goalsSet,
+    goalsMet,
+  }
+}
+
+/**
+ * Best run: most makes, then the better FG%, then the earlier run.
+ */
+export function bestDrillRun(runs) {
+  let best = null
+  for (const run of runs || []) {
+    if (!run?.attempts) continue
+    if (
+      !best ||
+      run.makes > best.makes ||
+      (run.makes === best.makes && run.fgPct > best.fgPct) ||
+      (run.makes === best.makes &&
+        run.fgPct === best.fgPct &&
+        String(run.ts || "") < String(best.ts || ""))
+    ) {
+      best = run
+    }
+  }
+  return best
+}
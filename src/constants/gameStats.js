@@ -0,0 +1,31 @@
+// Box-score events beyond shots and free throws.
+// Rebounds store `rebound_type`; fouls count against the session's
+// `foul_limit` (personal fouls before fouling out).
+
+export const REBOUND_TYPES = [
+  { key: "offensive", label: "Offensive", short: "OREB" },
+  { key: "defensive", label: "Defensive", short: "DREB" },
+]
+
+// 5 in most leagues, 6 in the NBA
+export const DEFAULT_FOUL_LIMIT = 5
+export const MAX_FOUL_LIMIT = 10
+
+export function normalizeReboundType(value) {
+  return REBOUND_TYPES.some((r) => r.key === value) ? value : null
+}
+
+export function foulLimitFor(session) {
+  const n = Number.parseInt(session?.foul_limit, 10)
+  return Number.isFinite(n) && n >= 1 ? Math.min(n, MAX_FOUL_LIMIT) : DEFAULT_FOUL_LIMIT
+}
+
+/**
+ * Foul trouble for the logger banner:
+ * "fouled_out" at the limit, "warning" one foul short, otherwise null.
+ */
+export function foulStatus(fouls, limit = DEFAULT_FOUL_LIMIT) {
+  if (fouls >= limit) return "fouled_out"
+  if (limit > 1 && fouls === limit - 1) return "warning"
+  return null
+}
@@ -0,0 +1,41 @@
+// Lineups for a game. Sessions keep a `team_roster` of the athlete's
+// teammates (same { id, number, name } shape as the opponent roster) and the
+// `current_lineup` on the floor while logging. Each shot keeps `lineup_ids`:
+// the teammates on the floor with the athlete, so the athlete plus up to
+// four roster ids make the five.
+
+import { findRosterPlayer, normalizeOpponentRoster, rosterPlayerLabel } from "./opponentRoster"
+
+export const MAX_LINEUP_TEAMMATES = 4
+
+// Teammates share the opponent roster's shape and rules
+export function normalizeTeamRoster(list) {
+  return normalizeOpponentRoster(list)
+}
+
+/**
+ * Unique, non-blank ids, at most MAX_LINEUP_TEAMMATES. With a roster, ids
+ * not on it are dropped and the rest follow roster order.
+ */
+export function normalizeLineup(ids, roster = null) {
+  if (!Array.isArray(ids)) return []
+  const picked = []
+  for (const raw of ids) {
+    const id = String(raw ?? "").trim()
+    if (!id || picked.includes(id)) continue
+    if (Array.isArray(roster) && !findRosterPlayer(roster, id)) continue
+    picked.push(id)
+  }
+  if (Array.isArray(roster)) {
+    const order = roster.map((p) => p.id)
+    picked.sort((a, b) => order.indexOf(a) - order.indexOf(b))
+  }
+  return picked.slice(0, MAX_LINEUP_TEAMMATES)
+}
+
+// "#5 Ava · #12 · Kim"
+export function lineupLabel(ids, roster) {
+  return normalizeLineup(ids)
+    .map((id) => rosterPlayerLabel(findRosterPlayer(roster, id)))
+    .join(" · ")
+}
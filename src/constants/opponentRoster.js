@@ -0,0 +1,49 @@
+// Opponent roster for a game. Sessions keep `opponent_roster` as a list of
+// { id, number, name }. A shot's `defender_id` points at the opponent
+// guarding it. Ids only have to be unique within the game's roster.
+
+export const MAX_ROSTER_SIZE = 20
+const MAX_NUMBER_LENGTH = 3
+
+function cleanText(value) {
+  return String(value ?? "").trim()
+}
+
+/**
+ * Tidy a roster: trimmed jersey numbers and names, blank entries dropped,
+ * and every player given a unique id (`p1`, `p2`, ... when missing).
+ */
+export function normalizeOpponentRoster(list) {
+  if (!Array.isArray(list)) return []
+  const out = []
+  const usedIds = new Set()
+  for (const entry of list) {
+    if (out.length >= MAX_ROSTER_SIZE) break
+    const number = cleanText(entry?.number).replace(/^#/, "").slice(0, MAX_NUMBER_LENGTH)
+    const name = cleanText(entry?.name)
+    if (!number && !name) continue
+
+    let id = cleanText(entry?.id)
+    if (!id || usedIds.has(id)) {
+      let n = out.length + 1
+      while (usedIds.has(`p${n}`)) n += 1
+      id = `p${n}`
+    }
+    usedIds.add(id)
+    out.push({ id, number: number || null, name: name || null })
+  }
+  return out
+}
+
+export function rosterPlayerLabel(player) {
+  if (!player) return "Unknown"
+  const parts = []
+  if (player.number) parts.push(`#${player.number}`)
+  if (player.name) parts.push(player.name)
+  return parts.join(" ") || "Unknown"
+}
+
+export function findRosterPlayer(roster, playerId) {
+  if (!playerId || !Array.isArray(roster)) return null
+  return roster.find((p) => p?.id === playerId) || null
+}
@@ -0,0 +1,80 @@
+// Game period model. A game session stores `period_format`, `period_count`
+// and `current_period` (1-based); periods past `period_count` are overtime.
+// Events store the `period` they happened in and an optional
+// `game_clock_seconds` (time left on the clock).
+
+export const PERIOD_FORMATS = [
+  { key: "quarters", label: "4 Quarters", count: 4, prefix: "Q" },
+  { key: "halves", label: "2 Halves", count: 2, prefix: "H" },
+  { key: "custom", label: "Custom", count: null, prefix: "P" },
+]
+
+export const DEFAULT_PERIOD_FORMAT = "quarters"
+export const MAX_CUSTOM_PERIODS = 8
+
+function formatFor(key) {
+  return PERIOD_FORMATS.find((f) => f.key === key) || null
+}
+
+export function normalizePeriodFormat(value) {
+  return formatFor(value) ? value : DEFAULT_PERIOD_FORMAT
+}
+
+/**
+ * Regulation periods for a session. Legacy sessions (no period fields)
+ * count as four quarters.
+ */
+export function periodCountFor(session) {
+  const format = formatFor(session?.period_format) || formatFor(DEFAULT_PERIOD_FORMAT)
+  if (format.count) return format.count
+  const n = Number.parseInt(session?.period_count, 10)
+  return Number.isFinite(n) && n >= 1 ? Math.min(n, MAX_CUSTOM_PERIODS) : 4
+}
+
+export function isOvertime(period, session) {
+  return Number(period) > periodCountFor(session)
+}
+
+/**
+ * "Q3", "H1", "P2", "OT", "OT2"
+ */
+export function periodLabel(period, session) {
+  const n = Number(period)
+  if (!Number.isFinite(n) || n < 1) return "—"
+  const count = periodCountFor(session)
+  if (n > count) {
+    const ot = n - count
+    return ot === 1 ? "OT" : `OT${ot}`
+  }
+  const format = formatFor(session?.period_format) || formatFor(DEFAULT_PERIOD_FORMAT)
+  return `${format.prefix}${n}`
+}
+
+/**
+ * Which half a period falls in: "first" | "second" | "overtime" | null.
+ * With an odd custom count the middle period counts toward the second half.
+ */
+export function periodHalf(period, session) {
+  const n = Number(period)
+  if (!Number.isFinite(n) || n < 1) return null
+  const count = periodCountFor(session)
+  if (n > count) return "overtime"
+  return n <= Math.floor(count / 2) ? "first" : "second"
+}
+
+/**
+ * "7:32" | "45" → seconds left, or null for blank / invalid input.
+ */
+export function parseGameClock(text) {
+  const s = String(text ?? "").trim()
+  if (!s) return null
+  const m = s.match(/^(\d{1,2}):([0-5]\d)$/) || s.match(/^()(\d{1,3})$/)
+  if (!m) return null
+  return Number(m[1] || 0) * 60 + Number(m[2])
+}
+
+export function formatGameClock(seconds) {
+  if (seconds == null || !Number.isFinite(Number(seconds))) return ""
+  const total = Math.max(0, Math.round(Number(seconds)))
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`
+}
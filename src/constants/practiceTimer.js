@@ -0,0 +1,120 @@
+// Practice session timing: elapsed time, shots-per-minute pace and an
+// optional work/rest interval timer. A running timer lives on the session
+// (`timer_work_sec`, `timer_rest_sec`, `timer_started_at`); entries logged
+// while it runs keep `interval_index` and `interval_phase` ("work" | "rest").
+// Indexes are 0-based per session: a restarted timer counts on from
+// `timer_index_offset` so its intervals don't merge with earlier ones.
+
+export const INTERVAL_PHASES = ["work", "rest"]
+export const MIN_INTERVAL_SEC = 5
+export const MAX_INTERVAL_SEC = 600
+
+export const INTERVAL_PRESETS = [
+  { key: "60_30", label: "60 / 30", workSec: 60, restSec: 30 },
+  { key: "45_15", label: "45 / 15", workSec: 45, restSec: 15 },
+  { key: "30_30", label: "30 / 30", workSec: 30, restSec: 30 },
+]
+
+/**
+ * Whole seconds between MIN_INTERVAL_SEC and MAX_INTERVAL_SEC, or null.
+ */
+export function normalizeIntervalSec(value) {
+  if (value === "" || value == null) return null
+  const n = Math.floor(Number(value))
+  if (!Number.isFinite(n)) return null
+  return Math.min(MAX_INTERVAL_SEC, Math.max(MIN_INTERVAL_SEC, n))
+}
+
+export function sessionTimer(session) {
+  const workSec = normalizeIntervalSec(session?.timer_work_sec)
+  const restSec = normalizeIntervalSec(session?.timer_rest_sec)
+  const startedMs = Date.parse(session?.timer_started_at || "")
+  if (!workSec || !restSec || !Number.isFinite(startedMs)) return null
+  const indexOffset = Math.max(0, Math.floor(Number(session?.timer_index_offset) || 0))
+  return { workSec, restSec, startedMs, indexOffset }
+}
+
+/**
+ * Where `atMs` falls in a running timer: { index, phase, remainingSec }.
+ * Each interval is one work block followed by one rest block; `index`
+ * counts on from the timer's `indexOffset`. Null before the timer started
+ * or without a timer.
+ */
+export function intervalAt(timer, atMs) {
+  if (!timer || !Number.isFinite(atMs) || atMs < timer.startedMs) return null
+  const elapsed = (atMs - timer.startedMs) / 1000
+  const cycle = timer.workSec + timer.restSec
+  const cycles = Math.floor(elapsed / cycle)
+  const into = elapsed - cycles * cycle
+  const phase = into < timer.workSec ? "work" : "rest"
+  const phaseEnd = phase === "work" ? timer.workSec : cycle
+  return { index: (timer.indexOffset || 0) + cycles, phase, remainingSec: Math.ceil(phaseEnd - into) }
+}
+
+/**
+ * Seconds from `started_at` to `ended_at` (or `nowMs` while still running).
+ */
+export function sessionDurationSec(session, nowMs = Date.now()) {
+  const start = Date.parse(session?.started_at || "")
+  if (!Number.isFinite(start)) return 0
+  const end = session?.ended_at ? Date.parse(session.ended_at) : nowMs
+  if (!Number.isFinite(end) || end <= start) return 0
+  return Math.floor((end - start) / 1000)
+}
+
+// "4:05", or "1:02:09" past an hour
+export function formatDuration(totalSec) {
+  const sec = Math.max(0, Math.floor(Number(totalSec) || 0))
+  const h = Math.floor(sec / 3600)
+  const m = Math.floor((sec % 3600) / 60)
+  const s = String(sec % 60).padStart(2, "0")
+  return h ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`
+}
+
+export function shotsPerMinute(attempts, durationSec) {
+  if (!durationSec || durationSec < 1) return 0
+  return (Number(attempts) || 0) / (durationSec / 60)
+}
+
+/**
+ * Makes / attempts per phase and per interval for entries logged while a
+ * timer ran: { work, rest, intervals: [{ index, phase, attempts, makes, fgPct }] }.
+ * Untagged entries are left out.
+ */
+export function summarizeIntervals(entries) {
+  const phases = {}
+  for (const phase of INTERVAL_PHASES) phases[phase] = { attempts: 0, makes: 0 }
+  const byInterval = new Map() // "index:phase" → line
+
+  for (const e of entries || []) {
+    if (!INTERVAL_PHASES.includes(e?.interval_phase) || e.interval_index == null) continue
+    const attempts = Number(e.attempts || 0)
+    const makes = Number(e.makes || 0)
+    phases[e.interval_phase].attempts += attempts
+    phases[e.interval_phase].makes += makes
+
+    const key = `${e.interval_index}:${e.interval_phase}`
+    const line = byInterval.get(key) || {
+      index: Number(e.interval_index),
+      phase: e.interval_phase,
+      attempts: 0,
+      makes: 0,
+    }
+    line.attempts += attempts
+    line.makes += makes
+    byInterval.set(key, line)
+  }
+
+  const withPct = (line) => ({
+    ...line,
+    fgPct: line.attempts ? (line.makes / line.attempts) * 100 : 0,
+  })
+
+  return {
+    work: withPct(phases.work),
+    rest: withPct(phases.rest),
+    intervals: Array.from(byInterval.values())
+      .sort((a, b) => a.index - b.index || INTERVAL_PHASES.indexOf(a.phase) - INTERVAL_PHASES.indexOf(b.phase))
+      .map(withPct),
+  }
+}
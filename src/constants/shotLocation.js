@@ -0,0 +1,60 @@
+// Exact shot locations. Game events store `shot_x` / `shot_y` as fractions
+// (0–1) of the half-court image (/court-half.svg): x runs from the baseline
+// on the left edge, y from the top edge. Rows logged before locations
+// existed have neither and are drawn at their zone anchor. Zones for a
+// position come from courtGeometry.js.
+
+import { ZONE_ANCHORS } from "./zoneAnchors"
+
+// Intrinsic size of /court-half.svg; ZONE_ANCHORS are pixels on it
+export const COURT_IMAGE = { width: 671, height: 995 }
+
+const LOCATION_DIGITS = 4
+
+function clampFraction(n) {
+  return Math.min(1, Math.max(0, n))
+}
+
+/**
+ * { x, y } fractions rounded to 4 places, or null if either is missing.
+ */
+export function normalizeShotPoint(x, y) {
+  if (x == null || y == null || x === "" || y === "") return null
+  const nx = Number(x)
+  const ny = Number(y)
+  if (!Number.isFinite(nx) || !Number.isFinite(ny)) return null
+  const round = (n) => Number(clampFraction(n).toFixed(LOCATION_DIGITS))
+  return { x: round(nx), y: round(ny) }
+}
+
+/**
+ * Court fractions for a tap at (clientX, clientY) inside `rect` (the court
+ * image's bounding box). Null when the box has no size yet.
+ */
+export function pointFromTap(clientX, clientY, rect) {
+  if (!rect?.width || !rect?.height) return null
+  return normalizeShotPoint((clientX - rect.left) / rect.width, (clientY - rect.top) / rect.height)
+}
+
+/**
+ * Court fractions of a zone's anchor, or null for zones without one.
+ */
+export function zoneAnchorPoint(zoneId) {
+  const pt = ZONE_ANCHORS[zoneId]
+  if (!pt) return null
+  return normalizeShotPoint(pt.x / COURT_IMAGE.width, pt.y / COURT_IMAGE.height)
+}
+
+/**
+ * The stored location of an event, or null for legacy rows.
+ */
+export function eventShotPoint(ev) {
+  return normalizeShotPoint(ev?.shot_x, ev?.shot_y)
+}
+
+/**
+ * Where to draw an event: its stored location, else its zone anchor.
+ */
+export function plotPointForEvent(ev) {
+  return eventShotPoint(ev) || zoneAnchorPoint(ev?.zone_id)
+}
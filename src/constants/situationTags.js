@@ -0,0 +1,133 @@
+// Situation tags for game shots: how the possession got there and where the
+// shot clock was. Shots keep `situation_tags` as a list of keys, at most one
+// per group. The groups below are the defaults; the tags in each group can be
+// changed in Account (lib/situation-tag-settings.js) and that set shows up in
+// ShotModal and as filters on Performance and Heatmap. Helpers take the tag
+// set as `groups` and fall back to the defaults.
+
+export const SITUATION_TAG_GROUPS = [
+  {
+    key: "possession",
+    label: "Possession",
+    tags: [
+      { key: "transition", label: "Transition" },
+      { key: "half_court", label: "Half-court" },
+    ],
+  },
+  {
+    key: "shot_clock",
+    label: "Shot clock",
+    tags: [
+      { key: "early_clock", label: "Early clock" },
+      { key: "late_clock", label: "Late clock" },
+    ],
+  },
+  {
+    key: "play",
+    label: "Play",
+    tags: [{ key: "ato", label: "ATO", title: "After timeout" }],
+  },
+]
+
+export const MAX_SITUATION_TAG_LABEL = 24
+
+export function situationTagList(groups = SITUATION_TAG_GROUPS) {
+  return groups.flatMap((g) => g.tags.map((t) => ({ ...t, group: g.key })))
+}
+
+export const SITUATION_TAGS = situationTagList()
+
+function findTag(groups, key) {
+  return situationTagList(groups).find((t) => t.key === key) || null
+}
+
+// "Press break!" -> "press_break"
+export function situationTagKey(label) {
+  return String(label ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+}
+
+/**
+ * A saved tag set, back in the default groups: unknown groups are dropped,
+ * tags need a key and a label, and a key is used once. Not a list → defaults.
+ */
+export function normalizeSituationTagGroups(groups) {
+  if (!Array.isArray(groups)) return SITUATION_TAG_GROUPS
+  const seen = new Set()
+  return SITUATION_TAG_GROUPS.map((group) => {
+    const saved = groups.find((g) => g?.key === group.key)
+    const tags = []
+    for (const t of Array.isArray(saved?.tags) ? saved.tags : []) {
+      const key = situationTagKey(t?.key)
+      const label = String(t?.label ?? "").trim().slice(0, MAX_SITUATION_TAG_LABEL)
+      if (!key || !label || seen.has(key)) continue
+      seen.add(key)
+      tags.push(t.title ? { key, label, title: String(t.title) } : { key, label })
+    }
+    return { ...group, tags }
+  })
+}
+
+/**
+ * Add a tag labelled `label` to a group. Unchanged when the label is blank
+ * or its key is already taken.
+ */
+export function addSituationTag(groups, groupKey, label) {
+  const clean = String(label ?? "").trim().slice(0, MAX_SITUATION_TAG_LABEL)
+  const key = situationTagKey(clean)
+  if (!key || findTag(groups, key) || !groups.some((g) => g.key === groupKey)) return groups
+  return groups.map((g) => (g.key === groupKey ? { ...g, tags: [...g.tags, { key, label: clean }] } : g))
+}
+
+export function removeSituationTag(groups, key) {
+  return groups.map((g) => ({ ...g, tags: g.tags.filter((t) => t.key !== key) }))
+}
+
+export function situationTagLabel(key, groups = SITUATION_TAG_GROUPS) {
+  return findTag(groups, key)?.label || key
+}
+
+/**
+ * Known tags only, one per group (the first wins), in the order of `groups`.
+ */
+export function normalizeSituationTags(list, groups = SITUATION_TAG_GROUPS) {
+  if (!Array.isArray(list)) return []
+  const tags = situationTagList(groups)
+  const picked = new Map() // group -> key
+  for (const key of list) {
+    const tag = tags.find((t) => t.key === key)
+    if (tag && !picked.has(tag.group)) picked.set(tag.group, key)
+  }
+  return tags.filter((t) => picked.get(t.group) === t.key).map((t) => t.key)
+}
+
+/**
+ * Turn a tag on or off; turning one on replaces the other tag of its group.
+ */
+export function toggleSituationTag(tags, key, groups = SITUATION_TAG_GROUPS) {
+  const tag = findTag(groups, key)
+  const current = normalizeSituationTags(tags, groups)
+  if (!tag) return current
+  if (current.includes(key)) return current.filter((k) => k !== key)
+  const others = current.filter((k) => findTag(groups, k)?.group !== tag.group)
+  return normalizeSituationTags([...others, key], groups)
+}
+
+// Filter pill options for Performance and Heatmap
+export function situationFilterOptions(groups = SITUATION_TAG_GROUPS) {
+  return situationTagList(groups).map((t) => ({ id: t.key, label: t.label, title: t.title }))
+}
+
+export function normalizeSituationFilter(value, groups = SITUATION_TAG_GROUPS) {
+  return findTag(groups, value) ? value : "all"
+}
+
+/**
+ * Situation filter: "all" keeps everything, a tag key keeps tagged events.
+ */
+export function matchesSituation(tags, filter) {
+  if (!filter || filter === "all") return true
+  return Array.isArray(tags) && tags.includes(filter)
+}
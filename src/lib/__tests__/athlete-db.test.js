@@ -6,7 +6,11 @@ import {
   buildInitials,
   getActiveAthlete,
   getActiveAthleteId,
+  isTempAthleteId,
+  listAllAthletes,
   listAthletes,
+  remapAthleteId,
+  replaceAthletes,
   setActiveAthlete,
 } from "../athlete-db"
 
@@ -58,4 +62,39 @@ describe("athlete-db", () => {
     const archivedRow = raw.find((x) => x.id === one.id)
     expect(archivedRow?.archived_at).toBeTruthy()
   })
+
+  it("flags locally generated athlete ids as temporary", () => {
+    const athlete = addAthlete({ firstName: "Max", lastName: "" })
+
+    expect(isTempAthleteId(athlete.id)).toBe(true)
+    expect(isTempAthleteId("6f1c7b8e-0000-4000-8000-000000000000")).toBe(false)
+    expect(isTempAthleteId(null)).toBe(false)
+  })
+
+  it("keeps pending local athletes when replacing from remote", () => {
+    const pending = addAthlete({ firstName: "Local", lastName: "" })
+    const raw = JSON.parse(localStorage.getItem("nm_athletes") || "[]")
+    localStorage.setItem(
+      "nm_athletes",
+      JSON.stringify(raw.map((x) => ({ ...x, _dirty: true }))),
+    )
+
+    replaceAthletes([
+      { id: "remote-1", first_name: "Remote", last_name: "", archived_at: null },
+    ])
+
+    const ids = listAllAthletes().map((x) => x.id)
+    expect(ids).toContain(pending.id)
+    expect(ids).toContain("remote-1")
+    expect(getActiveAthleteId()).toBe(pending.id)
+  })
+
+  it("remaps an athlete id and follows it with the active selection", () => {
+    const athlete = addAthlete({ firstName: "Max", lastName: "" })
+
+    remapAthleteId(athlete.id, "server-1")
+
+    expect(listAllAthletes().map((x) => x.id)).toEqual(["server-1"])
+    expect(getActiveAthleteId()).toBe("server-1")
+  })
 })
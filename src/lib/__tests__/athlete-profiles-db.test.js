@@ -0,0 +1,149 @@
+import { beforeEach, describe, expect, it, vi } from "vitest"
+
+vi.mock("../supabase", () => ({
+  supabase: { from: vi.fn() },
+  getUser: vi.fn(),
+}))
+
+vi.mock("../sync-notify", () => ({
+  notifyLocalMutate: vi.fn(),
+}))
+
+import { supabase, getUser } from "../supabase"
+import { notifyLocalMutate } from "../sync-notify"
+import { getAthlete, listAllAthletes } from "../athlete-db"
+import {
+  _allDirtyAthletes,
+  _allSyncFailures,
+  _markClean,
+  _remapAthleteProfileId,
+  _requeueRow,
+  archiveAthleteProfile,
+  createAthleteProfile,
+  listAthleteProfiles,
+  updateAthleteProfile,
+  upsertAthleteProfilesFromRemote,
+} from "../athlete-profiles-db"
+
+function mockRemoteQuery(result) {
+  const query = {
+    select: vi.fn().mockReturnThis(),
+    eq: vi.fn().mockReturnThis(),
+    order: vi.fn().mockResolvedValue(result),
+  }
+  supabase.from.mockReturnValue(query)
+  return query
+}
+
+describe("athlete-profiles-db", () => {
+  beforeEach(() => {
+    localStorage.clear()
+    vi.clearAllMocks()
+    Object.defineProperty(navigator, "onLine", { value: true, configurable: true })
+  })
+
+  it("creates athletes locally as pending rows without touching the network", async () => {
+    const created = await createAthleteProfile({ firstName: " Max ", lastName: "McCarty" })
+
+    expect(created.id).toMatch(/^ath_/)
+    expect(created).toEqual(expect.objectContaining({
+      first_name: "Max",
+      last_name: "McCarty",
+      _dirty: true,
+      _table: "athlete_profiles",
+    }))
+    expect(supabase.from).not.toHaveBeenCalled()
+    expect(notifyLocalMutate).toHaveBeenCalled()
+  })
+
+  it("requires a first name", async () => {
+    await expect(createAthleteProfile({ firstName: "  " })).rejects.toThrow("First name is required")
+  })
+
+  it("queues edits and archives for sync", async () => {
+    const created = await createAthleteProfile({ firstName: "Max" })
+    upsertAthleteProfilesFromRemote([{ ...created, id: "server-1", _dirty: false }])
+
+    const updated = await updateAthleteProfile("server-1", { firstName: "Maxwell" })
+    expect(updated.initials).toBe("M")
+    expect(getAthlete("server-1")._dirty).toBe(true)
+
+    await archiveAthleteProfile("server-1")
+    expect(getAthlete("server-1").archived_at).toBeTruthy()
+    expect((await _allDirtyAthletes()).map((x) => x.id)).toContain("server-1")
+  })
+
+  it("throws when archiving an unknown athlete", async () => {
+    await expect(archiveAthleteProfile("missing")).rejects.toThrow("Athlete not found")
+  })
+
+  it("merges remote profiles into the local table when online", async () => {
+    getUser.mockResolvedValue({ id: "user-1" })
+    const query = mockRemoteQuery({
+      data: [{ id: "server-1", first_name: "Remote", last_name: "", archived_at: null }],
+      error: null,
+    })
+
+    const rows = await listAthleteProfiles()
+
+    expect(query.eq).toHaveBeenCalledWith("user_id", "user-1")
+    expect(rows.map((x) => x.id)).toEqual(["server-1"])
+  })
+
+  it("returns the local table when offline", async () => {
+    Object.defineProperty(navigator, "onLine", { value: false, configurable: true })
+    await createAthleteProfile({ firstName: "Offline" })
+
+    const rows = await listAthleteProfiles()
+
+    expect(supabase.from).not.toHaveBeenCalled()
+    expect(rows.map((x) => x.first_name)).toEqual(["Offline"])
+  })
+
+  it("keeps local rows when the remote fetch fails", async () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {})
+    getUser.mockResolvedValue({ id: "user-1" })
+    mockRemoteQuery({ data: null, error: { message: "boom" } })
+    await createAthleteProfile({ firstName: "Local" })
+
+    const rows = await listAthleteProfiles()
+
+    expect(rows.map((x) => x.first_name)).toEqual(["Local"])
+    expect(warn).toHaveBeenCalled()
+    warn.mockRestore()
+  })
+
+  it("renames a temporary athlete to its server id and marks it clean", async () => {
+    const created = await createAthleteProfile({ firstName: "Max" })
+
+    await _remapAthleteProfileId(created.id, "server-1")
+
+    expect(listAllAthletes().map((x) => x.id)).toEqual(["server-1"])
+    expect(getAthlete("server-1")._dirty).toBe(false)
+    expect(await _allDirtyAthletes()).toEqual([])
+  })
+
+  it("marks pushed rows clean", async () => {
+    const created = await createAthleteProfile({ firstName: "Max" })
+
+    await _markClean(created)
+
+    expect(getAthlete(created.id)._dirty).toBe(false)
+  })
+
+  it("lists quarantined athletes and requeues them", async () => {
+    const created = await createAthleteProfile({ firstName: "Max" })
+    await _markClean({ ...created, _sync_failed: true, _sync_error_code: "23505" })
+
+    expect((await _allSyncFailures()).map((x) => x.id)).toEqual([created.id])
+
+    await _requeueRow(created)
+
+    expect(getAthlete(created.id)).toEqual(expect.objectContaining({
+      _dirty: true,
+      _sync_failed: false,
+      _sync_error_code: null,
+    }))
+    expect(await _allSyncFailures()).toEqual([])
+  })
+})
@@ -0,0 +1,73 @@
+// src/lib/__tests__/athlete-remap.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { get, set, keys } from 'idb-keyval'
+import { remapAthleteIdInStores } from '../athlete-remap.js'
+
+vi.mock('idb-keyval', () => ({
+  get: vi.fn(),
+  set: vi.fn(),
+  keys: vi.fn(),
+}))
+
+const sessions = { storeName: 'sessions' }
+const events = { storeName: 'events' }
+const rows = {
+  sessions: { s1: { id: 's1', athlete_id: 'local-ath' } },
+  events: {
+    e1: { id: 'e1', athlete_id: 'local-ath', _dirty: false },
+    e2: { id: 'e2', athlete_id: 'other-ath' },
+  },
+}
+
+describe('remapAthleteIdInStores', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    keys.mockImplementation(async (store) => Object.keys(rows[store.storeName]))
+    get.mockImplementation(async (id, store) => rows[store.storeName][id])
+  })
+
+  it('should point matching rows in every store at the new id and mark them dirty', async () => {
+    await remapAthleteIdInStores(
+      [
+        [sessions, 'game_sessions'],
+        [events, 'game_events'],
+      ],
+      'local-ath',
+      'server-ath',
+    )
+
+    expect(set).toHaveBeenCalledTimes(2)
+    expect(set).toHaveBeenCalledWith(
+      's1',
+      { id: 's1', athlete_id: 'server-ath', _dirty: true, _table: 'game_sessions' },
+      sessions,
+    )
+    expect(set).toHaveBeenCalledWith(
+      'e1',
+      { id: 'e1', athlete_id: 'server-ath', _dirty: true, _table: 'game_events' },
+      events,
+    )
+  })
+
+  it('should only check the ids listIds returns', async () => {
+    const listIds = vi.fn(async () => ['e2'])
+
+    await remapAthleteIdInStores([[events, 'game_events']], 'other-ath', 'server-ath', listIds)
+
+    expect(listIds).toHaveBeenCalledWith(events)
+    expect(keys).not.toHaveBeenCalled()
+    expect(set).toHaveBeenCalledWith(
+      'e2',
+      { id: 'e2', athlete_id: 'server-ath', _dirty: true, _table: 'game_events' },
+      events,
+    )
+  })
+
+  it('should do nothing without two different ids', async () => {
+    await remapAthleteIdInStores([[events, 'game_events']], 'same', 'same')
+    await remapAthleteIdInStores([[events, 'game_events']], null, 'server-ath')
+
+    expect(keys).not.toHaveBeenCalled()
+    expect(set).not.toHaveBeenCalled()
+  })
+})
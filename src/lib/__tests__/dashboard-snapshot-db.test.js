@@ -0,0 +1,208 @@
+// src/lib/__tests__/dashboard-snapshot-db.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import {
+  EMPTY_SNAPSHOT,
+  buildDashboardSnapshot,
+  getDashboardSnapshot,
+  listAthleteShotRows,
+} from '../dashboard-snapshot-db.js'
+
+vi.mock('idb-keyval', () => ({
+  get: vi.fn(),
+  keys: vi.fn(),
+}))
+
+vi.mock('../idb-init.js', () => ({
+  whenIdbReady: vi.fn(() => Promise.resolve()),
+}))
+
+vi.mock('../game-db.js', () => ({
+  st: {
+    game: {
+      sessions: { dbName: 'game', storeName: 'sessions' },
+      events: { dbName: 'game', storeName: 'events' },
+    },
+  },
+}))
+
+vi.mock('../practice-db.js', () => ({
+  st: {
+    practice: {
+      sessions: { dbName: 'practice', storeName: 'sessions' },
+      entries: { dbName: 'practice', storeName: 'entries' },
+    },
+  },
+}))
+
+vi.mock('../goals-db.js', () => ({
+  listGoalSetsWithGoals: vi.fn(),
+}))
+
+describe('dashboard-snapshot-db', () => {
+  let mockGet, mockKeys, listGoalSetsWithGoals
+  let stores
+
+  const seed = (storeName, rows) => {
+    stores.set(storeName, new Map(rows.map((row) => [row.id ?? '__index__', row])))
+  }
+
+  beforeEach(async () => {
+    const idbKeyval = await import('idb-keyval')
+    const goalsDb = await import('../goals-db.js')
+
+    mockGet = idbKeyval.get
+    mockKeys = idbKeyval.keys
+    listGoalSetsWithGoals = goalsDb.listGoalSetsWithGoals
+
+    stores = new Map()
+    mockKeys.mockReset()
+    mockGet.mockReset()
+    mockKeys.mockImplementation(async (store) => [...(stores.get(store.storeName)?.keys() || [])])
+    mockGet.mockImplementation(async (key, store) => stores.get(store.storeName)?.get(key))
+    listGoalSetsWithGoals.mockReset()
+    listGoalSetsWithGoals.mockResolvedValue([])
+
+    vi.useFakeTimers()
+    vi.setSystemTime(new Date(2024, 0, 15, 12, 0, 0))
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  describe('listAthleteShotRows', () => {
+    it('should include unsynced rows and skip tombstones and other athletes', async () => {
+      seed('sessions', [
+        { id: 'g1', athlete_id: 'ath-1', _dirty: true },
+        { id: 'g2', athlete_id: 'ath-1', _deleted: true },
+      ])
+      seed('events', [
+        { id: 'e2', game_id: 'g1', athlete_id: 'ath-1', type: 'shot', ts: '2024-01-15T10:05:00Z', _dirty: true },
+        { id: 'e1', game_id: 'g1', athlete_id: 'ath-1', type: 'shot', ts: '2024-01-15T10:00:00Z', _dirty: false },
+        { id: 'e3', game_id: 'g1', athlete_id: 'ath-1', type: 'shot', ts: '2024-01-15T10:06:00Z', _deleted: true },
+        { id: 'e4', game_id: 'g2', athlete_id: 'ath-1', type: 'shot', ts: '2024-01-15T10:07:00Z' },
+        { id: 'e5', game_id: 'g1', athlete_id: 'ath-2', type: 'shot', ts: '2024-01-15T10:08:00Z' },
+      ])
+
+      const { gameEvents } = await listAthleteShotRows('ath-1')
+
+      expect(gameEvents.map((ev) => ev.id)).toEqual(['e1', 'e2'])
+    })
+
+    it('should ignore the practice index key', async () => {
+      const entries = [
+        { id: 'p1', session_id: 's1', athlete_id: 'ath-1', attempts: 5, makes: 3, ts: '2024-01-15T09:00:00Z', _dirty: true },
+      ]
+      seed('entries', [...entries])
+      stores.get('entries').set('__index__', ['p1'])
+      seed('sessions', [{ id: 's1', athlete_id: 'ath-1' }])
+
+      const { practiceEntries } = await listAthleteShotRows('ath-1')
+
+      expect(practiceEntries.map((row) => row.id)).toEqual(['p1'])
+    })
+
+    it('should return empty lists without an athlete', async () => {
+      expect(await listAthleteShotRows(null)).toEqual({ gameEvents: [], practiceEntries: [], gameSessions: [] })
+      expect(mockKeys).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('buildDashboardSnapshot', () => {
+    it('should return zeros with no data', () => {
+      expect(buildDashboardSnapshot({})).toEqual(EMPTY_SNAPSHOT)
+    })
+
+    it('should combine game shots and practice entries for the last 7 days', () => {
+      const gameEvents = [
+        { type: 'shot', made: true, is_three: true, zone_id: 'left_corner_3', ts: new Date(2024, 0, 15, 9).toISOString() },
+        { type: 'shot', made: false, zone_id: 'left_corner_3', ts: new Date(2024, 0, 14, 9).toISOString() },
+        { type: 'freethrow', made: true, ts: new Date(2024, 0, 15, 9).toISOString() },
+        { type: 'shot', made: true, zone_id: 'left_corner_3', ts: new Date(2024, 0, 1, 9).toISOString() },
+      ]
+      const practiceEntries = [
+        { zone_id: 'paint', attempts: 10, makes: 7, ts: new Date(2024, 0, 13, 9).toISOString() },
+        { zone_id: 'free_throw', attempts: 10, makes: 9, ts: new Date(2024, 0, 15, 9).toISOString() },
+      ]
+
+      const snapshot = buildDashboardSnapshot({ gameEvents, practiceEntries })
+
+      expect(snapshot.attempts7d).toBe(12)
+      expect(snapshot.makes7d).toBe(8)
+      expect(snapshot.gameAttempts7d).toBe(2)
+      expect(snapshot.practiceAttempts7d).toBe(10)
+      expect(snapshot.attemptsToday).toBe(1)
+      expect(snapshot.efgPct7d).toBeCloseTo((8.5 / 12) * 100)
+      expect(snapshot.topZone).toEqual(expect.objectContaining({ zoneId: 'paint', attempts: 10 }))
+      expect(snapshot.weakestZone?.zoneId).toBe('paint')
+      expect(snapshot.streakDays).toBe(3)
+      expect(snapshot.lastSession).toEqual(expect.objectContaining({ source: 'game', makes: 1 }))
+    })
+
+    it('should stop the streak at the first day without shots', () => {
+      const gameEvents = [
+        { type: 'shot', made: true, ts: new Date(2024, 0, 15, 9).toISOString() },
+        { type: 'shot', made: true, ts: new Date(2024, 0, 13, 9).toISOString() },
+      ]
+
+      expect(buildDashboardSnapshot({ gameEvents }).streakDays).toBe(1)
+    })
+
+    it('should summarize the next active goal set', () => {
+      const goalSets = [
+        { id: 'old', name: 'Archived', archived: true, due_date: '2024-01-01', goals: [] },
+        {
+          id: 'set-1',
+          name: 'January',
+          type: 'practice',
+          start_date: '2024-01-01',
+          due_date: '2024-01-31',
+          goals: [{ metric: 'attempts', target_value: 20 }],
+        },
+      ]
+      const practiceEntries = [
+        { zone_id: 'paint', attempts: 10, makes: 7, ts: new Date(2024, 0, 13, 9).toISOString() },
+      ]
+
+      const snapshot = buildDashboardSnapshot({ practiceEntries, goalSets })
+
+      expect(snapshot.goalSummary).toEqual({ setName: 'January', dueDate: '2024-01-31', progressPct: 50 })
+    })
+  })
+
+  describe('getDashboardSnapshot', () => {
+    it('should return the snapshot with the rows used to build it', async () => {
+      seed('sessions', [{ id: 'g1', athlete_id: 'ath-1' }])
+      seed('events', [
+        { id: 'e1', game_id: 'g1', athlete_id: 'ath-1', type: 'shot', made: true, ts: new Date(2024, 0, 15, 9).toISOString(), _dirty: true },
+      ])
+
+      const result = await getDashboardSnapshot({ athleteId: 'ath-1' })
+
+      expect(listGoalSetsWithGoals).toHaveBeenCalledWith({ athleteId: 'ath-1' })
+      expect(result.gameEvents).toHaveLength(1)
+      expect(result.snapshot.attemptsToday).toBe(1)
+      expect(result.snapshot.fgPct7d).toBe(100)
+    })
+
+    it('should fall back to no goal summary when goals fail to load', async () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+      listGoalSetsWithGoals.mockRejectedValue(new Error('boom'))
+
+      const result = await getDashboardSnapshot({ athleteId: 'ath-1' })
+
+      expect(result.snapshot.goalSummary).toBeNull()
+      expect(warn).toHaveBeenCalled()
+      warn.mockRestore()
+    })
+
+    it('should return the empty snapshot without an athlete', async () => {
+      expect(await getDashboardSnapshot()).toEqual({
+        snapshot: EMPTY_SNAPSHOT,
+        gameEvents: [],
+        practiceEntries: [],
+        gameSessions: [],
+      })
+    })
+  })
+})
@@ -7,13 +7,25 @@ import {
   getActiveGameSession,
   addGameSession,
   endGameSession,
+  setGamePeriod,
+  setGameLineup,
   deleteGameSession,
   addGameEvent,
   deleteGameEvent,
+  getGameEvent,
+  restoreGameEvent,
   listGameEventsBySession,
   _allDirtyGame,
   _markClean,
   _purgeGameRow,
+  _allSyncFailures,
+  _requeueRow,
+  _allConflicts,
+  _saveConflictRow,
+  _getLocalRow,
+  upsertGameSessionsFromRemote,
+  upsertGameEventsFromRemote,
+  deleteGameRowsFromRemote,
 } from '../game-db.js'
 
 // Mock dependencies
@@ -230,6 +242,54 @@ describe('game-db', () => {
       expect(notifyLocalMutate).toHaveBeenCalledTimes(1)
     })
 
+    it('should default to four quarters starting in the first period', async () => {
+      const result = await addGameSession()
+
+      expect(result.period_format).toBe('quarters')
+      expect(result.period_count).toBe(4)
+      expect(result.current_period).toBe(1)
+      expect(result.foul_limit).toBe(5)
+    })
+
+    it('should store the court standard, defaulting from the level', async () => {
+      expect((await addGameSession()).court_spec).toBe('college')
+      expect((await addGameSession({ level_category: 'k_12', level_grade: '10' })).court_spec).toBe('high_school')
+      expect((await addGameSession({ level_category: 'k_12', court_spec: 'fiba' })).court_spec).toBe('fiba')
+      expect((await addGameSession({ court_spec: 'street' })).court_spec).toBe('college')
+    })
+
+    it('should store a tidied opponent roster', async () => {
+      expect((await addGameSession()).opponent_roster).toEqual([])
+
+      const result = await addGameSession({
+        opponent_roster: [{ number: ' #23 ', name: ' James ' }, { number: '', name: '' }, { number: '3' }],
+      })
+      expect(result.opponent_roster).toEqual([
+        { id: 'p1', number: '23', name: 'James' },
+        { id: 'p2', number: '3', name: null },
+      ])
+    })
+
+    it('should store a tidied team roster with nobody on the floor yet', async () => {
+      const result = await addGameSession({ team_roster: [{ number: '#5', name: 'Ava' }, { name: '' }] })
+
+      expect(result.team_roster).toEqual([{ id: 'p1', number: '5', name: 'Ava' }])
+      expect(result.current_lineup).toEqual([])
+    })
+
+    it('should store a custom foul limit', async () => {
+      const result = await addGameSession({ foul_limit: 6 })
+
+      expect(result.foul_limit).toBe(6)
+    })
+
+    it('should store a custom period count', async () => {
+      const result = await addGameSession({ period_format: 'custom', period_count: 3 })
+
+      expect(result.period_format).toBe('custom')
+      expect(result.period_count).toBe(3)
+    })
+
     it('should create session with provided metadata', async () => {
       const meta = {
         team_name: 'Warriors',
@@ -420,6 +480,58 @@ describe('game-db', () => {
     })
   })
 
+  describe('setGamePeriod', () => {
+    it('should set current_period and mark the session dirty', async () => {
+      mockGet.mockResolvedValue({ id: 'session-1', status: 'active', current_period: 1, _dirty: false })
+
+      const result = await setGamePeriod('session-1', 3)
+
+      expect(result.current_period).toBe(3)
+      expect(result._dirty).toBe(true)
+      expect(result._table).toBe('game_sessions')
+      expect(mockSet).toHaveBeenCalledWith('session-1', result, st.game.sessions)
+      expect(notifyLocalMutate).toHaveBeenCalledTimes(1)
+    })
+
+    it('should return null when the session does not exist', async () => {
+      mockGet.mockResolvedValue(null)
+
+      expect(await setGamePeriod('missing', 2)).toBeNull()
+      expect(mockSet).not.toHaveBeenCalled()
+    })
+
+    it('should reject periods below 1', async () => {
+      mockGet.mockResolvedValue({ id: 'session-1', current_period: 1 })
+
+      await expect(setGamePeriod('session-1', 0)).rejects.toThrow('period must be a positive integer')
+      expect(mockSet).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('setGameLineup', () => {
+    it('should keep roster teammates in roster order and mark the session dirty', async () => {
+      const team_roster = [
+        { id: 'p1', number: '5', name: 'Ava' },
+        { id: 'p2', number: '12', name: null },
+      ]
+      mockGet.mockResolvedValue({ id: 'session-1', team_roster, current_lineup: [], _dirty: false })
+
+      const result = await setGameLineup('session-1', ['p2', 'gone', 'p1'])
+
+      expect(result.current_lineup).toEqual(['p1', 'p2'])
+      expect(result._dirty).toBe(true)
+      expect(mockSet).toHaveBeenCalledWith('session-1', result, st.game.sessions)
+      expect(notifyLocalMutate).toHaveBeenCalledTimes(1)
+    })
+
+    it('should return null when the session does not exist', async () => {
+      mockGet.mockResolvedValue(null)
+
+      expect(await setGameLineup('missing', ['p1'])).toBeNull()
+      expect(mockSet).not.toHaveBeenCalled()
+    })
+  })
+
   describe('deleteGameSession', () => {
     it('should mark session and its events as deleted', async () => {
       const mockSession = { id: 'session-1', status: 'active' }
@@ -524,6 +636,203 @@ describe('game-db', () => {
       expect(notifyLocalMutate).toHaveBeenCalled()
     })
 
+    it('should tag new events with the session current_period', async () => {
+      mockGet.mockImplementation(async (key) =>
+        key === 'game-1' ? { id: 'game-1', current_period: 3 } : null
+      )
+
+      const result = await addGameEvent({
+        game_id: 'game-1',
+        type: 'shot',
+        zone_id: 'zone-1',
+        made: true,
+        game_clock_seconds: 125,
+      })
+
+      expect(result.period).toBe(3)
+      expect(result.game_clock_seconds).toBe(125)
+    })
+
+    it('should store rebound_type on rebounds only', async () => {
+      const rebound = await addGameEvent({ game_id: 'game-1', type: 'rebound', rebound_type: 'defensive' })
+      const steal = await addGameEvent({ game_id: 'game-1', type: 'steal', rebound_type: 'defensive' })
+      const unknown = await addGameEvent({ game_id: 'game-1', type: 'rebound', reboundType: 'team' })
+
+      expect(rebound.rebound_type).toBe('defensive')
+      expect(steal.rebound_type).toBeNull()
+      expect(unknown.rebound_type).toBeNull()
+    })
+
+    it('should store fouled on shots and parent_event_id on linked free throws', async () => {
+      const shot = await addGameEvent({ game_id: 'game-1', type: 'shot', made: true, fouled: true })
+      const ft = await addGameEvent({ game_id: 'game-1', type: 'freethrow', made: true, parent_event_id: 'shot-1' })
+
+      expect(shot.fouled).toBe(true)
+      expect(shot.parent_event_id).toBeNull()
+      expect(ft.fouled).toBeNull()
+      expect(ft.parent_event_id).toBe('shot-1')
+    })
+
+    it('should store a clamped shot location on shots and keep it on edits', async () => {
+      const shot = await addGameEvent({ game_id: 'game-1', type: 'shot', made: true, shot_x: 0.123456, shot_y: 1.2 })
+      const ft = await addGameEvent({ game_id: 'game-1', type: 'freethrow', made: true, shot_x: 0.5, shot_y: 0.5 })
+
+      expect(shot.shot_x).toBe(0.1235)
+      expect(shot.shot_y).toBe(1)
+      expect(ft.shot_x).toBeNull()
+      expect(ft.shot_y).toBeNull()
+
+      mockGet.mockImplementation(async (key) => (key === shot.id ? shot : null))
+      const edited = await addGameEvent({ id: shot.id, game_id: 'game-1', type: 'shot', made: false })
+      expect(edited.shot_x).toBe(0.1235)
+      expect(edited.shot_y).toBe(1)
+    })
+
+    it('should store the lineup on shots, keep it on edits and clear it on request', async () => {
+      const shot = await addGameEvent({ game_id: 'game-1', type: 'shot', made: true, lineup_ids: ['p1', 'p1', 'p2'] })
+      const steal = await addGameEvent({ game_id: 'game-1', type: 'steal', lineup_ids: ['p1'] })
+
+      expect(shot.lineup_ids).toEqual(['p1', 'p2'])
+      expect(steal.lineup_ids).toEqual([])
+
+      mockGet.mockImplementation(async (key) => (key === shot.id ? shot : null))
+      const kept = await addGameEvent({ id: shot.id, game_id: 'game-1', type: 'shot', made: false })
+      expect(kept.lineup_ids).toEqual(['p1', 'p2'])
+
+      const cleared = await addGameEvent({ id: shot.id, game_id: 'game-1', type: 'shot', made: false, lineup_ids: [] })
+      expect(cleared.lineup_ids).toEqual([])
+    })
+
+    it('should store the defender on shots, keep it on edits and clear it on request', async () => {
+      const shot = await addGameEvent({ game_id: 'game-1', type: 'shot', made: true, defender_id: 'p1' })
+      const steal = await addGameEvent({ game_id: 'game-1', type: 'steal', defender_id: 'p1' })
+
+      expect(shot.defender_id).toBe('p1')
+      expect(steal.defender_id).toBeNull()
+
+      mockGet.mockImplementation(async (key) => (key === shot.id ? shot : null))
+      const kept = await addGameEvent({ id: shot.id, game_id: 'game-1', type: 'shot', made: false })
+      expect(kept.defender_id).toBe('p1')
+
+      const cleared = await addGameEvent({ id: shot.id, game_id: 'game-1', type: 'shot', made: false, defender_id: null })
+      expect(cleared.defender_id).toBeNull()
+    })
+
+    it('should store situation tags on shots and keep them on edits', async () => {
+      const shot = await addGameEvent({
+        game_id: 'game-1',
+        type: 'shot',
+        made: true,
+        situation_tags: ['ato', 'transition', 'half_court', 'bogus'],
+      })
+      const ft = await addGameEvent({ game_id: 'game-1', type: 'freethrow', made: true, situation_tags: ['ato'] })
+
+      expect(shot.situation_tags).toEqual(['transition', 'ato'])
+      expect(ft.situation_tags).toEqual([])
+
+      mockGet.mockImplementation(async (key) => (key === shot.id ? shot : null))
+      const kept = await addGameEvent({ id: shot.id, game_id: 'game-1', type: 'shot', made: false })
+      expect(kept.situation_tags).toEqual(['transition', 'ato'])
+
+      const retagged = await addGameEvent({ id: shot.id, game_id: 'game-1', type: 'shot', made: false, situation_tags: [] })
+      expect(retagged.situation_tags).toEqual([])
+    })
+
+    it('should take situation tags from the configured tag set', async () => {
+      localStorage.setItem(
+        'nm_situation_tag_groups',
+        JSON.stringify([{ key: 'play', tags: [{ key: 'sideline_out', label: 'Sideline out' }] }]),
+      )
+      try {
+        const shot = await addGameEvent({
+          game_id: 'game-1',
+          type: 'shot',
+          made: true,
+          situation_tags: ['transition', 'sideline_out'],
+        })
+        expect(shot.situation_tags).toEqual(['sideline_out'])
+      } finally {
+        localStorage.removeItem('nm_situation_tag_groups')
+      }
+    })
+
+    it('should store shot creation on shots and the zone on assists', async () => {
+      const shot = await addGameEvent({ game_id: 'game-1', type: 'shot', made: true, assisted: true })
+      const ft = await addGameEvent({ game_id: 'game-1', type: 'freethrow', made: true, assisted: true })
+      const assist = await addGameEvent({ game_id: 'game-1', type: 'assist', zone_id: 'center_mid' })
+
+      expect(shot.assisted).toBe(true)
+      expect(ft.assisted).toBeNull()
+      expect(assist.assisted).toBeNull()
+      expect(assist.zone_id).toBe('center_mid')
+
+      mockGet.mockImplementation(async (key) => (key === shot.id ? shot : null))
+      const kept = await addGameEvent({ id: shot.id, game_id: 'game-1', type: 'shot', made: false })
+      expect(kept.assisted).toBe(true)
+
+      const selfCreated = await addGameEvent({ id: shot.id, game_id: 'game-1', type: 'shot', made: false, assisted: false })
+      expect(selfCreated.assisted).toBe(false)
+
+      const cleared = await addGameEvent({ id: shot.id, game_id: 'game-1', type: 'shot', made: false, assisted: null })
+      expect(cleared.assisted).toBeNull()
+    })
+
+    it('should recompute running totals with a shot before its same-timestamp free throw', async () => {
+      const rows = {
+        ft: { id: 'ft', game_id: 'game-1', type: 'freethrow', made: true, parent_event_id: 'shot', ts: '2024-01-15T12:00:00.000Z' },
+        shot: { id: 'shot', game_id: 'game-1', type: 'shot', made: true, is_three: false, fouled: true, ts: '2024-01-15T12:00:00.000Z' },
+      }
+      mockKeys.mockResolvedValue(['ft', 'shot'])
+      mockGet.mockImplementation(async (key) => rows[key] || null)
+
+      await addGameEvent({ id: 'ft', game_id: 'game-1', type: 'freethrow', made: true, parent_event_id: 'shot', ts: '2024-01-15T12:00:00.000Z' })
+
+      const totals = Object.fromEntries(
+        mockSet.mock.calls
+          .filter(([, row]) => 'total_points' in row)
+          .map(([key, row]) => [key, row.total_points])
+      )
+      expect(totals).toEqual({ shot: 2, ft: 3 })
+    })
+
+    it('should score running totals on the game court spec', async () => {
+      const rows = {
+        'game-1': { id: 'game-1', court_spec: 'high_school' },
+        shot: { id: 'shot', game_id: 'game-1', type: 'shot', zone_id: 'center_mid', made: true, is_three: false, ts: '2024-01-15T12:00:00.000Z' },
+      }
+      mockKeys.mockResolvedValue(['shot'])
+      mockGet.mockImplementation(async (key) => rows[key] || null)
+
+      await addGameEvent({ id: 'shot', game_id: 'game-1', type: 'shot', zone_id: 'center_mid', made: true, ts: '2024-01-15T12:00:00.000Z' })
+
+      const totals = mockSet.mock.calls.map(([, row]) => row).filter((row) => 'total_points' in row)
+      // center_mid sits beyond the high school arc
+      expect(totals[0]).toMatchObject({ total_points: 3, total_3pt_made: 1, total_2pt_made: 0 })
+    })
+
+    it('should keep the period of an edited event', async () => {
+      mockGet.mockImplementation(async (key) => {
+        if (key === 'event-1') return { id: 'event-1', game_id: 'game-1', period: 2, game_clock_seconds: 40 }
+        if (key === 'game-1') return { id: 'game-1', current_period: 4 }
+        return null
+      })
+
+      const result = await addGameEvent({ id: 'event-1', game_id: 'game-1', type: 'shot', made: false })
+
+      expect(result.period).toBe(2)
+      expect(result.game_clock_seconds).toBe(40)
+    })
+
+    it('should keep the log time of an edited event', async () => {
+      mockGet.mockImplementation(async (key) =>
+        key === 'event-1' ? { id: 'event-1', game_id: 'game-1', ts: '2024-01-15T12:05:00.000Z' } : null,
+      )
+
+      const result = await addGameEvent({ id: 'event-1', game_id: 'game-1', type: 'shot', made: false })
+
+      expect(result.ts).toBe('2024-01-15T12:05:00.000Z')
+    })
+
     it('should throw error when game_id is missing', async () => {
       await expect(addGameEvent({ type: 'shot' })).rejects.toThrow('game_id is required')
     })
@@ -702,6 +1011,65 @@ describe('game-db', () => {
     })
   })
 
+  describe('getGameEvent', () => {
+    it('should return live events and hide tombstones', async () => {
+      mockGet.mockResolvedValueOnce({ id: 'e1', game_id: 'g1' })
+      expect(await getGameEvent('e1')).toEqual({ id: 'e1', game_id: 'g1' })
+
+      mockGet.mockResolvedValueOnce({ id: 'e1', _deleted: true })
+      expect(await getGameEvent('e1')).toBeNull()
+      expect(await getGameEvent(null)).toBeNull()
+    })
+  })
+
+  describe('restoreGameEvent', () => {
+    it('should write the snapshot back on top of the stored sync base', async () => {
+      const stored = {
+        id: 'e1',
+        game_id: 'g1',
+        type: 'steal',
+        _deleted: true,
+        updated_at: '2024-01-15T13:00:00Z',
+        _base: { updated_at: '2024-01-15T13:00:00Z' },
+      }
+      mockGet.mockResolvedValue(stored)
+
+      const result = await restoreGameEvent({
+        id: 'e1',
+        game_id: 'g1',
+        type: 'steal',
+        updated_at: '2024-01-15T12:00:00Z',
+        _base: { updated_at: '2024-01-15T12:00:00Z' },
+        _conflict: { fields: ['type'] },
+        _sync_failed: true,
+      })
+
+      expect(result._deleted).toBe(false)
+      expect(result._dirty).toBe(true)
+      expect(result._sync_failed).toBe(false)
+      expect(result._conflict).toBeUndefined()
+      expect(result.updated_at).toBe('2024-01-15T13:00:00Z')
+      expect(result._base).toEqual(stored._base)
+      expect(mockSet).toHaveBeenCalledWith('e1', result, st.game.events)
+      expect(notifyLocalMutate).toHaveBeenCalledTimes(1)
+    })
+
+    it('should recompute scoring totals when restoring a shot', async () => {
+      const shot = { id: 's1', game_id: 'g1', type: 'shot', made: true, is_three: true, ts: '2024-01-15T12:00:00Z' }
+      mockKeys.mockResolvedValue(['s1'])
+      mockGet.mockResolvedValue(shot)
+
+      await restoreGameEvent(shot)
+
+      const totals = mockSet.mock.calls.map(([, row]) => row).filter((row) => 'total_points' in row)
+      expect(totals[0].total_points).toBe(3)
+    })
+
+    it('should reject snapshots without id or game_id', async () => {
+      await expect(restoreGameEvent({ id: 'e1' })).rejects.toThrow('snapshot needs id and game_id')
+    })
+  })
+
   describe('listGameEventsBySession', () => {
     it('should return events for a specific game sorted by timestamp', async () => {
       mockKeys.mockResolvedValue(['e1', 'e2', 'e3', 'e4'])
@@ -817,6 +1185,16 @@ describe('game-db', () => {
       }), st.game.events)
     })
 
+    it('should keep the pushed values as the merge base', async () => {
+      const dirtySession = { id: 'session-1', _table: 'game_sessions', _dirty: true, team_score: 12 }
+      mockGet.mockResolvedValue(dirtySession)
+
+      await _markClean(dirtySession)
+
+      const saved = mockSet.mock.calls[0][1]
+      expect(saved._base).toEqual(expect.objectContaining({ updated_at: null, team_score: 12 }))
+    })
+
     it('should handle missing _table property', async () => {
       await _markClean({ id: 'test' })
 
@@ -855,4 +1233,227 @@ describe('game-db', () => {
       expect(mockDel).not.toHaveBeenCalled()
     })
   })
+
+  describe('_allSyncFailures', () => {
+    it('should return only quarantined rows from both stores', async () => {
+      mockKeys
+        .mockResolvedValueOnce(['s1', 's2'])
+        .mockResolvedValueOnce(['e1'])
+      mockGet
+        .mockResolvedValueOnce({ id: 's1', _table: 'game_sessions', _sync_failed: true })
+        .mockResolvedValueOnce({ id: 's2', _table: 'game_sessions', _dirty: true })
+        .mockResolvedValueOnce({ id: 'e1', _table: 'game_events', _sync_failed: true })
+
+      const result = await _allSyncFailures()
+
+      expect(result.map((row) => row.id)).toEqual(['s1', 'e1'])
+    })
+  })
+
+  describe('_requeueRow', () => {
+    it('should clear the failure fields and mark the row dirty', async () => {
+      mockGet.mockResolvedValue({
+        id: 'e1',
+        _table: 'game_events',
+        _dirty: false,
+        _sync_failed: true,
+        _sync_error_code: '23502',
+        _sync_error_message: 'null value',
+        _sync_error_at: '2024-01-01T00:00:00Z',
+      })
+
+      await _requeueRow({ id: 'e1', _table: 'game_events' })
+
+      expect(mockSet).toHaveBeenCalledWith(
+        'e1',
+        expect.objectContaining({
+          _dirty: true,
+          _sync_failed: false,
+          _sync_error_code: null,
+          _sync_error_message: null,
+          _sync_error_at: null,
+        }),
+        st.game.events,
+      )
+      expect(notifyLocalMutate).toHaveBeenCalled()
+    })
+
+    it('should do nothing when the row is gone', async () => {
+      await _requeueRow({ id: 'missing', _table: 'game_sessions' })
+
+      expect(mockSet).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('_allConflicts', () => {
+    it('should return conflicted rows that are not deleted', async () => {
+      mockKeys
+        .mockResolvedValueOnce(['s1', 's2'])
+        .mockResolvedValueOnce(['e1'])
+      mockGet
+        .mockResolvedValueOnce({ id: 's1', _conflict: { fields: ['team_score'] } })
+        .mockResolvedValueOnce({ id: 's2', _dirty: true })
+        .mockResolvedValueOnce({ id: 'e1', _conflict: { fields: ['made'] }, _deleted: true })
+
+      const result = await _allConflicts()
+
+      expect(result.map((row) => row.id)).toEqual(['s1'])
+    })
+  })
+
+  describe('_getLocalRow', () => {
+    it('should read the stored copy of a synced row', async () => {
+      mockGet.mockResolvedValue({ id: 'e1', made: true })
+
+      expect(await _getLocalRow({ id: 'e1', _table: 'game_events' })).toEqual({ id: 'e1', made: true })
+      expect(mockGet).toHaveBeenCalledWith('e1', st.game.events)
+      expect(await _getLocalRow({ id: 'x1', _table: 'practice_entries' })).toBeNull()
+    })
+  })
+
+  describe('_saveConflictRow', () => {
+    it('should store a detected conflict on the row', async () => {
+      mockGet.mockResolvedValue({ id: 's1', _table: 'game_sessions', _dirty: true, team_score: 60 })
+      const conflict = { remote: { team_score: 58 }, fields: ['team_score'], detected_at: 'x' }
+
+      await _saveConflictRow({ id: 's1', _table: 'game_sessions', _conflict: conflict })
+
+      expect(mockSet).toHaveBeenCalledWith(
+        's1',
+        expect.objectContaining({ team_score: 60, _conflict: conflict }),
+        st.game.sessions,
+      )
+      expect(notifyLocalMutate).not.toHaveBeenCalled()
+    })
+
+    it('should clear the conflict when saving a resolution', async () => {
+      mockGet.mockResolvedValue({ id: 's1', _table: 'game_sessions', team_score: 60, _conflict: { fields: [] } })
+
+      await _saveConflictRow({ id: 's1', _table: 'game_sessions', team_score: 58, _dirty: true })
+
+      const saved = mockSet.mock.calls[0][1]
+      expect(saved).toEqual(expect.objectContaining({ team_score: 58, _dirty: true }))
+      expect(saved).not.toHaveProperty('_conflict')
+    })
+  })
+
+  describe('upsertGameSessionsFromRemote', () => {
+    const base = { updated_at: '2024-01-15T10:00:00Z', team_score: 50, opponent_score: 40, venue: null }
+
+    it('should merge remote-only changes into a dirty local row', async () => {
+      mockGet.mockResolvedValue({ id: 's1', _table: 'game_sessions', _dirty: true, ...base, team_score: 60, _base: base })
+
+      await upsertGameSessionsFromRemote([{ id: 's1', ...base, updated_at: '2024-01-15T11:00:00Z', venue: 'Gym' }])
+
+      const saved = mockSet.mock.calls[0][1]
+      expect(saved).toEqual(expect.objectContaining({ team_score: 60, venue: 'Gym', _dirty: true }))
+      expect(saved._base.updated_at).toBe('2024-01-15T11:00:00Z')
+      expect(saved).not.toHaveProperty('_conflict')
+    })
+
+    it('should flag a conflict when both sides changed the same field', async () => {
+      mockGet.mockResolvedValue({ id: 's1', _table: 'game_sessions', _dirty: true, ...base, team_score: 60, _base: base })
+
+      await upsertGameSessionsFromRemote([{ id: 's1', ...base, updated_at: '2024-01-15T11:00:00Z', team_score: 58 }])
+
+      const saved = mockSet.mock.calls[0][1]
+      expect(saved.team_score).toBe(60)
+      expect(saved._conflict).toEqual(expect.objectContaining({ fields: ['team_score'] }))
+    })
+  })
+
+  describe('upsertGameEventsFromRemote', () => {
+    it('should drop clean local events missing remotely on a full pull', async () => {
+      mockKeys.mockResolvedValue(['stale', 'pending'])
+      mockGet.mockImplementation((key) => {
+        if (key === 'stale') return Promise.resolve({ id: 'stale', _dirty: false })
+        if (key === 'pending') return Promise.resolve({ id: 'pending', _dirty: true })
+        return Promise.resolve(null)
+      })
+
+      await upsertGameEventsFromRemote([{ id: 'event-1' }], { prune: true })
+
+      expect(mockDel).toHaveBeenCalledWith('stale', st.game.events)
+      expect(mockDel).not.toHaveBeenCalledWith('pending', st.game.events)
+      expect(mockSet).toHaveBeenCalledWith(
+        'event-1',
+        {
+          id: 'event-1',
+          _dirty: false,
+          _deleted: false,
+          _table: 'game_events',
+          _base: expect.objectContaining({ updated_at: null, made: null }),
+        },
+        st.game.events
+      )
+    })
+
+    it('should only merge rows on a delta pull', async () => {
+      await upsertGameEventsFromRemote([{ id: 'event-1' }])
+
+      expect(mockKeys).not.toHaveBeenCalled()
+      expect(mockDel).not.toHaveBeenCalled()
+      expect(mockSet).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('deleteGameRowsFromRemote', () => {
+    it('should delete clean rows named by the tombstone feed', async () => {
+      mockGet.mockImplementation((key) => {
+        if (key === 'event-1') return Promise.resolve({ id: 'event-1', _dirty: false })
+        if (key === 'event-2') return Promise.resolve({ id: 'event-2', _dirty: true })
+        return Promise.resolve(null)
+      })
+
+      await deleteGameRowsFromRemote('game_events', ['event-1', 'event-2', 'event-3'])
+
+      expect(mockDel).toHaveBeenCalledTimes(1)
+      expect(mockDel).toHaveBeenCalledWith('event-1', st.game.events)
+    })
+
+    it('should ignore unknown tables', async () => {
+      await deleteGameRowsFromRemote('practice_entries', ['x'])
+
+      expect(mockDel).not.toHaveBeenCalled()
+    })
+
+    it('should keep an event whose delete was undone: delete, sync, undo, pull', async () => {
+      const rows = new Map()
+      const keyOf = (key, store) => `${store.storeName}:${key}`
+      mockGet.mockImplementation(async (key, store) => rows.get(keyOf(key, store)))
+      mockSet.mockImplementation(async (key, value, store) => {
+        rows.set(keyOf(key, store), value)
+      })
+      mockDel.mockImplementation(async (key, store) => {
+        rows.delete(keyOf(key, store))
+      })
+      const synced = {
+        id: 'event-1',
+        game_id: 'game-1',
+        type: 'assist',
+        updated_at: '2024-01-15T10:00:00+00:00',
+        _dirty: false,
+        _table: 'game_events',
+      }
+      rows.set(keyOf('event-1', st.game.events), synced)
+
+      // delete, and the push removes it on the server (tombstone at 10:05)
+      await deleteGameEvent('event-1')
+      await _purgeGameRow(rows.get(keyOf('event-1', st.game.events)))
+      // undo, and the push re-inserts it (server stamps 10:06)
+      const restored = await restoreGameEvent(synced)
+      await _markClean(restored)
+      // next pull: the row comes back first, then the delete feed
+      await upsertGameEventsFromRemote([{ ...synced, updated_at: '2024-01-15T10:06:00+00:00' }])
+      await deleteGameRowsFromRemote('game_events', ['event-1'], { 'event-1': '2024-01-15T10:05:00+00:00' })
+
+      expect(rows.get(keyOf('event-1', st.game.events))).toEqual(
+        expect.objectContaining({ id: 'event-1', _dirty: false, updated_at: '2024-01-15T10:06:00+00:00' }),
+      )
+
+      // a later delete still applies
+      await deleteGameRowsFromRemote('game_events', ['event-1'], { 'event-1': '2024-01-15T10:07:00+00:00' })
+      expect(rows.has(keyOf('event-1', st.game.events))).toBe(false)
+    })
+  })
 })
@@ -0,0 +1,113 @@
+// src/lib/__tests__/game-history.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+vi.mock('../game-db.js', () => ({
+  addGameEvent: vi.fn(),
+  deleteGameEvent: vi.fn(),
+  getGameEvent: vi.fn(),
+  restoreGameEvent: vi.fn(),
+}))
+
+import { addGameEvent, deleteGameEvent, getGameEvent, restoreGameEvent } from '../game-db.js'
+import {
+  UNDO_LIMIT,
+  addGameEventWithHistory,
+  deleteGameEventWithHistory,
+  undoGameAction,
+  redoGameAction,
+  getGameHistory,
+  onGameHistoryChange,
+  clearGameHistory,
+  describeGameEvent,
+} from '../game-history.js'
+
+describe('game-history', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    clearGameHistory()
+    getGameEvent.mockResolvedValue(null)
+    deleteGameEvent.mockResolvedValue(true)
+    restoreGameEvent.mockResolvedValue({})
+    addGameEvent.mockImplementation(async (input) => ({ id: input.id || 'ev-1', ...input }))
+  })
+
+  it('should undo a new event with a tombstone and redo it by restoring the row', async () => {
+    const row = await addGameEventWithHistory({ game_id: 'g1', type: 'steal' })
+
+    expect(getGameHistory('g1')).toMatchObject({ canUndo: true, canRedo: false, undoLabel: 'Steal' })
+
+    await undoGameAction('g1')
+    expect(deleteGameEvent).toHaveBeenCalledWith('ev-1')
+    expect(getGameHistory('g1')).toMatchObject({ canUndo: false, canRedo: true, redoLabel: 'Steal' })
+
+    await redoGameAction('g1')
+    expect(restoreGameEvent).toHaveBeenCalledWith(row)
+    expect(getGameHistory('g1').canUndo).toBe(true)
+  })
+
+  it('should restore the previous row when undoing an edit', async () => {
+    const before = { id: 'shot-1', game_id: 'g1', type: 'shot', made: false }
+    getGameEvent.mockResolvedValue(before)
+
+    await addGameEventWithHistory({ id: 'shot-1', game_id: 'g1', type: 'shot', made: true })
+    expect(getGameHistory('g1').undoLabel).toBe('Edited Made 2PT')
+
+    await undoGameAction('g1')
+    expect(restoreGameEvent).toHaveBeenCalledWith(before)
+    expect(deleteGameEvent).not.toHaveBeenCalled()
+  })
+
+  it('should undo a delete by restoring and redo it by deleting again', async () => {
+    const before = { id: 'ft-1', game_id: 'g1', type: 'freethrow', made: true }
+    getGameEvent.mockResolvedValue(before)
+
+    await deleteGameEventWithHistory('ft-1')
+    expect(getGameHistory('g1').undoLabel).toBe('Deleted Made FT')
+
+    await undoGameAction('g1')
+    expect(restoreGameEvent).toHaveBeenCalledWith(before)
+
+    deleteGameEvent.mockClear()
+    await redoGameAction('g1')
+    expect(deleteGameEvent).toHaveBeenCalledWith('ft-1')
+  })
+
+  it('should clear redo on a new action and cap the undo stack', async () => {
+    await addGameEventWithHistory({ id: 'a', game_id: 'g1', type: 'assist' })
+    await undoGameAction('g1')
+    await addGameEventWithHistory({ id: 'b', game_id: 'g1', type: 'block' })
+    expect(getGameHistory('g1').canRedo).toBe(false)
+
+    for (let i = 0; i < UNDO_LIMIT + 5; i++) {
+      await addGameEventWithHistory({ id: `x${i}`, game_id: 'g1', type: 'foul' })
+    }
+    expect(getGameHistory('g1').undoCount).toBe(UNDO_LIMIT)
+  })
+
+  it('should keep the entry on the stack when undo fails', async () => {
+    await addGameEventWithHistory({ game_id: 'g1', type: 'steal' })
+    deleteGameEvent.mockRejectedValueOnce(new Error('IDB error'))
+
+    await expect(undoGameAction('g1')).rejects.toThrow('IDB error')
+    expect(getGameHistory('g1')).toMatchObject({ canUndo: true, canRedo: false })
+  })
+
+  it('should keep games separate and notify listeners', async () => {
+    const listener = vi.fn()
+    const off = onGameHistoryChange(listener)
+
+    await addGameEventWithHistory({ game_id: 'g1', type: 'steal' })
+    expect(listener).toHaveBeenCalledWith('g1')
+    expect(getGameHistory('g2').canUndo).toBe(false)
+    expect(await undoGameAction('g2')).toBeNull()
+
+    off()
+  })
+
+  it('should describe events for the toast', () => {
+    expect(describeGameEvent({ type: 'shot', made: true, is_three: true })).toBe('Made 3PT')
+    expect(describeGameEvent({ type: 'freethrow', made: false })).toBe('Missed FT')
+    expect(describeGameEvent({ type: 'rebound', rebound_type: 'offensive' })).toBe('Off Rebound')
+    expect(describeGameEvent({ type: 'forced_turnover' })).toBe('Forced TO')
+  })
+})
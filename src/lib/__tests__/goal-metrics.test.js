@@ -3,8 +3,10 @@ import { describe, it, expect, beforeEach } from 'vitest'
 import {
   BASE_METRIC_OPTIONS,
   GAME_ONLY_METRIC_OPTIONS,
+  PRACTICE_ONLY_METRIC_OPTIONS,
   metricIsPercent,
   metricIsCount,
+  metricIsRatio,
   filterEventsByDate,
   formatMetricValue,
   aggregateGameEvents,
@@ -63,6 +65,8 @@ describe('goal-metrics', () => {
       expect(values).toContain('steals_total')
       expect(values).toContain('assists_total')
       expect(values).toContain('rebounds_total')
+      expect(values).toContain('assist_turnover_ratio')
+      expect(values).toContain('blocks_total')
     })
   })
 
@@ -292,6 +296,12 @@ describe('goal-metrics', () => {
     it('should handle unknown metrics as counts', () => {
       expect(formatMetricValue('unknown_metric', 42.7)).toBe('43')
     })
+
+    it('should format ratio metrics with two decimals', () => {
+      expect(metricIsRatio('assist_turnover_ratio')).toBe(true)
+      expect(metricIsRatio('assists_total')).toBe(false)
+      expect(formatMetricValue('assist_turnover_ratio', 2.5)).toBe('2.50')
+    })
   })
 
   describe('aggregateGameEvents', () => {
@@ -329,6 +339,81 @@ describe('goal-metrics', () => {
       expect(stats.steals).toBe(1)
     })
 
+    it('should split rebounds and count blocks, turnovers and fouls', () => {
+      const events = [
+        { type: 'rebound', rebound_type: 'offensive' },
+        { type: 'rebound', rebound_type: 'defensive' },
+        { type: 'rebound', rebound_type: 'defensive' },
+        { type: 'rebound' },
+        { type: 'block' },
+        { type: 'turnover' },
+        { type: 'forced_turnover' },
+        { type: 'foul' },
+        { type: 'foul' },
+      ]
+
+      const stats = aggregateGameEvents(events)
+      expect(stats.rebounds).toBe(4)
+      expect(stats.offRebounds).toBe(1)
+      expect(stats.defRebounds).toBe(2)
+      expect(stats.blocks).toBe(1)
+      expect(stats.turnovers).toBe(1)
+      expect(stats.forcedTurnovers).toBe(1)
+      expect(stats.fouls).toBe(2)
+    })
+
+    it('should count threes by each game court when sessions are given', () => {
+      const events = [
+        { game_id: 'hs', type: 'shot', zone_id: 'center_mid', made: true, is_three: false },
+        { game_id: 'col', type: 'shot', zone_id: 'center_mid', made: true, is_three: false },
+      ]
+      const sessions = [
+        { id: 'hs', court_spec: 'high_school' },
+        { id: 'col', court_spec: 'college' },
+      ]
+
+      expect(aggregateGameEvents(events).threesMade).toBe(0)
+      const stats = aggregateGameEvents(events, { sessions })
+      expect(stats.threesMade).toBe(1)
+      expect(stats.threesAtt).toBe(1)
+      expect(stats.totalPoints).toBe(5)
+    })
+
+    it('should compute assist-to-turnover ratio, 0 with no turnovers like the other ratios', () => {
+      const assists = [{ type: 'assist' }, { type: 'assist' }, { type: 'assist' }]
+      expect(aggregateGameEvents(assists).assistTurnoverRatio).toBe(0)
+      expect(aggregateGameEvents([]).assistTurnoverRatio).toBe(0)
+      expect(
+        aggregateGameEvents([...assists, { type: 'turnover' }, { type: 'turnover' }]).assistTurnoverRatio
+      ).toBe(1.5)
+    })
+
+    it('should track shooting-foul trips and and-one free throws', () => {
+      const events = [
+        { id: 's1', type: 'shot', made: true, is_three: false, fouled: true },
+        { id: 'f1', type: 'freethrow', made: true, parent_event_id: 's1' },
+        { id: 's2', type: 'shot', made: false, is_three: true, fouled: true },
+        { id: 'f2', type: 'freethrow', made: true, parent_event_id: 's2' },
+        { id: 'f3', type: 'freethrow', made: false, parent_event_id: 's2' },
+        { id: 'f4', type: 'freethrow', made: true, parent_event_id: 's2' },
+        { id: 's3', type: 'shot', made: true, is_three: false, fouled: true },
+        { id: 'f5', type: 'freethrow', made: false, parent_event_id: 's3' },
+        { id: 'f6', type: 'freethrow', made: true },
+      ]
+
+      const stats = aggregateGameEvents(events)
+      expect(stats.ftTrips).toBe(3)
+      expect(stats.andOnes).toBe(2)
+      expect(stats.andOneFtAtt).toBe(2)
+      expect(stats.andOneFtMakes).toBe(1)
+      expect(stats.andOnePct).toBe(50)
+      // (2 + 1) + (0 + 2) + (2 + 0) over 3 trips
+      expect(stats.pointsPerFtTrip).toBeCloseTo(7 / 3, 5)
+      // standalone free throws still count toward FT%
+      expect(stats.ftAtt).toBe(6)
+      expect(stats.totalPoints).toBe(8)
+    })
+
     it('should aggregate field goal makes and attempts', () => {
       const events = [
         { type: 'shot', made: true, is_three: false },
@@ -443,6 +528,28 @@ describe('goal-metrics', () => {
       expect(stats.pressuredAtt).toBe(3)
     })
 
+    it('should split assisted and self-created shots and count assists by zone', () => {
+      const events = [
+        { type: 'shot', made: true, is_three: false, assisted: true },
+        { type: 'shot', made: false, is_three: false, assisted: true },
+        { type: 'shot', made: true, is_three: false, assisted: false },
+        { type: 'shot', made: true, is_three: false },
+        { type: 'assist', zone_id: 'nail' },
+        { type: 'assist', zone_id: 'nail' },
+        { type: 'assist' },
+      ]
+
+      const stats = aggregateGameEvents(events)
+      expect(stats.assistedFgm).toBe(1)
+      expect(stats.assistedFga).toBe(2)
+      expect(stats.assistedFgPct).toBe(50)
+      expect(stats.selfCreatedFgm).toBe(1)
+      expect(stats.selfCreatedFga).toBe(1)
+      expect(stats.selfCreatedFgPct).toBe(100)
+      expect(stats.assists).toBe(3)
+      expect(Array.from(stats.assistZones.entries())).toEqual([['nail', 2]])
+    })
+
     it('should handle mixed event types correctly', () => {
       const events = [
         { type: 'shot', made: true, is_three: true, zone_id: 'left_corner_3', shot_type: 'Catch & Shoot', pressured: false },
@@ -754,6 +861,23 @@ describe('goal-metrics', () => {
       })
     })
 
+    describe('shooting-foul metrics', () => {
+      const events = [
+        { id: 's1', type: 'shot', made: true, is_three: false, fouled: true, ts: '2024-01-15T10:00:00' },
+        { type: 'freethrow', made: true, parent_event_id: 's1', ts: '2024-01-15T10:00:05' },
+        { id: 's2', type: 'shot', made: false, is_three: false, fouled: true, ts: '2024-01-15T10:01:00' },
+        { type: 'freethrow', made: false, parent_event_id: 's2', ts: '2024-01-15T10:01:05' },
+        { type: 'freethrow', made: true, parent_event_id: 's2', ts: '2024-01-15T10:01:10' },
+      ]
+
+      it('should compute and-ones, conversion, trips and points per trip', () => {
+        expect(computeGameMetricValue('and_ones_total', events)).toBe(1)
+        expect(computeGameMetricValue('and_one_pct', events)).toBe(100)
+        expect(computeGameMetricValue('ft_trips_total', events)).toBe(2)
+        expect(computeGameMetricValue('points_per_ft_trip', events)).toBe(2)
+      })
+    })
+
     describe('date filtering', () => {
       it('should filter events by date range', () => {
         const events = [
@@ -823,6 +947,18 @@ describe('goal-metrics', () => {
         // Only field goals count: 4/5 = 80%
         expect(value).toBe(80)
       })
+
+      it('should count single shots alongside batches', () => {
+        const entries = [
+          createPracticeEntry(2, 4, { zone_id: 'left_wing_mid', made: null }),
+          createPracticeEntry(1, 1, { zone_id: 'left_corner_3', made: true }),
+          createPracticeEntry(0, 1, { zone_id: 'left_corner_3', made: false }),
+        ]
+
+        const value = computePracticeMetricValue('efg_overall', entries)
+        // FGM: 3, FGA: 6, 3PM: 1 → (3 + 0.5) / 6
+        expect(value).toBeCloseTo(58.33, 1)
+      })
     })
 
     describe('three_pct_overall', () => {
@@ -1123,6 +1259,10 @@ describe('goal-metrics', () => {
         ['steals_total', 0],
         ['assists_total', 0],
         ['rebounds_total', 0],
+        ['blocks_total', 0],
+        ['assist_turnover_ratio', 0],
+        ['and_one_pct', 0],
+        ['ft_trips_total', 0],
       ]
 
       practiceCases.forEach(([metric, expected, range]) => {
@@ -1167,8 +1307,10 @@ describe('goal-metrics', () => {
       },
       { type: 'freethrow', made: true, ts: '2026-02-05T10:03:00Z' },
       { type: 'assist', ts: '2026-02-05T10:04:00Z' },
-      { type: 'rebound', ts: '2026-02-05T10:05:00Z' },
+      { type: 'rebound', rebound_type: 'offensive', ts: '2026-02-05T10:05:00Z' },
       { type: 'steal', ts: '2026-02-05T10:06:00Z' },
+      { type: 'block', ts: '2026-02-05T10:07:00Z' },
+      { type: 'turnover', ts: '2026-02-05T10:08:00Z' },
     ]
 
     const gameCases = [
@@ -1185,6 +1327,10 @@ describe('goal-metrics', () => {
       ['steals_total', 1],
       ['assists_total', 1],
       ['rebounds_total', 1],
+      ['off_rebounds_total', 1],
+      ['def_rebounds_total', 0],
+      ['blocks_total', 1],
+      ['assist_turnover_ratio', 1],
     ]
 
     gameCases.forEach(([metric, expected, range]) => {
@@ -1198,4 +1344,53 @@ describe('goal-metrics', () => {
       })
     })
   })
+
+  describe('streak metrics', () => {
+    const shot = (session_id, ts, zone_id, made) => ({
+      session_id,
+      ts: `2024-01-15T10:${ts}:00`,
+      zone_id,
+      attempts: 1,
+      makes: made ? 1 : 0,
+      made,
+    })
+    const entries = [
+      // logged out of order on purpose
+      shot('s1', '03', 'left_wing_3', true),
+      shot('s1', '01', 'left_wing_3', true),
+      shot('s1', '02', 'nail', true),
+      shot('s1', '04', 'left_wing_3', false),
+      shot('s2', '01', 'left_wing_3', true),
+      shot('s2', '02', 'free_throw', true),
+      shot('s2', '03', 'free_throw', true),
+      shot('s2', '04', 'free_throw', true),
+      shot('s2', '05', 'free_throw', true),
+      // batches have no shot order
+      { session_id: 's2', ts: '2024-01-15T10:06:00', zone_id: 'nail', attempts: 10, makes: 10, made: null },
+    ]
+
+    it('should only be offered for practice and count as totals', () => {
+      expect(PRACTICE_ONLY_METRIC_OPTIONS.map((o) => o.value)).toEqual(['best_streak', 'best_streak_zone'])
+      expect(metricIsCount('best_streak')).toBe(true)
+      expect(metricIsCount('best_streak_zone')).toBe(true)
+      expect(computeGameMetricValue('best_streak', [{ type: 'shot', made: true, ts: '2024-01-15' }])).toBe(0)
+    })
+
+    it('should find the longest run of field-goal makes within a session', () => {
+      expect(computePracticeMetricValue('best_streak', entries)).toBe(3)
+    })
+
+    it('should find the longest run in one zone', () => {
+      expect(computePracticeMetricValue('best_streak_zone', entries, { zoneId: 'left_wing_3' })).toBe(2)
+      expect(computePracticeMetricValue('best_streak_zone', entries, { zoneId: 'free_throw' })).toBe(4)
+      expect(computePracticeMetricValue('best_streak_zone', entries)).toBe(0)
+    })
+
+    it('should respect the date range', () => {
+      const value = computePracticeMetricValue('best_streak', entries, {
+        startDate: '2024-01-15T10:02:30',
+      })
+      expect(value).toBe(1)
+    })
+  })
 })
@@ -1,6 +1,7 @@
 // src/lib/__tests__/goals-db.test.js
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
 import {
+  st,
   listGoalSetsWithGoals,
   createGoalSet,
   updateGoalSet,
@@ -10,14 +11,33 @@ import {
   updateGoal,
   deleteGoal,
   deleteGoalsBySet,
+  _allDirtyGoals,
+  _markClean,
+  _purgeGoalsRow,
+  upsertGoalSetsFromRemote,
+  upsertGoalsFromRemote,
+  deleteGoalsRowsFromRemote,
 } from '../goals-db.js'
 
-// Mock supabase module
-vi.mock('../supabase.js', () => ({
-  supabase: {
-    from: vi.fn(),
-  },
-  getUser: vi.fn(),
+// Mock dependencies
+vi.mock('idb-keyval', () => ({
+  createStore: vi.fn((dbName, storeName) => ({ dbName, storeName })),
+  get: vi.fn(),
+  set: vi.fn(),
+  keys: vi.fn(),
+  del: vi.fn(),
+}))
+
+vi.mock('../idb-init.js', () => ({
+  whenIdbReady: vi.fn(() => Promise.resolve()),
+}))
+
+vi.mock('../sync-notify.js', () => ({
+  notifyLocalMutate: vi.fn(),
+}))
+
+vi.mock('../util-id.js', () => ({
+  uuid: vi.fn(),
 }))
 
 vi.mock('../athlete-db.js', () => ({
@@ -25,1430 +45,419 @@ vi.mock('../athlete-db.js', () => ({
 }))
 
 describe('goals-db', () => {
-  let mockSupabase
-  let mockGetUser
-  let mockFrom
-  let mockSelect
-  let mockEq
-  let mockIn
-  let mockOrder
-  let mockInsert
-  let mockUpdate
-  let mockDelete
-  let mockSingle
+  let mockGet, mockSet, mockKeys, mockDel
+  let notifyLocalMutate
+  let getActiveAthleteId
+  let stores
+  let uuidCounter = 0
+
+  // In-memory backing for the mocked idb-keyval stores
+  const bucket = (store) => {
+    const name = store.storeName
+    if (!stores.has(name)) stores.set(name, new Map())
+    return stores.get(name)
+  }
+  const seed = (store, rows) => {
+    for (const row of rows) bucket(store).set(row.id, row)
+  }
+  const read = (store, id) => bucket(store).get(id)
 
   beforeEach(async () => {
-    const supabaseModule = await import('../supabase.js')
-    mockSupabase = supabaseModule.supabase
-    mockGetUser = supabaseModule.getUser
-
-    // Reset all mocks
-    mockGetUser.mockClear()
-    mockSupabase.from.mockClear()
-
-    // Setup chainable mock methods
-    mockSelect = vi.fn()
-    mockEq = vi.fn()
-    mockIn = vi.fn()
-    mockOrder = vi.fn()
-    mockInsert = vi.fn()
-    mockUpdate = vi.fn()
-    mockDelete = vi.fn()
-    mockSingle = vi.fn()
-
-    // Default chainable setup
-    mockSelect.mockReturnThis()
-    mockEq.mockReturnThis()
-    mockIn.mockReturnThis()
-    mockOrder.mockReturnThis()
-    mockInsert.mockReturnThis()
-    mockUpdate.mockReturnThis()
-    mockDelete.mockReturnThis()
-
-    // Default authenticated user
-    mockGetUser.mockResolvedValue({ id: 'user-123' })
+    const idbKeyval = await import('idb-keyval')
+    const syncNotify = await import('../sync-notify.js')
+    const utilId = await import('../util-id.js')
+    const athleteDb = await import('../athlete-db.js')
+
+    mockGet = idbKeyval.get
+    mockSet = idbKeyval.set
+    mockKeys = idbKeyval.keys
+    mockDel = idbKeyval.del
+    notifyLocalMutate = syncNotify.notifyLocalMutate
+    getActiveAthleteId = athleteDb.getActiveAthleteId
+
+    vi.clearAllMocks()
+
+    stores = new Map()
+    mockGet.mockImplementation(async (k, store) => bucket(store).get(k))
+    mockSet.mockImplementation(async (k, v, store) => {
+      bucket(store).set(k, v)
+    })
+    mockKeys.mockImplementation(async (store) => [...bucket(store).keys()])
+    mockDel.mockImplementation(async (k, store) => {
+      bucket(store).delete(k)
+    })
+
+    getActiveAthleteId.mockReturnValue('ath-1')
+
+    uuidCounter = 0
+    utilId.uuid.mockImplementation(() => `test-uuid-${++uuidCounter}`)
+
+    vi.useFakeTimers()
+    vi.setSystemTime(new Date('2024-01-15T12:00:00Z'))
   })
 
   afterEach(() => {
-    vi.clearAllMocks()
+    vi.useRealTimers()
+  })
+
+  describe('st (store references)', () => {
+    it('should export store references for goal sets and goals', () => {
+      expect(st.goals.sets).toEqual({ dbName: 'goals', storeName: 'sets' })
+      expect(st.goals.goals).toEqual({ dbName: 'goals', storeName: 'goals' })
+    })
   })
 
   describe('listGoalSetsWithGoals', () => {
     it('should return empty array when no goal sets exist', async () => {
-      mockSupabase.from.mockReturnValue({
-        select: mockSelect,
-      })
-      mockSelect.mockReturnValue({
-        eq: mockEq,
-      })
-      mockEq.mockReturnValue({
-        order: mockOrder,
-      })
-      mockOrder.mockResolvedValue({
-        data: [],
-        error: null,
-      })
-
       const result = await listGoalSetsWithGoals()
-
       expect(result).toEqual([])
-      expect(mockSupabase.from).toHaveBeenCalledWith('goal_sets')
-      expect(mockSelect).toHaveBeenCalledWith('*')
-      expect(mockEq).toHaveBeenCalledWith('user_id', 'user-123')
-      expect(mockOrder).toHaveBeenCalledWith('due_date', { ascending: true })
     })
 
-    it('should return goal sets with empty goals arrays when no goals exist', async () => {
-      const mockGoalSets = [
-        { id: 'set-1', name: 'Weekly Goals', type: 'practice', due_date: '2024-01-20', athlete_id: 'ath-1' },
-        { id: 'set-2', name: 'Game Goals', type: 'game', due_date: '2024-01-25', athlete_id: 'ath-1' },
-      ]
-
-      let callCount = 0
-      mockSupabase.from.mockImplementation((table) => {
-        callCount++
-        if (callCount === 1) {
-          // First call for goal_sets
-          return {
-            select: () => ({
-              eq: () => ({
-                order: () => Promise.resolve({
-                  data: mockGoalSets,
-                  error: null,
-                }),
-              }),
-            }),
-          }
-        } else {
-          // Second call for goals
-          return {
-            select: () => ({
-              eq: () => ({
-                in: () => ({
-                  order: () => Promise.resolve({
-                    data: [],
-                    error: null,
-                  }),
-                }),
-              }),
-            }),
-          }
-        }
-      })
+    it('should return empty array when no athlete is active', async () => {
+      getActiveAthleteId.mockReturnValue(null)
+      seed(st.goals.sets, [{ id: 'set-1', athlete_id: 'ath-1', due_date: '2024-01-20' }])
 
       const result = await listGoalSetsWithGoals()
-
-      expect(result).toHaveLength(2)
-      expect(result[0]).toEqual({ ...mockGoalSets[0], goals: [] })
-      expect(result[1]).toEqual({ ...mockGoalSets[1], goals: [] })
+      expect(result).toEqual([])
     })
 
-    it('should return goal sets with nested goals', async () => {
-      const mockGoalSets = [
-        { id: 'set-1', name: 'Weekly Goals', type: 'practice', due_date: '2024-01-20', athlete_id: 'ath-1' },
-        { id: 'set-2', name: 'Game Goals', type: 'game', due_date: '2024-01-25', athlete_id: 'ath-1' },
-      ]
-
-      const mockGoals = [
-        { id: 'goal-1', set_id: 'set-1', athlete_id: 'ath-1', metric: 'fg_pct', target_value: 50, created_at: '2024-01-10T10:00:00Z' },
-        { id: 'goal-2', set_id: 'set-1', athlete_id: 'ath-1', metric: 'attempts', target_value: 100, created_at: '2024-01-10T10:05:00Z' },
-        { id: 'goal-3', set_id: 'set-2', athlete_id: 'ath-1', metric: 'fg_pct', target_value: 45, created_at: '2024-01-10T10:10:00Z' },
-      ]
-
-      let callCount = 0
-      mockSupabase.from.mockImplementation((table) => {
-        callCount++
-        if (callCount === 1) {
-          // First call for goal_sets
-          return {
-            select: () => ({
-              eq: () => ({
-                order: () => Promise.resolve({
-                  data: mockGoalSets,
-                  error: null,
-                }),
-              }),
-            }),
-          }
-        } else {
-          // Second call for goals
-          return {
-            select: () => ({
-              eq: () => ({
-                in: () => ({
-                  order: () => Promise.resolve({
-                    data: mockGoals,
-                    error: null,
-                  }),
-                }),
-              }),
-            }),
-          }
-        }
-      })
+    it('should return sets sorted by due date with nested goals sorted by created_at', async () => {
+      seed(st.goals.sets, [
+        { id: 'set-2', athlete_id: 'ath-1', due_date: '2024-01-25' },
+        { id: 'set-1', athlete_id: 'ath-1', due_date: '2024-01-20' },
+      ])
+      seed(st.goals.goals, [
+        { id: 'g2', set_id: 'set-1', athlete_id: 'ath-1', created_at: '2024-01-12T00:00:00Z' },
+        { id: 'g1', set_id: 'set-1', athlete_id: 'ath-1', created_at: '2024-01-11T00:00:00Z' },
+        { id: 'g3', set_id: 'set-2', athlete_id: 'ath-1', created_at: '2024-01-13T00:00:00Z' },
+      ])
 
       const result = await listGoalSetsWithGoals()
 
-      expect(result).toHaveLength(2)
-      expect(result[0].id).toBe('set-1')
-      expect(result[0].goals).toHaveLength(2)
-      expect(result[0].goals[0].id).toBe('goal-1')
-      expect(result[0].goals[1].id).toBe('goal-2')
-      expect(result[1].id).toBe('set-2')
-      expect(result[1].goals).toHaveLength(1)
-      expect(result[1].goals[0].id).toBe('goal-3')
-    })
-
-    it('should throw error when unauthenticated', async () => {
-      mockGetUser.mockResolvedValue(null)
-
-      await expect(listGoalSetsWithGoals()).rejects.toThrow('No authenticated user')
+      expect(result.map((s) => s.id)).toEqual(['set-1', 'set-2'])
+      expect(result[0].goals.map((g) => g.id)).toEqual(['g1', 'g2'])
+      expect(result[1].goals.map((g) => g.id)).toEqual(['g3'])
     })
 
-    it('should throw error on goal sets query failure', async () => {
-      const mockError = { message: 'Database error' }
-      mockSupabase.from.mockReturnValue({
-        select: () => ({
-          eq: () => ({
-            order: () => Promise.resolve({
-              data: null,
-              error: mockError,
-            }),
-          }),
-        }),
-      })
+    it('should only return sets and goals for the requested athlete', async () => {
+      seed(st.goals.sets, [
+        { id: 'set-1', athlete_id: 'ath-1', due_date: '2024-01-20' },
+        { id: 'set-2', athlete_id: 'ath-2', due_date: '2024-01-20' },
+      ])
+      seed(st.goals.goals, [
+        { id: 'g1', set_id: 'set-1', athlete_id: 'ath-1' },
+        { id: 'g2', set_id: 'set-2', athlete_id: 'ath-2' },
+      ])
 
-      await expect(listGoalSetsWithGoals()).rejects.toEqual(mockError)
-    })
+      const result = await listGoalSetsWithGoals({ athleteId: 'ath-2' })
 
-    it('should throw error on goals query failure', async () => {
-      const mockGoalSets = [
-        { id: 'set-1', name: 'Weekly Goals', type: 'practice', due_date: '2024-01-20', athlete_id: 'ath-1' },
-      ]
-      const mockError = { message: 'Goals query failed' }
-
-      let callCount = 0
-      mockSupabase.from.mockImplementation((table) => {
-        callCount++
-        if (callCount === 1) {
-          return {
-            select: () => ({
-              eq: () => ({
-                order: () => Promise.resolve({
-                  data: mockGoalSets,
-                  error: null,
-                }),
-              }),
-            }),
-          }
-        } else {
-          return {
-            select: () => ({
-              eq: () => ({
-                in: () => ({
-                  order: () => Promise.resolve({
-                    data: null,
-                    error: mockError,
-                  }),
-                }),
-              }),
-            }),
-          }
-        }
-      })
-
-      await expect(listGoalSetsWithGoals()).rejects.toEqual(mockError)
+      expect(result).toHaveLength(1)
+      expect(result[0].id).toBe('set-2')
+      expect(result[0].goals.map((g) => g.id)).toEqual(['g2'])
     })
 
-    it('should handle null goals array gracefully', async () => {
-      const mockGoalSets = [
-        { id: 'set-1', name: 'Weekly Goals', type: 'practice', due_date: '2024-01-20', athlete_id: 'ath-1' },
-      ]
-
-      let callCount = 0
-      mockSupabase.from.mockImplementation((table) => {
-        callCount++
-        if (callCount === 1) {
-          return {
-            select: () => ({
-              eq: () => ({
-                order: () => Promise.resolve({
-                  data: mockGoalSets,
-                  error: null,
-                }),
-              }),
-            }),
-          }
-        } else {
-          return {
-            select: () => ({
-              eq: () => ({
-                in: () => ({
-                  order: () => Promise.resolve({
-                    data: null,
-                    error: null,
-                  }),
-                }),
-              }),
-            }),
-          }
-        }
-      })
+    it('should hide tombstoned sets and goals', async () => {
+      seed(st.goals.sets, [
+        { id: 'set-1', athlete_id: 'ath-1', due_date: '2024-01-20' },
+        { id: 'set-2', athlete_id: 'ath-1', due_date: '2024-01-21', _deleted: true },
+      ])
+      seed(st.goals.goals, [
+        { id: 'g1', set_id: 'set-1', athlete_id: 'ath-1', _deleted: true },
+        { id: 'g2', set_id: 'set-1', athlete_id: 'ath-1' },
+      ])
 
       const result = await listGoalSetsWithGoals()
 
-      expect(result).toHaveLength(1)
-      expect(result[0].goals).toEqual([])
+      expect(result.map((s) => s.id)).toEqual(['set-1'])
+      expect(result[0].goals.map((g) => g.id)).toEqual(['g2'])
     })
   })
 
   describe('createGoalSet', () => {
-    it('should create a new goal set with required fields', async () => {
-      const input = {
-        name: 'Weekly Practice Goals',
-        type: 'practice',
-        dueDate: '2024-01-31',
-      }
-
-      const mockCreated = {
-        id: 'set-123',
-        user_id: 'user-123',
-        name: 'Weekly Practice Goals',
-        type: 'practice',
-        due_date: '2024-01-31',
-        created_at: '2024-01-15T12:00:00Z',
-      }
-
-      mockSupabase.from.mockReturnValue({
-        insert: () => ({
-          select: () => ({
-            single: () => Promise.resolve({
-              data: mockCreated,
-              error: null,
-            }),
-          }),
-        }),
-      })
-
-      const result = await createGoalSet(input)
-
-      expect(result).toEqual(mockCreated)
-      expect(mockSupabase.from).toHaveBeenCalledWith('goal_sets')
-    })
-
-    it('should create goal set with optional start date', async () => {
-      const input = {
-        name: 'Monthly Goals',
-        type: 'game',
-        dueDate: '2024-02-29',
-        startDate: '2024-02-01',
-      }
-
-      const mockCreated = {
-        id: 'set-456',
-        user_id: 'user-123',
-        name: 'Monthly Goals',
-        type: 'game',
-        due_date: '2024-02-29',
-        start_date: '2024-02-01',
-        created_at: '2024-01-15T12:00:00Z',
-      }
-
-      mockSupabase.from.mockReturnValue({
-        insert: () => ({
-          select: () => ({
-            single: () => Promise.resolve({
-              data: mockCreated,
-              error: null,
-            }),
-          }),
-        }),
-      })
-
-      const result = await createGoalSet(input)
-
-      expect(result).toEqual(mockCreated)
-      expect(result.start_date).toBe('2024-02-01')
-    })
-
-    it('should throw error when unauthenticated', async () => {
-      mockGetUser.mockResolvedValue(null)
-
-      const input = {
-        name: 'Test Goals',
-        type: 'practice',
-        dueDate: '2024-01-31',
-      }
-
-      await expect(createGoalSet(input)).rejects.toThrow('No authenticated user')
-    })
-
-    it('should throw error on insert failure', async () => {
-      const input = {
-        name: 'Test Goals',
+    it('should store a dirty goal set for the active athlete', async () => {
+      const result = await createGoalSet({
+        name: 'Weekly Goals',
         type: 'practice',
         dueDate: '2024-01-31',
-      }
-
-      const mockError = { message: 'Insert failed' }
-
-      mockSupabase.from.mockReturnValue({
-        insert: () => ({
-          select: () => ({
-            single: () => Promise.resolve({
-              data: null,
-              error: mockError,
-            }),
-          }),
-        }),
+        startDate: '2024-01-01',
       })
 
-      await expect(createGoalSet(input)).rejects.toEqual(mockError)
-    })
-
-    it('should handle practice type goal set', async () => {
-      const input = {
-        name: 'Practice Goals',
-        type: 'practice',
-        dueDate: '2024-01-31',
-      }
-
-      const mockCreated = {
-        id: 'set-789',
-        user_id: 'user-123',
-        name: 'Practice Goals',
+      expect(result).toEqual({
+        id: 'test-uuid-1',
+        user_id: null,
+        athlete_id: 'ath-1',
+        name: 'Weekly Goals',
         type: 'practice',
+        start_date: '2024-01-01',
         due_date: '2024-01-31',
-      }
-
-      mockSupabase.from.mockReturnValue({
-        insert: () => ({
-          select: () => ({
-            single: () => Promise.resolve({
-              data: mockCreated,
-              error: null,
-            }),
-          }),
-        }),
+        archived: false,
+        created_at: '2024-01-15T12:00:00.000Z',
+        _dirty: true,
+        _deleted: false,
+        _table: 'goal_sets',
       })
-
-      const result = await createGoalSet(input)
-
-      expect(result.type).toBe('practice')
+      expect(read(st.goals.sets, 'test-uuid-1')).toEqual(result)
+      expect(notifyLocalMutate).toHaveBeenCalledTimes(1)
     })
 
-    it('should handle game type goal set', async () => {
-      const input = {
+    it('should default start_date to today', async () => {
+      const result = await createGoalSet({
         name: 'Game Goals',
         type: 'game',
-        dueDate: '2024-01-31',
-      }
-
-      const mockCreated = {
-        id: 'set-999',
-        user_id: 'user-123',
-        name: 'Game Goals',
-        type: 'game',
-        due_date: '2024-01-31',
-      }
-
-      mockSupabase.from.mockReturnValue({
-        insert: () => ({
-          select: () => ({
-            single: () => Promise.resolve({
-              data: mockCreated,
-              error: null,
-            }),
-          }),
-        }),
+        dueDate: '2024-02-01',
       })
 
-      const result = await createGoalSet(input)
-
-      expect(result.type).toBe('game')
+      expect(result.start_date).toBe('2024-01-15')
     })
-  })
 
-  describe('updateGoalSet', () => {
-    it('should update an existing goal set', async () => {
-      const patch = {
-        name: 'Updated Goals',
-        due_date: '2024-02-15',
-      }
-
-      const mockUpdated = {
-        id: 'set-123',
-        user_id: 'user-123',
-        name: 'Updated Goals',
-        type: 'practice',
-        due_date: '2024-02-15',
-      }
-
-      mockSupabase.from.mockReturnValue({
-        update: () => ({
-          eq: () => ({
-            select: () => ({
-              single: () => Promise.resolve({
-                data: mockUpdated,
-                error: null,
-              }),
-            }),
-          }),
-        }),
-      })
-
-      const result = await updateGoalSet('set-123', patch)
+    it('should throw when no athlete is active', async () => {
+      getActiveAthleteId.mockReturnValue(null)
 
-      expect(result).toEqual(mockUpdated)
-      expect(mockSupabase.from).toHaveBeenCalledWith('goal_sets')
+      await expect(
+        createGoalSet({ name: 'Goals', type: 'practice', dueDate: '2024-02-01' }),
+      ).rejects.toThrow('No active athlete selected')
+      expect(mockSet).not.toHaveBeenCalled()
     })
+  })
 
-    it('should throw error on update failure', async () => {
-      const patch = { name: 'Updated' }
-      const mockError = { message: 'Update failed' }
-
-      mockSupabase.from.mockReturnValue({
-        update: () => ({
-          eq: () => ({
-            select: () => ({
-              single: () => Promise.resolve({
-                data: null,
-                error: mockError,
-              }),
-            }),
-          }),
-        }),
-      })
-
-      await expect(updateGoalSet('set-123', patch)).rejects.toEqual(mockError)
-    })
+  describe('updateGoalSet', () => {
+    it('should merge the patch and mark the set dirty', async () => {
+      seed(st.goals.sets, [
+        { id: 'set-1', user_id: 'user-123', name: 'Old', due_date: '2024-01-20', _dirty: false, _table: 'goal_sets' },
+      ])
 
-    it('should update only provided fields', async () => {
-      const patch = { archived: true }
+      const result = await updateGoalSet('set-1', { name: 'New', user_id: 'someone-else' })
 
-      const mockUpdated = {
-        id: 'set-123',
+      expect(result).toEqual(expect.objectContaining({
+        id: 'set-1',
         user_id: 'user-123',
-        name: 'Original Name',
-        type: 'practice',
-        due_date: '2024-01-31',
-        archived: true,
-      }
-
-      mockSupabase.from.mockReturnValue({
-        update: () => ({
-          eq: () => ({
-            select: () => ({
-              single: () => Promise.resolve({
-                data: mockUpdated,
-                error: null,
-              }),
-            }),
-          }),
-        }),
-      })
-
-      const result = await updateGoalSet('set-123', patch)
+        name: 'New',
+        due_date: '2024-01-20',
+        _dirty: true,
+        _deleted: false,
+        _table: 'goal_sets',
+      }))
+      expect(read(st.goals.sets, 'set-1').name).toBe('New')
+      expect(notifyLocalMutate).toHaveBeenCalledTimes(1)
+    })
 
-      expect(result.archived).toBe(true)
-      expect(result.name).toBe('Original Name')
+    it('should throw when the set does not exist', async () => {
+      await expect(updateGoalSet('missing', { name: 'x' })).rejects.toThrow(
+        '[goals-db] goal set not found: missing',
+      )
     })
   })
 
   describe('archiveGoalSet', () => {
-    it('should archive a goal set by setting archived to true', async () => {
-      const mockArchived = {
-        id: 'set-123',
-        user_id: 'user-123',
-        name: 'Archived Goals',
-        type: 'practice',
-        due_date: '2024-01-31',
-        archived: true,
-      }
-
-      mockSupabase.from.mockReturnValue({
-        update: () => ({
-          eq: () => ({
-            select: () => ({
-              single: () => Promise.resolve({
-                data: mockArchived,
-                error: null,
-              }),
-            }),
-          }),
-        }),
-      })
+    it('should mark the set archived', async () => {
+      seed(st.goals.sets, [{ id: 'set-1', archived: false }])
 
-      const result = await archiveGoalSet('set-123')
+      const result = await archiveGoalSet('set-1')
 
-      expect(result).toEqual(mockArchived)
       expect(result.archived).toBe(true)
-    })
-
-    it('should throw error on archive failure', async () => {
-      const mockError = { message: 'Archive failed' }
-
-      mockSupabase.from.mockReturnValue({
-        update: () => ({
-          eq: () => ({
-            select: () => ({
-              single: () => Promise.resolve({
-                data: null,
-                error: mockError,
-              }),
-            }),
-          }),
-        }),
-      })
-
-      await expect(archiveGoalSet('set-123')).rejects.toEqual(mockError)
+      expect(result._dirty).toBe(true)
     })
   })
 
   describe('deleteGoalSet', () => {
-    it('should delete a goal set for the current user', async () => {
-      mockSupabase.from.mockReturnValue({
-        delete: () => ({
-          eq: (field, value) => {
-            if (field === 'user_id') {
-              return {
-                eq: () => Promise.resolve({
-                  error: null,
-                }),
-              }
-            }
-            return Promise.resolve({ error: null })
-          },
-        }),
-      })
-
-      await deleteGoalSet('set-123')
-
-      expect(mockSupabase.from).toHaveBeenCalledWith('goal_sets')
-    })
+    it('should tombstone the set', async () => {
+      seed(st.goals.sets, [{ id: 'set-1', _dirty: false }])
 
-    it('should throw error when unauthenticated', async () => {
-      mockGetUser.mockResolvedValue(null)
-
-      await expect(deleteGoalSet('set-123')).rejects.toThrow('No authenticated user')
-    })
-
-    it('should throw error on delete failure', async () => {
-      const mockError = { message: 'Delete failed' }
-
-      mockSupabase.from.mockReturnValue({
-        delete: () => ({
-          eq: () => ({
-            eq: () => Promise.resolve({
-              error: mockError,
-            }),
-          }),
-        }),
-      })
+      await deleteGoalSet('set-1')
 
-      await expect(deleteGoalSet('set-123')).rejects.toEqual(mockError)
+      expect(read(st.goals.sets, 'set-1')).toEqual(expect.objectContaining({
+        _deleted: true,
+        _dirty: true,
+        _table: 'goal_sets',
+      }))
+      expect(notifyLocalMutate).toHaveBeenCalledTimes(1)
     })
 
-    it('should enforce user_id constraint when deleting', async () => {
-      let userIdChecked = false
-      let idChecked = false
-
-      mockSupabase.from.mockReturnValue({
-        delete: () => ({
-          eq: (field, value) => {
-            if (field === 'user_id' && value === 'user-123') {
-              userIdChecked = true
-            }
-            if (field === 'id' && value === 'set-456') {
-              idChecked = true
-            }
-            return {
-              eq: (field2, value2) => {
-                if (field2 === 'user_id' && value2 === 'user-123') {
-                  userIdChecked = true
-                }
-                if (field2 === 'id' && value2 === 'set-456') {
-                  idChecked = true
-                }
-                return Promise.resolve({ error: null })
-              },
-            }
-          },
-        }),
-      })
-
-      await deleteGoalSet('set-456')
-
-      expect(userIdChecked).toBe(true)
-      expect(idChecked).toBe(true)
+    it('should do nothing for an unknown id', async () => {
+      await deleteGoalSet('missing')
+      expect(mockSet).not.toHaveBeenCalled()
+      expect(notifyLocalMutate).not.toHaveBeenCalled()
     })
   })
 
   describe('deleteGoalsBySet', () => {
-    it('should delete all goals belonging to a set', async () => {
-      mockSupabase.from.mockReturnValue({
-        delete: () => ({
-          eq: () => ({
-            eq: () => Promise.resolve({
-              error: null,
-            }),
-          }),
-        }),
-      })
-
-      await deleteGoalsBySet('set-123')
-
-      expect(mockSupabase.from).toHaveBeenCalledWith('goals')
-    })
+    it('should tombstone only goals in the given set', async () => {
+      seed(st.goals.goals, [
+        { id: 'g1', set_id: 'set-1' },
+        { id: 'g2', set_id: 'set-1' },
+        { id: 'g3', set_id: 'set-2' },
+      ])
 
-    it('should throw error when unauthenticated', async () => {
-      mockGetUser.mockResolvedValue(null)
+      await deleteGoalsBySet('set-1')
 
-      await expect(deleteGoalsBySet('set-123')).rejects.toThrow('No authenticated user')
-    })
-
-    it('should throw error on delete failure', async () => {
-      const mockError = { message: 'Delete goals failed' }
-
-      mockSupabase.from.mockReturnValue({
-        delete: () => ({
-          eq: () => ({
-            eq: () => Promise.resolve({
-              error: mockError,
-            }),
-          }),
-        }),
-      })
-
-      await expect(deleteGoalsBySet('set-123')).rejects.toEqual(mockError)
-    })
-
-    it('should enforce user_id and set_id constraints when deleting', async () => {
-      let userIdChecked = false
-      let setIdChecked = false
-
-      mockSupabase.from.mockReturnValue({
-        delete: () => ({
-          eq: (field, value) => {
-            if (field === 'user_id' && value === 'user-123') {
-              userIdChecked = true
-            }
-            if (field === 'set_id' && value === 'set-789') {
-              setIdChecked = true
-            }
-            return {
-              eq: (field2, value2) => {
-                if (field2 === 'user_id' && value2 === 'user-123') {
-                  userIdChecked = true
-                }
-                if (field2 === 'set_id' && value2 === 'set-789') {
-                  setIdChecked = true
-                }
-                return Promise.resolve({ error: null })
-              },
-            }
-          },
-        }),
-      })
-
-      await deleteGoalsBySet('set-789')
-
-      expect(userIdChecked).toBe(true)
-      expect(setIdChecked).toBe(true)
+      expect(read(st.goals.goals, 'g1')._deleted).toBe(true)
+      expect(read(st.goals.goals, 'g2')._deleted).toBe(true)
+      expect(read(st.goals.goals, 'g3')._deleted).toBeUndefined()
+      expect(read(st.goals.goals, 'g1')._table).toBe('goals')
+      expect(notifyLocalMutate).toHaveBeenCalledTimes(1)
     })
   })
 
   describe('createGoal', () => {
-    it('should create a new goal with required fields', async () => {
-      const input = {
-        setId: 'set-123',
+    it('should store a dirty goal', async () => {
+      const result = await createGoal({
+        setId: 'set-1',
         athleteId: 'ath-1',
-        metric: 'fg_pct',
-        targetValue: 50,
-        targetEndDate: '2024-01-31',
-      }
-
-      const mockCreated = {
-        id: 'goal-123',
-        user_id: 'user-123',
-        set_id: 'set-123',
-        name: null,
-        details: null,
-        metric: 'fg_pct',
-        target_value: 50,
-        target_end_date: '2024-01-31',
-        target_type: 'percent',
-        zone_id: null,
-        created_at: '2024-01-15T12:00:00Z',
-      }
-
-      mockSupabase.from.mockReturnValue({
-        insert: () => ({
-          select: () => ({
-            single: () => Promise.resolve({
-              data: mockCreated,
-              error: null,
-            }),
-          }),
-        }),
-      })
-
-      const result = await createGoal(input)
-
-      expect(result).toEqual(mockCreated)
-      expect(mockSupabase.from).toHaveBeenCalledWith('goals')
-    })
-
-    it('should create goal with optional fields', async () => {
-      const input = {
-        setId: 'set-123',
-        athleteId: 'ath-1',
-        name: 'Three Point Percentage',
-        details: 'Improve corner three consistency',
-        metric: '3pt_pct',
+        name: 'Corner threes',
+        metric: 'fg_pct_zone',
         targetValue: 40,
         targetEndDate: '2024-01-31',
-        targetType: 'percent',
-        zoneId: 'left_corner_3',
-      }
-
-      const mockCreated = {
-        id: 'goal-456',
-        user_id: 'user-123',
-        set_id: 'set-123',
-        name: 'Three Point Percentage',
-        details: 'Improve corner three consistency',
-        metric: '3pt_pct',
-        target_value: 40,
-        target_end_date: '2024-01-31',
-        target_type: 'percent',
-        zone_id: 'left_corner_3',
-        created_at: '2024-01-15T12:00:00Z',
-      }
-
-      mockSupabase.from.mockReturnValue({
-        insert: () => ({
-          select: () => ({
-            single: () => Promise.resolve({
-              data: mockCreated,
-              error: null,
-            }),
-          }),
-        }),
-      })
-
-      const result = await createGoal(input)
-
-      expect(result).toEqual(mockCreated)
-      expect(result.name).toBe('Three Point Percentage')
-      expect(result.details).toBe('Improve corner three consistency')
-      expect(result.zone_id).toBe('left_corner_3')
-    })
-
-    it('should throw error when unauthenticated', async () => {
-      mockGetUser.mockResolvedValue(null)
-
-      const input = {
-        setId: 'set-123',
-        athleteId: 'ath-1',
-        metric: 'fg_pct',
-        targetValue: 50,
-        targetEndDate: '2024-01-31',
-      }
-
-      await expect(createGoal(input)).rejects.toThrow('No authenticated user')
-    })
-
-    it('should throw error on insert failure', async () => {
-      const input = {
-        setId: 'set-123',
-        athleteId: 'ath-1',
-        metric: 'fg_pct',
-        targetValue: 50,
-        targetEndDate: '2024-01-31',
-      }
-
-      const mockError = { message: 'Insert failed' }
-
-      mockSupabase.from.mockReturnValue({
-        insert: () => ({
-          select: () => ({
-            single: () => Promise.resolve({
-              data: null,
-              error: mockError,
-            }),
-          }),
-        }),
+        zoneId: 'corner_left_3',
       })
 
-      await expect(createGoal(input)).rejects.toEqual(mockError)
-    })
-
-    it('should default targetType to percent', async () => {
-      const input = {
-        setId: 'set-123',
-        athleteId: 'ath-1',
-        metric: 'fg_pct',
-        targetValue: 50,
-        targetEndDate: '2024-01-31',
-      }
-
-      const mockCreated = {
-        id: 'goal-789',
-        user_id: 'user-123',
-        set_id: 'set-123',
-        metric: 'fg_pct',
-        target_value: 50,
-        target_end_date: '2024-01-31',
-        target_type: 'percent',
-        zone_id: null,
-      }
-
-      mockSupabase.from.mockReturnValue({
-        insert: () => ({
-          select: () => ({
-            single: () => Promise.resolve({
-              data: mockCreated,
-              error: null,
-            }),
-          }),
-        }),
-      })
-
-      const result = await createGoal(input)
-
-      expect(result.target_type).toBe('percent')
-    })
-
-    it('should accept custom targetType', async () => {
-      const input = {
-        setId: 'set-123',
-        athleteId: 'ath-1',
-        metric: 'attempts',
-        targetValue: 100,
-        targetEndDate: '2024-01-31',
-        targetType: 'count',
-      }
-
-      const mockCreated = {
-        id: 'goal-999',
-        user_id: 'user-123',
-        set_id: 'set-123',
-        metric: 'attempts',
-        target_value: 100,
-        target_end_date: '2024-01-31',
-        target_type: 'count',
-        zone_id: null,
-      }
-
-      mockSupabase.from.mockReturnValue({
-        insert: () => ({
-          select: () => ({
-            single: () => Promise.resolve({
-              data: mockCreated,
-              error: null,
-            }),
-          }),
-        }),
-      })
-
-      const result = await createGoal(input)
-
-      expect(result.target_type).toBe('count')
-    })
-
-    it('should set name and details to null when not provided', async () => {
-      const input = {
-        setId: 'set-123',
-        athleteId: 'ath-1',
-        metric: 'fg_pct',
-        targetValue: 50,
-        targetEndDate: '2024-01-31',
-      }
-
-      const mockCreated = {
-        id: 'goal-111',
-        user_id: 'user-123',
-        set_id: 'set-123',
-        name: null,
+      expect(result).toEqual({
+        id: 'test-uuid-1',
+        user_id: null,
+        athlete_id: 'ath-1',
+        set_id: 'set-1',
+        name: 'Corner threes',
         details: null,
-        metric: 'fg_pct',
-        target_value: 50,
+        metric: 'fg_pct_zone',
+        target_value: 40,
         target_end_date: '2024-01-31',
         target_type: 'percent',
-        zone_id: null,
-      }
-
-      mockSupabase.from.mockReturnValue({
-        insert: () => ({
-          select: () => ({
-            single: () => Promise.resolve({
-              data: mockCreated,
-              error: null,
-            }),
-          }),
-        }),
+        zone_id: 'corner_left_3',
+        created_at: '2024-01-15T12:00:00.000Z',
+        _dirty: true,
+        _deleted: false,
+        _table: 'goals',
       })
+      expect(read(st.goals.goals, 'test-uuid-1')).toEqual(result)
+      expect(notifyLocalMutate).toHaveBeenCalledTimes(1)
+    })
 
-      const result = await createGoal(input)
-
-      expect(result.name).toBeNull()
-      expect(result.details).toBeNull()
+    it('should throw when athleteId is missing', async () => {
+      await expect(
+        createGoal({ setId: 'set-1', metric: 'makes', targetValue: 10, targetEndDate: '2024-01-31' }),
+      ).rejects.toThrow('No active athlete selected')
     })
   })
 
   describe('updateGoal', () => {
-    it('should update an existing goal', async () => {
-      const patch = {
-        target_value: 55,
-        current_value: 48,
-      }
-
-      const mockUpdated = {
-        id: 'goal-123',
-        user_id: 'user-123',
-        set_id: 'set-123',
-        metric: 'fg_pct',
-        target_value: 55,
-        current_value: 48,
-        target_end_date: '2024-01-31',
-      }
-
-      mockSupabase.from.mockReturnValue({
-        update: () => ({
-          eq: () => ({
-            select: () => ({
-              single: () => Promise.resolve({
-                data: mockUpdated,
-                error: null,
-              }),
-            }),
-          }),
-        }),
-      })
-
-      const result = await updateGoal('goal-123', patch)
-
-      expect(result).toEqual(mockUpdated)
-      expect(mockSupabase.from).toHaveBeenCalledWith('goals')
-    })
-
-    it('should throw error on update failure', async () => {
-      const patch = { target_value: 55 }
-      const mockError = { message: 'Update failed' }
-
-      mockSupabase.from.mockReturnValue({
-        update: () => ({
-          eq: () => ({
-            select: () => ({
-              single: () => Promise.resolve({
-                data: null,
-                error: mockError,
-              }),
-            }),
-          }),
-        }),
-      })
-
-      await expect(updateGoal('goal-123', patch)).rejects.toEqual(mockError)
-    })
+    it('should merge the patch and mark the goal dirty', async () => {
+      seed(st.goals.goals, [{ id: 'g1', target_value: 10, _dirty: false }])
 
-    it('should update multiple fields at once', async () => {
-      const patch = {
-        name: 'Updated Goal Name',
-        details: 'New details',
-        target_value: 60,
-        target_end_date: '2024-02-15',
-      }
+      const result = await updateGoal('g1', { target_value: 20 })
 
-      const mockUpdated = {
-        id: 'goal-456',
-        user_id: 'user-123',
-        set_id: 'set-123',
-        name: 'Updated Goal Name',
-        details: 'New details',
-        metric: 'fg_pct',
-        target_value: 60,
-        target_end_date: '2024-02-15',
-      }
-
-      mockSupabase.from.mockReturnValue({
-        update: () => ({
-          eq: () => ({
-            select: () => ({
-              single: () => Promise.resolve({
-                data: mockUpdated,
-                error: null,
-              }),
-            }),
-          }),
-        }),
-      })
-
-      const result = await updateGoal('goal-456', patch)
-
-      expect(result.name).toBe('Updated Goal Name')
-      expect(result.details).toBe('New details')
-      expect(result.target_value).toBe(60)
-      expect(result.target_end_date).toBe('2024-02-15')
+      expect(result.target_value).toBe(20)
+      expect(result._dirty).toBe(true)
+      expect(result._table).toBe('goals')
     })
 
-    it('should update current_value for tracking progress', async () => {
-      const patch = { current_value: 52 }
-
-      const mockUpdated = {
-        id: 'goal-789',
-        user_id: 'user-123',
-        set_id: 'set-123',
-        metric: 'fg_pct',
-        target_value: 55,
-        current_value: 52,
-      }
-
-      mockSupabase.from.mockReturnValue({
-        update: () => ({
-          eq: () => ({
-            select: () => ({
-              single: () => Promise.resolve({
-                data: mockUpdated,
-                error: null,
-              }),
-            }),
-          }),
-        }),
-      })
-
-      const result = await updateGoal('goal-789', patch)
-
-      expect(result.current_value).toBe(52)
+    it('should throw when the goal does not exist', async () => {
+      await expect(updateGoal('missing', {})).rejects.toThrow(
+        '[goals-db] goal not found: missing',
+      )
     })
   })
 
   describe('deleteGoal', () => {
-    it('should delete a goal for the current user', async () => {
-      mockSupabase.from.mockReturnValue({
-        delete: () => ({
-          eq: () => ({
-            eq: () => Promise.resolve({
-              error: null,
-            }),
-          }),
-        }),
-      })
+    it('should tombstone the goal', async () => {
+      seed(st.goals.goals, [{ id: 'g1' }])
 
-      await deleteGoal('goal-123')
+      await deleteGoal('g1')
 
-      expect(mockSupabase.from).toHaveBeenCalledWith('goals')
+      expect(read(st.goals.goals, 'g1')).toEqual(expect.objectContaining({
+        _deleted: true,
+        _dirty: true,
+        _table: 'goals',
+      }))
     })
+  })
 
-    it('should throw error when unauthenticated', async () => {
-      mockGetUser.mockResolvedValue(null)
-
-      await expect(deleteGoal('goal-123')).rejects.toThrow('No authenticated user')
-    })
+  describe('sync helpers', () => {
+    it('_allDirtyGoals should return dirty sets and goals', async () => {
+      seed(st.goals.sets, [
+        { id: 'set-1', _dirty: true, _table: 'goal_sets' },
+        { id: 'set-2', _dirty: false, _table: 'goal_sets' },
+      ])
+      seed(st.goals.goals, [{ id: 'g1', _dirty: true, _deleted: true, _table: 'goals' }])
 
-    it('should throw error on delete failure', async () => {
-      const mockError = { message: 'Delete failed' }
-
-      mockSupabase.from.mockReturnValue({
-        delete: () => ({
-          eq: () => ({
-            eq: () => Promise.resolve({
-              error: mockError,
-            }),
-          }),
-        }),
-      })
+      const result = await _allDirtyGoals()
 
-      await expect(deleteGoal('goal-123')).rejects.toEqual(mockError)
+      expect(result.map((r) => r.id)).toEqual(['set-1', 'g1'])
     })
 
-    it('should enforce user_id constraint when deleting', async () => {
-      let userIdChecked = false
-      let idChecked = false
-
-      mockSupabase.from.mockReturnValue({
-        delete: () => ({
-          eq: (field, value) => {
-            if (field === 'user_id' && value === 'user-123') {
-              userIdChecked = true
-            }
-            if (field === 'id' && value === 'goal-456') {
-              idChecked = true
-            }
-            return {
-              eq: (field2, value2) => {
-                if (field2 === 'user_id' && value2 === 'user-123') {
-                  userIdChecked = true
-                }
-                if (field2 === 'id' && value2 === 'goal-456') {
-                  idChecked = true
-                }
-                return Promise.resolve({ error: null })
-              },
-            }
-          },
-        }),
-      })
-
-      await deleteGoal('goal-456')
+    it('_markClean should clear the dirty flag and keep extra fields', async () => {
+      seed(st.goals.goals, [{ id: 'g1', _dirty: true, _table: 'goals' }])
 
-      expect(userIdChecked).toBe(true)
-      expect(idChecked).toBe(true)
-    })
-  })
+      await _markClean({ id: 'g1', _table: 'goals', _sync_failed: true })
 
-  describe('user isolation', () => {
-    it('should only list goal sets for the authenticated user', async () => {
-      mockSupabase.from.mockReturnValue({
-        select: () => ({
-          eq: (field, value) => {
-            expect(field).toBe('user_id')
-            expect(value).toBe('user-123')
-            return {
-              order: () => Promise.resolve({
-                data: [],
-                error: null,
-              }),
-            }
-          },
-        }),
+      expect(read(st.goals.goals, 'g1')).toEqual({
+        id: 'g1',
+        _dirty: false,
+        _table: 'goals',
+        _sync_failed: true,
       })
-
-      await listGoalSetsWithGoals()
-
-      expect(mockGetUser).toHaveBeenCalled()
     })
 
-    it('should create goal set with authenticated user id', async () => {
-      let insertedData = null
-
-      mockSupabase.from.mockReturnValue({
-        insert: (data) => {
-          insertedData = data[0]
-          return {
-            select: () => ({
-              single: () => Promise.resolve({
-                data: { id: 'set-123', ...insertedData },
-                error: null,
-              }),
-            }),
-          }
-        },
-      })
-
-      const input = {
-        name: 'Test Goals',
-        type: 'practice',
-        dueDate: '2024-01-31',
-      }
-
-      await createGoalSet(input)
-
-      expect(insertedData.user_id).toBe('user-123')
-      expect(insertedData.athlete_id).toBe('ath-1')
+    it('_markClean should ignore unknown tables', async () => {
+      await _markClean({ id: 'x', _table: 'game_events' })
+      expect(mockSet).not.toHaveBeenCalled()
     })
 
-    it('should create goal with authenticated user id', async () => {
-      let insertedData = null
-
-      mockSupabase.from.mockReturnValue({
-        insert: (data) => {
-          insertedData = data[0]
-          return {
-            select: () => ({
-              single: () => Promise.resolve({
-                data: { id: 'goal-123', ...insertedData },
-                error: null,
-              }),
-            }),
-          }
-        },
-      })
-
-      const input = {
-        setId: 'set-123',
-        athleteId: 'ath-1',
-        metric: 'fg_pct',
-        targetValue: 50,
-        targetEndDate: '2024-01-31',
-      }
+    it('_purgeGoalsRow should remove the row', async () => {
+      seed(st.goals.sets, [{ id: 'set-1' }])
 
-      await createGoal(input)
+      await _purgeGoalsRow({ id: 'set-1', _table: 'goal_sets' })
 
-      expect(insertedData.user_id).toBe('user-123')
+      expect(read(st.goals.sets, 'set-1')).toBeUndefined()
     })
   })
 
-  describe('edge cases', () => {
-    it('should handle empty goal set name', async () => {
-      const input = {
-        name: '',
-        type: 'practice',
-        dueDate: '2024-01-31',
-      }
-
-      const mockCreated = {
-        id: 'set-empty',
-        user_id: 'user-123',
-        name: '',
-        type: 'practice',
-        due_date: '2024-01-31',
-      }
-
-      mockSupabase.from.mockReturnValue({
-        insert: () => ({
-          select: () => ({
-            single: () => Promise.resolve({
-              data: mockCreated,
-              error: null,
-            }),
-          }),
-        }),
-      })
+  describe('remote → local', () => {
+    it('upsertGoalSetsFromRemote should store remote rows as clean and drop clean rows missing remotely on a full pull', async () => {
+      seed(st.goals.sets, [
+        { id: 'stale', _dirty: false },
+        { id: 'pending', _dirty: true },
+      ])
 
-      const result = await createGoalSet(input)
+      await upsertGoalSetsFromRemote([{ id: 'set-1', name: 'Remote' }], { prune: true })
 
-      expect(result.name).toBe('')
+      expect(read(st.goals.sets, 'stale')).toBeUndefined()
+      expect(read(st.goals.sets, 'pending')).toBeDefined()
+      expect(read(st.goals.sets, 'set-1')).toEqual({
+        id: 'set-1',
+        name: 'Remote',
+        _dirty: false,
+        _deleted: false,
+        _table: 'goal_sets',
+      })
     })
 
-    it('should handle very long goal names and details', async () => {
-      const longName = 'A'.repeat(500)
-      const longDetails = 'B'.repeat(1000)
-
-      const input = {
-        setId: 'set-123',
-        athleteId: 'ath-1',
-        name: longName,
-        details: longDetails,
-        metric: 'fg_pct',
-        targetValue: 50,
-        targetEndDate: '2024-01-31',
-      }
-
-      const mockCreated = {
-        id: 'goal-long',
-        user_id: 'user-123',
-        set_id: 'set-123',
-        name: longName,
-        details: longDetails,
-        metric: 'fg_pct',
-        target_value: 50,
-        target_end_date: '2024-01-31',
-        target_type: 'percent',
-        zone_id: null,
-      }
-
-      mockSupabase.from.mockReturnValue({
-        insert: () => ({
-          select: () => ({
-            single: () => Promise.resolve({
-              data: mockCreated,
-              error: null,
-            }),
-          }),
-        }),
-      })
+    it('upsertGoalsFromRemote should not overwrite pending local edits', async () => {
+      seed(st.goals.goals, [{ id: 'g1', target_value: 50, _dirty: true }])
 
-      const result = await createGoal(input)
+      await upsertGoalsFromRemote([{ id: 'g1', target_value: 10 }])
 
-      expect(result.name).toBe(longName)
-      expect(result.details).toBe(longDetails)
+      expect(read(st.goals.goals, 'g1').target_value).toBe(50)
+      expect(read(st.goals.goals, 'g1')._dirty).toBe(true)
     })
 
-    it('should handle numeric target values correctly', async () => {
-      const testCases = [
-        { value: 0, expected: 0 },
-        { value: 100, expected: 100 },
-        { value: 50.5, expected: 50.5 },
-        { value: -10, expected: -10 },
-      ]
-
-      for (const { value, expected } of testCases) {
-        const input = {
-          setId: 'set-123',
-        athleteId: 'ath-1',
-          metric: 'fg_pct',
-          targetValue: value,
-          targetEndDate: '2024-01-31',
-        }
-
-        const mockCreated = {
-          id: `goal-${value}`,
-          user_id: 'user-123',
-          set_id: 'set-123',
-          metric: 'fg_pct',
-          target_value: expected,
-          target_end_date: '2024-01-31',
-          target_type: 'percent',
-          zone_id: null,
-        }
-
-        mockSupabase.from.mockReturnValue({
-          insert: () => ({
-            select: () => ({
-              single: () => Promise.resolve({
-                data: mockCreated,
-                error: null,
-              }),
-            }),
-          }),
-        })
-
-        const result = await createGoal(input)
-
-        expect(result.target_value).toBe(expected)
-      }
-    })
+    it('upsertGoalSetsFromRemote should keep rows missing from a delta pull', async () => {
+      seed(st.goals.sets, [{ id: 'unchanged', _dirty: false }])
 
-    it('should handle goal sets with many goals efficiently', async () => {
-      const mockGoalSets = [
-        { id: 'set-1', name: 'Many Goals Set', type: 'practice', due_date: '2024-01-31', athlete_id: 'ath-1' },
-      ]
+      await upsertGoalSetsFromRemote([{ id: 'set-1', name: 'Remote' }])
 
-      const mockGoals = Array.from({ length: 50 }, (_, i) => ({
-        id: `goal-${i}`,
-        set_id: 'set-1',
-        athlete_id: 'ath-1',
-        metric: 'fg_pct',
-        target_value: 50 + i,
-        created_at: `2024-01-10T10:${String(i).padStart(2, '0')}:00Z`,
-      }))
+      expect(read(st.goals.sets, 'unchanged')).toBeDefined()
+      expect(read(st.goals.sets, 'set-1')).toBeDefined()
+    })
 
-      let callCount = 0
-      mockSupabase.from.mockImplementation((table) => {
-        callCount++
-        if (callCount === 1) {
-          return {
-            select: () => ({
-              eq: () => ({
-                order: () => Promise.resolve({
-                  data: mockGoalSets,
-                  error: null,
-                }),
-              }),
-            }),
-          }
-        } else {
-          return {
-            select: () => ({
-              eq: () => ({
-                in: () => ({
-                  order: () => Promise.resolve({
-                    data: mockGoals,
-                    error: null,
-                  }),
-                }),
-              }),
-            }),
-          }
-        }
-      })
+    it('deleteGoalsRowsFromRemote should remove clean rows and keep pending ones', async () => {
+      seed(st.goals.goals, [
+        { id: 'g1', _dirty: false },
+        { id: 'g2', _dirty: true },
+      ])
 
-      const result = await listGoalSetsWithGoals()
+      await deleteGoalsRowsFromRemote('goals', ['g1', 'g2', 'missing'])
 
-      expect(result).toHaveLength(1)
-      expect(result[0].goals).toHaveLength(50)
+      expect(read(st.goals.goals, 'g1')).toBeUndefined()
+      expect(read(st.goals.goals, 'g2')).toBeDefined()
     })
   })
 })
@@ -21,17 +21,20 @@ describe('idb-init', () => {
       expect(result).toBeInstanceOf(Promise)
     })
 
-    it('should call openDB twice to create game and practice databases', async () => {
+    it('should call openDB to create game, practice and goals databases', async () => {
       const { whenIdbReady } = await import('../idb-init.js')
       await whenIdbReady()
 
-      expect(mockOpenDB).toHaveBeenCalledTimes(2)
+      expect(mockOpenDB).toHaveBeenCalledTimes(3)
 
       // First call: game DB
       expect(mockOpenDB).toHaveBeenNthCalledWith(1, 'game', 2, expect.any(Object))
 
       // Second call: practice DB
       expect(mockOpenDB).toHaveBeenNthCalledWith(2, 'practice', 2, expect.any(Object))
+
+      // Third call: goals DB
+      expect(mockOpenDB).toHaveBeenNthCalledWith(3, 'goals', 1, expect.any(Object))
     })
 
     it('should create game database with sessions and events stores', async () => {
@@ -88,6 +91,28 @@ describe('idb-init', () => {
       expect(mockPracticeDb.createObjectStore).toHaveBeenCalledWith('markers')
     })
 
+    it('should create goals database with sets and goals stores', async () => {
+      const mockGoalsDb = {
+        objectStoreNames: {
+          contains: vi.fn().mockReturnValue(false),
+        },
+        createObjectStore: vi.fn(),
+      }
+
+      mockOpenDB.mockImplementation((name, version, { upgrade }) => {
+        if (name === 'goals') {
+          upgrade(mockGoalsDb)
+        }
+        return Promise.resolve({})
+      })
+
+      const { whenIdbReady } = await import('../idb-init.js')
+      await whenIdbReady()
+
+      expect(mockGoalsDb.createObjectStore).toHaveBeenCalledWith('sets')
+      expect(mockGoalsDb.createObjectStore).toHaveBeenCalledWith('goals')
+    })
+
     it('should not create stores that already exist', async () => {
       const mockDb = {
         objectStoreNames: {
@@ -121,8 +146,8 @@ describe('idb-init', () => {
 
       await Promise.all([promise1, promise2, promise3])
 
-      // openDB should only be called once per database (2 total)
-      expect(mockOpenDB).toHaveBeenCalledTimes(2)
+      // openDB should only be called once per database (3 total)
+      expect(mockOpenDB).toHaveBeenCalledTimes(3)
     })
 
     it('should resolve successfully when databases are created', async () => {
@@ -1,6 +1,15 @@
 // src/lib/__tests__/performance-db.test.js
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
-import { getGamePerformance, getPracticePerformance } from '../performance-db.js'
+import {
+  getGamePerformance,
+  getPracticePerformance,
+  computeShotSequence,
+  computePeriodBoxScores,
+  computeHalfSplits,
+  computeDefenderSplits,
+  computeLineupSplits,
+  computeFatigueSplits,
+} from '../performance-db.js'
 import dayjs from 'dayjs'
 
 // Mock dependencies
@@ -108,6 +117,125 @@ describe('performance-db', () => {
       expect(midRangeMetric.attempts).toBe(2)
       expect(midRangeMetric.makes).toBe(1)
       expect(midRangeMetric.fgPct).toBe(50)
+
+      // all five shots land in the first 10 minutes of the game
+      expect(result.fatigue.minutes.blocks).toHaveLength(1)
+      expect(result.fatigue.minutes.blocks[0]).toMatchObject({ fgm: 3, fga: 5, threesMade: 2 })
+    })
+
+    it('should filter shots by situation tag and leave free throws out', async () => {
+      const sessions = { 'game-1': { id: 'game-1', date_iso: '2024-01-10' } }
+      const events = [
+        { id: 'e1', game_id: 'game-1', type: 'shot', zone_id: 'center_mid', made: true, situation_tags: ['transition'], ts: '2024-01-10T10:00:00Z' },
+        { id: 'e2', game_id: 'game-1', type: 'shot', zone_id: 'center_mid', made: false, situation_tags: ['half_court', 'late_clock'], ts: '2024-01-10T10:01:00Z' },
+        { id: 'e3', game_id: 'game-1', type: 'shot', zone_id: 'left_wing_3', made: false, ts: '2024-01-10T10:02:00Z' },
+        { id: 'e4', game_id: 'game-1', type: 'freethrow', made: true, ts: '2024-01-10T10:03:00Z' },
+      ]
+      const load = (situation) => {
+        mockKeys
+          .mockResolvedValueOnce(['game-1'])
+          .mockResolvedValueOnce(events.map(e => e.id))
+        mockGet.mockImplementation((key) =>
+          Promise.resolve(sessions[key] || events.find(e => e.id === key) || null)
+        )
+        return getGamePerformance({ days: 30, situation })
+      }
+
+      const transition = await load('transition')
+      expect(transition.totalAttempts).toBe(1)
+      expect(transition.metrics.map(m => m.id)).toEqual(['center_mid'])
+
+      const lateClock = await load('late_clock')
+      expect(lateClock.totalAttempts).toBe(1)
+      expect(lateClock.overallFgPct).toBe(0)
+
+      const all = await load('unknown')
+      expect(all.totalAttempts).toBe(3)
+      expect(all.metrics.map(m => m.id)).toContain('free_throw')
+    })
+
+    it('should merge the same lineup across games of one team', async () => {
+      const team_roster = [
+        { id: 'p1', number: '5', name: 'Ava' },
+        { id: 'p2', number: '12', name: null },
+      ]
+      const sessions = {
+        'game-1': { id: 'game-1', date_iso: '2024-01-05', team_name: 'Warriors', team_roster },
+        // same players, ids listed the other way round
+        'game-2': { id: 'game-2', date_iso: '2024-01-10', team_name: 'Warriors', team_roster: [...team_roster].reverse() },
+      }
+      const events = [
+        { id: 'e1', game_id: 'game-1', type: 'shot', zone_id: 'center_mid', made: true, lineup_ids: ['p1', 'p2'], ts: '2024-01-05T10:00:00Z' },
+        { id: 'e2', game_id: 'game-2', type: 'shot', zone_id: 'center_mid', made: false, lineup_ids: ['p2', 'p1'], ts: '2024-01-10T10:00:00Z' },
+        { id: 'e3', game_id: 'game-2', type: 'shot', zone_id: 'center_mid', made: true, lineup_ids: ['p2'], ts: '2024-01-10T10:01:00Z' },
+        { id: 'e4', game_id: 'game-2', type: 'shot', zone_id: 'center_mid', made: true, ts: '2024-01-10T10:02:00Z' },
+      ]
+
+      mockKeys
+        .mockResolvedValueOnce(Object.keys(sessions))
+        .mockResolvedValueOnce(events.map(e => e.id))
+      mockGet.mockImplementation((key) =>
+        Promise.resolve(sessions[key] || events.find(e => e.id === key) || null)
+      )
+
+      const result = await getGamePerformance({ days: 30 })
+
+      expect(result.lineupSplits).toHaveLength(2)
+      expect(result.lineupSplits[0]).toMatchObject({ label: '#5 Ava · #12', team: 'Warriors', fgm: 1, fga: 2, fgPct: 50 })
+      expect(result.lineupSplits[1]).toMatchObject({ label: '#12', fgm: 1, fga: 1 })
+    })
+
+    it('should merge the same opponent defender across games', async () => {
+      const roster = [{ id: 'p1', number: '23', name: 'James' }]
+      const sessions = {
+        'game-1': { id: 'game-1', date_iso: '2024-01-05', opponent_name: 'Lakers', opponent_roster: roster },
+        'game-2': { id: 'game-2', date_iso: '2024-01-10', opponent_name: 'Lakers', opponent_roster: roster },
+        'game-3': { id: 'game-3', date_iso: '2024-01-12', opponent_name: 'Celtics', opponent_roster: roster },
+      }
+      const events = [
+        { id: 'e1', game_id: 'game-1', type: 'shot', zone_id: 'center_mid', made: true, defender_id: 'p1', ts: '2024-01-05T10:00:00Z' },
+        { id: 'e2', game_id: 'game-2', type: 'shot', zone_id: 'center_mid', made: false, defender_id: 'p1', ts: '2024-01-10T10:00:00Z' },
+        { id: 'e3', game_id: 'game-3', type: 'shot', zone_id: 'center_mid', made: true, defender_id: 'p1', ts: '2024-01-12T10:00:00Z' },
+        { id: 'e4', game_id: 'game-3', type: 'shot', zone_id: 'center_mid', made: true, ts: '2024-01-12T10:01:00Z' },
+      ]
+
+      mockKeys
+        .mockResolvedValueOnce(Object.keys(sessions))
+        .mockResolvedValueOnce(events.map(e => e.id))
+      mockGet.mockImplementation((key) =>
+        Promise.resolve(sessions[key] || events.find(e => e.id === key) || null)
+      )
+
+      const result = await getGamePerformance({ days: 30 })
+
+      expect(result.defenderSplits).toHaveLength(2)
+      expect(result.defenderSplits[0]).toMatchObject({ label: '#23 James', opponent: 'Lakers', fgm: 1, fga: 2, fgPct: 50 })
+      expect(result.defenderSplits[1]).toMatchObject({ label: '#23 James', opponent: 'Celtics', fgm: 1, fga: 1 })
+    })
+
+    it('should split shooting by half using each game period format', async () => {
+      const sessions = {
+        'game-1': { id: 'game-1', date_iso: '2024-01-10', period_format: 'halves', _deleted: false },
+      }
+      const events = [
+        { id: 'e1', game_id: 'game-1', type: 'shot', zone_id: 'center_mid', made: true, is_three: false, period: 1, ts: '2024-01-10T10:00:00Z', _deleted: false },
+        { id: 'e2', game_id: 'game-1', type: 'shot', zone_id: 'center_mid', made: false, is_three: false, period: 2, ts: '2024-01-10T10:01:00Z', _deleted: false },
+        { id: 'e3', game_id: 'game-1', type: 'shot', zone_id: 'center_mid', made: true, is_three: false, period: 2, ts: '2024-01-10T10:02:00Z', _deleted: false },
+        { id: 'e4', game_id: 'game-1', type: 'shot', zone_id: 'center_mid', made: true, is_three: false, ts: '2024-01-10T10:03:00Z', _deleted: false },
+      ]
+
+      mockKeys
+        .mockResolvedValueOnce(['game-1'])
+        .mockResolvedValueOnce(['e1', 'e2', 'e3', 'e4'])
+      mockGet.mockImplementation((key) =>
+        Promise.resolve(sessions[key] || events.find(e => e.id === key) || null)
+      )
+
+      const result = await getGamePerformance({ days: 30 })
+
+      expect(result.halfSplits.first).toMatchObject({ fgm: 1, fga: 1 })
+      expect(result.halfSplits.second).toMatchObject({ fgm: 1, fga: 2, fgPct: 50 })
+      expect(result.totalAttempts).toBe(4)
     })
 
     it('should calculate overall FG% and eFG% correctly', async () => {
@@ -449,7 +577,233 @@ describe('performance-db', () => {
     })
   })
 
+  describe('computePeriodBoxScores', () => {
+    it('should list every regulation period plus used overtime and untagged rows', () => {
+      const session = { period_format: 'halves' }
+      const events = [
+        { type: 'shot', period: 1, made: true, is_three: true },
+        { type: 'shot', period: 1, made: false, is_three: false },
+        { type: 'freethrow', period: 3, made: true },
+        { type: 'assist', period: 3 },
+        { type: 'shot', made: true, is_three: false },
+        { type: 'shot', period: 2, made: true, _deleted: true },
+      ]
+
+      const rows = computePeriodBoxScores(events, session)
+
+      expect(rows.map(r => r.label)).toEqual(['H1', 'H2', 'OT', 'Untagged'])
+      expect(rows[0]).toMatchObject({ fgm: 1, fga: 2, threesMade: 1, points: 3, fgPct: 50, efgPct: 75 })
+      expect(rows[1]).toMatchObject({ fga: 0, points: 0 })
+      expect(rows[2]).toMatchObject({ ftm: 1, fta: 1, assists: 1, points: 1 })
+      expect(rows[3]).toMatchObject({ period: null, fgm: 1, points: 2 })
+    })
+  })
+
+  describe('computeHalfSplits', () => {
+    it('should split quarters into halves and overtime', () => {
+      const events = [
+        { type: 'shot', period: 1, made: true, is_three: false },
+        { type: 'shot', period: 2, made: false, is_three: false },
+        { type: 'shot', period: 3, made: true, is_three: true },
+        { type: 'shot', period: 5, made: false, is_three: false },
+        { type: 'shot', made: true, is_three: false },
+      ]
+
+      const splits = computeHalfSplits(events, {})
+
+      expect(splits.first).toMatchObject({ fgm: 1, fga: 2, fgPct: 50 })
+      expect(splits.second).toMatchObject({ fgm: 1, fga: 1, threesMade: 1, points: 3 })
+      expect(splits.overtime).toMatchObject({ fgm: 0, fga: 1 })
+    })
+  })
+
+  describe('computeDefenderSplits', () => {
+    it('should group shots by tagged defender, most guarded first', () => {
+      const session = {
+        opponent_roster: [
+          { id: 'p1', number: '23', name: 'James' },
+          { id: 'p2', number: '3', name: null },
+        ],
+      }
+      const events = [
+        { type: 'shot', defender_id: 'p2', zone_id: 'center_mid', made: true, is_three: false },
+        { type: 'shot', defender_id: 'p1', zone_id: 'left_wing_3', made: true, is_three: true },
+        { type: 'shot', defender_id: 'p1', zone_id: 'center_mid', made: false, is_three: false },
+        { type: 'shot', zone_id: 'center_mid', made: false, is_three: false },
+        { type: 'freethrow', made: true },
+      ]
+
+      const rows = computeDefenderSplits(events, session)
+
+      expect(rows.map(r => r.label)).toEqual(['#23 James', '#3', 'No defender tagged'])
+      expect(rows[0]).toMatchObject({ defenderId: 'p1', fgm: 1, fga: 2, threesMade: 1, points: 3, fgPct: 50 })
+      expect(rows[1]).toMatchObject({ defenderId: 'p2', fgm: 1, fga: 1, points: 2 })
+      expect(rows[2]).toMatchObject({ defenderId: null, fga: 1 })
+    })
+
+    it('should return nothing when no shot was tagged', () => {
+      expect(computeDefenderSplits([{ type: 'shot', made: true }], {})).toEqual([])
+    })
+  })
+
+  describe('computeLineupSplits', () => {
+    it('should group shots by lineup, most used first', () => {
+      const session = {
+        team_roster: [
+          { id: 'p1', number: '5', name: 'Ava' },
+          { id: 'p2', number: '12', name: null },
+        ],
+      }
+      const events = [
+        { type: 'shot', lineup_ids: ['p2'], zone_id: 'center_mid', made: true },
+        { type: 'shot', lineup_ids: ['p2', 'p1'], zone_id: 'left_wing_3', made: true, is_three: true },
+        { type: 'shot', lineup_ids: ['p1', 'p2'], zone_id: 'center_mid', made: false },
+        { type: 'shot', zone_id: 'center_mid', made: false },
+        { type: 'assist', lineup_ids: ['p1'] },
+      ]
+
+      const rows = computeLineupSplits(events, session)
+
+      expect(rows.map(r => r.label)).toEqual(['#5 Ava · #12', '#12', 'No lineup tagged'])
+      expect(rows[0]).toMatchObject({ lineupKey: 'p1|p2', lineupIds: ['p1', 'p2'], fgm: 1, fga: 2, threesMade: 1, points: 3 })
+      expect(rows[2]).toMatchObject({ lineupKey: null, fga: 1 })
+    })
+
+    it('should return nothing when no shot was tagged', () => {
+      expect(computeLineupSplits([{ type: 'shot', made: true, lineup_ids: [] }], {})).toEqual([])
+    })
+  })
+
+  describe('computeShotSequence', () => {
+    it('should track streaks within a session and the first shot of each day', () => {
+      const shots = [
+        // day 1, session a: M M X M M M X
+        ...[true, true, false, true, true, true, false].map((made, i) => ({
+          session_id: 'a',
+          ts: `2024-01-10T10:0${i}:00Z`,
+          attempts: 1,
+          made,
+        })),
+        // day 2, session b: X X (a new session does not extend day 1's miss)
+        { session_id: 'b', ts: '2024-01-11T10:00:00Z', attempts: 1, made: false },
+        { session_id: 'b', ts: '2024-01-11T10:01:00Z', attempts: 1, made: false },
+        // batch rows and deleted shots are ignored
+        { session_id: 'b', ts: '2024-01-11T09:00:00Z', attempts: 10, makes: 6 },
+        { session_id: 'b', ts: '2024-01-11T08:00:00Z', attempts: 1, made: true, _deleted: true },
+      ]
+
+      const seq = computeShotSequence(shots)
+
+      expect(seq).toMatchObject({
+        shots: 9,
+        makes: 5,
+        longestMakeStreak: 3,
+        longestMissStreak: 2,
+        firstShot: { days: 2, makes: 1, fgPct: 50 },
+      })
+      expect(seq.fgPct).toBeCloseTo(55.56, 1)
+    })
+
+    it('should be empty without single shots', () => {
+      expect(computeShotSequence([{ attempts: 5, makes: 2 }])).toMatchObject({
+        shots: 0,
+        longestMakeStreak: 0,
+        firstShot: { days: 0, fgPct: 0 },
+      })
+    })
+  })
+
+  describe('computeFatigueSplits', () => {
+    it('should split each session by shot order and elapsed minutes', () => {
+      const sessions = new Map([['a', { id: 'a', started_at: '2024-01-10T10:00:00Z' }]])
+      // one shot every 5 minutes: five makes, then five misses
+      const rows = Array.from({ length: 10 }, (_, i) => ({
+        sessionId: 'a',
+        ts: dayjs('2024-01-10T10:00:00Z').add(i * 5, 'minute').toISOString(),
+        attempts: 1,
+        makes: i < 5 ? 1 : 0,
+        isThree: i === 0,
+      }))
+
+      const { order, minutes } = computeFatigueSplits(rows, sessions)
+
+      expect(order.blocks.map(b => b.label)).toEqual(['10%', '20%', '30%', '40%', '50%', '60%', '70%', '80%', '90%', '100%'])
+      expect(order.blocks.map(b => b.fga)).toEqual(Array(10).fill(1))
+      expect(order.blocks[0]).toMatchObject({ fgm: 1, threesMade: 1, fgPct: 100, efgPct: 150 })
+      expect(order.blocks[9]).toMatchObject({ fgm: 0, fgPct: 0 })
+      expect(order.dropOff).toMatchObject({ earlyFgPct: 100, lateFgPct: 0, earlyFga: 3, lateFga: 3, change: -100, flagged: false })
+
+      // the empty 50m+ block is trimmed
+      expect(minutes.blocks.map(b => b.label)).toEqual(['0–10m', '10–20m', '20–30m', '30–40m', '40–50m'])
+      expect(minutes.blocks.map(b => b.fga)).toEqual([2, 2, 2, 2, 2])
+      expect(minutes.dropOff).toMatchObject({ earlyFga: 4, lateFga: 2, change: -100, flagged: false })
+    })
+
+    it('should place batches at their midpoint and flag a big late drop', () => {
+      // started_at after the first entry falls back to the first entry
+      const sessions = new Map([['b', { id: 'b', started_at: '2024-01-10T10:30:00Z' }]])
+      const rows = [
+        { sessionId: 'b', ts: '2024-01-10T10:55:00Z', attempts: 30, makes: 9, isThree: false },
+        { sessionId: 'b', ts: '2024-01-10T10:00:00Z', attempts: 30, makes: 18, isThree: false },
+        { sessionId: 'b', ts: '2024-01-10T10:20:00Z', attempts: 0, makes: 0, isThree: false },
+      ]
+
+      const { order, minutes } = computeFatigueSplits(rows, sessions)
+
+      expect(order.blocks[2]).toMatchObject({ fga: 30, fgm: 18, fgPct: 60 })
+      expect(order.blocks[7]).toMatchObject({ fga: 30, fgm: 9, fgPct: 30 })
+      expect(order.blocks[0]).toMatchObject({ fga: 0, fgPct: null, efgPct: null })
+      expect(order.dropOff).toMatchObject({ earlyFgPct: 60, lateFgPct: 30, change: -30, flagged: true })
+
+      expect(minutes.blocks).toHaveLength(6)
+      expect(minutes.blocks[5]).toMatchObject({ label: '50m+', fga: 30 })
+      expect(minutes.dropOff.flagged).toBe(true)
+    })
+
+    it('should have no drop-off without shots', () => {
+      const { order, minutes } = computeFatigueSplits([])
+      expect(order.blocks).toHaveLength(10)
+      expect(order.dropOff).toBeNull()
+      expect(minutes.blocks).toEqual([])
+      expect(minutes.dropOff).toBeNull()
+    })
+  })
+
   describe('getPracticePerformance', () => {
+    it('should count single shots alongside batches and sequence them', async () => {
+      const session = { id: 'practice-1', date_iso: '2024-01-10', _deleted: false }
+      const entries = [
+        { id: 'e1', session_id: 'practice-1', zone_id: 'center_mid', attempts: 10, makes: 4, made: null, ts: '2024-01-10T10:00:00Z' },
+        { id: 'e2', session_id: 'practice-1', zone_id: 'center_mid', attempts: 1, makes: 1, made: true, ts: '2024-01-10T10:05:00Z' },
+        { id: 'e3', session_id: 'practice-1', zone_id: 'center_mid', attempts: 1, makes: 0, made: false, ts: '2024-01-10T10:06:00Z' },
+        { id: 'e4', session_id: 'practice-1', zone_id: 'free_throw', attempts: 1, makes: 1, made: true, ts: '2024-01-10T09:00:00Z' },
+      ]
+
+      mockKeys
+        .mockResolvedValueOnce(['practice-1'])
+        .mockResolvedValueOnce(entries.map(e => e.id))
+
+      mockGet.mockImplementation((key) => {
+        if (key === 'practice-1') return Promise.resolve(session)
+        return Promise.resolve(entries.find(e => e.id === key) || null)
+      })
+
+      const result = await getPracticePerformance({ days: null })
+
+      expect(result.totalAttempts).toBe(12)
+      expect(result.metrics.find(m => m.id === 'center_mid')).toMatchObject({ attempts: 12, makes: 5 })
+      // free throws stay out of the field-goal sequence
+      expect(result.shotSequence).toMatchObject({
+        shots: 2,
+        makes: 1,
+        longestMakeStreak: 1,
+        firstShot: { days: 1, makes: 1 },
+      })
+      // batches and single shots both feed the fatigue splits; free throws do not
+      expect(result.fatigue.order.blocks.reduce((n, b) => n + b.fga, 0)).toBe(12)
+      expect(result.fatigue.order.blocks.reduce((n, b) => n + b.fgm, 0)).toBe(5)
+    })
+
     it('should return empty metrics when no sessions exist', async () => {
       mockKeys.mockResolvedValue([])
 
@@ -460,6 +814,7 @@ describe('performance-db', () => {
       expect(result.overallFgPct).toBe(0)
       expect(result.overallEfgPct).toBe(0)
       expect(result.totalAttempts).toBe(0)
+      expect(result.fatigue.order.dropOff).toBeNull()
     })
 
     it('should aggregate zone performance from practice entries', async () => {
@@ -16,6 +16,20 @@ import {
   _allDirtyPractice,
   _markClean,
   _purgePracticeRow,
+  _remapAthleteId,
+  upsertPracticeEntriesFromRemote,
+  upsertPracticeDrillsFromRemote,
+  upsertPracticeChallengesFromRemote,
+  deletePracticeRowsFromRemote,
+  addDrill,
+  updateDrill,
+  deleteDrill,
+  listDrills,
+  getDrillHistory,
+  setPracticeTimer,
+  listPracticeSessionSummaries,
+  addChallenge,
+  listChallenges,
 } from '../practice-db.js'
 
 // Mock dependencies
@@ -38,6 +52,10 @@ vi.mock('../athlete-db.js', () => ({
   getActiveAthleteId: vi.fn(),
 }))
 
+vi.mock('../idb-init.js', () => ({
+  whenIdbReady: vi.fn(() => Promise.resolve()),
+}))
+
 describe('practice-db', () => {
   let mockGet, mockSet, mockDel
   let notifyLocalMutate
@@ -88,6 +106,8 @@ describe('practice-db', () => {
       expect(st.practice.sessions).toBeDefined()
       expect(st.practice.entries).toBeDefined()
       expect(st.practice.markers).toBeDefined()
+      expect(st.practice.drills).toBeDefined()
+      expect(st.practice.challenges).toBeDefined()
     })
   })
 
@@ -390,6 +410,43 @@ describe('practice-db', () => {
 
       expect(result.athlete_id).toBe('ath-session')
     })
+
+    it('should link entries to a guided drill run', async () => {
+      const free = await addEntry({ sessionId: 'session-1', zoneId: 'nail', attempts: 3, makes: 2 })
+      const guided = await addEntry({
+        sessionId: 'session-1',
+        zoneId: 'nail',
+        attempts: 10,
+        makes: 6,
+        drillRunId: 'run-1',
+        drillStep: '2',
+      })
+      const stray = await addEntry({ sessionId: 'session-1', zoneId: 'nail', attempts: 1, makes: 1, drillStep: 1 })
+
+      expect(free.drill_run_id).toBeNull()
+      expect(free.drill_step).toBeNull()
+      expect(guided.drill_run_id).toBe('run-1')
+      expect(guided.drill_step).toBe(2)
+      expect(stray.drill_step).toBeNull()
+    })
+
+    it('should store a single shot as a one-attempt row with its location', async () => {
+      const make = await addEntry({
+        sessionId: 'session-1',
+        zoneId: 'nail',
+        attempts: 5,
+        makes: 0,
+        made: true,
+        shotX: 0.51234,
+        shotY: 1.4,
+      })
+      const miss = await addEntry({ sessionId: 'session-1', zoneId: 'nail', made: false })
+      const batch = await addEntry({ sessionId: 'session-1', zoneId: 'nail', attempts: 5, makes: 3 })
+
+      expect(make).toMatchObject({ attempts: 1, makes: 1, made: true, shot_x: 0.5123, shot_y: 1 })
+      expect(miss).toMatchObject({ attempts: 1, makes: 0, made: false, shot_x: null, shot_y: null })
+      expect(batch).toMatchObject({ attempts: 5, makes: 3, made: null, shot_x: null, shot_y: null })
+    })
   })
 
   describe('updateEntry', () => {
@@ -489,6 +546,20 @@ describe('practice-db', () => {
       expect(result.pickup_type).toBe('two_dribble')
       expect(result.finish_type).toBe('left_hand')
     })
+
+    it('should keep a single shot per-shot only while it stays one attempt', async () => {
+      const shot = { id: 'entry-1', attempts: 1, makes: 0, made: false, shot_x: 0.4, shot_y: 0.2 }
+      mockGet.mockImplementation((key) => {
+        if (key === 'entry-1') return Promise.resolve(shot)
+        return Promise.resolve(null)
+      })
+
+      const flipped = await updateEntry({ id: 'entry-1', attempts: 1, makes: 1 })
+      expect(flipped).toMatchObject({ made: true, shot_x: 0.4, shot_y: 0.2 })
+
+      const widened = await updateEntry({ id: 'entry-1', attempts: 4, makes: 2 })
+      expect(widened).toMatchObject({ attempts: 4, makes: 2, made: null, shot_x: null, shot_y: null })
+    })
   })
 
   describe('deleteEntry', () => {
@@ -577,6 +648,400 @@ describe('practice-db', () => {
       const result = await addMarker({ sessionId: 'session-1', label: 'Set' })
 
       expect(result.athlete_id).toBe('ath-parent')
+      expect(result.drill_id).toBeNull()
+    })
+
+    it('should record the drill a guided run starts', async () => {
+      const result = await addMarker({ sessionId: 'session-1', label: 'Mikan Drill', drillId: 'drill-1' })
+
+      expect(result.drill_id).toBe('drill-1')
+    })
+  })
+
+  describe('drill templates', () => {
+    const steps = [
+      { zone_id: 'nail', shot_type: 'off_dribble', target_reps: 10, make_goal: 6 },
+      { zone_id: 'free_throw', shot_type: null, target_reps: 10, make_goal: null },
+    ]
+
+    beforeEach(() => {
+      mockGet.mockImplementation((key) => {
+        if (key === '__index__') return Promise.resolve([])
+        return Promise.resolve(null)
+      })
+    })
+
+    it('should add a drill with normalized steps', async () => {
+      getActiveAthleteId.mockReturnValue('ath-1')
+
+      const result = await addDrill({
+        name: '  Mid-range Ladder ',
+        steps: [{ zone_id: 'nail', shot_type: 'off_dribble', target_reps: '10', make_goal: '6' }, { zone_id: 'bogus' }],
+      })
+
+      expect(result).toEqual({
+        id: 'test-uuid-1',
+        user_id: null,
+        athlete_id: 'ath-1',
+        name: 'Mid-range Ladder',
+        steps: [steps[0]],
+        created_at: '2024-01-15T12:00:00.000Z',
+        _dirty: true,
+        _deleted: false,
+        _table: 'practice_drills',
+      })
+      expect(mockSet).toHaveBeenCalledWith('__index__', ['test-uuid-1'], st.practice.drills)
+      expect(notifyLocalMutate).toHaveBeenCalledTimes(1)
+    })
+
+    it('should reject drills without a name or a valid step', async () => {
+      await expect(addDrill({ name: ' ', steps })).rejects.toThrow('addDrill requires a name')
+      await expect(addDrill({ name: 'Empty', steps: [{ zone_id: 'bogus' }] })).rejects.toThrow(
+        'addDrill requires at least one step'
+      )
+      expect(mockSet).not.toHaveBeenCalled()
+    })
+
+    it('should update and soft-delete a drill', async () => {
+      const existing = { id: 'drill-1', name: 'Old', steps, _dirty: false, _table: 'practice_drills' }
+      mockGet.mockImplementation((key) => Promise.resolve(key === 'drill-1' ? existing : null))
+
+      const renamed = await updateDrill({ id: 'drill-1', name: 'New' })
+      expect(renamed.name).toBe('New')
+      expect(renamed.steps).toEqual(steps)
+      expect(renamed._dirty).toBe(true)
+
+      const deleted = await deleteDrill('drill-1')
+      expect(deleted._deleted).toBe(true)
+      expect(deleted._dirty).toBe(true)
+
+      await expect(updateDrill({ id: 'missing', name: 'x' })).rejects.toThrow('practice drill not found: missing')
+    })
+
+    it('should list live drills by name for the active athlete', async () => {
+      getActiveAthleteId.mockReturnValue('ath-1')
+      const rows = {
+        d1: { id: 'd1', name: 'Zig Zag', athlete_id: 'ath-1' },
+        d2: { id: 'd2', name: 'Around the World', athlete_id: 'ath-1' },
+        d3: { id: 'd3', name: 'Gone', athlete_id: 'ath-1', _deleted: true },
+        d4: { id: 'd4', name: 'Other Kid', athlete_id: 'ath-2' },
+      }
+      mockGet.mockImplementation((key) =>
+        Promise.resolve(key === '__index__' ? Object.keys(rows) : rows[key] ?? null)
+      )
+
+      const result = await listDrills()
+
+      expect(result.map((d) => d.id)).toEqual(['d2', 'd1'])
+    })
+
+    it('should summarize past runs of a drill and pick the best', async () => {
+      const stores = {
+        nm_practice_drills: { 'drill-1': { id: 'drill-1', steps } },
+        nm_practice_markers: {
+          'run-1': { id: 'run-1', drill_id: 'drill-1', session_id: 's1', ts: '2024-01-10T10:00:00Z' },
+          'run-2': { id: 'run-2', drill_id: 'drill-1', session_id: 's2', ts: '2024-01-12T10:00:00Z' },
+          'set-1': { id: 'set-1', drill_id: null, session_id: 's2', ts: '2024-01-12T11:00:00Z' },
+          'run-x': { id: 'run-x', drill_id: 'drill-2', session_id: 's2', ts: '2024-01-12T12:00:00Z' },
+        },
+        nm_practice_entries: {
+          e1: { id: 'e1', drill_run_id: 'run-1', drill_step: 0, attempts: 10, makes: 7 },
+          e2: { id: 'e2', drill_run_id: 'run-1', drill_step: 1, attempts: 10, makes: 9 },
+          e3: { id: 'e3', drill_run_id: 'run-2', drill_step: 0, attempts: 10, makes: 5 },
+          e4: { id: 'e4', drill_run_id: 'run-2', drill_step: 1, attempts: 10, makes: 8, _deleted: true },
+          e5: { id: 'e5', drill_run_id: null, attempts: 5, makes: 5 },
+        },
+      }
+      mockGet.mockImplementation((key, store) => {
+        const rows = stores[store.dbName] || {}
+        return Promise.resolve(key === '__index__' ? Object.keys(rows) : rows[key] ?? null)
+      })
+
+      const { runs, best } = await getDrillHistory('drill-1')
+
+      expect(runs.map((r) => r.id)).toEqual(['run-2', 'run-1'])
+      expect(runs[0]).toMatchObject({ session_id: 's2', makes: 5, attempts: 10, stepsDone: 1, complete: false, goalsMet: 0 })
+      expect(runs[1]).toMatchObject({ makes: 16, attempts: 20, fgPct: 80, complete: true, goalsSet: 1, goalsMet: 1 })
+      expect(best.id).toBe('run-1')
+    })
+
+    it('should return an empty history for drills never run', async () => {
+      expect(await getDrillHistory('drill-1')).toEqual({ runs: [], best: null })
+      expect(await getDrillHistory(null)).toEqual({ runs: [], best: null })
+    })
+
+    it('should merge remote drills and normalize their steps', async () => {
+      await upsertPracticeDrillsFromRemote([
+        { id: 'drill-1', name: 'Remote', steps: [{ zone_id: 'nail', target_reps: 4 }, { zone_id: 'bogus' }] },
+      ])
+
+      expect(mockSet).toHaveBeenCalledWith(
+        'drill-1',
+        {
+          id: 'drill-1',
+          name: 'Remote',
+          steps: [{ zone_id: 'nail', shot_type: null, target_reps: 4, make_goal: null }],
+          _dirty: false,
+          _deleted: false,
+          _table: 'practice_drills',
+        },
+        st.practice.drills
+      )
+    })
+
+    it('should route drill rows through the sync helpers', async () => {
+      mockGet.mockImplementation((key) =>
+        Promise.resolve(key === 'drill-1' ? { id: 'drill-1', _dirty: true } : null)
+      )
+
+      await _markClean({ id: 'drill-1', _table: 'practice_drills' })
+      expect(mockSet).toHaveBeenCalledWith('drill-1', expect.objectContaining({ _dirty: false }), st.practice.drills)
+
+      await _purgePracticeRow({ id: 'drill-1', _table: 'practice_drills' })
+      expect(mockDel).toHaveBeenCalledWith('drill-1', st.practice.drills)
+    })
+  })
+
+  describe('streak challenges', () => {
+    beforeEach(() => {
+      mockGet.mockImplementation((key) => {
+        if (key === '__index__') return Promise.resolve([])
+        if (key === 'session-1') return Promise.resolve({ id: 'session-1', athlete_id: 'ath-1' })
+        return Promise.resolve(null)
+      })
+    })
+
+    it('should save a challenge result under its session', async () => {
+      const result = await addChallenge({
+        sessionId: 'session-1',
+        zoneId: 'left_wing_3',
+        shotType: 'catch_shoot',
+        targetStreak: '10',
+        bestStreak: 10,
+        attempts: 14,
+        makes: 12,
+        completed: true,
+        startedAt: '2024-01-15T11:50:00Z',
+      })
+
+      expect(result).toEqual({
+        id: 'test-uuid-1',
+        user_id: null,
+        athlete_id: 'ath-1',
+        session_id: 'session-1',
+        zone_id: 'left_wing_3',
+        shot_type: 'catch_shoot',
+        target_streak: 10,
+        best_streak: 10,
+        attempts: 14,
+        makes: 12,
+        completed: true,
+        started_at: '2024-01-15T11:50:00Z',
+        ended_at: '2024-01-15T12:00:00.000Z',
+        _dirty: true,
+        _deleted: false,
+        _table: 'practice_challenges',
+      })
+      expect(mockSet).toHaveBeenCalledWith('__index__', ['test-uuid-1'], st.practice.challenges)
+      expect(notifyLocalMutate).toHaveBeenCalledTimes(1)
+    })
+
+    it('should reject challenges without a session, zone or target', async () => {
+      await expect(addChallenge({ zoneId: 'nail', targetStreak: 5 })).rejects.toThrow(
+        'addChallenge requires sessionId'
+      )
+      await expect(addChallenge({ sessionId: 'session-1', targetStreak: 5 })).rejects.toThrow(
+        'addChallenge requires zoneId'
+      )
+      await expect(addChallenge({ sessionId: 'session-1', zoneId: 'nail' })).rejects.toThrow(
+        'addChallenge requires a target streak'
+      )
+      expect(mockSet).not.toHaveBeenCalled()
+    })
+
+    it('should list live challenges newest first for the active athlete', async () => {
+      getActiveAthleteId.mockReturnValue('ath-1')
+      const rows = {
+        c1: { id: 'c1', athlete_id: 'ath-1', ended_at: '2024-01-10T10:00:00Z' },
+        c2: { id: 'c2', athlete_id: 'ath-1', ended_at: '2024-01-12T10:00:00Z' },
+        c3: { id: 'c3', athlete_id: 'ath-1', ended_at: '2024-01-13T10:00:00Z', _deleted: true },
+        c4: { id: 'c4', athlete_id: 'ath-2', ended_at: '2024-01-14T10:00:00Z' },
+      }
+      mockGet.mockImplementation((key) =>
+        Promise.resolve(key === '__index__' ? Object.keys(rows) : rows[key] ?? null)
+      )
+
+      const result = await listChallenges()
+
+      expect(result.map((c) => c.id)).toEqual(['c2', 'c1'])
+    })
+
+    it('should merge remote challenges and route them through the sync helpers', async () => {
+      await upsertPracticeChallengesFromRemote([{ id: 'pc1', best_streak: 6 }])
+      expect(mockSet).toHaveBeenCalledWith(
+        'pc1',
+        { id: 'pc1', best_streak: 6, _dirty: false, _deleted: false, _table: 'practice_challenges' },
+        st.practice.challenges
+      )
+
+      mockGet.mockImplementation((key) =>
+        Promise.resolve(key === 'pc1' ? { id: 'pc1', _dirty: true } : null)
+      )
+      await _markClean({ id: 'pc1', _table: 'practice_challenges' })
+      expect(mockSet).toHaveBeenCalledWith('pc1', expect.objectContaining({ _dirty: false }), st.practice.challenges)
+
+      await deletePracticeRowsFromRemote('practice_challenges', ['pc1'])
+      expect(mockDel).not.toHaveBeenCalled() // still dirty locally
+
+      await _purgePracticeRow({ id: 'pc1', _table: 'practice_challenges' })
+      expect(mockDel).toHaveBeenCalledWith('pc1', st.practice.challenges)
+    })
+  })
+
+  describe('_remapAthleteId', () => {
+    it('should wait for IndexedDB, then point rows at the new athlete id', async () => {
+      const { whenIdbReady } = await import('../idb-init.js')
+      const rows = {
+        __index__: ['r1', 'r2'],
+        r1: { id: 'r1', athlete_id: 'local-ath' },
+        r2: { id: 'r2', athlete_id: 'other-ath' },
+      }
+      mockGet.mockImplementation((key) => Promise.resolve(rows[key]))
+
+      await _remapAthleteId('local-ath', 'server-ath')
+
+      expect(whenIdbReady).toHaveBeenCalled()
+      expect(mockSet).toHaveBeenCalledWith(
+        'r1',
+        { id: 'r1', athlete_id: 'server-ath', _dirty: true, _table: 'practice_sessions' },
+        st.practice.sessions,
+      )
+      expect(mockSet).not.toHaveBeenCalledWith('r2', expect.anything(), expect.anything())
+    })
+
+    it('should do nothing without two different ids', async () => {
+      await _remapAthleteId('same', 'same')
+      await _remapAthleteId(null, 'server-ath')
+      expect(mockGet).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('setPracticeTimer', () => {
+    it('should start and stop the interval timer of a session', async () => {
+      mockGet.mockImplementation((key) =>
+        Promise.resolve(key === 'session-1' ? { id: 'session-1', status: 'active' } : undefined),
+      )
+
+      const started = await setPracticeTimer('session-1', { workSec: '60', restSec: 2 })
+      expect(started).toMatchObject({
+        timer_work_sec: 60,
+        timer_rest_sec: 5,
+        timer_started_at: '2024-01-15T12:00:00.000Z',
+        timer_index_offset: 0,
+        _dirty: true,
+      })
+
+      const stopped = await setPracticeTimer('session-1', null)
+      expect(stopped).toMatchObject({
+        timer_work_sec: null,
+        timer_rest_sec: null,
+        timer_started_at: null,
+        timer_index_offset: null,
+      })
+      expect(notifyLocalMutate).toHaveBeenCalledTimes(2)
+    })
+
+    it('should number a restarted timer past the session\'s earlier intervals', async () => {
+      const rows = {
+        __index__: ['e1', 'e2', 'e3', 'e4'],
+        'session-1': { id: 'session-1', status: 'active' },
+        e1: { id: 'e1', session_id: 'session-1', interval_index: 0, interval_phase: 'work' },
+        e2: { id: 'e2', session_id: 'session-1', interval_index: 2, interval_phase: 'rest' },
+        e3: { id: 'e3', session_id: 'session-1', interval_index: null, interval_phase: null },
+        e4: { id: 'e4', session_id: 'session-2', interval_index: 7, interval_phase: 'work' },
+      }
+      mockGet.mockImplementation((key) => Promise.resolve(rows[key]))
+
+      expect(await setPracticeTimer('session-1', { workSec: 60, restSec: 30 })).toMatchObject({
+        timer_index_offset: 3,
+      })
+
+      // Still running 200s in (third interval from offset 3): restart past it
+      rows['session-1'] = {
+        ...rows['session-1'],
+        timer_work_sec: 60,
+        timer_rest_sec: 30,
+        timer_started_at: '2024-01-15T11:56:40.000Z',
+        timer_index_offset: 3,
+      }
+      expect(await setPracticeTimer('session-1', { workSec: 45, restSec: 15 })).toMatchObject({
+        timer_index_offset: 6,
+      })
+    })
+
+    it('should return null if session not found', async () => {
+      expect(await setPracticeTimer('missing', { workSec: 60, restSec: 30 })).toBeNull()
+      expect(mockSet).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('interval tagging', () => {
+    it('should tag entries with the interval the session timer was in', async () => {
+      mockGet.mockImplementation((key) =>
+        Promise.resolve(
+          key === 'session-1'
+            ? { id: 'session-1', timer_work_sec: 60, timer_rest_sec: 30, timer_started_at: '2024-01-15T11:58:00.000Z' }
+            : key === 'session-2'
+              ? { id: 'session-2' }
+              : null,
+        ),
+      )
+
+      // 120s in: second interval, work
+      const work = await addEntry({ sessionId: 'session-1', zoneId: 'nail', attempts: 5, makes: 3 })
+      // 155s in: second interval, rest
+      const rest = await addEntry({
+        sessionId: 'session-1',
+        zoneId: 'nail',
+        made: true,
+        ts: '2024-01-15T12:00:35.000Z',
+      })
+      const untimed = await addEntry({ sessionId: 'session-2', zoneId: 'nail', attempts: 5, makes: 3 })
+
+      expect(work).toMatchObject({ interval_index: 1, interval_phase: 'work' })
+      expect(rest).toMatchObject({ interval_index: 1, interval_phase: 'rest' })
+      expect(untimed).toMatchObject({ interval_index: null, interval_phase: null })
+    })
+  })
+
+  describe('listPracticeSessionSummaries', () => {
+    it('should total each session with its duration, pace and interval split', async () => {
+      const sessions = {
+        s1: { id: 's1', started_at: '2024-01-14T10:00:00Z', ended_at: '2024-01-14T10:20:00Z' },
+        s2: { id: 's2', started_at: '2024-01-15T11:50:00Z', ended_at: null },
+      }
+      const entries = {
+        e1: { id: 'e1', session_id: 's1', attempts: 10, makes: 6, interval_index: 0, interval_phase: 'work' },
+        e2: { id: 'e2', session_id: 's1', attempts: 4, makes: 1, interval_index: 0, interval_phase: 'rest' },
+        e3: { id: 'e3', session_id: 's1', attempts: 6, makes: 3, interval_index: null, interval_phase: null },
+        e4: { id: 'e4', session_id: 's1', attempts: 9, makes: 9, _deleted: true },
+        e5: { id: 'e5', session_id: 's2', attempts: 5, makes: 5 },
+      }
+      mockGet.mockImplementation((key, store) => {
+        if (key === '__index__') {
+          return Promise.resolve(store === st.practice.sessions ? Object.keys(sessions) : Object.keys(entries))
+        }
+        return Promise.resolve(sessions[key] || entries[key] || null)
+      })
+
+      const result = await listPracticeSessionSummaries()
+
+      expect(result.s1).toMatchObject({ durationSec: 1200, attempts: 20, makes: 10, fgPct: 50, shotsPerMin: 1 })
+      expect(result.s1.intervals.work).toMatchObject({ attempts: 10, makes: 6, fgPct: 60 })
+      expect(result.s1.intervals.rest).toMatchObject({ attempts: 4, makes: 1, fgPct: 25 })
+      // still running: timed up to now
+      expect(result.s2).toMatchObject({ durationSec: 600, attempts: 5, shotsPerMin: 0.5 })
+      expect(result.s2.intervals.intervals).toEqual([])
     })
   })
 
@@ -714,7 +1179,7 @@ describe('practice-db', () => {
   })
 
   describe('deletePracticeSession', () => {
-    it('should mark session, entries, and markers as deleted', async () => {
+    it('should mark session, entries, markers, and challenges as deleted', async () => {
       const mockSession = { id: 'session-1', status: 'active' }
       const mockEntries = [
         { id: 'entry-1', session_id: 'session-1' },
@@ -737,15 +1202,18 @@ describe('practice-db', () => {
         return Promise.resolve(null)
       })
 
-      // First call returns entry ids, second call returns marker ids
+      // Index reads in order: entries, markers, then challenges
+      const mockChallenge = { id: 'challenge-1', session_id: 'session-1' }
       let callCount = 0
       mockGet.mockImplementation((key) => {
         if (key === '__index__') {
           callCount++
           if (callCount === 1) return Promise.resolve(['entry-1', 'entry-2', 'entry-3'])
           if (callCount === 2) return Promise.resolve(['marker-1', 'marker-2'])
+          if (callCount === 3) return Promise.resolve(['challenge-1'])
           return Promise.resolve([])
         }
+        if (key === 'challenge-1') return Promise.resolve(mockChallenge)
         if (key === 'entry-1') return Promise.resolve(mockEntries[0])
         if (key === 'entry-2') return Promise.resolve(mockEntries[1])
         if (key === 'entry-3') return Promise.resolve(mockEntries[2])
@@ -777,6 +1245,12 @@ describe('practice-db', () => {
         _table: 'practice_markers',
       }), st.practice.markers)
 
+      expect(mockSet).toHaveBeenCalledWith('challenge-1', expect.objectContaining({
+        _deleted: true,
+        _dirty: true,
+        _table: 'practice_challenges',
+      }), st.practice.challenges)
+
       // Verify session is marked deleted
       expect(mockSet).toHaveBeenCalledWith('session-1', expect.objectContaining({
         _deleted: true,
@@ -1006,4 +1480,54 @@ describe('practice-db', () => {
       expect(mockDel).not.toHaveBeenCalled()
     })
   })
+
+  describe('upsertPracticeEntriesFromRemote', () => {
+    it('should drop clean local entries missing remotely on a full pull', async () => {
+      mockGet.mockImplementation((key) => {
+        if (key === '__index__') return Promise.resolve(['stale', 'pending'])
+        if (key === 'stale') return Promise.resolve({ id: 'stale', _dirty: false })
+        if (key === 'pending') return Promise.resolve({ id: 'pending', _dirty: true })
+        return Promise.resolve(null)
+      })
+
+      await upsertPracticeEntriesFromRemote([], { prune: true })
+
+      expect(mockDel).toHaveBeenCalledWith('stale', st.practice.entries)
+      expect(mockDel).not.toHaveBeenCalledWith('pending', st.practice.entries)
+    })
+
+    it('should only merge rows on a delta pull', async () => {
+      mockGet.mockImplementation((key) => {
+        if (key === '__index__') return Promise.resolve(['stale'])
+        if (key === 'stale') return Promise.resolve({ id: 'stale', _dirty: false })
+        return Promise.resolve(null)
+      })
+
+      await upsertPracticeEntriesFromRemote([{ id: 'entry-1' }])
+
+      expect(mockDel).not.toHaveBeenCalled()
+      expect(mockSet).toHaveBeenCalledWith(
+        'entry-1',
+        { id: 'entry-1', _dirty: false, _deleted: false, _table: 'practice_entries' },
+        st.practice.entries
+      )
+    })
+  })
+
+  describe('deletePracticeRowsFromRemote', () => {
+    it('should delete clean rows and drop them from the index', async () => {
+      mockGet.mockImplementation((key) => {
+        if (key === '__index__') return Promise.resolve(['entry-1', 'entry-2'])
+        if (key === 'entry-1') return Promise.resolve({ id: 'entry-1', _dirty: false })
+        if (key === 'entry-2') return Promise.resolve({ id: 'entry-2', _dirty: true })
+        return Promise.resolve(null)
+      })
+
+      await deletePracticeRowsFromRemote('practice_entries', ['entry-1', 'entry-2'])
+
+      expect(mockDel).toHaveBeenCalledTimes(1)
+      expect(mockDel).toHaveBeenCalledWith('entry-1', st.practice.entries)
+      expect(mockSet).toHaveBeenCalledWith('__index__', ['entry-2'], st.practice.entries)
+    })
+  })
 })
@@ -0,0 +1,35 @@
+// src/lib/__tests__/situation-tag-settings.test.js
+import { describe, it, expect, beforeEach } from 'vitest'
+import {
+  loadSituationTagGroups,
+  saveSituationTagGroups,
+  resetSituationTagGroups,
+} from '../situation-tag-settings.js'
+import { SITUATION_TAG_GROUPS, addSituationTag } from '../../constants/situationTags.js'
+
+describe('situation-tag-settings', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  it('should load the default tags when nothing is saved', () => {
+    expect(loadSituationTagGroups()).toBe(SITUATION_TAG_GROUPS)
+  })
+
+  it('should save a normalized tag set and load it back', () => {
+    const saved = saveSituationTagGroups(addSituationTag(SITUATION_TAG_GROUPS, 'play', 'Sideline out'))
+    expect(saved[2].tags.map((t) => t.key)).toEqual(['ato', 'sideline_out'])
+    expect(JSON.parse(localStorage.getItem('nm_situation_tag_groups'))).toEqual(saved)
+    expect(loadSituationTagGroups()).toEqual(saved)
+  })
+
+  it('should fall back to the defaults on unreadable data and after a reset', () => {
+    localStorage.setItem('nm_situation_tag_groups', '{not json')
+    expect(loadSituationTagGroups()).toBe(SITUATION_TAG_GROUPS)
+
+    saveSituationTagGroups([])
+    expect(loadSituationTagGroups().every((g) => g.tags.length === 0)).toBe(true)
+    expect(resetSituationTagGroups()).toBe(SITUATION_TAG_GROUPS)
+    expect(localStorage.getItem('nm_situation_tag_groups')).toBeNull()
+  })
+})
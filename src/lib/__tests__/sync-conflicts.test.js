@@ -0,0 +1,75 @@
+// src/lib/__tests__/sync-conflicts.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+vi.mock('../game-db', () => ({
+  _allConflicts: vi.fn(),
+  _saveConflictRow: vi.fn(),
+}))
+
+vi.mock('../sync-notify', () => ({
+  notifyLocalMutate: vi.fn(),
+}))
+
+import * as gameDb from '../game-db'
+import { notifyLocalMutate } from '../sync-notify'
+import {
+  conflictFields,
+  countSyncConflicts,
+  listSyncConflicts,
+  resolveSyncConflict,
+} from '../sync-conflicts'
+
+const conflicted = (id, detectedAt, patch = {}) => ({
+  id,
+  _table: 'game_sessions',
+  _dirty: true,
+  team_score: 60,
+  opponent_score: 40,
+  _base: { updated_at: '2024-01-15T10:00:00Z', team_score: 50, opponent_score: 40 },
+  _conflict: {
+    remote: { updated_at: '2024-01-15T11:00:00Z', team_score: 58, opponent_score: 44 },
+    fields: ['team_score'],
+    detected_at: detectedAt,
+  },
+  ...patch,
+})
+
+describe('sync-conflicts', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    gameDb._saveConflictRow.mockResolvedValue(undefined)
+  })
+
+  it('should list conflicts newest first and count them', async () => {
+    gameDb._allConflicts.mockResolvedValue([
+      conflicted('a', '2024-01-15T11:00:00Z'),
+      conflicted('b', '2024-01-15T12:00:00Z'),
+    ])
+
+    expect((await listSyncConflicts()).map((r) => r.id)).toEqual(['b', 'a'])
+    expect(await countSyncConflicts()).toBe(2)
+  })
+
+  it('should describe each conflicting field side by side', () => {
+    expect(conflictFields(conflicted('a', 'x'))).toEqual([
+      { field: 'team_score', label: 'Team score', mine: 60, theirs: 58 },
+    ])
+    expect(conflictFields({ id: 'clean' })).toEqual([])
+  })
+
+  it('should save the chosen version and notify sync', async () => {
+    const resolved = await resolveSyncConflict(conflicted('a', 'x'), 'theirs')
+
+    expect(resolved).toEqual(expect.objectContaining({ team_score: 58, opponent_score: 44, _dirty: true }))
+    expect(resolved).not.toHaveProperty('_conflict')
+    expect(gameDb._saveConflictRow).toHaveBeenCalledWith(resolved)
+    expect(notifyLocalMutate).toHaveBeenCalledTimes(1)
+  })
+
+  it('should ignore rows that are not conflicted', async () => {
+    const row = { id: 'a', _table: 'game_sessions' }
+
+    expect(await resolveSyncConflict(row, 'mine')).toBe(row)
+    expect(gameDb._saveConflictRow).not.toHaveBeenCalled()
+  })
+})
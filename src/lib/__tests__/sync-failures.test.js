@@ -0,0 +1,180 @@
+// src/lib/__tests__/sync-failures.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+vi.mock('../game-db', () => ({
+  _allSyncFailures: vi.fn(),
+  _requeueRow: vi.fn(),
+  _purgeGameRow: vi.fn(),
+}))
+
+vi.mock('../practice-db', () => ({
+  _allSyncFailures: vi.fn(),
+  _requeueRow: vi.fn(),
+  _purgePracticeRow: vi.fn(),
+}))
+
+vi.mock('../goals-db', () => ({
+  _allSyncFailures: vi.fn(),
+  _requeueRow: vi.fn(),
+  _purgeGoalsRow: vi.fn(),
+}))
+
+vi.mock('../athlete-profiles-db', () => ({
+  _allSyncFailures: vi.fn(),
+  _requeueRow: vi.fn(),
+}))
+
+vi.mock('../sync-notify', () => ({
+  notifyLocalMutate: vi.fn(),
+}))
+
+vi.mock('../sync', () => ({
+  resetPullWatermarks: vi.fn(),
+}))
+
+import * as gameDb from '../game-db'
+import * as practiceDb from '../practice-db'
+import * as goalsDb from '../goals-db'
+import * as athleteProfilesDb from '../athlete-profiles-db'
+import { notifyLocalMutate } from '../sync-notify'
+import { resetPullWatermarks } from '../sync'
+import {
+  countSyncFailures,
+  discardSyncFailure,
+  groupSyncFailures,
+  listSyncFailures,
+  retryAllSyncFailures,
+  retrySyncFailure,
+  syncFailureEditTarget,
+} from '../sync-failures'
+
+const failed = (id, table, at, code = '23502') => ({
+  id,
+  _table: table,
+  _sync_failed: true,
+  _sync_error_code: code,
+  _sync_error_message: `error ${code}`,
+  _sync_error_at: at,
+})
+
+describe('sync-failures', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    gameDb._allSyncFailures.mockResolvedValue([])
+    practiceDb._allSyncFailures.mockResolvedValue([])
+    goalsDb._allSyncFailures.mockResolvedValue([])
+    athleteProfilesDb._allSyncFailures.mockResolvedValue([])
+  })
+
+  describe('listSyncFailures', () => {
+    it('should collect failures from every store, newest first', async () => {
+      gameDb._allSyncFailures.mockResolvedValue([failed('e1', 'game_events', '2024-01-01T00:00:00Z')])
+      practiceDb._allSyncFailures.mockResolvedValue([failed('p1', 'practice_entries', '2024-01-03T00:00:00Z')])
+      goalsDb._allSyncFailures.mockResolvedValue([failed('g1', 'goals', '2024-01-02T00:00:00Z')])
+
+      const rows = await listSyncFailures()
+
+      expect(rows.map((row) => row.id)).toEqual(['p1', 'g1', 'e1'])
+      expect(await countSyncFailures()).toBe(3)
+    })
+  })
+
+  describe('groupSyncFailures', () => {
+    it('should group rows by table and error code', () => {
+      const groups = groupSyncFailures([
+        failed('e1', 'game_events', 'a', '23502'),
+        failed('e2', 'game_events', 'b', '23502'),
+        failed('e3', 'game_events', 'c', '23505'),
+        failed('s1', 'game_sessions', 'd', '23502'),
+      ])
+
+      expect(groups.map((g) => [g.label, g.code, g.rows.length])).toEqual([
+        ['Game events', '23502', 2],
+        ['Game events', '23505', 1],
+        ['Games', '23502', 1],
+      ])
+      expect(groups[0].message).toBe('error 23502')
+    })
+  })
+
+  describe('retrySyncFailure', () => {
+    it('should requeue the row in its own store', async () => {
+      const row = failed('p1', 'practice_markers', 'a')
+
+      await retrySyncFailure(row)
+
+      expect(practiceDb._requeueRow).toHaveBeenCalledWith(row)
+      expect(gameDb._requeueRow).not.toHaveBeenCalled()
+    })
+
+    it('should retry every listed row', async () => {
+      const rows = [failed('g1', 'goal_sets', 'a'), failed('a1', 'athlete_profiles', 'b')]
+
+      await retryAllSyncFailures(rows)
+
+      expect(goalsDb._requeueRow).toHaveBeenCalledWith(rows[0])
+      expect(athleteProfilesDb._requeueRow).toHaveBeenCalledWith(rows[1])
+    })
+
+    it('should reject rows from unknown tables', async () => {
+      await expect(retrySyncFailure({ id: 'x', _table: 'nope' })).rejects.toThrow('unsupported table')
+    })
+  })
+
+  describe('discardSyncFailure', () => {
+    it('should purge the row and force a full pull', async () => {
+      const row = failed('e1', 'game_events', 'a')
+
+      await discardSyncFailure(row)
+
+      expect(gameDb._purgeGameRow).toHaveBeenCalledWith(row)
+      expect(resetPullWatermarks).toHaveBeenCalled()
+      expect(notifyLocalMutate).toHaveBeenCalled()
+    })
+
+    it('should refuse to discard athlete profiles', async () => {
+      await expect(discardSyncFailure(failed('a1', 'athlete_profiles', 'a'))).rejects.toThrow(
+        "can't be discarded",
+      )
+      expect(resetPullWatermarks).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('syncFailureEditTarget', () => {
+    it('should point game and practice rows at their session', () => {
+      expect(syncFailureEditTarget({ id: 'e1', _table: 'game_events', game_id: 'gs1' })).toEqual({
+        tab: 'game',
+        screen: 'game-logger',
+        params: { id: 'gs1' },
+      })
+      expect(syncFailureEditTarget({ id: 'p1', _table: 'practice_entries', session_id: 'ps1' })).toEqual({
+        tab: 'practice',
+        screen: 'practice-log',
+        params: { id: 'ps1' },
+      })
+    })
+
+    it('should send challenge results to their practice session', () => {
+      expect(
+        syncFailureEditTarget({ id: 'c1', _table: 'practice_challenges', session_id: 'ps1' })
+      ).toEqual({
+        tab: 'practice',
+        screen: 'practice-log',
+        params: { id: 'ps1' },
+      })
+    })
+
+    it('should send drill templates to the practice log', () => {
+      expect(syncFailureEditTarget({ id: 'd1', _table: 'practice_drills' })).toEqual({
+        tab: 'practice',
+        screen: 'practice-log',
+        params: {},
+      })
+    })
+
+    it('should return null when there is no screen to edit the row', () => {
+      expect(syncFailureEditTarget({ id: 'g1', _table: 'goals' })).toBeNull()
+      expect(syncFailureEditTarget({ id: 'a1', _table: 'athlete_profiles' })).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,166 @@
+// src/lib/__tests__/sync-leader.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+
+// Each import of the module is one browser tab.
+async function openTab() {
+  vi.resetModules()
+  return import('../sync-leader.js')
+}
+
+describe('sync-leader', () => {
+  let tabs
+
+  beforeEach(() => {
+    localStorage.clear()
+    tabs = []
+  })
+
+  afterEach(() => {
+    for (const tab of tabs) tab.stopLeaderElection()
+    vi.unstubAllGlobals()
+    vi.useRealTimers()
+  })
+
+  async function startTab(onChange = vi.fn()) {
+    const tab = await openTab()
+    tabs.push(tab)
+    tab.startLeaderElection(onChange)
+    return tab
+  }
+
+  it('should lead on its own before the election starts', async () => {
+    const tab = await openTab()
+
+    expect(tab.isSyncLeader()).toBe(true)
+  })
+
+  describe('with Web Locks', () => {
+    function stubLocks() {
+      const queue = []
+      let held = false
+      const grantNext = () => {
+        const next = queue.shift()
+        if (!next) return
+        held = true
+        Promise.resolve(next.callback()).then(() => {
+          held = false
+          grantNext()
+        })
+      }
+      vi.stubGlobal('navigator', {
+        ...navigator,
+        locks: {
+          request: vi.fn((name, options, callback) =>
+            new Promise((resolve, reject) => {
+              const entry = { callback: () => callback().then(resolve) }
+              options.signal.addEventListener('abort', () => {
+                const i = queue.indexOf(entry)
+                if (i >= 0) {
+                  queue.splice(i, 1)
+                  reject(Object.assign(new Error('aborted'), { name: 'AbortError' }))
+                }
+              })
+              queue.push(entry)
+              if (!held) grantNext()
+            })),
+        },
+      })
+    }
+
+    it('should hand leadership to the next tab when the leader leaves', async () => {
+      stubLocks()
+      const first = await startTab()
+      const onChange = vi.fn()
+      const second = await startTab(onChange)
+
+      await vi.waitFor(() => expect(first.isSyncLeader()).toBe(true))
+      expect(second.isSyncLeader()).toBe(false)
+
+      first.stopLeaderElection()
+
+      await vi.waitFor(() => expect(second.isSyncLeader()).toBe(true))
+      expect(onChange).toHaveBeenCalledWith(true)
+    })
+  })
+
+  describe('with the localStorage lease fallback', () => {
+    beforeEach(() => {
+      vi.useFakeTimers()
+      vi.setSystemTime(new Date('2024-01-15T12:00:00Z'))
+    })
+
+    it('should let only one tab hold the lease', async () => {
+      const first = await startTab()
+      const second = await startTab()
+
+      expect(first.isSyncLeader()).toBe(true)
+      expect(second.isSyncLeader()).toBe(false)
+    })
+
+    it('should take over once the leader releases or stops renewing its lease', async () => {
+      const first = await startTab()
+      const onChange = vi.fn()
+      const second = await startTab(onChange)
+
+      first.stopLeaderElection()
+      expect(localStorage.getItem(first.SYNC_LEADER_KEY)).toBeNull()
+      await vi.advanceTimersByTimeAsync(3_000)
+
+      expect(second.isSyncLeader()).toBe(true)
+      expect(onChange).toHaveBeenCalledWith(true)
+    })
+
+    it('should take over an expired lease left by a closed tab', async () => {
+      const tab = await openTab()
+      localStorage.setItem(
+        tab.SYNC_LEADER_KEY,
+        JSON.stringify({ tabId: 'closed-tab', expiresAt: Date.now() - 1 }),
+      )
+      tabs.push(tab)
+      tab.startLeaderElection(vi.fn())
+
+      expect(tab.isSyncLeader()).toBe(true)
+    })
+  })
+
+  describe('messaging', () => {
+    it('should deliver messages to other tabs over a BroadcastChannel', async () => {
+      const first = await startTab()
+      const second = await startTab()
+      const listener = vi.fn()
+      second.onSyncMessage(listener)
+
+      first.postSyncMessage({ type: 'mutate' })
+
+      await vi.waitFor(() => expect(listener).toHaveBeenCalledWith({ type: 'mutate' }))
+    })
+
+    it('should fall back to storage events without BroadcastChannel', async () => {
+      vi.stubGlobal('BroadcastChannel', undefined)
+      const first = await startTab()
+      const second = await startTab()
+      const listener = vi.fn()
+      second.onSyncMessage(listener)
+
+      first.postSyncMessage({ type: 'synced' })
+      // the browser fires storage events in the other tabs only
+      window.dispatchEvent(
+        new StorageEvent('storage', {
+          key: first.SYNC_CHANNEL_KEY,
+          newValue: localStorage.getItem(first.SYNC_CHANNEL_KEY),
+        }),
+      )
+
+      expect(listener).toHaveBeenCalledWith({ type: 'synced' })
+    })
+
+    it('should not post before the election starts', async () => {
+      vi.stubGlobal('BroadcastChannel', undefined)
+      const tab = await openTab()
+
+      tab.postSyncMessage({ type: 'mutate' })
+
+      expect(localStorage.getItem(tab.SYNC_CHANNEL_KEY)).toBeNull()
+    })
+  })
+})
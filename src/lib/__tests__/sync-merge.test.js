@@ -0,0 +1,177 @@
+// src/lib/__tests__/sync-merge.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import {
+  mergeRows,
+  reconcileWithRemote,
+  resolveConflict,
+  sameValue,
+  snapshotBase,
+} from '../sync-merge.js'
+
+const base = {
+  updated_at: '2024-01-15T10:00:00+00:00',
+  team_score: 50,
+  opponent_score: 48,
+  team_name: 'Warriors',
+  opponent_name: 'Bulls',
+  home_away: 'Home',
+  venue: null,
+  level: 'Varsity',
+  date_iso: '2024-01-15',
+  status: 'completed',
+}
+
+const session = (patch = {}) => ({
+  id: 'gs1',
+  _table: 'game_sessions',
+  _dirty: true,
+  ...base,
+  _base: { ...base },
+  ...patch,
+})
+
+describe('sync-merge', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+    vi.setSystemTime(new Date('2024-01-15T12:00:00Z'))
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  describe('sameValue', () => {
+    it('should treat null and undefined, numeric strings and equal instants as the same', () => {
+      expect(sameValue(null, undefined)).toBe(true)
+      expect(sameValue('5', 5)).toBe(true)
+      expect(sameValue('2024-01-15T10:00:00.000Z', '2024-01-15T10:00:00+00:00')).toBe(true)
+      expect(sameValue(0, null)).toBe(false)
+      expect(sameValue(true, false)).toBe(false)
+    })
+
+    it('should compare arrays item by item', () => {
+      expect(sameValue(['transition', 'ato'], ['transition', 'ato'])).toBe(true)
+      expect(sameValue([], [])).toBe(true)
+      expect(sameValue(['transition'], ['ato'])).toBe(false)
+      expect(sameValue(['transition'], ['transition', 'ato'])).toBe(false)
+      expect(sameValue([], null)).toBe(false)
+    })
+  })
+
+  describe('snapshotBase', () => {
+    it('should keep tracked fields and updated_at only', () => {
+      const snap = snapshotBase('game_events', {
+        id: 'ge1',
+        made: true,
+        zone_id: 'paint',
+        total_points: 10,
+        updated_at: 'x',
+      })
+
+      expect(snap).toEqual(expect.objectContaining({ updated_at: 'x', made: true, zone_id: 'paint' }))
+      expect(snap).not.toHaveProperty('total_points')
+      expect(snap).not.toHaveProperty('id')
+    })
+  })
+
+  describe('mergeRows', () => {
+    it('should skip the comparison when the server has not moved', () => {
+      const local = session({ team_score: 60 })
+
+      expect(mergeRows('game_sessions', local, { ...base, team_score: 55 })).toEqual({
+        merged: local,
+        conflicts: [],
+      })
+    })
+
+    it('should take changes made only on the other device', () => {
+      const local = session({ team_score: 60 })
+      const remote = { ...base, updated_at: '2024-01-15T11:00:00Z', opponent_name: 'Chicago Bulls' }
+
+      const { merged, conflicts } = mergeRows('game_sessions', local, remote)
+
+      expect(conflicts).toEqual([])
+      expect(merged.team_score).toBe(60)
+      expect(merged.opponent_name).toBe('Chicago Bulls')
+    })
+
+    it('should flag fields both devices changed to different values', () => {
+      const local = session({ team_score: 60, opponent_score: 52 })
+      const remote = { ...base, updated_at: '2024-01-15T11:00:00Z', team_score: 58, opponent_score: 52 }
+
+      expect(mergeRows('game_sessions', local, remote).conflicts).toEqual(['team_score'])
+    })
+
+    it('should keep local values for rows without a base', () => {
+      const local = { id: 'gs1', team_score: 60 }
+
+      expect(mergeRows('game_sessions', local, { team_score: 1 })).toEqual({ merged: local, conflicts: [] })
+    })
+  })
+
+  describe('reconcileWithRemote', () => {
+    it('should merge onto the new base when nothing clashes', () => {
+      const remote = { ...base, updated_at: '2024-01-15T11:00:00Z', venue: 'Main gym' }
+
+      const row = reconcileWithRemote('game_sessions', session({ team_score: 60 }), remote)
+
+      expect(row).toEqual(expect.objectContaining({ team_score: 60, venue: 'Main gym', _dirty: true }))
+      expect(row._base.updated_at).toBe('2024-01-15T11:00:00Z')
+      expect(row).not.toHaveProperty('_conflict')
+    })
+
+    it('should park clashing edits as a conflict', () => {
+      const remote = { ...base, updated_at: '2024-01-15T11:00:00Z', team_score: 58 }
+
+      const row = reconcileWithRemote('game_sessions', session({ team_score: 60 }), remote)
+
+      expect(row.team_score).toBe(60)
+      expect(row._base.updated_at).toBe(base.updated_at)
+      expect(row._conflict).toEqual({
+        remote: snapshotBase('game_sessions', remote),
+        fields: ['team_score'],
+        detected_at: '2024-01-15T12:00:00.000Z',
+      })
+    })
+
+    it('should adopt the server copy as base for rows without one', () => {
+      const row = reconcileWithRemote('game_sessions', { id: 'gs1', team_score: 60 }, { ...base })
+
+      expect(row.team_score).toBe(60)
+      expect(row._base).toEqual(snapshotBase('game_sessions', base))
+    })
+
+    it('should leave local deletes alone', () => {
+      const local = session({ _deleted: true })
+
+      expect(reconcileWithRemote('game_sessions', local, { ...base, team_score: 1 })).toBe(local)
+    })
+  })
+
+  describe('resolveConflict', () => {
+    const conflicted = () => {
+      const remote = { ...base, updated_at: '2024-01-15T11:00:00Z', team_score: 58, opponent_score: 40, venue: 'Gym' }
+      return reconcileWithRemote('game_sessions', session({ team_score: 60, opponent_score: 52 }), remote)
+    }
+
+    it('should keep local values for "mine" and still merge the rest', () => {
+      const row = resolveConflict('game_sessions', conflicted(), 'mine')
+
+      expect(row).toEqual(expect.objectContaining({ team_score: 60, opponent_score: 52, venue: 'Gym', _dirty: true }))
+      expect(row._base.updated_at).toBe('2024-01-15T11:00:00Z')
+      expect(row).not.toHaveProperty('_conflict')
+    })
+
+    it('should take server values for "theirs"', () => {
+      const row = resolveConflict('game_sessions', conflicted(), 'theirs')
+
+      expect(row).toEqual(expect.objectContaining({ team_score: 58, opponent_score: 40 }))
+    })
+
+    it('should apply per-field choices', () => {
+      const row = resolveConflict('game_sessions', conflicted(), { team_score: 'theirs' })
+
+      expect(row).toEqual(expect.objectContaining({ team_score: 58, opponent_score: 52 }))
+    })
+  })
+})
@@ -7,6 +7,14 @@ import {
   teardownAutoSync,
   syncAll,
   LAST_SYNC_KEY,
+  PULL_WATERMARKS_KEY,
+  PULL_PAGE_SIZE,
+  resetPullWatermarks,
+  setPushChunkSize,
+  getSyncStatus,
+  onSyncStatus,
+  SYNC_BACKOFF_KEY,
+  resetSyncBackoff,
 } from '../sync.js'
 
 // Mock dependencies with side effects
@@ -23,15 +31,28 @@ vi.mock('../supabase.js', () => ({
 vi.mock('../sync-notify.js', () => ({
   onLocalMutate: vi.fn(),
   notifyLocalMutate: vi.fn(),
+  notifyRemoteChange: vi.fn(),
+}))
+
+vi.mock('../sync-leader.js', () => ({
+  isSyncLeader: vi.fn(),
+  onSyncMessage: vi.fn(),
+  postSyncMessage: vi.fn(),
+  startLeaderElection: vi.fn(),
+  stopLeaderElection: vi.fn(),
 }))
 
 vi.mock('../practice-db.js', () => ({
   _allDirtyPractice: vi.fn(),
   _markClean: vi.fn(),
   _purgePracticeRow: vi.fn(),
+  _remapAthleteId: vi.fn(),
   upsertPracticeSessionsFromRemote: vi.fn(),
   upsertPracticeEntriesFromRemote: vi.fn(),
   upsertPracticeMarkersFromRemote: vi.fn(),
+  upsertPracticeDrillsFromRemote: vi.fn(),
+  upsertPracticeChallengesFromRemote: vi.fn(),
+  deletePracticeRowsFromRemote: vi.fn(),
 }))
 
 vi.mock('../game-db.js', () => ({
@@ -40,6 +61,27 @@ vi.mock('../game-db.js', () => ({
   _allDirtyGame: vi.fn(),
   _markClean: vi.fn(),
   _purgeGameRow: vi.fn(),
+  _getLocalRow: vi.fn(),
+  _remapAthleteId: vi.fn(),
+  _saveConflictRow: vi.fn(),
+  deleteGameRowsFromRemote: vi.fn(),
+}))
+
+vi.mock('../goals-db.js', () => ({
+  upsertGoalSetsFromRemote: vi.fn(),
+  upsertGoalsFromRemote: vi.fn(),
+  _allDirtyGoals: vi.fn(),
+  _markClean: vi.fn(),
+  _purgeGoalsRow: vi.fn(),
+  _remapAthleteId: vi.fn(),
+  deleteGoalsRowsFromRemote: vi.fn(),
+}))
+
+vi.mock('../athlete-profiles-db.js', () => ({
+  upsertAthleteProfilesFromRemote: vi.fn(),
+  _allDirtyAthletes: vi.fn(),
+  _markClean: vi.fn(),
+  _remapAthleteProfileId: vi.fn(),
 }))
 
 vi.mock('../idb-init.js', () => ({
@@ -51,20 +93,29 @@ describe('sync', () => {
   let mockOnLocalMutate
   let mockPracticeDb
   let mockGameDb
+  let mockGoalsDb
+  let mockAthleteProfilesDb
   let mockIdbInit
+  let mockSyncLeader
 
   beforeEach(async () => {
     const supabaseModule = await import('../supabase.js')
     const syncNotifyModule = await import('../sync-notify.js')
     const practiceDbModule = await import('../practice-db.js')
     const gameDbModule = await import('../game-db.js')
+    const goalsDbModule = await import('../goals-db.js')
+    const athleteProfilesDbModule = await import('../athlete-profiles-db.js')
     const idbInitModule = await import('../idb-init.js')
+    const syncLeaderModule = await import('../sync-leader.js')
 
     mockSupabase = supabaseModule.supabase
     mockOnLocalMutate = syncNotifyModule.onLocalMutate
     mockPracticeDb = practiceDbModule
     mockGameDb = gameDbModule
+    mockGoalsDb = goalsDbModule
+    mockAthleteProfilesDb = athleteProfilesDbModule
     mockIdbInit = idbInitModule
+    mockSyncLeader = syncLeaderModule
 
     // Reset all mocks
     vi.clearAllMocks()
@@ -84,6 +135,8 @@ describe('sync', () => {
     })
 
     mockOnLocalMutate.mockReturnValue(vi.fn())
+    mockSyncLeader.isSyncLeader.mockReturnValue(true)
+    mockSyncLeader.onSyncMessage.mockReturnValue(vi.fn())
     mockIdbInit.whenIdbReady.mockResolvedValue(undefined)
 
     mockPracticeDb._allDirtyPractice.mockResolvedValue([])
@@ -92,13 +145,26 @@ describe('sync', () => {
     mockPracticeDb.upsertPracticeSessionsFromRemote.mockResolvedValue(undefined)
     mockPracticeDb.upsertPracticeEntriesFromRemote.mockResolvedValue(undefined)
     mockPracticeDb.upsertPracticeMarkersFromRemote.mockResolvedValue(undefined)
+    mockPracticeDb.upsertPracticeDrillsFromRemote.mockResolvedValue(undefined)
+    mockPracticeDb.upsertPracticeChallengesFromRemote.mockResolvedValue(undefined)
 
     mockGameDb._allDirtyGame.mockResolvedValue([])
     mockGameDb._markClean.mockResolvedValue(undefined)
     mockGameDb._purgeGameRow.mockResolvedValue(undefined)
+    mockGameDb._getLocalRow.mockImplementation(async (row) => row)
     mockGameDb.upsertGameSessionsFromRemote.mockResolvedValue(undefined)
     mockGameDb.upsertGameEventsFromRemote.mockResolvedValue(undefined)
 
+    mockGoalsDb._allDirtyGoals.mockResolvedValue([])
+    mockGoalsDb._markClean.mockResolvedValue(undefined)
+    mockGoalsDb._purgeGoalsRow.mockResolvedValue(undefined)
+    mockGoalsDb.upsertGoalSetsFromRemote.mockResolvedValue(undefined)
+    mockGoalsDb.upsertGoalsFromRemote.mockResolvedValue(undefined)
+
+    mockAthleteProfilesDb._allDirtyAthletes.mockResolvedValue([])
+    mockAthleteProfilesDb._markClean.mockResolvedValue(undefined)
+    mockAthleteProfilesDb._remapAthleteProfileId.mockResolvedValue(undefined)
+
     // Clear localStorage
     localStorage.clear()
 
@@ -120,6 +186,7 @@ describe('sync', () => {
 
   afterEach(() => {
     teardownAutoSync()
+    setPushChunkSize()
     vi.clearAllMocks()
   })
 
@@ -128,11 +195,12 @@ describe('sync', () => {
     const mockQuery = {
       select: vi.fn().mockReturnThis(),
       eq: vi.fn().mockReturnThis(),
+      gte: vi.fn().mockReturnThis(),
       order: vi.fn().mockReturnThis(),
+      range: vi.fn().mockResolvedValue({ data: [], error: null }),
+      in: vi.fn().mockResolvedValue({ data: [], error: null }),
     }
 
-    mockQuery.order.mockResolvedValue({ data: [], error: null })
-
     mockSupabase.from.mockImplementation((table) => {
       if (customHandlers[table]) {
         const handler = customHandlers[table]
@@ -146,6 +214,9 @@ describe('sync', () => {
         if (!handler.order) {
           handler.order = vi.fn().mockReturnValue(mockQuery)
         }
+        if (!handler.range) {
+          handler.range = vi.fn().mockReturnValue(mockQuery)
+        }
         return handler
       }
       return mockQuery
@@ -172,20 +243,38 @@ describe('sync', () => {
       const mockPracticeMarkers = [
         { id: 'pm1', user_id: 'test-user-123', session_id: 'ps1', ts: '2024-01-15T10:10:00Z' },
       ]
+      const mockPracticeDrills = [
+        { id: 'pd1', user_id: 'test-user-123', name: 'Mikan Drill', created_at: '2024-01-01T10:00:00Z' },
+      ]
+      const mockPracticeChallenges = [
+        { id: 'pc1', user_id: 'test-user-123', session_id: 'ps1', ended_at: '2024-01-15T10:20:00Z' },
+      ]
+      const mockGoalSets = [
+        { id: 'set1', user_id: 'test-user-123', athlete_id: 'ath-1', due_date: '2024-02-01' },
+      ]
+      const mockGoals = [
+        { id: 'g1', user_id: 'test-user-123', set_id: 'set1', created_at: '2024-01-10T10:00:00Z' },
+        { id: 'g2', user_id: 'test-user-123', set_id: 'set1', created_at: '2024-01-11T10:00:00Z' },
+      ]
 
       const mockQuery = {
         select: vi.fn().mockReturnThis(),
         eq: vi.fn().mockReturnThis(),
         order: vi.fn().mockReturnThis(),
+        range: vi.fn().mockReturnThis(),
       }
 
       mockSupabase.from.mockReturnValue(mockQuery)
-      mockQuery.order
+      mockQuery.range
         .mockResolvedValueOnce({ data: mockGameSessions, error: null })
         .mockResolvedValueOnce({ data: mockGameEvents, error: null })
         .mockResolvedValueOnce({ data: mockPracticeSessions, error: null })
         .mockResolvedValueOnce({ data: mockPracticeEntries, error: null })
         .mockResolvedValueOnce({ data: mockPracticeMarkers, error: null })
+        .mockResolvedValueOnce({ data: mockPracticeDrills, error: null })
+        .mockResolvedValueOnce({ data: mockPracticeChallenges, error: null })
+        .mockResolvedValueOnce({ data: mockGoalSets, error: null })
+        .mockResolvedValueOnce({ data: mockGoals, error: null })
 
       const result = await bootstrapAllData()
 
@@ -196,6 +285,11 @@ describe('sync', () => {
         practiceSessionsCount: 1,
         practiceEntriesCount: 1,
         practiceMarkersCount: 1,
+        practiceDrillsCount: 1,
+        practiceChallengesCount: 1,
+        goalSetsCount: 1,
+        goalsCount: 2,
+        athleteProfilesCount: 0,
       })
 
       expect(mockSupabase.from).toHaveBeenCalledWith('game_sessions')
@@ -203,12 +297,21 @@ describe('sync', () => {
       expect(mockSupabase.from).toHaveBeenCalledWith('practice_sessions')
       expect(mockSupabase.from).toHaveBeenCalledWith('practice_entries')
       expect(mockSupabase.from).toHaveBeenCalledWith('practice_markers')
-
-      expect(mockGameDb.upsertGameSessionsFromRemote).toHaveBeenCalledWith(mockGameSessions)
-      expect(mockGameDb.upsertGameEventsFromRemote).toHaveBeenCalledWith(mockGameEvents)
-      expect(mockPracticeDb.upsertPracticeSessionsFromRemote).toHaveBeenCalledWith(mockPracticeSessions)
-      expect(mockPracticeDb.upsertPracticeEntriesFromRemote).toHaveBeenCalledWith(mockPracticeEntries)
-      expect(mockPracticeDb.upsertPracticeMarkersFromRemote).toHaveBeenCalledWith(mockPracticeMarkers)
+      expect(mockSupabase.from).toHaveBeenCalledWith('practice_drills')
+      expect(mockSupabase.from).toHaveBeenCalledWith('practice_challenges')
+      expect(mockSupabase.from).toHaveBeenCalledWith('goal_sets')
+      expect(mockSupabase.from).toHaveBeenCalledWith('goals')
+
+      expect(mockGameDb.upsertGameSessionsFromRemote).toHaveBeenCalledWith(mockGameSessions, { prune: true })
+      expect(mockGameDb.upsertGameEventsFromRemote).toHaveBeenCalledWith(mockGameEvents, { prune: true })
+      expect(mockPracticeDb.upsertPracticeSessionsFromRemote).toHaveBeenCalledWith(mockPracticeSessions, { prune: true })
+      expect(mockPracticeDb.upsertPracticeEntriesFromRemote).toHaveBeenCalledWith(mockPracticeEntries, { prune: true })
+      expect(mockPracticeDb.upsertPracticeMarkersFromRemote).toHaveBeenCalledWith(mockPracticeMarkers, { prune: true })
+      expect(mockPracticeDb.upsertPracticeDrillsFromRemote).toHaveBeenCalledWith(mockPracticeDrills, { prune: true })
+      expect(mockPracticeDb.upsertPracticeChallengesFromRemote).toHaveBeenCalledWith(mockPracticeChallenges, { prune: true })
+      expect(mockGoalsDb.upsertGoalSetsFromRemote).toHaveBeenCalledWith(mockGoalSets, { prune: true })
+      expect(mockGoalsDb.upsertGoalsFromRemote).toHaveBeenCalledWith(mockGoals, { prune: true })
+      expect(mockAthleteProfilesDb.upsertAthleteProfilesFromRemote).toHaveBeenCalledWith([])
     })
 
     it('should return null user when not authenticated', async () => {
@@ -237,10 +340,11 @@ describe('sync', () => {
         select: vi.fn().mockReturnThis(),
         eq: vi.fn().mockReturnThis(),
         order: vi.fn().mockReturnThis(),
+        range: vi.fn().mockReturnThis(),
       }
 
       mockSupabase.from.mockReturnValue(mockQuery)
-      mockQuery.order.mockResolvedValueOnce({
+      mockQuery.range.mockResolvedValueOnce({
         data: null,
         error: { message: 'Database error' },
       })
@@ -253,10 +357,11 @@ describe('sync', () => {
         select: vi.fn().mockReturnThis(),
         eq: vi.fn().mockReturnThis(),
         order: vi.fn().mockReturnThis(),
+        range: vi.fn().mockReturnThis(),
       }
 
       mockSupabase.from.mockReturnValue(mockQuery)
-      mockQuery.order
+      mockQuery.range
         .mockResolvedValueOnce({ data: [], error: null })
         .mockResolvedValueOnce({ data: null, error: { message: 'Events error' } })
 
@@ -268,10 +373,11 @@ describe('sync', () => {
         select: vi.fn().mockReturnThis(),
         eq: vi.fn().mockReturnThis(),
         order: vi.fn().mockReturnThis(),
+        range: vi.fn().mockReturnThis(),
       }
 
       mockSupabase.from.mockReturnValue(mockQuery)
-      mockQuery.order
+      mockQuery.range
         .mockResolvedValueOnce({ data: [], error: null })
         .mockResolvedValueOnce({ data: [], error: null })
         .mockResolvedValueOnce({ data: null, error: { message: 'Practice sessions error' } })
@@ -284,10 +390,11 @@ describe('sync', () => {
         select: vi.fn().mockReturnThis(),
         eq: vi.fn().mockReturnThis(),
         order: vi.fn().mockReturnThis(),
+        range: vi.fn().mockReturnThis(),
       }
 
       mockSupabase.from.mockReturnValue(mockQuery)
-      mockQuery.order
+      mockQuery.range
         .mockResolvedValueOnce({ data: [], error: null })
         .mockResolvedValueOnce({ data: [], error: null })
         .mockResolvedValueOnce({ data: [], error: null })
@@ -301,10 +408,11 @@ describe('sync', () => {
         select: vi.fn().mockReturnThis(),
         eq: vi.fn().mockReturnThis(),
         order: vi.fn().mockReturnThis(),
+        range: vi.fn().mockReturnThis(),
       }
 
       mockSupabase.from.mockReturnValue(mockQuery)
-      mockQuery.order
+      mockQuery.range
         .mockResolvedValueOnce({ data: [], error: null })
         .mockResolvedValueOnce({ data: [], error: null })
         .mockResolvedValueOnce({ data: [], error: null })
@@ -314,15 +422,36 @@ describe('sync', () => {
       await expect(bootstrapAllData()).rejects.toEqual({ message: 'Practice markers error' })
     })
 
+    it('should throw error when goal_sets query fails', async () => {
+      const mockQuery = {
+        select: vi.fn().mockReturnThis(),
+        eq: vi.fn().mockReturnThis(),
+        order: vi.fn().mockReturnThis(),
+        range: vi.fn().mockReturnThis(),
+      }
+
+      mockSupabase.from.mockReturnValue(mockQuery)
+      mockQuery.range
+        .mockResolvedValueOnce({ data: [], error: null })
+        .mockResolvedValueOnce({ data: [], error: null })
+        .mockResolvedValueOnce({ data: [], error: null })
+        .mockResolvedValueOnce({ data: [], error: null })
+        .mockResolvedValueOnce({ data: [], error: null })
+        .mockResolvedValueOnce({ data: null, error: { message: 'Goal sets error' } })
+
+      await expect(bootstrapAllData()).rejects.toEqual({ message: 'Goal sets error' })
+    })
+
     it('should handle empty data arrays', async () => {
       const mockQuery = {
         select: vi.fn().mockReturnThis(),
         eq: vi.fn().mockReturnThis(),
         order: vi.fn().mockReturnThis(),
+        range: vi.fn().mockReturnThis(),
       }
 
       mockSupabase.from.mockReturnValue(mockQuery)
-      mockQuery.order
+      mockQuery.range
         .mockResolvedValueOnce({ data: [], error: null })
         .mockResolvedValueOnce({ data: [], error: null })
         .mockResolvedValueOnce({ data: [], error: null })
@@ -338,6 +467,11 @@ describe('sync', () => {
         practiceSessionsCount: 0,
         practiceEntriesCount: 0,
         practiceMarkersCount: 0,
+        practiceDrillsCount: 0,
+        practiceChallengesCount: 0,
+        goalSetsCount: 0,
+        goalsCount: 0,
+        athleteProfilesCount: 0,
       })
     })
 
@@ -346,10 +480,11 @@ describe('sync', () => {
         select: vi.fn().mockReturnThis(),
         eq: vi.fn().mockReturnThis(),
         order: vi.fn().mockReturnThis(),
+        range: vi.fn().mockReturnThis(),
       }
 
       mockSupabase.from.mockReturnValue(mockQuery)
-      mockQuery.order
+      mockQuery.range
         .mockResolvedValueOnce({ data: null, error: null })
         .mockResolvedValueOnce({ data: null, error: null })
         .mockResolvedValueOnce({ data: null, error: null })
@@ -365,13 +500,202 @@ describe('sync', () => {
         practiceSessionsCount: 0,
         practiceEntriesCount: 0,
         practiceMarkersCount: 0,
+        practiceDrillsCount: 0,
+        practiceChallengesCount: 0,
+        goalSetsCount: 0,
+        goalsCount: 0,
+        athleteProfilesCount: 0,
+      })
+
+      expect(mockGameDb.upsertGameSessionsFromRemote).toHaveBeenCalledWith([], { prune: true })
+      expect(mockGameDb.upsertGameEventsFromRemote).toHaveBeenCalledWith([], { prune: true })
+      expect(mockPracticeDb.upsertPracticeSessionsFromRemote).toHaveBeenCalledWith([], { prune: true })
+      expect(mockPracticeDb.upsertPracticeEntriesFromRemote).toHaveBeenCalledWith([], { prune: true })
+      expect(mockPracticeDb.upsertPracticeMarkersFromRemote).toHaveBeenCalledWith([], { prune: true })
+    })
+  })
+
+  describe('incremental pull', () => {
+    // Query builder whose result is chosen per table when awaited via order()
+    function setupPullMocks(resultsByTable = {}) {
+      const queries = {}
+      mockSupabase.from.mockImplementation((table) => {
+        const query = {
+          select: vi.fn().mockReturnThis(),
+          eq: vi.fn().mockReturnThis(),
+          gte: vi.fn().mockReturnThis(),
+          order: vi.fn().mockReturnThis(),
+          range: vi.fn().mockResolvedValue(resultsByTable[table] || { data: [], error: null }),
+        }
+        queries[table] = query
+        return query
+      })
+      return queries
+    }
+
+    it('should store per-table watermarks from server timestamps after a full pull', async () => {
+      setupPullMocks({
+        game_events: {
+          data: [
+            { id: 'ge1', updated_at: '2024-01-15T12:00:00Z' },
+            { id: 'ge2', updated_at: '2024-01-15T12:05:00Z' },
+          ],
+          error: null,
+        },
+        sync_tombstones: {
+          data: [{ table_name: 'game_events', row_id: 'old', deleted_at: '2024-01-14T08:00:00Z' }],
+          error: null,
+        },
+      })
+
+      await bootstrapAllData()
+
+      const marks = JSON.parse(localStorage.getItem(PULL_WATERMARKS_KEY))
+      expect(marks.userId).toBe('test-user-123')
+      expect(marks.tables.game_events).toBe('2024-01-15T12:05:00Z')
+      expect(marks.tables.game_sessions).toBeNull()
+      expect(marks.tombstones).toBe('2024-01-14T08:00:00Z')
+    })
+
+    it('should only request rows changed since the watermark and merge without pruning', async () => {
+      localStorage.setItem(PULL_WATERMARKS_KEY, JSON.stringify({
+        userId: 'test-user-123',
+        tables: { game_events: '2024-01-15T12:05:00Z' },
+        tombstones: '2024-01-14T08:00:00Z',
+      }))
+      const changed = [{ id: 'ge3', updated_at: '2024-01-16T09:00:00Z' }]
+      const queries = setupPullMocks({ game_events: { data: changed, error: null } })
+
+      const result = await bootstrapAllData()
+
+      expect(queries.game_events.gte).toHaveBeenCalledWith('updated_at', '2024-01-15T12:04:00.000Z')
+      expect(queries.sync_tombstones.gte).toHaveBeenCalledWith('deleted_at', '2024-01-14T07:59:00.000Z')
+      expect(queries.game_sessions.gte).not.toHaveBeenCalled()
+      expect(mockGameDb.upsertGameEventsFromRemote).toHaveBeenCalledWith(changed, { prune: false })
+      expect(mockGameDb.upsertGameSessionsFromRemote).toHaveBeenCalledWith([], { prune: true })
+      expect(result.gameEventsCount).toBe(1)
+
+      const marks = JSON.parse(localStorage.getItem(PULL_WATERMARKS_KEY))
+      expect(marks.tables.game_events).toBe('2024-01-16T09:00:00Z')
+      expect(marks.tombstones).toBe('2024-01-14T08:00:00Z')
+    })
+
+    it('should page through rows in updated_at order and sort them for the local store', async () => {
+      const page = Array.from({ length: PULL_PAGE_SIZE }, (_, i) => ({
+        id: `ge${String(i).padStart(4, '0')}`,
+        ts: `2024-01-15T10:${String(59 - (i % 60)).padStart(2, '0')}:00Z`,
+        updated_at: '2024-01-15T12:00:00Z',
+      }))
+      const last = { id: 'gz', ts: '2024-01-15T09:00:00Z', updated_at: '2024-01-15T12:30:00Z' }
+      // one builder per page request; game_events pages share one range()
+      const eventsRange = vi
+        .fn()
+        .mockResolvedValueOnce({ data: page, error: null })
+        .mockResolvedValueOnce({ data: [last], error: null })
+        .mockResolvedValue({ data: [], error: null })
+      const eventsOrder = vi.fn()
+      mockSupabase.from.mockImplementation((table) => {
+        const query = {
+          select: vi.fn().mockReturnThis(),
+          eq: vi.fn().mockReturnThis(),
+          gte: vi.fn().mockReturnThis(),
+          order: vi.fn().mockReturnThis(),
+          range: vi.fn().mockResolvedValue({ data: [], error: null }),
+        }
+        if (table === 'game_events') {
+          query.range = eventsRange
+          query.order = eventsOrder.mockReturnValue(query)
+        }
+        return query
+      })
+
+      const result = await bootstrapAllData()
+
+      expect(mockSupabase.from.mock.calls.filter(([t]) => t === 'game_events')).toHaveLength(2)
+      expect(eventsOrder).toHaveBeenCalledWith('updated_at', { ascending: true })
+      expect(eventsOrder).toHaveBeenCalledWith('id', { ascending: true })
+      expect(eventsRange).toHaveBeenCalledTimes(2)
+      expect(eventsRange).toHaveBeenLastCalledWith(PULL_PAGE_SIZE, 2 * PULL_PAGE_SIZE - 1)
+      expect(result.gameEventsCount).toBe(PULL_PAGE_SIZE + 1)
+
+      const [applied] = mockGameDb.upsertGameEventsFromRemote.mock.calls[0]
+      expect(applied[0]).toBe(last)
+      expect(applied.map((e) => e.ts)).toEqual([...applied.map((e) => e.ts)].sort())
+      const marks = JSON.parse(localStorage.getItem(PULL_WATERMARKS_KEY))
+      expect(marks.tables.game_events).toBe('2024-01-15T12:30:00Z')
+    })
+
+    it('should apply the tombstone feed to the matching local tables', async () => {
+      setupPullMocks({
+        sync_tombstones: {
+          data: [
+            { table_name: 'game_events', row_id: 'ge1', deleted_at: '2024-01-15T10:00:00Z' },
+            { table_name: 'practice_entries', row_id: 'pe1', deleted_at: '2024-01-15T10:01:00Z' },
+            { table_name: 'goals', row_id: 'g1', deleted_at: '2024-01-15T10:02:00Z' },
+            { table_name: 'unknown_table', row_id: 'x', deleted_at: '2024-01-15T10:03:00Z' },
+          ],
+          error: null,
+        },
+      })
+
+      await bootstrapAllData()
+
+      expect(mockGameDb.deleteGameRowsFromRemote).toHaveBeenCalledWith('game_events', ['ge1'], {
+        ge1: '2024-01-15T10:00:00Z',
+      })
+      expect(mockGameDb.deleteGameRowsFromRemote).toHaveBeenCalledTimes(1)
+      expect(mockPracticeDb.deletePracticeRowsFromRemote).toHaveBeenCalledWith('practice_entries', ['pe1'])
+      expect(mockGoalsDb.deleteGoalsRowsFromRemote).toHaveBeenCalledWith('goals', ['g1'])
+    })
+
+    it('should ignore watermarks saved for a different user', async () => {
+      localStorage.setItem(PULL_WATERMARKS_KEY, JSON.stringify({
+        userId: 'someone-else',
+        tables: { game_events: '2024-01-15T12:05:00Z' },
+        tombstones: null,
+      }))
+      const queries = setupPullMocks()
+
+      await bootstrapAllData()
+
+      expect(queries.game_events.gte).not.toHaveBeenCalled()
+      expect(mockGameDb.upsertGameEventsFromRemote).toHaveBeenCalledWith([], { prune: true })
+    })
+
+    it('should fall back to full pulls when the tombstone feed is missing', async () => {
+      const consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+      localStorage.setItem(PULL_WATERMARKS_KEY, JSON.stringify({
+        userId: 'test-user-123',
+        tables: { game_events: '2024-01-15T12:05:00Z' },
+        tombstones: null,
+      }))
+      setupPullMocks({
+        sync_tombstones: { data: null, error: { code: 'PGRST205', message: 'not found' } },
+      })
+
+      await bootstrapAllData()
+
+      expect(mockGameDb.upsertGameEventsFromRemote).toHaveBeenCalledWith([], { prune: true })
+      expect(localStorage.getItem(PULL_WATERMARKS_KEY)).toBeNull()
+      expect(consoleWarnSpy).toHaveBeenCalled()
+      consoleWarnSpy.mockRestore()
+    })
+
+    it('should throw other tombstone feed errors', async () => {
+      setupPullMocks({
+        sync_tombstones: { data: null, error: { code: '500', message: 'boom' } },
       })
 
-      expect(mockGameDb.upsertGameSessionsFromRemote).toHaveBeenCalledWith([])
-      expect(mockGameDb.upsertGameEventsFromRemote).toHaveBeenCalledWith([])
-      expect(mockPracticeDb.upsertPracticeSessionsFromRemote).toHaveBeenCalledWith([])
-      expect(mockPracticeDb.upsertPracticeEntriesFromRemote).toHaveBeenCalledWith([])
-      expect(mockPracticeDb.upsertPracticeMarkersFromRemote).toHaveBeenCalledWith([])
+      await expect(bootstrapAllData()).rejects.toEqual({ code: '500', message: 'boom' })
+      expect(localStorage.getItem(PULL_WATERMARKS_KEY)).toBeNull()
+    })
+
+    it('should reset watermarks on demand', async () => {
+      localStorage.setItem(PULL_WATERMARKS_KEY, '{}')
+
+      resetPullWatermarks()
+
+      expect(localStorage.getItem(PULL_WATERMARKS_KEY)).toBeNull()
     })
   })
 
@@ -381,10 +705,11 @@ describe('sync', () => {
         select: vi.fn().mockReturnThis(),
         eq: vi.fn().mockReturnThis(),
         order: vi.fn().mockReturnThis(),
+        range: vi.fn().mockReturnThis(),
       }
 
       mockSupabase.from.mockReturnValue(mockQuery)
-      mockQuery.order
+      mockQuery.range
         .mockResolvedValueOnce({ data: [], error: null })
         .mockResolvedValueOnce({ data: [], error: null })
         .mockResolvedValueOnce({ data: [], error: null })
@@ -400,6 +725,11 @@ describe('sync', () => {
         practiceSessionsCount: 0,
         practiceEntriesCount: 0,
         practiceMarkersCount: 0,
+        practiceDrillsCount: 0,
+        practiceChallengesCount: 0,
+        goalSetsCount: 0,
+        goalsCount: 0,
+        athleteProfilesCount: 0,
       })
     })
   })
@@ -488,6 +818,32 @@ describe('sync', () => {
       expect(mockGameDb._markClean).toHaveBeenCalledWith(dirtyEvent)
     })
 
+    it('should never null a column a row in a mixed batch does not carry', async () => {
+      const fresh = { id: 'ge1', _table: 'game_events', _dirty: true, _deleted: false, game_id: 'gs1', type: 'shot' }
+      const pulled = {
+        ...fresh,
+        id: 'ge2',
+        updated_at: '2024-01-15T10:00:00+00:00',
+        situation_tags: ['ato'],
+      }
+      mockGameDb._allDirtyGame.mockResolvedValue([fresh, pulled, { ...fresh, id: 'ge3' }])
+      const mockUpsert = { upsert: vi.fn().mockResolvedValue({ error: null }) }
+      setupSyncAllMocks({ game_events: mockUpsert })
+
+      await syncAll()
+
+      const batches = mockUpsert.upsert.mock.calls.map(([rows]) => rows)
+      expect(batches.map((rows) => rows.map((r) => r.id))).toEqual([['ge1', 'ge3'], ['ge2']])
+      for (const rows of batches) {
+        const columns = Object.keys(rows[0]).sort()
+        for (const row of rows) {
+          expect(Object.keys(row).sort()).toEqual(columns)
+          expect(Object.values(row)).not.toContain(null)
+        }
+      }
+      expect(mockGameDb._markClean).toHaveBeenCalledTimes(3)
+    })
+
     it('should push dirty practice sessions to Supabase', async () => {
       const dirtySession = {
         id: 'ps1',
@@ -621,7 +977,7 @@ describe('sync', () => {
 
       const mockDelete = {
         delete: vi.fn().mockReturnThis(),
-        eq: vi.fn().mockResolvedValue({ error: null }),
+        in: vi.fn().mockResolvedValue({ error: null }),
       }
       setupSyncAllMocks({ 'game_events': mockDelete })
 
@@ -629,7 +985,7 @@ describe('sync', () => {
 
       expect(mockSupabase.from).toHaveBeenCalledWith('game_events')
       expect(mockDelete.delete).toHaveBeenCalled()
-      expect(mockDelete.eq).toHaveBeenCalledWith('id', 'ge1')
+      expect(mockDelete.in).toHaveBeenCalledWith('id', ['ge1'])
       expect(mockGameDb._purgeGameRow).toHaveBeenCalledWith(deletedEvent)
     })
 
@@ -709,10 +1065,11 @@ describe('sync', () => {
         select: vi.fn().mockReturnThis(),
         eq: vi.fn().mockReturnThis(),
         order: vi.fn().mockReturnThis(),
+        range: vi.fn().mockReturnThis(),
       }
 
       mockSupabase.from.mockReturnValue(mockQuery)
-      mockQuery.order
+      mockQuery.range
         .mockResolvedValueOnce({ data: [], error: null })
         .mockResolvedValueOnce({ data: [], error: null })
         .mockResolvedValueOnce({ data: [], error: null })
@@ -784,6 +1141,41 @@ describe('sync', () => {
       )
     })
 
+    it('should clear the quarantine of a retried row once the server accepts it', async () => {
+      const retriedEvent = {
+        id: 'ge1',
+        _table: 'game_events',
+        _dirty: true,
+        _deleted: false,
+        _sync_failed: true,
+        _sync_error_code: '23505',
+        _sync_error_message: 'duplicate key',
+        _sync_error_at: '2024-01-14T12:00:00.000Z',
+        user_id: null,
+      }
+
+      mockGameDb._allDirtyGame.mockResolvedValue([retriedEvent])
+
+      const mockUpsert = {
+        upsert: vi.fn().mockResolvedValue({ error: null }),
+      }
+      setupSyncAllMocks({ 'game_events': mockUpsert })
+
+      await syncAll()
+
+      const [[sent]] = mockUpsert.upsert.mock.calls[0]
+      expect(Object.keys(sent).filter((key) => key.startsWith('_'))).toEqual([])
+      expect(mockGameDb._markClean).toHaveBeenCalledWith(
+        expect.objectContaining({
+          id: 'ge1',
+          _sync_failed: false,
+          _sync_error_code: null,
+          _sync_error_message: null,
+          _sync_error_at: null,
+        })
+      )
+    })
+
     it('should handle Supabase delete errors by marking row with sync_failed', async () => {
       const deletedEvent = {
         id: 'ge1',
@@ -797,7 +1189,7 @@ describe('sync', () => {
 
       const mockDelete = {
         delete: vi.fn().mockReturnThis(),
-        eq: vi.fn().mockResolvedValue({
+        in: vi.fn().mockResolvedValue({
           error: {
             code: '23503',
             message: 'foreign key constraint violation',
@@ -838,26 +1230,30 @@ describe('sync', () => {
 
       mockGameDb._allDirtyGame.mockResolvedValue(events)
 
+      // The batch is rejected as a whole while it contains ge1
       const mockUpsert = {
-        upsert: vi.fn()
-          .mockResolvedValueOnce({
-            error: {
-              code: '23505',
-              message: 'duplicate key',
-            },
-          })
-          .mockResolvedValueOnce({ error: null }),
+        upsert: vi.fn(async (rows) =>
+          rows.some((r) => r.id === 'ge1')
+            ? { error: { code: '23505', message: 'duplicate key' } }
+            : { error: null }
+        ),
       }
       setupSyncAllMocks({ 'game_events': mockUpsert })
 
       await syncAll()
 
-      expect(mockUpsert.upsert).toHaveBeenCalledTimes(2)
+      // [ge1, ge2] → split → [ge1] (quarantined), [ge2]
+      expect(mockUpsert.upsert).toHaveBeenCalledTimes(3)
       expect(mockGameDb._markClean).toHaveBeenCalledTimes(2)
+      expect(mockGameDb._markClean).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'ge1', _sync_failed: true, _sync_error_code: '23505' })
+      )
+      expect(mockGameDb._markClean).toHaveBeenCalledWith(events[1])
     })
 
     it('should handle retryable errors and continue processing', async () => {
       const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+      setPushChunkSize(1)
 
       const events = [
         {
@@ -980,11 +1376,26 @@ describe('sync', () => {
       expect(callOrder).toEqual(['ps1', 'gs1'])
     })
 
-    it('should not sync when user is not authenticated', async () => {
-      mockSupabase.auth.getUser.mockResolvedValue({
-        data: { user: null },
-        error: null,
-      })
+    it('should push goal sets before goals, after game tables', async () => {
+      const callOrder = []
+
+      mockGoalsDb._allDirtyGoals.mockResolvedValue([
+        {
+          id: 'g1',
+          _table: 'goals',
+          _dirty: true,
+          _deleted: false,
+          set_id: 'set1',
+          created_at: '2024-01-10T10:00:00Z',
+        },
+        {
+          id: 'set1',
+          _table: 'goal_sets',
+          _dirty: true,
+          _deleted: false,
+          created_at: '2024-01-10T09:00:00Z',
+        },
+      ])
 
       mockGameDb._allDirtyGame.mockResolvedValue([
         {
@@ -995,145 +1406,575 @@ describe('sync', () => {
         },
       ])
 
+      const mockUpsert = {
+        upsert: vi.fn().mockImplementation((rows) => {
+          callOrder.push(rows[0].id)
+          return Promise.resolve({ error: null })
+        }),
+      }
+      setupSyncAllMocks({
+        'game_sessions': mockUpsert,
+        'goal_sets': mockUpsert,
+        'goals': mockUpsert,
+      })
+
       await syncAll()
 
-      expect(mockSupabase.from).not.toHaveBeenCalled()
+      expect(callOrder).toEqual(['gs1', 'set1', 'g1'])
+      expect(mockUpsert.upsert).toHaveBeenCalledWith(
+        [expect.objectContaining({ id: 'set1', user_id: 'test-user-123' })],
+        { onConflict: 'id' }
+      )
+      expect(mockGoalsDb._markClean).toHaveBeenCalledTimes(2)
+      expect(mockGameDb._markClean).toHaveBeenCalledTimes(1)
     })
 
-    it('should whitelist practice_sessions fields', async () => {
-      const dirtySession = {
-        id: 'ps1',
-        _table: 'practice_sessions',
+    it('should upsert dirty rows of a table in chunks', async () => {
+      setPushChunkSize(2)
+      const events = ['ge1', 'ge2', 'ge3', 'ge4', 'ge5'].map((id, i) => ({
+        id,
+        _table: 'game_events',
         _dirty: true,
         _deleted: false,
-        user_id: null,
-        date_iso: '2024-01-15',
-        started_at: '2024-01-15T10:00:00Z',
-        ended_at: null,
-        status: 'active',
-        extra_field: 'should be removed',
-      }
-
-      mockPracticeDb._allDirtyPractice.mockResolvedValue([dirtySession])
+        ts: `2024-01-15T12:0${i}:00Z`,
+      }))
+      mockGameDb._allDirtyGame.mockResolvedValue(events)
 
       const mockUpsert = {
         upsert: vi.fn().mockResolvedValue({ error: null }),
       }
-      setupSyncAllMocks({ 'practice_sessions': mockUpsert })
+      setupSyncAllMocks({ 'game_events': mockUpsert })
 
       await syncAll()
 
-      const upsertedRow = mockUpsert.upsert.mock.calls[0][0][0]
-      expect(upsertedRow).not.toHaveProperty('extra_field')
-      expect(Object.keys(upsertedRow).sort()).toEqual([
-        'id',
-        'user_id',
-        'athlete_id',
-        'date_iso',
-        'started_at',
-        'ended_at',
-        'status',
-      ].sort())
+      const batches = mockUpsert.upsert.mock.calls.map(([rows]) => rows.map((r) => r.id))
+      expect(batches).toEqual([['ge1', 'ge2'], ['ge3', 'ge4'], ['ge5']])
+      expect(mockGameDb._markClean).toHaveBeenCalledTimes(5)
     })
 
-    it('should whitelist practice_entries fields', async () => {
-      const dirtyEntry = {
-        id: 'pe1',
-        _table: 'practice_entries',
-        _dirty: true,
-        _deleted: false,
-        user_id: null,
-        athlete_id: 'ath-1',
-        session_id: 'ps1',
-        zone_id: 'zone1',
-        shot_type: 'catch_shoot',
-        contested: true,
-        attempts: 5,
-        makes: 3,
-        ts: '2024-01-15T10:05:00Z',
-        extra_field: 'should be removed',
-      }
-
-      mockPracticeDb._allDirtyPractice.mockResolvedValue([dirtyEntry])
+    it('should send one request per table when rows fit in a chunk', async () => {
+      mockGameDb._allDirtyGame.mockResolvedValue([
+        { id: 'gs1', _table: 'game_sessions', _dirty: true, _deleted: false, date_iso: '2024-01-15' },
+        { id: 'ge1', _table: 'game_events', _dirty: true, _deleted: false, ts: '2024-01-15T12:00:00Z' },
+        { id: 'ge2', _table: 'game_events', _dirty: true, _deleted: false, ts: '2024-01-15T12:01:00Z' },
+        { id: 'ge3', _table: 'game_events', _dirty: true, _deleted: true },
+      ])
 
-      const mockUpsert = {
-        upsert: vi.fn().mockResolvedValue({ error: null }),
+      const calls = []
+      const mockSessions = {
+        upsert: vi.fn(async (rows) => {
+          calls.push(['game_sessions', 'upsert', rows.length])
+          return { error: null }
+        }),
       }
-      setupSyncAllMocks({ 'practice_entries': mockUpsert })
+      const mockEvents = {
+        upsert: vi.fn(async (rows) => {
+          calls.push(['game_events', 'upsert', rows.length])
+          return { error: null }
+        }),
+        delete: vi.fn().mockReturnThis(),
+        in: vi.fn(async (_col, ids) => {
+          calls.push(['game_events', 'delete', ids.length])
+          return { error: null }
+        }),
+      }
+      setupSyncAllMocks({ 'game_sessions': mockSessions, 'game_events': mockEvents })
 
       await syncAll()
 
-      const upsertedRow = mockUpsert.upsert.mock.calls[0][0][0]
-      expect(upsertedRow).not.toHaveProperty('extra_field')
-      expect(Object.keys(upsertedRow).sort()).toEqual([
-        'id',
-        'user_id',
-        'athlete_id',
-        'session_id',
-        'zone_id',
-        'shot_type',
-        'contested',
-        'attempts',
-        'makes',
-        'ts',
-      ].sort())
+      expect(calls).toEqual([
+        ['game_sessions', 'upsert', 1],
+        ['game_events', 'upsert', 2],
+        ['game_events', 'delete', 1],
+      ])
     })
 
-    it('should whitelist practice_markers fields', async () => {
-      const dirtyMarker = {
-        id: 'pm1',
-        _table: 'practice_markers',
+    it('should isolate a single bad row inside a large batch', async () => {
+      const consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+      const events = ['ge1', 'ge2', 'ge3', 'ge4'].map((id, i) => ({
+        id,
+        _table: 'game_events',
         _dirty: true,
         _deleted: false,
-        user_id: null,
-        athlete_id: 'ath-1',
-        session_id: 'ps1',
-        label: 'Break',
-        ts: '2024-01-15T10:10:00Z',
-        extra_field: 'should be removed',
-      }
-
-      mockPracticeDb._allDirtyPractice.mockResolvedValue([dirtyMarker])
+        ts: `2024-01-15T12:0${i}:00Z`,
+      }))
+      mockGameDb._allDirtyGame.mockResolvedValue(events)
 
       const mockUpsert = {
-        upsert: vi.fn().mockResolvedValue({ error: null }),
+        upsert: vi.fn(async (rows) =>
+          rows.some((r) => r.id === 'ge3')
+            ? { error: { code: '22P02', message: 'invalid input syntax' } }
+            : { error: null }
+        ),
       }
-      setupSyncAllMocks({ 'practice_markers': mockUpsert })
+      setupSyncAllMocks({ 'game_events': mockUpsert })
 
       await syncAll()
 
-      const upsertedRow = mockUpsert.upsert.mock.calls[0][0][0]
-      expect(upsertedRow).not.toHaveProperty('extra_field')
-      expect(Object.keys(upsertedRow).sort()).toEqual([
-        'id',
-        'user_id',
-        'athlete_id',
-        'session_id',
-        'label',
-        'ts',
-      ].sort())
+      const batches = mockUpsert.upsert.mock.calls.map(([rows]) => rows.map((r) => r.id))
+      expect(batches).toEqual([
+        ['ge1', 'ge2', 'ge3', 'ge4'],
+        ['ge1', 'ge2'],
+        ['ge3', 'ge4'],
+        ['ge3'],
+        ['ge4'],
+      ])
+      const failed = mockGameDb._markClean.mock.calls
+        .map(([row]) => row)
+        .filter((row) => row._sync_failed)
+      expect(failed.map((row) => row.id)).toEqual(['ge3'])
+      expect(mockGameDb._markClean).toHaveBeenCalledTimes(4)
+      consoleWarnSpy.mockRestore()
     })
 
-    it('should normalize timestamps from numbers to ISO strings', async () => {
-      const dirtyEvent = {
-        id: 'ge1',
-        _table: 'game_events',
-        _dirty: true,
-        _deleted: false,
-        user_id: null,
-        ts: 1705320000000,
-      }
-
-      mockGameDb._allDirtyGame.mockResolvedValue([dirtyEvent])
+    it('should not split a batch on retryable errors', async () => {
+      const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+      mockGameDb._allDirtyGame.mockResolvedValue([
+        { id: 'ge1', _table: 'game_events', _dirty: true, _deleted: false },
+        { id: 'ge2', _table: 'game_events', _dirty: true, _deleted: false },
+      ])
 
       const mockUpsert = {
-        upsert: vi.fn().mockResolvedValue({ error: null }),
+        upsert: vi.fn().mockResolvedValue({ error: { code: '500', message: 'server error' } }),
       }
       setupSyncAllMocks({ 'game_events': mockUpsert })
 
       await syncAll()
 
-      expect(mockUpsert.upsert).toHaveBeenCalledWith(
+      expect(mockUpsert.upsert).toHaveBeenCalledTimes(1)
+      expect(mockGameDb._markClean).not.toHaveBeenCalled()
+      expect(consoleErrorSpy).toHaveBeenCalled()
+      consoleErrorSpy.mockRestore()
+    })
+
+    it('should fall back to the default chunk size for invalid values', () => {
+      expect(setPushChunkSize(25)).toBe(25)
+      expect(setPushChunkSize(0)).toBe(200)
+      expect(setPushChunkSize('abc')).toBe(200)
+    })
+
+    it('should insert offline-created athletes and remap their temporary id', async () => {
+      const tempAthlete = {
+        id: 'ath_tmp1',
+        _table: 'athlete_profiles',
+        _dirty: true,
+        first_name: 'Max',
+        last_name: '',
+        initials: 'M',
+        avatar_color: '#BFDBFE',
+        created_at: '2024-01-15T09:00:00Z',
+        archived_at: null,
+      }
+      const session = {
+        id: 'gs1',
+        _table: 'game_sessions',
+        _dirty: true,
+        _deleted: false,
+        athlete_id: 'ath_tmp1',
+      }
+
+      mockAthleteProfilesDb._allDirtyAthletes.mockResolvedValue([tempAthlete])
+      mockGameDb._allDirtyGame.mockResolvedValue([session])
+
+      const mockAthleteInsert = {
+        insert: vi.fn().mockReturnThis(),
+        select: vi.fn().mockReturnThis(),
+        single: vi.fn().mockResolvedValue({ data: { id: 'server-ath-1' }, error: null }),
+      }
+      const mockSessionUpsert = {
+        upsert: vi.fn().mockResolvedValue({ error: null }),
+      }
+      setupSyncAllMocks({
+        'athlete_profiles': mockAthleteInsert,
+        'game_sessions': mockSessionUpsert,
+      })
+
+      await syncAll()
+
+      const [[insertedRows]] = mockAthleteInsert.insert.mock.calls
+      expect(insertedRows[0]).not.toHaveProperty('id')
+      expect(insertedRows[0]).toEqual(expect.objectContaining({
+        user_id: 'test-user-123',
+        first_name: 'Max',
+      }))
+
+      expect(mockAthleteProfilesDb._remapAthleteProfileId).toHaveBeenCalledWith('ath_tmp1', 'server-ath-1')
+      expect(mockGameDb._remapAthleteId).toHaveBeenCalledWith('ath_tmp1', 'server-ath-1')
+      expect(mockPracticeDb._remapAthleteId).toHaveBeenCalledWith('ath_tmp1', 'server-ath-1')
+      expect(mockGoalsDb._remapAthleteId).toHaveBeenCalledWith('ath_tmp1', 'server-ath-1')
+
+      expect(mockSessionUpsert.upsert).toHaveBeenCalledWith(
+        [expect.objectContaining({ id: 'gs1', athlete_id: 'server-ath-1' })],
+        { onConflict: 'id' }
+      )
+    })
+
+    it('should hold rows that reference an athlete the server does not have yet', async () => {
+      const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+      const consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+      mockAthleteProfilesDb._allDirtyAthletes.mockResolvedValue([
+        { id: 'ath_tmp1', _table: 'athlete_profiles', _dirty: true, first_name: 'Max' },
+      ])
+      mockGameDb._allDirtyGame.mockResolvedValue([
+        { id: 'gs1', _table: 'game_sessions', _dirty: true, _deleted: false, athlete_id: 'ath_tmp1' },
+      ])
+
+      const mockAthleteInsert = {
+        insert: vi.fn().mockReturnThis(),
+        select: vi.fn().mockReturnThis(),
+        single: vi.fn().mockResolvedValue({ data: null, error: { code: '500', message: 'boom' } }),
+      }
+      const mockSessionUpsert = {
+        upsert: vi.fn().mockResolvedValue({ error: null }),
+      }
+      setupSyncAllMocks({
+        'athlete_profiles': mockAthleteInsert,
+        'game_sessions': mockSessionUpsert,
+      })
+
+      await syncAll()
+
+      expect(mockGameDb._remapAthleteId).not.toHaveBeenCalled()
+      expect(mockSessionUpsert.upsert).not.toHaveBeenCalled()
+      expect(mockGameDb._markClean).not.toHaveBeenCalled()
+
+      consoleErrorSpy.mockRestore()
+      consoleWarnSpy.mockRestore()
+    })
+
+    it('should upsert edits to athletes that already exist remotely', async () => {
+      const athlete = {
+        id: 'server-ath-1',
+        _table: 'athlete_profiles',
+        _dirty: true,
+        first_name: 'Max',
+        archived_at: '2024-01-15T10:00:00Z',
+        avatar_color: '#BFDBFE',
+      }
+      mockAthleteProfilesDb._allDirtyAthletes.mockResolvedValue([athlete])
+
+      const mockUpsert = {
+        upsert: vi.fn().mockResolvedValue({ error: null }),
+      }
+      setupSyncAllMocks({ 'athlete_profiles': mockUpsert })
+
+      await syncAll()
+
+      expect(mockUpsert.upsert).toHaveBeenCalledWith(
+        [expect.objectContaining({
+          id: 'server-ath-1',
+          user_id: 'test-user-123',
+          archived_at: '2024-01-15T10:00:00Z',
+        })],
+        { onConflict: 'id' }
+      )
+      expect(mockAthleteProfilesDb._markClean).toHaveBeenCalledWith(athlete)
+    })
+
+    it('should delete tombstoned goals and purge them locally', async () => {
+      const deletedGoal = {
+        id: 'g1',
+        _table: 'goals',
+        _dirty: true,
+        _deleted: true,
+        set_id: 'set1',
+      }
+
+      mockGoalsDb._allDirtyGoals.mockResolvedValue([deletedGoal])
+
+      const mockDelete = {
+        delete: vi.fn().mockReturnThis(),
+        in: vi.fn().mockResolvedValue({ error: null }),
+      }
+      setupSyncAllMocks({ 'goals': mockDelete })
+
+      await syncAll()
+
+      expect(mockDelete.delete).toHaveBeenCalled()
+      expect(mockDelete.in).toHaveBeenCalledWith('id', ['g1'])
+      expect(mockGoalsDb._purgeGoalsRow).toHaveBeenCalledWith(deletedGoal)
+      expect(mockGameDb._purgeGameRow).not.toHaveBeenCalled()
+    })
+
+    it('should not sync when user is not authenticated', async () => {
+      mockSupabase.auth.getUser.mockResolvedValue({
+        data: { user: null },
+        error: null,
+      })
+
+      mockGameDb._allDirtyGame.mockResolvedValue([
+        {
+          id: 'gs1',
+          _table: 'game_sessions',
+          _dirty: true,
+          _deleted: false,
+        },
+      ])
+
+      await syncAll()
+
+      expect(mockSupabase.from).not.toHaveBeenCalled()
+    })
+
+    it('should whitelist practice_sessions fields', async () => {
+      const dirtySession = {
+        id: 'ps1',
+        _table: 'practice_sessions',
+        _dirty: true,
+        _deleted: false,
+        user_id: null,
+        date_iso: '2024-01-15',
+        started_at: '2024-01-15T10:00:00Z',
+        ended_at: null,
+        status: 'active',
+        extra_field: 'should be removed',
+      }
+
+      mockPracticeDb._allDirtyPractice.mockResolvedValue([dirtySession])
+
+      const mockUpsert = {
+        upsert: vi.fn().mockResolvedValue({ error: null }),
+      }
+      setupSyncAllMocks({ 'practice_sessions': mockUpsert })
+
+      await syncAll()
+
+      const upsertedRow = mockUpsert.upsert.mock.calls[0][0][0]
+      expect(upsertedRow).not.toHaveProperty('extra_field')
+      expect(Object.keys(upsertedRow).sort()).toEqual([
+        'id',
+        'user_id',
+        'athlete_id',
+        'date_iso',
+        'started_at',
+        'ended_at',
+        'status',
+        'timer_work_sec',
+        'timer_rest_sec',
+        'timer_started_at',
+        'timer_index_offset',
+      ].sort())
+    })
+
+    it('should whitelist practice_entries fields', async () => {
+      const dirtyEntry = {
+        id: 'pe1',
+        _table: 'practice_entries',
+        _dirty: true,
+        _deleted: false,
+        user_id: null,
+        athlete_id: 'ath-1',
+        session_id: 'ps1',
+        zone_id: 'zone1',
+        shot_type: 'catch_shoot',
+        contested: true,
+        attempts: 5,
+        makes: 3,
+        ts: '2024-01-15T10:05:00Z',
+        extra_field: 'should be removed',
+      }
+
+      mockPracticeDb._allDirtyPractice.mockResolvedValue([dirtyEntry])
+
+      const mockUpsert = {
+        upsert: vi.fn().mockResolvedValue({ error: null }),
+      }
+      setupSyncAllMocks({ 'practice_entries': mockUpsert })
+
+      await syncAll()
+
+      const upsertedRow = mockUpsert.upsert.mock.calls[0][0][0]
+      expect(upsertedRow).not.toHaveProperty('extra_field')
+      expect(Object.keys(upsertedRow).sort()).toEqual([
+        'id',
+        'user_id',
+        'athlete_id',
+        'session_id',
+        'zone_id',
+        'shot_type',
+        'contested',
+        'attempts',
+        'makes',
+        'ts',
+        'drill_run_id',
+        'drill_step',
+        'made',
+        'shot_x',
+        'shot_y',
+        'interval_index',
+        'interval_phase',
+      ].sort())
+    })
+
+    it('should whitelist practice_markers fields', async () => {
+      const dirtyMarker = {
+        id: 'pm1',
+        _table: 'practice_markers',
+        _dirty: true,
+        _deleted: false,
+        user_id: null,
+        athlete_id: 'ath-1',
+        session_id: 'ps1',
+        label: 'Break',
+        ts: '2024-01-15T10:10:00Z',
+        extra_field: 'should be removed',
+      }
+
+      mockPracticeDb._allDirtyPractice.mockResolvedValue([dirtyMarker])
+
+      const mockUpsert = {
+        upsert: vi.fn().mockResolvedValue({ error: null }),
+      }
+      setupSyncAllMocks({ 'practice_markers': mockUpsert })
+
+      await syncAll()
+
+      const upsertedRow = mockUpsert.upsert.mock.calls[0][0][0]
+      expect(upsertedRow).not.toHaveProperty('extra_field')
+      expect(Object.keys(upsertedRow).sort()).toEqual([
+        'id',
+        'user_id',
+        'athlete_id',
+        'session_id',
+        'label',
+        'drill_id',
+        'ts',
+      ].sort())
+    })
+
+    it('should whitelist practice_drills fields and push them before sessions', async () => {
+      const dirtyDrill = {
+        id: 'pd1',
+        _table: 'practice_drills',
+        _dirty: true,
+        _deleted: false,
+        user_id: null,
+        athlete_id: 'ath-1',
+        name: 'Mikan Drill',
+        steps: [{ zone_id: 'left_low_post', shot_type: 'layup', target_reps: 10, make_goal: 9 }],
+        created_at: '2024-01-15T09:00:00Z',
+        extra_field: 'should be removed',
+      }
+      const dirtySession = {
+        id: 'ps1',
+        _table: 'practice_sessions',
+        _dirty: true,
+        _deleted: false,
+        started_at: '2024-01-15T08:00:00Z',
+      }
+
+      mockPracticeDb._allDirtyPractice.mockResolvedValue([dirtySession, dirtyDrill])
+
+      const order = []
+      const upsertFor = (table) => ({
+        upsert: vi.fn(() => {
+          order.push(table)
+          return Promise.resolve({ error: null })
+        }),
+      })
+      const drillsUpsert = upsertFor('practice_drills')
+      setupSyncAllMocks({
+        'practice_drills': drillsUpsert,
+        'practice_sessions': upsertFor('practice_sessions'),
+      })
+
+      await syncAll()
+
+      expect(order).toEqual(['practice_drills', 'practice_sessions'])
+      expect(drillsUpsert.upsert.mock.calls[0][0][0]).toEqual({
+        id: 'pd1',
+        user_id: 'test-user-123',
+        athlete_id: 'ath-1',
+        name: 'Mikan Drill',
+        steps: dirtyDrill.steps,
+        created_at: '2024-01-15T09:00:00Z',
+      })
+    })
+
+    it('should whitelist practice_challenges fields and push them after entries', async () => {
+      const dirtyChallenge = {
+        id: 'pc1',
+        _table: 'practice_challenges',
+        _dirty: true,
+        _deleted: false,
+        user_id: null,
+        athlete_id: 'ath-1',
+        session_id: 'ps1',
+        zone_id: 'free_throw',
+        target_streak: 10,
+        best_streak: 10,
+        attempts: 14,
+        makes: 12,
+        completed: true,
+        started_at: '2024-01-15T09:00:00Z',
+        ended_at: '2024-01-15T09:05:00Z',
+        streak: 10,
+      }
+      const dirtyEntry = {
+        id: 'pe1',
+        _table: 'practice_entries',
+        _dirty: true,
+        _deleted: false,
+        session_id: 'ps1',
+        ts: '2024-01-15T09:06:00Z',
+      }
+
+      mockPracticeDb._allDirtyPractice.mockResolvedValue([dirtyChallenge, dirtyEntry])
+
+      const order = []
+      const upsertFor = (table) => ({
+        upsert: vi.fn(() => {
+          order.push(table)
+          return Promise.resolve({ error: null })
+        }),
+      })
+      const challengesUpsert = upsertFor('practice_challenges')
+      setupSyncAllMocks({
+        'practice_challenges': challengesUpsert,
+        'practice_entries': upsertFor('practice_entries'),
+      })
+
+      await syncAll()
+
+      expect(order).toEqual(['practice_entries', 'practice_challenges'])
+      expect(challengesUpsert.upsert.mock.calls[0][0][0]).toEqual({
+        id: 'pc1',
+        user_id: 'test-user-123',
+        athlete_id: 'ath-1',
+        session_id: 'ps1',
+        zone_id: 'free_throw',
+        shot_type: null,
+        target_streak: 10,
+        best_streak: 10,
+        attempts: 14,
+        makes: 12,
+        completed: true,
+        started_at: '2024-01-15T09:00:00Z',
+        ended_at: '2024-01-15T09:05:00Z',
+      })
+    })
+
+    it('should normalize timestamps from numbers to ISO strings', async () => {
+      const dirtyEvent = {
+        id: 'ge1',
+        _table: 'game_events',
+        _dirty: true,
+        _deleted: false,
+        user_id: null,
+        ts: 1705320000000,
+      }
+
+      mockGameDb._allDirtyGame.mockResolvedValue([dirtyEvent])
+
+      const mockUpsert = {
+        upsert: vi.fn().mockResolvedValue({ error: null }),
+      }
+      setupSyncAllMocks({ 'game_events': mockUpsert })
+
+      await syncAll()
+
+      expect(mockUpsert.upsert).toHaveBeenCalledWith(
         [expect.objectContaining({
           ts: '2024-01-15T12:00:00.000Z',
         })],
@@ -1335,6 +2176,8 @@ describe('sync', () => {
       })
 
       initAutoSync()
+      // let the initial sync run first
+      await vi.advanceTimersByTimeAsync(400)
 
       vi.clearAllMocks()
 
@@ -1506,6 +2349,522 @@ describe('sync', () => {
     })
   })
 
+  describe('cross-tab coordination', () => {
+    const dirtyEvent = { id: 'ge1', _table: 'game_events', _dirty: true, _deleted: false, user_id: null }
+
+    beforeEach(() => {
+      vi.useFakeTimers()
+    })
+
+    afterEach(() => {
+      vi.useRealTimers()
+      teardownAutoSync()
+    })
+
+    function tabMessages() {
+      return mockSyncLeader.onSyncMessage.mock.calls[0][0]
+    }
+
+    it('should join the election on init and leave it on teardown', () => {
+      initAutoSync()
+      teardownAutoSync()
+
+      expect(mockSyncLeader.startLeaderElection).toHaveBeenCalledWith(expect.any(Function))
+      expect(mockSyncLeader.postSyncMessage).toHaveBeenCalledWith({ type: 'hello' })
+      expect(mockSyncLeader.stopLeaderElection).toHaveBeenCalled()
+    })
+
+    it('should not push from a follower tab and ask the leader instead', async () => {
+      mockSyncLeader.isSyncLeader.mockReturnValue(false)
+      mockGameDb._allDirtyGame.mockResolvedValue([dirtyEvent])
+      const mockUpsert = { upsert: vi.fn().mockResolvedValue({ error: null }) }
+      setupSyncAllMocks({ game_events: mockUpsert })
+
+      await syncAll()
+
+      expect(mockUpsert.upsert).not.toHaveBeenCalled()
+      expect(mockSupabase.auth.getUser).not.toHaveBeenCalled()
+      expect(mockSyncLeader.postSyncMessage).toHaveBeenCalledWith({ type: 'sync-now' })
+    })
+
+    it('should tell other tabs about local writes', () => {
+      let mutateCallback
+      mockOnLocalMutate.mockImplementation((cb) => {
+        mutateCallback = cb
+        return vi.fn()
+      })
+      initAutoSync()
+
+      mutateCallback()
+
+      expect(mockSyncLeader.postSyncMessage).toHaveBeenCalledWith({ type: 'mutate' })
+    })
+
+    it('should refresh screens and push when another tab reports a write', async () => {
+      const { notifyRemoteChange } = await import('../sync-notify.js')
+      initAutoSync()
+      await vi.advanceTimersByTimeAsync(400)
+      mockGameDb._allDirtyGame.mockResolvedValue([dirtyEvent])
+      const mockUpsert = { upsert: vi.fn().mockResolvedValue({ error: null }) }
+      setupSyncAllMocks({ game_events: mockUpsert })
+
+      tabMessages()({ type: 'mutate' })
+      await vi.advanceTimersByTimeAsync(400)
+
+      expect(notifyRemoteChange).toHaveBeenCalled()
+      expect(mockUpsert.upsert).toHaveBeenCalledTimes(1)
+    })
+
+    it('should sync right away when the tab takes over as leader', async () => {
+      initAutoSync()
+      await vi.advanceTimersByTimeAsync(400)
+      mockGameDb._allDirtyGame.mockResolvedValue([dirtyEvent])
+      const mockUpsert = { upsert: vi.fn().mockResolvedValue({ error: null }) }
+      setupSyncAllMocks({ game_events: mockUpsert })
+
+      mockSyncLeader.startLeaderElection.mock.calls[0][0](true)
+      await vi.advanceTimersByTimeAsync(400)
+
+      expect(mockUpsert.upsert).toHaveBeenCalledTimes(1)
+    })
+
+    it('should mirror the leader status in follower tabs', () => {
+      mockSyncLeader.isSyncLeader.mockReturnValue(false)
+      initAutoSync()
+
+      tabMessages()({ type: 'status', status: { phase: 'push', table: 'game_events', pendingTotal: 3 } })
+
+      expect(getSyncStatus()).toEqual(
+        expect.objectContaining({ phase: 'push', table: 'game_events', pendingTotal: 3 })
+      )
+    })
+
+    it('should publish status changes from the leader without the online flag', async () => {
+      initAutoSync()
+      await vi.advanceTimersByTimeAsync(400)
+
+      const statusPosts = mockSyncLeader.postSyncMessage.mock.calls
+        .map(([message]) => message)
+        .filter((message) => message.type === 'status')
+      expect(statusPosts.length).toBeGreaterThan(0)
+      expect(statusPosts.at(-1).status).not.toHaveProperty('online')
+      expect(statusPosts.at(-1).status).toEqual(expect.objectContaining({ phase: 'idle' }))
+    })
+
+    it('should announce a finished pull to screens and other tabs', async () => {
+      const { notifyRemoteChange } = await import('../sync-notify.js')
+      setupSyncAllMocks()
+
+      await bootstrapAllData()
+
+      expect(notifyRemoteChange).toHaveBeenCalled()
+      expect(mockSyncLeader.postSyncMessage).toHaveBeenCalledWith({ type: 'synced' })
+    })
+  })
+
+  describe('sync status', () => {
+    const dirtyEvent = () => ({
+      id: 'ge1',
+      _table: 'game_events',
+      _dirty: true,
+      _deleted: false,
+    })
+
+    beforeEach(() => {
+      vi.useFakeTimers()
+      vi.setSystemTime(new Date('2024-01-15T12:00:00Z'))
+    })
+
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    it('should publish push then pull phases and return to idle', async () => {
+      setupSyncAllMocks({ game_events: { upsert: vi.fn().mockResolvedValue({ error: null }) } })
+      mockGameDb._allDirtyGame.mockResolvedValue([dirtyEvent()])
+      const seen = []
+      const unsubscribe = onSyncStatus((status) => seen.push([status.phase, status.table]))
+
+      await syncAll()
+      unsubscribe()
+
+      expect(seen).toContainEqual(['push', null])
+      expect(seen).toContainEqual(['push', 'game_events'])
+      expect(seen).toContainEqual(['pull', null])
+      expect(getSyncStatus()).toEqual(
+        expect.objectContaining({
+          phase: 'idle',
+          table: null,
+          lastSyncAt: '2024-01-15T12:00:00.000Z',
+        }),
+      )
+    })
+
+    it('should count pending dirty rows per table after a push', async () => {
+      setupSyncAllMocks()
+      mockGameDb._allDirtyGame.mockResolvedValue([])
+      mockPracticeDb._allDirtyPractice.mockResolvedValue([
+        { id: 'ps1', _table: 'practice_sessions', _dirty: true, athlete_id: 'ath_local' },
+        { id: 'pe1', _table: 'practice_entries', _dirty: true, athlete_id: 'ath_local' },
+        { id: 'pe2', _table: 'practice_entries', _dirty: true, athlete_id: 'ath_local' },
+      ])
+
+      await syncAll()
+
+      expect(getSyncStatus().pending).toEqual({ practice_sessions: 1, practice_entries: 2 })
+      expect(getSyncStatus().pendingTotal).toBe(3)
+    })
+
+    it('should record a retryable error with the next retry time, then clear it after a clean run', async () => {
+      const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+      vi.spyOn(Math, 'random').mockReturnValue(0.5)
+      const upsert = vi
+        .fn()
+        .mockResolvedValueOnce({ error: { message: 'Failed to fetch' } })
+        .mockResolvedValue({ error: null })
+      setupSyncAllMocks({ game_events: { upsert } })
+      mockGameDb._allDirtyGame.mockResolvedValue([dirtyEvent()])
+
+      await syncAll()
+
+      expect(getSyncStatus().lastError).toEqual({
+        message: 'Failed to fetch',
+        code: null,
+        at: '2024-01-15T12:00:00.000Z',
+      })
+      // first failure: 2s base, half of it jittered
+      expect(getSyncStatus().nextRetryAt).toBe('2024-01-15T12:00:01.500Z')
+
+      await syncAll()
+
+      expect(getSyncStatus().lastError).toBeNull()
+      expect(getSyncStatus().nextRetryAt).toBeNull()
+      consoleErrorSpy.mockRestore()
+      vi.mocked(Math.random).mockRestore()
+    })
+
+    it('should record pull errors', async () => {
+      mockSupabase.auth.getUser.mockResolvedValue({ data: null, error: new Error('Auth failed') })
+
+      await expect(bootstrapAllData()).rejects.toThrow('Auth failed')
+
+      expect(getSyncStatus().lastError?.message).toBe('Auth failed')
+      expect(getSyncStatus().phase).toBe('idle')
+    })
+
+    it('should refresh pending counts without pushing while offline', async () => {
+      Object.defineProperty(navigator, 'onLine', { writable: true, value: false })
+      setupSyncAllMocks()
+      mockGameDb._allDirtyGame.mockResolvedValue([dirtyEvent()])
+
+      await syncAll()
+
+      expect(getSyncStatus().online).toBe(false)
+      expect(getSyncStatus().pending).toEqual({ game_events: 1 })
+      expect(mockGameDb._markClean).not.toHaveBeenCalled()
+    })
+
+    it('should follow online, offline and cross-tab last sync events', () => {
+      initAutoSync()
+
+      window.dispatchEvent(new Event('offline'))
+      expect(getSyncStatus().online).toBe(false)
+
+      window.dispatchEvent(new Event('online'))
+      expect(getSyncStatus().online).toBe(true)
+
+      window.dispatchEvent(
+        new StorageEvent('storage', { key: LAST_SYNC_KEY, newValue: '2024-01-16T08:00:00.000Z' }),
+      )
+      expect(getSyncStatus().lastSyncAt).toBe('2024-01-16T08:00:00.000Z')
+    })
+  })
+
+  describe('concurrent edits', () => {
+    const base = {
+      updated_at: '2024-01-15T10:00:00+00:00',
+      team_score: 50,
+      opponent_score: 40,
+      opponent_name: 'Bulls',
+    }
+    const editedSession = () => ({
+      id: 'gs1',
+      _table: 'game_sessions',
+      _dirty: true,
+      _deleted: false,
+      user_id: null,
+      ...base,
+      team_score: 60,
+      _base: { ...base },
+    })
+
+    it('should hold back rows waiting on the user and count them', async () => {
+      mockGameDb._allDirtyGame.mockResolvedValue([
+        { ...editedSession(), _conflict: { remote: base, fields: ['team_score'], detected_at: 'x' } },
+      ])
+      const mockUpsert = { upsert: vi.fn().mockResolvedValue({ error: null }) }
+      setupSyncAllMocks({ game_sessions: mockUpsert })
+
+      await syncAll()
+
+      expect(mockUpsert.upsert).not.toHaveBeenCalled()
+      expect(getSyncStatus().conflictTotal).toBe(1)
+    })
+
+    it('should merge changes made elsewhere before pushing', async () => {
+      mockGameDb._allDirtyGame.mockResolvedValue([editedSession()])
+      const mockUpsert = { upsert: vi.fn().mockResolvedValue({ error: null }) }
+      const query = setupSyncAllMocks({ game_sessions: mockUpsert })
+      query.in.mockResolvedValueOnce({
+        data: [{ id: 'gs1', ...base, updated_at: '2024-01-15T11:00:00+00:00', opponent_name: 'Chicago' }],
+        error: null,
+      })
+
+      await syncAll()
+
+      expect(query.in).toHaveBeenCalledWith('id', ['gs1'])
+      const [[sent]] = mockUpsert.upsert.mock.calls[0]
+      expect(sent).toEqual(expect.objectContaining({ team_score: 60, opponent_name: 'Chicago' }))
+      expect(mockGameDb._saveConflictRow).not.toHaveBeenCalled()
+    })
+
+    it('should store clashing edits as a conflict instead of overwriting the server', async () => {
+      mockGameDb._allDirtyGame.mockResolvedValue([editedSession()])
+      const mockUpsert = { upsert: vi.fn().mockResolvedValue({ error: null }) }
+      const query = setupSyncAllMocks({ game_sessions: mockUpsert })
+      query.in.mockResolvedValueOnce({
+        data: [{ id: 'gs1', ...base, updated_at: '2024-01-15T11:00:00+00:00', team_score: 58 }],
+        error: null,
+      })
+
+      await syncAll()
+
+      expect(mockUpsert.upsert).not.toHaveBeenCalled()
+      expect(mockGameDb._saveConflictRow).toHaveBeenCalledWith(
+        expect.objectContaining({
+          id: 'gs1',
+          team_score: 60,
+          _conflict: expect.objectContaining({ fields: ['team_score'] }),
+        })
+      )
+    })
+
+    it('should leave a row edited during the server check for the next push', async () => {
+      mockGameDb._allDirtyGame.mockResolvedValue([editedSession()])
+      mockGameDb._getLocalRow.mockResolvedValue({ ...editedSession(), opponent_score: 44 })
+      const mockUpsert = { upsert: vi.fn().mockResolvedValue({ error: null }) }
+      const query = setupSyncAllMocks({ game_sessions: mockUpsert })
+      query.in.mockResolvedValueOnce({
+        data: [{ id: 'gs1', ...base, updated_at: '2024-01-15T11:00:00+00:00', team_score: 58 }],
+        error: null,
+      })
+
+      await syncAll()
+
+      expect(mockGameDb._getLocalRow).toHaveBeenCalledWith(expect.objectContaining({ id: 'gs1' }))
+      expect(mockUpsert.upsert).not.toHaveBeenCalled()
+      expect(mockGameDb._saveConflictRow).not.toHaveBeenCalled()
+      expect(mockGameDb._markClean).not.toHaveBeenCalled()
+    })
+
+    it('should leave a row merged by a pull during the server check for the next push', async () => {
+      const pulled = { ...base, updated_at: '2024-01-15T11:00:00+00:00', opponent_name: 'Chicago' }
+      mockGameDb._allDirtyGame.mockResolvedValue([editedSession()])
+      mockGameDb._getLocalRow.mockResolvedValue({ ...editedSession(), ...pulled, team_score: 60, _base: pulled })
+      const mockUpsert = { upsert: vi.fn().mockResolvedValue({ error: null }) }
+      const query = setupSyncAllMocks({ game_sessions: mockUpsert })
+      query.in.mockResolvedValueOnce({ data: [{ id: 'gs1', ...pulled }], error: null })
+
+      await syncAll()
+
+      expect(mockUpsert.upsert).not.toHaveBeenCalled()
+      expect(mockGameDb._markClean).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('retry backoff and circuit breaker', () => {
+    let consoleErrorSpy, consoleWarnSpy
+
+    const serverError = { error: { code: '500', message: 'internal server error' } }
+    const dirtyEvent = (id = 'ge1', extra = {}) => ({
+      id,
+      _table: 'game_events',
+      _dirty: true,
+      _deleted: false,
+      ...extra,
+    })
+    const readBackoff = () => JSON.parse(localStorage.getItem(SYNC_BACKOFF_KEY) || 'null')
+
+    beforeEach(() => {
+      vi.useFakeTimers()
+      vi.setSystemTime(new Date('2024-01-15T12:00:00Z'))
+      // jitter at its minimum: delay = half of the exponential step
+      vi.spyOn(Math, 'random').mockReturnValue(0)
+      consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+      consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    })
+
+    afterEach(() => {
+      teardownAutoSync()
+      vi.useRealTimers()
+      vi.mocked(Math.random).mockRestore()
+      consoleErrorSpy.mockRestore()
+      consoleWarnSpy.mockRestore()
+    })
+
+    it('should wait out an exponential delay before retrying automatically', async () => {
+      const upsert = vi.fn().mockResolvedValue(serverError)
+      setupSyncAllMocks({ game_events: { upsert } })
+      mockGameDb._allDirtyGame.mockResolvedValue([dirtyEvent()])
+
+      initAutoSync()
+      await vi.advanceTimersByTimeAsync(400)
+      expect(upsert).toHaveBeenCalledTimes(1)
+      expect(readBackoff()).toEqual(expect.objectContaining({ failures: 1 }))
+
+      // 1st failure → 1s; the heartbeat / online triggers do not bypass it
+      window.dispatchEvent(new Event('online'))
+      await vi.advanceTimersByTimeAsync(900)
+      expect(upsert).toHaveBeenCalledTimes(1)
+
+      await vi.advanceTimersByTimeAsync(100 + 400)
+      expect(upsert).toHaveBeenCalledTimes(2)
+
+      // 2nd failure → 2s
+      await vi.advanceTimersByTimeAsync(1900)
+      expect(upsert).toHaveBeenCalledTimes(2)
+      await vi.advanceTimersByTimeAsync(100 + 400)
+      expect(upsert).toHaveBeenCalledTimes(3)
+      expect(getSyncStatus().nextRetryAt).toBe(new Date(Date.now() + 4000).toISOString())
+    })
+
+    it('should cap the delay and add jitter', async () => {
+      vi.mocked(Math.random).mockReturnValue(1)
+      localStorage.setItem(SYNC_BACKOFF_KEY, JSON.stringify({ failures: 3, rows: {} }))
+      setupSyncAllMocks({ game_events: { upsert: vi.fn().mockResolvedValue(serverError) } })
+      mockGameDb._allDirtyGame.mockResolvedValue([dirtyEvent()])
+
+      await syncAll()
+
+      // 4th failure: 2s * 2^3 = 16s, full jitter range used
+      expect(readBackoff().nextRetryAt).toBe(Date.now() + 16_000)
+
+      localStorage.setItem(SYNC_BACKOFF_KEY, JSON.stringify({ failures: 20, rows: {} }))
+      await syncAll()
+
+      expect(readBackoff().nextRetryAt).toBe(Date.now() + 5 * 60_000)
+    })
+
+    it('should give each failing row its own delay and hold its children', async () => {
+      setPushChunkSize(1)
+      const sessionUpsert = vi.fn().mockResolvedValue(serverError)
+      const eventUpsert = vi.fn().mockResolvedValue({ error: null })
+      setupSyncAllMocks({
+        game_sessions: { upsert: sessionUpsert },
+        game_events: { upsert: eventUpsert },
+      })
+      mockGameDb._allDirtyGame.mockResolvedValue([
+        { id: 'gs1', _table: 'game_sessions', _dirty: true, _deleted: false },
+        dirtyEvent('ge1', { game_id: 'gs1' }),
+        dirtyEvent('ge2', { game_id: 'gs2' }),
+      ])
+
+      await syncAll()
+
+      expect(sessionUpsert).toHaveBeenCalledTimes(1)
+      // ge1 waits for gs1; ge2 has no failing parent
+      expect(eventUpsert).toHaveBeenCalledTimes(1)
+      expect(eventUpsert.mock.calls[0][0]).toEqual([expect.objectContaining({ id: 'ge2' })])
+      expect(readBackoff().rows).toEqual({
+        'game_sessions:gs1': { attempts: 1, retryAt: Date.now() + 1000 },
+      })
+    })
+
+    it('should skip rows still waiting on an automatic run', async () => {
+      localStorage.setItem(
+        SYNC_BACKOFF_KEY,
+        JSON.stringify({ failures: 0, rows: { 'game_events:ge1': { attempts: 2, retryAt: Date.now() + 5000 } } }),
+      )
+      const upsert = vi.fn().mockResolvedValue({ error: null })
+      setupSyncAllMocks({ game_events: { upsert } })
+      mockGameDb._allDirtyGame.mockResolvedValue([dirtyEvent('ge1'), dirtyEvent('ge2')])
+
+      initAutoSync()
+      await vi.advanceTimersByTimeAsync(400)
+
+      expect(upsert).toHaveBeenCalledTimes(1)
+      expect(upsert.mock.calls[0][0]).toEqual([expect.objectContaining({ id: 'ge2' })])
+      expect(readBackoff().rows['game_events:ge1'].attempts).toBe(2)
+    })
+
+    it('should open the circuit after repeated failures and close it after a clean run', async () => {
+      const upsert = vi.fn().mockResolvedValue(serverError)
+      setupSyncAllMocks({ game_events: { upsert } })
+      mockGameDb._allDirtyGame.mockResolvedValue([dirtyEvent()])
+
+      for (let i = 0; i < 5; i++) await syncAll()
+
+      const openUntil = Date.now() + 10 * 60_000
+      expect(readBackoff().circuitOpenUntil).toBe(openUntil)
+      expect(getSyncStatus().circuitOpenUntil).toBe(new Date(openUntil).toISOString())
+      expect(consoleWarnSpy).toHaveBeenCalledWith(expect.stringContaining('5 failed syncs in a row'))
+
+      // paused: heartbeats do nothing
+      upsert.mockClear()
+      upsert.mockResolvedValue({ error: null })
+      initAutoSync()
+      await vi.advanceTimersByTimeAsync(9 * 60_000)
+      expect(upsert).not.toHaveBeenCalled()
+
+      // half-open trial after the pause succeeds → circuit closed
+      await vi.advanceTimersByTimeAsync(60_000 + 400)
+      expect(upsert).toHaveBeenCalledTimes(1)
+      expect(readBackoff()).toBeNull()
+      expect(getSyncStatus().circuitOpenUntil).toBeNull()
+    })
+
+    it('should not count failures caused by going offline', async () => {
+      const upsert = vi.fn().mockImplementation(() => {
+        Object.defineProperty(navigator, 'onLine', { writable: true, value: false })
+        return Promise.resolve(serverError)
+      })
+      setupSyncAllMocks({ game_events: { upsert } })
+      mockGameDb._allDirtyGame.mockResolvedValue([dirtyEvent()])
+
+      await syncAll()
+
+      expect(readBackoff()).toBeNull()
+    })
+
+    it('should restore persisted delays after a reload', async () => {
+      localStorage.setItem(
+        SYNC_BACKOFF_KEY,
+        JSON.stringify({ failures: 2, nextRetryAt: Date.now() + 30_000, rows: {} }),
+      )
+      const upsert = vi.fn().mockResolvedValue({ error: null })
+      setupSyncAllMocks({ game_events: { upsert } })
+      mockGameDb._allDirtyGame.mockResolvedValue([dirtyEvent()])
+
+      initAutoSync()
+      expect(getSyncStatus().nextRetryAt).toBe('2024-01-15T12:00:30.000Z')
+
+      await vi.advanceTimersByTimeAsync(29_000)
+      expect(upsert).not.toHaveBeenCalled()
+
+      await vi.advanceTimersByTimeAsync(1000 + 400)
+      expect(upsert).toHaveBeenCalledTimes(1)
+    })
+
+    it('should reset all delays on demand', () => {
+      localStorage.setItem(SYNC_BACKOFF_KEY, JSON.stringify({ failures: 5, circuitOpenUntil: Date.now() + 1000 }))
+
+      resetSyncBackoff()
+
+      expect(readBackoff()).toBeNull()
+      expect(getSyncStatus().circuitOpenUntil).toBeNull()
+    })
+  })
+
   describe('syncAll', () => {
     beforeEach(() => {
       vi.useFakeTimers()
@@ -1524,10 +2883,11 @@ describe('sync', () => {
         select: vi.fn().mockReturnThis(),
         eq: vi.fn().mockReturnThis(),
         order: vi.fn().mockReturnThis(),
+        range: vi.fn().mockReturnThis(),
       }
 
       mockSupabase.from.mockReturnValue(mockQuery)
-      mockQuery.order
+      mockQuery.range
         .mockResolvedValueOnce({ data: [], error: null })
         .mockResolvedValueOnce({ data: [], error: null })
         .mockResolvedValueOnce({ data: [], error: null })
@@ -1551,10 +2911,11 @@ describe('sync', () => {
         select: vi.fn().mockReturnThis(),
         eq: vi.fn().mockReturnThis(),
         order: vi.fn().mockReturnThis(),
+        range: vi.fn().mockReturnThis(),
       }
 
       mockSupabase.from.mockReturnValue(mockQuery)
-      mockQuery.order
+      mockQuery.range
         .mockResolvedValueOnce({ data: [], error: null })
         .mockResolvedValueOnce({ data: [], error: null })
         .mockResolvedValueOnce({ data: [], error: null })
@@ -1594,10 +2955,11 @@ describe('sync', () => {
         select: vi.fn().mockReturnThis(),
         eq: vi.fn().mockReturnThis(),
         order: vi.fn().mockReturnThis(),
+        range: vi.fn().mockReturnThis(),
       }
 
       mockSupabase.from.mockReturnValue(mockQuery)
-      mockQuery.order
+      mockQuery.range
         .mockResolvedValueOnce({ data: [], error: null })
         .mockResolvedValueOnce({ data: [], error: null })
         .mockResolvedValueOnce({ data: [], error: null })
@@ -1617,10 +2979,11 @@ describe('sync', () => {
         select: vi.fn().mockReturnThis(),
         eq: vi.fn().mockReturnThis(),
         order: vi.fn().mockReturnThis(),
+        range: vi.fn().mockReturnThis(),
       }
 
       mockSupabase.from.mockReturnValue(mockQuery)
-      mockQuery.order
+      mockQuery.range
         .mockResolvedValueOnce({ data: [], error: null })
         .mockResolvedValueOnce({ data: [], error: null })
         .mockResolvedValueOnce({ data: [], error: null })
@@ -1822,10 +3185,11 @@ describe('sync', () => {
         select: vi.fn().mockReturnThis(),
         eq: vi.fn().mockReturnThis(),
         order: vi.fn().mockReturnThis(),
+        range: vi.fn().mockReturnThis(),
       }
 
       mockSupabase.from.mockReturnValue(mockQuery)
-      mockQuery.order
+      mockQuery.range
         .mockResolvedValueOnce({ data: [], error: null })
         .mockResolvedValueOnce({ data: [], error: null })
         .mockResolvedValueOnce({ data: [], error: null })
@@ -51,14 +51,76 @@ function randomLightColor() {
   return COLOR_POOL[Math.floor(Math.random() * COLOR_POOL.length)]
 }
 
+/**
+ * Athletes created on this device get a local `ath_` id until the sync
+ * engine inserts them remotely and swaps in the server id.
+ */
+export function isTempAthleteId(id) {
+  return typeof id === "string" && id.startsWith("ath_")
+}
+
 export function listAthletes() {
+  return listAllAthletes().filter((row) => !row?.archived_at)
+}
+
+// Includes archived rows (used by the sync layer).
+export function listAllAthletes() {
   const rows = readJSON(ATHLETES_KEY, [])
   if (!Array.isArray(rows)) return []
-  return rows.filter((row) => !row?.archived_at)
+  return rows
+}
+
+export function getAthlete(athleteId) {
+  if (!athleteId) return null
+  return listAllAthletes().find((row) => row?.id === athleteId) ?? null
+}
+
+/**
+ * Insert or replace a single athlete row by id.
+ */
+export function saveAthlete(row) {
+  if (!row?.id) return null
+  const rows = listAllAthletes()
+  const idx = rows.findIndex((r) => r?.id === row.id)
+  if (idx === -1) rows.push(row)
+  else rows[idx] = row
+  writeJSON(ATHLETES_KEY, rows)
+  return row
 }
 
+/**
+ * Swap a temporary athlete id for its server id (row + active selection).
+ */
+export function remapAthleteId(fromId, toId) {
+  if (!fromId || !toId || fromId === toId) return
+  const rows = listAllAthletes().map((row) =>
+    row?.id === fromId ? { ...row, id: toId } : row
+  )
+  writeJSON(ATHLETES_KEY, rows)
+
+  if (localStorage.getItem(ACTIVE_ATHLETE_KEY) === fromId) {
+    setActiveAthlete(toId)
+  }
+}
+
+/**
+ * Reconcile the local athlete table with a full remote listing.
+ * Rows with pending local changes (`_dirty`) win over the remote copy and
+ * are kept even when the server does not know them yet.
+ */
 export function replaceAthletes(rows) {
-  const next = Array.isArray(rows) ? rows : []
+  const incoming = Array.isArray(rows) ? rows : []
+  const pending = new Map(
+    listAllAthletes()
+      .filter((row) => row?._dirty)
+      .map((row) => [row.id, row])
+  )
+
+  const next = incoming.map((row) => pending.get(row.id) ?? row)
+  const incomingIds = new Set(incoming.map((row) => row.id))
+  for (const row of pending.values()) {
+    if (!incomingIds.has(row.id)) next.push(row)
+  }
   writeJSON(ATHLETES_KEY, next)
 
   const activeId = localStorage.getItem(ACTIVE_ATHLETE_KEY)
@@ -123,7 +185,8 @@ export function addAthlete({ firstName, lastName = "", id, createdAt, avatarColo
     archived_at: null,
   }
 
-  const rows = listAthletes()
+  // keep archived rows; they may still have changes waiting to sync
+  const rows = listAllAthletes()
   rows.push(athlete)
   writeJSON(ATHLETES_KEY, rows)
 
@@ -1,105 +1,87 @@
+// src/lib/athlete-profiles-db.js
+// Offline-first athlete profiles. The local table lives in athlete-db.js;
+// writes here mark rows `_dirty` and the sync engine pushes them later.
 import { supabase, getUser } from "./supabase"
-import { buildInitials } from "./athlete-db"
-
-const COLOR_POOL = [
-  "#FDE68A",
-  "#FBCFE8",
-  "#BFDBFE",
-  "#C7D2FE",
-  "#A7F3D0",
-  "#FED7AA",
-  "#DDD6FE",
-  "#BBF7D0",
-]
-
-function randomLightColor() {
-  return COLOR_POOL[Math.floor(Math.random() * COLOR_POOL.length)]
+import { notifyLocalMutate } from "./sync-notify"
+import { SYNC_FAILURE_RESET, isSyncFailed } from "./sync-flags"
+import {
+  addAthlete,
+  archiveAthlete,
+  buildInitials,
+  getAthlete,
+  listAllAthletes,
+  listAthletes,
+  remapAthleteId,
+  replaceAthletes,
+  saveAthlete,
+} from "./athlete-db"
+
+const TABLE = "athlete_profiles"
+const nowISO = () => new Date().toISOString()
+
+function cleanName(value) {
+  return String(value ?? "").trim().slice(0, 20)
 }
 
-async function requireUserId() {
-  const user = await getUser()
-  if (!user) throw new Error("No authenticated user")
-  return user.id
+function markPending(row) {
+  const updated = saveAthlete({
+    ...row,
+    updated_at: nowISO(),
+    _dirty: true,
+    _table: TABLE,
+  })
+  notifyLocalMutate()
+  return updated
 }
 
 export async function createAthleteProfile({ firstName, lastName = "", avatarColor }) {
-  const first_name = String(firstName ?? "").trim().slice(0, 20)
-  const last_name = String(lastName ?? "").trim().slice(0, 20)
+  const first_name = cleanName(firstName)
+  const last_name = cleanName(lastName)
 
   if (!first_name) throw new Error("First name is required")
 
-  const user_id = await requireUserId()
-  const initials = buildInitials(first_name, last_name)
-  const resolvedAvatarColor = avatarColor || randomLightColor()
-
-  const { data, error } = await supabase
-    .from("athlete_profiles")
-    .insert([
-      {
-        user_id,
-        first_name,
-        last_name,
-        initials,
-        avatar_color: resolvedAvatarColor,
-      },
-    ])
-    .select("id, first_name, last_name, initials, avatar_color, created_at, archived_at")
-    .single()
-
-  if (error) {
-    console.error("[athlete-profiles-db] createAthleteProfile error:", error)
-    if (String(error.code || "") === "42P01") {
-      throw new Error("Supabase table 'athlete_profiles' does not exist yet.")
-    }
-    throw error
-  }
+  // addAthlete assigns a temporary `ath_` id; sync swaps in the server id.
+  const created = addAthlete({
+    firstName: first_name,
+    lastName: last_name,
+    avatarColor: avatarColor || undefined,
+  })
 
-  return data
+  return markPending(created)
 }
 
+/**
+ * Pull the remote profile list into the local table (when online) and
+ * return the local rows. Falls back to the local table when offline.
+ */
 export async function listAthleteProfiles({ includeArchived = false } = {}) {
-  const user_id = await requireUserId()
-
-  let query = supabase
-    .from("athlete_profiles")
-    .select("id, first_name, last_name, initials, avatar_color, created_at, archived_at")
-    .eq("user_id", user_id)
-    .order("created_at", { ascending: true })
-
-  if (!includeArchived) {
-    query = query.is("archived_at", null)
-  }
-
-  const { data, error } = await query
-  if (error) {
-    console.error("[athlete-profiles-db] listAthleteProfiles error:", error)
-    throw error
+  if (navigator.onLine) {
+    try {
+      const user = await getUser()
+      if (user) {
+        const { data, error } = await supabase
+          .from(TABLE)
+          .select("id, first_name, last_name, initials, avatar_color, created_at, archived_at")
+          .eq("user_id", user.id)
+          .order("created_at", { ascending: true })
+
+        if (error) throw error
+        upsertAthleteProfilesFromRemote(data || [])
+      }
+    } catch (error) {
+      console.warn("[athlete-profiles-db] listAthleteProfiles error:", error)
+    }
   }
 
-  return data || []
+  return includeArchived ? listAllAthletes() : listAthletes()
 }
 
 export async function archiveAthleteProfile(athleteId) {
   if (!athleteId) throw new Error("Athlete id is required")
-  const user_id = await requireUserId()
-
-  const { data, error } = await supabase
-    .from("athlete_profiles")
-    .update({ archived_at: new Date().toISOString(), updated_at: new Date().toISOString() })
-    .eq("id", athleteId)
-    .eq("user_id", user_id)
-    .select("id")
-    .single()
-
-  if (error) {
-    console.error("[athlete-profiles-db] archiveAthleteProfile error:", error)
-    if (String(error.code || "") === "42703") {
-      throw new Error("Supabase column 'archived_at' does not exist yet.")
-    }
-    throw error
-  }
+  if (!getAthlete(athleteId)) throw new Error("Athlete not found")
 
-  return data
+  const archived = archiveAthlete(athleteId)
+  return markPending(archived)
 }
 
 export async function updateAthleteProfile(
@@ -107,37 +89,63 @@ export async function updateAthleteProfile(
   { firstName, lastName = "", avatarColor } = {},
 ) {
   if (!athleteId) throw new Error("Athlete id is required")
-  const user_id = await requireUserId()
 
-  const first_name = String(firstName ?? "").trim().slice(0, 20)
-  const last_name = String(lastName ?? "").trim().slice(0, 20)
+  const first_name = cleanName(firstName)
+  const last_name = cleanName(lastName)
   const avatar_color = String(avatarColor ?? "").trim()
 
   if (!first_name) throw new Error("First name is required")
 
-  const payload = {
+  const cur = getAthlete(athleteId)
+  if (!cur) throw new Error("Athlete not found")
+
+  const updated = {
+    ...cur,
     first_name,
     last_name,
     initials: buildInitials(first_name, last_name),
-    updated_at: new Date().toISOString(),
-  }
-  if (avatar_color) payload.avatar_color = avatar_color
-
-  const { data, error } = await supabase
-    .from("athlete_profiles")
-    .update(payload)
-    .eq("id", athleteId)
-    .eq("user_id", user_id)
-    .select("id, first_name, last_name, initials, avatar_color, created_at, archived_at")
-    .single()
-
-  if (error) {
-    console.error("[athlete-profiles-db] updateAthleteProfile error:", error)
-    if (String(error.code || "") === "42P01") {
-      throw new Error("Supabase table 'athlete_profiles' does not exist yet.")
-    }
-    throw error
   }
+  if (avatar_color) updated.avatar_color = avatar_color
+
+  return markPending(updated)
+}
+
+/* -----------------------------
+ * Sync helpers
+ * ---------------------------*/
+
+export async function _allDirtyAthletes() {
+  return listAllAthletes().filter((row) => row?._dirty)
+}
+
+export async function _markClean(row) {
+  if (row?._table !== TABLE) return
+  const cur = getAthlete(row.id)
+  if (!cur) return
+  saveAthlete({ ...cur, ...row, _dirty: false })
+}
+
+export async function _allSyncFailures() {
+  return listAllAthletes().filter(isSyncFailed)
+}
+
+export async function _requeueRow(row) {
+  const cur = getAthlete(row?.id)
+  if (!cur) return
+  saveAthlete({ ...cur, ...SYNC_FAILURE_RESET, _dirty: true, _table: TABLE })
+  notifyLocalMutate()
+}
+
+/**
+ * After the server assigns an id to a locally created athlete, rename the
+ * local row and mark it clean.
+ */
+export async function _remapAthleteProfileId(tempId, serverId) {
+  remapAthleteId(tempId, serverId)
+  const cur = getAthlete(serverId)
+  if (cur) saveAthlete({ ...cur, _dirty: false, _table: TABLE })
+}
 
-  return data
+export function upsertAthleteProfilesFromRemote(rows = []) {
+  replaceAthletes(rows.map((row) => ({ ...row, _dirty: false, _table: TABLE })))
 }
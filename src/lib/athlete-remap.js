@@ -0,0 +1,20 @@
+// src/lib/athlete-remap.js
+// Shared by the local stores' _remapAthleteId (game-db, practice-db, goals-db).
+import { get, set, keys } from "idb-keyval"
+
+/**
+ * Point rows at a new athlete id (temporary local id → server id)
+ * and mark them dirty so the new reference gets pushed.
+ * stores: [[idbStore, table], ...]. listIds(store) lists the row ids to check
+ * (default: every key; practice-db passes its id index).
+ */
+export async function remapAthleteIdInStores(stores, fromId, toId, listIds = keys) {
+  if (!fromId || !toId || fromId === toId) return
+  for (const [store, table] of stores) {
+    for (const id of await listIds(store)) {
+      const row = await get(id, store)
+      if (row?.athlete_id !== fromId) continue
+      await set(id, { ...row, athlete_id: toId, _dirty: true, _table: table }, store)
+    }
+  }
+}
@@ -1,3 +1,5 @@
+import { courtSpecsByGame, shotIsThree } from "../constants/courtGeometry"
+
 const RANGE_TO_DAYS = {
   "7d": 7,
   "30d": 30,
@@ -49,13 +51,13 @@ function metricValue(metricKey, agg) {
   return 0
 }
 
-function addGameShot(map, shot) {
+function addGameShot(map, shot, courtSpec) {
   const key = dayKey(shot?.ts)
   if (!key) return
   const agg = map.get(key) || emptyAgg()
   agg.attempts += 1
   agg.makes += shot?.made ? 1 : 0
-  agg.threes += shot?.is_three ? 1 : 0
+  agg.threes += shotIsThree(shot, courtSpec) ? 1 : 0
   if (RIM_ZONE_IDS.has(String(shot?.zone_id || "").toLowerCase())) {
     agg.rimAttempts += 1
   }
@@ -135,14 +137,17 @@ export function buildDashboardMetricSeries({
   sourceMode,
   gameEvents = [],
   practiceEntries = [],
+  gameSessions = [],
   now,
 }) {
   const gameByDay = new Map()
   const practiceByDay = new Map()
+  // threes follow each game's court spec
+  const courtSpecs = courtSpecsByGame(gameSessions)
 
   for (const ev of gameEvents) {
     if (ev?.type !== "shot") continue
-    addGameShot(gameByDay, ev)
+    addGameShot(gameByDay, ev, courtSpecs.get(ev.game_id))
   }
 
   for (const row of practiceEntries) {
@@ -0,0 +1,295 @@
+// src/lib/dashboard-snapshot-db.js
+//
+// Home tab snapshot computed from local IndexedDB (same stores the sync layer
+// populates), so the dashboard works offline and includes rows that have not
+// been pushed yet.
+
+import { get, keys } from "idb-keyval"
+import { whenIdbReady } from "./idb-init"
+import { st as gameSt } from "./game-db"
+import { st as practiceSt } from "./practice-db"
+import { listGoalSetsWithGoals } from "./goals-db"
+import { computeGameMetricValue, computePracticeMetricValue } from "./goal-metrics"
+import { courtSpecsByGame, shotIsThree } from "../constants/courtGeometry"
+
+const ready = whenIdbReady()
+
+export const EMPTY_SNAPSHOT = {
+  fgPct7d: 0,
+  efgPct7d: 0,
+  attempts7d: 0,
+  makes7d: 0,
+  attemptsToday: 0,
+  gameAttempts7d: 0,
+  practiceAttempts7d: 0,
+  topZone: null,
+  weakestZone: null,
+  streakDays: 0,
+  lastSession: null,
+  goalSummary: null,
+}
+
+function asDate(ts) {
+  if (!ts) return null
+  const d = typeof ts === "number" ? new Date(ts) : new Date(String(ts))
+  return Number.isNaN(d.getTime()) ? null : d
+}
+
+function dayKey(ts) {
+  const d = asDate(ts)
+  if (!d) return null
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(
+    d.getDate(),
+  ).padStart(2, "0")}`
+}
+
+function isPracticeFreeThrow(entry) {
+  const shotType = String(entry?.shot_type || "").toLowerCase()
+  const zoneId = String(entry?.zone_id || "").toLowerCase()
+  return zoneId === "free_throw" || shotType.includes("free throw") || shotType === "ft"
+}
+
+function pct(makes, attempts) {
+  if (!attempts) return 0
+  return (makes / attempts) * 100
+}
+
+function byTs(a, b) {
+  const ta = asDate(a?.ts)?.getTime() || 0
+  const tb = asDate(b?.ts)?.getTime() || 0
+  return ta - tb
+}
+
+// The practice stores also hold an `__index__` array, skipped here
+// because it has no id.
+async function readRows(store) {
+  const out = []
+  for (const k of await keys(store)) {
+    const row = await get(k, store)
+    if (row?.id) out.push(row)
+  }
+  return out
+}
+
+async function tombstonedIds(store) {
+  return new Set(
+    (await readRows(store)).filter((row) => row._deleted).map((row) => row.id),
+  )
+}
+
+/**
+ * Read game events + practice entries for an athlete from IndexedDB.
+ * Includes dirty (unsynced) rows; excludes tombstones and rows whose
+ * session was deleted. Both lists are sorted by ts ascending.
+ * `gameSessions` are the games those events belong to.
+ */
+export async function listAthleteShotRows(athleteId) {
+  await ready
+  if (!athleteId) return { gameEvents: [], practiceEntries: [], gameSessions: [] }
+
+  const sessionRows = await readRows(gameSt.game.sessions)
+  const deletedGames = new Set(sessionRows.filter((row) => row._deleted).map((row) => row.id))
+  const gameEvents = (await readRows(gameSt.game.events))
+    .filter(
+      (ev) =>
+        !ev._deleted &&
+        ev.athlete_id === athleteId &&
+        !deletedGames.has(ev.game_id),
+    )
+    .sort(byTs)
+  const gameIds = new Set(gameEvents.map((ev) => ev.game_id))
+  const gameSessions = sessionRows.filter((row) => !row._deleted && gameIds.has(row.id))
+
+  const deletedPractices = await tombstonedIds(practiceSt.practice.sessions)
+  const practiceEntries = (await readRows(practiceSt.practice.entries))
+    .filter(
+      (entry) =>
+        !entry._deleted &&
+        entry.athlete_id === athleteId &&
+        !deletedPractices.has(entry.session_id),
+    )
+    .sort(byTs)
+
+  return { gameEvents, practiceEntries, gameSessions }
+}
+
+function buildGoalSummary(goalSets, gameEvents, practiceEntries, gameSessions) {
+  const activeGoalSet = (goalSets || [])
+    .filter((set) => !set.archived)
+    .sort((a, b) => String(a.due_date || "").localeCompare(String(b.due_date || "")))[0]
+  if (!activeGoalSet) return null
+
+  const progressList = (activeGoalSet.goals || []).map((goal) => {
+    const range = {
+      startDate: activeGoalSet.start_date || undefined,
+      endDate: goal.target_end_date || activeGoalSet.due_date || undefined,
+      zoneId: goal.zone_id || undefined,
+      sessions: gameSessions,
+    }
+    const current =
+      activeGoalSet.type === "game"
+        ? computeGameMetricValue(goal.metric, gameEvents, range)
+        : computePracticeMetricValue(goal.metric, practiceEntries, range)
+    const target = Number(goal.target_value || 0)
+    if (!target) return 0
+    return Math.max(0, Math.min(100, (current / target) * 100))
+  })
+  const avgProgress = progressList.length
+    ? progressList.reduce((sum, v) => sum + v, 0) / progressList.length
+    : 0
+
+  return {
+    setName: activeGoalSet.name,
+    dueDate: activeGoalSet.due_date || null,
+    progressPct: Math.round(avgProgress),
+  }
+}
+
+/**
+ * Pure snapshot builder used by the Home tab cards.
+ * `gameSessions` sets each game's court spec for three-point makes.
+ * @param {{ gameEvents: object[], practiceEntries: object[], goalSets?: object[], gameSessions?: object[], now?: Date }} input
+ */
+export function buildDashboardSnapshot({
+  gameEvents = [],
+  practiceEntries = [],
+  goalSets = [],
+  gameSessions = [],
+  now = new Date(),
+}) {
+  const courtSpecs = courtSpecsByGame(gameSessions)
+  const todayStart = new Date(now)
+  todayStart.setHours(0, 0, 0, 0)
+  const weekStart = new Date(now)
+  weekStart.setDate(weekStart.getDate() - 6)
+  weekStart.setHours(0, 0, 0, 0)
+
+  const gameShots = gameEvents
+    .filter((ev) => ev?.type === "shot")
+    .map((ev) => ({
+      ts: ev.ts,
+      attempts: 1,
+      makes: ev.made ? 1 : 0,
+      isThree: shotIsThree(ev, courtSpecs.get(ev.game_id)),
+      zoneId: ev.zone_id || "unknown_zone",
+      source: "game",
+    }))
+
+  const practiceShots = practiceEntries
+    .filter((entry) => !isPracticeFreeThrow(entry))
+    .map((entry) => {
+      const attempts = Math.max(0, Number(entry?.attempts || 0))
+      const makes = Math.max(0, Number(entry?.makes || 0))
+      return {
+        ts: entry.ts,
+        attempts,
+        makes,
+        isThree: false,
+        zoneId: entry.zone_id || "unknown_zone",
+        source: "practice",
+      }
+    })
+    .filter((shot) => shot.attempts > 0)
+
+  const allShots = [...gameShots, ...practiceShots]
+  const weekShots = allShots.filter((shot) => {
+    const d = asDate(shot.ts)
+    return d && d >= weekStart
+  })
+  const todayShots = allShots.filter((shot) => {
+    const d = asDate(shot.ts)
+    return d && d >= todayStart
+  })
+
+  const attempts7d = weekShots.reduce((sum, shot) => sum + shot.attempts, 0)
+  const makes7d = weekShots.reduce((sum, shot) => sum + shot.makes, 0)
+  const threesMade7d = weekShots.reduce(
+    (sum, shot) => sum + (shot.isThree ? shot.makes : 0),
+    0,
+  )
+  const attemptsToday = todayShots.reduce((sum, shot) => sum + shot.attempts, 0)
+
+  const gameAttempts7d = weekShots
+    .filter((shot) => shot.source === "game")
+    .reduce((sum, shot) => sum + shot.attempts, 0)
+  const practiceAttempts7d = weekShots
+    .filter((shot) => shot.source === "practice")
+    .reduce((sum, shot) => sum + shot.attempts, 0)
+
+  const zoneAgg = new Map()
+  for (const shot of weekShots) {
+    const rec = zoneAgg.get(shot.zoneId) || { attempts: 0, makes: 0 }
+    rec.attempts += shot.attempts
+    rec.makes += shot.makes
+    zoneAgg.set(shot.zoneId, rec)
+  }
+  const zoneRows = [...zoneAgg.entries()]
+    .map(([zoneId, values]) => ({
+      zoneId,
+      attempts: values.attempts,
+      makes: values.makes,
+      fgPct: pct(values.makes, values.attempts),
+    }))
+    .filter((row) => row.attempts >= 5)
+  const topZone = [...zoneRows].sort((a, b) => b.fgPct - a.fgPct)[0] || null
+  const weakestZone = [...zoneRows].sort((a, b) => a.fgPct - b.fgPct)[0] || null
+
+  const daySet = new Set(allShots.map((shot) => dayKey(shot.ts)).filter(Boolean))
+  let streakDays = 0
+  const cursor = new Date(todayStart)
+  while (daySet.has(dayKey(cursor))) {
+    streakDays += 1
+    cursor.setDate(cursor.getDate() - 1)
+  }
+
+  const latestShot = [...allShots].sort((a, b) => byTs(b, a))[0]
+  const lastSession = latestShot
+    ? {
+        source: latestShot.source,
+        ts: latestShot.ts,
+        attempts: latestShot.attempts,
+        makes: latestShot.makes,
+        zoneId: latestShot.zoneId,
+      }
+    : null
+
+  return {
+    fgPct7d: pct(makes7d, attempts7d),
+    efgPct7d: pct(makes7d + 0.5 * threesMade7d, attempts7d),
+    attempts7d,
+    makes7d,
+    attemptsToday,
+    gameAttempts7d,
+    practiceAttempts7d,
+    topZone,
+    weakestZone,
+    streakDays,
+    lastSession,
+    goalSummary: buildGoalSummary(goalSets, gameEvents, practiceEntries, gameSessions),
+  }
+}
+
+/**
+ * Load the Home tab snapshot for an athlete from local data.
+ * Returns the snapshot plus the raw rows (used by the metric charts).
+ */
+export async function getDashboardSnapshot({ athleteId, now = new Date() } = {}) {
+  if (!athleteId) {
+    return { snapshot: EMPTY_SNAPSHOT, gameEvents: [], practiceEntries: [], gameSessions: [] }
+  }
+
+  const [{ gameEvents, practiceEntries, gameSessions }, goalSets] = await Promise.all([
+    listAthleteShotRows(athleteId),
+    listGoalSetsWithGoals({ athleteId }).catch((err) => {
+      console.warn("[dashboard-snapshot-db] listGoalSetsWithGoals error:", err)
+      return []
+    }),
+  ])
+
+  return {
+    snapshot: buildDashboardSnapshot({ gameEvents, practiceEntries, goalSets, gameSessions, now }),
+    gameEvents,
+    practiceEntries,
+    gameSessions,
+  }
+}
@@ -2,10 +2,26 @@
 import { createStore, get, set, del, keys } from "idb-keyval"
 import { uuid } from "./util-id"
 import { notifyLocalMutate } from "./sync-notify"
+import { SYNC_FAILURE_RESET, isSyncFailed } from "./sync-flags"
+import { reconcileWithRemote, snapshotBase } from "./sync-merge"
 import { whenIdbReady } from "./idb-init"
+import { remapAthleteIdInStores } from "./athlete-remap"
 import { supabase } from "./supabase"
 import { getActiveAthleteId } from "./athlete-db"
 import { formatGameLevelLabel } from "../constants/programLevel"
+import { normalizePeriodFormat, periodCountFor } from "../constants/periods"
+import { foulLimitFor, normalizeReboundType } from "../constants/gameStats"
+import { normalizeShotPoint } from "../constants/shotLocation"
+import {
+  courtSpecForSession,
+  defaultCourtSpecForLevel,
+  normalizeCourtSpec,
+  shotIsThree,
+} from "../constants/courtGeometry"
+import { normalizeOpponentRoster } from "../constants/opponentRoster"
+import { normalizeLineup, normalizeTeamRoster } from "../constants/lineups"
+import { normalizeSituationTags } from "../constants/situationTags"
+import { loadSituationTagGroups } from "./situation-tag-settings"
 
 const ready = whenIdbReady()
 const nowISO = () => new Date().toISOString()
@@ -35,7 +51,7 @@ function belongsToActiveAthlete(rowAthleteId) {
 
 /**
  * Recompute running totals for ALL non-deleted events in a game, in chronological order,
- * and persist totals on shot + freethrow events.
+ * and persist totals on shot + freethrow events. Threes follow the game's court spec.
  *
  * This prevents stale totals when editing/deleting prior attempts.
  */
@@ -43,6 +59,8 @@ async function recomputeAndPersistScoringTotals(gameId) {
   await ready
   if (!gameId) return
 
+  const courtSpec = courtSpecForSession(await get(gameId, st.game.sessions))
+
   const evKeys = await keys(st.game.events)
   const evs = []
   for (const k of evKeys) {
@@ -53,7 +71,12 @@ async function recomputeAndPersistScoringTotals(gameId) {
     evs.push(ev)
   }
 
-  evs.sort((a, b) => new Date(a.ts).getTime() - new Date(b.ts).getTime())
+  // Same-timestamp ties: a shot before the free throws it drew
+  evs.sort(
+    (a, b) =>
+      new Date(a.ts).getTime() - new Date(b.ts).getTime() ||
+      (a.parent_event_id ? 1 : 0) - (b.parent_event_id ? 1 : 0),
+  )
 
   let two = 0
   let three = 0
@@ -65,7 +88,7 @@ async function recomputeAndPersistScoringTotals(gameId) {
     if (ev.type !== "shot" && ev.type !== "freethrow") continue
 
     if (ev.type === "shot" && ev.made) {
-      if (ev.is_three) {
+      if (shotIsThree(ev, courtSpec)) {
         three += 1
         totalPoints += 3
       } else {
@@ -148,6 +171,20 @@ export async function addGameSession(meta = {}) {
     aau_season: aauSeason,
     aau_competition_level: aauCompetitionLevel,
   })
+  const periodFormat = normalizePeriodFormat(meta.period_format ?? meta.periodFormat)
+  const periodCount = periodCountFor({
+    period_format: periodFormat,
+    period_count: meta.period_count ?? meta.periodCount,
+  })
+  const foulLimit = foulLimitFor({ foul_limit: meta.foul_limit ?? meta.foulLimit })
+  // Court standard for three-point calls, suggested from the level when not picked
+  const courtSpecInput = meta.court_spec ?? meta.courtSpec
+  const courtSpec = courtSpecInput
+    ? normalizeCourtSpec(courtSpecInput)
+    : defaultCourtSpecForLevel({
+        level_category: levelCategory,
+        aau_competition_level: aauCompetitionLevel,
+      })
 
   const row = {
     id,
@@ -167,6 +204,14 @@ export async function addGameSession(meta = {}) {
     aau_season: aauSeason,
     aau_competition_level: aauCompetitionLevel,
     home_away: normalizeHomeAway(homeAwayInput),
+    period_format: periodFormat,
+    period_count: periodCount,
+    current_period: 1,
+    foul_limit: foulLimit,
+    court_spec: courtSpec,
+    opponent_roster: normalizeOpponentRoster(meta.opponent_roster ?? meta.opponentRoster),
+    team_roster: normalizeTeamRoster(meta.team_roster ?? meta.teamRoster),
+    current_lineup: [],
 
     _dirty: true,
     _deleted: false,
@@ -199,6 +244,54 @@ export async function endGameSession(id, patch = {}) {
   return updated
 }
 
+/**
+ * Move a live game to another period (1-based; past period_count is overtime).
+ * New events are tagged with the session's current_period.
+ */
+export async function setGamePeriod(id, period) {
+  await ready
+  const row = await getGameSession(id)
+  if (!row) return null
+  const n = Number.parseInt(period, 10)
+  if (!Number.isFinite(n) || n < 1) {
+    throw new Error("[game-db] setGamePeriod: period must be a positive integer")
+  }
+
+  const updated = {
+    ...row,
+    current_period: n,
+    _dirty: true,
+    _deleted: false,
+    _table: "game_sessions",
+  }
+
+  await set(id, updated, st.game.sessions)
+  notifyLocalMutate()
+  return updated
+}
+
+/**
+ * Set the teammates on the floor in a live game (team_roster ids, at most
+ * four; the athlete makes five). New shots are tagged with it.
+ */
+export async function setGameLineup(id, lineupIds) {
+  await ready
+  const row = await getGameSession(id)
+  if (!row) return null
+
+  const updated = {
+    ...row,
+    current_lineup: normalizeLineup(lineupIds, row.team_roster || []),
+    _dirty: true,
+    _deleted: false,
+    _table: "game_sessions",
+  }
+
+  await set(id, updated, st.game.sessions)
+  notifyLocalMutate()
+  return updated
+}
+
 /**
  * Mark a game session and its events as deleted (tombstones),
  * to be pushed to Supabase by the sync engine.
@@ -260,6 +353,39 @@ export async function addGameEvent(input) {
   const pickup_type = input.pickup_type ?? input.pickupType ?? null
   const finish_type = input.finish_type ?? input.finishType ?? null
 
+  // Rebounds only: "offensive" | "defensive"
+  const rebound_type =
+    input.type === "rebound" ? normalizeReboundType(input.rebound_type ?? input.reboundType) : null
+
+  // Shooting fouls: the shot carries `fouled`; its free throws point back
+  // to it through `parent_event_id`
+  const fouled =
+    type === "shot"
+      ? typeof input.fouled !== "undefined"
+        ? !!input.fouled
+        : null
+      : null
+  const parent_event_id = input.parent_event_id ?? input.parentEventId ?? null
+
+  // Exact tap position on the court image (shots only, 0–1 fractions)
+  const shot_point =
+    type === "shot"
+      ? normalizeShotPoint(input.shot_x ?? input.shotX, input.shot_y ?? input.shotY)
+      : null
+
+  // Opponent guarding the shot: a player id from the session's opponent_roster
+  const defenderInput =
+    typeof input.defender_id !== "undefined" ? input.defender_id : input.defenderId
+
+  // Teammates on the floor: team_roster ids from the session's current_lineup
+  const lineupInput = input.lineup_ids ?? input.lineupIds
+
+  // Shot creation: true = assisted (off a teammate's pass), false = self-created
+  const assistedInput = typeof input.assisted !== "undefined" ? input.assisted : input.isAssisted
+
+  // Possession / shot-clock context (shots only), see constants/situationTags.js
+  const situationInput = input.situation_tags ?? input.situationTags
+
   // Contested (canonical) – accept legacy "pressured" only as backward-compat input
   const contested =
     typeof input.contested !== "undefined"
@@ -273,16 +399,30 @@ export async function addGameEvent(input) {
   if (!game_id) throw new Error("[game-db] addGameEvent: game_id is required")
   if (!type) throw new Error("[game-db] addGameEvent: type is required")
 
-  let tsISO
-  if (typeof input.ts === "number") tsISO = new Date(input.ts).toISOString()
-  else if (input.ts) tsISO = new Date(input.ts).toISOString()
-  else tsISO = nowISO()
-
   const id = input.id ?? uuid()
 
   // Preserve existing row fields when editing (if present)
   const existing = await get(id, st.game.events)
 
+  // An edit without a ts keeps the time the event was logged
+  let tsISO
+  if (typeof input.ts === "number") tsISO = new Date(input.ts).toISOString()
+  else if (input.ts) tsISO = new Date(input.ts).toISOString()
+  else tsISO = existing?.ts ?? nowISO()
+
+  // Period: explicit input, else keep the edited row's, else the game's current one
+  let period = input.period ?? existing?.period ?? null
+  if (period == null) {
+    const session = await get(game_id, st.game.sessions)
+    period = session?.current_period ?? null
+  }
+  const game_clock_seconds =
+    typeof input.game_clock_seconds !== "undefined"
+      ? input.game_clock_seconds
+      : typeof input.gameClockSeconds !== "undefined"
+        ? input.gameClockSeconds
+        : existing?.game_clock_seconds ?? null
+
   const row = {
     ...(existing || {}),
     id,
@@ -304,6 +444,33 @@ export async function addGameEvent(input) {
 
     pickup_type,
     finish_type,
+    rebound_type,
+    fouled: fouled ?? existing?.fouled ?? null,
+    parent_event_id: parent_event_id ?? existing?.parent_event_id ?? null,
+    shot_x: type === "shot" ? shot_point?.x ?? existing?.shot_x ?? null : null,
+    shot_y: type === "shot" ? shot_point?.y ?? existing?.shot_y ?? null : null,
+    defender_id:
+      type === "shot"
+        ? typeof defenderInput !== "undefined"
+          ? defenderInput || null
+          : existing?.defender_id ?? null
+        : null,
+    lineup_ids:
+      type === "shot" ? normalizeLineup(lineupInput ?? existing?.lineup_ids) : [],
+    assisted:
+      type === "shot"
+        ? typeof assistedInput !== "undefined"
+          ? assistedInput == null
+            ? null
+            : !!assistedInput
+          : existing?.assisted ?? null
+        : null,
+    situation_tags:
+      type === "shot"
+        ? normalizeSituationTags(situationInput ?? existing?.situation_tags, loadSituationTagGroups())
+        : [],
+    period,
+    game_clock_seconds,
     ts: tsISO,
     _dirty: true,
     _deleted: false,
@@ -350,6 +517,46 @@ export async function deleteGameEvent(id) {
   return true
 }
 
+export async function getGameEvent(id) {
+  await ready
+  if (!id) return null
+  const row = await get(id, st.game.events)
+  return row && !row._deleted ? row : null
+}
+
+/**
+ * Write an earlier copy of an event back (undo/redo in the live logger).
+ * Sync bookkeeping (`_base`, updated_at) comes from the stored row, so the
+ * restored values push as a fresh local edit instead of looking stale.
+ */
+export async function restoreGameEvent(snapshot) {
+  await ready
+  if (!snapshot?.id || !snapshot?.game_id) {
+    throw new Error("[game-db] restoreGameEvent: snapshot needs id and game_id")
+  }
+
+  const cur = await get(snapshot.id, st.game.events)
+  const { _conflict: _dropped, ...data } = snapshot
+  const row = {
+    ...data,
+    ...SYNC_FAILURE_RESET,
+    updated_at: cur?.updated_at ?? data.updated_at ?? null,
+    _base: cur?._base ?? data._base,
+    _dirty: true,
+    _deleted: false,
+    _table: "game_events",
+  }
+
+  await set(row.id, row, st.game.events)
+
+  if (row.type === "shot" || row.type === "freethrow" || cur?.type === "shot" || cur?.type === "freethrow") {
+    await recomputeAndPersistScoringTotals(row.game_id)
+  }
+
+  notifyLocalMutate()
+  return row
+}
+
 export async function listGameEventsBySession(gameId) {
   await ready
   const out = []
@@ -392,24 +599,129 @@ export async function _allDirtyGame() {
   return out
 }
 
+// After a push the server holds our values; they become the new merge base.
+// The server's new updated_at is unknown until the next pull.
+function withPushedBase(row) {
+  if (isSyncFailed(row)) return row
+  return { ...row, _base: { ...snapshotBase(row._table, row), updated_at: null } }
+}
+
 export async function _markClean(row) {
   await ready
   if (!row?._table) return
   if (row._table === "game_sessions") {
     const cur = await get(row.id, st.game.sessions)
     if (cur) {
-      const updated = { ...cur, ...row, _dirty: false }
+      const updated = withPushedBase({ ...cur, ...row, _dirty: false })
       await set(row.id, updated, st.game.sessions)
     }
   } else if (row._table === "game_events") {
     const cur = await get(row.id, st.game.events)
     if (cur) {
-      const updated = { ...cur, ...row, _dirty: false }
+      const updated = withPushedBase({ ...cur, ...row, _dirty: false })
       await set(row.id, updated, st.game.events)
     }
   }
 }
 
+/**
+ * Rows edited here and on another device, waiting for the user to pick.
+ */
+export async function _allConflicts() {
+  await ready
+  const out = []
+  for (const store of [st.game.sessions, st.game.events]) {
+    for (const k of await keys(store)) {
+      const row = await get(k, store)
+      if (row?._conflict && !row._deleted) out.push(row)
+    }
+  }
+  return out
+}
+
+/**
+ * The stored copy of a synced row (sync re-reads it before writing).
+ */
+export async function _getLocalRow(row) {
+  await ready
+  const store =
+    row?._table === "game_sessions"
+      ? st.game.sessions
+      : row?._table === "game_events"
+        ? st.game.events
+        : null
+  if (!store || !row.id) return null
+  return (await get(row.id, store)) ?? null
+}
+
+/**
+ * Store a conflict found by the sync layer, or the user's resolution of one.
+ * Resolving a shot re-runs the game's scoring totals.
+ */
+export async function _saveConflictRow(row) {
+  await ready
+  const store =
+    row?._table === "game_sessions"
+      ? st.game.sessions
+      : row?._table === "game_events"
+        ? st.game.events
+        : null
+  if (!store) return
+  const cur = await get(row.id, store)
+  if (!cur) return
+  const { _conflict: _prev, ...rest } = { ...cur, ...row }
+  const updated = row._conflict ? { ...rest, _conflict: row._conflict } : rest
+  await set(row.id, updated, store)
+  if (!row._conflict && row._table === "game_events" && updated.game_id) {
+    await recomputeAndPersistScoringTotals(updated.game_id)
+  }
+}
+
+/**
+ * Rows the server rejected for good (quarantined by the sync layer).
+ */
+export async function _allSyncFailures() {
+  await ready
+  const out = []
+  for (const store of [st.game.sessions, st.game.events]) {
+    for (const k of await keys(store)) {
+      const row = await get(k, store)
+      if (isSyncFailed(row)) out.push(row)
+    }
+  }
+  return out
+}
+
+/**
+ * Clear a quarantine and queue the row for another push.
+ */
+export async function _requeueRow(row) {
+  await ready
+  const store =
+    row?._table === "game_sessions"
+      ? st.game.sessions
+      : row?._table === "game_events"
+        ? st.game.events
+        : null
+  if (!store) return
+  const cur = await get(row.id, store)
+  if (!cur) return
+  await set(row.id, { ...cur, ...SYNC_FAILURE_RESET, _dirty: true }, store)
+  notifyLocalMutate()
+}
+
+export async function _remapAthleteId(fromId, toId) {
+  await ready
+  await remapAthleteIdInStores(
+    [
+      [st.game.sessions, "game_sessions"],
+      [st.game.events, "game_events"],
+    ],
+    fromId,
+    toId,
+  )
+}
+
 /**
  * After a remote delete succeeds, completely remove
  * the row from IndexedDB (used by sync layer).
@@ -428,25 +740,33 @@ export async function _purgeGameRow(row) {
  * Remote → local helpers
  * ---------------------------*/
 
-export async function upsertGameSessionsFromRemote(rows = []) {
+export async function upsertGameSessionsFromRemote(rows = [], { prune = false } = {}) {
   await ready
-  const remoteIds = new Set(rows.map((r) => r.id).filter(Boolean))
-
-  // 1) Remove any local clean sessions that don't exist remotely
-  const localKeys = await keys(st.game.sessions)
-  for (const k of localKeys) {
-    const local = await get(k, st.game.sessions)
-    if (!local) continue
-    if (local._dirty) continue // keep unsynced offline changes
-    if (!remoteIds.has(local.id)) {
-      await del(k, st.game.sessions)
+
+  // 1) Full pulls only: remove local clean sessions that don't exist remotely.
+  //    Delta pulls learn about deletes from the tombstone feed instead.
+  if (prune) {
+    const remoteIds = new Set(rows.map((r) => r.id).filter(Boolean))
+    const localKeys = await keys(st.game.sessions)
+    for (const k of localKeys) {
+      const local = await get(k, st.game.sessions)
+      if (!local) continue
+      if (local._dirty) continue // keep unsynced offline changes
+      if (!remoteIds.has(local.id)) {
+        await del(k, st.game.sessions)
+      }
     }
   }
 
-  // 2) Upsert / merge remote sessions as clean
+  // 2) Upsert / merge remote sessions as clean. Rows with unsynced local
+  //    edits are merged field by field instead (see sync-merge.js).
   for (const remote of rows) {
     if (!remote?.id) continue
     const existing = await get(remote.id, st.game.sessions)
+    if (existing?._dirty) {
+      await set(remote.id, reconcileWithRemote("game_sessions", existing, remote), st.game.sessions)
+      continue
+    }
     const merged = {
       ...(existing || {}),
       ...remote,
@@ -454,41 +774,69 @@ export async function upsertGameSessionsFromRemote(rows = []) {
       _dirty: false,
       _deleted: false,
       _table: "game_sessions",
+      _base: snapshotBase("game_sessions", remote),
     }
     await set(remote.id, merged, st.game.sessions)
   }
 }
 
-export async function upsertGameEventsFromRemote(rows = []) {
+export async function upsertGameEventsFromRemote(rows = [], { prune = false } = {}) {
   await ready
-  const remoteIds = new Set(rows.map((r) => r.id).filter(Boolean))
-
-  // 1) Remove any local clean events that don't exist remotely
-  const localKeys = await keys(st.game.events)
-  for (const k of localKeys) {
-    const local = await get(k, st.game.events)
-    if (!local) continue
-    if (local._dirty) continue // keep unsynced offline changes
-    if (!remoteIds.has(local.id)) {
-      await del(k, st.game.events)
+
+  // 1) Full pulls only: remove local clean events that don't exist remotely.
+  //    Delta pulls learn about deletes from the tombstone feed instead.
+  if (prune) {
+    const remoteIds = new Set(rows.map((r) => r.id).filter(Boolean))
+    const localKeys = await keys(st.game.events)
+    for (const k of localKeys) {
+      const local = await get(k, st.game.events)
+      if (!local) continue
+      if (local._dirty) continue // keep unsynced offline changes
+      if (!remoteIds.has(local.id)) {
+        await del(k, st.game.events)
+      }
     }
   }
 
-  // 2) Upsert / merge remote events as clean
+  // 2) Upsert / merge remote events as clean. Rows with unsynced local
+  //    edits are merged field by field instead (see sync-merge.js).
   for (const remote of rows) {
     if (!remote?.id) continue
     const existing = await get(remote.id, st.game.events)
+    if (existing?._dirty) {
+      await set(remote.id, reconcileWithRemote("game_events", existing, remote), st.game.events)
+      continue
+    }
     const merged = {
       ...(existing || {}),
       ...remote,
       _dirty: false,
       _deleted: false,
       _table: "game_events",
+      _base: snapshotBase("game_events", remote),
     }
     await set(remote.id, merged, st.game.events)
   }
 }
 
+/**
+ * Apply server-side deletes (tombstone feed) to the local store.
+ * Rows with pending local changes are kept, and so are rows the server wrote
+ * after the delete (`deletedAt`: id → deleted_at), e.g. an undone delete.
+ */
+export async function deleteGameRowsFromRemote(table, ids = [], deletedAt = {}) {
+  await ready
+  const store =
+    table === "game_sessions" ? st.game.sessions : table === "game_events" ? st.game.events : null
+  if (!store) return
+  for (const id of ids) {
+    const local = await get(id, store)
+    if (!local || local._dirty) continue
+    if (Date.parse(local.updated_at) > Date.parse(deletedAt[id])) continue
+    await del(id, store)
+  }
+}
+
 export async function hydrateGameFromSupabase() {
   await ready
 
@@ -522,8 +870,8 @@ export async function hydrateGameFromSupabase() {
   if (sErr) console.warn("[game-db] hydrate sessions error", sErr)
   if (eErr) console.warn("[game-db] hydrate events error", eErr)
 
-  await upsertGameSessionsFromRemote(sessions || [])
-  await upsertGameEventsFromRemote(events || [])
+  await upsertGameSessionsFromRemote(sessions || [], { prune: true })
+  await upsertGameEventsFromRemote(events || [], { prune: true })
 
   return { userId, sessions: sessions || [], events: events || [] }
 }
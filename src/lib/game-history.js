@@ -0,0 +1,149 @@
+// src/lib/game-history.js
+// Undo/redo for the live game logger.
+// Every logged, edited or deleted event is recorded with the row before and
+// after the change. Undo writes the "before" side back through game-db (a
+// tombstone for a new event), redo the "after" side, so it all works offline
+// and scoring totals are recomputed each time. History lives in memory for
+// the app session, per game.
+
+import { addGameEvent, deleteGameEvent, getGameEvent, restoreGameEvent } from "./game-db"
+
+export const UNDO_LIMIT = 25
+
+const histories = new Map() // gameId -> { undo: entry[], redo: entry[] }
+const listeners = new Set()
+
+function historyFor(gameId) {
+  if (!histories.has(gameId)) histories.set(gameId, { undo: [], redo: [] })
+  return histories.get(gameId)
+}
+
+function emit(gameId) {
+  for (const fn of listeners) {
+    try { fn(gameId) } catch { /* noop */ }
+  }
+}
+
+function record(gameId, entry) {
+  const h = historyFor(gameId)
+  h.undo.push(entry)
+  if (h.undo.length > UNDO_LIMIT) h.undo.shift()
+  h.redo = []
+  emit(gameId)
+}
+
+const QUICK_LABELS = {
+  assist: "Assist",
+  rebound: "Rebound",
+  steal: "Steal",
+  block: "Block",
+  turnover: "Turnover",
+  forced_turnover: "Forced TO",
+  foul: "Foul",
+}
+
+/**
+ * Short description of an event for the undo toast ("Made 3PT", "Missed FT").
+ */
+export function describeGameEvent(ev) {
+  if (!ev) return ""
+  if (ev.type === "shot") return `${ev.made ? "Made" : "Missed"} ${ev.is_three ? "3PT" : "2PT"}`
+  if (ev.type === "freethrow") return `${ev.made ? "Made" : "Missed"} FT`
+  if (ev.type === "rebound" && ev.rebound_type) {
+    return `${ev.rebound_type === "offensive" ? "Off" : "Def"} Rebound`
+  }
+  return QUICK_LABELS[ev.type] || ev.type
+}
+
+/**
+ * addGameEvent plus a history entry. Passing an `id` records an edit.
+ */
+export async function addGameEventWithHistory(input) {
+  const before = input?.id ? await getGameEvent(input.id) : null
+  const after = await addGameEvent(input)
+  if (!after?.id) return after
+
+  const label = before ? `Edited ${describeGameEvent(after)}` : describeGameEvent(after)
+  record(after.game_id ?? input.game_id, { label, before, after })
+  return after
+}
+
+export async function deleteGameEventWithHistory(id) {
+  const before = await getGameEvent(id)
+  const ok = await deleteGameEvent(id)
+  if (ok && before) {
+    record(before.game_id, { label: `Deleted ${describeGameEvent(before)}`, before, after: null })
+  }
+  return ok
+}
+
+// Put one side of an entry back: a missing side means the event did not exist
+async function applySide(row, other) {
+  if (row) await restoreGameEvent(row)
+  else await deleteGameEvent(other.id)
+}
+
+/**
+ * Revert the latest action for a game. Returns the entry, or null when
+ * there is nothing to undo.
+ */
+export async function undoGameAction(gameId) {
+  const h = historyFor(gameId)
+  const entry = h.undo.pop()
+  if (!entry) return null
+  try {
+    await applySide(entry.before, entry.after)
+  } catch (err) {
+    h.undo.push(entry)
+    throw err
+  }
+  h.redo.push(entry)
+  emit(gameId)
+  return entry
+}
+
+export async function redoGameAction(gameId) {
+  const h = historyFor(gameId)
+  const entry = h.redo.pop()
+  if (!entry) return null
+  try {
+    await applySide(entry.after, entry.before)
+  } catch (err) {
+    h.redo.push(entry)
+    throw err
+  }
+  h.undo.push(entry)
+  emit(gameId)
+  return entry
+}
+
+/**
+ * { canUndo, canRedo, undoLabel, redoLabel, undoCount } for the logger UI.
+ */
+export function getGameHistory(gameId) {
+  const h = histories.get(gameId)
+  const undoTop = h?.undo[h.undo.length - 1]
+  const redoTop = h?.redo[h.redo.length - 1]
+  return {
+    canUndo: !!undoTop,
+    canRedo: !!redoTop,
+    undoLabel: undoTop?.label || null,
+    redoLabel: redoTop?.label || null,
+    undoCount: h?.undo.length || 0,
+  }
+}
+
+/**
+ * onGameHistoryChange(listener): () => void
+ * `listener(gameId)` runs after every record, undo and redo.
+ */
+export function onGameHistoryChange(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+export function clearGameHistory(gameId) {
+  if (gameId == null) histories.clear()
+  else histories.delete(gameId)
+  emit(gameId)
+}
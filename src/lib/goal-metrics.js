@@ -3,6 +3,8 @@
 // from raw game events and practice entries.
 
 import { ZONES } from "../constants/zones"
+import { courtSpecsByGame, shotIsThree, zoneIsThree } from "../constants/courtGeometry"
+import { longestMakeStreak } from "../constants/challenges"
 
 // ------------ Metric option lists (re-export for UI use) --------------
 
@@ -24,6 +26,20 @@ export const GAME_ONLY_METRIC_OPTIONS = [
   { value: "steals_total", label: "Steals (Game)" },
   { value: "assists_total", label: "Assists (Game)" },
   { value: "rebounds_total", label: "Rebounds (Game)" },
+  { value: "off_rebounds_total", label: "Offensive Rebounds (Game)" },
+  { value: "def_rebounds_total", label: "Defensive Rebounds (Game)" },
+  { value: "blocks_total", label: "Blocks (Game)" },
+  { value: "assist_turnover_ratio", label: "Assist-to-Turnover Ratio (Game)" },
+  { value: "and_ones_total", label: "And-Ones (Game)" },
+  { value: "and_one_pct", label: "And-One Conversion %" },
+  { value: "ft_trips_total", label: "Shooting-Foul Trips (Game)" },
+  { value: "points_per_ft_trip", label: "Points per Shooting-Foul Trip" },
+]
+
+// Only for practice goal sets (streaks need shots logged one at a time)
+export const PRACTICE_ONLY_METRIC_OPTIONS = [
+  { value: "best_streak", label: "Best Make Streak (Practice)" },
+  { value: "best_streak_zone", label: "Best Make Streak (by zone)" },
 ]
 
 // Convenience: which metrics are inherently percentages vs counts
@@ -34,6 +50,7 @@ const PERCENT_METRICS = new Set([
   "fg_pct_zone",
   "off_dribble_fg",
   "pressured_fg",
+  "and_one_pct",
 ])
 
 const COUNT_METRICS = new Set([
@@ -44,8 +61,18 @@ const COUNT_METRICS = new Set([
   "steals_total",
   "assists_total",
   "rebounds_total",
+  "off_rebounds_total",
+  "def_rebounds_total",
+  "blocks_total",
+  "and_ones_total",
+  "ft_trips_total",
+  "best_streak",
+  "best_streak_zone",
 ])
 
+// Ratios show two decimals (e.g. AST/TO 2.25)
+const RATIO_METRICS = new Set(["assist_turnover_ratio", "points_per_ft_trip"])
+
 export function metricIsPercent(metricKey) {
   return PERCENT_METRICS.has(metricKey)
 }
@@ -54,6 +81,10 @@ export function metricIsCount(metricKey) {
   return COUNT_METRICS.has(metricKey)
 }
 
+export function metricIsRatio(metricKey) {
+  return RATIO_METRICS.has(metricKey)
+}
+
 // ------------- Shared helpers: filtering & aggregation -----------------
 
 function normalizeDate(d) {
@@ -91,7 +122,7 @@ const FREE_THROW_ZONE_IDS = new Set()
 
 for (const z of ZONES || []) {
   if (!z || !z.id) continue
-  ZONE_IS_THREE.set(z.id, !!z.isThree)
+  ZONE_IS_THREE.set(z.id, zoneIsThree(z.id))
 
   const labelLc = (z.label || z.name || "").toLowerCase()
   if (z.id === "free_throw" || labelLc.includes("free throw")) {
@@ -105,11 +136,29 @@ for (const z of ZONES || []) {
  * Aggregate core stats from a set of game events.
  * - Field goals: type === "shot"
  * - Free throws: type === "freethrow"
+ * - Rebounds carry `rebound_type` ("offensive" | "defensive"); older
+ *   rebounds without one count toward the total only.
+ * - A shot with `fouled` is a shooting-foul trip (made = and-one); its free
+ *   throws link back through `parent_event_id`.
+ * - With `sessions`, a shot is a three by its game's court spec (see
+ *   courtGeometry.shotIsThree); otherwise its stored `is_three` counts.
+ * - Shots tagged `assisted` (true) or self-created (false) feed the
+ *   assisted / self-created FG%; untagged shots count toward neither.
+ *   Assists may carry the `zone_id` of the teammate's shot.
  */
-export function aggregateGameEvents(events) {
+export function aggregateGameEvents(events, { sessions } = {}) {
+  const specs = courtSpecsByGame(sessions)
+  const isThreeShot = (e) => shotIsThree(e, specs.get(e.game_id))
+
   let assists = 0
   let rebounds = 0
+  let offRebounds = 0
+  let defRebounds = 0
   let steals = 0
+  let blocks = 0
+  let turnovers = 0
+  let forcedTurnovers = 0
+  let fouls = 0
 
   let ftMakes = 0
   let ftAtt = 0
@@ -131,17 +180,51 @@ export function aggregateGameEvents(events) {
   let pressuredMakes = 0
   let pressuredAtt = 0
 
+  let assistedFgm = 0
+  let assistedFga = 0
+  let selfCreatedFgm = 0
+  let selfCreatedFga = 0
+  const assistZones = new Map() // zoneId -> assists finished there
+
+  // Shooting-foul trips, keyed by the shot that drew the foul
+  const trips = new Map() // shotId -> { andOne, points, ftAtt, ftMakes }
+  for (const e of events || []) {
+    if (e?.type === "shot" && e.fouled && e.id) {
+      trips.set(e.id, {
+        andOne: !!e.made,
+        points: e.made ? (isThreeShot(e) ? 3 : 2) : 0,
+        ftAtt: 0,
+        ftMakes: 0,
+      })
+    }
+  }
+
   for (const e of events || []) {
     switch (e.type) {
       case "assist":
         assists++
+        if (e.zone_id) assistZones.set(e.zone_id, (assistZones.get(e.zone_id) || 0) + 1)
         break
       case "rebound":
         rebounds++
+        if (e.rebound_type === "offensive") offRebounds++
+        else if (e.rebound_type === "defensive") defRebounds++
         break
       case "steal":
         steals++
         break
+      case "block":
+        blocks++
+        break
+      case "turnover":
+        turnovers++
+        break
+      case "forced_turnover":
+        forcedTurnovers++
+        break
+      case "foul":
+        fouls++
+        break
       case "freethrow": {
         // Free throws track their own makes/attempts and FT%,
         // but do NOT affect FG% / eFG% / Attempts metrics.
@@ -150,12 +233,20 @@ export function aggregateGameEvents(events) {
           ftMakes++
           totalPoints += 1
         }
+        const trip = e.parent_event_id ? trips.get(e.parent_event_id) : null
+        if (trip) {
+          trip.ftAtt++
+          if (e.made) {
+            trip.ftMakes++
+            trip.points += 1
+          }
+        }
         break
       }
       case "shot": {
         // Field goal: counts for FG% / eFG% / Attempts / Makes
         fga++
-        const isThree = !!e.is_three
+        const isThree = isThreeShot(e)
         const made = !!e.made
 
         if (isThree) threesAtt++
@@ -188,6 +279,15 @@ export function aggregateGameEvents(events) {
           if (made) pressuredMakes++
         }
 
+        // Assisted vs self-created
+        if (e.assisted === true) {
+          assistedFga++
+          if (made) assistedFgm++
+        } else if (e.assisted === false) {
+          selfCreatedFga++
+          if (made) selfCreatedFgm++
+        }
+
         break
       }
       default:
@@ -199,11 +299,42 @@ export function aggregateGameEvents(events) {
   const efgPct = fga ? ((fgm + 0.5 * threesMade) / fga) * 100 : 0
   const threePct = threesAtt ? (threesMade / threesAtt) * 100 : 0
   const ftPct = ftAtt ? (ftMakes / ftAtt) * 100 : 0
+  const assistedFgPct = assistedFga ? (assistedFgm / assistedFga) * 100 : 0
+  const selfCreatedFgPct = selfCreatedFga ? (selfCreatedFgm / selfCreatedFga) * 100 : 0
+  const assistTurnoverRatio = turnovers ? assists / turnovers : 0
+
+  let andOnes = 0
+  let andOneFtAtt = 0
+  let andOneFtMakes = 0
+  let tripPoints = 0
+  for (const trip of trips.values()) {
+    tripPoints += trip.points
+    if (!trip.andOne) continue
+    andOnes++
+    andOneFtAtt += trip.ftAtt
+    andOneFtMakes += trip.ftMakes
+  }
+  const ftTrips = trips.size
+  const andOnePct = andOneFtAtt ? (andOneFtMakes / andOneFtAtt) * 100 : 0
+  const pointsPerFtTrip = ftTrips ? tripPoints / ftTrips : 0
 
   return {
     assists,
     rebounds,
+    offRebounds,
+    defRebounds,
     steals,
+    blocks,
+    turnovers,
+    forcedTurnovers,
+    fouls,
+    assistTurnoverRatio,
+    ftTrips,
+    andOnes,
+    andOneFtAtt,
+    andOneFtMakes,
+    andOnePct,
+    pointsPerFtTrip,
     ftMakes,
     ftAtt,
     ftPct,
@@ -223,6 +354,14 @@ export function aggregateGameEvents(events) {
     offDribbleAtt,
     pressuredMakes,
     pressuredAtt,
+
+    assistedFgm,
+    assistedFga,
+    assistedFgPct,
+    selfCreatedFgm,
+    selfCreatedFga,
+    selfCreatedFgPct,
+    assistZones,
   }
 }
 
@@ -232,14 +371,15 @@ export function aggregateGameEvents(events) {
  * `options`:
  *   - startDate / endDate: optional date range
  *   - zoneId: for FG% / Attempts (by zone) goals
+ *   - sessions: game sessions, so threes follow each game's court spec
  */
 export function computeGameMetricValue(
   metricKey,
   events,
-  { startDate, endDate, zoneId } = {},
+  { startDate, endDate, zoneId, sessions } = {},
 ) {
   const filtered = filterEventsByDate(events, { startDate, endDate })
-  const stats = aggregateGameEvents(filtered)
+  const stats = aggregateGameEvents(filtered, { sessions })
 
   switch (metricKey) {
     case "efg_overall":
@@ -300,6 +440,35 @@ export function computeGameMetricValue(
     case "rebounds_total":
       return stats.rebounds
 
+    case "off_rebounds_total":
+      return stats.offRebounds
+
+    case "def_rebounds_total":
+      return stats.defRebounds
+
+    case "blocks_total":
+      return stats.blocks
+
+    case "assist_turnover_ratio":
+      return stats.assistTurnoverRatio
+
+    case "and_ones_total":
+      return stats.andOnes
+
+    case "and_one_pct":
+      return stats.andOnePct
+
+    case "ft_trips_total":
+      return stats.ftTrips
+
+    case "points_per_ft_trip":
+      return stats.pointsPerFtTrip
+
+    // Practice-only metrics don't apply to games; return 0 safely
+    case "best_streak":
+    case "best_streak_zone":
+      return 0
+
     default:
       // Unknown metric → 0 so we fail safely
       return 0
@@ -308,7 +477,8 @@ export function computeGameMetricValue(
 
 /**
  * Convenience: compute a "display" string for a metric.
- * Percent metrics come back as "xx.x%", count metrics as plain numbers.
+ * Percent metrics come back as "xx.x%", ratios as "x.xx", count metrics
+ * as plain numbers.
  */
 export function formatMetricValue(metricKey, rawValue) {
   if (rawValue == null || Number.isNaN(rawValue)) return "0"
@@ -318,13 +488,18 @@ export function formatMetricValue(metricKey, rawValue) {
     return `${v}%`
   }
 
+  if (metricIsRatio(metricKey)) {
+    return rawValue.toFixed(2)
+  }
+
   return String(Math.round(rawValue))
 }
 
 // ------------- Practice aggregation & metrics --------------------------
 
 /**
- * Practice entries are aggregated rows:
+ * Practice entries are aggregated rows (a single shot logged from the court
+ * is just a row with attempts 1 and a boolean `made`):
  *   - attempts: number of shots
  *   - makes: number of makes
  *   - zone_id
@@ -450,6 +625,8 @@ function aggregatePracticeEntries(entries) {
  *  - Field-goal metrics (FG%, eFG%, Attempts, Makes, Attempts by zone, etc.)
  *    exclude free throws.
  *  - FT% uses only practice FT attempts/makes.
+ *  - Streak metrics count consecutive makes over single-shot entries
+ *    within a session (see constants/challenges.longestMakeStreak).
  */
 export function computePracticeMetricValue(
   metricKey,
@@ -509,8 +686,27 @@ export function computePracticeMetricValue(
     case "steals_total":
     case "assists_total":
     case "rebounds_total":
+    case "off_rebounds_total":
+    case "def_rebounds_total":
+    case "blocks_total":
+    case "assist_turnover_ratio":
+    case "and_ones_total":
+    case "and_one_pct":
+    case "ft_trips_total":
+    case "points_per_ft_trip":
       return 0
 
+    // ---- practice-only streak metrics (single-shot entries) ----
+
+    case "best_streak":
+      // Field goals only, like makes / attempts
+      return longestMakeStreak(filtered.filter((e) => !FREE_THROW_ZONE_IDS.has(e.zone_id)))
+
+    case "best_streak_zone": {
+      if (!zoneId) return 0
+      return longestMakeStreak(filtered.filter((e) => e.zone_id === zoneId))
+    }
+
     default:
       return 0
   }
@@ -1,197 +1,204 @@
 // src/lib/goals-db.js
-import { supabase, getUser } from "./supabase"
+// Offline-first goal sets + goals using idb-keyval.
+// Rows carry _dirty/_deleted flags and are pushed by the sync engine
+// (same tombstone model as game-db.js).
+import { createStore, get, set, del, keys } from "idb-keyval"
+import { uuid } from "./util-id"
+import { notifyLocalMutate } from "./sync-notify"
+import { SYNC_FAILURE_RESET, isSyncFailed } from "./sync-flags"
+import { whenIdbReady } from "./idb-init"
+import { remapAthleteIdInStores } from "./athlete-remap"
 import { getActiveAthleteId } from "./athlete-db"
 
-/**
- * Internal: ensure we have an authenticated user and return their id.
- * Mirrors the pattern used in game-db.js where getUser() is the single
- * source of truth for the current Supabase user.
- */
-async function requireUserId() {
-  const user = await getUser()
-  if (!user) {
-    throw new Error("No authenticated user")
+const ready = whenIdbReady()
+const nowISO = () => new Date().toISOString()
+const todayISO = () => new Date().toISOString().slice(0, 10)
+
+export const st = {
+  goals: {
+    sets: createStore("goals", "sets"),
+    goals: createStore("goals", "goals"),
+  },
+}
+
+async function readAll(store) {
+  const ks = await keys(store)
+  const rows = []
+  for (const k of ks) {
+    const row = await get(k, store)
+    if (row) rows.push(row)
   }
-  return user.id
+  return rows
 }
 
+/* -----------------------------
+ * Goal sets (local)
+ * ---------------------------*/
+
 /**
- * Fetch all goal sets + their goals for the current user.
+ * Fetch all goal sets + their goals for the active (or given) athlete.
  * Returns:
  * [
  *   { id, name, type, due_date, created_at, goals: [ ... ] }
  * ]
  */
 export async function listGoalSetsWithGoals({ athleteId } = {}) {
-  const userId = await requireUserId()
+  await ready
   const resolvedAthleteId = athleteId ?? getActiveAthleteId()
-
-  const { data: sets, error: setErr } = await supabase
-    .from("goal_sets")
-    .select("*")
-    .eq("user_id", userId)
-    .order("due_date", { ascending: true })
-
-  if (setErr) {
-    console.warn("[goals-db] listGoalSetsWithGoals sets error:", setErr)
-    throw setErr
-  }
-
-  if (!sets?.length) return []
   if (!resolvedAthleteId) return []
 
-  const filteredSets = sets.filter((s) => s.athlete_id === resolvedAthleteId)
-  if (!filteredSets.length) return []
-
-  const setIds = filteredSets.map((s) => s.id)
-
-  const { data: goals, error: goalErr } = await supabase
-    .from("goals")
-    .select("*")
-    .eq("user_id", userId)
-    .in("set_id", setIds)
-    .order("created_at", { ascending: true })
-
-  if (goalErr) {
-    console.warn("[goals-db] listGoalSetsWithGoals goals error:", goalErr)
-    throw goalErr
-  }
+  const sets = (await readAll(st.goals.sets))
+    .filter((s) => !s._deleted && s.athlete_id === resolvedAthleteId)
+    .sort((a, b) => (a.due_date || "").localeCompare(b.due_date || ""))
+  if (!sets.length) return []
+
+  const setIds = new Set(sets.map((s) => s.id))
+  const goals = (await readAll(st.goals.goals))
+    .filter(
+      (g) =>
+        !g._deleted &&
+        setIds.has(g.set_id) &&
+        g.athlete_id === resolvedAthleteId,
+    )
+    .sort((a, b) => (a.created_at || "").localeCompare(b.created_at || ""))
 
   const bySet = new Map()
-  for (const g of goals || []) {
-    if (g.athlete_id !== resolvedAthleteId) continue
+  for (const g of goals) {
     if (!bySet.has(g.set_id)) bySet.set(g.set_id, [])
     bySet.get(g.set_id).push(g)
   }
 
-  return filteredSets.map((s) => ({
+  return sets.map((s) => ({
     ...s,
     goals: bySet.get(s.id) || [],
   }))
 }
 
 /**
- * Create a new goal set for the current user.
+ * Create a new goal set for the active athlete.
  * @param {{
  *   name: string,
  *   type: "practice" | "game",
  *   dueDate: string,    // YYYY-MM-DD
- *   startDate?: string, // YYYY-MM-DD (defaults to today on the DB)
+ *   startDate?: string, // YYYY-MM-DD (defaults to today)
  * }} input
  */
 export async function createGoalSet({ name, type, dueDate, startDate }) {
-  const userId = await requireUserId()
+  await ready
   const athleteId = getActiveAthleteId()
   if (!athleteId) {
     throw new Error("No active athlete selected")
   }
 
-  const { data, error } = await supabase
-    .from("goal_sets")
-    .insert([
-      {
-        user_id: userId,
-        athlete_id: athleteId,
-        name,
-        type, // "practice" | "game"
-        due_date: dueDate,
-        // if caller passes nothing, DB default CURRENT_DATE is used
-        ...(startDate ? { start_date: startDate } : {}),
-      },
-    ])
-    .select("*")
-    .single()
-
-  if (error) {
-    console.error("[goals-db] createGoalSet error:", error)
-    throw error
+  const id = uuid()
+  const row = {
+    id,
+    user_id: null,
+    athlete_id: athleteId,
+    name,
+    type, // "practice" | "game"
+    start_date: startDate || todayISO(),
+    due_date: dueDate,
+    archived: false,
+    created_at: nowISO(),
+    _dirty: true,
+    _deleted: false,
+    _table: "goal_sets",
   }
 
-  return data
+  await set(id, row, st.goals.sets)
+  notifyLocalMutate()
+  return row
 }
 
 /**
  * Update an existing goal set (does not change user_id).
  */
-export async function updateGoalSet(id, patch) {
-  const { data, error } = await supabase
-    .from("goal_sets")
-    .update(patch)
-    .eq("id", id)
-    .select("*")
-    .single()
-
-  if (error) {
-    console.error("[goals-db] updateGoalSet error:", error)
-    throw error
+export async function updateGoalSet(id, patch = {}) {
+  await ready
+  const cur = id ? await get(id, st.goals.sets) : null
+  if (!cur || cur._deleted) {
+    throw new Error(`[goals-db] goal set not found: ${id}`)
+  }
+
+  const updated = {
+    ...cur,
+    ...patch,
+    id,
+    user_id: cur.user_id,
+    _dirty: true,
+    _deleted: false,
+    _table: "goal_sets",
   }
-  return data
+
+  await set(id, updated, st.goals.sets)
+  notifyLocalMutate()
+  return updated
 }
 
 /**
  * Archive a goal set (soft-hide from "Active" listing).
- * Assumes an `archived boolean` column exists on goal_sets.
  */
 export async function archiveGoalSet(id) {
-  try {
-    const data = await updateGoalSet(id, { archived: true })
-    return data
-  } catch (error) {
-    console.error("[goals-db] archiveGoalSet error:", error)
-    throw error
-  }
+  return updateGoalSet(id, { archived: true })
 }
 
 /**
- * Delete all goals belonging to a given set for the current user.
+ * Tombstone all goals belonging to a given set.
  */
 export async function deleteGoalsBySet(setId) {
-  const userId = await requireUserId()
-
-  const { error } = await supabase
-    .from("goals")
-    .delete()
-    .eq("user_id", userId)
-    .eq("set_id", setId)
-
-  if (error) {
-    console.error("[goals-db] deleteGoalsBySet error:", error)
-    throw error
+  await ready
+  if (!setId) return
+
+  const ks = await keys(st.goals.goals)
+  for (const k of ks) {
+    const g = await get(k, st.goals.goals)
+    if (g?.set_id !== setId || g._deleted) continue
+    await set(
+      k,
+      { ...g, _deleted: true, _dirty: true, _table: "goals" },
+      st.goals.goals,
+    )
   }
+
+  notifyLocalMutate()
 }
 
 /**
- * Delete a goal set (and, ideally, its goals first).
+ * Tombstone a goal set (callers delete its goals first).
  */
 export async function deleteGoalSet(id) {
-  const userId = await requireUserId()
-
-  const { error } = await supabase
-    .from("goal_sets")
-    .delete()
-    .eq("user_id", userId)
-    .eq("id", id)
-
-  if (error) {
-    console.error("[goals-db] deleteGoalSet error:", error)
-    throw error
-  }
+  await ready
+  if (!id) return
+
+  const cur = await get(id, st.goals.sets)
+  if (!cur) return
+
+  await set(
+    id,
+    { ...cur, _deleted: true, _dirty: true, _table: "goal_sets" },
+    st.goals.sets,
+  )
+  notifyLocalMutate()
 }
 
-/* ------------------------ goals ------------------------ */
+/* -----------------------------
+ * Goals (local)
+ * ---------------------------*/
 
 /**
- * Create a goal inside a set for the current user.
- * Schema columns used: user_id, set_id, name, details, metric,
- * target_value, target_end_date
+ * Create a goal inside a set.
  *
  * @param {{
  *   setId: string,
+ *   athleteId: string,
  *   name?: string,
  *   details?: string,
  *   metric: string,
  *   targetValue: number,
  *   targetEndDate: string, // ISO date (YYYY-MM-DD)
+ *   targetType?: string,
+ *   zoneId?: string | null,
  * }} input
  */
 export async function createGoal({
@@ -205,73 +212,218 @@ export async function createGoal({
   targetType = "percent",
   zoneId = null,
 }) {
-  const userId = await requireUserId()
+  await ready
   if (!athleteId) {
     throw new Error("No active athlete selected")
   }
 
-  const { data, error } = await supabase
-    .from("goals")
-    .insert([
-      {
-        user_id: userId,
-        athlete_id: athleteId,
-        set_id: setId,
-        name: name ?? null,
-        details: details ?? null,
-        metric,
-        target_value: targetValue,
-        target_end_date: targetEndDate,
-        target_type: targetType,
-        zone_id: zoneId,
-      },
-    ])
-    .select("*")
-    .single()
-
-  if (error) {
-    console.error("[goals-db] createGoal error:", error)
-    throw error
+  const id = uuid()
+  const row = {
+    id,
+    user_id: null,
+    athlete_id: athleteId,
+    set_id: setId,
+    name: name ?? null,
+    details: details ?? null,
+    metric,
+    target_value: targetValue,
+    target_end_date: targetEndDate,
+    target_type: targetType,
+    zone_id: zoneId,
+    created_at: nowISO(),
+    _dirty: true,
+    _deleted: false,
+    _table: "goals",
   }
 
-  return data
+  await set(id, row, st.goals.goals)
+  notifyLocalMutate()
+  return row
 }
 
 /**
  * Update a goal by id.
- * Patch shape should only include columns that actually exist in your table
+ * Patch shape should only include columns that actually exist in the table
  * (e.g., name, details, metric, target_value, target_end_date,
  * current_value, etc.).
  */
-export async function updateGoal(id, patch) {
-  const { data, error } = await supabase
-    .from("goals")
-    .update(patch)
-    .eq("id", id)
-    .select("*")
-    .single()
-
-  if (error) {
-    console.error("[goals-db] updateGoal error:", error)
-    throw error
+export async function updateGoal(id, patch = {}) {
+  await ready
+  const cur = id ? await get(id, st.goals.goals) : null
+  if (!cur || cur._deleted) {
+    throw new Error(`[goals-db] goal not found: ${id}`)
   }
-  return data
+
+  const updated = {
+    ...cur,
+    ...patch,
+    id,
+    user_id: cur.user_id,
+    _dirty: true,
+    _deleted: false,
+    _table: "goals",
+  }
+
+  await set(id, updated, st.goals.goals)
+  notifyLocalMutate()
+  return updated
 }
 
 /**
- * Delete a goal by id for the current user.
+ * Tombstone a goal by id.
  */
 export async function deleteGoal(id) {
-  const userId = await requireUserId()
+  await ready
+  if (!id) return
+
+  const cur = await get(id, st.goals.goals)
+  if (!cur) return
+
+  await set(
+    id,
+    { ...cur, _deleted: true, _dirty: true, _table: "goals" },
+    st.goals.goals,
+  )
+  notifyLocalMutate()
+}
+
+/* -----------------------------
+ * Dirty helpers used by sync layer
+ * ---------------------------*/
+
+function storeForTable(table) {
+  if (table === "goal_sets") return st.goals.sets
+  if (table === "goals") return st.goals.goals
+  return null
+}
 
-  const { error } = await supabase
-    .from("goals")
-    .delete()
-    .eq("user_id", userId)
-    .eq("id", id)
+export async function _allDirtyGoals() {
+  await ready
+  const out = []
+  for (const row of await readAll(st.goals.sets)) {
+    if (row._dirty) out.push(row)
+  }
+  for (const row of await readAll(st.goals.goals)) {
+    if (row._dirty) out.push(row)
+  }
+  return out
+}
+
+export async function _markClean(row) {
+  await ready
+  const store = storeForTable(row?._table)
+  if (!store) return
+  const cur = await get(row.id, store)
+  if (!cur) return
+  await set(row.id, { ...cur, ...row, _dirty: false }, store)
+}
+
+/**
+ * Rows the server rejected for good (quarantined by the sync layer).
+ */
+export async function _allSyncFailures() {
+  await ready
+  const out = []
+  for (const store of [st.goals.sets, st.goals.goals]) {
+    for (const row of await readAll(store)) {
+      if (isSyncFailed(row)) out.push(row)
+    }
+  }
+  return out
+}
+
+/**
+ * Clear a quarantine and queue the row for another push.
+ */
+export async function _requeueRow(row) {
+  await ready
+  const store = storeForTable(row?._table)
+  if (!store) return
+  const cur = await get(row.id, store)
+  if (!cur) return
+  await set(row.id, { ...cur, ...SYNC_FAILURE_RESET, _dirty: true }, store)
+  notifyLocalMutate()
+}
+
+export async function _remapAthleteId(fromId, toId) {
+  await ready
+  await remapAthleteIdInStores(
+    [
+      [st.goals.sets, "goal_sets"],
+      [st.goals.goals, "goals"],
+    ],
+    fromId,
+    toId,
+  )
+}
 
-  if (error) {
-    console.error("[goals-db] deleteGoal error:", error)
-    throw error
+/**
+ * After a remote delete succeeds, completely remove
+ * the row from IndexedDB (used by sync layer).
+ */
+export async function _purgeGoalsRow(row) {
+  await ready
+  const store = storeForTable(row?._table)
+  if (!store) return
+  await del(row.id, store)
+}
+
+/* -----------------------------
+ * Remote → local helpers
+ * ---------------------------*/
+
+async function upsertFromRemote(store, table, rows, { prune = false } = {}) {
+  await ready
+
+  // 1) Full pulls only: remove local clean rows that don't exist remotely
+  if (prune) {
+    const remoteIds = new Set(rows.map((r) => r.id).filter(Boolean))
+    const localKeys = await keys(store)
+    for (const k of localKeys) {
+      const local = await get(k, store)
+      if (!local) continue
+      if (local._dirty) continue // keep unsynced offline changes
+      if (!remoteIds.has(local.id)) {
+        await del(k, store)
+      }
+    }
+  }
+
+  // 2) Upsert / merge remote rows as clean (never clobber pending edits)
+  for (const remote of rows) {
+    if (!remote?.id) continue
+    const existing = await get(remote.id, store)
+    if (existing?._dirty) continue
+    const merged = {
+      ...(existing || {}),
+      ...remote,
+      _dirty: false,
+      _deleted: false,
+      _table: table,
+    }
+    await set(remote.id, merged, store)
+  }
+}
+
+export async function upsertGoalSetsFromRemote(rows = [], opts) {
+  await upsertFromRemote(st.goals.sets, "goal_sets", rows, opts)
+}
+
+export async function upsertGoalsFromRemote(rows = [], opts) {
+  await upsertFromRemote(st.goals.goals, "goals", rows, opts)
+}
+
+/**
+ * Apply server-side deletes (tombstone feed) to the local stores.
+ * Rows with pending local changes are kept.
+ */
+export async function deleteGoalsRowsFromRemote(table, ids = []) {
+  await ready
+  const store = storeForTable(table)
+  if (!store) return
+  for (const id of ids) {
+    const local = await get(id, store)
+    if (!local || local._dirty) continue
+    await del(id, store)
   }
 }
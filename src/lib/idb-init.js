@@ -20,6 +20,13 @@ export function whenIdbReady() {
         if (!db.objectStoreNames.contains("markers"))  db.createObjectStore("markers");
       },
     });
+    // Goals DB
+    await openDB("goals", 1, {
+      upgrade(db) {
+        if (!db.objectStoreNames.contains("sets"))  db.createObjectStore("sets");
+        if (!db.objectStoreNames.contains("goals")) db.createObjectStore("goals");
+      },
+    });
   })();
   return _ready;
 }
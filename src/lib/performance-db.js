@@ -11,6 +11,12 @@ import { whenIdbReady } from "./idb-init"
 import { st as gameSt } from "./game-db"
 import { st as practiceSt } from "./practice-db"
 import { ZONES } from "../constants/zones"
+import { courtSpecForSession, shotIsThree, zoneIsThree } from "../constants/courtGeometry"
+import { periodCountFor, periodHalf, periodLabel } from "../constants/periods"
+import { findRosterPlayer, rosterPlayerLabel } from "../constants/opponentRoster"
+import { lineupLabel, normalizeLineup } from "../constants/lineups"
+import { matchesSituation, normalizeSituationFilter } from "../constants/situationTags"
+import { loadSituationTagGroups } from "./situation-tag-settings"
 
 const ready = whenIdbReady()
 
@@ -34,7 +40,7 @@ const zoneIsThreeMap = new Map()
 if (Array.isArray(ZONES)) {
   ZONES.forEach((z) => {
     if (!z || !z.id) return
-    zoneIsThreeMap.set(z.id, !!z.isThree)
+    zoneIsThreeMap.set(z.id, zoneIsThree(z.id))
   })
 }
 
@@ -164,19 +170,337 @@ function weekLabelFromKey(key) {
   }
 }
 
+// ---------- Period splits (GameDetail + Performance) ----------
+
+function emptyBoxLine() {
+  return {
+    fgm: 0,
+    fga: 0,
+    threesMade: 0,
+    threesAtt: 0,
+    ftm: 0,
+    fta: 0,
+    points: 0,
+    assists: 0,
+    rebounds: 0,
+    steals: 0,
+  }
+}
+
+// `courtSpec`: the game's court, so threes follow its line (see courtGeometry)
+function addToBoxLine(line, ev, courtSpec) {
+  switch (ev.type) {
+    case "shot": {
+      const isThree = shotIsThree(ev, courtSpec)
+      line.fga += 1
+      if (isThree) line.threesAtt += 1
+      if (ev.made) {
+        line.fgm += 1
+        if (isThree) line.threesMade += 1
+        line.points += isThree ? 3 : 2
+      }
+      break
+    }
+    case "freethrow":
+      line.fta += 1
+      if (ev.made) {
+        line.ftm += 1
+        line.points += 1
+      }
+      break
+    case "assist":
+      line.assists += 1
+      break
+    case "rebound":
+      line.rebounds += 1
+      break
+    case "steal":
+      line.steals += 1
+      break
+    default:
+      break
+  }
+}
+
+function finishBoxLine(line) {
+  return {
+    ...line,
+    fgPct: pct(line.fgm, line.fga),
+    efgPct: line.fga ? ((line.fgm + 0.5 * line.threesMade) / line.fga) * 100 : 0,
+  }
+}
+
+/**
+ * Box score per period for one game:
+ * [{ period, label, fgm, fga, threesMade, threesAtt, ftm, fta, points,
+ *    assists, rebounds, steals, fgPct, efgPct }]
+ * Every regulation period is listed; overtime periods only when used.
+ * Events logged before periods existed land in a trailing `period: null` row.
+ */
+export function computePeriodBoxScores(events = [], session = null) {
+  const count = periodCountFor(session)
+  const courtSpec = session ? courtSpecForSession(session) : null
+  const lines = new Map()
+  for (let p = 1; p <= count; p++) lines.set(p, emptyBoxLine())
+
+  let untagged = null
+  for (const ev of events || []) {
+    if (!ev || ev._deleted) continue
+    const p = Number(ev.period)
+    if (!Number.isFinite(p) || p < 1) {
+      untagged = untagged || emptyBoxLine()
+      addToBoxLine(untagged, ev, courtSpec)
+      continue
+    }
+    if (!lines.has(p)) lines.set(p, emptyBoxLine())
+    addToBoxLine(lines.get(p), ev, courtSpec)
+  }
+
+  const rows = Array.from(lines.entries())
+    .sort(([a], [b]) => a - b)
+    .map(([period, line]) => ({
+      period,
+      label: periodLabel(period, session),
+      ...finishBoxLine(line),
+    }))
+  if (untagged) rows.push({ period: null, label: "Untagged", ...finishBoxLine(untagged) })
+  return rows
+}
+
+/**
+ * First-half vs second-half shooting for one game:
+ * { first, second, overtime } box lines (see computePeriodBoxScores).
+ */
+export function computeHalfSplits(events = [], session = null) {
+  const halves = { first: emptyBoxLine(), second: emptyBoxLine(), overtime: emptyBoxLine() }
+  const courtSpec = session ? courtSpecForSession(session) : null
+  for (const ev of events || []) {
+    if (!ev || ev._deleted) continue
+    const half = periodHalf(ev.period, session)
+    if (half) addToBoxLine(halves[half], ev, courtSpec)
+  }
+  return {
+    first: finishBoxLine(halves.first),
+    second: finishBoxLine(halves.second),
+    overtime: finishBoxLine(halves.overtime),
+  }
+}
+
+// ---------- Shooting vs defender (GameDetail + Performance) ----------
+
+/**
+ * Shooting per tagged defender for one game:
+ * [{ defenderId, label, fgm, fga, threesMade, threesAtt, points, fgPct, efgPct }]
+ * Most-guarded first. Shots without a defender land in a trailing
+ * `defenderId: null` row, listed only when some shot was tagged.
+ */
+export function computeDefenderSplits(events = [], session = null) {
+  const courtSpec = session ? courtSpecForSession(session) : null
+  const roster = session?.opponent_roster || []
+  const lines = new Map()
+  let untagged = null
+
+  for (const ev of events || []) {
+    if (!ev || ev._deleted || ev.type !== "shot") continue
+    if (!ev.defender_id) {
+      untagged = untagged || emptyBoxLine()
+      addToBoxLine(untagged, ev, courtSpec)
+      continue
+    }
+    if (!lines.has(ev.defender_id)) lines.set(ev.defender_id, emptyBoxLine())
+    addToBoxLine(lines.get(ev.defender_id), ev, courtSpec)
+  }
+  if (!lines.size) return []
+
+  const rows = Array.from(lines.entries())
+    .map(([defenderId, line]) => ({
+      defenderId,
+      label: rosterPlayerLabel(findRosterPlayer(roster, defenderId)),
+      ...finishBoxLine(line),
+    }))
+    .sort((a, b) => b.fga - a.fga || a.label.localeCompare(b.label))
+  if (untagged) rows.push({ defenderId: null, label: "No defender tagged", ...finishBoxLine(untagged) })
+  return rows
+}
+
+// ---------- Shooting by lineup (GameDetail + Performance) ----------
+
+/**
+ * Shooting per lineup (teammates on the floor) for one game:
+ * [{ lineupKey, lineupIds, label, fgm, fga, threesMade, threesAtt, points, fgPct, efgPct }]
+ * Most-used first. Shots without a lineup land in a trailing
+ * `lineupKey: null` row, listed only when some shot was tagged.
+ */
+export function computeLineupSplits(events = [], session = null) {
+  const courtSpec = session ? courtSpecForSession(session) : null
+  const roster = session?.team_roster || []
+  const lines = new Map()
+  let untagged = null
+
+  for (const ev of events || []) {
+    if (!ev || ev._deleted || ev.type !== "shot") continue
+    const lineupIds = normalizeLineup(ev.lineup_ids, roster)
+    if (!lineupIds.length) {
+      untagged = untagged || emptyBoxLine()
+      addToBoxLine(untagged, ev, courtSpec)
+      continue
+    }
+    const lineupKey = lineupIds.join("|")
+    if (!lines.has(lineupKey)) lines.set(lineupKey, { lineupIds, line: emptyBoxLine() })
+    addToBoxLine(lines.get(lineupKey).line, ev, courtSpec)
+  }
+  if (!lines.size) return []
+
+  const rows = Array.from(lines.entries())
+    .map(([lineupKey, { lineupIds, line }]) => ({
+      lineupKey,
+      lineupIds,
+      label: lineupLabel(lineupIds, roster),
+      ...finishBoxLine(line),
+    }))
+    .sort((a, b) => b.fga - a.fga || a.label.localeCompare(b.label))
+  if (untagged) rows.push({ lineupKey: null, lineupIds: [], label: "No lineup tagged", ...finishBoxLine(untagged) })
+  return rows
+}
+
+// ---------- Fatigue splits (Performance) ----------
+
+export const FATIGUE_DECILES = 10
+export const FATIGUE_BLOCK_MINUTES = 10
+export const FATIGUE_MAX_BLOCKS = 6 // the last block is open-ended ("50m+")
+// A drop of at least this many FG% points from the first to the last third
+// of a session is flagged, once both thirds have enough attempts.
+export const FATIGUE_DROP_PTS = 5
+export const FATIGUE_MIN_ATTEMPTS = 20
+
+function emptyFatigueBlocks(labels) {
+  return labels.map((label, index) => ({ index, label, fgm: 0, fga: 0, threesMade: 0 }))
+}
+
+function finishFatigueBlock(block) {
+  return {
+    ...block,
+    // null leaves a gap in the chart rather than plotting 0%
+    fgPct: block.fga ? pct(block.fgm, block.fga) : null,
+    efgPct: block.fga ? ((block.fgm + 0.5 * block.threesMade) / block.fga) * 100 : null,
+  }
+}
+
+/**
+ * First third of the blocks vs the last third:
+ * { earlyFgPct, lateFgPct, earlyFga, lateFga, change, flagged } or null
+ * when either third has no attempts. `change` is in FG% points.
+ */
+function fatigueDropOff(blocks) {
+  const third = Math.floor(blocks.length / 3)
+  if (!third) return null
+  const sum = (list) =>
+    list.reduce((acc, b) => ({ fgm: acc.fgm + b.fgm, fga: acc.fga + b.fga }), { fgm: 0, fga: 0 })
+  const early = sum(blocks.slice(0, third))
+  const late = sum(blocks.slice(-third))
+  if (!early.fga || !late.fga) return null
+
+  const earlyFgPct = pct(early.fgm, early.fga)
+  const lateFgPct = pct(late.fgm, late.fga)
+  const change = lateFgPct - earlyFgPct
+  return {
+    earlyFgPct,
+    lateFgPct,
+    earlyFga: early.fga,
+    lateFga: late.fga,
+    change,
+    flagged:
+      early.fga >= FATIGUE_MIN_ATTEMPTS &&
+      late.fga >= FATIGUE_MIN_ATTEMPTS &&
+      change <= -FATIGUE_DROP_PTS,
+  }
+}
+
+/**
+ * Field-goal shooting by position within each session, summed across sessions:
+ * { order: { blocks, dropOff }, minutes: { blocks, dropOff } }
+ *  - order: deciles of each session's shots in time order. A batch row counts
+ *    at the middle of the attempts it covers.
+ *  - minutes: 10-minute blocks from the session start (`started_at`, or the
+ *    first shot when that is missing or later), the last one open-ended.
+ *    Trailing empty blocks are dropped.
+ * `rows` are field goals only: [{ sessionId, ts, attempts, makes, isThree }].
+ * Blocks: [{ index, label, fgm, fga, threesMade, fgPct, efgPct }].
+ */
+export function computeFatigueSplits(rows = [], sessionsById = new Map()) {
+  const bySession = new Map()
+  for (const row of rows || []) {
+    const attempts = Number(row?.attempts || 0)
+    if (!attempts || !dayjs(row.ts).isValid()) continue
+    const list = bySession.get(row.sessionId) || []
+    list.push({ ...row, attempts, makes: Number(row.makes || 0) })
+    bySession.set(row.sessionId, list)
+  }
+
+  const order = emptyFatigueBlocks(
+    Array.from({ length: FATIGUE_DECILES }, (_, i) => `${(i + 1) * 10}%`),
+  )
+  const minutes = emptyFatigueBlocks(
+    Array.from({ length: FATIGUE_MAX_BLOCKS }, (_, i) => {
+      const from = i * FATIGUE_BLOCK_MINUTES
+      return i === FATIGUE_MAX_BLOCKS - 1 ? `${from}m+` : `${from}–${from + FATIGUE_BLOCK_MINUTES}m`
+    }),
+  )
+  const add = (block, row) => {
+    block.fga += row.attempts
+    block.fgm += row.makes
+    if (row.isThree) block.threesMade += row.makes
+  }
+
+  for (const [sessionId, list] of bySession) {
+    list.sort((a, b) => dayjs(a.ts).valueOf() - dayjs(b.ts).valueOf())
+    const total = list.reduce((n, r) => n + r.attempts, 0)
+
+    const firstMs = dayjs(list[0].ts).valueOf()
+    const session = sessionsById.get(sessionId)
+    const startedMs = session?.started_at ? dayjs(session.started_at).valueOf() : NaN
+    const startMs = Number.isFinite(startedMs) && startedMs <= firstMs ? startedMs : firstMs
+
+    let before = 0
+    for (const row of list) {
+      const mid = (before + row.attempts / 2) / total
+      add(order[Math.min(FATIGUE_DECILES - 1, Math.floor(mid * FATIGUE_DECILES))], row)
+      before += row.attempts
+
+      const elapsedMin = (dayjs(row.ts).valueOf() - startMs) / 60000
+      add(minutes[Math.min(FATIGUE_MAX_BLOCKS - 1, Math.floor(elapsedMin / FATIGUE_BLOCK_MINUTES))], row)
+    }
+  }
+
+  let lastUsed = minutes.length - 1
+  while (lastUsed >= 0 && !minutes[lastUsed].fga) lastUsed--
+  const minuteBlocks = minutes.slice(0, lastUsed + 1)
+
+  return {
+    order: { blocks: order.map(finishFatigueBlock), dropOff: fatigueDropOff(order) },
+    minutes: {
+      blocks: minuteBlocks.map(finishFatigueBlock),
+      // thirds of the full block range, so short sessions have no "late" third
+      dropOff: fatigueDropOff(minutes),
+    },
+  }
+}
+
 // ---------- GAME PERFORMANCE ----------
 
 /**
  * Compute game performance from local IndexedDB.
- * @param {{ days: number | null, shotType?: "all" | "catch_shoot" | "off_dribble", athleteId?: string }} opts
+ * @param {{ days: number | null, shotType?: "all" | "catch_shoot" | "off_dribble", situation?: string, athleteId?: string }} opts
  *  - days: number → filter to last N days, null → all time
  *  - shotType: optional shot type filter
+ *  - situation: optional situation tag (constants/situationTags.js)
  */
-export async function getGamePerformance({ days, shotType, contested, athleteId }) {
+export async function getGamePerformance({ days, shotType, contested, situation, athleteId }) {
   await ready
 
   const stFilter = normalizePerfShotTypeFilter(shotType)
   const cFilter = normalizePerfContestedFilter(contested)
+  const sitFilter = normalizeSituationFilter(situation, loadSituationTagGroups())
 
   const fromDate =
     typeof days === "number"
@@ -213,6 +537,10 @@ export async function getGamePerformance({ days, shotType, contested, athleteId
         weekly: [],
         monthly: [],
       },
+      halfSplits: computeHalfSplits([]),
+      defenderSplits: [],
+      lineupSplits: [],
+      fatigue: computeFatigueSplits([]),
     }
   }
 
@@ -221,6 +549,10 @@ export async function getGamePerformance({ days, shotType, contested, athleteId
   const trendAgg = new Map() // monthKey → { fgm, fga, threesMade } (monthly)
   const trendDailyAgg = new Map() // gameId → { gameId, dateKey, fgm, fga, threesMade }
   const trendWeeklyAgg = new Map() // weekKey → { fgm, fga, threesMade }
+  const halfAgg = { first: emptyBoxLine(), second: emptyBoxLine(), overtime: emptyBoxLine() }
+  const defenderAgg = new Map() // opponent + player → { label, opponent, line }
+  const lineupAgg = new Map() // team + lineup label → { label, team, line }
+  const fatigueRows = [] // field goals by game, for the late-game splits
   let overallFgm = 0,
     overallFga = 0,
     overallThreesMade = 0
@@ -241,6 +573,9 @@ export async function getGamePerformance({ days, shotType, contested, athleteId
       // Shot type filter (missing shot_type will be excluded for specific filters)
       if (!includeShotType(ev.shot_type, stFilter)) continue
 
+      // Situation filter (transition, late clock, ...)
+      if (!matchesSituation(ev.situation_tags, sitFilter)) continue
+
       const zoneKey = ev.zone_id || "unknown_zone"
       const label = labelForZone(ev.zone_id)
 
@@ -252,11 +587,61 @@ export async function getGamePerformance({ days, shotType, contested, athleteId
       rec.attempts += 1
       if (ev.made) rec.makes += 1
 
+      // Threes follow the game's court spec
+      const courtSpec = courtSpecForSession(sessionsById.get(ev.game_id))
+      const isThree = shotIsThree(ev, courtSpec)
+
       // Trend + overall use only field goals (no free throws)
       overallFga += 1
       if (ev.made) {
         overallFgm += 1
-        if (ev.is_three) overallThreesMade += 1
+        if (isThree) overallThreesMade += 1
+      }
+
+      // First vs second half (events without a period are left out)
+      const half = periodHalf(ev.period, sessionsById.get(ev.game_id))
+      if (half) addToBoxLine(halfAgg[half], ev, courtSpec)
+
+      fatigueRows.push({
+        sessionId: ev.game_id,
+        ts: ev.ts,
+        attempts: 1,
+        makes: ev.made ? 1 : 0,
+        isThree,
+      })
+
+      // Shooting vs defender: the same opponent player is merged across games
+      if (ev.defender_id) {
+        const sess = sessionsById.get(ev.game_id)
+        const label = rosterPlayerLabel(findRosterPlayer(sess?.opponent_roster, ev.defender_id))
+        const opponent = sess?.opponent_name || ""
+        const key = `${opponent.toLowerCase()}|${label.toLowerCase()}`
+        let d = defenderAgg.get(key)
+        if (!d) {
+          d = { key, label, opponent, line: emptyBoxLine() }
+          defenderAgg.set(key, d)
+        }
+        addToBoxLine(d.line, ev, courtSpec)
+      }
+
+      // Shooting by lineup: the same teammates are merged across games by label
+      {
+        const sess = sessionsById.get(ev.game_id)
+        const roster = sess?.team_roster || []
+        const lineupIds = normalizeLineup(ev.lineup_ids, roster)
+        if (lineupIds.length) {
+          const label = lineupLabel(lineupIds, roster)
+          const team = sess?.team_name || ""
+          // player order within a lineup follows each game's roster; the key ignores it
+          const players = label.toLowerCase().split(" · ").sort().join("|")
+          const key = `${team.toLowerCase()}|${players}`
+          let l = lineupAgg.get(key)
+          if (!l) {
+            l = { key, label, team, line: emptyBoxLine() }
+            lineupAgg.set(key, l)
+          }
+          addToBoxLine(l.line, ev, courtSpec)
+        }
       }
 
       // Monthly trend
@@ -270,7 +655,7 @@ export async function getGamePerformance({ days, shotType, contested, athleteId
         t.fga += 1
         if (ev.made) {
           t.fgm += 1
-          if (ev.is_three) t.threesMade += 1
+          if (isThree) t.threesMade += 1
         }
       }
 
@@ -293,7 +678,7 @@ export async function getGamePerformance({ days, shotType, contested, athleteId
         d.fga += 1
         if (ev.made) {
           d.fgm += 1
-          if (ev.is_three) d.threesMade += 1
+          if (isThree) d.threesMade += 1
         }
       }
 
@@ -312,13 +697,16 @@ export async function getGamePerformance({ days, shotType, contested, athleteId
         w.fga += 1
         if (ev.made) {
           w.fgm += 1
-          if (ev.is_three) w.threesMade += 1
+          if (isThree) w.threesMade += 1
         }
       }
     } else if (ev.type === "freethrow") {
       // Preserve existing behavior: FT card only when ALL shot types
       if (stFilter !== "all") continue
 
+      // Free throws carry no situation tags
+      if (sitFilter !== "all") continue
+
       // Apply contested filter as well (typically FTs are uncontested)
       if (!includeContested(ev.contested, cFilter)) continue
 
@@ -416,12 +804,77 @@ export async function getGamePerformance({ days, shotType, contested, athleteId
       weekly: trendWeekly,
       monthly: trendMonthly,
     },
+    halfSplits: {
+      first: finishBoxLine(halfAgg.first),
+      second: finishBoxLine(halfAgg.second),
+      overtime: finishBoxLine(halfAgg.overtime),
+    },
+    defenderSplits: Array.from(defenderAgg.values())
+      .map(({ key, label, opponent, line }) => ({ key, label, opponent, ...finishBoxLine(line) }))
+      .sort((a, b) => b.fga - a.fga || a.label.localeCompare(b.label)),
+    lineupSplits: Array.from(lineupAgg.values())
+      .map(({ key, label, team, line }) => ({ key, label, team, ...finishBoxLine(line) }))
+      .sort((a, b) => b.fga - a.fga || a.label.localeCompare(b.label)),
+    fatigue: computeFatigueSplits(fatigueRows, sessionsById),
   }
 }
 
 
 // ---------- PRACTICE PERFORMANCE ----------
 
+/**
+ * Per-shot practice rows (tapped in one at a time) carry a boolean `made`;
+ * batch rows only have attempts / makes.
+ */
+function isPracticeShotRow(row) {
+  return typeof row?.made === "boolean" && Number(row.attempts ?? 1) === 1
+}
+
+/**
+ * Shot-by-shot view of per-shot practice rows:
+ * { shots, makes, fgPct, longestMakeStreak, longestMissStreak,
+ *   firstShot: { days, makes, fgPct } }
+ * Streaks run in time order within a session; "first shot" is the earliest
+ * shot of each calendar day.
+ */
+export function computeShotSequence(rows = []) {
+  const shots = (rows || [])
+    .filter((r) => r && !r._deleted && isPracticeShotRow(r))
+    .sort((a, b) => String(a.ts || "").localeCompare(String(b.ts || "")))
+
+  let makes = 0
+  let longestMakeStreak = 0
+  let longestMissStreak = 0
+  const streaks = new Map() // sessionId → { made, run }
+  const firstByDay = new Map() // dayKey → made
+  for (const shot of shots) {
+    if (shot.made) makes++
+
+    const cur = streaks.get(shot.session_id)
+    const run = cur && cur.made === shot.made ? cur.run + 1 : 1
+    streaks.set(shot.session_id, { made: shot.made, run })
+    if (shot.made) longestMakeStreak = Math.max(longestMakeStreak, run)
+    else longestMissStreak = Math.max(longestMissStreak, run)
+
+    const day = dayKeyFromTs(shot.ts)
+    if (day && !firstByDay.has(day)) firstByDay.set(day, shot.made)
+  }
+
+  const firstMakes = Array.from(firstByDay.values()).filter(Boolean).length
+  return {
+    shots: shots.length,
+    makes,
+    fgPct: pct(makes, shots.length),
+    longestMakeStreak,
+    longestMissStreak,
+    firstShot: {
+      days: firstByDay.size,
+      makes: firstMakes,
+      fgPct: pct(firstMakes, firstByDay.size),
+    },
+  }
+}
+
 /**
  * Compute practice performance from local IndexedDB.
  * @param {{ days: number | null, shotType?: "all" | "catch_shoot" | "off_dribble", athleteId?: string }} opts
@@ -467,6 +920,8 @@ export async function getPracticePerformance({ days, shotType, contested, athlet
         weekly: [],
         monthly: [],
       },
+      shotSequence: computeShotSequence([]),
+      fatigue: computeFatigueSplits([]),
     }
   }
 
@@ -475,6 +930,8 @@ export async function getPracticePerformance({ days, shotType, contested, athlet
   const trendAgg = new Map() // monthKey → { fgm, fga, threesMade }
   const trendDailyAgg = new Map() // sessionId → { sessionId, dateKey, fgm, fga, threesMade }
   const trendWeeklyAgg = new Map() // weekKey → { fgm, fga, threesMade }
+  const shotRows = [] // per-shot field goals, filtered
+  const fatigueRows = [] // field goals (batch + per-shot), for the late-session splits
   let overallFgm = 0,
     overallFga = 0,
     overallThreesMade = 0
@@ -565,10 +1022,13 @@ export async function getPracticePerformance({ days, shotType, contested, athlet
     // Global FG / eFG and trend (field goals only, filtered)
     overallFga += attempts
     overallFgm += makes
+    if (isPracticeShotRow(row)) shotRows.push(row)
 
     const isThree = zoneIsThreeMap.get(zoneId) || false
     if (isThree) overallThreesMade += makes
 
+    fatigueRows.push({ sessionId: row.session_id, ts: row.ts, attempts, makes, isThree })
+
     // Monthly trend
     const mk = monthKeyFromTs(row.ts)
     if (mk) {
@@ -701,5 +1161,7 @@ export async function getPracticePerformance({ days, shotType, contested, athlet
       weekly: trendWeekly,
       monthly: trendMonthly,
     },
+    shotSequence: computeShotSequence(shotRows),
+    fatigue: computeFatigueSplits(fatigueRows, sessionsById),
   }
 }
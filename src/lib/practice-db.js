@@ -4,8 +4,28 @@
 import { createStore, get, set, del } from "idb-keyval"
 import { uuid } from "./util-id"
 import { notifyLocalMutate } from "./sync-notify"
+import { SYNC_FAILURE_RESET, isSyncFailed } from "./sync-flags"
+import { whenIdbReady } from "./idb-init"
+import { remapAthleteIdInStores } from "./athlete-remap"
 import { ZONES } from "../constants/zones"
+import { zoneIsThree } from "../constants/courtGeometry"
+import { normalizeShotPoint } from "../constants/shotLocation"
 import { getActiveAthleteId } from "./athlete-db"
+import {
+  bestDrillRun,
+  normalizeDrillName,
+  normalizeDrillSteps,
+  summarizeDrillRun,
+} from "../constants/drills"
+import {
+  intervalAt,
+  normalizeIntervalSec,
+  sessionDurationSec,
+  sessionTimer,
+  shotsPerMinute,
+  summarizeIntervals,
+} from "../constants/practiceTimer"
+import { normalizeChallengeTarget } from "../constants/challenges"
 
 // ---- Stores ----
 export const st = {
@@ -13,10 +33,13 @@ export const st = {
     sessions: createStore("nm_practice_sessions", "kv"),
     entries: createStore("nm_practice_entries", "kv"),
     markers: createStore("nm_practice_markers", "kv"),
+    drills: createStore("nm_practice_drills", "kv"),
+    challenges: createStore("nm_practice_challenges", "kv"),
   },
 }
 
 // ---- Index helpers ----
+const ready = whenIdbReady()
 const IDX_KEY = "__index__"
 const todayISO = () => new Date().toISOString().slice(0, 10)
 const nowISO = () => new Date().toISOString()
@@ -51,7 +74,7 @@ async function removeFromIndex(store, id) {
 }
 
 // 3PT lookup by zone id for eFG
-const ZONE_IS_THREE = Object.fromEntries(ZONES.map((z) => [z.id, !!z.isThree]))
+const ZONE_IS_THREE = Object.fromEntries(ZONES.map((z) => [z.id, zoneIsThree(z.id)]))
 
 // ---- Sessions ----
 export async function addPracticeSession({
@@ -96,6 +119,46 @@ export async function endPracticeSession(id) {
   return updated
 }
 
+/**
+ * Start (`{ workSec, restSec }`) or stop (`null`) the work/rest interval
+ * timer of a session. Entries logged while it runs are tagged with their
+ * interval (see addEntry); a restart numbers on past the session's last
+ * tagged entry and any timer still running.
+ */
+export async function setPracticeTimer(id, timer) {
+  const s = await get(id, st.practice.sessions)
+  if (!s) return null
+  const workSec = normalizeIntervalSec(timer?.workSec)
+  const restSec = normalizeIntervalSec(timer?.restSec)
+  const running = !!(workSec && restSec)
+  const startedAt = running ? nowISO() : null
+
+  let indexOffset = null
+  if (running) {
+    indexOffset = 0
+    const current = intervalAt(sessionTimer(s), Date.parse(startedAt))
+    if (current) indexOffset = current.index + 1
+    for (const e of await listEntriesBySession(id)) {
+      if (e.interval_index != null) {
+        indexOffset = Math.max(indexOffset, Number(e.interval_index) + 1)
+      }
+    }
+  }
+
+  const updated = {
+    ...s,
+    timer_work_sec: running ? workSec : null,
+    timer_rest_sec: running ? restSec : null,
+    timer_started_at: startedAt,
+    timer_index_offset: indexOffset,
+    _dirty: true,
+    _table: "practice_sessions",
+  }
+  await set(id, updated, st.practice.sessions)
+  notifyLocalMutate()
+  return updated
+}
+
 export async function listPracticeSessions() {
   const ids = await readIndex(st.practice.sessions)
   const rows = []
@@ -108,6 +171,12 @@ export async function listPracticeSessions() {
 }
 
 // ---- Entries & Markers ----
+
+/**
+ * Add a practice entry. Batches carry `attempts` / `makes`; a single shot
+ * logged from the court passes `made` (and optionally `shotX` / `shotY`)
+ * and is stored as a 1-attempt row, so every aggregate reads both kinds.
+ */
 export async function addEntry({
   sessionId,
   athleteId,
@@ -124,6 +193,13 @@ export async function addEntry({
   // layup-specific metadata (optional)
   pickupType = null,
   finishType = null,
+  // guided drill run (optional): the run's marker id and the step index
+  drillRunId = null,
+  drillStep = null,
+  // per-shot logging (optional)
+  made,
+  shotX,
+  shotY,
 }) {
   const id = uuid()
   const parentSession = sessionId ? await get(sessionId, st.practice.sessions) : null
@@ -141,6 +217,10 @@ export async function addEntry({
         ? !!pressured
         : false
 
+  const isShot = typeof made === "boolean"
+  const point = isShot ? normalizeShotPoint(shotX, shotY) : null
+  const interval = intervalAt(sessionTimer(parentSession), Date.parse(ts))
+
   const row = {
     id,
     user_id: null,
@@ -154,9 +234,18 @@ export async function addEntry({
     finish_type: finishType,
     // canonical field
     contested: resolvedContested,
-    attempts: Number(attempts),
-    makes: Number(makes),
+    attempts: isShot ? 1 : Number(attempts),
+    makes: isShot ? (made ? 1 : 0) : Number(makes),
+    // per-shot rows only; null on batches
+    made: isShot ? made : null,
+    shot_x: point?.x ?? null,
+    shot_y: point?.y ?? null,
     ts,
+    drill_run_id: drillRunId,
+    drill_step: drillRunId && drillStep != null ? Number(drillStep) : null,
+    // work/rest interval the entry fell in (session timer running)
+    interval_index: interval ? interval.index : null,
+    interval_phase: interval ? interval.phase : null,
     _dirty: true,
     _deleted: false,
     _table: "practice_entries",
@@ -171,6 +260,7 @@ export async function addEntry({
 /**
  * Update an existing practice entry (offline-first).
  * This keeps the same id and marks the row dirty so sync can upsert it.
+ * A single shot edited into anything but one attempt becomes a batch.
  */
 export async function updateEntry({
   id,
@@ -189,14 +279,21 @@ export async function updateEntry({
   const cur = await get(id, st.practice.entries)
   if (!cur) throw new Error(`practice entry not found: ${id}`)
 
+  const nextAttempts = Number(attempts)
+  const nextMakes = Number(makes)
+  const stillShot = typeof cur.made === "boolean" && nextAttempts === 1
+
   const updated = {
     ...cur,
     session_id: sessionId ?? cur.session_id,
     zone_id: zoneId ?? cur.zone_id,
     shot_type: typeof shotType === "undefined" ? cur.shot_type : shotType,
     contested: typeof contested === "undefined" ? cur.contested : !!contested,
-    attempts: Number(attempts),
-    makes: Number(makes),
+    attempts: nextAttempts,
+    makes: nextMakes,
+    made: stillShot ? nextMakes > 0 : null,
+    shot_x: stillShot ? cur.shot_x ?? null : null,
+    shot_y: stillShot ? cur.shot_y ?? null : null,
     ts: ts ?? cur.ts,
     pickup_type: pickupType,
     finish_type: finishType,
@@ -237,6 +334,8 @@ export async function addMarker({
   athlete_id,
   label = "",
   ts = nowISO(),
+  // set when the marker starts a guided run of a drill template
+  drillId = null,
 }) {
   const id = uuid()
   const parentSession = sessionId ? await get(sessionId, st.practice.sessions) : null
@@ -253,6 +352,7 @@ export async function addMarker({
     mode: "practice", // local-only
     session_id: sessionId,
     label,
+    drill_id: drillId,
     ts,
     _dirty: true,
     _deleted: false,
@@ -264,6 +364,215 @@ export async function addMarker({
   return row
 }
 
+// ---- Drill templates ----
+export async function addDrill({ name, steps, athleteId, athlete_id } = {}) {
+  const cleanName = normalizeDrillName(name)
+  if (!cleanName) throw new Error("addDrill requires a name")
+  const cleanSteps = normalizeDrillSteps(steps)
+  if (!cleanSteps.length) throw new Error("addDrill requires at least one step")
+
+  const id = uuid()
+  const row = {
+    id,
+    user_id: null,
+    athlete_id: athlete_id ?? athleteId ?? getActiveAthleteId() ?? null,
+    name: cleanName,
+    steps: cleanSteps,
+    created_at: nowISO(),
+    _dirty: true,
+    _deleted: false,
+    _table: "practice_drills",
+  }
+  await set(id, row, st.practice.drills)
+  await addToIndex(st.practice.drills, id)
+  notifyLocalMutate()
+  return row
+}
+
+export async function updateDrill({ id, name, steps }) {
+  if (!id) throw new Error("updateDrill requires id")
+  const cur = await get(id, st.practice.drills)
+  if (!cur) throw new Error(`practice drill not found: ${id}`)
+
+  const cleanName = typeof name === "undefined" ? cur.name : normalizeDrillName(name)
+  const cleanSteps = typeof steps === "undefined" ? cur.steps : normalizeDrillSteps(steps)
+  if (!cleanName) throw new Error("updateDrill requires a name")
+  if (!cleanSteps.length) throw new Error("updateDrill requires at least one step")
+
+  const updated = {
+    ...cur,
+    name: cleanName,
+    steps: cleanSteps,
+    _dirty: true,
+    _deleted: false,
+    _table: "practice_drills",
+  }
+  await set(id, updated, st.practice.drills)
+  notifyLocalMutate()
+  return updated
+}
+
+/**
+ * Soft-delete a template. Past runs keep their markers and entries.
+ */
+export async function deleteDrill(id) {
+  if (!id) return null
+  const cur = await get(id, st.practice.drills)
+  if (!cur) return null
+  const updated = { ...cur, _deleted: true, _dirty: true, _table: "practice_drills" }
+  await set(id, updated, st.practice.drills)
+  notifyLocalMutate()
+  return updated
+}
+
+export async function listDrills() {
+  const rows = []
+  for (const id of await readIndex(st.practice.drills)) {
+    const row = await get(id, st.practice.drills)
+    if (row && !row._deleted && belongsToActiveAthlete(row.athlete_id)) rows.push(row)
+  }
+  rows.sort((a, b) => (a.name || "").localeCompare(b.name || ""))
+  return rows
+}
+
+/**
+ * Past runs of a template, newest first, each summarized against the
+ * template's current steps, plus the best run.
+ */
+export async function getDrillHistory(drillId) {
+  if (!drillId) return { runs: [], best: null }
+  const drill = await get(drillId, st.practice.drills)
+  const steps = drill?.steps || []
+
+  const runMarkers = []
+  for (const id of await readIndex(st.practice.markers)) {
+    const m = await get(id, st.practice.markers)
+    if (m?.drill_id === drillId && !m._deleted && belongsToActiveAthlete(m.athlete_id)) {
+      runMarkers.push(m)
+    }
+  }
+  if (!runMarkers.length) return { runs: [], best: null }
+
+  const entriesByRun = new Map(runMarkers.map((m) => [m.id, []]))
+  for (const id of await readIndex(st.practice.entries)) {
+    const e = await get(id, st.practice.entries)
+    if (!e || e._deleted || !entriesByRun.has(e.drill_run_id)) continue
+    entriesByRun.get(e.drill_run_id).push(e)
+  }
+
+  const runs = runMarkers
+    .map((m) => ({
+      id: m.id,
+      session_id: m.session_id,
+      ts: m.ts,
+      ...summarizeDrillRun(steps, entriesByRun.get(m.id)),
+    }))
+    .sort((a, b) => (b.ts || "").localeCompare(a.ts || ""))
+
+  return { runs, best: bestDrillRun(runs) }
+}
+
+// ---- Streak challenges ----
+
+/**
+ * Save the result of a make-N-in-a-row challenge. Its shots are ordinary
+ * single-shot entries; this row keeps the target and how it went.
+ */
+export async function addChallenge({
+  sessionId,
+  athleteId,
+  athlete_id,
+  zoneId,
+  shotType = null,
+  targetStreak,
+  bestStreak = 0,
+  attempts = 0,
+  makes = 0,
+  completed = false,
+  startedAt = nowISO(),
+  endedAt = nowISO(),
+}) {
+  if (!sessionId) throw new Error("addChallenge requires sessionId")
+  if (!zoneId) throw new Error("addChallenge requires zoneId")
+  const target = normalizeChallengeTarget(targetStreak)
+  if (!target) throw new Error("addChallenge requires a target streak")
+
+  const id = uuid()
+  const parentSession = await get(sessionId, st.practice.sessions)
+  const row = {
+    id,
+    user_id: null,
+    athlete_id:
+      athlete_id ?? athleteId ?? parentSession?.athlete_id ?? getActiveAthleteId() ?? null,
+    session_id: sessionId,
+    zone_id: zoneId,
+    shot_type: shotType,
+    target_streak: target,
+    best_streak: Math.max(0, Number(bestStreak) || 0),
+    attempts: Math.max(0, Number(attempts) || 0),
+    makes: Math.max(0, Number(makes) || 0),
+    completed: !!completed,
+    started_at: startedAt,
+    ended_at: endedAt,
+    _dirty: true,
+    _deleted: false,
+    _table: "practice_challenges",
+  }
+  await set(id, row, st.practice.challenges)
+  await addToIndex(st.practice.challenges, id)
+  notifyLocalMutate()
+  return row
+}
+
+// Saved challenges for the active athlete, newest first
+export async function listChallenges() {
+  const rows = []
+  for (const id of await readIndex(st.practice.challenges)) {
+    const row = await get(id, st.practice.challenges)
+    if (row && !row._deleted && belongsToActiveAthlete(row.athlete_id)) rows.push(row)
+  }
+  rows.sort((a, b) => (b.ended_at || "").localeCompare(a.ended_at || ""))
+  return rows
+}
+
+// ---- Aggregates (session summaries) ----
+
+/**
+ * Per-session totals for the session list:
+ * { [sessionId]: { durationSec, attempts, makes, fgPct, shotsPerMin, intervals } }
+ * `intervals` is summarizeIntervals() over the entries logged on a timer.
+ */
+export async function listPracticeSessionSummaries() {
+  const sessions = await listPracticeSessions()
+  const entriesBySession = new Map(sessions.map((s) => [s.id, []]))
+  for (const id of await readIndex(st.practice.entries)) {
+    const e = await get(id, st.practice.entries)
+    if (!e || e._deleted || !entriesBySession.has(e.session_id)) continue
+    entriesBySession.get(e.session_id).push(e)
+  }
+
+  const out = {}
+  for (const s of sessions) {
+    const entries = entriesBySession.get(s.id)
+    let attempts = 0
+    let makes = 0
+    for (const e of entries) {
+      attempts += Number(e.attempts || 0)
+      makes += Number(e.makes || 0)
+    }
+    const durationSec = sessionDurationSec(s)
+    out[s.id] = {
+      durationSec,
+      attempts,
+      makes,
+      fgPct: attempts ? (makes / attempts) * 100 : 0,
+      shotsPerMin: shotsPerMinute(attempts, durationSec),
+      intervals: summarizeIntervals(entries),
+    }
+  }
+  return out
+}
+
 // ---- Aggregates (today summary) ----
 export async function getTodaySummary() {
   const today = todayISO()
@@ -326,6 +635,19 @@ export async function deletePracticeSession(id) {
       await set(mid, updated, st.practice.markers)
     }
   }
+  // mark challenges
+  for (const cid of await readIndex(st.practice.challenges)) {
+    const c = await get(cid, st.practice.challenges)
+    if (c?.session_id === id) {
+      const updated = {
+        ...c,
+        _deleted: true,
+        _dirty: true,
+        _table: "practice_challenges",
+      }
+      await set(cid, updated, st.practice.challenges)
+    }
+  }
   // mark session
   const s = await get(id, st.practice.sessions)
   if (s) {
@@ -355,6 +677,14 @@ export async function _allDirtyPractice() {
     const row = await get(id, st.practice.markers)
     if (row?._dirty) bucket.push(row)
   }
+  for (const id of await readIndex(st.practice.drills)) {
+    const row = await get(id, st.practice.drills)
+    if (row?._dirty) bucket.push(row)
+  }
+  for (const id of await readIndex(st.practice.challenges)) {
+    const row = await get(id, st.practice.challenges)
+    if (row?._dirty) bucket.push(row)
+  }
   return bucket
 }
 
@@ -364,6 +694,8 @@ export async function _markClean(row) {
   if (row._table === "practice_sessions") store = st.practice.sessions
   else if (row._table === "practice_entries") store = st.practice.entries
   else if (row._table === "practice_markers") store = st.practice.markers
+  else if (row._table === "practice_drills") store = st.practice.drills
+  else if (row._table === "practice_challenges") store = st.practice.challenges
   if (!store) return
   const cur = await get(row.id, store)
   if (!cur) return
@@ -371,6 +703,60 @@ export async function _markClean(row) {
   await set(row.id, updated, store)
 }
 
+/**
+ * Rows the server rejected for good (quarantined by the sync layer).
+ */
+export async function _allSyncFailures() {
+  const bucket = []
+  for (const store of [
+    st.practice.sessions,
+    st.practice.entries,
+    st.practice.markers,
+    st.practice.drills,
+    st.practice.challenges,
+  ]) {
+    for (const id of await readIndex(store)) {
+      const row = await get(id, store)
+      if (isSyncFailed(row)) bucket.push(row)
+    }
+  }
+  return bucket
+}
+
+/**
+ * Clear a quarantine and queue the row for another push.
+ */
+export async function _requeueRow(row) {
+  if (!row?._table) return
+  let store = null
+  if (row._table === "practice_sessions") store = st.practice.sessions
+  else if (row._table === "practice_entries") store = st.practice.entries
+  else if (row._table === "practice_markers") store = st.practice.markers
+  else if (row._table === "practice_drills") store = st.practice.drills
+  else if (row._table === "practice_challenges") store = st.practice.challenges
+  if (!store) return
+  const cur = await get(row.id, store)
+  if (!cur) return
+  await set(row.id, { ...cur, ...SYNC_FAILURE_RESET, _dirty: true }, store)
+  notifyLocalMutate()
+}
+
+export async function _remapAthleteId(fromId, toId) {
+  await ready
+  await remapAthleteIdInStores(
+    [
+      [st.practice.sessions, "practice_sessions"],
+      [st.practice.entries, "practice_entries"],
+      [st.practice.markers, "practice_markers"],
+      [st.practice.drills, "practice_drills"],
+      [st.practice.challenges, "practice_challenges"],
+    ],
+    fromId,
+    toId,
+    readIndex,
+  )
+}
+
 /**
  * After a remote delete succeeds, completely remove
  * the row from IndexedDB and its index.
@@ -381,6 +767,8 @@ export async function _purgePracticeRow(row) {
   if (row._table === "practice_sessions") store = st.practice.sessions
   else if (row._table === "practice_entries") store = st.practice.entries
   else if (row._table === "practice_markers") store = st.practice.markers
+  else if (row._table === "practice_drills") store = st.practice.drills
+  else if (row._table === "practice_challenges") store = st.practice.challenges
   if (!store) return
 
   await del(row.id, store)
@@ -414,17 +802,19 @@ export async function listEntriesBySession(sessionId) {
  * Remote → local helpers
  * ---------------------------*/
 
-export async function upsertPracticeSessionsFromRemote(rows = []) {
-  const remoteIds = new Set(rows.map((r) => r.id).filter(Boolean))
-
-  const localIds = await readIndex(st.practice.sessions)
-  for (const id of localIds) {
-    const local = await get(id, st.practice.sessions)
-    if (!local) continue
-    if (local._dirty) continue
-    if (!remoteIds.has(id)) {
-      await del(id, st.practice.sessions)
-      await removeFromIndex(st.practice.sessions, id)
+export async function upsertPracticeSessionsFromRemote(rows = [], { prune = false } = {}) {
+  // Full pulls only; delta pulls get deletes from the tombstone feed.
+  if (prune) {
+    const remoteIds = new Set(rows.map((r) => r.id).filter(Boolean))
+    const localIds = await readIndex(st.practice.sessions)
+    for (const id of localIds) {
+      const local = await get(id, st.practice.sessions)
+      if (!local) continue
+      if (local._dirty) continue
+      if (!remoteIds.has(id)) {
+        await del(id, st.practice.sessions)
+        await removeFromIndex(st.practice.sessions, id)
+      }
     }
   }
 
@@ -443,17 +833,19 @@ export async function upsertPracticeSessionsFromRemote(rows = []) {
   }
 }
 
-export async function upsertPracticeEntriesFromRemote(rows = []) {
-  const remoteIds = new Set(rows.map((r) => r.id).filter(Boolean))
-
-  const localIds = await readIndex(st.practice.entries)
-  for (const id of localIds) {
-    const local = await get(id, st.practice.entries)
-    if (!local) continue
-    if (local._dirty) continue
-    if (!remoteIds.has(id)) {
-      await del(id, st.practice.entries)
-      await removeFromIndex(st.practice.entries, id)
+export async function upsertPracticeEntriesFromRemote(rows = [], { prune = false } = {}) {
+  // Full pulls only; delta pulls get deletes from the tombstone feed.
+  if (prune) {
+    const remoteIds = new Set(rows.map((r) => r.id).filter(Boolean))
+    const localIds = await readIndex(st.practice.entries)
+    for (const id of localIds) {
+      const local = await get(id, st.practice.entries)
+      if (!local) continue
+      if (local._dirty) continue
+      if (!remoteIds.has(id)) {
+        await del(id, st.practice.entries)
+        await removeFromIndex(st.practice.entries, id)
+      }
     }
   }
 
@@ -472,17 +864,19 @@ export async function upsertPracticeEntriesFromRemote(rows = []) {
   }
 }
 
-export async function upsertPracticeMarkersFromRemote(rows = []) {
-  const remoteIds = new Set(rows.map((r) => r.id).filter(Boolean))
-
-  const localIds = await readIndex(st.practice.markers)
-  for (const id of localIds) {
-    const local = await get(id, st.practice.markers)
-    if (!local) continue
-    if (local._dirty) continue
-    if (!remoteIds.has(id)) {
-      await del(id, st.practice.markers)
-      await removeFromIndex(st.practice.markers, id)
+export async function upsertPracticeMarkersFromRemote(rows = [], { prune = false } = {}) {
+  // Full pulls only; delta pulls get deletes from the tombstone feed.
+  if (prune) {
+    const remoteIds = new Set(rows.map((r) => r.id).filter(Boolean))
+    const localIds = await readIndex(st.practice.markers)
+    for (const id of localIds) {
+      const local = await get(id, st.practice.markers)
+      if (!local) continue
+      if (local._dirty) continue
+      if (!remoteIds.has(id)) {
+        await del(id, st.practice.markers)
+        await removeFromIndex(st.practice.markers, id)
+      }
     }
   }
 
@@ -500,3 +894,87 @@ export async function upsertPracticeMarkersFromRemote(rows = []) {
     await addToIndex(st.practice.markers, remote.id)
   }
 }
+
+export async function upsertPracticeDrillsFromRemote(rows = [], { prune = false } = {}) {
+  // Full pulls only; delta pulls get deletes from the tombstone feed.
+  if (prune) {
+    const remoteIds = new Set(rows.map((r) => r.id).filter(Boolean))
+    const localIds = await readIndex(st.practice.drills)
+    for (const id of localIds) {
+      const local = await get(id, st.practice.drills)
+      if (!local) continue
+      if (local._dirty) continue
+      if (!remoteIds.has(id)) {
+        await del(id, st.practice.drills)
+        await removeFromIndex(st.practice.drills, id)
+      }
+    }
+  }
+
+  for (const remote of rows) {
+    if (!remote?.id) continue
+    const existing = await get(remote.id, st.practice.drills)
+    const merged = {
+      ...(existing || {}),
+      ...remote,
+      steps: normalizeDrillSteps(remote.steps),
+      _dirty: false,
+      _deleted: false,
+      _table: "practice_drills",
+    }
+    await set(remote.id, merged, st.practice.drills)
+    await addToIndex(st.practice.drills, remote.id)
+  }
+}
+
+export async function upsertPracticeChallengesFromRemote(rows = [], { prune = false } = {}) {
+  // Full pulls only; delta pulls get deletes from the tombstone feed.
+  if (prune) {
+    const remoteIds = new Set(rows.map((r) => r.id).filter(Boolean))
+    const localIds = await readIndex(st.practice.challenges)
+    for (const id of localIds) {
+      const local = await get(id, st.practice.challenges)
+      if (!local) continue
+      if (local._dirty) continue
+      if (!remoteIds.has(id)) {
+        await del(id, st.practice.challenges)
+        await removeFromIndex(st.practice.challenges, id)
+      }
+    }
+  }
+
+  for (const remote of rows) {
+    if (!remote?.id) continue
+    const existing = await get(remote.id, st.practice.challenges)
+    const merged = {
+      ...(existing || {}),
+      ...remote,
+      _dirty: false,
+      _deleted: false,
+      _table: "practice_challenges",
+    }
+    await set(remote.id, merged, st.practice.challenges)
+    await addToIndex(st.practice.challenges, remote.id)
+  }
+}
+
+/**
+ * Apply server-side deletes (tombstone feed) to the local stores.
+ * Rows with pending local changes are kept.
+ */
+export async function deletePracticeRowsFromRemote(table, ids = []) {
+  let store = null
+  if (table === "practice_sessions") store = st.practice.sessions
+  else if (table === "practice_entries") store = st.practice.entries
+  else if (table === "practice_markers") store = st.practice.markers
+  else if (table === "practice_drills") store = st.practice.drills
+  else if (table === "practice_challenges") store = st.practice.challenges
+  if (!store) return
+
+  for (const id of ids) {
+    const local = await get(id, store)
+    if (!local || local._dirty) continue
+    await del(id, store)
+    await removeFromIndex(store, id)
+  }
+}
@@ -0,0 +1,37 @@
+// src/lib/situation-tag-settings.js
+// The situation tag set this device uses for game shots (ShotModal, the
+// Performance and Heatmap filters, game-db). Kept in localStorage; the
+// defaults live in constants/situationTags.js.
+import {
+  SITUATION_TAG_GROUPS,
+  normalizeSituationTagGroups,
+} from "../constants/situationTags"
+
+const SITUATION_TAGS_KEY = "nm_situation_tag_groups"
+
+/**
+ * Saved tag groups, or the defaults when nothing (readable) is saved.
+ */
+export function loadSituationTagGroups() {
+  try {
+    const raw = localStorage.getItem(SITUATION_TAGS_KEY)
+    if (!raw) return SITUATION_TAG_GROUPS
+    return normalizeSituationTagGroups(JSON.parse(raw))
+  } catch {
+    return SITUATION_TAG_GROUPS
+  }
+}
+
+/**
+ * Save a tag set (normalized first) and return what was saved.
+ */
+export function saveSituationTagGroups(groups) {
+  const next = normalizeSituationTagGroups(groups)
+  localStorage.setItem(SITUATION_TAGS_KEY, JSON.stringify(next))
+  return next
+}
+
+export function resetSituationTagGroups() {
+  localStorage.removeItem(SITUATION_TAGS_KEY)
+  return SITUATION_TAG_GROUPS
+}
@@ -0,0 +1,79 @@
+// src/lib/sync-conflicts.js
+// Rows edited on this device and another one at the same time. The sync
+// layer parks them with a `_conflict` (see sync-merge.js); this module lists
+// them for the user and applies their keep-mine / keep-theirs choice.
+
+import { _allConflicts as _gameConflicts, _saveConflictRow as _saveGameConflictRow } from "./game-db"
+import { notifyLocalMutate } from "./sync-notify"
+import { resolveConflict } from "./sync-merge"
+
+export const CONFLICT_FIELD_LABELS = {
+  team_score: "Team score",
+  opponent_score: "Opponent score",
+  team_name: "Team",
+  opponent_name: "Opponent",
+  home_away: "Home / away",
+  venue: "Venue",
+  level: "Level",
+  date_iso: "Date",
+  court_spec: "Court",
+  status: "Status",
+  type: "Event type",
+  zone_id: "Zone",
+  shot_type: "Shot type",
+  is_three: "Three pointer",
+  made: "Made",
+  contested: "Contested",
+  pickup_type: "Pickup",
+  finish_type: "Finish",
+  rebound_type: "Rebound type",
+  fouled: "Fouled",
+  shot_x: "Shot location (x)",
+  shot_y: "Shot location (y)",
+  defender_id: "Defender",
+  lineup_ids: "Lineup",
+  assisted: "Assisted",
+  situation_tags: "Situation",
+  period: "Period",
+  ts: "Time",
+}
+
+/**
+ * All conflicted rows, most recent first.
+ */
+export async function listSyncConflicts() {
+  const rows = await _gameConflicts()
+  return rows
+    .filter(Boolean)
+    .sort((a, b) =>
+      String(b._conflict?.detected_at || "").localeCompare(String(a._conflict?.detected_at || "")),
+    )
+}
+
+export async function countSyncConflicts() {
+  return (await listSyncConflicts()).length
+}
+
+/**
+ * Side-by-side view of one conflict: [{ field, label, mine, theirs }].
+ */
+export function conflictFields(row) {
+  const remote = row?._conflict?.remote || {}
+  return (row?._conflict?.fields || []).map((field) => ({
+    field,
+    label: CONFLICT_FIELD_LABELS[field] || field,
+    mine: row[field] ?? null,
+    theirs: remote[field] ?? null,
+  }))
+}
+
+/**
+ * choice: "mine" | "theirs" | { [field]: "mine" | "theirs" }
+ */
+export async function resolveSyncConflict(row, choice) {
+  if (!row?._conflict) return row
+  const resolved = resolveConflict(row._table, row, choice)
+  await _saveGameConflictRow(resolved)
+  notifyLocalMutate()
+  return resolved
+}
@@ -0,0 +1,157 @@
+// src/lib/sync-failures.js
+// Sync issues inbox: rows the server rejected for good (`_sync_failed`).
+// pushAll quarantines them so later rows can sync; this module lets the
+// user see them again and retry, edit or discard each one.
+
+import {
+  _allSyncFailures as _gameFailures,
+  _requeueRow as _requeueGameRow,
+  _purgeGameRow,
+} from "./game-db"
+import {
+  _allSyncFailures as _practiceFailures,
+  _requeueRow as _requeuePracticeRow,
+  _purgePracticeRow,
+} from "./practice-db"
+import {
+  _allSyncFailures as _goalsFailures,
+  _requeueRow as _requeueGoalsRow,
+  _purgeGoalsRow,
+} from "./goals-db"
+import {
+  _allSyncFailures as _athleteFailures,
+  _requeueRow as _requeueAthleteRow,
+} from "./athlete-profiles-db"
+import { notifyLocalMutate } from "./sync-notify"
+import { resetPullWatermarks } from "./sync"
+
+export const SYNC_TABLE_LABELS = {
+  athlete_profiles: "Athletes",
+  practice_sessions: "Practice sessions",
+  practice_entries: "Practice shots",
+  practice_markers: "Practice markers",
+  practice_drills: "Practice drills",
+  practice_challenges: "Practice challenges",
+  game_sessions: "Games",
+  game_events: "Game events",
+  goal_sets: "Goal sets",
+  goals: "Goals",
+}
+
+function helpersFor(table) {
+  if (table === "athlete_profiles") {
+    return { requeue: _requeueAthleteRow, purge: null }
+  }
+  if (table?.startsWith("practice_")) {
+    return { requeue: _requeuePracticeRow, purge: _purgePracticeRow }
+  }
+  if (table === "goal_sets" || table === "goals") {
+    return { requeue: _requeueGoalsRow, purge: _purgeGoalsRow }
+  }
+  if (table === "game_sessions" || table === "game_events") {
+    return { requeue: _requeueGameRow, purge: _purgeGameRow }
+  }
+  return null
+}
+
+/**
+ * All quarantined rows, newest failure first.
+ */
+export async function listSyncFailures() {
+  const groups = await Promise.all([
+    _athleteFailures(),
+    _practiceFailures(),
+    _gameFailures(),
+    _goalsFailures(),
+  ])
+  return groups
+    .flat()
+    .filter(Boolean)
+    .sort((a, b) => String(b._sync_error_at || "").localeCompare(String(a._sync_error_at || "")))
+}
+
+export async function countSyncFailures() {
+  return (await listSyncFailures()).length
+}
+
+/**
+ * Group failures by table, then by error code.
+ * Returns [{ table, label, code, message, rows }] in first-seen order.
+ */
+export function groupSyncFailures(rows = []) {
+  const groups = new Map()
+  for (const row of rows) {
+    const table = row?._table || "unknown"
+    const code = row?._sync_error_code ?? "unknown"
+    const key = `${table}::${code}`
+    if (!groups.has(key)) {
+      groups.set(key, {
+        table,
+        label: SYNC_TABLE_LABELS[table] || table,
+        code,
+        message: row?._sync_error_message || "",
+        rows: [],
+      })
+    }
+    groups.get(key).rows.push(row)
+  }
+  return [...groups.values()]
+}
+
+/**
+ * Clear the quarantine and queue the row for the next push.
+ */
+export async function retrySyncFailure(row) {
+  const helpers = helpersFor(row?._table)
+  if (!helpers) throw new Error(`[sync-failures] unsupported table: ${row?._table}`)
+  await helpers.requeue(row)
+}
+
+export async function retryAllSyncFailures(rows) {
+  const list = rows ?? (await listSyncFailures())
+  for (const row of list) await retrySyncFailure(row)
+}
+
+/**
+ * Drop the local change. The next pull is a full one, so if the server has
+ * a copy of this row it comes back.
+ */
+export async function discardSyncFailure(row) {
+  const helpers = helpersFor(row?._table)
+  if (!helpers) throw new Error(`[sync-failures] unsupported table: ${row?._table}`)
+  if (!helpers.purge) {
+    throw new Error("Athlete profiles can't be discarded. Edit the athlete and retry instead.")
+  }
+  await helpers.purge(row)
+  resetPullWatermarks()
+  notifyLocalMutate()
+}
+
+/**
+ * Where to fix a row by hand: { tab, screen, params } or null.
+ */
+export function syncFailureEditTarget(row) {
+  const table = row?._table
+  if (table === "game_sessions") {
+    return { tab: "game", screen: "game-logger", params: { id: row.id } }
+  }
+  if (table === "game_events" && row.game_id) {
+    return { tab: "game", screen: "game-logger", params: { id: row.game_id } }
+  }
+  if (table === "practice_sessions") {
+    return { tab: "practice", screen: "practice-log", params: { id: row.id } }
+  }
+  if (
+    (table === "practice_entries" ||
+      table === "practice_markers" ||
+      table === "practice_challenges") &&
+    row.session_id
+  ) {
+    return { tab: "practice", screen: "practice-log", params: { id: row.session_id } }
+  }
+  // Templates are edited from the drill card on the practice log
+  if (table === "practice_drills") {
+    return { tab: "practice", screen: "practice-log", params: {} }
+  }
+  return null
+}
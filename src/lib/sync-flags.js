@@ -0,0 +1,23 @@
+// src/lib/sync-flags.js
+// Local-only bookkeeping fields the sync engine writes onto rows.
+// pushAll quarantines rows the server rejects for good (see isNonRetryableRowError
+// in sync.js) by marking them clean with these fields set.
+
+export const SYNC_FAILURE_FIELDS = [
+  "_sync_failed",
+  "_sync_error_code",
+  "_sync_error_message",
+  "_sync_error_at",
+]
+
+// Spread over a row to clear a previous quarantine.
+export const SYNC_FAILURE_RESET = {
+  _sync_failed: false,
+  _sync_error_code: null,
+  _sync_error_message: null,
+  _sync_error_at: null,
+}
+
+export function isSyncFailed(row) {
+  return row?._sync_failed === true
+}
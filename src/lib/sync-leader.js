@@ -0,0 +1,188 @@
+// src/lib/sync-leader.js
+// Cross-tab coordination for the sync engine.
+// Every open tab shares the same IndexedDB, so only one tab (the leader)
+// pushes. Leadership uses the Web Locks API: a lock is released when its tab
+// closes and the next tab in line takes over. Without Web Locks, tabs keep a
+// short lease in localStorage; with no storage either, each tab leads alone.
+// Tabs talk over a BroadcastChannel, or storage events where that is missing.
+
+import { uuid } from "./util-id"
+
+export const SYNC_LEADER_KEY = "nm_sync_leader"
+export const SYNC_CHANNEL_KEY = "nm_sync_channel"
+const LOCK_NAME = "nm-sync-leader"
+const CHANNEL_NAME = "nm-sync"
+const LEASE_MS = 10_000
+const LEASE_RENEW_MS = 3_000
+
+const tabId = uuid()
+const messageListeners = new Set()
+
+let running = false,
+  leader = true, // a tab acts alone until the election starts
+  onChange = null
+let lockAbort = null,
+  releaseLock = null,
+  leaseTimer = null,
+  channel = null,
+  storageHandler = null
+
+export function isSyncLeader() {
+  return leader
+}
+
+function setLeader(next) {
+  if (leader === next) return
+  leader = next
+  try { onChange?.(next) } catch { /* noop */ }
+}
+
+// --------- election ----------
+
+function readLease() {
+  try {
+    return JSON.parse(localStorage.getItem(SYNC_LEADER_KEY) || "null")
+  } catch {
+    return null
+  }
+}
+
+function renewLease() {
+  const now = Date.now()
+  const lease = readLease()
+  if (!lease || lease.tabId === tabId || !(lease.expiresAt > now)) {
+    localStorage.setItem(SYNC_LEADER_KEY, JSON.stringify({ tabId, expiresAt: now + LEASE_MS }))
+  }
+  // read back: if two tabs wrote at once, the last write wins
+  setLeader(readLease()?.tabId === tabId)
+}
+
+function hasStorage() {
+  try {
+    return typeof localStorage !== "undefined" && localStorage !== null
+  } catch {
+    return false
+  }
+}
+
+function requestLock() {
+  lockAbort = new AbortController()
+  navigator.locks
+    .request(LOCK_NAME, { signal: lockAbort.signal }, () => {
+      setLeader(true)
+      // held until stopLeaderElection() or the tab closes
+      return new Promise((resolve) => {
+        releaseLock = resolve
+      })
+    })
+    .catch((err) => {
+      if (err?.name === "AbortError") return
+      console.warn("[sync-leader] lock request error:", err)
+      if (running) setLeader(true)
+    })
+}
+
+// --------- messaging ----------
+
+function deliver(message) {
+  for (const fn of messageListeners) {
+    try { fn(message) } catch { /* noop */ }
+  }
+}
+
+function openChannel() {
+  if (typeof BroadcastChannel === "function") {
+    channel = new BroadcastChannel(CHANNEL_NAME)
+    channel.onmessage = (e) => deliver(e.data)
+    return
+  }
+  if (typeof window === "undefined") return
+  // storage events only fire in the other tabs
+  storageHandler = (e) => {
+    if (e.key !== SYNC_CHANNEL_KEY || !e.newValue) return
+    try {
+      deliver(JSON.parse(e.newValue).message)
+    } catch { /* noop */ }
+  }
+  window.addEventListener("storage", storageHandler)
+}
+
+/**
+ * postSyncMessage(message)
+ * Send a message to every other tab. No-op before the election starts.
+ */
+export function postSyncMessage(message) {
+  if (!running) return
+  try {
+    if (channel) {
+      channel.postMessage(message)
+    } else if (storageHandler) {
+      // the nonce makes repeated messages change the stored value
+      localStorage.setItem(SYNC_CHANNEL_KEY, JSON.stringify({ from: tabId, nonce: uuid(), message }))
+    }
+  } catch (err) {
+    console.warn("[sync-leader] postSyncMessage error:", err)
+  }
+}
+
+/**
+ * onSyncMessage(listener): () => void
+ * Subscribe to messages from other tabs. Returns an unsubscribe function.
+ */
+export function onSyncMessage(listener) {
+  messageListeners.add(listener)
+  return () => messageListeners.delete(listener)
+}
+
+// --------- lifecycle ----------
+
+/**
+ * startLeaderElection(onLeaderChange)
+ * Join the election. `onLeaderChange(isLeader)` runs whenever this tab gains
+ * or loses leadership.
+ */
+export function startLeaderElection(onLeaderChange) {
+  if (running) return
+  running = true
+  onChange = onLeaderChange || null
+  leader = false
+  openChannel()
+
+  if (typeof navigator !== "undefined" && navigator.locks?.request) {
+    requestLock()
+  } else if (hasStorage()) {
+    renewLease()
+    leaseTimer = setInterval(renewLease, LEASE_RENEW_MS)
+  } else {
+    setLeader(true)
+  }
+}
+
+export function stopLeaderElection() {
+  if (!running) return
+  running = false
+  onChange = null
+
+  if (lockAbort) {
+    lockAbort.abort()
+    lockAbort = null
+  }
+  if (releaseLock) {
+    releaseLock()
+    releaseLock = null
+  }
+  if (leaseTimer) {
+    clearInterval(leaseTimer)
+    leaseTimer = null
+    if (readLease()?.tabId === tabId) localStorage.removeItem(SYNC_LEADER_KEY)
+  }
+  if (channel) {
+    channel.close()
+    channel = null
+  }
+  if (storageHandler) {
+    window.removeEventListener("storage", storageHandler)
+    storageHandler = null
+  }
+  leader = true
+}
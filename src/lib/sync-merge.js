@@ -0,0 +1,148 @@
+// src/lib/sync-merge.js
+// Three-way merge for rows edited on two devices.
+// Every synced row keeps `_base`: the server values (and updated_at) its local
+// edits started from. When the server copy has moved on, fields changed on
+// only one side merge silently; fields changed on both sides to different
+// values become a conflict the user resolves (see sync-conflicts.js).
+
+// Fields compared per table. Other columns (running totals, timestamps the
+// app sets itself) follow the local row.
+export const CONFLICT_FIELDS = {
+  game_sessions: [
+    "team_score",
+    "opponent_score",
+    "team_name",
+    "opponent_name",
+    "home_away",
+    "venue",
+    "level",
+    "date_iso",
+    "court_spec",
+    "status",
+  ],
+  game_events: [
+    "type",
+    "zone_id",
+    "shot_type",
+    "is_three",
+    "made",
+    "contested",
+    "pickup_type",
+    "finish_type",
+    "rebound_type",
+    "fouled",
+    "shot_x",
+    "shot_y",
+    "defender_id",
+    "lineup_ids",
+    "assisted",
+    "situation_tags",
+    "period",
+    "ts",
+  ],
+}
+
+const ISO_DATETIME = /^\d{4}-\d{2}-\d{2}T/
+
+export function isConflictTracked(table) {
+  return Object.prototype.hasOwnProperty.call(CONFLICT_FIELDS, table)
+}
+
+/**
+ * Loose equality for values that went through Postgres:
+ * null/undefined, "5" vs 5, "...Z" vs "...+00:00" timestamps, and arrays
+ * item by item.
+ */
+export function sameValue(a, b) {
+  if (a == null || b == null) return a == null && b == null
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return (
+      Array.isArray(a) &&
+      Array.isArray(b) &&
+      a.length === b.length &&
+      a.every((item, i) => sameValue(item, b[i]))
+    )
+  }
+  if (typeof a === "number" || typeof b === "number") return Number(a) === Number(b)
+  if (typeof a === "string" && typeof b === "string" && ISO_DATETIME.test(a) && ISO_DATETIME.test(b)) {
+    return new Date(a).getTime() === new Date(b).getTime()
+  }
+  return a === b
+}
+
+/**
+ * The `_base` stored on a row: tracked fields plus the server updated_at.
+ */
+export function snapshotBase(table, row) {
+  const base = { updated_at: row?.updated_at ?? null }
+  for (const field of CONFLICT_FIELDS[table] || []) base[field] = row?.[field] ?? null
+  return base
+}
+
+/**
+ * mergeRows(table, local, remote) → { merged, conflicts }
+ * `merged` is the local row with remote-only changes applied; `conflicts`
+ * lists fields both sides changed differently. Rows without a base (never
+ * synced under this scheme) keep the local values.
+ */
+export function mergeRows(table, local, remote) {
+  const base = local?._base
+  if (!base || !remote) return { merged: local, conflicts: [] }
+  if (base.updated_at && remote.updated_at && sameValue(base.updated_at, remote.updated_at)) {
+    return { merged: local, conflicts: [] }
+  }
+
+  const merged = { ...local }
+  const conflicts = []
+  for (const field of CONFLICT_FIELDS[table] || []) {
+    const mineChanged = !sameValue(local[field], base[field])
+    const theirsChanged = !sameValue(remote[field], base[field])
+    if (!theirsChanged) continue
+    if (!mineChanged) merged[field] = remote[field] ?? null
+    else if (!sameValue(local[field], remote[field])) conflicts.push(field)
+  }
+  return { merged, conflicts }
+}
+
+/**
+ * Reconcile a locally changed row with a newer server copy.
+ * Returns the row to store: merged onto the new base, or unchanged with a
+ * `_conflict` ({ remote, fields, detected_at }) waiting for the user.
+ */
+export function reconcileWithRemote(table, local, remote) {
+  if (local?._deleted) return local
+  if (!local?._base) return { ...local, _base: snapshotBase(table, remote) }
+
+  const { merged, conflicts } = mergeRows(table, local, remote)
+  if (!conflicts.length) {
+    const { _conflict: _cleared, ...rest } = merged
+    return { ...rest, _base: snapshotBase(table, remote) }
+  }
+  return {
+    ...local,
+    _conflict: {
+      remote: snapshotBase(table, remote),
+      fields: conflicts,
+      detected_at: new Date().toISOString(),
+    },
+  }
+}
+
+/**
+ * Apply the user's choice to a conflicted row.
+ * `choice` is "mine", "theirs", or { [field]: "mine" | "theirs" }.
+ * The result sits on the server's base and is pushed once more, so the
+ * server ends up with exactly what the user picked.
+ */
+export function resolveConflict(table, row, choice) {
+  const remote = row?._conflict?.remote
+  if (!remote) return row
+
+  const { merged } = mergeRows(table, row, remote)
+  const { _conflict: _resolved, ...resolved } = merged
+  for (const field of row._conflict.fields || []) {
+    const pick = typeof choice === "string" ? choice : choice?.[field] || "mine"
+    resolved[field] = pick === "theirs" ? remote[field] ?? null : row[field]
+  }
+  return { ...resolved, _base: remote, _dirty: true }
+}
@@ -2,6 +2,7 @@
 // Minimal pub/sub used by the data layer to trigger auto-sync.
 // practice-db.js / game-db.js call notifyLocalMutate() after any write.
 // sync.js listens with onLocalMutate(() => scheduleSync())
+// and tells screens to reload with notifyRemoteChange().
 
 const listeners = new Set()
 
@@ -23,3 +24,26 @@ export function notifyLocalMutate() {
     try { fn() } catch { /* noop */ }
   }
 }
+
+// Data written by the sync engine or another tab. Screens reload their lists
+// with onRemoteChange(() => refresh()); these never trigger a push.
+const remoteListeners = new Set()
+
+/**
+ * onRemoteChange(callback): () => void
+ * Subscribe to changes made outside this screen. Returns an unsubscribe function.
+ */
+export function onRemoteChange(callback) {
+  remoteListeners.add(callback)
+  return () => remoteListeners.delete(callback)
+}
+
+/**
+ * notifyRemoteChange()
+ * Call after a pull, or when another tab reports a local write.
+ */
+export function notifyRemoteChange() {
+  for (const fn of remoteListeners) {
+    try { fn() } catch { /* noop */ }
+  }
+}
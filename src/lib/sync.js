@@ -1,13 +1,24 @@
 // src/lib/sync.js
 import { supabase } from "./supabase"
-import { onLocalMutate } from "./sync-notify"
+import { notifyRemoteChange, onLocalMutate } from "./sync-notify"
+import {
+  isSyncLeader,
+  onSyncMessage,
+  postSyncMessage,
+  startLeaderElection,
+  stopLeaderElection,
+} from "./sync-leader"
 import {
   _allDirtyPractice,
   _markClean as _markCleanPractice,
   _purgePracticeRow,
+  _remapAthleteId as _remapPracticeAthleteId,
   upsertPracticeSessionsFromRemote,
   upsertPracticeEntriesFromRemote,
   upsertPracticeMarkersFromRemote,
+  upsertPracticeDrillsFromRemote,
+  upsertPracticeChallengesFromRemote,
+  deletePracticeRowsFromRemote,
 } from "./practice-db"
 import { whenIdbReady } from "./idb-init"
 import {
@@ -16,23 +27,440 @@ import {
   _allDirtyGame,
   _markClean as _markCleanGame,
   _purgeGameRow,
+  _getLocalRow as _getGameLocalRow,
+  _remapAthleteId as _remapGameAthleteId,
+  _saveConflictRow as _saveGameConflictRow,
+  deleteGameRowsFromRemote,
 } from "./game-db"
+import {
+  upsertGoalSetsFromRemote,
+  upsertGoalsFromRemote,
+  _allDirtyGoals,
+  _markClean as _markCleanGoals,
+  _purgeGoalsRow,
+  _remapAthleteId as _remapGoalsAthleteId,
+  deleteGoalsRowsFromRemote,
+} from "./goals-db"
+import {
+  upsertAthleteProfilesFromRemote,
+  _allDirtyAthletes,
+  _markClean as _markCleanAthlete,
+  _remapAthleteProfileId,
+} from "./athlete-profiles-db"
+import { isTempAthleteId } from "./athlete-db"
+import { SYNC_FAILURE_RESET, isSyncFailed } from "./sync-flags"
+import { CONFLICT_FIELDS, isConflictTracked, reconcileWithRemote, sameValue } from "./sync-merge"
 
 export const LAST_SYNC_KEY = "nm_last_sync"
 const SYNC_DEBOUNCE_MS = 400
 const SYNC_HEARTBEAT_MS = 60_000
+const DEFAULT_PUSH_CHUNK_SIZE = 200
+
+// Max rows per upsert/delete request (override with VITE_SYNC_PUSH_CHUNK_SIZE).
+let pushChunkSize =
+  Number(import.meta.env.VITE_SYNC_PUSH_CHUNK_SIZE) || DEFAULT_PUSH_CHUNK_SIZE
 
 let syncing = false,
-  scheduled = false,
+  scheduled = null, // pending debounce timer
   inited = false
 let unsubAuth = null,
   unsubLocal = null,
+  unsubTabs = null,
   onlineHandler = null,
+  offlineHandler = null,
+  storageHandler = null,
   visHandler = null,
-  intervalId = null
+  intervalId = null,
+  retryTimer = null
+
+// --------- observable sync status ----------
+
+/**
+ * Single source of truth for the UI (see useSyncStatus in sync-hooks.js).
+ * Replaced (never mutated) on every change so it can feed useSyncExternalStore.
+ *
+ * {
+ *   online: boolean,
+ *   phase: "idle" | "push" | "pull",
+ *   table: string | null,         // table currently in flight
+ *   pending: { [table]: number }, // dirty rows waiting to be pushed
+ *   pendingTotal: number,
+ *   conflictTotal: number,        // rows waiting on a keep-mine / keep-theirs choice
+ *   lastSyncAt: iso | null,
+ *   lastError: { message, code, at } | null,
+ *   nextRetryAt: iso | null,      // automatic syncs wait until then
+ *   circuitOpenUntil: iso | null, // engine paused after repeated failures
+ * }
+ */
+let syncStatus = {
+  online: typeof navigator === "undefined" ? true : navigator.onLine,
+  phase: "idle",
+  table: null,
+  pending: {},
+  pendingTotal: 0,
+  conflictTotal: 0,
+  lastSyncAt: readLastSync(),
+  lastError: null,
+  nextRetryAt: null,
+  circuitOpenUntil: null,
+}
+const statusListeners = new Set()
+// set when the current run hit an error, so a clean run can clear lastError
+let runFailed = false
+
+export function getSyncStatus() {
+  return syncStatus
+}
+
+/**
+ * onSyncStatus(listener): () => void
+ * Subscribe to status changes. Returns an unsubscribe function.
+ */
+export function onSyncStatus(listener) {
+  statusListeners.add(listener)
+  return () => statusListeners.delete(listener)
+}
+
+function setSyncStatus(patch) {
+  syncStatus = { ...syncStatus, ...patch }
+  for (const fn of statusListeners) {
+    try { fn(syncStatus) } catch { /* noop */ }
+  }
+  // other tabs mirror the leader's status; `online` is per tab
+  if (inited && isSyncLeader()) {
+    const { online: _online, ...shared } = syncStatus
+    postSyncMessage({ type: "status", status: shared })
+  }
+}
+
+function readLastSync() {
+  try {
+    return localStorage.getItem(LAST_SYNC_KEY) || null
+  } catch {
+    return null
+  }
+}
+
+function pendingCounts(rows) {
+  const pending = {}
+  for (const row of rows) {
+    if (!row?._table) continue
+    pending[row._table] = (pending[row._table] || 0) + 1
+  }
+  return {
+    pending,
+    pendingTotal: rows.filter((row) => row?._table).length,
+    conflictTotal: rows.filter((row) => row?._conflict).length,
+  }
+}
+
+async function refreshPendingCounts() {
+  try {
+    const rows = [
+      ...toArray(await _allDirtyAthletes()),
+      ...toArray(await _allDirtyPractice()),
+      ...toArray(await _allDirtyGame()),
+      ...toArray(await _allDirtyGoals()),
+    ]
+    setSyncStatus(pendingCounts(rows))
+  } catch (err) {
+    console.warn("[sync] refreshPendingCounts error:", err)
+  }
+}
+
+function recordSyncError(err) {
+  runFailed = true
+  setSyncStatus({
+    lastError: {
+      message: err?.message || String(err),
+      code: err?.code ?? null,
+      at: new Date().toISOString(),
+    },
+  })
+}
+
+// --------- retry backoff + circuit breaker ----------
+
+export const SYNC_BACKOFF_KEY = "nm_sync_backoff"
+const BACKOFF_BASE_MS = 2_000
+const BACKOFF_MAX_MS = 5 * 60_000
+// Consecutive failed runs before the engine pauses, and for how long.
+const CIRCUIT_FAILURE_THRESHOLD = 5
+const CIRCUIT_OPEN_MS = 10 * 60_000
+
+// Child rows wait for their parent row (FK) when the parent is backing off.
+const PARENT_REFS = {
+  game_events: ["game_sessions", "game_id"],
+  practice_entries: ["practice_sessions", "session_id"],
+  practice_markers: ["practice_sessions", "session_id"],
+  goals: ["goal_sets", "set_id"],
+}
+
+/**
+ * Persisted so a reload does not reset the delays. Times are epoch ms.
+ * Shape: { failures, nextRetryAt, circuitOpenUntil, rows: { "table:id": { attempts, retryAt } } }
+ */
+function readBackoff() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(SYNC_BACKOFF_KEY) || "null")
+    if (raw && typeof raw === "object") {
+      return {
+        failures: Number(raw.failures) || 0,
+        nextRetryAt: Number(raw.nextRetryAt) || null,
+        circuitOpenUntil: Number(raw.circuitOpenUntil) || null,
+        rows: raw.rows && typeof raw.rows === "object" ? raw.rows : {},
+      }
+    }
+  } catch {
+    // fall through to a fresh state
+  }
+  return { failures: 0, nextRetryAt: null, circuitOpenUntil: null, rows: {} }
+}
+
+function writeBackoff(state) {
+  const empty = !state.failures && !state.nextRetryAt && !state.circuitOpenUntil &&
+    !Object.keys(state.rows).length
+  if (empty) localStorage.removeItem(SYNC_BACKOFF_KEY)
+  else localStorage.setItem(SYNC_BACKOFF_KEY, JSON.stringify(state))
+}
+
+/**
+ * Forget all retry delays and close the circuit breaker.
+ */
+export function resetSyncBackoff() {
+  localStorage.removeItem(SYNC_BACKOFF_KEY)
+  if (retryTimer) {
+    clearTimeout(retryTimer)
+    retryTimer = null
+  }
+  setSyncStatus({ nextRetryAt: null, circuitOpenUntil: null })
+}
+
+// Exponential delay for the n-th consecutive failure, with "equal jitter"
+// (half fixed, half random) so many clients do not retry in lockstep.
+function backoffDelay(attempt) {
+  const exp = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** Math.max(0, attempt - 1))
+  return Math.round(exp / 2 + Math.random() * (exp / 2))
+}
+
+function backoffWaitUntil(state) {
+  return Math.max(state.nextRetryAt || 0, state.circuitOpenUntil || 0)
+}
+
+function rowKey(row) {
+  return `${row._table}:${row.id}`
+}
+
+function backoffStatus(state) {
+  const now = Date.now()
+  const waitUntil = backoffWaitUntil(state)
+  return {
+    nextRetryAt: waitUntil > now ? new Date(waitUntil).toISOString() : null,
+    circuitOpenUntil:
+      state.circuitOpenUntil > now ? new Date(state.circuitOpenUntil).toISOString() : null,
+  }
+}
+
+// After a run: a clean run closes the circuit, a failed one backs off
+// further and opens the circuit once failures pile up.
+function settleBackoff(state, failed) {
+  if (!failed) {
+    state.failures = 0
+    state.nextRetryAt = null
+    state.circuitOpenUntil = null
+    return
+  }
+  const now = Date.now()
+  state.failures += 1
+  state.nextRetryAt = now + backoffDelay(state.failures)
+  if (state.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+    state.circuitOpenUntil = now + CIRCUIT_OPEN_MS
+    console.warn(
+      `[sync] ${state.failures} failed syncs in a row; pausing until ${new Date(state.circuitOpenUntil).toISOString()}`,
+    )
+  }
+}
 
-// --------- bootstrap ALL data (game + practice) on app refresh ----------
+function armRetryTimer(waitUntil) {
+  if (!inited || retryTimer) return
+  retryTimer = setTimeout(() => {
+    retryTimer = null
+    scheduleSync()
+  }, Math.max(0, waitUntil - Date.now()))
+}
+
+// --------- incremental pull (per-table updated_at watermarks) ----------
+
+export const PULL_WATERMARKS_KEY = "nm_pull_watermarks"
+const TOMBSTONES_TABLE = "sync_tombstones"
+// Re-read a little before each watermark so rows committed out of order
+// (same-ish updated_at) are not missed. Merging is idempotent.
+const PULL_OVERLAP_MS = 60_000
+// PostgREST caps each response (max-rows, 1000 by default), so delta pulls
+// page through rows in updated_at order until a short page.
+export const PULL_PAGE_SIZE = 1000
+
+// Tables pulled by delta. athlete_profiles is small and always pulled in full.
+// `order` is the order rows are handed to the local store in.
+const PULL_TABLES = [
+  {
+    table: "game_sessions",
+    countKey: "gameSessionsCount",
+    order: ["date_iso", { ascending: false }],
+    apply: upsertGameSessionsFromRemote,
+    remove: (ids, deletedAt) => deleteGameRowsFromRemote("game_sessions", ids, deletedAt),
+  },
+  {
+    table: "game_events",
+    countKey: "gameEventsCount",
+    order: ["ts", { ascending: true }],
+    apply: upsertGameEventsFromRemote,
+    remove: (ids, deletedAt) => deleteGameRowsFromRemote("game_events", ids, deletedAt),
+  },
+  {
+    table: "practice_sessions",
+    countKey: "practiceSessionsCount",
+    order: ["started_at", { ascending: false }],
+    apply: upsertPracticeSessionsFromRemote,
+    remove: (ids) => deletePracticeRowsFromRemote("practice_sessions", ids),
+  },
+  {
+    table: "practice_entries",
+    countKey: "practiceEntriesCount",
+    order: ["ts", { ascending: true }],
+    apply: upsertPracticeEntriesFromRemote,
+    remove: (ids) => deletePracticeRowsFromRemote("practice_entries", ids),
+  },
+  {
+    table: "practice_markers",
+    countKey: "practiceMarkersCount",
+    order: ["ts", { ascending: true }],
+    apply: upsertPracticeMarkersFromRemote,
+    remove: (ids) => deletePracticeRowsFromRemote("practice_markers", ids),
+  },
+  {
+    table: "practice_drills",
+    countKey: "practiceDrillsCount",
+    order: ["created_at", { ascending: true }],
+    apply: upsertPracticeDrillsFromRemote,
+    remove: (ids) => deletePracticeRowsFromRemote("practice_drills", ids),
+  },
+  {
+    table: "practice_challenges",
+    countKey: "practiceChallengesCount",
+    order: ["ended_at", { ascending: true }],
+    apply: upsertPracticeChallengesFromRemote,
+    remove: (ids) => deletePracticeRowsFromRemote("practice_challenges", ids),
+  },
+  {
+    table: "goal_sets",
+    countKey: "goalSetsCount",
+    order: ["due_date", { ascending: true }],
+    apply: upsertGoalSetsFromRemote,
+    remove: (ids) => deleteGoalsRowsFromRemote("goal_sets", ids),
+  },
+  {
+    table: "goals",
+    countKey: "goalsCount",
+    order: ["created_at", { ascending: true }],
+    apply: upsertGoalsFromRemote,
+    remove: (ids) => deleteGoalsRowsFromRemote("goals", ids),
+  },
+]
+
+/**
+ * Watermarks are server timestamps (max updated_at / deleted_at seen),
+ * scoped to the signed-in user so switching accounts forces a full pull.
+ * Shape: { userId, tables: { [table]: iso }, tombstones: iso | null }
+ */
+function readPullWatermarks(userId) {
+  try {
+    const raw = JSON.parse(localStorage.getItem(PULL_WATERMARKS_KEY) || "null")
+    if (raw?.userId === userId) {
+      return { userId, tables: raw.tables || {}, tombstones: raw.tombstones || null }
+    }
+  } catch {
+    // fall through to an empty set of watermarks
+  }
+  return { userId, tables: {}, tombstones: null }
+}
+
+function writePullWatermarks(marks) {
+  localStorage.setItem(PULL_WATERMARKS_KEY, JSON.stringify(marks))
+}
+
+/**
+ * Forget all watermarks so the next bootstrap re-downloads everything.
+ */
+export function resetPullWatermarks() {
+  localStorage.removeItem(PULL_WATERMARKS_KEY)
+}
+
+function withOverlap(iso) {
+  const t = new Date(iso).getTime()
+  if (!Number.isFinite(t)) return null
+  return new Date(t - PULL_OVERLAP_MS).toISOString()
+}
+
+function maxTimestamp(rows, field, fallback) {
+  let best = fallback || null
+  let bestMs = best ? new Date(best).getTime() : -Infinity
+  for (const row of rows) {
+    const v = row?.[field]
+    if (!v) continue
+    const ms = new Date(v).getTime()
+    if (Number.isFinite(ms) && ms > bestMs) {
+      best = v
+      bestMs = ms
+    }
+  }
+  return best
+}
+
+async function deltaQuery(table, userId, since, column) {
+  const from = since ? withOverlap(since) : null
+  const rows = []
+  for (let start = 0; ; start += PULL_PAGE_SIZE) {
+    let query = supabase.from(table).select("*").eq("user_id", userId)
+    if (from) query = query.gte(column, from)
+    const { data, error } = await query
+      .order(column, { ascending: true })
+      .order("id", { ascending: true })
+      .range(start, start + PULL_PAGE_SIZE - 1)
+    if (error) return { data: null, error }
+    rows.push(...(data || []))
+    if (!data || data.length < PULL_PAGE_SIZE) return { data: rows, error: null }
+  }
+}
+
+function sortPulled(rows, [field, { ascending }]) {
+  const dir = ascending ? 1 : -1
+  return [...rows].sort((a, b) => dir * String(a?.[field] ?? "").localeCompare(String(b?.[field] ?? "")))
+}
+
+// Missing tombstone table (server not migrated yet): PostgREST PGRST205 / Postgres 42P01.
+function isMissingTableError(error) {
+  const code = String(error?.code || "")
+  return code === "PGRST205" || code === "42P01"
+}
+
+// --------- bootstrap ALL data (game + practice + goals + athletes) on app refresh ----------
 export async function bootstrapAllData() {
+  setSyncStatus({ phase: "pull", table: null })
+  try {
+    const result = await pullAllData()
+    notifyRemoteChange()
+    postSyncMessage({ type: "synced" })
+    return result
+  } catch (err) {
+    recordSyncError(err)
+    throw err
+  } finally {
+    setSyncStatus({ phase: "idle", table: null })
+  }
+}
+
+async function pullAllData() {
   // 1) Check auth
   const { data, error } = await supabase.auth.getUser()
   if (error) throw error
@@ -40,68 +468,88 @@ export async function bootstrapAllData() {
   if (!user) return { user: null }
 
   const userId = user.id
+  const marks = readPullWatermarks(userId)
 
-  // 2) Pull all relevant rows for this user
-  const [
-    { data: gameSessions, error: gameSessErr },
-    { data: gameEvents, error: gameEvErr },
-    { data: practiceSess, error: pracSessErr },
-    { data: practiceEntries, error: pracEntryErr },
-    { data: practiceMarks, error: pracMarkErr },
-  ] = await Promise.all([
-    supabase
-      .from("game_sessions")
-      .select("*")
-      .eq("user_id", userId)
-      .order("date_iso", { ascending: false }),
-
-    supabase
-      .from("game_events")
-      .select("*")
-      .eq("user_id", userId)
-      .order("ts", { ascending: true }),
-
-    supabase
-      .from("practice_sessions")
-      .select("*")
-      .eq("user_id", userId)
-      .order("started_at", { ascending: false }),
+  // 2) Pull rows changed since each table's watermark (everything on first run),
+  //    plus the tombstone feed for server-side deletes.
+  const [pulls, athleteResp, tombstoneResp] = await Promise.all([
+    Promise.all(
+      PULL_TABLES.map((spec) =>
+        deltaQuery(spec.table, userId, marks.tables[spec.table], "updated_at"),
+      ),
+    ),
 
     supabase
-      .from("practice_entries")
+      .from("athlete_profiles")
       .select("*")
       .eq("user_id", userId)
-      .order("ts", { ascending: true }),
+      .order("created_at", { ascending: true }),
 
-    supabase
-      .from("practice_markers")
-      .select("*")
-      .eq("user_id", userId)
-      .order("ts", { ascending: true }),
+    deltaQuery(TOMBSTONES_TABLE, userId, marks.tombstones, "deleted_at"),
   ])
 
-  if (gameSessErr) throw gameSessErr
-  if (gameEvErr) throw gameEvErr
-  if (pracSessErr) throw pracSessErr
-  if (pracEntryErr) throw pracEntryErr
-  if (pracMarkErr) throw pracMarkErr
+  for (const resp of pulls) {
+    if (resp?.error) throw resp.error
+  }
+  if (athleteResp?.error) throw athleteResp.error
+
+  let tombstones = tombstoneResp?.data || []
+  let tombstonesAvailable = true
+  if (tombstoneResp?.error) {
+    if (!isMissingTableError(tombstoneResp.error)) throw tombstoneResp.error
+    console.warn("[sync] tombstone feed unavailable; falling back to full pulls")
+    tombstones = []
+    tombstonesAvailable = false
+  }
 
-  // 3) Store them locally as "clean" (with reconciliation handled in helpers)
+  // 3) Store them locally as "clean". Full pulls also prune local clean rows
+  //    that no longer exist remotely; delta pulls rely on tombstones.
+  const athleteProfiles = athleteResp?.data || []
   await Promise.all([
-    upsertGameSessionsFromRemote(gameSessions || []),
-    upsertGameEventsFromRemote(gameEvents || []),
-    upsertPracticeSessionsFromRemote(practiceSess || []),
-    upsertPracticeEntriesFromRemote(practiceEntries || []),
-    upsertPracticeMarkersFromRemote(practiceMarks || []),
+    ...PULL_TABLES.map((spec, i) => {
+      const prune = !tombstonesAvailable || !marks.tables[spec.table]
+      return spec.apply(sortPulled(pulls[i]?.data || [], spec.order), { prune })
+    }),
+    upsertAthleteProfilesFromRemote(athleteProfiles),
   ])
 
+  // 4) Apply server-side deletes (after the upserts, so a row re-inserted
+  //    since its delete arrives with the newer updated_at)
+  for (const spec of PULL_TABLES) {
+    const feed = tombstones.filter((t) => t?.table_name === spec.table && t.row_id)
+    if (!feed.length) continue
+    const deletedAt = {}
+    for (const t of feed) {
+      if (!deletedAt[t.row_id] || Date.parse(t.deleted_at) > Date.parse(deletedAt[t.row_id])) {
+        deletedAt[t.row_id] = t.deleted_at
+      }
+    }
+    await spec.remove(Object.keys(deletedAt), deletedAt)
+  }
+
+  // 5) Advance watermarks (only when deletes can be tracked)
+  if (tombstonesAvailable) {
+    writePullWatermarks({
+      userId,
+      tables: Object.fromEntries(
+        PULL_TABLES.map((spec, i) => [
+          spec.table,
+          maxTimestamp(pulls[i]?.data || [], "updated_at", marks.tables[spec.table]),
+        ]),
+      ),
+      tombstones: maxTimestamp(tombstones, "deleted_at", marks.tombstones),
+    })
+  } else {
+    resetPullWatermarks()
+  }
+
+  const counts = Object.fromEntries(
+    PULL_TABLES.map((spec, i) => [spec.countKey, pulls[i]?.data?.length ?? 0]),
+  )
   return {
     user,
-    gameSessionsCount: gameSessions?.length ?? 0,
-    gameEventsCount: gameEvents?.length ?? 0,
-    practiceSessionsCount: practiceSess?.length ?? 0,
-    practiceEntriesCount: practiceEntries?.length ?? 0,
-    practiceMarkersCount: practiceMarks?.length ?? 0,
+    ...counts,
+    athleteProfilesCount: athleteProfiles.length,
   }
 }
 
@@ -113,7 +561,9 @@ export async function bootstrapGameData() {
 // --------- internal helpers for push sync ----------
 
 function setLastSyncNow() {
-  localStorage.setItem(LAST_SYNC_KEY, new Date().toISOString())
+  const now = new Date().toISOString()
+  localStorage.setItem(LAST_SYNC_KEY, now)
+  setSyncStatus({ lastSyncAt: now })
 }
 
 async function getUserId() {
@@ -143,6 +593,11 @@ function normalizeHomeAwayValue(v) {
  */
 function sanitizeForUpsert(rows) {
   return rows.map(({ _dirty, _table, _deleted, ...r }) => {
+    // drop any other local-only bookkeeping (e.g. _sync_failed, _sync_error_*)
+    for (const key of Object.keys(r)) {
+      if (key.startsWith("_")) delete r[key]
+    }
+
     // normalize timestamps
     if (typeof r.ts === "number") r.ts = new Date(r.ts).toISOString()
     if (typeof r.started_at === "number")
@@ -163,8 +618,32 @@ function sanitizeForUpsert(rows) {
 
     // ---- practice table whitelists ----
     if (_table === "practice_sessions") {
-      const { id, user_id, athlete_id, date_iso, started_at, ended_at, status } = r
-      return { id, user_id, athlete_id, date_iso, started_at, ended_at, status }
+      const {
+        id,
+        user_id,
+        athlete_id,
+        date_iso,
+        started_at,
+        ended_at,
+        status,
+        timer_work_sec,
+        timer_rest_sec,
+        timer_started_at,
+        timer_index_offset,
+      } = r
+      return {
+        id,
+        user_id,
+        athlete_id,
+        date_iso,
+        started_at,
+        ended_at,
+        status,
+        timer_work_sec: timer_work_sec ?? null,
+        timer_rest_sec: timer_rest_sec ?? null,
+        timer_started_at: timer_started_at ?? null,
+        timer_index_offset: timer_index_offset ?? null,
+      }
     }
 
     if (_table === "practice_entries") {
@@ -181,6 +660,13 @@ function sanitizeForUpsert(rows) {
         attempts,
         makes,
         ts,
+        drill_run_id,
+        drill_step,
+        made,
+        shot_x,
+        shot_y,
+        interval_index,
+        interval_phase,
       } = r
 
       const resolvedContested =
@@ -201,12 +687,82 @@ function sanitizeForUpsert(rows) {
         attempts,
         makes,
         ts,
+        drill_run_id: drill_run_id ?? null,
+        drill_step: drill_step ?? null,
+        made: typeof made === "boolean" ? made : null,
+        shot_x: shot_x ?? null,
+        shot_y: shot_y ?? null,
+        interval_index: interval_index ?? null,
+        interval_phase: interval_phase ?? null,
       }
     }
 
     if (_table === "practice_markers") {
-      const { id, user_id, athlete_id, session_id, label, ts } = r
-      return { id, user_id, athlete_id, session_id, label, ts }
+      const { id, user_id, athlete_id, session_id, label, drill_id, ts } = r
+      return { id, user_id, athlete_id, session_id, label, drill_id: drill_id ?? null, ts }
+    }
+
+    if (_table === "practice_drills") {
+      const { id, user_id, athlete_id, name, steps, created_at } = r
+      return { id, user_id, athlete_id, name, steps, created_at }
+    }
+
+    if (_table === "practice_challenges") {
+      const {
+        id,
+        user_id,
+        athlete_id,
+        session_id,
+        zone_id,
+        shot_type,
+        target_streak,
+        best_streak,
+        attempts,
+        makes,
+        completed,
+        started_at,
+        ended_at,
+      } = r
+      return {
+        id,
+        user_id,
+        athlete_id,
+        session_id,
+        zone_id,
+        shot_type: shot_type ?? null,
+        target_streak,
+        best_streak,
+        attempts,
+        makes,
+        completed: !!completed,
+        started_at,
+        ended_at,
+      }
+    }
+
+    if (_table === "athlete_profiles") {
+      const {
+        id,
+        user_id,
+        first_name,
+        last_name,
+        initials,
+        avatar_color,
+        created_at,
+        updated_at,
+        archived_at,
+      } = r
+      return {
+        id,
+        user_id,
+        first_name,
+        last_name,
+        initials,
+        avatar_color,
+        created_at,
+        updated_at,
+        archived_at,
+      }
     }
 
     return r
@@ -231,55 +787,300 @@ function isNonRetryableRowError(error) {
   return false
 }
 
-async function upsertOne(table, row) {
-  const [cleanRow] = sanitizeForUpsert([row])
-  const { error } = await supabase.from(table).upsert([cleanRow], { onConflict: "id" })
+/**
+ * A multi-row upsert sends the union of the rows' columns, and a row missing
+ * one of them would write NULL there (failing NOT NULL columns, or wiping a
+ * value another device wrote). Rows are sent in groups with the same columns.
+ */
+async function upsertMany(table, rows) {
+  const byColumns = new Map() // sorted column list → rows
+  for (const row of sanitizeForUpsert(rows)) {
+    const columns = Object.keys(row).sort().join(",")
+    if (!byColumns.has(columns)) byColumns.set(columns, [])
+    byColumns.get(columns).push(row)
+  }
+  for (const cleanRows of byColumns.values()) {
+    const { error } = await supabase.from(table).upsert(cleanRows, { onConflict: "id" })
+    if (error) {
+      console.warn(`[sync] upsert error on ${table}`, error, {
+        count: cleanRows.length,
+        sample: cleanRows[0],
+      })
+      throw error
+    }
+  }
+}
+
+async function deleteMany(table, rows) {
+  const ids = rows.map((r) => r?.id).filter(Boolean)
+  if (!ids.length) return
+  const { error } = await supabase.from(table).delete().in("id", ids)
   if (error) {
-    console.warn(`[sync] upsert error on ${table}`, error, { sample: cleanRow })
+    console.warn(`[sync] delete error on ${table}`, error, { count: ids.length, sample: ids[0] })
     throw error
   }
 }
 
-async function deleteOne(table, row) {
-  const id = row?.id
-  if (!id) return
-  const { error } = await supabase.from(table).delete().eq("id", id)
+/**
+ * Insert an athlete created offline (temporary `ath_` id) and return the
+ * id the server assigned.
+ */
+async function insertAthleteProfile(row) {
+  const [{ id: _tempId, ...cleanRow }] = sanitizeForUpsert([row])
+  const { data, error } = await supabase
+    .from("athlete_profiles")
+    .insert([cleanRow])
+    .select("id")
+    .single()
   if (error) {
-    console.warn(`[sync] delete error on ${table}`, error, { sample: id })
+    console.warn(`[sync] insert error on athlete_profiles`, error, { sample: cleanRow })
     throw error
   }
+  return data.id
+}
+
+// Re-point every local row that referenced a temporary athlete id.
+async function remapAthleteIdLocally(tempId, serverId) {
+  await _remapAthleteProfileId(tempId, serverId)
+  await _remapGameAthleteId(tempId, serverId)
+  await _remapPracticeAthleteId(tempId, serverId)
+  await _remapGoalsAthleteId(tempId, serverId)
+}
+
+// Athletes are archived, never deleted, so there is nothing to purge.
+async function noopPurge() {}
+
+// Local store helpers per remote table family
+function localHelpersFor(table) {
+  if (table === "athlete_profiles") {
+    return { markClean: _markCleanAthlete, purgeRow: noopPurge }
+  }
+  if (table.startsWith("practice_")) {
+    return { markClean: _markCleanPractice, purgeRow: _purgePracticeRow }
+  }
+  if (table === "goal_sets" || table === "goals") {
+    return { markClean: _markCleanGoals, purgeRow: _purgeGoalsRow }
+  }
+  return { markClean: _markCleanGame, purgeRow: _purgeGameRow }
 }
 
 /**
- * Single-row push loop.
+ * Change how many rows are sent per push request. Returns the size in effect.
  */
-async function pushAll(userId) {
+export function setPushChunkSize(size) {
+  const n = Math.floor(Number(size))
+  pushChunkSize = Number.isFinite(n) && n > 0 ? n : DEFAULT_PUSH_CHUNK_SIZE
+  return pushChunkSize
+}
+
+function chunk(rows, size) {
+  const out = []
+  for (let i = 0; i < rows.length; i += size) out.push(rows.slice(i, i + size))
+  return out
+}
+
+async function quarantineRow(row, err, markClean) {
+  console.warn(
+    `[sync] non-retryable row rejected; skipping row so later rows can sync`,
+    {
+      table: row._table,
+      id: row.id,
+      code: err?.code,
+      message: err?.message,
+    },
+  )
+
+  await markClean({
+    ...row,
+    _sync_failed: true,
+    _sync_error_code: err?.code ?? null,
+    _sync_error_message: err?.message ?? null,
+    _sync_error_at: new Date().toISOString(),
+  })
+}
+
+/**
+ * Push one batch of same-table rows (all upserts or all deletes).
+ * A batch is applied atomically server-side, so when it is rejected with a
+ * non-retryable error we split it in half until the bad row is isolated,
+ * then quarantine just that row. Retryable errors are re-thrown.
+ */
+async function pushBatch(table, op, rows) {
+  const { markClean, purgeRow } = localHelpersFor(table)
+  try {
+    if (op === "delete") {
+      await deleteMany(table, rows)
+      for (const row of rows) await purgeRow(row)
+    } else {
+      await upsertMany(table, rows)
+      for (const row of rows) {
+        // a re-pushed row that previously failed is no longer quarantined
+        await markClean(isSyncFailed(row) ? { ...row, ...SYNC_FAILURE_RESET } : row)
+      }
+    }
+  } catch (err) {
+    if (!isNonRetryableRowError(err)) throw err
+    if (rows.length === 1) {
+      await quarantineRow(rows[0], err, markClean)
+      return
+    }
+    const mid = Math.ceil(rows.length / 2)
+    await pushBatch(table, op, rows.slice(0, mid))
+    await pushBatch(table, op, rows.slice(mid))
+  }
+}
+
+// The stored row still matches the copy a push started from: same dirty /
+// deleted state, same server timestamps and same tracked fields.
+function unchangedSince(table, pushed, cur) {
+  if (!cur) return false
+  if (!!cur._dirty !== !!pushed._dirty || !!cur._deleted !== !!pushed._deleted) return false
+  if (!sameValue(cur.updated_at, pushed.updated_at)) return false
+  if (!sameValue(cur._base?.updated_at, pushed._base?.updated_at)) return false
+  return CONFLICT_FIELDS[table].every((field) => sameValue(cur[field], pushed[field]))
+}
+
+/**
+ * Before overwriting rows edited elsewhere, compare them with the server copy.
+ * Rows whose server copy moved on are merged onto it; rows with clashing
+ * edits are stored as conflicts and left out of this push.
+ * Only rows that have been synced before (`_base`) can be stale. Each row is
+ * re-read after the server round trip; one edited or pulled in the meantime
+ * is left for the next push instead of being overwritten.
+ */
+async function screenConflicts(table, rows) {
+  const ids = rows.filter((row) => row._base).map((row) => row.id)
+  if (!ids.length) return rows
+
+  const { data, error } = await supabase.from(table).select("*").in("id", ids)
+  if (error) throw error
+  const remoteById = new Map((data || []).map((remote) => [remote.id, remote]))
+
+  const out = []
+  for (const row of rows) {
+    const remote = remoteById.get(row.id)
+    if (!remote) {
+      out.push(row)
+      continue
+    }
+    if (!unchangedSince(table, row, await _getGameLocalRow(row))) continue
+    const next = reconcileWithRemote(table, row, remote)
+    if (next._conflict) {
+      console.warn(`[sync] conflicting edits on ${table}; waiting for the user`, {
+        id: row.id,
+        fields: next._conflict.fields,
+      })
+      await _saveGameConflictRow(next)
+      continue
+    }
+    out.push(next)
+  }
+  return out
+}
+
+// Athletes created offline are inserted one at a time so we learn their ids.
+async function pushTempAthletes(athleteRows, allDirty, rowBackoff) {
+  for (const row of athleteRows) {
+    if (rowBackoff.isHeld(row)) continue
+    const tempId = row.id
+    try {
+      const serverId = await insertAthleteProfile(row)
+      rowBackoff.succeeded([row])
+      await remapAthleteIdLocally(tempId, serverId)
+      for (const other of allDirty) {
+        if (other.athlete_id === tempId) other.athlete_id = serverId
+      }
+    } catch (err) {
+      if (isNonRetryableRowError(err)) {
+        await quarantineRow(row, err, _markCleanAthlete)
+        continue
+      }
+      console.error("[sync] retryable push error (will retry later):", err)
+      recordSyncError(err)
+      if (!navigator.onLine) return false
+      rowBackoff.failed([row])
+    }
+  }
+  return true
+}
+
+/**
+ * Per-row retry delays for one push run. Rows whose delay has not passed
+ * (or whose parent row is waiting / failed this run) are held back.
+ * `force` (manual sync) ignores delays from earlier runs.
+ */
+function createRowBackoff(state, allDirty, { force = false } = {}) {
+  const now = Date.now()
+  const failedThisRun = new Set()
+
+  // forget rows that are no longer waiting to be pushed
+  const live = new Set(allDirty.map(rowKey))
+  for (const key of Object.keys(state.rows)) {
+    if (!live.has(key)) delete state.rows[key]
+  }
+
+  const waiting = (key) =>
+    failedThisRun.has(key) || (!force && (state.rows[key]?.retryAt || 0) > now)
+
+  return {
+    isHeld(row) {
+      if (waiting(rowKey(row))) return true
+      const ref = PARENT_REFS[row._table]
+      if (!ref || row._deleted || !row[ref[1]]) return false
+      return waiting(`${ref[0]}:${row[ref[1]]}`)
+    },
+    failed(rows) {
+      for (const row of rows) {
+        const key = rowKey(row)
+        const attempts = (state.rows[key]?.attempts || 0) + 1
+        state.rows[key] = { attempts, retryAt: Date.now() + backoffDelay(attempts) }
+        failedThisRun.add(key)
+      }
+    },
+    succeeded(rows) {
+      for (const row of rows) delete state.rows[rowKey(row)]
+    },
+  }
+}
+
+/**
+ * Batched push: per table (in rank order) upsert dirty rows then delete
+ * tombstoned rows, `pushChunkSize` rows per request.
+ */
+async function pushAll(userId, backoff, { force = false } = {}) {
   const practiceDirty = toArray(await _allDirtyPractice())
   const gameDirty = toArray(await _allDirtyGame())
+  const goalsDirty = toArray(await _allDirtyGoals())
+  const athleteDirty = toArray(await _allDirtyAthletes())
 
   // attach user_id (required server-side)
-  for (const r of [...practiceDirty, ...gameDirty]) {
+  for (const r of [...athleteDirty, ...practiceDirty, ...gameDirty, ...goalsDirty]) {
     r.user_id = userId
   }
 
   // Stable ordering: sessions before events, then by timestamp-ish fields
   const typeRank = (t) => {
+    if (t === "athlete_profiles") return 0
+    if (t === "practice_drills") return 5
     if (t === "practice_sessions") return 10
     if (t === "practice_entries") return 20
     if (t === "practice_markers") return 30
+    if (t === "practice_challenges") return 35
     if (t === "game_sessions") return 40
     if (t === "game_events") return 50
+    if (t === "goal_sets") return 60
+    if (t === "goals") return 70
     return 99
   }
 
   const tsValue = (row) => {
-    const v = row?.ts || row?.started_at || row?.ended_at || row?.date_iso || null
+    const v = row?.ts || row?.started_at || row?.ended_at || row?.date_iso || row?.created_at || null
     if (!v) return Number.MAX_SAFE_INTEGER
     const d = new Date(v).getTime()
     return Number.isFinite(d) ? d : Number.MAX_SAFE_INTEGER
   }
 
-  const allDirty = [...practiceDirty, ...gameDirty]
+  const allDirty = [...athleteDirty, ...practiceDirty, ...gameDirty, ...goalsDirty]
     .filter((r) => r && r._table && r.id)
     .sort((a, b) => {
       const ra = typeRank(a._table)
@@ -287,98 +1088,169 @@ async function pushAll(userId) {
       if (ra !== rb) return ra - rb
       return tsValue(a) - tsValue(b)
     })
+  setSyncStatus(pendingCounts(allDirty))
+  const rowBackoff = createRowBackoff(backoff, allDirty, { force })
 
-  for (const row of allDirty) {
-    const table = row._table
-    if (!table) continue
+  const tempAthletes = allDirty.filter(
+    (r) => r._table === "athlete_profiles" && !r._deleted && isTempAthleteId(r.id),
+  )
+  if (!(await pushTempAthletes(tempAthletes, allDirty, rowBackoff))) return
 
-    const isPractice = table.startsWith("practice_")
-    const markClean = isPractice ? _markCleanPractice : _markCleanGame
-    const purgeRow = isPractice ? _purgePracticeRow : _purgeGameRow
+  // table → { upsert: [], delete: [] }, in rank order
+  const groups = new Map()
+  for (const row of allDirty) {
+    if (tempAthletes.includes(row)) continue
+    // Waits for the user to resolve it (see sync-conflicts.js).
+    if (row._conflict) continue
+    // Wait until the referenced athlete exists on the server.
+    if (row._table !== "athlete_profiles" && isTempAthleteId(row.athlete_id)) continue
+    if (!groups.has(row._table)) groups.set(row._table, { upsert: [], delete: [] })
+    groups.get(row._table)[row._deleted ? "delete" : "upsert"].push(row)
+  }
 
-    try {
-      if (row._deleted) {
-        await deleteOne(table, row)
-        await purgeRow(row)
-      } else {
-        await upsertOne(table, row)
-        await markClean(row)
+  for (const [table, ops] of groups) {
+    setSyncStatus({ table })
+    for (const op of ["upsert", "delete"]) {
+      // held rows are filtered per pass so children see parents failing this run
+      for (const batch of chunk(ops[op], pushChunkSize)) {
+        const ready = batch.filter((row) => !rowBackoff.isHeld(row))
+        if (!ready.length) continue
+        try {
+          const rows =
+            op === "upsert" && isConflictTracked(table)
+              ? await screenConflicts(table, ready)
+              : ready
+          if (rows.length) await pushBatch(table, op, rows)
+          rowBackoff.succeeded(ready)
+        } catch (err) {
+          console.error("[sync] retryable push error (will retry later):", err)
+          recordSyncError(err)
+          if (!navigator.onLine) return
+          rowBackoff.failed(ready)
+        }
       }
-    } catch (err) {
-      if (isNonRetryableRowError(err)) {
-        console.warn(
-          `[sync] non-retryable row rejected; skipping row so later rows can sync`,
-          {
-            table,
-            id: row.id,
-            code: err?.code,
-            message: err?.message,
-          },
-        )
-
-        await markClean({
-          ...row,
-          _sync_failed: true,
-          _sync_error_code: err?.code ?? null,
-          _sync_error_message: err?.message ?? null,
-          _sync_error_at: new Date().toISOString(),
-        })
+    }
+  }
+}
 
-        continue
-      }
+/**
+ * One push run. Automatic runs respect the global backoff and the circuit
+ * breaker; `force` (manual sync) tries right away.
+ */
+async function doSync({ force = false } = {}) {
+  // another tab runs the engine (see sync-leader.js)
+  if (syncing || !isSyncLeader()) return
+  if (!navigator.onLine) {
+    setSyncStatus({ online: false })
+    await refreshPendingCounts()
+    return
+  }
 
-      console.error("[sync] retryable push error (will retry later):", err)
-      if (!navigator.onLine) break
-      continue
+  if (!force) {
+    const waitUntil = backoffWaitUntil(readBackoff())
+    if (waitUntil > Date.now()) {
+      armRetryTimer(waitUntil)
+      return
     }
   }
-}
 
-async function doSync() {
-  if (syncing) return
-  if (!navigator.onLine) return
   await whenIdbReady()
 
   const userId = await getUserId()
   if (!userId) return
 
   syncing = true
+  runFailed = false
+  const backoff = readBackoff()
+  setSyncStatus({ online: true, phase: "push", table: null })
   try {
-    await pushAll(userId)
+    await pushAll(userId, backoff, { force })
     setLastSyncNow()
   } catch (err) {
     console.error("[sync] push error:", err)
+    recordSyncError(err)
   } finally {
     syncing = false
+    // errors caused by dropping offline are not the server's fault
+    if (navigator.onLine) settleBackoff(backoff, runFailed)
+    writeBackoff(backoff)
+    await refreshPendingCounts()
+    setSyncStatus({
+      phase: "idle",
+      table: null,
+      ...(runFailed ? {} : { lastError: null }),
+      ...backoffStatus(backoff),
+    })
+    const waitUntil = backoffWaitUntil(backoff)
+    if (waitUntil > Date.now()) armRetryTimer(waitUntil)
   }
 }
 
 function scheduleSync() {
   if (scheduled) return
-  scheduled = true
-  setTimeout(() => {
-    scheduled = false
+  scheduled = setTimeout(() => {
+    scheduled = null
     void doSync()
   }, SYNC_DEBOUNCE_MS)
 }
 
+// Messages from other tabs (see sync-leader.js).
+function handleTabMessage(message) {
+  if (message?.type === "mutate") {
+    // another tab wrote to the shared IndexedDB
+    notifyRemoteChange()
+    scheduleSync()
+  } else if (message?.type === "synced") {
+    notifyRemoteChange()
+  } else if (message?.type === "sync-now") {
+    if (isSyncLeader()) void syncAll()
+  } else if (message?.type === "hello") {
+    if (isSyncLeader()) setSyncStatus({})
+  } else if (message?.type === "status") {
+    if (!isSyncLeader()) setSyncStatus(message.status || {})
+  }
+}
+
 export function initAutoSync() {
   if (inited) return
   inited = true
 
+  // only the leader tab pushes; a tab that takes over catches up right away
+  unsubTabs = onSyncMessage(handleTabMessage)
+  startLeaderElection((leader) => {
+    if (leader) scheduleSync()
+  })
+  postSyncMessage({ type: "hello" })
+
+  // delays survive reloads; show them right away
+  setSyncStatus(backoffStatus(readBackoff()))
+
   whenIdbReady().then(() => scheduleSync())
-  unsubLocal = onLocalMutate(() => scheduleSync())
+  unsubLocal = onLocalMutate(() => {
+    postSyncMessage({ type: "mutate" })
+    scheduleSync()
+  })
 
   const authSub = supabase.auth.onAuthStateChange((_e, s) => {
     if (s) scheduleSync()
   })
   unsubAuth = () => authSub?.data?.subscription?.unsubscribe?.()
 
-  onlineHandler = () => scheduleSync()
+  onlineHandler = () => {
+    setSyncStatus({ online: true })
+    scheduleSync()
+  }
+  offlineHandler = () => setSyncStatus({ online: false })
+  // another tab finished a sync
+  storageHandler = (e) => {
+    if (e.key === LAST_SYNC_KEY) setSyncStatus({ lastSyncAt: e.newValue || null })
+  }
   visHandler = () => {
     if (document.visibilityState === "visible") scheduleSync()
   }
   window.addEventListener("online", onlineHandler)
+  window.addEventListener("offline", offlineHandler)
+  window.addEventListener("storage", storageHandler)
   document.addEventListener("visibilitychange", visHandler)
 
   intervalId = window.setInterval(() => scheduleSync(), SYNC_HEARTBEAT_MS)
@@ -391,6 +1263,11 @@ export function teardownAutoSync() {
     unsubLocal()
     unsubLocal = null
   }
+  if (unsubTabs) {
+    unsubTabs()
+    unsubTabs = null
+  }
+  stopLeaderElection()
   if (unsubAuth) {
     unsubAuth()
     unsubAuth = null
@@ -399,6 +1276,14 @@ export function teardownAutoSync() {
     window.removeEventListener("online", onlineHandler)
     onlineHandler = null
   }
+  if (offlineHandler) {
+    window.removeEventListener("offline", offlineHandler)
+    offlineHandler = null
+  }
+  if (storageHandler) {
+    window.removeEventListener("storage", storageHandler)
+    storageHandler = null
+  }
   if (visHandler) {
     document.removeEventListener("visibilitychange", visHandler)
     visHandler = null
@@ -407,11 +1292,24 @@ export function teardownAutoSync() {
     clearInterval(intervalId)
     intervalId = null
   }
+  if (retryTimer) {
+    clearTimeout(retryTimer)
+    retryTimer = null
+  }
+  if (scheduled) {
+    clearTimeout(scheduled)
+    scheduled = null
+  }
   inited = false
 }
 
-// Used by sync-hooks (manual / status-based syncing)
+// Manual "sync now": push local changes, then pull remote ones.
+// In a follower tab the leader does it and reports back with "synced".
 export async function syncAll() {
-  await doSync()
+  if (!isSyncLeader()) {
+    postSyncMessage({ type: "sync-now" })
+    return
+  }
+  await doSync({ force: true })
   await bootstrapAllData()
 }
@@ -1,14 +1,21 @@
 // src/screens/Account.jsx
 import { useEffect, useState } from "react"
 import {
-  addAthlete,
   getActiveAthleteId,
   listAthletes,
-  replaceAthletes,
 } from "../lib/athlete-db"
-import { updateAthleteProfile } from "../lib/athlete-profiles-db"
+import {
+  createAthleteProfile,
+  updateAthleteProfile,
+} from "../lib/athlete-profiles-db"
+import { countSyncFailures } from "../lib/sync-failures"
+import { countSyncConflicts } from "../lib/sync-conflicts"
+import SyncIssues from "../components/SyncIssues"
+import SyncConflicts from "../components/SyncConflicts"
+import SituationTagSettings from "../components/SituationTagSettings"
+import { useSyncStatus } from "../lib/sync-hooks"
 
-const LAST_SYNC_KEY = "nm_last_sync" // kept in sync with lib/sync.js
+const PHASE_LABELS = { push: "Sending changes", pull: "Downloading updates" }
 const COLOR_OPTIONS = [
   "#FDE68A",
   "#FBCFE8",
@@ -29,9 +36,9 @@ function isValidHex(value) {
   return /^#[0-9A-Fa-f]{6}$/.test(String(value || ""))
 }
 
-export default function Account({ onSignOut }){
-  const [lastSync, setLastSync] = useState(localStorage.getItem(LAST_SYNC_KEY) || null)
-  const [online, setOnline] = useState(navigator.onLine)
+export default function Account({ onSignOut, onOpenSyncTarget }){
+  const syncStatus = useSyncStatus()
+  const { online, lastSyncAt, pendingTotal, conflictTotal, lastError, nextRetryAt, circuitOpenUntil } = syncStatus
   const [tab, setTab] = useState("profile")
   const [athletes, setAthletes] = useState(() => listAthletes())
   const [activeAthleteId, setActiveAthleteId] = useState(() => getActiveAthleteId() || "")
@@ -40,24 +47,27 @@ export default function Account({ onSignOut }){
   const [draftLastName, setDraftLastName] = useState("")
   const [draftColor, setDraftColor] = useState("#BFDBFE")
   const [editError, setEditError] = useState("")
+  const [syncIssueCount, setSyncIssueCount] = useState(0)
+  const [conflictCount, setConflictCount] = useState(0)
+  const syncAttentionCount = syncIssueCount + conflictCount
 
+  // Recount after every sync and whenever the queue changes, not only on tab switches
   useEffect(() => {
-    // update when other tabs write a newer sync time
-    function onStorage(e){
-      if(e.key === LAST_SYNC_KEY) setLastSync(e.newValue)
-    }
-    function onOnline(){ setOnline(true) }
-    function onOffline(){ setOnline(false) }
-
-    window.addEventListener("storage", onStorage)
-    window.addEventListener("online", onOnline)
-    window.addEventListener("offline", onOffline)
+    let cancelled = false
+    countSyncFailures()
+      .then((count) => {
+        if (!cancelled) setSyncIssueCount(count)
+      })
+      .catch((err) => console.warn("[Account] countSyncFailures error:", err))
+    countSyncConflicts()
+      .then((count) => {
+        if (!cancelled) setConflictCount(count)
+      })
+      .catch((err) => console.warn("[Account] countSyncConflicts error:", err))
     return () => {
-      window.removeEventListener("storage", onStorage)
-      window.removeEventListener("online", onOnline)
-      window.removeEventListener("offline", onOffline)
+      cancelled = true
     }
-  }, [])
+  }, [tab, lastSyncAt, pendingTotal, conflictTotal])
 
   function startEdit(athlete) {
     setEditingAthleteId(athlete.id)
@@ -108,7 +118,6 @@ export default function Account({ onSignOut }){
         : athlete,
       )
 
-      replaceAthletes(next)
       setAthletes(next)
       setEditingAthleteId(null)
       setEditError("")
@@ -117,9 +126,9 @@ export default function Account({ onSignOut }){
     }
   }
 
-  function handleAddAthlete() {
+  async function handleAddAthlete() {
     try {
-      const created = addAthlete({
+      const created = await createAthleteProfile({
         firstName: "New",
         lastName: "Athlete",
         avatarColor: "#BFDBFE",
@@ -151,19 +160,91 @@ export default function Account({ onSignOut }){
         >
           Athletes
         </button>
+        <button
+          type="button"
+          onClick={() => setTab("tags")}
+          className={"time-pill" + (tab === "tags" ? " time-pill--active" : "")}
+        >
+          Tags
+        </button>
+        <button
+          type="button"
+          onClick={() => setTab("sync")}
+          className={"time-pill" + (tab === "sync" ? " time-pill--active" : "")}
+        >
+          Sync
+          {syncAttentionCount > 0 && (
+            <span
+              className="ml-1 inline-flex min-w-[1.25rem] items-center justify-center rounded-full bg-red-600 px-1 text-[11px] font-semibold text-white"
+              aria-label={`${syncAttentionCount} sync issues`}
+            >
+              {syncAttentionCount}
+            </span>
+          )}
+        </button>
       </div>
 
       {tab === "profile" && (
         <>
           <div className="card space-y-1">
             <div className="text-sm text-slate-600">Sync status: <span className={online ? "text-green-600" : "text-orange-600"}>{online ? "Online" : "Offline"}</span></div>
-            <div className="text-sm text-slate-600">Last sync: {lastSync ? new Date(lastSync).toLocaleString() : "—"}</div>
+            {PHASE_LABELS[syncStatus.phase] && (
+              <div className="text-sm text-sky-700">
+                {PHASE_LABELS[syncStatus.phase]}{syncStatus.table ? ` (${syncStatus.table})` : ""}…
+              </div>
+            )}
+            <div className="text-sm text-slate-600">Last sync: {lastSyncAt ? new Date(lastSyncAt).toLocaleString() : "—"}</div>
+            <div className="text-sm text-slate-600">Pending changes: {pendingTotal || 0}</div>
+            {circuitOpenUntil && (
+              <div className="text-xs text-red-600">
+                Sync paused after repeated server errors until {new Date(circuitOpenUntil).toLocaleTimeString()}.
+              </div>
+            )}
+            {lastError && (
+              <div className="text-xs text-red-600">
+                Last error: {lastError.message}
+                {nextRetryAt ? ` · retrying ${new Date(nextRetryAt).toLocaleTimeString()}` : ""}
+              </div>
+            )}
             <div className="text-xs text-slate-500">All changes sync automatically when online.</div>
+            {syncIssueCount > 0 && (
+              <button
+                type="button"
+                onClick={() => setTab("sync")}
+                className="mt-1 inline-flex items-center gap-2 text-sm font-semibold text-red-700"
+              >
+                <span className="inline-flex min-w-[1.25rem] items-center justify-center rounded-full bg-red-600 px-1 text-[11px] text-white">
+                  {syncIssueCount}
+                </span>
+                {syncIssueCount === 1 ? "change could not sync" : "changes could not sync"}
+              </button>
+            )}
+            {conflictCount > 0 && (
+              <button
+                type="button"
+                onClick={() => setTab("sync")}
+                className="mt-1 inline-flex items-center gap-2 text-sm font-semibold text-amber-700"
+              >
+                <span className="inline-flex min-w-[1.25rem] items-center justify-center rounded-full bg-amber-500 px-1 text-[11px] text-white">
+                  {conflictCount}
+                </span>
+                {conflictCount === 1 ? "edit needs review" : "edits need review"}
+              </button>
+            )}
           </div>
           <button className="btn w-full" onClick={onSignOut}>Sign Out</button>
         </>
       )}
 
+      {tab === "sync" && (
+        <div className="space-y-4">
+          <SyncConflicts onCountChange={setConflictCount} />
+          <SyncIssues onCountChange={setSyncIssueCount} onEdit={onOpenSyncTarget} />
+        </div>
+      )}
+
+      {tab === "tags" && <SituationTagSettings />}
+
       {tab === "athletes" && (
         <div className="space-y-3">
           <div className="flex items-center justify-between">
@@ -8,6 +8,15 @@ import {
   listGameEventsBySession,
   endGameSession,
 } from "../lib/game-db"
+import {
+  computeDefenderSplits,
+  computeLineupSplits,
+  computeHalfSplits,
+  computePeriodBoxScores,
+} from "../lib/performance-db"
+import { aggregateGameEvents } from "../lib/goal-metrics"
+import { foulLimitFor } from "../constants/gameStats"
+import { eventShotPoint } from "../constants/shotLocation"
 import "../styles/GameLogger.css"
 import { ArrowLeft } from "lucide-react"
 
@@ -60,7 +69,8 @@ function toPercentAnchors(arr, mode, imgW, imgH) {
 
 /**
  * Compute a small radial offset (in px) for a given shot index in a zone.
- * This keeps shots near the anchor but slightly separated visually.
+ * Only shots without a stored location use it: it keeps them near the
+ * anchor but slightly separated visually.
  */
 function computeRadialOffset(index, total, radius = 10) {
   if (total <= 1) return { dx: 0, dy: 0 }
@@ -96,11 +106,21 @@ export default function GameDetail({ id: gameId, navigate }) {
     return m
   }, [])
 
-  // Group shot events by zone so we can apply per-zone jitter
+  // Shots with a stored location plot where they were taken
+  const locatedShots = useMemo(
+    () =>
+      (events || [])
+        .filter((e) => e.type === "shot")
+        .map((e) => ({ e, point: eventShotPoint(e) }))
+        .filter((s) => s.point),
+    [events]
+  )
+
+  // Older shots are grouped by zone so we can apply per-zone jitter
   const shotsByZone = useMemo(() => {
     const map = new Map()
     ;(events || []).forEach((e) => {
-      if (e.type !== "shot" || !e.zone_id) return
+      if (e.type !== "shot" || !e.zone_id || eventShotPoint(e)) return
       if (!map.has(e.zone_id)) map.set(e.zone_id, [])
       map.get(e.zone_id).push(e)
     })
@@ -147,66 +167,32 @@ export default function GameDetail({ id: gameId, navigate }) {
 
   // basic stats (match GameLogger)
   const stats = useMemo(() => {
-    let assists = 0,
-      rebounds = 0,
-      steals = 0
-    let ftMakes = 0,
-      ftAtt = 0
-    let fgm = 0,
-      fga = 0,
-      threesMade = 0
-  
-    for (const e of events) {
-      switch (e.type) {
-        case "assist":
-          assists++
-          break
-        case "rebound":
-          rebounds++
-          break
-        case "steal":
-          steals++
-          break
-        case "freethrow":
-          ftAtt++
-          if (e.made) ftMakes++
-          break
-        case "shot":
-          fga++
-          if (e.made) {
-            fgm++
-            if (e.is_three) threesMade++
-          }
-          break
-        default:
-          break
-      }
-    }
-  
-    const fgPct = fga ? Math.round((fgm / fga) * 100) : 0
-    const efgPct = fga
-      ? Math.round(((fgm + 0.5 * threesMade) / fga) * 100)
-      : 0
-  
-    const twoPtMakes = fgm - threesMade
-    const threePtMakes = threesMade
-    const totalPoints = twoPtMakes * 2 + threePtMakes * 3 + ftMakes
-  
+    const agg = aggregateGameEvents(events, { sessions: game ? [game] : [] })
     return {
-      assists,
-      rebounds,
-      steals,
-      ftMakes,
-      ftAtt,
-      fgm,
-      fga,
-      fgPct,
-      efgPct,
-      twoPtMakes,
-      threePtMakes,
-      totalPoints,
+      ...agg,
+      fgPct: Math.round(agg.fgPct),
+      efgPct: Math.round(agg.efgPct),
+      twoPtMakes: agg.fgm - agg.threesMade,
+      threePtMakes: agg.threesMade,
     }
-  }, [events])
+  }, [events, game])
+
+  const periodRows = useMemo(() => computePeriodBoxScores(events, game), [events, game])
+  const halfSplits = useMemo(() => computeHalfSplits(events, game), [events, game])
+  const hasPeriodData = (events || []).some((e) => e.period)
+  const defenderRows = useMemo(() => computeDefenderSplits(events, game), [events, game])
+  const lineupRows = useMemo(() => computeLineupSplits(events, game), [events, game])
+  const assistZoneRows = useMemo(
+    () =>
+      Array.from(stats.assistZones.entries())
+        .map(([zoneId, count]) => ({
+          zoneId,
+          count,
+          label: zoneMap.get(zoneId)?.label || zoneId,
+        }))
+        .sort((a, b) => b.count - a.count),
+    [stats, zoneMap],
+  )
 
   function getShotColor(event) {
     const type = (event.shot_type || event.shotType || "").toLowerCase()
@@ -370,7 +356,25 @@ export default function GameDetail({ id: gameId, navigate }) {
           onLoad={onImgLoad}
         />
         <div className="absolute inset-0">
-          {/* For each zone, plot all its shots with a small radial offset */}
+          {locatedShots.map(({ e, point }) => (
+            <div
+              key={`pt-${e.id}`}
+              className="zone-marker zone-marker-detail"
+              style={{ left: `${point.x * 100}%`, top: `${point.y * 100}%` }}
+              aria-label={`${zoneMap.get(e.zone_id)?.label || e.zone_id} ${e.made ? "make" : "miss"}`}
+            >
+              <MdSportsBasketball
+                color={getShotColor(e)}
+                style={{
+                  width: 22,
+                  height: 22,
+                  filter: "drop-shadow(0 0 1px rgba(0,0,0,0.25))",
+                }}
+              />
+            </div>
+          ))}
+
+          {/* Older shots: all of a zone's shots around its anchor */}
           {Array.from(shotsByZone.entries()).map(([zoneId, shots]) => {
             const anchor = pctAnchors.find((a) => a.id === zoneId)
             if (!anchor) return null
@@ -426,7 +430,12 @@ export default function GameDetail({ id: gameId, navigate }) {
         <div className="grid grid-cols-2 gap-3">
           <StatCard label="Assists" value={stats.assists} />
           <StatCard label="Rebounds" value={stats.rebounds} />
+          <StatCard label="Off / Def Reb" value={`${stats.offRebounds} / ${stats.defRebounds}`} />
           <StatCard label="Steals" value={stats.steals} />
+          <StatCard label="Blocks" value={stats.blocks} />
+          <StatCard label="Turnovers" value={stats.turnovers} />
+          <StatCard label="AST/TO" value={stats.assistTurnoverRatio.toFixed(2)} />
+          <StatCard label="Fouls" value={`${stats.fouls} / ${foulLimitFor(game)}`} />
           <StatCard
             label="Freethrows"
             value={`${stats.ftMakes} / ${stats.ftAtt}`}
@@ -436,9 +445,144 @@ export default function GameDetail({ id: gameId, navigate }) {
           <StatCard label="Misses" value={stats.fga - stats.fgm} />
           <StatCard label="FG%" value={`${stats.fgPct}%`} />
           <StatCard label="eFG%" value={`${stats.efgPct}%`} tint="sky" />
+          <StatCard
+            label="Assisted FG%"
+            value={splitPct(stats.assistedFgm, stats.assistedFga)}
+          />
+          <StatCard
+            label="Self-created FG%"
+            value={splitPct(stats.selfCreatedFgm, stats.selfCreatedFga)}
+          />
         </div>
       </section>
 
+      {/* Where teammates scored off this player's assists */}
+      {assistZoneRows.length > 0 && (
+        <section className="section mt-3">
+          <h3 className="text-sm font-semibold text-slate-700 mb-2">Assists by Zone</h3>
+
+          <div className="relative w-full rounded-2xl overflow-hidden border border-slate-200 bg-white">
+            <img
+              src="/court-half.svg"
+              alt="Assists by zone court"
+              className="block w-full h-auto select-none pointer-events-none"
+              onLoad={onImgLoad}
+            />
+            <div className="absolute inset-0">
+              {assistZoneRows.map((row) => {
+                const anchor = pctAnchors.find((a) => a.id === row.zoneId)
+                if (!anchor) return null
+                return (
+                  <div
+                    key={`ast-${row.zoneId}`}
+                    className="absolute -translate-x-1/2 -translate-y-1/2 min-w-6 h-6 px-1.5 rounded-full bg-sky-600 text-white text-xs font-semibold flex items-center justify-center shadow"
+                    style={{ left: `${anchor.leftPct}%`, top: `${anchor.topPct}%` }}
+                    aria-label={`${row.label}: ${row.count} ${row.count === 1 ? "assist" : "assists"}`}
+                  >
+                    {row.count}
+                  </div>
+                )
+              })}
+            </div>
+          </div>
+        </section>
+      )}
+
+      {/* Per-period box score */}
+      {hasPeriodData && (
+        <section className="section mt-3">
+          <h3 className="text-sm font-semibold text-slate-700 mb-2">By Period</h3>
+
+          <div className="grid grid-cols-2 gap-3 mb-3">
+            <HalfCard label="1st Half" line={halfSplits.first} />
+            <HalfCard label="2nd Half" line={halfSplits.second} />
+          </div>
+
+          <table className="w-full rounded-xl border border-slate-200 bg-white text-sm">
+            <thead>
+              <tr className="text-[11px] uppercase tracking-wide text-slate-500">
+                <th className="px-2 py-1 text-left font-medium">Period</th>
+                <th className="px-2 py-1 text-center font-medium">FG</th>
+                <th className="px-2 py-1 text-center font-medium">3PT</th>
+                <th className="px-2 py-1 text-center font-medium">FT</th>
+                <th className="px-2 py-1 text-right font-medium">PTS</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-200">
+              {periodRows.map((row) => (
+                <tr key={row.period ?? "untagged"} className="text-slate-700">
+                  <td className="px-2 py-1 font-medium text-slate-900">{row.label}</td>
+                  <td className="px-2 py-1 text-center">{row.fgm}/{row.fga}</td>
+                  <td className="px-2 py-1 text-center">{row.threesMade}/{row.threesAtt}</td>
+                  <td className="px-2 py-1 text-center">{row.ftm}/{row.fta}</td>
+                  <td className="px-2 py-1 text-right font-semibold text-slate-900">{row.points}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      )}
+
+      {/* Shooting vs defender (games with tagged defenders) */}
+      {defenderRows.length > 0 && (
+        <section className="section mt-3">
+          <h3 className="text-sm font-semibold text-slate-700 mb-2">Shooting vs Defender</h3>
+
+          <table className="w-full rounded-xl border border-slate-200 bg-white text-sm">
+            <thead>
+              <tr className="text-[11px] uppercase tracking-wide text-slate-500">
+                <th className="px-2 py-1 text-left font-medium">Defender</th>
+                <th className="px-2 py-1 text-center font-medium">FG</th>
+                <th className="px-2 py-1 text-center font-medium">3PT</th>
+                <th className="px-2 py-1 text-center font-medium">FG%</th>
+                <th className="px-2 py-1 text-right font-medium">PTS</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-200">
+              {defenderRows.map((row) => (
+                <tr key={row.defenderId ?? "untagged"} className="text-slate-700">
+                  <td className="px-2 py-1 font-medium text-slate-900">{row.label}</td>
+                  <td className="px-2 py-1 text-center">{row.fgm}/{row.fga}</td>
+                  <td className="px-2 py-1 text-center">{row.threesMade}/{row.threesAtt}</td>
+                  <td className="px-2 py-1 text-center">{Math.round(row.fgPct)}%</td>
+                  <td className="px-2 py-1 text-right font-semibold text-slate-900">{row.points}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      )}
+
+      {/* Shooting by lineup (games with tagged lineups) */}
+      {lineupRows.length > 0 && (
+        <section className="section mt-3">
+          <h3 className="text-sm font-semibold text-slate-700 mb-2">Shooting by Lineup</h3>
+
+          <table className="w-full rounded-xl border border-slate-200 bg-white text-sm">
+            <thead>
+              <tr className="text-[11px] uppercase tracking-wide text-slate-500">
+                <th className="px-2 py-1 text-left font-medium">On floor with</th>
+                <th className="px-2 py-1 text-center font-medium">FG</th>
+                <th className="px-2 py-1 text-center font-medium">3PT</th>
+                <th className="px-2 py-1 text-center font-medium">FG%</th>
+                <th className="px-2 py-1 text-right font-medium">PTS</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-200">
+              {lineupRows.map((row) => (
+                <tr key={row.lineupKey ?? "untagged"} className="text-slate-700">
+                  <td className="px-2 py-1 font-medium text-slate-900">{row.label}</td>
+                  <td className="px-2 py-1 text-center">{row.fgm}/{row.fga}</td>
+                  <td className="px-2 py-1 text-center">{row.threesMade}/{row.threesAtt}</td>
+                  <td className="px-2 py-1 text-center">{Math.round(row.fgPct)}%</td>
+                  <td className="px-2 py-1 text-right font-semibold text-slate-900">{row.points}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      )}
+
       {/* Shot Attempts Log */}
       <section className="section mt-3">
         <h3 className="text-sm font-semibold text-slate-700 mb-2">
@@ -488,7 +632,27 @@ export default function GameDetail({ id: gameId, navigate }) {
   )
 }
 
+function HalfCard({ label, line }) {
+  return (
+    <div className="rounded-2xl border border-slate-200 bg-white px-4 py-3" aria-label={`${label} shooting`}>
+      <div className="text-slate-500 text-sm">{label}</div>
+      <div className="text-slate-900 font-semibold text-xl">
+        {line.fga ? `${Math.round(line.fgPct)}%` : "—"}
+      </div>
+      <div className="text-xs text-slate-500">
+        {line.fgm}/{line.fga} FG · eFG {line.fga ? `${Math.round(line.efgPct)}%` : "—"}
+      </div>
+    </div>
+  )
+}
+
 /* same simple card used in GameLogger */
+// "67% (2/3)", or a dash when nothing was tagged
+function splitPct(made, att) {
+  if (!att) return "—"
+  return `${Math.round((made / att) * 100)}% (${made}/${att})`
+}
+
 function StatCard({ label, value, tint }) {
   const tintClass =
     tint === "peach"
@@ -7,6 +7,7 @@ import {
   endGameSession,
   deleteGameSession,
 } from "../lib/game-db"
+import { onRemoteChange } from "../lib/sync-notify"
 
 export default function GameGate({ navigate }) {
   const [sessions, setSessions] = useState([])
@@ -25,6 +26,8 @@ export default function GameGate({ navigate }) {
   useEffect(() => {
     void refresh()
   }, [])
+  // another tab or a pull changed the games
+  useEffect(() => onRemoteChange(() => void refresh()), [])
 
   // ---------- derived ----------
   const previous = useMemo(
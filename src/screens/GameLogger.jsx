@@ -2,16 +2,42 @@ import React, { useEffect, useMemo, useRef, useState } from "react"
 import { SHOT_TYPES, PICKUP_TYPES, FINISH_TYPES } from "../constants/shotTypes"
 import { ZONES } from "../constants/zones"
 import { ZONE_ANCHORS } from "../constants/zoneAnchors"
+import { formatGameClock, parseGameClock, periodLabel } from "../constants/periods"
+import { REBOUND_TYPES, foulLimitFor, foulStatus } from "../constants/gameStats"
+import { plotPointForEvent, pointFromTap, zoneAnchorPoint } from "../constants/shotLocation"
+import {
+  classifyPoint,
+  courtSpecForSession,
+  shotIsThree,
+  zoneIsThree,
+} from "../constants/courtGeometry"
+import { rosterPlayerLabel } from "../constants/opponentRoster"
+import { MAX_LINEUP_TEAMMATES, normalizeLineup } from "../constants/lineups"
+import { situationTagList, toggleSituationTag } from "../constants/situationTags"
+import { aggregateGameEvents } from "../lib/goal-metrics"
 import {
   endGameSession,
   getGameSession,
   listGameEventsBySession,
-  addGameEvent,
+  setGameLineup,
+  setGamePeriod,
 } from "../lib/game-db"
-import { X, Target, Hand, Plus, ArrowLeft } from "lucide-react"
+import {
+  addGameEventWithHistory,
+  clearGameHistory,
+  deleteGameEventWithHistory,
+  getGameHistory,
+  onGameHistoryChange,
+  redoGameAction,
+  undoGameAction,
+} from "../lib/game-history"
+import { loadSituationTagGroups } from "../lib/situation-tag-settings"
+import { X, Target, Hand, Plus, ArrowLeft, Shield, Shuffle, Flag } from "lucide-react"
 import { MdSportsBasketball } from "react-icons/md"
 import "../styles/GameLogger.css"
 
+const FIELD_GOAL_ZONES = ZONES.filter((z) => z.id !== "free_throw")
+
 /* ---------------------------------------------------------
    Anchor helpers (handles object map or array inputs)
 --------------------------------------------------------- */
@@ -62,7 +88,10 @@ function toPercentAnchors(arr, mode, imgW, imgH) {
 /* ---------------------------------------------------------
    List row description
 --------------------------------------------------------- */
-function describeAttemptRow(e, zoneMap, shotTypeLabelById) {
+function describeAttemptRow(e, zoneMap, shotTypeLabelById, game) {
+  const when = e.period
+    ? [periodLabel(e.period, game), formatGameClock(e.game_clock_seconds)].filter(Boolean).join(" ")
+    : ""
   if (e.type === "freethrow") {
     const zoneLabel = e.zone_id
       ? zoneMap.get(e.zone_id)?.label || e.zone_id
@@ -70,9 +99,10 @@ function describeAttemptRow(e, zoneMap, shotTypeLabelById) {
     return {
       left: "Freethrow",
       mid: zoneLabel,
-      sub: "",
+      sub: e.parent_event_id ? "Shooting foul" : "",
       right: e.made ? "Make" : "Miss",
       isMade: !!e.made,
+      when,
     }
   }
 
@@ -82,13 +112,15 @@ function describeAttemptRow(e, zoneMap, shotTypeLabelById) {
   const shotType = shotTypeLabelById.get(shotTypeId) || shotTypeId || ""
   const shotValue = e.is_three ? "3 pointer" : "2 pointer"
   const result = e.made ? "Make" : "Miss"
+  const foulNote = e.fouled ? (e.made ? "And-one" : "Fouled") : ""
 
   return {
     left: shotValue,
     mid: zoneLabel,
-    sub: shotType,
+    sub: [shotType, foulNote].filter(Boolean).join(" · "),
     right: result,
     isMade: !!e.made,
+    when,
   }
 }
 
@@ -104,9 +136,19 @@ export default function GameLogger({ id: gameId, navigate }) {
   // shotModal supports NEW + EDIT via eventId
   const [shotModal, setShotModal] = useState(null)
   const [ftModalOpen, setFtModalOpen] = useState(false)
+  const [reboundSheetOpen, setReboundSheetOpen] = useState(false)
+  const [assistSheetOpen, setAssistSheetOpen] = useState(false)
+  // Free throws owed after a shooting foul: { parentId, total, index, period, clock }
+  const [ftSequence, setFtSequence] = useState(null)
+  // Undo/redo for this game (see lib/game-history)
+  const [history, setHistory] = useState(() => getGameHistory(gameId))
+  const [historyBusy, setHistoryBusy] = useState(false)
+  const [historyError, setHistoryError] = useState("")
   const imgRef = useRef(null)
   const [teamScore, setTeamScore] = useState("")
   const [oppScore, setOppScore] = useState("")
+  // optional game clock ("m:ss") applied to the next logged event
+  const [clockText, setClockText] = useState("")
 
   // Court sizing / anchors
   const [imgNatural, setImgNatural] = useState({ w: 0, h: 0 })
@@ -164,6 +206,11 @@ export default function GameLogger({ id: gameId, navigate }) {
     void refresh()
   }, [gameId])
 
+  useEffect(() => {
+    setHistory(getGameHistory(gameId))
+    return onGameHistoryChange(() => setHistory(getGameHistory(gameId)))
+  }, [gameId])
+
   // read image intrinsic size (once on load)
   function onImgLoad(e) {
     const img = e.currentTarget
@@ -178,106 +225,127 @@ export default function GameLogger({ id: gameId, navigate }) {
     return `${g.team_name} vs ${g.opponent_name} · ${ha} · ${g.level || ""}`.replace(/\s·\s$/, "")
   }
 
-  // Live stats (includes forced turnovers)
+  // Live stats (shared with GameDetail + goal metrics)
   const stats = useMemo(() => {
-    let assists = 0,
-      rebounds = 0,
-      steals = 0,
-      forcedTO = 0
-    let ftMakes = 0,
-      ftAtt = 0
-    let fgm = 0,
-      fga = 0,
-      threesMade = 0
-
-    for (const e of events) {
-      switch (e.type) {
-        case "assist":
-          assists++
-          break
-        case "rebound":
-          rebounds++
-          break
-        case "steal":
-          steals++
-          break
-        case "forced_turnover":
-          forcedTO++
-          break
-        case "freethrow":
-          ftAtt++
-          if (e.made) ftMakes++
-          break
-        case "shot":
-          fga++
-          if (e.made) {
-            fgm++
-            if (e.is_three) threesMade++
-          }
-          break
-        default:
-          break
-      }
+    const agg = aggregateGameEvents(events, { sessions: game ? [game] : [] })
+    const twoPtMakes = agg.fgm - agg.threesMade
+    return {
+      ...agg,
+      fgPct: Math.round(agg.fgPct),
+      efgPct: Math.round(agg.efgPct),
+      twoPtMakes,
+      threePtMakes: agg.threesMade,
     }
+  }, [events, game])
 
-    const fgPct = fga ? Math.round((fgm / fga) * 100) : 0
-    const efgPct = fga
-      ? Math.round(((fgm + 0.5 * threesMade) / fga) * 100)
-      : 0
+  const foulLimit = foulLimitFor(game)
+  const foulTrouble = foulStatus(stats.fouls, foulLimit)
 
-    const twoPtMakes = fgm - threesMade
-    const threePtMakes = threesMade
-    const totalPoints = twoPtMakes * 2 + threePtMakes * 3 + ftMakes
+  // Period + clock tags for a new event. Legacy games without a period start in period 1.
+  const currentPeriod = game?.current_period || 1
 
+  function newEventTiming() {
+    const seconds = parseGameClock(clockText)
     return {
-      assists,
-      rebounds,
-      steals,
-      forcedTO,
-      ftMakes,
-      ftAtt,
-      fgm,
-      fga,
-      fgPct,
-      efgPct,
-      twoPtMakes,
-      threePtMakes,
-      totalPoints,
+      period: currentPeriod,
+      ...(seconds != null ? { game_clock_seconds: seconds } : {}),
     }
-  }, [events])
+  }
+
+  // Teammates on the floor (games with a team roster); new shots carry them
+  const teamRoster = Array.isArray(game?.team_roster) ? game.team_roster : []
+  const currentLineup = normalizeLineup(game?.current_lineup, teamRoster)
+
+  async function toggleOnFloor(playerId) {
+    if (!game) return
+    const next = currentLineup.includes(playerId)
+      ? currentLineup.filter((id) => id !== playerId)
+      : [...currentLineup, playerId]
+    const updated = await setGameLineup(game.id, next)
+    if (updated) setGame(updated)
+  }
+
+  async function changePeriod(next) {
+    if (!game || next < 1) return
+    const updated = await setGamePeriod(game.id, next)
+    if (updated) setGame(updated)
+    setClockText("")
+  }
 
   // Actions
-  async function logQuick(type) {
-    await addGameEvent({ game_id: gameId, mode: "game", type, ts: Date.now() })
+  async function logQuick(type, extra = {}) {
+    await addGameEventWithHistory({ game_id: gameId, mode: "game", type, ...extra, ...newEventTiming(), ts: Date.now() })
+    setClockText("")
     await refresh()
   }
 
+  async function logRebound(reboundType) {
+    setReboundSheetOpen(false)
+    await logQuick("rebound", { rebound_type: reboundType })
+  }
+
+  // Assists may record the zone the teammate scored from
+  async function logAssist(zoneId = null) {
+    setAssistSheetOpen(false)
+    await logQuick("assist", { zone_id: zoneId })
+  }
+
   async function logFreeThrow(made) {
-    await addGameEvent({
+    await addGameEventWithHistory({
       game_id: gameId,
       mode: "game",
       type: "freethrow",
       made,
+      ...newEventTiming(),
       ts: Date.now(),
     })
     setFtModalOpen(false)
+    setClockText("")
     await refresh()
   }
 
-  function openShot(zoneId) {
+  // Three-point calls follow the game's court (high school, college, ...)
+  const courtSpec = courtSpecForSession(game)
+
+  function openShot(zoneId, shotPoint = null, isThree = zoneIsThree(zoneId, courtSpec)) {
     const z = zoneMap.get(zoneId)
     setShotModal({
       eventId: null, // NEW shot
       zoneId,
       zoneLabel: z?.label || zoneId,
-      isThree: !!z?.isThree,
+      isThree: !!isThree,
+      shotPoint, // { x, y } court fractions
       shotTypeId: null, // must pick
       contested: false,
       pickupType: null,
       finishType: null,
+      fouled: false,
+      defenderId: null,
+      situationTags: [],
+      assisted: null,
     })
   }
 
+  // Tap anywhere on the court: keep the exact spot and classify it on the court
+  function onCourtTap(e) {
+    if (e.target !== e.currentTarget) return // zone buttons handle their own taps
+    const point = pointFromTap(e.clientX, e.clientY, e.currentTarget.getBoundingClientRect())
+    const spot = point && classifyPoint(point.x, point.y, courtSpec)
+    if (!spot) return
+    openShot(spot.zoneId, point, spot.isThree)
+  }
+
+  // Tap on a zone target: exact spot when there is one (keyboard clicks have
+  // no position), else the zone's anchor. Two or three follows the stored
+  // spot, as shotIsThree reads it back.
+  function onZoneTap(e, zoneId) {
+    const rect = e.currentTarget.parentElement?.getBoundingClientRect()
+    const tap = e.detail > 0 ? pointFromTap(e.clientX, e.clientY, rect) : null
+    const point = tap || zoneAnchorPoint(zoneId)
+    const spot = point && classifyPoint(point.x, point.y, courtSpec)
+    openShot(zoneId, point, spot ? spot.isThree : zoneIsThree(zoneId, courtSpec))
+  }
+
   // EDIT: clicking a shot row loads it into the modal (no pencil icon)
   function openEditShotEvent(ev) {
     if (!ev || ev.type !== "shot") return
@@ -286,11 +354,15 @@ export default function GameLogger({ id: gameId, navigate }) {
       eventId: ev.id, // EDIT existing row
       zoneId: ev.zone_id,
       zoneLabel: z?.label || ev.zone_id,
-      isThree: !!ev.is_three,
+      isThree: shotIsThree(ev, courtSpec),
       shotTypeId: ev.shot_type || null, // stored as id
       contested: !!ev.contested,
       pickupType: ev.pickup_type ?? null,
       finishType: ev.finish_type ?? null,
+      fouled: !!ev.fouled,
+      defenderId: ev.defender_id ?? null,
+      situationTags: ev.situation_tags || [],
+      assisted: typeof ev.assisted === "boolean" ? ev.assisted : null,
     })
   }
 
@@ -304,10 +376,15 @@ export default function GameLogger({ id: gameId, navigate }) {
     made,
     pickupType, // canonical value (e.g., 'football_pickup')
     finishType, // canonical value (e.g., 'underhand')
+    fouled,
+    defenderId, // opponent_roster id, or null
+    situationTags, // transition, late clock, ... (constants/situationTags)
+    assisted, // true off a teammate's pass, false self-created, null untagged
+    shotPoint, // edits leave it unset and keep the stored location
   }) {
     const isLayup = shotTypeId === "layup"
 
-    await addGameEvent({
+    const row = await addGameEventWithHistory({
       // If editing, pass the id so sync uses UPSERT/UPDATE
       id: eventId || undefined,
 
@@ -324,13 +401,79 @@ export default function GameLogger({ id: gameId, navigate }) {
       pickup_type: isLayup ? pickupType ?? null : null,
       finish_type: isLayup ? finishType ?? null : null,
 
+      fouled: !!fouled,
+      defender_id: defenderId ?? null,
+      situation_tags: situationTags || [],
+      assisted: typeof assisted === "boolean" ? assisted : null,
+
+      // Edits keep the lineup the shot was taken with
+      ...(eventId ? {} : { lineup_ids: currentLineup }),
+
+      shot_x: shotPoint?.x,
+      shot_y: shotPoint?.y,
+
+      // Edits keep the shot's original period and log time
+      ...(eventId ? {} : { ...newEventTiming(), ts: Date.now() }),
+    })
+
+    setShotModal(null)
+    setClockText("")
+
+    // A new fouled shot chains into its free throws: 1 after a make, else 2 or 3
+    if (!eventId && fouled && row?.id) {
+      setFtSequence({
+        parentId: row.id,
+        total: made ? 1 : isThree ? 3 : 2,
+        index: 1,
+        andOne: !!made,
+        period: row.period ?? null,
+        clock: row.game_clock_seconds ?? null,
+      })
+    }
+    await refresh()
+  }
+
+  async function logSequenceFreeThrow(made) {
+    const seq = ftSequence
+    if (!seq) return
+    await addGameEventWithHistory({
+      game_id: gameId,
+      mode: "game",
+      type: "freethrow",
+      made,
+      parent_event_id: seq.parentId,
+      period: seq.period,
+      game_clock_seconds: seq.clock,
       ts: Date.now(),
     })
+    setFtSequence(seq.index < seq.total ? { ...seq, index: seq.index + 1 } : null)
+    await refresh()
+  }
 
+  async function deleteShot(eventId) {
+    if (!eventId) return
+    await deleteGameEventWithHistory(eventId)
     setShotModal(null)
     await refresh()
   }
 
+  // A failed undo / redo stays on the stack; the toast says so
+  async function runHistory(action, label) {
+    if (historyBusy) return
+    setHistoryBusy(true)
+    try {
+      await action(gameId)
+      setHistoryError("")
+      // a pending free-throw sequence no longer matches the log
+      setFtSequence(null)
+    } catch {
+      setHistoryError(`${label} failed, try again`)
+    } finally {
+      setHistoryBusy(false)
+    }
+    await refresh()
+  }
+
   async function onEndGame() {
     if (!game) return
     const ok = window.confirm("End this game?")
@@ -352,6 +495,7 @@ export default function GameLogger({ id: gameId, navigate }) {
           : null,
     })
 
+    clearGameHistory(game.id)
     navigate?.("gate")
   }
 
@@ -437,6 +581,69 @@ export default function GameLogger({ id: gameId, navigate }) {
         />
       </div>
 
+      {/* Period + game clock */}
+      <div className="mb-3 flex items-center justify-center gap-2">
+        <button
+          type="button"
+          onClick={() => changePeriod(currentPeriod - 1)}
+          disabled={currentPeriod <= 1}
+          className="h-8 rounded-lg border border-slate-300 bg-white px-2.5 text-xs font-semibold text-slate-700 disabled:opacity-40"
+          aria-label="Previous period"
+        >
+          Prev
+        </button>
+        <span
+          className="min-w-[3rem] text-center text-sm font-semibold text-slate-900"
+          data-testid="current-period"
+        >
+          {periodLabel(currentPeriod, game)}
+        </span>
+        <button
+          type="button"
+          onClick={() => changePeriod(currentPeriod + 1)}
+          className="h-8 rounded-lg border border-sky-300 bg-sky-50 px-2.5 text-xs font-semibold text-sky-700"
+          aria-label="Next period"
+        >
+          Next
+        </button>
+        <input
+          type="text"
+          inputMode="numeric"
+          className="w-16 h-8 rounded-lg border border-slate-300 text-center text-sm bg-white text-slate-900 placeholder-slate-400"
+          value={clockText}
+          onChange={(e) => setClockText(e.target.value)}
+          placeholder="m:ss"
+          aria-label="Game clock"
+        />
+      </div>
+
+      {/* On the floor with the athlete (games with a team roster) */}
+      {teamRoster.length > 0 && (
+        <div className="mb-3">
+          <div className="text-xs text-slate-600 mb-1 text-center">
+            On the floor ({currentLineup.length}/{MAX_LINEUP_TEAMMATES})
+          </div>
+          <div className="flex flex-wrap justify-center gap-1.5" role="group" aria-label="On the floor">
+            {teamRoster.map((p) => {
+              const on = currentLineup.includes(p.id)
+              return (
+                <button
+                  key={p.id}
+                  type="button"
+                  aria-pressed={on}
+                  onClick={() => toggleOnFloor(p.id)}
+                  disabled={!on && currentLineup.length >= MAX_LINEUP_TEAMMATES}
+                  className={`shot-type-btn truncate ${on ? "selected" : ""}`}
+                  title={rosterPlayerLabel(p)}
+                >
+                  {rosterPlayerLabel(p)}
+                </button>
+              )
+            })}
+          </div>
+        </div>
+      )}
+
       {/* Court and overlay */}
       <div className="relative w-full rounded-2xl overflow-hidden border border-slate-200 bg-white">
         <img
@@ -453,15 +660,15 @@ export default function GameLogger({ id: gameId, navigate }) {
             events
               .filter((e) => e.type === "shot")
               .map((e, idx) => {
-                const anchor = pctAnchors.find((a) => a.id === e.zone_id)
-                if (!anchor) return null
+                const point = plotPointForEvent(e)
+                if (!point) return null
                 return (
                   <div
                     key={`mk-${idx}`}
                     className="zone-marker"
                     style={{
-                      left: `${anchor.leftPct}%`,
-                      top: `${anchor.topPct}%`,
+                      left: `${point.x * 100}%`,
+                      top: `${point.y * 100}%`,
                     }}
                   >
                     <MdSportsBasketball
@@ -473,8 +680,12 @@ export default function GameLogger({ id: gameId, navigate }) {
               })}
         </div>
 
-        {/* Invisible click targets aligned to anchors */}
-        <div className="absolute inset-0">
+        {/* Tap anywhere to log a shot; invisible targets aligned to anchors */}
+        <div
+          className="absolute inset-0 cursor-crosshair"
+          data-testid="court-tap-area"
+          onClick={onCourtTap}
+        >
           {pctAnchors.map((a) => (
             <button
               key={a.id}
@@ -482,7 +693,7 @@ export default function GameLogger({ id: gameId, navigate }) {
               className="zone-hit"
               style={{ left: `${a.leftPct}%`, top: `${a.topPct}%` }}
               aria-label={`Log shot for ${a.label || a.id}`}
-              onClick={() => openShot(a.id)}
+              onClick={(e) => onZoneTap(e, a.id)}
             >
               <span className="zone-hit-inner" />
             </button>
@@ -508,14 +719,14 @@ export default function GameLogger({ id: gameId, navigate }) {
         </button>
         <button
           type="button"
-          onClick={() => logQuick("rebound")}
+          onClick={() => setReboundSheetOpen(true)}
           className="quick-btn"
         >
           <MdSportsBasketball size={16} /> Rebounds
         </button>
         <button
           type="button"
-          onClick={() => logQuick("assist")}
+          onClick={() => setAssistSheetOpen(true)}
           className="quick-btn"
         >
           <Target size={16} /> Assists
@@ -527,8 +738,45 @@ export default function GameLogger({ id: gameId, navigate }) {
         >
           <X size={16} /> Forced TO
         </button>
+        <button
+          type="button"
+          onClick={() => logQuick("block")}
+          className="quick-btn"
+        >
+          <Shield size={16} /> Blocks
+        </button>
+        <button
+          type="button"
+          onClick={() => logQuick("turnover")}
+          className="quick-btn"
+        >
+          <Shuffle size={16} /> Turnovers
+        </button>
+        <button
+          type="button"
+          onClick={() => logQuick("foul")}
+          className="quick-btn"
+        >
+          <Flag size={16} /> Fouls
+        </button>
       </div>
 
+      {/* Foul trouble */}
+      {foulTrouble && (
+        <div
+          role="status"
+          className={`mt-3 rounded-xl border px-3 py-2 text-sm font-medium ${
+            foulTrouble === "fouled_out"
+              ? "border-red-200 bg-red-50 text-red-700"
+              : "border-amber-200 bg-amber-50 text-amber-800"
+          }`}
+        >
+          {foulTrouble === "fouled_out"
+            ? `Fouled out (${stats.fouls} fouls)`
+            : `One foul from fouling out (${stats.fouls} of ${foulLimit})`}
+        </div>
+      )}
+
       {/* Free throws */}
       <div className="mt-3">
         <button
@@ -552,8 +800,12 @@ export default function GameLogger({ id: gameId, navigate }) {
         <div className="grid grid-cols-2 gap-3">
           <StatCard label="Assists" value={stats.assists} />
           <StatCard label="Rebounds" value={stats.rebounds} />
+          <StatCard label="Off / Def Reb" value={`${stats.offRebounds} / ${stats.defRebounds}`} />
           <StatCard label="Steals" value={stats.steals} />
-          <StatCard label="Forced TO" value={stats.forcedTO} />
+          <StatCard label="Forced TO" value={stats.forcedTurnovers} />
+          <StatCard label="Blocks" value={stats.blocks} />
+          <StatCard label="Turnovers" value={stats.turnovers} />
+          <StatCard label="Fouls" value={`${stats.fouls} / ${foulLimit}`} />
           <StatCard label="FG%" value={`${stats.fgPct}%`} />
           <StatCard label="Makes" value={stats.fgm} />
           <StatCard label="Misses" value={stats.fga - stats.fgm} />
@@ -580,12 +832,15 @@ export default function GameLogger({ id: gameId, navigate }) {
           )}
 
           {shotAndFtEventsNewestFirst.map((e) => {
-            const d = describeAttemptRow(e, zoneMap, shotTypeLabelById)
+            const d = describeAttemptRow(e, zoneMap, shotTypeLabelById, game)
 
             const RowInner = (
               <>
                 <div className="text-slate-800 font-medium w-[90px]">
                   {d.left}
+                  {d.when && (
+                    <div className="text-[10px] font-normal text-slate-500">{d.when}</div>
+                  )}
                 </div>
                 <div className="flex-1 text-slate-600 truncate text-center">
                   {d.mid}
@@ -645,6 +900,7 @@ export default function GameLogger({ id: gameId, navigate }) {
       {shotModal && (
         <ShotModal
           data={shotModal}
+          roster={game?.opponent_roster}
           onClose={() => setShotModal(null)}
           onMake={(payload) =>
             commitShot({ ...shotModal, ...payload, made: true })
@@ -652,9 +908,117 @@ export default function GameLogger({ id: gameId, navigate }) {
           onMiss={(payload) =>
             commitShot({ ...shotModal, ...payload, made: false })
           }
+          onDelete={shotModal.eventId ? () => deleteShot(shotModal.eventId) : null}
         />
       )}
 
+      {/* Undo / redo toast */}
+      {(history.canUndo || history.canRedo || historyError) && (
+        <div
+          className="fixed bottom-24 left-1/2 z-40 flex -translate-x-1/2 items-center gap-2 rounded-full bg-slate-900/90 px-3 py-1.5 text-sm text-white shadow-lg"
+          role="group"
+          aria-label="Undo history"
+        >
+          {historyError ? (
+            <span role="alert" className="max-w-[10rem] truncate text-rose-300">
+              {historyError}
+            </span>
+          ) : (
+            <span className="max-w-[10rem] truncate text-slate-200">
+              {history.undoLabel || `Undone: ${history.redoLabel}`}
+            </span>
+          )}
+          <button
+            type="button"
+            onClick={() => runHistory(undoGameAction, "Undo")}
+            disabled={!history.canUndo || historyBusy}
+            className="rounded-full px-2 py-0.5 font-semibold text-sky-300 disabled:text-slate-500"
+          >
+            Undo
+          </button>
+          <button
+            type="button"
+            onClick={() => runHistory(redoGameAction, "Redo")}
+            disabled={!history.canRedo || historyBusy}
+            className="rounded-full px-2 py-0.5 font-semibold text-sky-300 disabled:text-slate-500"
+          >
+            Redo
+          </button>
+        </div>
+      )}
+
+      {/* Free throws after a shooting foul */}
+      {ftSequence && (
+        <BottomSheet
+          title={`${ftSequence.andOne ? "And-One" : "Shooting Foul"} · Free Throw ${ftSequence.index} of ${ftSequence.total}`}
+          onClose={() => setFtSequence(null)}
+        >
+          <div className="grid grid-cols-2 gap-2">
+            <button
+              className="btn btn-emerald h-11 rounded-xl"
+              onClick={() => logSequenceFreeThrow(true)}
+            >
+              Make
+            </button>
+            <button
+              className="btn btn-danger h-11 rounded-xl"
+              onClick={() => logSequenceFreeThrow(false)}
+            >
+              Miss
+            </button>
+          </div>
+        </BottomSheet>
+      )}
+
+      {/* Rebound sheet */}
+      {reboundSheetOpen && (
+        <BottomSheet
+          title="Log Rebound"
+          onClose={() => setReboundSheetOpen(false)}
+        >
+          <div className="grid grid-cols-2 gap-2">
+            {REBOUND_TYPES.map((r) => (
+              <button
+                key={r.key}
+                className="btn h-11 rounded-xl border border-slate-300 bg-white text-slate-800"
+                onClick={() => logRebound(r.key)}
+              >
+                {r.label}
+              </button>
+            ))}
+          </div>
+        </BottomSheet>
+      )}
+
+      {/* Assist sheet: where the teammate scored */}
+      {assistSheetOpen && (
+        <BottomSheet
+          title="Log Assist"
+          onClose={() => setAssistSheetOpen(false)}
+        >
+          <div className="text-sm text-slate-600 mb-2">Teammate&apos;s shot zone (optional)</div>
+          <div className="grid grid-cols-3 gap-2 max-h-64 overflow-y-auto" role="group" aria-label="Assist zone">
+            {FIELD_GOAL_ZONES.map((z) => (
+              <button
+                key={z.id}
+                type="button"
+                className="h-10 rounded-xl border border-slate-300 bg-white px-1 text-xs text-slate-800"
+                onClick={() => logAssist(z.id)}
+              >
+                {z.label}
+              </button>
+            ))}
+          </div>
+          <button
+            type="button"
+            className="mt-3 btn h-11 w-full rounded-xl border border-slate-300 bg-white text-slate-800"
+            onClick={() => logAssist(null)}
+          >
+            Skip zone
+          </button>
+        </BottomSheet>
+      )}
+
       {/* FT sheet */}
       {ftModalOpen && (
         <BottomSheet
@@ -722,7 +1086,7 @@ function BottomSheet({ title, onClose, children }) {
 /* ---------------------------------------------------------
    Shot details modal (supports EDIT by preloading values)
 --------------------------------------------------------- */
-function ShotModal({ data, onClose, onMake, onMiss }) {
+function ShotModal({ data, roster, onClose, onMake, onMiss, onDelete }) {
   const [shotTypeId, setShotTypeId] = useState(data.shotTypeId || null)
   const [contested, setContested] = useState(
     typeof data.contested === "boolean" ? data.contested : false,
@@ -731,6 +1095,15 @@ function ShotModal({ data, onClose, onMake, onMiss }) {
   // Layup metadata uses canonical constraint values
   const [pickupType, setPickupType] = useState(data.pickupType ?? null)
   const [finishType, setFinishType] = useState(data.finishType ?? null)
+  const [fouled, setFouled] = useState(!!data.fouled)
+  const [defenderId, setDefenderId] = useState(data.defenderId ?? null)
+  const [situationTags, setSituationTags] = useState(data.situationTags || [])
+  const [tagGroups] = useState(() => loadSituationTagGroups())
+  const situationOptions = situationTagList(tagGroups)
+  const [assisted, setAssisted] = useState(
+    typeof data.assisted === "boolean" ? data.assisted : null,
+  )
+  const players = Array.isArray(roster) ? roster : []
 
   const TYPES =
     Array.isArray(SHOT_TYPES) && SHOT_TYPES.length
@@ -852,8 +1225,89 @@ function ShotModal({ data, onClose, onMake, onMiss }) {
           >
             {isContested ? "Contested" : "Uncontested"}
           </button>
+
+          <button
+            type="button"
+            aria-pressed={fouled}
+            onClick={() => setFouled((prev) => !prev)}
+            className={`mt-2 w-full contested-btn ${fouled ? "selected" : ""}`}
+          >
+            {fouled ? "Fouled on the shot" : "No shooting foul"}
+          </button>
         </div>
 
+        {/* Shot creation: off a teammate's pass or self-created */}
+        <div className="mb-4">
+          <div className="text-sm text-slate-700 mb-1">Shot Creation</div>
+          <div className="grid grid-cols-2 gap-2" role="group" aria-label="Shot creation">
+            {[
+              { value: true, label: "Assisted" },
+              { value: false, label: "Self-created" },
+            ].map((opt) => {
+              const selected = assisted === opt.value
+              return (
+                <button
+                  key={opt.label}
+                  type="button"
+                  aria-pressed={selected}
+                  onClick={() => setAssisted(selected ? null : opt.value)}
+                  className={`shot-type-btn ${selected ? "selected" : ""}`}
+                >
+                  {opt.label}
+                </button>
+              )
+            })}
+          </div>
+        </div>
+
+        {/* Situation: possession type, shot clock, after timeout (set in Account) */}
+        {situationOptions.length > 0 && (
+          <div className="mb-4">
+            <div className="text-sm text-slate-700 mb-1">Situation</div>
+            <div className="flex flex-wrap gap-2" role="group" aria-label="Situation">
+              {situationOptions.map((t) => {
+                const selected = situationTags.includes(t.key)
+                return (
+                  <button
+                    key={t.key}
+                    type="button"
+                    aria-pressed={selected}
+                    title={t.title || t.label}
+                    onClick={() => setSituationTags((prev) => toggleSituationTag(prev, t.key, tagGroups))}
+                    className={`shot-type-btn px-3 ${selected ? "selected" : ""}`}
+                  >
+                    {t.label}
+                  </button>
+                )
+              })}
+            </div>
+          </div>
+        )}
+
+        {/* Defender (games with an opponent roster) */}
+        {players.length > 0 && (
+          <div className="mb-4">
+            <div className="text-sm text-slate-700 mb-1">Defender</div>
+            <div className="grid grid-cols-4 gap-2" role="group" aria-label="Defender">
+              {players.map((p) => {
+                const selected = defenderId === p.id
+                return (
+                  <button
+                    key={p.id}
+                    type="button"
+                    aria-pressed={selected}
+                    onClick={() => setDefenderId(selected ? null : p.id)}
+                    className={`shot-type-btn truncate ${selected ? "selected" : ""}`}
+                    title={rosterPlayerLabel(p)}
+                  >
+                    {rosterPlayerLabel(p)}
+                  </button>
+                )
+              })}
+            </div>
+          </div>
+        )}
+
         {/* Make / Miss */}
         <div className="grid grid-cols-2 gap-2">
           <button
@@ -869,6 +1323,10 @@ function ShotModal({ data, onClose, onMake, onMiss }) {
                 contested: isContested,
                 pickupType,
                 finishType,
+                fouled,
+                defenderId,
+                situationTags,
+                assisted,
               })
             }
           >
@@ -887,6 +1345,10 @@ function ShotModal({ data, onClose, onMake, onMiss }) {
                 contested: isContested,
                 pickupType,
                 finishType,
+                fouled,
+                defenderId,
+                situationTags,
+                assisted,
               })
             }
           >
@@ -894,7 +1356,15 @@ function ShotModal({ data, onClose, onMake, onMiss }) {
           </button>
         </div>
 
-        <div className="mt-2 flex justify-center">
+        <div className="mt-2 flex justify-center gap-2">
+          {onDelete && (
+            <button
+              className="w-full text-sm text-red-600 hover:text-red-700"
+              onClick={onDelete}
+            >
+              Delete Shot
+            </button>
+          )}
           <button
             className="w-full text-sm text-slate-500 hover:text-slate-700"
             onClick={onClose}
@@ -9,6 +9,19 @@ import {
   LEVEL_CATEGORY_OPTIONS,
 } from "../constants/programLevel"
 import { HOME_AWAY } from "../constants/homeAway" // <- Home/Away dropdown options
+import {
+  DEFAULT_PERIOD_FORMAT,
+  MAX_CUSTOM_PERIODS,
+  PERIOD_FORMATS,
+} from "../constants/periods"
+import { DEFAULT_FOUL_LIMIT, MAX_FOUL_LIMIT } from "../constants/gameStats"
+import { COURT_SPEC_OPTIONS, defaultCourtSpecForLevel } from "../constants/courtGeometry"
+import {
+  MAX_ROSTER_SIZE,
+  normalizeOpponentRoster,
+  rosterPlayerLabel,
+} from "../constants/opponentRoster"
+import { normalizeTeamRoster } from "../constants/lineups"
 import { ArrowLeft } from "lucide-react"
 import {
   getActiveAthleteId,
@@ -21,6 +34,84 @@ function athleteName(athlete) {
   return `${athlete.first_name}${athlete.last_name ? ` ${athlete.last_name}` : ""}`
 }
 
+// Optional roster entry: jersey number + name, added one player at a time
+function RosterField({ title, who, addLabel, roster, onChange, normalize }) {
+  const [number, setNumber] = useState("")
+  const [name, setName] = useState("")
+
+  function addPlayer() {
+    const next = normalize([...roster, { number, name }])
+    if (next.length === roster.length) return
+    onChange(next)
+    setNumber("")
+    setName("")
+  }
+
+  function removePlayer(playerId) {
+    onChange(roster.filter((p) => p.id !== playerId))
+  }
+
+  return (
+    <div>
+      <div className="block text-sm font-medium text-slate-700 mb-1">{title}</div>
+      <div className="flex items-center gap-2">
+        <input
+          type="text"
+          inputMode="numeric"
+          aria-label={`${who} jersey number`}
+          placeholder="#"
+          value={number}
+          onChange={e => setNumber(e.target.value)}
+          className="h-11 w-16 rounded-xl border border-slate-300 bg-white px-3 placeholder-slate-400 text-slate-900"
+        />
+        <input
+          type="text"
+          aria-label={`${who} player name`}
+          placeholder="Name"
+          value={name}
+          onChange={e => setName(e.target.value)}
+          onKeyDown={e => {
+            if (e.key === "Enter") {
+              e.preventDefault()
+              addPlayer()
+            }
+          }}
+          className="h-11 min-w-0 flex-1 rounded-xl border border-slate-300 bg-white px-3 placeholder-slate-400 text-slate-900"
+        />
+        <button
+          type="button"
+          onClick={addPlayer}
+          aria-label={addLabel}
+          disabled={roster.length >= MAX_ROSTER_SIZE}
+          className="h-11 rounded-xl border border-sky-600 px-3 text-sm font-medium text-sky-700 bg-white disabled:opacity-50"
+        >
+          Add
+        </button>
+      </div>
+      {roster.length > 0 && (
+        <ul className="mt-2 flex flex-wrap gap-2" aria-label={`${who} roster`}>
+          {roster.map((p) => (
+            <li
+              key={p.id}
+              className="flex items-center gap-1 rounded-full border border-slate-300 bg-slate-50 pl-3 pr-1 py-0.5 text-sm text-slate-800"
+            >
+              <span>{rosterPlayerLabel(p)}</span>
+              <button
+                type="button"
+                onClick={() => removePlayer(p.id)}
+                aria-label={`Remove ${rosterPlayerLabel(p)}`}
+                className="h-6 w-6 rounded-full text-slate-500 hover:text-slate-800"
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
 export default function GameNew({ navigate }) {
   // Defaults
   const todayISO = useMemo(() => new Date().toISOString().slice(0, 10), [])
@@ -39,6 +130,20 @@ export default function GameNew({ navigate }) {
   const [aauSeason, setAauSeason] = useState("")
   const [aauCompetitionLevel, setAauCompetitionLevel] = useState("")
   const [homeAway, setHomeAway] = useState("Home")
+  const [periodFormat, setPeriodFormat] = useState(DEFAULT_PERIOD_FORMAT)
+  const [customPeriods, setCustomPeriods] = useState("4")
+  const [foulLimit, setFoulLimit] = useState(String(DEFAULT_FOUL_LIMIT))
+  // null follows the level's suggested court until one is picked
+  const [pickedCourtSpec, setPickedCourtSpec] = useState(null)
+  const courtSpec =
+    pickedCourtSpec ??
+    defaultCourtSpecForLevel({
+      level_category: levelCategory,
+      aau_competition_level: aauCompetitionLevel,
+    })
+  // Optional rosters: teammates for lineups, opponents for tagging defenders on shots
+  const [teamRoster, setTeamRoster] = useState([])
+  const [roster, setRoster] = useState([])
   const [saving, setSaving]     = useState(false)
   const [pendingAthleteId, setPendingAthleteId] = useState("")
   const pendingAthlete = useMemo(
@@ -56,6 +161,16 @@ export default function GameNew({ navigate }) {
     if (levelCategory === "college" && !collegeSeason) return "Select a college academic season."
     if (levelCategory === "aau" && !aauSeason) return "Select an AAU season."
     if (levelCategory === "aau" && !aauCompetitionLevel) return "Select an AAU competition level."
+    if (periodFormat === "custom") {
+      const n = Number.parseInt(customPeriods, 10)
+      if (!Number.isFinite(n) || n < 1 || n > MAX_CUSTOM_PERIODS) {
+        return `Enter between 1 and ${MAX_CUSTOM_PERIODS} periods.`
+      }
+    }
+    const fouls = Number.parseInt(foulLimit, 10)
+    if (!Number.isFinite(fouls) || fouls < 1 || fouls > MAX_FOUL_LIMIT) {
+      return `Enter a foul limit between 1 and ${MAX_FOUL_LIMIT}.`
+    }
     return null
   }
 
@@ -82,6 +197,12 @@ export default function GameNew({ navigate }) {
         ...payload,
         level: formatGameLevelLabel(payload),
         home_away: homeAway.toLowerCase(),      // "home" | "away"
+        period_format: periodFormat,
+        period_count: periodFormat === "custom" ? Number.parseInt(customPeriods, 10) : null,
+        foul_limit: Number.parseInt(foulLimit, 10),
+        court_spec: courtSpec,
+        team_roster: teamRoster,
+        opponent_roster: roster,
       })
       navigate?.("game-logger", { id: row.id })
     } finally {
@@ -111,6 +232,7 @@ export default function GameNew({ navigate }) {
     setCollegeSeason("")
     setAauSeason("")
     setAauCompetitionLevel("")
+    setPickedCourtSpec(null)
   }
 
   function renderLevelDetailField() {
@@ -317,6 +439,89 @@ export default function GameNew({ navigate }) {
 
         {renderLevelDetailField()}
 
+        {/* Court standard: where the three-point line is */}
+        <div>
+          <label htmlFor="game-court-spec" className="block text-sm font-medium text-slate-700 mb-1">Court / 3PT line</label>
+          <select
+            id="game-court-spec"
+            value={courtSpec}
+            onChange={e => setPickedCourtSpec(e.target.value)}
+            className="h-11 w-full rounded-xl border border-slate-300 bg-white px-3 text-slate-900"
+          >
+            {COURT_SPEC_OPTIONS.map(c => (
+              <option key={c.key} value={c.key}>
+                {c.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {/* Rosters (optional): teammates for lineups, opponents for defenders */}
+        <RosterField
+          title="Team roster (optional)"
+          who="Team"
+          addLabel="Add teammate"
+          roster={teamRoster}
+          onChange={setTeamRoster}
+          normalize={normalizeTeamRoster}
+        />
+        <RosterField
+          title="Opponent roster (optional)"
+          who="Opponent"
+          roster={roster}
+          onChange={setRoster}
+          normalize={normalizeOpponentRoster}
+        />
+
+        {/* Periods */}
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <label htmlFor="game-period-format" className="block text-sm font-medium text-slate-700 mb-1">Periods</label>
+            <select
+              id="game-period-format"
+              value={periodFormat}
+              onChange={e => setPeriodFormat(e.target.value)}
+              className="h-11 w-full rounded-xl border border-slate-300 bg-white px-3 text-slate-900"
+            >
+              {PERIOD_FORMATS.map(f => (
+                <option key={f.key} value={f.key}>
+                  {f.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {periodFormat === "custom" && (
+            <div>
+              <label htmlFor="game-period-count" className="block text-sm font-medium text-slate-700 mb-1">Number of periods</label>
+              <input
+                id="game-period-count"
+                type="number"
+                inputMode="numeric"
+                min="1"
+                max={MAX_CUSTOM_PERIODS}
+                value={customPeriods}
+                onChange={e => setCustomPeriods(e.target.value)}
+                className="h-11 w-full rounded-xl border border-slate-300 bg-white px-3 text-slate-900"
+              />
+            </div>
+          )}
+
+          <div>
+            <label htmlFor="game-foul-limit" className="block text-sm font-medium text-slate-700 mb-1">Foul limit</label>
+            <input
+              id="game-foul-limit"
+              type="number"
+              inputMode="numeric"
+              min="1"
+              max={MAX_FOUL_LIMIT}
+              value={foulLimit}
+              onChange={e => setFoulLimit(e.target.value)}
+              className="h-11 w-full rounded-xl border border-slate-300 bg-white px-3 text-slate-900"
+            />
+          </div>
+        </div>
+
         <button
           type="button"
           onClick={startGame}
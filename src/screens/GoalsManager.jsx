@@ -19,9 +19,11 @@ import {
 import {
   BASE_METRIC_OPTIONS,
   GAME_ONLY_METRIC_OPTIONS,
+  PRACTICE_ONLY_METRIC_OPTIONS,
   computeGameMetricValue,
   computePracticeMetricValue,
   metricIsPercent,
+  metricIsRatio,
   formatMetricValue,
 } from "../lib/goal-metrics"
 import { ZONES } from "../constants/zones" // adjust path if needed
@@ -38,10 +40,14 @@ import ActiveAthleteSwitcher from "../components/ActiveAthleteSwitcher"
 
 // ------------------- helpers -------------------
 
-const ALL_METRIC_OPTIONS = [...BASE_METRIC_OPTIONS, ...GAME_ONLY_METRIC_OPTIONS]
+const ALL_METRIC_OPTIONS = [
+  ...BASE_METRIC_OPTIONS,
+  ...GAME_ONLY_METRIC_OPTIONS,
+  ...PRACTICE_ONLY_METRIC_OPTIONS,
+]
 
 // zone-based metrics (need zone_id and zone selector)
-const ZONE_METRICS = new Set(["fg_pct_zone", "attempts_zone"])
+const ZONE_METRICS = new Set(["fg_pct_zone", "attempts_zone", "best_streak_zone"])
 
 function metricLabel(value) {
   return ALL_METRIC_OPTIONS.find((m) => m.value === value)?.label || value
@@ -78,17 +84,19 @@ function daysLeft(iso) {
 /**
  * Compute the current metric value + progress against a goal.
  */
-function computeGoalProgress({ goal, set, gameEvents, practiceEntries }) {
+function computeGoalProgress({ goal, set, gameEvents, gameSessions, practiceEntries }) {
   const metricKey = goal.metric
   const targetRaw = Number(goal.target_value ?? 0)
   const targetType = goal.target_type || "percent"
   const isPercentMetric = metricIsPercent(metricKey)
+  const isRatioMetric = metricIsRatio(metricKey)
 
   // Date window + zone
   const startDate = set?.start_date || undefined
   const endDate = goal.target_end_date || set?.due_date || undefined
   const zoneId = goal.zone_id || undefined
-  const range = { startDate, endDate, zoneId }
+  // Game sessions carry the court spec that threes are called on
+  const range = { startDate, endDate, zoneId, sessions: gameSessions }
 
   let currentRaw = 0
   if (set.type === "game") {
@@ -109,6 +117,8 @@ function computeGoalProgress({ goal, set, gameEvents, practiceEntries }) {
   let targetLabel
   if (!safeTarget) {
     targetLabel = "—"
+  } else if (isRatioMetric) {
+    targetLabel = String(safeTarget)
   } else if (isPercentMetric || targetType === "percent") {
     targetLabel = `${safeTarget}%`
   } else {
@@ -117,7 +127,7 @@ function computeGoalProgress({ goal, set, gameEvents, practiceEntries }) {
 
   // Current label
   let currentLabel
-  if (isPercentMetric) {
+  if (isPercentMetric || isRatioMetric) {
     currentLabel = formatMetricValue(metricKey, safeCurrent)
   } else if (targetType === "percent") {
     const v = Math.round(safeCurrent * 10) / 10
@@ -145,6 +155,7 @@ export default function GoalsManager({ navigate }) {
 
   // Game / practice data for metric calculations
   const [gameEvents, setGameEvents] = useState([])
+  const [gameSessions, setGameSessions] = useState([])
   const [practiceEntries, setPracticeEntries] = useState([])
 
   // Create/Edit set state
@@ -195,6 +206,7 @@ export default function GoalsManager({ navigate }) {
         ])
 
         let gameEv = []
+        let gameSess = []
         let pracEv = []
 
         if (user?.id) {
@@ -202,6 +214,7 @@ export default function GoalsManager({ navigate }) {
           const [
             { data: gameData, error: gameErr },
             { data: pracData, error: pracErr },
+            { data: sessData, error: sessErr },
           ] = await Promise.all([
             (() => {
               let query = supabase
@@ -223,6 +236,16 @@ export default function GoalsManager({ navigate }) {
               }
               return query.order("ts", { ascending: true })
             })(),
+            (() => {
+              let query = supabase
+                .from("game_sessions")
+                .select("id, court_spec")
+                .eq("user_id", userId)
+              if (activeAthleteId) {
+                query = query.eq("athlete_id", activeAthleteId)
+              }
+              return query
+            })(),
           ])
 
           if (gameErr) {
@@ -235,7 +258,12 @@ export default function GoalsManager({ navigate }) {
             )
           }
 
+          if (sessErr) {
+            console.warn("[GoalsManager] game_sessions fetch error:", sessErr)
+          }
+
           gameEv = gameData || []
+          gameSess = sessData || []
           pracEv = pracData || []
         }
 
@@ -243,6 +271,7 @@ export default function GoalsManager({ navigate }) {
 
         setGoalSets(sets || [])
         setGameEvents(gameEv)
+        setGameSessions(gameSess)
         setPracticeEntries(pracEv)
 
         // default selected set for Add Goal (first active one)
@@ -259,6 +288,7 @@ export default function GoalsManager({ navigate }) {
         if (!cancelled) {
           setGoalSets([])
           setGameEvents([])
+          setGameSessions([])
           setPracticeEntries([])
         }
       } finally {
@@ -304,14 +334,14 @@ export default function GoalsManager({ navigate }) {
   )
 
   // Metric options depend on selected set type:
-  // - Practice set → base metrics
+  // - Practice set → base + practice-only (streak) metrics
   // - Game set → base + game-only metrics
   const availableMetricOptions = useMemo(() => {
     if (!selectedSetForGoal) return BASE_METRIC_OPTIONS
     if (selectedSetForGoal.type === "game") {
       return [...BASE_METRIC_OPTIONS, ...GAME_ONLY_METRIC_OPTIONS]
     }
-    return BASE_METRIC_OPTIONS
+    return [...BASE_METRIC_OPTIONS, ...PRACTICE_ONLY_METRIC_OPTIONS]
   }, [selectedSetForGoal])
 
   // Default goalEndDate to selected set's due date
@@ -912,6 +942,7 @@ export default function GoalsManager({ navigate }) {
                           goal: g,
                           set,
                           gameEvents,
+                          gameSessions,
                           practiceEntries,
                         })
 
@@ -1039,6 +1070,7 @@ export default function GoalsManager({ navigate }) {
                               goal: g,
                               set,
                               gameEvents,
+                              gameSessions,
                               practiceEntries,
                             })
 
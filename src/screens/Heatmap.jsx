@@ -5,12 +5,16 @@ import { supabase, getUser } from "../lib/supabase"
 import { TIME_RANGES, getRangeById } from "../constants/timeRange"
 import { ZONES } from "../constants/zones"
 import { ZONE_ANCHORS } from "../constants/zoneAnchors"
+import { plotPointForEvent } from "../constants/shotLocation"
+import { matchesSituation, situationFilterOptions } from "../constants/situationTags"
 import {
   listAthletes,
   getActiveAthleteId,
   setActiveAthlete,
 } from "../lib/athlete-db"
+import { loadSituationTagGroups } from "../lib/situation-tag-settings"
 import ActiveAthleteSwitcher from "../components/ActiveAthleteSwitcher"
+import FilterPills from "../components/FilterPills"
 
 const DEFAULT_RANGE_ID = TIME_RANGES[2]?.id || TIME_RANGES[0]?.id || "30d" // default to 30 days if present
 
@@ -18,6 +22,7 @@ const DEFAULT_RANGE_ID = TIME_RANGES[2]?.id || TIME_RANGES[0]?.id || "30d" // de
 const MODE_OPTIONS = [
   { id: "attempts", label: "Attempt Density" },
   { id: "fgpct", label: "FG%" },
+  { id: "shots", label: "Shot Chart" },
 ]
 
 // Game vs Practice
@@ -129,30 +134,6 @@ function TimeRangePills({ value, onChange }) {
   )
 }
 
-function ContestedPills({ value, onChange }) {
-  const handleClick = (id) => {
-    onChange(value === id ? "all" : id)
-  }
-
-  return (
-    <div className="time-pill-group">
-      {CONTEST_FILTERS.map((c) => {
-        const active = c.id === value
-        return (
-          <button
-            key={c.id}
-            type="button"
-            onClick={() => handleClick(c.id)}
-            className={"time-pill" + (active ? " time-pill--active" : "")}
-          >
-            {c.label}
-          </button>
-        )
-      })}
-    </div>
-  )
-}
-
 // ---------- data aggregation ----------
 
 function normalizeShotTypeLabel(raw) {
@@ -180,11 +161,8 @@ function isFreeThrowEvent(e) {
   )
 }
 
-function computeZonesFromEvents(events, { mode, shotType, contested }) {
-  if (!Array.isArray(events) || !events.length) return []
-
-  // 1) Filter by shot type and contested
-  const filtered = events.filter((e) => {
+function filterEvents(events, { shotType, contested, situation = "all" }) {
+  return events.filter((e) => {
     const isFt = isFreeThrowEvent(e)
     const shotLabel = normalizeShotTypeLabel(e?.shot_type)
     const pressed = !!e?.pressured
@@ -193,6 +171,9 @@ function computeZonesFromEvents(events, { mode, shotType, contested }) {
     if (contested === "contested" && !pressed) return false
     if (contested === "uncontested" && pressed) return false
 
+    // situation filter (free throws are never tagged)
+    if (!matchesSituation(e?.situation_tags, situation)) return false
+
     // Shot type filter
     if (shotType === "Free Throw") {
       return isFt
@@ -206,7 +187,13 @@ function computeZonesFromEvents(events, { mode, shotType, contested }) {
     // "All" (we don't have an All pill, but default state is effectively all)
     return true
   })
+}
 
+function computeZonesFromEvents(events, { shotType, contested, situation }) {
+  if (!Array.isArray(events) || !events.length) return []
+
+  // 1) Filter by shot type, contested and situation
+  const filtered = filterEvents(events, { shotType, contested, situation })
   if (!filtered.length) return []
 
   // 2) Aggregate into zones; respect attempts/makes when present
@@ -294,6 +281,21 @@ function computeZonesFromEvents(events, { mode, shotType, contested }) {
     .sort((a, b) => a.label.localeCompare(b.label))
 }
 
+// One dot per field goal attempt: its stored location, else its zone anchor.
+// Only rows with a make/miss are single shots; practice batches (attempts /
+// makes, no `made`) and non-shot game events are left off the chart.
+function computeShotPoints(events, { shotType, contested, situation }) {
+  if (!Array.isArray(events) || !events.length) return []
+  return filterEvents(events, { shotType, contested, situation })
+    .filter((e) => typeof e.made === "boolean" && !isFreeThrowEvent(e))
+    .map((e, idx) => {
+      const point = plotPointForEvent(e)
+      if (!point) return null
+      return { key: e.id ?? `shot-${idx}`, zoneId: e.zone_id, made: !!e.made, ...point }
+    })
+    .filter(Boolean)
+}
+
 function zoneDisplayValue(zone, mode) {
   if (!zone) return { label: "0 = 0%", metric: 0 }
   if (mode === "attempts") {
@@ -350,6 +352,22 @@ function ZoneChip({ zone, mode, anchor, onClick }) {
   )
 }
 
+// ---------- shot chart dot ----------
+
+function ShotDot({ shot }) {
+  const zoneLabel = ZONES.find((z) => z.id === shot.zoneId)?.label || shot.zoneId || "Shot"
+  return (
+    <span
+      className={
+        "absolute -translate-x-1/2 -translate-y-1/2 h-2.5 w-2.5 rounded-full border border-white shadow-sm " +
+        (shot.made ? "bg-emerald-600" : "bg-red-600")
+      }
+      style={{ left: `${shot.x * 100}%`, top: `${shot.y * 100}%` }}
+      aria-label={`${zoneLabel} ${shot.made ? "make" : "miss"}`}
+    />
+  )
+}
+
 // ---------- main component ----------
 
 export default function Heatmap({ navigate }) {
@@ -357,11 +375,15 @@ export default function Heatmap({ navigate }) {
   const [source, setSource] = useState("game")
   const [shotType, setShotType] = useState("Catch & Shoot")
   const [contested, setContested] = useState("all")
+  const [situation, setSituation] = useState("all")
+  // Situation filter (game shots only, same tag set as Performance)
+  const [situationOptions] = useState(() => situationFilterOptions(loadSituationTagGroups()))
   const [rangeId, setRangeId] = useState(DEFAULT_RANGE_ID)
   const [athletes, setAthletes] = useState(() => listAthletes())
   const [activeAthleteId, setActiveAthleteId] = useState(() => getActiveAthleteId() || "")
 
   const [zones, setZones] = useState([])
+  const [shots, setShots] = useState([])
   const [loading, setLoading] = useState(false)
 
   // court image + anchors
@@ -424,13 +446,19 @@ export default function Heatmap({ navigate }) {
       setLoading(true)
       try {
         if (!activeAthleteId) {
-          if (!cancelled) setZones([])
+          if (!cancelled) {
+            setZones([])
+            setShots([])
+          }
           return
         }
 
         const user = await getUser()
         if (!user) {
-          if (!cancelled) setZones([])
+          if (!cancelled) {
+            setZones([])
+            setShots([])
+          }
           return
         }
 
@@ -451,16 +479,29 @@ export default function Heatmap({ navigate }) {
         const { data, error } = await query
         if (error) throw error
 
+        // Practice entries have no situation tags
+        const situationFilter = source === "game" ? situation : "all"
         const z = computeZonesFromEvents(data || [], {
-          mode,
           shotType,
           contested,
+          situation: situationFilter,
+        })
+        const pts = computeShotPoints(data || [], {
+          shotType,
+          contested,
+          situation: situationFilter,
         })
 
-        if (!cancelled) setZones(z)
+        if (!cancelled) {
+          setZones(z)
+          setShots(pts)
+        }
       } catch (err) {
         console.warn("[Heatmap] load error", err)
-        if (!cancelled) setZones([])
+        if (!cancelled) {
+          setZones([])
+          setShots([])
+        }
       } finally {
         if (!cancelled) setLoading(false)
       }
@@ -470,7 +511,7 @@ export default function Heatmap({ navigate }) {
     return () => {
       cancelled = true
     }
-  }, [source, range.days, mode, shotType, contested, activeAthleteId])
+  }, [source, range.days, mode, shotType, contested, situation, activeAthleteId])
 
   const totalAttempts = useMemo(
     () => zones.reduce((sum, z) => sum + z.attempts, 0),
@@ -545,8 +586,19 @@ export default function Heatmap({ navigate }) {
           </div>
 
           <div className="flex items-center justify-between mt-2">
-            <ContestedPills value={contested} onChange={setContested} />
+            <FilterPills options={CONTEST_FILTERS} value={contested} onChange={setContested} />
           </div>
+
+          {source === "game" && situationOptions.length > 0 && (
+            <div className="flex items-center justify-between mt-2">
+              <FilterPills
+                options={situationOptions}
+                value={situation}
+                onChange={setSituation}
+                label="Situation filter"
+              />
+            </div>
+          )}
         </section>
 
         {/* Court + zone overlays */}
@@ -573,7 +625,10 @@ export default function Heatmap({ navigate }) {
               onLoad={handleImgLoad}
             />
 
-            {zones.map((z) => {
+            {mode === "shots" &&
+              shots.map((shot) => <ShotDot key={shot.key} shot={shot} />)}
+
+            {mode !== "shots" && zones.map((z) => {
               const anchor = anchorMap.get(z.id)
               return (
                 <ZoneChip
@@ -19,7 +19,9 @@ import {
 } from "recharts"
 
 import { TIME_RANGES, getRangeById } from "../constants/timeRange"
+import { situationFilterOptions } from "../constants/situationTags"
 import {
+  FATIGUE_MIN_ATTEMPTS,
   getGamePerformance,
   getPracticePerformance,
 } from "../lib/performance-db"
@@ -28,7 +30,9 @@ import {
   getActiveAthleteId,
   setActiveAthlete,
 } from "../lib/athlete-db"
+import { loadSituationTagGroups } from "../lib/situation-tag-settings"
 import ActiveAthleteSwitcher from "../components/ActiveAthleteSwitcher"
+import FilterPills from "../components/FilterPills"
 
 const DEFAULT_RANGE_ID = TIME_RANGES[0]?.id || "30d"
 
@@ -59,32 +63,18 @@ const EMPTY_PERF_DATA = {
   overallEfgPct: 0,
   totalAttempts: 0,
   trendBuckets: { daily: [], weekly: [], monthly: [] },
+  halfSplits: null,
+  defenderSplits: [],
+  lineupSplits: [],
+  shotSequence: null,
+  fatigue: null,
 }
 
-function ContestedPills({ value, onChange }) {
-  const handleClick = (id) => {
-    // Toggle off if already active (returns to "all"), otherwise select
-    onChange(value === id ? "all" : id)
-  }
-
-  return (
-    <div className="time-pill-group">
-      {CONTEST_FILTERS.map((c) => {
-        const active = c.id === value
-        return (
-          <button
-            key={c.id}
-            type="button"
-            onClick={() => handleClick(c.id)}
-            className={"time-pill" + (active ? " time-pill--active" : "")}
-          >
-            {c.label}
-          </button>
-        )
-      })}
-    </div>
-  )
-}
+// Fatigue split toggle: deciles of shot order vs 10-minute blocks
+const FATIGUE_SPLITS = [
+  { id: "order", label: "Shot order" },
+  { id: "minutes", label: "Elapsed time" },
+]
 
 function ModePills({ value, onChange }) {
   return (
@@ -151,6 +141,241 @@ function ShotTypePills({ value, onChange }) {
 
 // ---- Metric card ----
 
+// First vs second half FG% across the filtered games (only shots tagged with a period)
+function HalfSplits({ splits }) {
+  if (!splits || (!splits.first?.fga && !splits.second?.fga)) return null
+  const halves = [
+    { key: "first", label: "1st Half" },
+    { key: "second", label: "2nd Half" },
+  ]
+  return (
+    <div className="mt-3 grid grid-cols-2 gap-2">
+      {halves.map(({ key, label }) => {
+        const line = splits[key]
+        return (
+          <div
+            key={key}
+            className="rounded-xl border border-slate-200 px-3 py-2"
+            aria-label={`${label} FG%`}
+          >
+            <div className="text-[11px] text-slate-500">{label}</div>
+            <div className="text-sm font-semibold text-slate-900">
+              {line.fga ? `${Math.round(line.fgPct)}%` : "—"}
+            </div>
+            <div className="text-[11px] text-slate-500">
+              {line.fgm}/{line.fga} FG
+            </div>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+// FG% against each tagged opponent defender (games with a roster)
+function DefenderSplits({ rows }) {
+  if (!Array.isArray(rows) || rows.length === 0) return null
+  return (
+    <div className="mt-3 rounded-xl border border-slate-200 bg-white px-3 py-2.5">
+      <div className="text-xs font-semibold text-slate-800 mb-1">Shooting vs Defender</div>
+      <ul className="divide-y divide-slate-100">
+        {rows.map((row) => (
+          <li
+            key={row.key}
+            className="flex items-center justify-between gap-2 py-1.5"
+            aria-label={`${row.label} FG%`}
+          >
+            <div className="min-w-0">
+              <div className="text-xs font-medium text-slate-700 truncate">{row.label}</div>
+              {row.opponent && (
+                <div className="text-[11px] text-slate-500 truncate">vs {row.opponent}</div>
+              )}
+            </div>
+            <div className="text-right">
+              <div className="text-sm font-semibold text-sky-700">{Math.round(row.fgPct)}%</div>
+              <div className="text-[11px] text-slate-500">
+                {row.fgm}/{row.fga} FG
+              </div>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+// FG% with each tagged lineup of teammates on the floor
+function LineupSplits({ rows }) {
+  if (!Array.isArray(rows) || rows.length === 0) return null
+  return (
+    <div className="mt-3 rounded-xl border border-slate-200 bg-white px-3 py-2.5">
+      <div className="text-xs font-semibold text-slate-800 mb-1">Shooting by Lineup</div>
+      <ul className="divide-y divide-slate-100">
+        {rows.map((row) => (
+          <li
+            key={row.key}
+            className="flex items-center justify-between gap-2 py-1.5"
+            aria-label={`${row.label} FG%`}
+          >
+            <div className="min-w-0">
+              <div className="text-xs font-medium text-slate-700 truncate">{row.label}</div>
+              {row.team && <div className="text-[11px] text-slate-500 truncate">{row.team}</div>}
+            </div>
+            <div className="text-right">
+              <div className="text-sm font-semibold text-sky-700">{Math.round(row.fgPct)}%</div>
+              <div className="text-[11px] text-slate-500">
+                {row.fgm}/{row.fga} FG
+              </div>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+// Streaks and first-shot-of-the-day FG% from practice shots logged one at a time
+function ShotSequence({ sequence }) {
+  if (!sequence?.shots) return null
+  const { firstShot } = sequence
+  const tiles = [
+    {
+      key: "first",
+      label: "First Shot",
+      value: `${Math.round(firstShot.fgPct)}%`,
+      sub: `${firstShot.makes}/${firstShot.days} days`,
+    },
+    {
+      key: "make",
+      label: "Make Streak",
+      value: sequence.longestMakeStreak,
+      sub: "longest in a row",
+    },
+    {
+      key: "miss",
+      label: "Miss Streak",
+      value: sequence.longestMissStreak,
+      sub: "longest in a row",
+    },
+  ]
+  return (
+    <div className="mt-3 rounded-xl border border-slate-200 bg-white px-3 py-2.5">
+      <div className="flex items-center justify-between mb-1">
+        <div className="text-xs font-semibold text-slate-800">Shot by Shot</div>
+        <div className="text-[11px] text-slate-500">
+          {sequence.makes}/{sequence.shots} single shots
+        </div>
+      </div>
+      <div className="grid grid-cols-3 gap-2">
+        {tiles.map((t) => (
+          <div key={t.key} className="rounded-lg bg-slate-50 px-2 py-1.5" aria-label={t.label}>
+            <div className="text-[11px] text-slate-500">{t.label}</div>
+            <div className="text-sm font-semibold text-slate-900">{t.value}</div>
+            <div className="text-[11px] text-slate-500">{t.sub}</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+// FG% / eFG% by position within each session, with a first-vs-last-third drop-off
+function FatigueSplits({ fatigue, title, lateLabel }) {
+  const [split, setSplit] = useState("order")
+  const view = fatigue?.[split]
+  const hasShots = fatigue?.order?.blocks?.some((b) => b.fga > 0)
+  if (!hasShots) return null
+
+  const blocks = view?.blocks || []
+  const drop = view?.dropOff
+  const enough =
+    drop && drop.earlyFga >= FATIGUE_MIN_ATTEMPTS && drop.lateFga >= FATIGUE_MIN_ATTEMPTS
+  const change = drop ? Math.round(drop.change) : 0
+
+  return (
+    <div className="mt-3 rounded-xl border border-slate-200 bg-white px-3 py-2.5">
+      <div className="flex items-center justify-between mb-1">
+        <div className="text-xs font-semibold text-slate-800">{title}</div>
+        <div className="time-pill-group" role="group" aria-label="Fatigue split">
+          {FATIGUE_SPLITS.map((f) => {
+            const active = f.id === split
+            return (
+              <button
+                key={f.id}
+                type="button"
+                aria-pressed={active}
+                onClick={() => setSplit(f.id)}
+                className={"time-pill" + (active ? " time-pill--active" : "")}
+              >
+                {f.label}
+              </button>
+            )
+          })}
+        </div>
+      </div>
+
+      <div className="h-32">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={blocks} margin={{ top: 4, right: 10, left: -20, bottom: 0 }}>
+            <CartesianGrid strokeDasharray="3 3" vertical={false} />
+            <XAxis dataKey="label" tick={{ fontSize: 10 }} axisLine={false} tickLine={false} />
+            <YAxis
+              tick={{ fontSize: 10 }}
+              axisLine={false}
+              tickLine={false}
+              domain={[0, 100]}
+              tickFormatter={(v) => `${v}%`}
+            />
+            <Tooltip formatter={(v) => `${Math.round(v)}%`} labelFormatter={(l) => l} />
+            <Legend verticalAlign="bottom" height={24} wrapperStyle={{ fontSize: 10 }} />
+            <Line
+              type="monotone"
+              dataKey="efgPct"
+              name="eFG%"
+              stroke="#0ea5e9"
+              strokeWidth={2}
+              connectNulls
+              dot={{ r: 2 }}
+            />
+            <Line
+              type="monotone"
+              dataKey="fgPct"
+              name="FG%"
+              stroke="#f97316"
+              strokeWidth={2}
+              connectNulls
+              dot={{ r: 2 }}
+            />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="mt-1 text-[11px] text-slate-600" aria-label={lateLabel}>
+        {!drop ? (
+          <span>Not enough shots early and late to compare yet.</span>
+        ) : (
+          <>
+            <span>
+              First vs last third: FG% {Math.round(drop.earlyFgPct)}% → {Math.round(drop.lateFgPct)}% (
+              {change > 0 ? "+" : change < 0 ? "−" : ""}
+              {Math.abs(change)} pts)
+            </span>{" "}
+            {drop.flagged ? (
+              <span className="font-semibold text-rose-600">Drop-off</span>
+            ) : enough ? (
+              <span className="font-semibold text-emerald-600">No drop-off</span>
+            ) : (
+              <span className="text-slate-500">
+                Needs {FATIGUE_MIN_ATTEMPTS}+ FGA early and late
+              </span>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
 function MetricCard({ label, fgPct, attempts, makes, attemptsLabel, goalPct, mode, totalAttempts }) {
   const isAttempts = mode === "attempts"
 
@@ -491,6 +716,10 @@ export default function Performance({ navigate }) {
   const [gameContested, setGameContested] = useState("all")
   const [practiceContested, setPracticeContested] = useState("all")
 
+  const [gameSituation, setGameSituation] = useState("all")
+  // Situation filter pills (game only), the tag set from Account
+  const [situationOptions] = useState(() => situationFilterOptions(loadSituationTagGroups()))
+
   const [gameMode, setGameMode] = useState("fgpct")
   const [practiceMode, setPracticeMode] = useState("fgpct")
 
@@ -547,6 +776,7 @@ export default function Performance({ navigate }) {
           days: gameRange.days,
           shotType: gameShotType,
           contested: gameContested,
+          situation: gameSituation,
           athleteId: activeAthleteId,
         })
         if (!cancelled) {
@@ -567,7 +797,7 @@ export default function Performance({ navigate }) {
     return () => {
       cancelled = true
     }
-  }, [gameRange.days, gameShotType, gameContested, activeAthleteId])
+  }, [gameRange.days, gameShotType, gameContested, gameSituation, activeAthleteId])
 
   // Load Practice performance
   useEffect(() => {
@@ -717,9 +947,20 @@ export default function Performance({ navigate }) {
               </div>
 
               <div className="mt-2 flex items-center justify-between">
-                <ContestedPills value={gameContested} onChange={setGameContested} />
+                <FilterPills options={CONTEST_FILTERS} value={gameContested} onChange={setGameContested} />
               </div>
 
+              {situationOptions.length > 0 && (
+                <div className="mt-2 flex items-center justify-between">
+                  <FilterPills
+                    options={situationOptions}
+                    value={gameSituation}
+                    onChange={setGameSituation}
+                    label="Situation filter"
+                  />
+                </div>
+              )}
+
               <div className="mt-3 space-y-2">
                 {gameLoading && (
                   <div className="text-xs text-slate-500">
@@ -747,6 +988,10 @@ export default function Performance({ navigate }) {
                   ))}
               </div>
 
+              {!gameLoading && <HalfSplits splits={gameData.halfSplits} />}
+              {!gameLoading && <DefenderSplits rows={gameData.defenderSplits} />}
+              {!gameLoading && <LineupSplits rows={gameData.lineupSplits} />}
+
               <div className="mt-4">
                 <TrendChart
                   title={gameMode === "attempts" ? "Game Attempts Trend" : "Game eFG% vs FG% Trend"}
@@ -760,6 +1005,14 @@ export default function Performance({ navigate }) {
                   vizMode={gameMode}
                 />
               </div>
+
+              {!gameLoading && (
+                <FatigueSplits
+                  fatigue={gameData.fatigue}
+                  title="Late-Game Fatigue"
+                  lateLabel="Late-game drop-off"
+                />
+              )}
             </>
           )}
         </section>
@@ -798,7 +1051,7 @@ export default function Performance({ navigate }) {
               </div>
 
               <div className="mt-2 flex items-center justify-between">
-                <ContestedPills value={practiceContested} onChange={setPracticeContested} />
+                <FilterPills options={CONTEST_FILTERS} value={practiceContested} onChange={setPracticeContested} />
               </div>
 
               <div className="mt-3 space-y-2">
@@ -828,6 +1081,8 @@ export default function Performance({ navigate }) {
                   ))}
               </div>
 
+              {!practiceLoading && <ShotSequence sequence={practiceData.shotSequence} />}
+
               <div className="mt-4">
                 <TrendChart
                   title={practiceMode === "attempts" ? "Practice Attempts Trend" : "Practice eFG% vs FG% Trend"}
@@ -841,6 +1096,14 @@ export default function Performance({ navigate }) {
                   vizMode={practiceMode}
                 />
               </div>
+
+              {!practiceLoading && (
+                <FatigueSplits
+                  fatigue={practiceData.fatigue}
+                  title="Late-Session Fatigue"
+                  lateLabel="Late-session drop-off"
+                />
+              )}
             </>
           )}
         </section>
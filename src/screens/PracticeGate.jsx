@@ -5,13 +5,16 @@ import {
   deletePracticeSession,
   listPracticeSessions,
   listActivePracticeSessions,
+  listPracticeSessionSummaries,
 } from "../lib/practice-db"
+import { formatDuration } from "../constants/practiceTimer"
 import { PlayCircle, Trash2, ChevronDown, ArrowLeftRight } from "lucide-react"
 import {
   listAthletes,
   getActiveAthleteId,
   setActiveAthlete,
 } from "../lib/athlete-db"
+import { onRemoteChange } from "../lib/sync-notify"
 
 function athleteName(athlete) {
   if (!athlete) return "No active athlete"
@@ -38,6 +41,42 @@ function dayName(iso) {
   try { return new Date(iso).toLocaleDateString(undefined, { weekday: "long" }) } catch { return "—" }
 }
 
+function fmtPct(pct) {
+  return `${Math.round(pct)}%`
+}
+
+// Duration, pace and FG% for a session row; work vs rest when it ran on a timer
+function SessionSummary({ summary }) {
+  if (!summary) return null
+  const { work, rest, intervals } = summary.intervals
+  const workIntervals = intervals.filter((line) => line.phase === "work" && line.attempts > 0)
+  return (
+    <div className="text-xs text-slate-500 space-y-0.5" aria-label="Session summary">
+      <div>
+        {formatDuration(summary.durationSec)}
+        {summary.attempts > 0 && (
+          <>
+            {" · "}
+            {summary.shotsPerMin.toFixed(1)} shots/min · {fmtPct(summary.fgPct)} ({summary.makes}/
+            {summary.attempts})
+          </>
+        )}
+      </div>
+      {(work.attempts > 0 || rest.attempts > 0) && (
+        <div>
+          Work {work.attempts ? fmtPct(work.fgPct) : "—"} · Rest{" "}
+          {rest.attempts ? fmtPct(rest.fgPct) : "—"}
+        </div>
+      )}
+      {workIntervals.length > 0 && (
+        <div className="truncate" aria-label="FG% by interval">
+          {workIntervals.map((line) => `#${line.index + 1} ${fmtPct(line.fgPct)}`).join(" · ")}
+        </div>
+      )}
+    </div>
+  )
+}
+
 function monthKey(iso) {
   try {
     const d = new Date(iso || Date.now())
@@ -60,6 +99,7 @@ function monthLabel(iso) {
 
 export default function PracticeGate({ navigate }) {
   const [sessions, setSessions] = useState([])
+  const [summaries, setSummaries] = useState({})
   const [active, setActive] = useState(null)
   const [existingActiveSession, setExistingActiveSession] = useState(null)
   const [openMonth, setOpenMonth] = useState(null)
@@ -115,12 +155,15 @@ export default function PracticeGate({ navigate }) {
     const all = await listPracticeSessions()
     const actives = await listActivePracticeSessions()
     setSessions(all)
+    setSummaries((await listPracticeSessionSummaries()) || {})
     setActive(actives[0] || null)
     const nextAthletes = listAthletes()
     setAthletes(nextAthletes)
     setSelectedAthleteId(getActiveAthleteId() || nextAthletes[0]?.id || "")
   }
   useEffect(() => { refresh() }, [])
+  // another tab or a pull changed the sessions
+  useEffect(() => onRemoteChange(() => { refresh() }), [])
 
   useEffect(() => {
     if (!showStartCard) return undefined
@@ -365,6 +408,7 @@ export default function PracticeGate({ navigate }) {
                           {fmtDate(s.started_at || s.date_iso)}
                         </span>
                       </div>
+                      <SessionSummary summary={summaries[s.id]} />
                     </button>
                     <button
                       className="p-1.5 trash-btn"
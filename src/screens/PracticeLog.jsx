@@ -1,4 +1,4 @@
-import { useEffect, useMemo, useState } from "react"
+import { useEffect, useMemo, useRef, useState } from "react"
 import {
   addPracticeSession,
   endPracticeSession,
@@ -8,10 +8,49 @@ import {
   addMarker,
   updateEntry,
   deleteEntry,
+  listDrills,
+  addDrill,
+  updateDrill,
+  deleteDrill,
+  getDrillHistory,
+  setPracticeTimer,
+  addChallenge,
+  listChallenges,
 } from "../lib/practice-db"
 import { ZONES } from "../constants/zones"
+import { classifyPoint, zoneIsThree } from "../constants/courtGeometry"
+import { plotPointForEvent, pointFromTap, zoneAnchorPoint } from "../constants/shotLocation"
 import { SHOT_TYPES, PICKUP_TYPES, FINISH_TYPES } from "../constants/shotTypes"
+import {
+  DRILL_PRESETS,
+  DEFAULT_TARGET_REPS,
+  MAX_DRILL_STEPS,
+  drillStepLabel,
+  drillTargetReps,
+  nextDrillStep,
+  normalizeDrillName,
+  normalizeDrillSteps,
+  summarizeDrillRun,
+} from "../constants/drills"
+import {
+  INTERVAL_PRESETS,
+  formatDuration,
+  intervalAt,
+  normalizeIntervalSec,
+  sessionDurationSec,
+  sessionTimer,
+  shotsPerMinute,
+} from "../constants/practiceTimer"
+import {
+  CHALLENGE_TARGETS,
+  DEFAULT_CHALLENGE_TARGET,
+  applyChallengeShot,
+  challengeKey,
+  challengeRecords,
+  startChallenge,
+} from "../constants/challenges"
 import { ArrowLeft, Edit2, Trash2, X } from "lucide-react"
+import { MdSportsBasketball } from "react-icons/md"
 
 const ZONE_OPTIONS = ZONES.map((z) => ({ value: z.id, label: z.label }))
 const SHOT_OPTIONS = SHOT_TYPES.map((s) => ({ value: s.id, label: s.label }))
@@ -27,6 +66,19 @@ const FREE_THROW_ZONE_ID =
       (z.label && z.label.toLowerCase().includes("free throw")),
   )?.id || "free_throw"
 
+// Batch: attempts / makes per set. Per Shot: tap the spot, then Make or Miss.
+const LOG_MODES = [
+  { id: "batch", label: "Batch" },
+  { id: "shot", label: "Per Shot" },
+]
+
+// Tap targets over the court, one per zone with an anchor
+const COURT_TARGETS = ZONES.map((z) => ({
+  id: z.id,
+  label: z.label || z.id,
+  point: zoneAnchorPoint(z.id),
+})).filter((t) => t.point)
+
 const LAYUP_SHOT_TYPE_ID =
   SHOT_TYPES.find(
     (s) =>
@@ -58,6 +110,71 @@ function formatSessionHeader(iso) {
   return `${weekday} | ${mon} ${day} | ${yr}.`
 }
 
+function fmtPct(made, att) {
+  return att ? `${Math.round((made / att) * 100)}%` : "—"
+}
+
+function createCueContext() {
+  const AudioCtx = typeof window !== "undefined" && (window.AudioContext || window.webkitAudioContext)
+  if (!AudioCtx) return null
+  try {
+    return new AudioCtx()
+  } catch {
+    return null
+  }
+}
+
+// Short beep when the interval timer switches: high for work, low for rest
+function playIntervalCue(ctx, phase) {
+  if (!ctx) return
+  try {
+    const osc = ctx.createOscillator()
+    const gain = ctx.createGain()
+    osc.frequency.value = phase === "work" ? 880 : 440
+    gain.gain.value = 0.2
+    osc.connect(gain)
+    gain.connect(ctx.destination)
+    osc.start()
+    osc.stop(ctx.currentTime + 0.3)
+  } catch (err) {
+    console.warn("[PracticeLog] playIntervalCue error:", err)
+  }
+}
+
+function isSingleShot(entry) {
+  return typeof entry?.made === "boolean"
+}
+
+// Makes or misses in a row at the end of the session's single shots
+function currentStreak(entries) {
+  const shots = (entries || []).filter(isSingleShot)
+  const last = shots[shots.length - 1]
+  if (!last) return null
+  let count = 0
+  for (let i = shots.length - 1; i >= 0 && shots[i].made === last.made; i--) count++
+  return { made: last.made, count }
+}
+
+// A step's line in a run: totals over every entry logged for it
+function drillStepLine(logged, index) {
+  const lines = logged.filter((l) => l.drill_step === index)
+  if (!lines.length) return null
+  return lines.reduce(
+    (sum, l) => ({ attempts: sum.attempts + l.attempts, makes: sum.makes + l.makes }),
+    { attempts: 0, makes: 0 },
+  )
+}
+
+// Editor rows keep reps / goal as strings so inputs can be blank
+function toDraftStep(step) {
+  return {
+    zone_id: step?.zone_id || ZONE_OPTIONS[0]?.value || "",
+    shot_type: step?.shot_type ?? SHOT_OPTIONS[0]?.value ?? null,
+    target_reps: String(step?.target_reps ?? DEFAULT_TARGET_REPS),
+    make_goal: step?.make_goal == null ? "" : String(step.make_goal),
+  }
+}
+
 function ModalShell({ title, onClose, children }) {
   return (
     <div className="fixed inset-0 z-50 flex items-end sm:items-center justify-center">
@@ -104,6 +221,18 @@ export default function PracticeLog({ id, started_at, navigate }) {
   const [pickupType, setPickupType] = useState(null)
   const [finishType, setFinishType] = useState(null)
 
+  // Clock for the session duration and interval timer (ticks while active)
+  const [nowMs, setNowMs] = useState(() => Date.now())
+  const [timerWork, setTimerWork] = useState(String(INTERVAL_PRESETS[0].workSec))
+  const [timerRest, setTimerRest] = useState(String(INTERVAL_PRESETS[0].restSec))
+  const [timerCustomOpen, setTimerCustomOpen] = useState(false)
+  const cueCtxRef = useRef(null)
+  const lastCueRef = useRef(null)
+
+  const [logMode, setLogMode] = useState("batch")
+  // Court fractions of the last tapped spot (per-shot mode)
+  const [shotPoint, setShotPoint] = useState(null)
+
   const [editOpen, setEditOpen] = useState(false)
   const [editRow, setEditRow] = useState(null)
   const [editZoneId, setEditZoneId] = useState("")
@@ -117,8 +246,27 @@ export default function PracticeLog({ id, started_at, navigate }) {
   const [deleteOpen, setDeleteOpen] = useState(false)
   const [deleteRow, setDeleteRow] = useState(null)
 
+  // Drill templates and guided runs
+  const [drills, setDrills] = useState([])
+  const [selectedDrillId, setSelectedDrillId] = useState("")
+  const [drillHistory, setDrillHistory] = useState({ runs: [], best: null })
+  // { drill, runId, logged: [{ drill_step, attempts, makes, made? }] } while a run is in progress
+  const [guided, setGuided] = useState(null)
+  const [finishedRun, setFinishedRun] = useState(null)
+
+  const [drillEditorOpen, setDrillEditorOpen] = useState(false)
+  const [editingDrillId, setEditingDrillId] = useState(null)
+  const [draftName, setDraftName] = useState("")
+  const [draftSteps, setDraftSteps] = useState([])
+
+  // Streak challenge: make N in a row, one shot at a time
+  const [challenge, setChallenge] = useState(null)
+  const [challengeTarget, setChallengeTarget] = useState(DEFAULT_CHALLENGE_TARGET)
+  const [finishedChallenge, setFinishedChallenge] = useState(null)
+  const [pastChallenges, setPastChallenges] = useState([])
+
   const ZONE_IS_THREE = useMemo(
-    () => Object.fromEntries(ZONES.map((z) => [z.id, !!z.isThree])),
+    () => Object.fromEntries(ZONES.map((z) => [z.id, zoneIsThree(z.id)])),
     [],
   )
 
@@ -198,10 +346,37 @@ export default function PracticeLog({ id, started_at, navigate }) {
     setActiveId(id ?? actives[0]?.id ?? null)
   }
 
+  async function refreshDrills(preferId) {
+    const all = await listDrills()
+    setDrills(all)
+    setSelectedDrillId((cur) => {
+      const want = preferId ?? cur
+      return all.some((d) => d.id === want) ? want : all[0]?.id || ""
+    })
+  }
+
+  async function refreshDrillHistory(drillId) {
+    if (!drillId) {
+      setDrillHistory({ runs: [], best: null })
+      return
+    }
+    setDrillHistory(await getDrillHistory(drillId))
+  }
+
+  async function refreshChallenges() {
+    setPastChallenges(await listChallenges())
+  }
+
   useEffect(() => {
     refresh()
+    refreshDrills()
+    refreshChallenges()
   }, [])
 
+  useEffect(() => {
+    void refreshDrillHistory(selectedDrillId)
+  }, [selectedDrillId])
+
   useEffect(() => {
     if (id) setActiveId(id)
   }, [id])
@@ -230,6 +405,139 @@ export default function PracticeLog({ id, started_at, navigate }) {
     activeSession.status === "active" &&
     !activeSession.ended_at
 
+  const selectedDrill = drills.find((d) => d.id === selectedDrillId) || null
+  const guidedStepIndex = guided ? nextDrillStep(guided.drill.steps, guided.logged) : -1
+  const guidedStep = guided?.drill.steps[guidedStepIndex] || null
+
+  const timer = sessionTimer(activeSession)
+  const interval = isTrulyActive ? intervalAt(timer, nowMs) : null
+  const cueKey = interval ? `${interval.index}:${interval.phase}` : null
+  const durationSec = activeSession ? sessionDurationSec(activeSession, nowMs) : 0
+  const pace = shotsPerMinute(runningAttempts, durationSec)
+  const timerValid = !!normalizeIntervalSec(timerWork) && !!normalizeIntervalSec(timerRest)
+
+  useEffect(() => {
+    if (!isTrulyActive) return undefined
+    setNowMs(Date.now())
+    const t = setInterval(() => setNowMs(Date.now()), 1000)
+    return () => clearInterval(t)
+  }, [isTrulyActive])
+
+  // Release the cue audio context when leaving the screen
+  useEffect(() => () => {
+    const ctx = cueCtxRef.current
+    cueCtxRef.current = null
+    if (ctx?.close) Promise.resolve(ctx.close()).catch(() => {})
+  }, [])
+
+  // Cue each work/rest switch (not the first reading after a reload)
+  useEffect(() => {
+    const prev = lastCueRef.current
+    lastCueRef.current = cueKey
+    if (!cueKey || !prev || prev === cueKey) return
+    if (!cueCtxRef.current) cueCtxRef.current = createCueContext()
+    playIntervalCue(cueCtxRef.current, cueKey.split(":")[1])
+  }, [cueKey])
+
+  async function startTimer(workSec, restSec) {
+    if (!activeSession?.id) return
+    // Created on the tap so browsers let it play later
+    if (!cueCtxRef.current) cueCtxRef.current = createCueContext()
+    await setPracticeTimer(activeSession.id, { workSec, restSec })
+    playIntervalCue(cueCtxRef.current, "work")
+    setTimerCustomOpen(false)
+    setNowMs(Date.now())
+    await refresh()
+  }
+
+  async function onStartCustomTimer() {
+    if (!timerValid) return
+    await startTimer(normalizeIntervalSec(timerWork), normalizeIntervalSec(timerRest))
+  }
+
+  async function onStopTimer() {
+    if (!activeSession?.id) return
+    await setPracticeTimer(activeSession.id, null)
+    await refresh()
+  }
+
+  const sessionShots = recentDrills.filter(isSingleShot)
+  const streak = currentStreak(recentDrills)
+
+  // Best streak so far for the challenge's (or the picked) zone + shot type
+  const challengeRecordByKey = useMemo(() => challengeRecords(pastChallenges), [pastChallenges])
+  const challengeRecord = challenge
+    ? Math.max(
+        challengeRecordByKey[challengeKey(challenge.zone_id, challenge.shot_type)] || 0,
+        challenge.best_streak,
+      )
+    : challengeRecordByKey[challengeKey(zoneId, shotTypeId)] || 0
+
+  function onStartChallenge() {
+    if (!activeSession?.id || guided) return
+    setChallenge({
+      ...startChallenge({ zoneId, shotType: shotTypeId, target: challengeTarget }),
+      started_at: new Date().toISOString(),
+    })
+    setFinishedChallenge(null)
+    setLogMode("shot")
+  }
+
+  // Save the result (nothing to save before the first shot)
+  async function finishChallenge(run) {
+    setChallenge(null)
+    if (!run.attempts || !activeSession?.id) return
+    await addChallenge({
+      sessionId: activeSession.id,
+      zoneId: run.zone_id,
+      shotType: run.shot_type,
+      targetStreak: run.target_streak,
+      bestStreak: run.best_streak,
+      attempts: run.attempts,
+      makes: run.makes,
+      completed: run.completed,
+      startedAt: run.started_at,
+    })
+    setFinishedChallenge(run)
+    await refreshChallenges()
+  }
+
+  // Pre-fill the pickers from the step being worked on
+  function applyDrillStep(step) {
+    if (!step) return
+    setZoneId(step.zone_id)
+    setShotTypeId(step.shot_type || SHOT_OPTIONS[0]?.value || "")
+    if (step.zone_id === FREE_THROW_ZONE_ID) setContested(false)
+    setAttempts(String(step.target_reps))
+    setMakes("")
+    setPickupType(null)
+    setFinishType(null)
+    setShotPoint(null)
+  }
+
+  async function onStartDrill() {
+    if (!activeSession?.id || !selectedDrill) return
+    const marker = await addMarker({
+      sessionId: activeSession.id,
+      label: selectedDrill.name,
+      drillId: selectedDrill.id,
+    })
+    setFinishedRun(null)
+    setGuided({ drill: selectedDrill, runId: marker.id, logged: [] })
+    applyDrillStep(selectedDrill.steps[0])
+  }
+
+  async function finishDrill(run) {
+    setGuided(null)
+    setFinishedRun({
+      name: run.drill.name,
+      ...summarizeDrillRun(run.drill.steps, run.logged),
+    })
+    setAttempts("")
+    setMakes("")
+    await refreshDrillHistory(run.drill.id)
+  }
+
   async function onSaveAndMarkSet() {
     if (!activeSession?.id) return
     const a = attemptsNum
@@ -239,6 +547,7 @@ export default function PracticeLog({ id, started_at, navigate }) {
     const effectiveShotType = isFreeThrowZone ? null : shotTypeId
     const effectiveContested = isFreeThrowZone ? false : contested
     const isLayup = effectiveShotType === LAYUP_SHOT_TYPE_ID
+    const run = guidedStep ? guided : null
 
     await addEntry({
       sessionId: activeSession.id,
@@ -250,9 +559,11 @@ export default function PracticeLog({ id, started_at, navigate }) {
       ts: new Date().toISOString(),
       pickupType: isLayup ? pickupType : null,
       finishType: isLayup ? finishType : null,
+      ...(run ? { drillRunId: run.runId, drillStep: guidedStepIndex } : {}),
     })
 
-    await addMarker({ sessionId: activeSession.id, label: "Set" })
+    // Guided runs already have their marker; free-form batches mark a set
+    if (!run) await addMarker({ sessionId: activeSession.id, label: "Set" })
 
     // Clear (blank), not forced 0
     setAttempts("")
@@ -261,12 +572,138 @@ export default function PracticeLog({ id, started_at, navigate }) {
     setFinishType(null)
 
     await refreshEFG(activeSession.id)
+
+    if (run) await advanceDrill(run, { drill_step: guidedStepIndex, attempts: a, makes: m })
+  }
+
+  // Record a logged line on the run; move on once its step is done
+  async function advanceDrill(run, line) {
+    const next = { ...run, logged: [...run.logged, line] }
+    const nextIndex = nextDrillStep(next.drill.steps, next.logged)
+    if (nextIndex === -1) {
+      await finishDrill(next)
+      return
+    }
+    setGuided(next)
+    if (nextIndex !== guidedStepIndex) applyDrillStep(next.drill.steps[nextIndex])
+  }
+
+  // A running challenge stays in its zone
+  function pickZone(nextZoneId) {
+    if (challenge && nextZoneId !== challenge.zone_id) return false
+    setZoneId(nextZoneId)
+    if (nextZoneId === FREE_THROW_ZONE_ID) setContested(false)
+    return true
+  }
+
+  // Tap anywhere on the court: keep the spot and the zone it falls in
+  function onCourtTap(e) {
+    if (e.target !== e.currentTarget) return // zone buttons handle their own taps
+    const point = pointFromTap(e.clientX, e.clientY, e.currentTarget.getBoundingClientRect())
+    const spot = point && classifyPoint(point.x, point.y)
+    if (spot && pickZone(spot.zoneId)) setShotPoint(point)
+  }
+
+  // Tap on a zone target: exact spot when there is one (keyboard clicks have
+  // no position), else the zone's anchor
+  function onZoneTap(e, target) {
+    const rect = e.currentTarget.parentElement?.getBoundingClientRect()
+    const point = e.detail > 0 ? pointFromTap(e.clientX, e.clientY, rect) : null
+    if (pickZone(target.id)) setShotPoint(point || target.point)
+  }
+
+  async function onLogShot(made) {
+    if (!activeSession?.id) return
+
+    const effectiveShotType = isFreeThrowZone ? null : shotTypeId
+    const isLayup = effectiveShotType === LAYUP_SHOT_TYPE_ID
+    const run = guidedStep ? guided : null
+
+    await addEntry({
+      sessionId: activeSession.id,
+      zoneId,
+      shotType: effectiveShotType,
+      contested: isFreeThrowZone ? false : contested,
+      made,
+      shotX: shotPoint?.x,
+      shotY: shotPoint?.y,
+      ts: new Date().toISOString(),
+      pickupType: isLayup ? pickupType : null,
+      finishType: isLayup ? finishType : null,
+      ...(run ? { drillRunId: run.runId, drillStep: guidedStepIndex } : {}),
+    })
+
+    await refreshEFG(activeSession.id)
+
+    if (run) {
+      await advanceDrill(run, {
+        drill_step: guidedStepIndex,
+        attempts: 1,
+        makes: made ? 1 : 0,
+        made,
+      })
+    }
+
+    if (challenge) {
+      const next = applyChallengeShot(challenge, made)
+      if (next.completed) await finishChallenge(next)
+      else setChallenge(next)
+    }
+  }
+
+  async function onMarkSet() {
+    if (!activeSession?.id) return
+    await addMarker({ sessionId: activeSession.id, label: "Set" })
+  }
+
+  function openDrillEditor(drill) {
+    setEditingDrillId(drill?.id || null)
+    setDraftName(drill?.name || "")
+    setDraftSteps((drill?.steps || [null]).map(toDraftStep))
+    setDrillEditorOpen(true)
+  }
+
+  function closeDrillEditor() {
+    setDrillEditorOpen(false)
+    setEditingDrillId(null)
+  }
+
+  function updateDraftStep(index, patch) {
+    setDraftSteps((steps) =>
+      steps.map((step, i) => (i === index ? { ...step, ...patch } : step)),
+    )
+  }
+
+  const draftValid =
+    !!normalizeDrillName(draftName) && normalizeDrillSteps(draftSteps).length > 0
+
+  async function onSaveDrill() {
+    if (!draftValid) return
+    try {
+      const saved = editingDrillId
+        ? await updateDrill({ id: editingDrillId, name: draftName, steps: draftSteps })
+        : await addDrill({ name: draftName, steps: draftSteps })
+      closeDrillEditor()
+      await refreshDrills(saved?.id)
+      await refreshDrillHistory(saved?.id)
+    } catch (err) {
+      console.warn("[PracticeLog] onSaveDrill error:", err)
+    }
+  }
+
+  async function onDeleteDrill() {
+    if (!editingDrillId) return
+    await deleteDrill(editingDrillId)
+    closeDrillEditor()
+    await refreshDrills()
   }
 
   async function onEndActive() {
     const s = activeSession
     if (!s || s.status !== "active" || s.ended_at) return
+    if (challenge) await finishChallenge(challenge)
     await endPracticeSession(s.id)
+    setGuided(null)
     await refresh()
     setActiveId(null)
     if (navigate) navigate("gate")
@@ -421,6 +858,22 @@ export default function PracticeLog({ id, started_at, navigate }) {
               </div>
             </div>
             <div className="text-right text-sm text-slate-600">
+              {activeSession && (
+                <div aria-label="Session duration">
+                  Duration:{" "}
+                  <span className="font-semibold text-slate-900 tabular-nums">
+                    {formatDuration(durationSec)}
+                  </span>
+                </div>
+              )}
+              {activeSession && (
+                <div aria-label="Shots per minute">
+                  Pace:{" "}
+                  <span className="font-semibold text-slate-900 tabular-nums">
+                    {pace.toFixed(1)}/min
+                  </span>
+                </div>
+              )}
               <div>
                 Total Shots:{" "}
                 <span className="font-semibold text-slate-900">
@@ -437,18 +890,385 @@ export default function PracticeLog({ id, started_at, navigate }) {
           </div>
         </section>
 
+        {/* Work/rest interval timer; entries are tagged with the interval they fall in */}
+        {isTrulyActive && (
+          <section className="card" aria-label="Interval timer">
+            {timer ? (
+              <div className="flex items-center justify-between gap-3">
+                <div>
+                  <div
+                    className={`text-2xl font-bold ${
+                      interval?.phase === "rest" ? "text-sky-700" : "text-emerald-700"
+                    }`}
+                    role="timer"
+                    aria-label="Interval time left"
+                  >
+                    {interval?.phase === "rest" ? "Rest" : "Work"}{" "}
+                    <span className="tabular-nums">
+                      {formatDuration(interval?.remainingSec ?? timer.workSec)}
+                    </span>
+                  </div>
+                  <div className="text-sm text-slate-600">
+                    Interval {(interval?.index ?? 0) + 1} · {timer.workSec}s on / {timer.restSec}s off
+                  </div>
+                </div>
+                <button
+                  type="button"
+                  onClick={onStopTimer}
+                  className="btn h-9 px-3 text-xs font-semibold border border-slate-200 bg-white"
+                >
+                  Stop Timer
+                </button>
+              </div>
+            ) : (
+              <div className="grid gap-2">
+                <div className="flex items-center justify-between">
+                  <div className="text-sm font-semibold text-slate-900">Interval Timer</div>
+                  <div className="flex gap-2" role="group" aria-label="Interval presets">
+                    {INTERVAL_PRESETS.map((p) => (
+                      <button
+                        key={p.key}
+                        type="button"
+                        onClick={() => startTimer(p.workSec, p.restSec)}
+                        className="btn btn-xs btn-outline-emerald"
+                        title={`Start ${p.workSec}s on / ${p.restSec}s off`}
+                      >
+                        {p.label}
+                      </button>
+                    ))}
+                    <button
+                      type="button"
+                      onClick={() => setTimerCustomOpen((v) => !v)}
+                      aria-expanded={timerCustomOpen}
+                      className="btn btn-xs btn-outline-emerald"
+                    >
+                      Custom
+                    </button>
+                  </div>
+                </div>
+                {timerCustomOpen && (
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="number"
+                      inputMode="numeric"
+                      min={5}
+                      className="input w-20"
+                      value={timerWork}
+                      onChange={(e) => setTimerWork(e.target.value)}
+                      aria-label="Work seconds"
+                    />
+                    <span className="text-sm text-slate-600">s on</span>
+                    <input
+                      type="number"
+                      inputMode="numeric"
+                      min={5}
+                      className="input w-20"
+                      value={timerRest}
+                      onChange={(e) => setTimerRest(e.target.value)}
+                      aria-label="Rest seconds"
+                    />
+                    <span className="text-sm text-slate-600">s off</span>
+                    <button
+                      type="button"
+                      onClick={onStartCustomTimer}
+                      disabled={!timerValid}
+                      className="btn btn-emerald h-10 px-3 rounded-lg text-sm font-medium ml-auto"
+                    >
+                      Start Timer
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+          </section>
+        )}
+
+        {/* Drill templates: pick one to run guided, or log free-form below */}
+        <section className="card" aria-label="Drill templates">
+          {guided ? (
+            <div className="grid gap-2">
+              <div className="flex items-center justify-between gap-2">
+                <div className="min-w-0">
+                  <div className="text-base font-semibold text-slate-900 truncate">
+                    {guided.drill.name}
+                  </div>
+                  <div className="text-sm text-slate-600">
+                    Step {guidedStepIndex + 1} of {guided.drill.steps.length}
+                  </div>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => finishDrill(guided)}
+                  className="btn h-9 px-3 text-xs font-semibold border border-slate-200 bg-white"
+                >
+                  End Drill
+                </button>
+              </div>
+
+              {guidedStep && (
+                <div className="rounded-lg bg-emerald-50 px-3 py-2 text-sm text-slate-800">
+                  <div className="font-medium">{drillStepLabel(guidedStep)}</div>
+                  <div className="text-slate-600">
+                    Target: {guidedStep.target_reps} reps
+                    {guidedStep.make_goal != null && ` · Goal: ${guidedStep.make_goal} makes`}
+                  </div>
+                </div>
+              )}
+
+              <ol className="space-y-1 text-sm" aria-label="Drill steps">
+                {guided.drill.steps.map((step, i) => {
+                  const line = drillStepLine(guided.logged, i)
+                  return (
+                    <li
+                      key={i}
+                      className={`flex items-center justify-between gap-2 ${
+                        i === guidedStepIndex ? "font-semibold text-slate-900" : "text-slate-600"
+                      }`}
+                    >
+                      <span className="truncate">
+                        {i + 1}. {drillStepLabel(step)}
+                      </span>
+                      <span className="tabular-nums shrink-0">
+                        {line ? `${line.makes}/${line.attempts}` : `—/${step.target_reps}`}
+                      </span>
+                    </li>
+                  )
+                })}
+              </ol>
+            </div>
+          ) : (
+            <div className="grid gap-3">
+              <div className="flex items-center justify-between">
+                <div className="text-sm font-semibold text-slate-900">Drills</div>
+                <button
+                  type="button"
+                  onClick={() => openDrillEditor(null)}
+                  className="btn btn-xs btn-outline-emerald"
+                >
+                  New Drill
+                </button>
+              </div>
+
+              {drills.length === 0 ? (
+                <div className="text-sm text-slate-500">
+                  No drills yet. Save a workout you run often to log it step by step.
+                </div>
+              ) : (
+                <>
+                  <div className="flex items-center gap-2">
+                    <select
+                      className="input flex-1"
+                      value={selectedDrillId}
+                      onChange={(e) => setSelectedDrillId(e.target.value)}
+                      aria-label="Drill template"
+                    >
+                      {drills.map((d) => (
+                        <option key={d.id} value={d.id}>
+                          {d.name}
+                        </option>
+                      ))}
+                    </select>
+                    <button
+                      type="button"
+                      onClick={() => openDrillEditor(selectedDrill)}
+                      disabled={!selectedDrill}
+                      className="edit-btn p-2 rounded-full hover:bg-slate-100"
+                      aria-label="Edit drill"
+                      title="Edit"
+                    >
+                      <Edit2 size={14} className="text-slate-500" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={onStartDrill}
+                      disabled={!isTrulyActive || !selectedDrill || !!challenge}
+                      className="btn btn-emerald h-10 px-3 rounded-lg text-sm font-medium"
+                    >
+                      Start Drill
+                    </button>
+                  </div>
+
+                  {selectedDrill && (
+                    <div className="text-xs text-slate-500">
+                      {selectedDrill.steps.length}{" "}
+                      {selectedDrill.steps.length === 1 ? "step" : "steps"} ·{" "}
+                      {drillTargetReps(selectedDrill.steps)} reps
+                    </div>
+                  )}
+
+                  {drillHistory.best && (
+                    <div className="text-sm text-slate-700" aria-label="Best run">
+                      Best:{" "}
+                      <span className="font-semibold text-slate-900">
+                        {drillHistory.best.makes}/{drillHistory.best.attempts}
+                      </span>{" "}
+                      ({fmtPct(drillHistory.best.makes, drillHistory.best.attempts)})
+                    </div>
+                  )}
+
+                  {drillHistory.runs.length > 0 && (
+                    <ul className="space-y-1 text-sm" aria-label="Drill history">
+                      {drillHistory.runs.slice(0, 5).map((run) => (
+                        <li key={run.id} className="flex items-center justify-between gap-2 text-slate-600">
+                          <span>
+                            {new Date(run.ts).toLocaleDateString()}
+                            {!run.complete && ` · ${run.stepsDone}/${run.stepCount} steps`}
+                          </span>
+                          <span className="tabular-nums">
+                            {run.goalsSet > 0 && `${run.goalsMet}/${run.goalsSet} goals · `}
+                            <span className="font-medium text-slate-900">
+                              {run.makes}/{run.attempts}
+                            </span>
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </>
+              )}
+
+              {finishedRun && (
+                <div className="rounded-lg bg-emerald-50 px-3 py-2 text-sm text-slate-800" role="status">
+                  {finishedRun.name} {finishedRun.complete ? "complete" : "ended"}:{" "}
+                  {finishedRun.makes}/{finishedRun.attempts} (
+                  {fmtPct(finishedRun.makes, finishedRun.attempts)})
+                  {finishedRun.goalsSet > 0 &&
+                    ` · ${finishedRun.goalsMet}/${finishedRun.goalsSet} goals met`}
+                </div>
+              )}
+            </div>
+          )}
+        </section>
+
+        {/* Streak challenge: make N in a row from the zone + shot type below */}
+        {isTrulyActive && (
+          <section className="card" aria-label="Streak challenge">
+            {challenge ? (
+              <div className="grid gap-2">
+                <div className="flex items-center justify-between gap-2">
+                  <div className="min-w-0">
+                    <div className="text-base font-semibold text-slate-900">
+                      Make {challenge.target_streak} in a row
+                    </div>
+                    <div className="text-sm text-slate-600 truncate">
+                      {drillStepLabel(challenge)}
+                    </div>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => finishChallenge(challenge)}
+                    className="btn h-9 px-3 text-xs font-semibold border border-slate-200 bg-white"
+                  >
+                    End Challenge
+                  </button>
+                </div>
+                <div className="grid grid-cols-3 gap-2 text-center text-sm text-slate-600">
+                  <div aria-label="Challenge streak">
+                    <div className="text-2xl font-bold text-emerald-700 tabular-nums">
+                      {challenge.streak}/{challenge.target_streak}
+                    </div>
+                    Current
+                  </div>
+                  <div aria-label="Challenge best">
+                    <div className="text-2xl font-bold text-slate-900 tabular-nums">
+                      {challenge.best_streak}
+                    </div>
+                    Best
+                  </div>
+                  <div aria-label="Challenge record">
+                    <div className="text-2xl font-bold text-slate-900 tabular-nums">
+                      {challengeRecord}
+                    </div>
+                    Record
+                  </div>
+                </div>
+                <div className="text-xs text-slate-500">
+                  {challenge.makes}/{challenge.attempts} made · log each shot with Make or Miss below
+                </div>
+              </div>
+            ) : (
+              <div className="grid gap-2">
+                <div className="flex items-center justify-between gap-2">
+                  <div className="text-sm font-semibold text-slate-900">Streak Challenge</div>
+                  <div className="flex gap-2" role="group" aria-label="Challenge target">
+                    {CHALLENGE_TARGETS.map((n) => (
+                      <button
+                        key={n}
+                        type="button"
+                        onClick={() => setChallengeTarget(n)}
+                        aria-pressed={challengeTarget === n}
+                        className={`btn btn-xs ${
+                          challengeTarget === n ? "btn-emerald" : "btn-outline-emerald"
+                        }`}
+                      >
+                        {n} in a row
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                <div className="flex items-center justify-between gap-2">
+                  <div className="text-sm text-slate-600" aria-label="Challenge record">
+                    Record here:{" "}
+                    <span className="font-semibold text-slate-900">{challengeRecord}</span>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={onStartChallenge}
+                    disabled={!!guided}
+                    className="btn btn-emerald h-10 px-3 rounded-lg text-sm font-medium"
+                  >
+                    Start Challenge
+                  </button>
+                </div>
+                {finishedChallenge && (
+                  <div className="rounded-lg bg-emerald-50 px-3 py-2 text-sm text-slate-800" role="status">
+                    {finishedChallenge.completed
+                      ? `Challenge complete: ${finishedChallenge.target_streak} in a row in ${finishedChallenge.attempts} shots`
+                      : `Challenge ended: best ${finishedChallenge.best_streak} of ${finishedChallenge.target_streak} in a row`}{" "}
+                    ({finishedChallenge.makes}/{finishedChallenge.attempts})
+                  </div>
+                )}
+              </div>
+            )}
+          </section>
+        )}
+
         <section className="card">
           <div className="grid gap-3">
+            <div className="grid grid-cols-3 gap-3 items-center">
+              <span className="label col-span-1">Logging</span>
+              <div
+                className="col-span-2 flex gap-2"
+                role="group"
+                aria-label="Logging mode"
+              >
+                {LOG_MODES.map((m) => (
+                  <button
+                    key={m.id}
+                    type="button"
+                    onClick={() => setLogMode(m.id)}
+                    disabled={!!challenge && m.id !== "shot"}
+                    aria-pressed={logMode === m.id}
+                    className={`btn btn-xs ${
+                      logMode === m.id ? "btn-emerald" : "btn-outline-emerald"
+                    }`}
+                  >
+                    {m.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
             <div className="grid grid-cols-3 gap-3 items-center">
               <label className="label col-span-1">Zone</label>
               <select
                 className="input col-span-2"
                 value={zoneId}
                 onChange={(e) => {
-                  const newZoneId = e.target.value
-                  setZoneId(newZoneId)
-                  if (newZoneId === FREE_THROW_ZONE_ID) setContested(false)
+                  pickZone(e.target.value)
+                  setShotPoint(null)
                 }}
+                disabled={!!challenge}
               >
                 {ZONE_OPTIONS.map((o) => (
                   <option key={o.value} value={o.value}>
@@ -471,7 +1291,7 @@ export default function PracticeLog({ id, started_at, navigate }) {
                     setFinishType(null)
                   }
                 }}
-                disabled={isFreeThrowZone}
+                disabled={isFreeThrowZone || !!challenge}
               >
                 {SHOT_OPTIONS.map((o) => (
                   <option key={o.value} value={o.value}>
@@ -552,108 +1372,210 @@ export default function PracticeLog({ id, started_at, navigate }) {
               </button>
             </div>
 
-            {/* Attempts (restored OLD +/- UI) */}
-            <div className="grid grid-cols-3 gap-3 items-center">
-              <label className="label col-span-1">Attempts</label>
-              <div className="qty-row col-span-2">
-                <div className="qty-group flex items-center gap-2">
-                  <button
-                    type="button"
-                    onClick={() => dec(setAttempts)}
-                    className="btn btn-blue btn-xs"
-                    aria-label="Decrease attempts"
-                  >
-                    −
-                  </button>
-                  <input
-                    type="number"
-                    inputMode="numeric"
-                    min={0}
-                    value={attempts}
-                    onChange={(e) => {
-                      const v = e.target.value
-                      if (v === "") return setAttempts("")
-                      const n = Math.max(0, Number(v))
-                      setAttempts(String(isFinite(n) ? n : 0))
-                    }}
-                    className="input-qty"
+            {logMode === "shot" ? (
+              <>
+                <div className="practice-court relative w-full rounded-2xl overflow-hidden border border-slate-200 bg-white">
+                  <img
+                    src="/court-half.svg"
+                    alt="Practice court"
+                    className="w-full h-auto block select-none pointer-events-none"
                   />
-                  <button
-                    type="button"
-                    onClick={() => inc(setAttempts)}
-                    className="btn btn-blue btn-xs"
-                    aria-label="Increase attempts"
-                  >
-                    +
-                  </button>
-                  <button
-                    type="button"
-                    onClick={() => add5(setAttempts)}
-                    className="btn btn-blue btn-xs"
-                    aria-label="Add 5 attempts"
+
+                  {/* This session's single shots */}
+                  <div className="absolute inset-0 pointer-events-none">
+                    {sessionShots.map((e) => {
+                      const point = plotPointForEvent(e)
+                      if (!point) return null
+                      return (
+                        <div
+                          key={e.id}
+                          className="zone-marker"
+                          style={{ left: `${point.x * 100}%`, top: `${point.y * 100}%` }}
+                        >
+                          <MdSportsBasketball color={e.made ? "#059669" : "#dc2626"} />
+                        </div>
+                      )
+                    })}
+                    {shotPoint && (
+                      <span
+                        className="shot-spot"
+                        style={{ left: `${shotPoint.x * 100}%`, top: `${shotPoint.y * 100}%` }}
+                        aria-label="Selected spot"
+                      />
+                    )}
+                  </div>
+
+                  {/* Tap anywhere to pick the spot; invisible targets at zone anchors */}
+                  <div
+                    className="absolute inset-0 cursor-crosshair"
+                    data-testid="court-tap-area"
+                    onClick={onCourtTap}
                   >
-                    +5
-                  </button>
+                    {COURT_TARGETS.map((t) => (
+                      <button
+                        key={t.id}
+                        type="button"
+                        className="zone-hit"
+                        style={{ left: `${t.point.x * 100}%`, top: `${t.point.y * 100}%` }}
+                        aria-label={`Shoot from ${t.label}`}
+                        onClick={(e) => onZoneTap(e, t)}
+                      >
+                        <span className="zone-hit-inner" />
+                      </button>
+                    ))}
+                  </div>
                 </div>
-              </div>
-            </div>
 
-            {/* Makes (restored OLD +/- UI) */}
-            <div className="grid grid-cols-3 gap-3 items-center">
-              <label className="label col-span-1">Makes</label>
-              <div className="qty-row col-span-2">
-                <div className="qty-group flex items-center gap-2">
+                <div className="flex items-center justify-between text-sm text-slate-600">
+                  <span>{ZONE_LABEL_BY_ID[zoneId] || zoneId}</span>
+                  {streak && (
+                    <span aria-label="Current streak">
+                      Streak:{" "}
+                      <span className="font-semibold text-slate-900">
+                        {streak.count} {streak.made ? "made" : "missed"}
+                      </span>
+                    </span>
+                  )}
+                </div>
+
+                <div className="grid grid-cols-2 gap-3">
                   <button
                     type="button"
-                    onClick={() => dec(setMakes)}
-                    className="btn btn-blue btn-xs"
-                    aria-label="Decrease makes"
+                    onClick={() => onLogShot(true)}
+                    disabled={!activeSession}
+                    className="btn btn-emerald h-12 rounded-lg text-base font-semibold"
                   >
-                    −
+                    Make
                   </button>
-                  <input
-                    type="number"
-                    inputMode="numeric"
-                    min={0}
-                    value={makes}
-                    onChange={(e) => {
-                      const v = e.target.value
-                      if (v === "") return setMakes("")
-                      const n = Math.max(0, Number(v))
-                      setMakes(String(isFinite(n) ? n : 0))
-                    }}
-                    className="input-qty"
-                  />
                   <button
                     type="button"
-                    onClick={() => inc(setMakes)}
-                    className="btn btn-blue btn-xs"
-                    aria-label="Increase makes"
+                    onClick={() => onLogShot(false)}
+                    disabled={!activeSession}
+                    className="btn btn-danger h-12 rounded-lg text-base font-semibold"
                   >
-                    +
+                    Miss
                   </button>
+                </div>
+
+                {!guidedStep && (
+                  <div className="flex justify-end">
+                    <button
+                      type="button"
+                      onClick={onMarkSet}
+                      disabled={!activeSession}
+                      className="btn btn-xs btn-outline-emerald"
+                    >
+                      Mark Set
+                    </button>
+                  </div>
+                )}
+              </>
+            ) : (
+              <>
+                {/* Attempts (restored OLD +/- UI) */}
+                <div className="grid grid-cols-3 gap-3 items-center">
+                  <label className="label col-span-1">Attempts</label>
+                  <div className="qty-row col-span-2">
+                    <div className="qty-group flex items-center gap-2">
+                      <button
+                        type="button"
+                        onClick={() => dec(setAttempts)}
+                        className="btn btn-blue btn-xs"
+                        aria-label="Decrease attempts"
+                      >
+                        −
+                      </button>
+                      <input
+                        type="number"
+                        inputMode="numeric"
+                        min={0}
+                        value={attempts}
+                        onChange={(e) => {
+                          const v = e.target.value
+                          if (v === "") return setAttempts("")
+                          const n = Math.max(0, Number(v))
+                          setAttempts(String(isFinite(n) ? n : 0))
+                        }}
+                        className="input-qty"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => inc(setAttempts)}
+                        className="btn btn-blue btn-xs"
+                        aria-label="Increase attempts"
+                      >
+                        +
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => add5(setAttempts)}
+                        className="btn btn-blue btn-xs"
+                        aria-label="Add 5 attempts"
+                      >
+                        +5
+                      </button>
+                    </div>
+                  </div>
+                </div>
+
+                {/* Makes (restored OLD +/- UI) */}
+                <div className="grid grid-cols-3 gap-3 items-center">
+                  <label className="label col-span-1">Makes</label>
+                  <div className="qty-row col-span-2">
+                    <div className="qty-group flex items-center gap-2">
+                      <button
+                        type="button"
+                        onClick={() => dec(setMakes)}
+                        className="btn btn-blue btn-xs"
+                        aria-label="Decrease makes"
+                      >
+                        −
+                      </button>
+                      <input
+                        type="number"
+                        inputMode="numeric"
+                        min={0}
+                        value={makes}
+                        onChange={(e) => {
+                          const v = e.target.value
+                          if (v === "") return setMakes("")
+                          const n = Math.max(0, Number(v))
+                          setMakes(String(isFinite(n) ? n : 0))
+                        }}
+                        className="input-qty"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => inc(setMakes)}
+                        className="btn btn-blue btn-xs"
+                        aria-label="Increase makes"
+                      >
+                        +
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => add5(setMakes)}
+                        className="btn btn-blue btn-xs"
+                        aria-label="Add 5 makes"
+                      >
+                        +5
+                      </button>
+                    </div>
+                  </div>
+                </div>
+
+                <div className="flex justify-end pt-2">
                   <button
                     type="button"
-                    onClick={() => add5(setMakes)}
-                    className="btn btn-blue btn-xs"
-                    aria-label="Add 5 makes"
+                    onClick={onSaveAndMarkSet}
+                    disabled={!activeSession || invalidCounts}
+                    className="btn btn-emerald h-10 rounded-lg text-sm font-medium"
                   >
-                    +5
+                    {guidedStep ? "Save Step" : <>Save &amp; Mark Set</>}
                   </button>
                 </div>
-              </div>
-            </div>
-
-            <div className="flex justify-end pt-2">
-              <button
-                type="button"
-                onClick={onSaveAndMarkSet}
-                disabled={!activeSession || invalidCounts}
-                className="btn btn-emerald h-10 rounded-lg text-sm font-medium"
-              >
-                Save &amp; Mark Set
-              </button>
-            </div>
+              </>
+            )}
           </div>
         </section>
 
@@ -684,7 +1606,7 @@ export default function PracticeLog({ id, started_at, navigate }) {
 
                     <div className="flex items-center gap-2 shrink-0">
                       <div className="font-medium text-slate-900 tabular-nums">
-                        {d.makes}/{d.attempts}
+                        {isSingleShot(d) ? (d.made ? "Make" : "Miss") : `${d.makes}/${d.attempts}`}
                       </div>
 
                       <button
@@ -907,6 +1829,152 @@ export default function PracticeLog({ id, started_at, navigate }) {
         </ModalShell>
       )}
 
+      {drillEditorOpen && (
+        <ModalShell
+          title={editingDrillId ? "Edit Drill" : "New Drill"}
+          onClose={closeDrillEditor}
+        >
+          <div className="grid gap-3 max-h-[70vh] overflow-y-auto">
+            {!editingDrillId && (
+              <div className="flex flex-wrap gap-2" role="group" aria-label="Drill presets">
+                {DRILL_PRESETS.map((preset) => (
+                  <button
+                    key={preset.key}
+                    type="button"
+                    onClick={() => {
+                      setDraftName(preset.name)
+                      setDraftSteps(preset.steps.map(toDraftStep))
+                    }}
+                    className="btn btn-xs btn-outline-emerald"
+                  >
+                    {preset.name}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            <input
+              type="text"
+              className="input"
+              value={draftName}
+              onChange={(e) => setDraftName(e.target.value)}
+              placeholder="Drill name"
+              aria-label="Drill name"
+            />
+
+            <ol className="grid gap-3">
+              {draftSteps.map((step, i) => {
+                const isFT = step.zone_id === FREE_THROW_ZONE_ID
+                return (
+                  <li key={i} className="rounded-lg border border-slate-200 p-2 grid gap-2">
+                    <div className="flex items-center justify-between text-xs font-semibold text-slate-600">
+                      <span>Step {i + 1}</span>
+                      <button
+                        type="button"
+                        onClick={() => setDraftSteps((steps) => steps.filter((_, j) => j !== i))}
+                        disabled={draftSteps.length === 1}
+                        className="trash-btn p-1 rounded-full hover:bg-slate-100"
+                        aria-label={`Remove step ${i + 1}`}
+                      >
+                        <Trash2 size={14} className="text-red-500" />
+                      </button>
+                    </div>
+                    <div className="grid grid-cols-2 gap-2">
+                      <select
+                        className="input"
+                        value={step.zone_id}
+                        onChange={(e) => updateDraftStep(i, { zone_id: e.target.value })}
+                        aria-label={`Step ${i + 1} zone`}
+                      >
+                        {ZONE_OPTIONS.map((o) => (
+                          <option key={o.value} value={o.value}>
+                            {o.label}
+                          </option>
+                        ))}
+                      </select>
+                      <select
+                        className="input"
+                        value={isFT ? "" : step.shot_type || ""}
+                        onChange={(e) => updateDraftStep(i, { shot_type: e.target.value })}
+                        disabled={isFT}
+                        aria-label={`Step ${i + 1} shot type`}
+                      >
+                        {isFT && <option value="">Free Throw</option>}
+                        {SHOT_OPTIONS.map((o) => (
+                          <option key={o.value} value={o.value}>
+                            {o.label}
+                          </option>
+                        ))}
+                      </select>
+                      <input
+                        type="number"
+                        inputMode="numeric"
+                        min={1}
+                        className="input"
+                        value={step.target_reps}
+                        onChange={(e) => updateDraftStep(i, { target_reps: e.target.value })}
+                        placeholder="Reps"
+                        aria-label={`Step ${i + 1} target reps`}
+                      />
+                      <input
+                        type="number"
+                        inputMode="numeric"
+                        min={0}
+                        className="input"
+                        value={step.make_goal}
+                        onChange={(e) => updateDraftStep(i, { make_goal: e.target.value })}
+                        placeholder="Make goal (optional)"
+                        aria-label={`Step ${i + 1} make goal`}
+                      />
+                    </div>
+                  </li>
+                )
+              })}
+            </ol>
+
+            <button
+              type="button"
+              onClick={() => setDraftSteps((steps) => [...steps, toDraftStep(steps[steps.length - 1])])}
+              disabled={draftSteps.length >= MAX_DRILL_STEPS}
+              className="btn h-10 rounded-lg text-sm font-medium border border-slate-200 bg-white"
+            >
+              Add Step
+            </button>
+
+            <div className="flex items-center justify-between gap-2 pt-2">
+              {editingDrillId ? (
+                <button
+                  type="button"
+                  className="btn btn-danger h-10 rounded-lg text-sm font-medium"
+                  onClick={onDeleteDrill}
+                >
+                  Delete Drill
+                </button>
+              ) : (
+                <span />
+              )}
+              <div className="flex items-center gap-2">
+                <button
+                  type="button"
+                  className="btn h-10 rounded-lg text-sm font-medium border border-slate-200 bg-white"
+                  onClick={closeDrillEditor}
+                >
+                  Cancel
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-emerald h-10 rounded-lg text-sm font-medium"
+                  disabled={!draftValid}
+                  onClick={onSaveDrill}
+                >
+                  Save Drill
+                </button>
+              </div>
+            </div>
+          </div>
+        </ModalShell>
+      )}
+
       {deleteOpen && (
         <ModalShell
           title="Delete Practice Entry"
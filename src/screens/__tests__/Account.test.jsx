@@ -1,26 +1,79 @@
 // src/screens/__tests__/Account.test.jsx
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
-import { render, screen, act } from '@testing-library/react'
+import { render, screen, act, within } from '@testing-library/react'
 import userEvent from '@testing-library/user-event'
 import Account from '../Account.jsx'
 
 vi.mock('../../lib/athlete-db', () => ({
   listAthletes: vi.fn(),
   getActiveAthleteId: vi.fn(),
-  addAthlete: vi.fn(),
-  replaceAthletes: vi.fn(),
 }))
 vi.mock('../../lib/athlete-profiles-db', () => ({
+  createAthleteProfile: vi.fn(),
   updateAthleteProfile: vi.fn(),
 }))
+const syncStatusStore = vi.hoisted(() => {
+  const listeners = new Set()
+  const store = {
+    status: null,
+    reset() {
+      store.status = {
+        online: true,
+        phase: 'idle',
+        table: null,
+        pending: {},
+        pendingTotal: 0,
+        lastSyncAt: null,
+        lastError: null,
+        nextRetryAt: null,
+        circuitOpenUntil: null,
+      }
+    },
+    set(patch) {
+      store.status = { ...store.status, ...patch }
+      for (const fn of listeners) fn()
+    },
+    subscribe(fn) {
+      listeners.add(fn)
+      return () => listeners.delete(fn)
+    },
+  }
+  store.reset()
+  return store
+})
+vi.mock('../../lib/sync-hooks', async () => {
+  const { useSyncExternalStore } = await import('react')
+  return {
+    useSyncStatus: () =>
+      useSyncExternalStore(syncStatusStore.subscribe, () => syncStatusStore.status),
+  }
+})
+vi.mock('../../lib/sync-failures', () => ({
+  countSyncFailures: vi.fn(),
+  listSyncFailures: vi.fn(),
+  groupSyncFailures: vi.fn(() => []),
+  retrySyncFailure: vi.fn(),
+  retryAllSyncFailures: vi.fn(),
+  discardSyncFailure: vi.fn(),
+  syncFailureEditTarget: vi.fn(() => null),
+}))
+vi.mock('../../lib/sync-conflicts', () => ({
+  countSyncConflicts: vi.fn(),
+  listSyncConflicts: vi.fn(),
+  conflictFields: vi.fn(() => []),
+  resolveSyncConflict: vi.fn(),
+}))
 
 import {
   listAthletes,
   getActiveAthleteId,
-  addAthlete,
-  replaceAthletes,
 } from '../../lib/athlete-db'
-import { updateAthleteProfile } from '../../lib/athlete-profiles-db'
+import {
+  createAthleteProfile,
+  updateAthleteProfile,
+} from '../../lib/athlete-profiles-db'
+import { countSyncFailures, listSyncFailures } from '../../lib/sync-failures'
+import { countSyncConflicts, listSyncConflicts } from '../../lib/sync-conflicts'
 
 const setNavigatorOnline = (value) => {
   Object.defineProperty(window.navigator, 'onLine', {
@@ -32,20 +85,24 @@ const setNavigatorOnline = (value) => {
 describe('Account Component', () => {
   beforeEach(() => {
     setNavigatorOnline(true)
+    syncStatusStore.reset()
     vi.spyOn(Storage.prototype, 'getItem').mockReturnValue(null)
     listAthletes.mockReturnValue([
       { id: 'ath-1', first_name: 'Ava', last_name: 'One', initials: 'AO', avatar_color: '#BFDBFE' },
       { id: 'ath-2', first_name: 'Max', last_name: 'Two', initials: 'MT', avatar_color: '#FBCFE8' },
     ])
     getActiveAthleteId.mockReturnValue('ath-1')
-    addAthlete.mockReturnValue({
+    countSyncFailures.mockResolvedValue(0)
+    listSyncFailures.mockResolvedValue([])
+    countSyncConflicts.mockResolvedValue(0)
+    listSyncConflicts.mockResolvedValue([])
+    createAthleteProfile.mockResolvedValue({
       id: 'ath-3',
       first_name: 'New',
       last_name: 'Athlete',
       initials: 'NA',
       avatar_color: '#BFDBFE',
     })
-    replaceAthletes.mockImplementation(() => {})
     updateAthleteProfile.mockResolvedValue({
       id: 'ath-1',
       first_name: 'Avery',
@@ -78,38 +135,57 @@ describe('Account Component', () => {
     expect(status).toHaveClass('text-green-600')
   })
 
-  it('should toggle offline/online status based on events', () => {
-    setNavigatorOnline(false)
+  it('should toggle offline/online status from the sync status', () => {
+    syncStatusStore.set({ online: false })
     render(<Account onSignOut={vi.fn()} />)
 
     const offlineStatus = screen.getByText('Offline')
     expect(offlineStatus).toBeInTheDocument()
     expect(offlineStatus).toHaveClass('text-orange-600')
 
-    setNavigatorOnline(true)
     act(() => {
-      window.dispatchEvent(new Event('online'))
+      syncStatusStore.set({ online: true })
     })
     expect(screen.getByText('Online')).toBeInTheDocument()
 
-    setNavigatorOnline(false)
     act(() => {
-      window.dispatchEvent(new Event('offline'))
+      syncStatusStore.set({ online: false })
     })
     expect(screen.getByText('Offline')).toBeInTheDocument()
   })
 
+  it('should show pending changes, the current phase and the last error', () => {
+    syncStatusStore.set({
+      phase: 'push',
+      table: 'game_events',
+      pendingTotal: 3,
+      lastError: { message: 'Failed to fetch', code: null, at: '2025-01-01T08:00:00.000Z' },
+    })
+    render(<Account onSignOut={vi.fn()} />)
+
+    expect(screen.getByText('Pending changes: 3')).toBeInTheDocument()
+    expect(screen.getByText('Sending changes (game_events)…')).toBeInTheDocument()
+    expect(screen.getByText(/Last error: Failed to fetch/)).toBeInTheDocument()
+  })
+
+  it('should say when sync is paused by the circuit breaker', () => {
+    syncStatusStore.set({ circuitOpenUntil: '2025-01-01T08:10:00.000Z' })
+    render(<Account onSignOut={vi.fn()} />)
+
+    expect(screen.getByText(/Sync paused after repeated server errors/)).toBeInTheDocument()
+  })
+
   it('should show a placeholder when there is no last sync', () => {
     render(<Account onSignOut={vi.fn()} />)
 
     expect(screen.getByText('Last sync: —')).toBeInTheDocument()
   })
 
-  it('should render last sync time from localStorage and update on storage event', () => {
+  it('should render the last sync time and update when it changes', () => {
     const initialValue = '2025-01-01T08:00:00.000Z'
     const updatedValue = '2025-01-02T10:30:00.000Z'
 
-    vi.spyOn(Storage.prototype, 'getItem').mockReturnValue(initialValue)
+    syncStatusStore.set({ lastSyncAt: initialValue })
     const toLocaleSpy = vi
       .spyOn(Date.prototype, 'toLocaleString')
       .mockReturnValue('Jan 1, 2025, 8:00 AM')
@@ -120,9 +196,7 @@ describe('Account Component', () => {
 
     toLocaleSpy.mockReturnValue('Jan 2, 2025, 10:30 AM')
     act(() => {
-      window.dispatchEvent(
-        new StorageEvent('storage', { key: 'nm_last_sync', newValue: updatedValue })
-      )
+      syncStatusStore.set({ lastSyncAt: updatedValue })
     })
 
     expect(screen.getByText('Last sync: Jan 2, 2025, 10:30 AM')).toBeInTheDocument()
@@ -160,8 +234,12 @@ describe('Account Component', () => {
     await user.click(screen.getByRole('button', { name: 'Athletes' }))
     await user.click(screen.getByRole('button', { name: 'Add Athlete' }))
 
-    expect(addAthlete).toHaveBeenCalled()
-    expect(screen.getByRole('button', { name: 'Edit New Athlete' })).toBeInTheDocument()
+    expect(createAthleteProfile).toHaveBeenCalledWith({
+      firstName: 'New',
+      lastName: 'Athlete',
+      avatarColor: '#BFDBFE',
+    })
+    expect(await screen.findByRole('button', { name: 'Edit New Athlete' })).toBeInTheDocument()
   })
 
   it('should edit and save athlete name and color', async () => {
@@ -188,7 +266,85 @@ describe('Account Component', () => {
       lastName: 'Stone',
       avatarColor: '#A7F3D0',
     })
-    expect(replaceAthletes).toHaveBeenCalled()
     expect(screen.getByText('Avery Stone')).toBeInTheDocument()
   })
+
+  it('should show the sync issue count and open the Sync tab', async () => {
+    const user = userEvent.setup()
+    countSyncFailures.mockResolvedValue(2)
+    render(<Account onSignOut={vi.fn()} />)
+
+    const issues = await screen.findByRole('button', { name: /changes could not sync/ })
+    expect(screen.getByLabelText('2 sync issues')).toBeInTheDocument()
+
+    await user.click(issues)
+
+    expect(await screen.findByText('Sync Issues')).toBeInTheDocument()
+    expect(listSyncFailures).toHaveBeenCalled()
+  })
+
+  it('should recount sync issues after a sync without switching tabs', async () => {
+    render(<Account onSignOut={vi.fn()} />)
+    await act(async () => {})
+    expect(screen.queryByLabelText(/sync issues/)).not.toBeInTheDocument()
+
+    countSyncFailures.mockResolvedValue(3)
+    await act(async () => {
+      syncStatusStore.set({ lastSyncAt: '2025-01-01T08:00:00.000Z', pendingTotal: 3 })
+    })
+
+    expect(await screen.findByLabelText('3 sync issues')).toBeInTheDocument()
+  })
+
+  it('should count edits to review in the sync badge and open the Sync tab', async () => {
+    const user = userEvent.setup()
+    countSyncFailures.mockResolvedValue(1)
+    countSyncConflicts.mockResolvedValue(1)
+    render(<Account onSignOut={vi.fn()} />)
+
+    const review = await screen.findByRole('button', { name: /edit needs review/ })
+    expect(screen.getByLabelText('2 sync issues')).toBeInTheDocument()
+
+    await user.click(review)
+
+    expect(await screen.findByText('Sync Issues')).toBeInTheDocument()
+    expect(listSyncConflicts).toHaveBeenCalled()
+  })
+
+  it('should add, remove and reset situation tags from the Tags tab', async () => {
+    const user = userEvent.setup()
+    const setItem = vi.spyOn(Storage.prototype, 'setItem')
+    const removeItem = vi.spyOn(Storage.prototype, 'removeItem')
+    render(<Account onSignOut={vi.fn()} />)
+
+    await user.click(screen.getByRole('button', { name: 'Tags' }))
+    const card = screen.getByRole('region', { name: 'Situation tags' })
+    expect(within(card).getByText('Transition')).toBeInTheDocument()
+
+    await user.type(within(card).getByLabelText('New Play tag'), 'Sideline out')
+    await user.click(within(card).getByRole('button', { name: 'Add Play tag' }))
+    expect(within(card).getByText('Sideline out')).toBeInTheDocument()
+    expect(within(card).getByLabelText('New Play tag')).toHaveValue('')
+
+    await user.click(within(card).getByRole('button', { name: 'Remove Transition' }))
+    expect(within(card).queryByText('Transition')).not.toBeInTheDocument()
+    const saved = JSON.parse(setItem.mock.calls.at(-1)[1])
+    expect(setItem.mock.calls.at(-1)[0]).toBe('nm_situation_tag_groups')
+    expect(saved.flatMap((g) => g.tags.map((t) => t.key))).toEqual([
+      'half_court',
+      'early_clock',
+      'late_clock',
+      'ato',
+      'sideline_out',
+    ])
+
+    await user.type(within(card).getByLabelText('New Shot clock tag'), 'late clock')
+    await user.click(within(card).getByRole('button', { name: 'Add Shot clock tag' }))
+    expect(within(card).getByRole('alert')).toHaveTextContent('"late clock" is already a tag.')
+
+    await user.click(within(card).getByRole('button', { name: 'Reset to defaults' }))
+    expect(removeItem).toHaveBeenCalledWith('nm_situation_tag_groups')
+    expect(within(card).getByText('Transition')).toBeInTheDocument()
+    expect(within(card).queryByText('Sideline out')).not.toBeInTheDocument()
+  })
 })
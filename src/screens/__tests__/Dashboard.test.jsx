@@ -12,8 +12,12 @@ import {
   listAthleteDashboardMetrics,
   replaceAthleteDashboardMetrics,
 } from "../../lib/athlete-dashboard-db"
-import { listGoalSetsWithGoals } from "../../lib/goals-db"
-import { getUser, supabase } from "../../lib/supabase"
+import { getDashboardSnapshot } from "../../lib/dashboard-snapshot-db"
+import {
+  addAthlete,
+  archiveAthlete,
+  replaceAthletes,
+} from "../../lib/athlete-db"
 
 vi.mock("lucide-react", () => ({
   Plus: () => <span>+</span>,
@@ -37,8 +41,22 @@ vi.mock("../../lib/athlete-profiles-db", () => ({
   listAthleteProfiles: vi.fn(),
 }))
 
-vi.mock("../../lib/goals-db", () => ({
-  listGoalSetsWithGoals: vi.fn(),
+vi.mock("../../lib/dashboard-snapshot-db", () => ({
+  EMPTY_SNAPSHOT: {
+    fgPct7d: 0,
+    efgPct7d: 0,
+    attempts7d: 0,
+    makes7d: 0,
+    attemptsToday: 0,
+    gameAttempts7d: 0,
+    practiceAttempts7d: 0,
+    topZone: null,
+    weakestZone: null,
+    streakDays: 0,
+    lastSession: null,
+    goalSummary: null,
+  },
+  getDashboardSnapshot: vi.fn(),
 }))
 
 vi.mock("../../lib/athlete-dashboard-db", () => ({
@@ -46,44 +64,47 @@ vi.mock("../../lib/athlete-dashboard-db", () => ({
   replaceAthleteDashboardMetrics: vi.fn(),
 }))
 
-vi.mock("../../lib/supabase", () => ({
-  getUser: vi.fn(),
-  supabase: {
-    from: vi.fn(),
-  },
-}))
-
-function buildOrderResult(data) {
-  return Promise.resolve({ data, error: null })
-}
-
-function buildSupabaseQuery(data) {
-  return {
-    select: vi.fn().mockReturnThis(),
-    eq: vi.fn().mockReturnThis(),
-    order: vi.fn(() => buildOrderResult(data)),
-  }
+// listAthleteProfiles pulls remote rows into the local athlete table
+function mockRemoteAthletes(rows) {
+  listAthleteProfiles.mockImplementationOnce(async () => {
+    replaceAthletes(rows)
+    return rows
+  })
 }
 
 describe("Dashboard", () => {
   beforeEach(() => {
     localStorage.clear()
-    createAthleteProfile.mockImplementation(async ({ firstName, lastName }) => ({
-      id: `remote_${firstName.toLowerCase()}`,
-      first_name: firstName,
-      last_name: lastName || "",
-      initials: `${firstName.slice(0, 1)}${(lastName || "").slice(0, 1)}`.toUpperCase() || "A",
-      avatar_color: "#BFDBFE",
-      created_at: new Date().toISOString(),
-      archived_at: null,
-    }))
-    archiveAthleteProfile.mockResolvedValue({ id: "remote_max" })
+    createAthleteProfile.mockImplementation(async ({ firstName, lastName }) =>
+      addAthlete({
+        id: `remote_${firstName.toLowerCase()}`,
+        firstName,
+        lastName: lastName || "",
+        avatarColor: "#BFDBFE",
+      })
+    )
+    archiveAthleteProfile.mockImplementation(async (id) => archiveAthlete(id))
     listAthleteProfiles.mockResolvedValue([])
     listAthleteDashboardMetrics.mockResolvedValue([])
     replaceAthleteDashboardMetrics.mockResolvedValue([])
-    listGoalSetsWithGoals.mockResolvedValue([])
-    getUser.mockResolvedValue(null)
-    supabase.from.mockImplementation(() => buildSupabaseQuery([]))
+    getDashboardSnapshot.mockImplementation(async () => ({
+      snapshot: {
+        fgPct7d: 0,
+        efgPct7d: 0,
+        attempts7d: 0,
+        makes7d: 0,
+        attemptsToday: 0,
+        gameAttempts7d: 0,
+        practiceAttempts7d: 0,
+        topZone: null,
+        weakestZone: null,
+        streakDays: 0,
+        lastSession: null,
+        goalSummary: null,
+      },
+      gameEvents: [],
+      practiceEntries: [],
+    }))
     vi.spyOn(window, "confirm").mockReturnValue(true)
   })
 
@@ -103,7 +124,7 @@ describe("Dashboard", () => {
   })
 
   it("hydrates athletes from Supabase on load", async () => {
-    listAthleteProfiles.mockResolvedValueOnce([
+    mockRemoteAthletes([
       {
         id: "remote_zoe",
         first_name: "Zoe",
@@ -120,6 +141,44 @@ describe("Dashboard", () => {
     expect(await screen.findByText("Zoe Smith")).toBeInTheDocument()
   })
 
+  it("renders the snapshot from local data for the active athlete", async () => {
+    mockRemoteAthletes([
+      {
+        id: "remote_zoe",
+        first_name: "Zoe",
+        last_name: "Smith",
+        initials: "ZS",
+        avatar_color: "#BFDBFE",
+        created_at: new Date().toISOString(),
+        archived_at: null,
+      },
+    ])
+    getDashboardSnapshot.mockImplementation(async () => ({
+      snapshot: {
+        fgPct7d: 62.5,
+        efgPct7d: 62.5,
+        attempts7d: 8,
+        makes7d: 5,
+        attemptsToday: 8,
+        gameAttempts7d: 8,
+        practiceAttempts7d: 0,
+        topZone: null,
+        weakestZone: null,
+        streakDays: 4,
+        lastSession: null,
+        goalSummary: null,
+      },
+      gameEvents: [],
+      practiceEntries: [],
+    }))
+
+    render(<Dashboard />)
+
+    expect(await screen.findByText("4d")).toBeInTheDocument()
+    expect(screen.getAllByText("62.5%").length).toBeGreaterThan(0)
+    expect(getDashboardSnapshot).toHaveBeenCalledWith({ athleteId: "remote_zoe" })
+  })
+
   it("adds athlete inline and shows active profile", async () => {
     const user = userEvent.setup()
     render(<Dashboard />)
@@ -196,7 +255,7 @@ describe("Dashboard", () => {
 
   it("auto-saves configured metric rows from the customize drawer", async () => {
     const user = userEvent.setup()
-    listAthleteProfiles.mockResolvedValueOnce([
+    mockRemoteAthletes([
       {
         id: "remote_zoe",
         first_name: "Zoe",
@@ -234,7 +293,7 @@ describe("Dashboard", () => {
   })
 
   it("renders configured metric cards on dashboard", async () => {
-    listAthleteProfiles.mockResolvedValueOnce([
+    mockRemoteAthletes([
       {
         id: "remote_zoe",
         first_name: "Zoe",
@@ -266,7 +325,7 @@ describe("Dashboard", () => {
   })
 
   it("shows max message when 5 metrics are configured", async () => {
-    listAthleteProfiles.mockResolvedValueOnce([
+    mockRemoteAthletes([
       {
         id: "remote_zoe",
         first_name: "Zoe",
@@ -293,7 +352,7 @@ describe("Dashboard", () => {
 
   it("removes a configured metric from dashboard card action", async () => {
     const user = userEvent.setup()
-    listAthleteProfiles.mockResolvedValueOnce([
+    mockRemoteAthletes([
       {
         id: "remote_zoe",
         first_name: "Zoe",
@@ -10,6 +10,15 @@ vi.mock('../../lib/game-db', () => ({
   endGameSession: vi.fn(),
 }))
 
+// performance-db (period box scores) pulls in the IndexedDB stores
+vi.mock('../../lib/idb-init', () => ({
+  whenIdbReady: vi.fn(() => Promise.resolve()),
+}))
+
+vi.mock('../../lib/practice-db', () => ({
+  st: {},
+}))
+
 vi.mock('lucide-react', () => ({
   ArrowLeft: () => <div data-testid="arrow-left-icon">ArrowLeft</div>,
 }))
@@ -165,8 +174,10 @@ describe('GameDetail Component', () => {
     })
 
     const inputs = screen.getAllByRole('spinbutton')
-    expect(inputs[0]).toHaveValue(85)
-    expect(inputs[1]).toHaveValue(78)
+    await waitFor(() => {
+      expect(inputs[0]).toHaveValue(85)
+      expect(inputs[1]).toHaveValue(78)
+    })
     expect(inputs[0]).toHaveClass('bg-white')
     expect(inputs[0]).toHaveClass('text-slate-900')
     expect(inputs[1]).toHaveClass('bg-white')
@@ -277,6 +288,22 @@ describe('GameDetail Component', () => {
     })
   })
 
+  it('should plot shots with a stored location at that spot', async () => {
+    listGameEventsBySession.mockResolvedValue([
+      { ...mockEvents[0], shot_x: 0.25, shot_y: 0.8 },
+      mockEvents[1],
+    ])
+    render(<GameDetail id="game-123" navigate={mockNavigate} />)
+    await loadCourtImage()
+
+    const located = await screen.findByLabelText('L Corner 3 make')
+    expect(located.style.left).toBe('25%')
+    expect(located.style.top).toBe('80%')
+
+    // legacy shots stay on their zone anchor
+    expect(screen.getByLabelText('Center Mid miss').style.left).toMatch(/^calc\(/)
+  })
+
   it('should render stats from events', async () => {
     render(<GameDetail id="game-123" navigate={mockNavigate} />)
 
@@ -292,6 +319,33 @@ describe('GameDetail Component', () => {
     })
   })
 
+  it('should render turnovers, blocks, fouls and the rebound split', async () => {
+    listGameEventsBySession.mockResolvedValue([
+      ...mockEvents,
+      { id: 'event-7', game_id: 'game-123', type: 'rebound', rebound_type: 'offensive' },
+      { id: 'event-8', game_id: 'game-123', type: 'assist' },
+      { id: 'event-9', game_id: 'game-123', type: 'assist' },
+      { id: 'event-10', game_id: 'game-123', type: 'turnover' },
+      { id: 'event-11', game_id: 'game-123', type: 'turnover' },
+      { id: 'event-12', game_id: 'game-123', type: 'block' },
+      { id: 'event-13', game_id: 'game-123', type: 'foul' },
+    ])
+    render(<GameDetail id="game-123" navigate={mockNavigate} />)
+
+    await screen.findByText('Shot Attempts')
+    const statsSection = screen.getByText('2PT').closest('section')
+    const card = (label) => within(statsSection).getByText(label).parentElement
+
+    await waitFor(() => {
+      expect(within(card('Rebounds')).getByText('2')).toBeInTheDocument()
+    })
+    expect(within(card('Off / Def Reb')).getByText('1 / 0')).toBeInTheDocument()
+    expect(within(card('Turnovers')).getByText('2')).toBeInTheDocument()
+    expect(within(card('Blocks')).getByText('1')).toBeInTheDocument()
+    expect(within(card('AST/TO')).getByText('1.50')).toBeInTheDocument()
+    expect(within(card('Fouls')).getByText('1 / 5')).toBeInTheDocument()
+  })
+
   it('should render shot attempts log in reverse chronological order', async () => {
     render(<GameDetail id="game-123" navigate={mockNavigate} />)
 
@@ -312,4 +366,114 @@ describe('GameDetail Component', () => {
       expect(screen.getByText('No shots logged yet.')).toBeInTheDocument()
     })
   })
+
+  it('should show per-period box scores and half splits for tagged events', async () => {
+    listGameEventsBySession.mockResolvedValue([
+      { id: 'p1', game_id: 'game-123', type: 'shot', is_three: true, made: true, period: 1, ts: '2025-01-15T10:00:00Z' },
+      { id: 'p2', game_id: 'game-123', type: 'shot', is_three: false, made: false, period: 2, ts: '2025-01-15T10:01:00Z' },
+      { id: 'p3', game_id: 'game-123', type: 'shot', is_three: false, made: true, period: 3, ts: '2025-01-15T10:02:00Z' },
+      { id: 'p4', game_id: 'game-123', type: 'freethrow', made: true, period: 5, ts: '2025-01-15T10:03:00Z' },
+    ])
+    render(<GameDetail id="game-123" navigate={mockNavigate} />)
+
+    expect(await screen.findByText('By Period')).toBeInTheDocument()
+    const rows = screen.getAllByRole('row').slice(1)
+    expect(rows.map((row) => row.firstChild.textContent)).toEqual(['Q1', 'Q2', 'Q3', 'Q4', 'OT'])
+    expect(within(rows[0]).getByText('3')).toBeInTheDocument()
+    expect(within(screen.getByLabelText('1st Half shooting')).getByText('50%')).toBeInTheDocument()
+    expect(within(screen.getByLabelText('2nd Half shooting')).getByText('100%')).toBeInTheDocument()
+  })
+
+  it('should hide the period section for games logged without periods', async () => {
+    render(<GameDetail id="game-123" navigate={mockNavigate} />)
+
+    await screen.findByText('Shot Attempts')
+    expect(screen.queryByText('By Period')).not.toBeInTheDocument()
+  })
+
+  it('should break shooting down by tagged defender', async () => {
+    getGameSession.mockResolvedValue({
+      ...mockGameSession,
+      opponent_roster: [{ id: 'p1', number: '23', name: 'James' }],
+    })
+    listGameEventsBySession.mockResolvedValue([
+      { id: 'd1', game_id: 'game-123', type: 'shot', is_three: false, made: true, defender_id: 'p1', ts: '2025-01-15T10:00:00Z' },
+      { id: 'd2', game_id: 'game-123', type: 'shot', is_three: false, made: false, defender_id: 'p1', ts: '2025-01-15T10:01:00Z' },
+      { id: 'd3', game_id: 'game-123', type: 'shot', is_three: false, made: true, ts: '2025-01-15T10:02:00Z' },
+    ])
+    render(<GameDetail id="game-123" navigate={mockNavigate} />)
+
+    const section = (await screen.findByText('Shooting vs Defender')).closest('section')
+    const rows = within(section).getAllByRole('row').slice(1)
+    expect(rows.map((row) => row.firstChild.textContent)).toEqual(['#23 James', 'No defender tagged'])
+    expect(within(rows[0]).getByText('1/2')).toBeInTheDocument()
+    expect(within(rows[0]).getByText('50%')).toBeInTheDocument()
+  })
+
+  it('should break shooting down by lineup', async () => {
+    getGameSession.mockResolvedValue({
+      ...mockGameSession,
+      team_roster: [
+        { id: 'p1', number: '5', name: 'Ava' },
+        { id: 'p2', number: '12', name: null },
+      ],
+    })
+    listGameEventsBySession.mockResolvedValue([
+      { id: 'l1', game_id: 'game-123', type: 'shot', is_three: false, made: true, lineup_ids: ['p1', 'p2'], ts: '2025-01-15T10:00:00Z' },
+      { id: 'l2', game_id: 'game-123', type: 'shot', is_three: false, made: false, lineup_ids: ['p2', 'p1'], ts: '2025-01-15T10:01:00Z' },
+      { id: 'l3', game_id: 'game-123', type: 'shot', is_three: false, made: true, ts: '2025-01-15T10:02:00Z' },
+    ])
+    render(<GameDetail id="game-123" navigate={mockNavigate} />)
+
+    const section = (await screen.findByText('Shooting by Lineup')).closest('section')
+    const rows = within(section).getAllByRole('row').slice(1)
+    expect(rows.map((row) => row.firstChild.textContent)).toEqual(['#5 Ava · #12', 'No lineup tagged'])
+    expect(within(rows[0]).getByText('1/2')).toBeInTheDocument()
+    expect(within(rows[0]).getByText('50%')).toBeInTheDocument()
+  })
+
+  it('should hide the defender section when no shot was tagged', async () => {
+    render(<GameDetail id="game-123" navigate={mockNavigate} />)
+
+    await screen.findByText('Shot Attempts')
+    expect(screen.queryByText('Shooting vs Defender')).not.toBeInTheDocument()
+    expect(screen.queryByText('Shooting by Lineup')).not.toBeInTheDocument()
+  })
+
+  it('should show assisted and self-created FG%', async () => {
+    listGameEventsBySession.mockResolvedValue([
+      { id: 'a1', game_id: 'game-123', type: 'shot', is_three: false, made: true, assisted: true, ts: '2025-01-15T10:00:00Z' },
+      { id: 'a2', game_id: 'game-123', type: 'shot', is_three: false, made: true, assisted: true, ts: '2025-01-15T10:01:00Z' },
+      { id: 'a3', game_id: 'game-123', type: 'shot', is_three: false, made: false, assisted: true, ts: '2025-01-15T10:02:00Z' },
+      { id: 'a4', game_id: 'game-123', type: 'shot', is_three: false, made: false, ts: '2025-01-15T10:03:00Z' },
+    ])
+    render(<GameDetail id="game-123" navigate={mockNavigate} />)
+
+    await waitFor(() => {
+      expect(screen.getByText('Assisted FG%').parentElement).toHaveTextContent('67% (2/3)')
+    })
+    expect(screen.getByText('Self-created FG%').parentElement).toHaveTextContent('—')
+  })
+
+  it('should map assists by the zone the teammate scored from', async () => {
+    listGameEventsBySession.mockResolvedValue([
+      { id: 'x1', game_id: 'game-123', type: 'assist', zone_id: 'left_corner_3', ts: '2025-01-15T10:00:00Z' },
+      { id: 'x2', game_id: 'game-123', type: 'assist', zone_id: 'left_corner_3', ts: '2025-01-15T10:01:00Z' },
+      { id: 'x3', game_id: 'game-123', type: 'assist', zone_id: 'center_mid', ts: '2025-01-15T10:02:00Z' },
+      { id: 'x4', game_id: 'game-123', type: 'assist', ts: '2025-01-15T10:03:00Z' },
+    ])
+    render(<GameDetail id="game-123" navigate={mockNavigate} />)
+
+    await screen.findByText('Assists by Zone')
+    await loadCourtImage()
+    expect(await screen.findByLabelText('L Corner 3: 2 assists')).toHaveTextContent('2')
+    expect(screen.getByLabelText('Center Mid: 1 assist')).toHaveTextContent('1')
+  })
+
+  it('should hide the assist map when no assist has a zone', async () => {
+    render(<GameDetail id="game-123" navigate={mockNavigate} />)
+
+    await screen.findByText('Shot Attempts')
+    expect(screen.queryByText('Assists by Zone')).not.toBeInTheDocument()
+  })
 })
@@ -23,6 +23,7 @@ import {
   endGameSession,
   deleteGameSession,
 } from '../../lib/game-db'
+import { notifyRemoteChange } from '../../lib/sync-notify'
 
 describe('GameGate Component', () => {
   let mockNavigate
@@ -75,6 +76,17 @@ describe('GameGate Component', () => {
     vi.restoreAllMocks()
   })
 
+  it('should reload games changed by sync or another tab', async () => {
+    render(<GameGate navigate={mockNavigate} />)
+    await waitFor(() => expect(listGameSessions).toHaveBeenCalledTimes(1))
+
+    getActiveGameSession.mockResolvedValue(activeSession)
+    notifyRemoteChange()
+
+    await waitFor(() => expect(listGameSessions).toHaveBeenCalledTimes(2))
+    expect(await screen.findByText(/Lakers/)).toBeInTheDocument()
+  })
+
   it('should render the game center title and start button', async () => {
     render(<GameGate navigate={mockNavigate} />)
 
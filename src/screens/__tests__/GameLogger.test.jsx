@@ -1,6 +1,6 @@
 // src/screens/__tests__/GameLogger.test.jsx
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
-import { render, screen, waitFor, within, act } from '@testing-library/react'
+import { render, screen, waitFor, within, act, fireEvent } from '@testing-library/react'
 import userEvent from '@testing-library/user-event'
 import GameLogger from '../GameLogger.jsx'
 
@@ -10,6 +10,11 @@ vi.mock('../../lib/game-db', () => ({
   listGameEventsBySession: vi.fn(),
   addGameEvent: vi.fn(),
   endGameSession: vi.fn(),
+  setGamePeriod: vi.fn(),
+  setGameLineup: vi.fn(),
+  getGameEvent: vi.fn(),
+  deleteGameEvent: vi.fn(),
+  restoreGameEvent: vi.fn(),
 }))
 
 // Mock lucide-react icons
@@ -19,6 +24,9 @@ vi.mock('lucide-react', () => ({
   Target: () => <div data-testid="target-icon">Target</div>,
   Hand: () => <div data-testid="hand-icon">Hand</div>,
   Plus: () => <div data-testid="plus-icon">Plus</div>,
+  Shield: () => <div data-testid="shield-icon">Shield</div>,
+  Shuffle: () => <div data-testid="shuffle-icon">Shuffle</div>,
+  Flag: () => <div data-testid="flag-icon">Flag</div>,
 }))
 
 // Mock react-icons
@@ -35,7 +43,13 @@ import {
   listGameEventsBySession,
   addGameEvent,
   endGameSession,
+  setGamePeriod,
+  setGameLineup,
+  getGameEvent,
+  deleteGameEvent,
+  restoreGameEvent,
 } from '../../lib/game-db'
+import { clearGameHistory } from '../../lib/game-history'
 
 const getStatsSection = () => screen.getByText('2PT').closest('section')
 const getMiniStat = (label) => within(getStatsSection()).getByText(label).parentElement
@@ -150,6 +164,10 @@ describe('GameLogger Component', () => {
     listGameEventsBySession.mockResolvedValue(mockEvents)
     addGameEvent.mockResolvedValue({ id: 'new-event' })
     endGameSession.mockResolvedValue(mockGameSession)
+    getGameEvent.mockResolvedValue(null)
+    deleteGameEvent.mockResolvedValue(true)
+    restoreGameEvent.mockResolvedValue({})
+    clearGameHistory()
 
     // Mock window.confirm
     vi.spyOn(window, 'confirm').mockReturnValue(true)
@@ -502,6 +520,90 @@ describe('GameLogger Component', () => {
       expect(within(modal).getByText('3-pointer')).toBeInTheDocument()
     })
 
+    it('should infer the zone from a tap anywhere on the court and keep the spot', async () => {
+      const user = userEvent.setup()
+      render(<GameLogger id="game-123" navigate={mockNavigate} />)
+      await loadCourtImage()
+
+      const area = screen.getByTestId('court-tap-area')
+      area.getBoundingClientRect = () => ({ left: 0, top: 0, width: 671, height: 995 })
+      fireEvent.click(area, { clientX: 560, clientY: 480 })
+
+      await waitFor(() => {
+        expect(getShotModal()).toBeTruthy()
+      })
+      const modal = getShotModal()
+      expect(within(modal).getByText('Center 3')).toBeInTheDocument()
+      expect(within(modal).getByText('3-pointer')).toBeInTheDocument()
+
+      await user.click(within(modal).getByText('Catch & Shoot'))
+      await user.click(within(modal).getByText('Make').closest('button'))
+
+      await waitFor(() => {
+        expect(addGameEvent).toHaveBeenCalledWith(
+          expect.objectContaining({
+            type: 'shot',
+            zone_id: 'center_3',
+            is_three: true,
+            shot_x: expect.closeTo(560 / 671, 4),
+            shot_y: expect.closeTo(480 / 995, 4),
+          })
+        )
+      })
+    })
+
+    it('should store the zone anchor as the location when a zone target has no tap position', async () => {
+      const user = userEvent.setup()
+      render(<GameLogger id="game-123" navigate={mockNavigate} />)
+      const modal = await openShotModal(user, 'left_corner_3')
+
+      await user.click(within(modal).getByText('Catch & Shoot'))
+      await user.click(within(modal).getByText('Make').closest('button'))
+
+      await waitFor(() => {
+        expect(addGameEvent).toHaveBeenCalledWith(
+          expect.objectContaining({
+            zone_id: 'left_corner_3',
+            shot_x: expect.closeTo(100.5 / 671, 4),
+            shot_y: expect.closeTo(899.5 / 995, 4),
+          })
+        )
+      })
+    })
+
+    it('should call two or three from the tapped spot inside a zone target', async () => {
+      const user = userEvent.setup()
+      render(<GameLogger id="game-123" navigate={mockNavigate} />)
+      await loadCourtImage()
+
+      const area = screen.getByTestId('court-tap-area')
+      area.getBoundingClientRect = () => ({ left: 0, top: 0, width: 671, height: 995 })
+      const zoneButton = screen.getByRole('button', { name: /Log shot for left_corner_3/ })
+      // just above the corner anchor, inside the arc
+      fireEvent.click(zoneButton, { clientX: 100.5, clientY: 864.5, detail: 1 })
+
+      await waitFor(() => {
+        expect(getShotModal()).toBeTruthy()
+      })
+      const modal = getShotModal()
+      expect(within(modal).getByText('L Corner 3')).toBeInTheDocument()
+      expect(within(modal).getByText('2-pointer')).toBeInTheDocument()
+
+      await user.click(within(modal).getByText('Catch & Shoot'))
+      await user.click(within(modal).getByText('Make').closest('button'))
+
+      await waitFor(() => {
+        expect(addGameEvent).toHaveBeenCalledWith(
+          expect.objectContaining({
+            zone_id: 'left_corner_3',
+            is_three: false,
+            shot_x: expect.closeTo(100.5 / 671, 4),
+            shot_y: expect.closeTo(864.5 / 995, 4),
+          })
+        )
+      })
+    })
+
     it('should plot shot markers on the court', async () => {
       render(<GameLogger id="game-123" navigate={mockNavigate} />)
       await loadCourtImage()
@@ -1209,14 +1311,34 @@ describe('GameLogger Component', () => {
 
       const reboundsButton = screen.getByRole('button', { name: /Rebounds/ })
       await user.click(reboundsButton)
+      await user.click(screen.getByRole('button', { name: 'Offensive' }))
 
       await waitFor(() => {
         expect(addGameEvent).toHaveBeenCalledWith(
           expect.objectContaining({
             type: 'rebound',
+            rebound_type: 'offensive',
           })
         )
       })
+      expect(screen.queryByText('Log Rebound')).not.toBeInTheDocument()
+    })
+
+    it.each([
+      ['Blocks', 'block'],
+      ['Turnovers', 'turnover'],
+      ['Fouls', 'foul'],
+    ])('should log %s from the quick buttons', async (label, type) => {
+      const user = userEvent.setup()
+      render(<GameLogger id="game-123" navigate={mockNavigate} />)
+
+      await user.click(await screen.findByRole('button', { name: new RegExp(label) }))
+
+      await waitFor(() => {
+        expect(addGameEvent).toHaveBeenCalledWith(
+          expect.objectContaining({ game_id: 'game-123', type })
+        )
+      })
     })
 
     it('should log assist when Assists button is clicked', async () => {
@@ -1229,16 +1351,35 @@ describe('GameLogger Component', () => {
 
       const assistsButton = screen.getByRole('button', { name: /Assists/ })
       await user.click(assistsButton)
+      await user.click(await screen.findByRole('button', { name: 'Skip zone' }))
 
       await waitFor(() => {
         expect(addGameEvent).toHaveBeenCalledWith(
           expect.objectContaining({
             type: 'assist',
+            zone_id: null,
           })
         )
       })
     })
 
+    it('should log the zone the teammate scored from with an assist', async () => {
+      const user = userEvent.setup()
+      render(<GameLogger id="game-123" navigate={mockNavigate} />)
+
+      await user.click(await screen.findByRole('button', { name: /Assists/ }))
+      const zones = await screen.findByRole('group', { name: 'Assist zone' })
+      expect(within(zones).queryByRole('button', { name: 'Free Throw' })).not.toBeInTheDocument()
+      await user.click(within(zones).getByRole('button', { name: 'Center Mid' }))
+
+      await waitFor(() => {
+        expect(addGameEvent).toHaveBeenCalledWith(
+          expect.objectContaining({ type: 'assist', zone_id: 'center_mid' })
+        )
+      })
+      expect(screen.queryByRole('group', { name: 'Assist zone' })).not.toBeInTheDocument()
+    })
+
     it('should log forced turnover when Forced TO button is clicked', async () => {
       const user = userEvent.setup()
       render(<GameLogger id="game-123" navigate={mockNavigate} />)
@@ -1720,4 +1861,445 @@ describe('GameLogger Component', () => {
       })
     })
   })
+
+  describe('Period Tests', () => {
+    it('should advance the period and tag new events with it and the game clock', async () => {
+      const user = userEvent.setup()
+      setGamePeriod.mockResolvedValue({ ...mockGameSession, current_period: 2 })
+      render(<GameLogger id="game-123" navigate={mockNavigate} />)
+
+      expect(await screen.findByTestId('current-period')).toHaveTextContent('Q1')
+
+      await user.click(screen.getByRole('button', { name: 'Next period' }))
+
+      expect(setGamePeriod).toHaveBeenCalledWith('game-123', 2)
+      await waitFor(() => {
+        expect(screen.getByTestId('current-period')).toHaveTextContent('Q2')
+      })
+
+      await user.type(screen.getByLabelText('Game clock'), '4:05')
+      await user.click(screen.getByRole('button', { name: /Steals/ }))
+
+      expect(addGameEvent).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'steal', period: 2, game_clock_seconds: 245 })
+      )
+    })
+
+    it('should label overtime past the regulation periods', async () => {
+      getGameSession.mockResolvedValue({
+        ...mockGameSession,
+        period_format: 'halves',
+        period_count: 2,
+        current_period: 3,
+      })
+      render(<GameLogger id="game-123" navigate={mockNavigate} />)
+
+      expect(await screen.findByTestId('current-period')).toHaveTextContent('OT')
+    })
+  })
+
+  describe('Shooting Foul Tests', () => {
+    it('should chain a fouled missed three into three linked free throws', async () => {
+      const user = userEvent.setup()
+      addGameEvent.mockImplementation(async (input) => ({ ...input, id: input.type === 'shot' ? 'shot-9' : 'ft' }))
+      render(<GameLogger id="game-123" navigate={mockNavigate} />)
+
+      const modal = await openShotModal(user, 'left_corner_3')
+      await user.click(within(modal).getByText('Catch & Shoot'))
+      await user.click(within(modal).getByRole('button', { name: 'No shooting foul' }))
+      await user.click(within(modal).getByText('Miss').closest('button'))
+
+      expect(addGameEvent).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'shot', made: false, fouled: true })
+      )
+      expect(await screen.findByText('Shooting Foul · Free Throw 1 of 3')).toBeInTheDocument()
+
+      await user.click(screen.getByRole('button', { name: 'Make' }))
+      await screen.findByText('Shooting Foul · Free Throw 2 of 3')
+      await user.click(screen.getByRole('button', { name: 'Miss' }))
+      await screen.findByText('Shooting Foul · Free Throw 3 of 3')
+      await user.click(screen.getByRole('button', { name: 'Make' }))
+
+      await waitFor(() => {
+        expect(screen.queryByText(/Free Throw 3 of 3/)).not.toBeInTheDocument()
+      })
+      const fts = addGameEvent.mock.calls.map(([ev]) => ev).filter((ev) => ev.type === 'freethrow')
+      expect(fts.map((ev) => ev.made)).toEqual([true, false, true])
+      expect(fts.every((ev) => ev.parent_event_id === 'shot-9')).toBe(true)
+    })
+
+    it('should give an and-one a single free throw', async () => {
+      const user = userEvent.setup()
+      addGameEvent.mockImplementation(async (input) => ({ ...input, id: 'shot-10' }))
+      render(<GameLogger id="game-123" navigate={mockNavigate} />)
+
+      const modal = await openShotModal(user, 'center_mid')
+      await user.click(within(modal).getByText('Catch & Shoot'))
+      await user.click(within(modal).getByRole('button', { name: 'No shooting foul' }))
+      await user.click(within(modal).getByText('Make').closest('button'))
+
+      expect(await screen.findByText('And-One · Free Throw 1 of 1')).toBeInTheDocument()
+    })
+
+    it('should not start a free-throw sequence for unfouled shots', async () => {
+      const user = userEvent.setup()
+      addGameEvent.mockResolvedValue({ id: 'shot-11' })
+      render(<GameLogger id="game-123" navigate={mockNavigate} />)
+
+      const modal = await openShotModal(user, 'center_mid')
+      await user.click(within(modal).getByText('Catch & Shoot'))
+      await user.click(within(modal).getByText('Make').closest('button'))
+
+      await waitFor(() => {
+        expect(addGameEvent).toHaveBeenCalledWith(expect.objectContaining({ fouled: false }))
+      })
+      expect(screen.queryByText(/Free Throw 1 of/)).not.toBeInTheDocument()
+    })
+  })
+
+  describe('Undo / Redo Tests', () => {
+    it('should undo and redo a quick stat', async () => {
+      const user = userEvent.setup()
+      const steal = { id: 'steal-1', game_id: 'game-123', type: 'steal' }
+      addGameEvent.mockResolvedValue(steal)
+      render(<GameLogger id="game-123" navigate={mockNavigate} />)
+
+      await user.click(await screen.findByRole('button', { name: /Steals/ }))
+      const toast = await screen.findByRole('group', { name: 'Undo history' })
+      expect(toast).toHaveTextContent('Steal')
+
+      await user.click(within(toast).getByRole('button', { name: 'Undo' }))
+      await waitFor(() => {
+        expect(deleteGameEvent).toHaveBeenCalledWith('steal-1')
+      })
+      expect(screen.getByRole('group', { name: 'Undo history' })).toHaveTextContent('Undone: Steal')
+
+      await user.click(screen.getByRole('button', { name: 'Redo' }))
+      await waitFor(() => {
+        expect(restoreGameEvent).toHaveBeenCalledWith(steal)
+      })
+    })
+
+    it('should show a failed undo in the toast and let it be retried', async () => {
+      const user = userEvent.setup()
+      const steal = { id: 'steal-1', game_id: 'game-123', type: 'steal' }
+      addGameEvent.mockResolvedValue(steal)
+      deleteGameEvent.mockRejectedValueOnce(new Error('idb down'))
+      render(<GameLogger id="game-123" navigate={mockNavigate} />)
+
+      await user.click(await screen.findByRole('button', { name: /Steals/ }))
+      const toast = await screen.findByRole('group', { name: 'Undo history' })
+      await user.click(within(toast).getByRole('button', { name: 'Undo' }))
+
+      expect(await within(toast).findByRole('alert')).toHaveTextContent('Undo failed, try again')
+
+      await user.click(within(toast).getByRole('button', { name: 'Undo' }))
+      await waitFor(() => {
+        expect(screen.getByRole('group', { name: 'Undo history' })).toHaveTextContent('Undone: Steal')
+      })
+      expect(screen.queryByRole('alert')).not.toBeInTheDocument()
+    })
+
+    it('should undo an edit by restoring the previous row', async () => {
+      const user = userEvent.setup()
+      // newest shot first: the missed layup
+      const original = mockEvents[1]
+      getGameEvent.mockResolvedValue(original)
+      addGameEvent.mockImplementation(async (input) => ({ ...original, ...input }))
+      render(<GameLogger id="game-123" navigate={mockNavigate} />)
+
+      const [editRow] = await screen.findAllByRole('button', { name: 'Edit shot' })
+      await user.click(editRow)
+      await user.click(within(getShotModal()).getByText('Make').closest('button'))
+
+      const toast = await screen.findByRole('group', { name: 'Undo history' })
+      expect(toast).toHaveTextContent('Edited Made 2PT')
+      await user.click(within(toast).getByRole('button', { name: 'Undo' }))
+
+      await waitFor(() => {
+        expect(restoreGameEvent).toHaveBeenCalledWith(original)
+      })
+      expect(deleteGameEvent).not.toHaveBeenCalled()
+    })
+
+    it('should delete a shot from the edit modal and undo the delete', async () => {
+      const user = userEvent.setup()
+      getGameEvent.mockResolvedValue(mockEvents[1])
+      render(<GameLogger id="game-123" navigate={mockNavigate} />)
+
+      const editRows = await screen.findAllByRole('button', { name: 'Edit shot' })
+      await user.click(editRows[0])
+      await user.click(within(getShotModal()).getByRole('button', { name: 'Delete Shot' }))
+
+      await waitFor(() => {
+        expect(deleteGameEvent).toHaveBeenCalled()
+      })
+      const toast = await screen.findByRole('group', { name: 'Undo history' })
+      await user.click(within(toast).getByRole('button', { name: 'Undo' }))
+
+      await waitFor(() => {
+        expect(restoreGameEvent).toHaveBeenCalledWith(mockEvents[1])
+      })
+    })
+  })
+
+  describe('Box Score Tests', () => {
+    const fouls = (n) =>
+      Array.from({ length: n }, (_, i) => ({ id: `foul-${i}`, game_id: 'game-123', type: 'foul' }))
+
+    it('should split rebounds and count blocks, turnovers and fouls', async () => {
+      listGameEventsBySession.mockResolvedValue([
+        { id: 'r1', game_id: 'game-123', type: 'rebound', rebound_type: 'offensive' },
+        { id: 'r2', game_id: 'game-123', type: 'rebound', rebound_type: 'defensive' },
+        { id: 'r3', game_id: 'game-123', type: 'rebound', rebound_type: 'defensive' },
+        { id: 'b1', game_id: 'game-123', type: 'block' },
+        { id: 't1', game_id: 'game-123', type: 'turnover' },
+        ...fouls(2),
+      ])
+      render(<GameLogger id="game-123" navigate={mockNavigate} />)
+
+      await waitFor(() => {
+        expect(within(getStatCard('Rebounds')).getByText('3')).toBeInTheDocument()
+      })
+      expect(within(getStatCard('Off / Def Reb')).getByText('1 / 2')).toBeInTheDocument()
+      expect(within(getStatCard('Blocks')).getByText('1')).toBeInTheDocument()
+      expect(within(getStatCard('Turnovers')).getByText('1')).toBeInTheDocument()
+      expect(within(getStatCard('Fouls')).getByText('2 / 5')).toBeInTheDocument()
+      expect(screen.queryByRole('status')).not.toBeInTheDocument()
+    })
+
+    it('should warn one foul before the limit and flag a foul-out', async () => {
+      getGameSession.mockResolvedValue({ ...mockGameSession, foul_limit: 6 })
+      listGameEventsBySession.mockResolvedValue(fouls(5))
+      const { unmount } = render(<GameLogger id="game-123" navigate={mockNavigate} />)
+
+      expect(await screen.findByRole('status')).toHaveTextContent('One foul from fouling out (5 of 6)')
+      unmount()
+
+      listGameEventsBySession.mockResolvedValue(fouls(6))
+      render(<GameLogger id="game-123" navigate={mockNavigate} />)
+
+      expect(await screen.findByRole('status')).toHaveTextContent('Fouled out (6 fouls)')
+    })
+  })
+
+  describe('Lineup Tests', () => {
+    const team_roster = [
+      { id: 'p1', number: '5', name: 'Ava' },
+      { id: 'p2', number: '12', name: null },
+      { id: 'p3', number: '1', name: 'Lu' },
+      { id: 'p4', number: '2', name: 'Mo' },
+      { id: 'p5', number: '3', name: 'Bo' },
+    ]
+
+    it('should put teammates on the floor and tag new shots with them', async () => {
+      const user = userEvent.setup()
+      getGameSession.mockResolvedValue({ ...mockGameSession, team_roster, current_lineup: ['p1'] })
+      setGameLineup.mockResolvedValue({ ...mockGameSession, team_roster, current_lineup: ['p1', 'p2'] })
+      render(<GameLogger id="game-123" navigate={mockNavigate} />)
+
+      const floor = await screen.findByRole('group', { name: 'On the floor' })
+      expect(within(floor).getByRole('button', { name: '#5 Ava' })).toHaveAttribute('aria-pressed', 'true')
+
+      await user.click(within(floor).getByRole('button', { name: '#12' }))
+      expect(setGameLineup).toHaveBeenCalledWith('game-123', ['p1', 'p2'])
+      await waitFor(() => {
+        expect(within(floor).getByRole('button', { name: '#12' })).toHaveAttribute('aria-pressed', 'true')
+      })
+      expect(screen.getByText('On the floor (2/4)')).toBeInTheDocument()
+
+      const modal = await openShotModal(user, 'center_mid')
+      await user.click(within(modal).getByText('Catch & Shoot'))
+      await user.click(within(modal).getByText('Make').closest('button'))
+
+      await waitFor(() => {
+        expect(addGameEvent).toHaveBeenCalledWith(
+          expect.objectContaining({ type: 'shot', lineup_ids: ['p1', 'p2'] })
+        )
+      })
+    })
+
+    it('should cap the lineup at four teammates', async () => {
+      getGameSession.mockResolvedValue({
+        ...mockGameSession,
+        team_roster,
+        current_lineup: ['p1', 'p2', 'p3', 'p4'],
+      })
+      render(<GameLogger id="game-123" navigate={mockNavigate} />)
+
+      const floor = await screen.findByRole('group', { name: 'On the floor' })
+      expect(within(floor).getByRole('button', { name: '#3 Bo' })).toBeDisabled()
+      expect(within(floor).getByRole('button', { name: '#5 Ava' })).toBeEnabled()
+    })
+
+    it('should leave the lineup of an edited shot alone', async () => {
+      const user = userEvent.setup()
+      getGameSession.mockResolvedValue({ ...mockGameSession, team_roster, current_lineup: ['p3'] })
+      listGameEventsBySession.mockResolvedValue([{ ...mockEvents[0], lineup_ids: ['p1'] }])
+      render(<GameLogger id="game-123" navigate={mockNavigate} />)
+
+      await user.click((await screen.findAllByRole('button', { name: 'Edit shot' }))[0])
+      await user.click(within(getShotModal()).getByText('Make').closest('button'))
+
+      await waitFor(() => {
+        expect(addGameEvent).toHaveBeenCalledWith(expect.objectContaining({ id: 'event-1' }))
+      })
+      expect(addGameEvent.mock.calls.at(-1)[0]).not.toHaveProperty('lineup_ids')
+    })
+
+    it('should keep the log time of an edited shot', async () => {
+      const user = userEvent.setup()
+      listGameEventsBySession.mockResolvedValue([mockEvents[0]])
+      render(<GameLogger id="game-123" navigate={mockNavigate} />)
+
+      await user.click((await screen.findAllByRole('button', { name: 'Edit shot' }))[0])
+      await user.click(within(getShotModal()).getByText('Make').closest('button'))
+
+      await waitFor(() => {
+        expect(addGameEvent).toHaveBeenCalledWith(expect.objectContaining({ id: 'event-1' }))
+      })
+      expect(addGameEvent.mock.calls.at(-1)[0]).not.toHaveProperty('ts')
+    })
+
+    it('should hide the picker without a team roster', async () => {
+      render(<GameLogger id="game-123" navigate={mockNavigate} />)
+
+      await screen.findByTestId('current-period')
+      expect(screen.queryByRole('group', { name: 'On the floor' })).not.toBeInTheDocument()
+    })
+  })
+
+  describe('Defender Tagging Tests', () => {
+    const roster = [
+      { id: 'p1', number: '23', name: 'James' },
+      { id: 'p2', number: '3', name: null },
+    ]
+
+    it('should tag the defender on a new shot', async () => {
+      const user = userEvent.setup()
+      getGameSession.mockResolvedValue({ ...mockGameSession, opponent_roster: roster })
+      render(<GameLogger id="game-123" navigate={mockNavigate} />)
+
+      const modal = await openShotModal(user, 'center_mid')
+      const picker = within(modal).getByRole('group', { name: 'Defender' })
+      await user.click(within(picker).getByRole('button', { name: '#23 James' }))
+      expect(within(picker).getByRole('button', { name: '#23 James' })).toHaveAttribute('aria-pressed', 'true')
+      await user.click(within(modal).getByText('Catch & Shoot'))
+      await user.click(within(modal).getByText('Make').closest('button'))
+
+      await waitFor(() => {
+        expect(addGameEvent).toHaveBeenCalledWith(expect.objectContaining({ type: 'shot', defender_id: 'p1' }))
+      })
+    })
+
+    it('should keep the stored defender when editing and allow clearing it', async () => {
+      const user = userEvent.setup()
+      getGameSession.mockResolvedValue({ ...mockGameSession, opponent_roster: roster })
+      listGameEventsBySession.mockResolvedValue([{ ...mockEvents[0], defender_id: 'p2' }])
+      render(<GameLogger id="game-123" navigate={mockNavigate} />)
+
+      await user.click((await screen.findAllByRole('button', { name: 'Edit shot' }))[0])
+      const modal = getShotModal()
+      const tagged = within(modal).getByRole('button', { name: '#3' })
+      expect(tagged).toHaveAttribute('aria-pressed', 'true')
+
+      await user.click(tagged)
+      await user.click(within(modal).getByText('Make').closest('button'))
+
+      await waitFor(() => {
+        expect(addGameEvent).toHaveBeenCalledWith(
+          expect.objectContaining({ id: 'event-1', defender_id: null })
+        )
+      })
+    })
+
+    it('should hide the picker when the game has no roster', async () => {
+      const user = userEvent.setup()
+      render(<GameLogger id="game-123" navigate={mockNavigate} />)
+
+      const modal = await openShotModal(user, 'center_mid')
+      expect(within(modal).queryByRole('group', { name: 'Defender' })).not.toBeInTheDocument()
+    })
+  })
+
+  describe('Situation Tag Tests', () => {
+    it('should save the picked situation tags with a shot', async () => {
+      const user = userEvent.setup()
+      render(<GameLogger id="game-123" navigate={mockNavigate} />)
+
+      const modal = await openShotModal(user, 'center_mid')
+      const picker = within(modal).getByRole('group', { name: 'Situation' })
+      await user.click(within(picker).getByRole('button', { name: 'Transition' }))
+      await user.click(within(picker).getByRole('button', { name: 'Half-court' }))
+      await user.click(within(picker).getByRole('button', { name: 'ATO' }))
+      expect(within(picker).getByRole('button', { name: 'Transition' })).toHaveAttribute('aria-pressed', 'false')
+      await user.click(within(modal).getByText('Catch & Shoot'))
+      await user.click(within(modal).getByText('Miss').closest('button'))
+
+      await waitFor(() => {
+        expect(addGameEvent).toHaveBeenCalledWith(
+          expect.objectContaining({ type: 'shot', situation_tags: ['half_court', 'ato'] })
+        )
+      })
+    })
+
+    it('should load the stored tags when editing a shot', async () => {
+      const user = userEvent.setup()
+      listGameEventsBySession.mockResolvedValue([{ ...mockEvents[0], situation_tags: ['late_clock'] }])
+      render(<GameLogger id="game-123" navigate={mockNavigate} />)
+
+      await user.click((await screen.findAllByRole('button', { name: 'Edit shot' }))[0])
+      const picker = within(getShotModal()).getByRole('group', { name: 'Situation' })
+      expect(within(picker).getByRole('button', { name: 'Late clock' })).toHaveAttribute('aria-pressed', 'true')
+    })
+  })
+
+  describe('Shot Creation Tests', () => {
+    it('should save an assisted make', async () => {
+      const user = userEvent.setup()
+      render(<GameLogger id="game-123" navigate={mockNavigate} />)
+
+      const modal = await openShotModal(user, 'center_mid')
+      const picker = within(modal).getByRole('group', { name: 'Shot creation' })
+      await user.click(within(picker).getByRole('button', { name: 'Assisted' }))
+      expect(within(picker).getByRole('button', { name: 'Assisted' })).toHaveAttribute('aria-pressed', 'true')
+      await user.click(within(modal).getByText('Catch & Shoot'))
+      await user.click(within(modal).getByText('Make').closest('button'))
+
+      await waitFor(() => {
+        expect(addGameEvent).toHaveBeenCalledWith(
+          expect.objectContaining({ type: 'shot', made: true, assisted: true })
+        )
+      })
+    })
+
+    it('should leave the shot untagged when the choice is tapped off', async () => {
+      const user = userEvent.setup()
+      render(<GameLogger id="game-123" navigate={mockNavigate} />)
+
+      const modal = await openShotModal(user, 'center_mid')
+      const picker = within(modal).getByRole('group', { name: 'Shot creation' })
+      await user.click(within(picker).getByRole('button', { name: 'Self-created' }))
+      await user.click(within(picker).getByRole('button', { name: 'Self-created' }))
+      await user.click(within(modal).getByText('Catch & Shoot'))
+      await user.click(within(modal).getByText('Miss').closest('button'))
+
+      await waitFor(() => {
+        expect(addGameEvent).toHaveBeenCalledWith(
+          expect.objectContaining({ type: 'shot', assisted: null })
+        )
+      })
+    })
+
+    it('should load the stored creation when editing a shot', async () => {
+      const user = userEvent.setup()
+      listGameEventsBySession.mockResolvedValue([{ ...mockEvents[0], assisted: false }])
+      render(<GameLogger id="game-123" navigate={mockNavigate} />)
+
+      await user.click((await screen.findAllByRole('button', { name: 'Edit shot' }))[0])
+      const picker = within(getShotModal()).getByRole('group', { name: 'Shot creation' })
+      expect(within(picker).getByRole('button', { name: 'Self-created' })).toHaveAttribute('aria-pressed', 'true')
+      expect(within(picker).getByRole('button', { name: 'Assisted' })).toHaveAttribute('aria-pressed', 'false')
+    })
+  })
 })
@@ -61,6 +61,36 @@ describe('GameNew Component', () => {
     expect(screen.getByText('Start Game')).toBeInTheDocument()
   })
 
+  it('should save a custom period count and validate its range', async () => {
+    const user = userEvent.setup()
+    addGameSession.mockResolvedValue({ id: 'game-555' })
+
+    render(<GameNew navigate={mockNavigate} />)
+
+    await user.type(getFieldControl('Your Team'), 'Warriors')
+    await user.type(getFieldControl('Opponent'), 'Lakers')
+    await user.selectOptions(getFieldControl('Grade'), '1st Grade')
+    await user.selectOptions(getFieldControl('Periods'), 'custom')
+
+    const countInput = getFieldControl('Number of periods')
+    await user.clear(countInput)
+    await user.type(countInput, '12')
+    await user.click(screen.getByText('Start Game'))
+
+    expect(window.alert).toHaveBeenCalledWith('Enter between 1 and 8 periods.')
+    expect(addGameSession).not.toHaveBeenCalled()
+
+    await user.clear(countInput)
+    await user.type(countInput, '3')
+    await user.click(screen.getByText('Start Game'))
+
+    await waitFor(() => {
+      expect(addGameSession).toHaveBeenCalledWith(
+        expect.objectContaining({ period_format: 'custom', period_count: 3 })
+      )
+    })
+  })
+
   it('should render Start Game button below the athlete row as a full-width action', () => {
     render(<GameNew navigate={mockNavigate} />)
 
@@ -127,6 +157,12 @@ describe('GameNew Component', () => {
         aau_competition_level: null,
         level: 'College · 2025-26',
         home_away: 'away',
+        period_format: 'quarters',
+        period_count: null,
+        foul_limit: 5,
+        court_spec: 'college',
+        team_roster: [],
+        opponent_roster: [],
       })
       expect(mockNavigate).toHaveBeenCalledWith('game-logger', { id: 'game-123' })
     })
@@ -260,6 +296,97 @@ describe('GameNew Component', () => {
     })
   })
 
+  it('should suggest a court from the level and save the one picked', async () => {
+    const user = userEvent.setup()
+    render(<GameNew navigate={mockNavigate} />)
+
+    expect(getFieldControl('Court / 3PT line')).toHaveValue('high_school')
+    await user.selectOptions(getFieldControl('Level'), 'college')
+    expect(getFieldControl('Court / 3PT line')).toHaveValue('college')
+
+    await user.selectOptions(getFieldControl('Court / 3PT line'), 'fiba')
+    await user.type(getFieldControl('Your Team'), 'Warriors')
+    await user.type(getFieldControl('Opponent'), 'Lakers')
+    await user.selectOptions(getFieldControl('Academic Season'), '2025-26')
+    await user.click(screen.getByText('Start Game'))
+
+    await waitFor(() => {
+      expect(addGameSession).toHaveBeenCalledWith(expect.objectContaining({ court_spec: 'fiba' }))
+    })
+  })
+
+  it('should save an optional team roster for lineups', async () => {
+    const user = userEvent.setup()
+    render(<GameNew navigate={mockNavigate} />)
+
+    await user.type(screen.getByLabelText('Team jersey number'), '5')
+    await user.type(screen.getByLabelText('Team player name'), 'Ava')
+    await user.click(screen.getByRole('button', { name: 'Add teammate' }))
+    await user.type(screen.getByLabelText('Team jersey number'), '12')
+    await user.type(screen.getByLabelText('Team player name'), 'Kim{Enter}')
+
+    const list = screen.getByRole('list', { name: 'Team roster' })
+    expect(within(list).getAllByRole('listitem').map((li) => li.firstChild.textContent)).toEqual([
+      '#5 Ava',
+      '#12 Kim',
+    ])
+    expect(screen.queryByRole('list', { name: 'Opponent roster' })).not.toBeInTheDocument()
+
+    await user.type(getFieldControl('Your Team'), 'Warriors')
+    await user.type(getFieldControl('Opponent'), 'Lakers')
+    await user.selectOptions(getFieldControl('Grade'), '10th Grade')
+    await user.click(screen.getByText('Start Game'))
+
+    await waitFor(() => {
+      expect(addGameSession).toHaveBeenCalledWith(
+        expect.objectContaining({
+          team_roster: [
+            { id: 'p1', number: '5', name: 'Ava' },
+            { id: 'p2', number: '12', name: 'Kim' },
+          ],
+          opponent_roster: [],
+        })
+      )
+    })
+  })
+
+  it('should save an optional opponent roster', async () => {
+    const user = userEvent.setup()
+    render(<GameNew navigate={mockNavigate} />)
+
+    await user.type(screen.getByLabelText('Opponent jersey number'), '23')
+    await user.type(screen.getByLabelText('Opponent player name'), 'James')
+    await user.click(screen.getByRole('button', { name: 'Add' }))
+    await user.type(screen.getByLabelText('Opponent jersey number'), '3')
+    await user.type(screen.getByLabelText('Opponent player name'), 'Lee{Enter}')
+    await user.type(screen.getByLabelText('Opponent jersey number'), '11')
+    await user.click(screen.getByRole('button', { name: 'Add' }))
+
+    const list = screen.getByRole('list', { name: 'Opponent roster' })
+    expect(within(list).getAllByRole('listitem').map((li) => li.firstChild.textContent)).toEqual([
+      '#23 James',
+      '#3 Lee',
+      '#11',
+    ])
+    await user.click(screen.getByRole('button', { name: 'Remove #3 Lee' }))
+
+    await user.type(getFieldControl('Your Team'), 'Warriors')
+    await user.type(getFieldControl('Opponent'), 'Lakers')
+    await user.selectOptions(getFieldControl('Grade'), '10th Grade')
+    await user.click(screen.getByText('Start Game'))
+
+    await waitFor(() => {
+      expect(addGameSession).toHaveBeenCalledWith(
+        expect.objectContaining({
+          opponent_roster: [
+            { id: 'p1', number: '23', name: 'James' },
+            { id: 'p3', number: '11', name: null },
+          ],
+        })
+      )
+    })
+  })
+
   it('should allow Other without a detail selection', async () => {
     const user = userEvent.setup()
     render(<GameNew navigate={mockNavigate} />)
@@ -32,9 +32,13 @@ vi.mock('../../lib/goal-metrics', () => ({
     { value: 'makes', label: 'Makes (count)' },
   ],
   GAME_ONLY_METRIC_OPTIONS: [{ value: 'points_total', label: 'Total Points (Game)' }],
+  PRACTICE_ONLY_METRIC_OPTIONS: [
+    { value: 'best_streak_zone', label: 'Best Make Streak (by zone)' },
+  ],
   computeGameMetricValue: vi.fn().mockReturnValue(12),
   computePracticeMetricValue: vi.fn().mockReturnValue(20),
   metricIsPercent: vi.fn((metric) => metric === 'fg_pct_zone'),
+  metricIsRatio: vi.fn(() => false),
   formatMetricValue: vi.fn((metric, value) => `${Math.round(value)}%`),
 }))
 
@@ -62,7 +66,8 @@ import {
   deleteGoal,
   archiveGoalSet,
 } from '../../lib/goals-db'
-import { getUser } from '../../lib/supabase'
+import { supabase, getUser } from '../../lib/supabase'
+import { computeGameMetricValue } from '../../lib/goal-metrics'
 import { listAthletes, getActiveAthleteId, setActiveAthlete } from '../../lib/athlete-db'
 
 const getSectionByTitle = (title) => screen.getByText(title).closest('section')
@@ -494,6 +499,50 @@ describe('GoalsManager Component', () => {
     expect(metricSelect.value).toBe('fg_pct_zone')
   })
 
+  it('should offer the zone streak metric on practice sets only', async () => {
+    const user = userEvent.setup()
+    listGoalSetsWithGoals.mockResolvedValue([
+      baseSet,
+      { ...baseSet, id: 'game-set', name: 'Game Set', type: 'game' },
+    ])
+
+    render(<GoalsManager />)
+
+    await waitFor(() => {
+      expect(screen.getByText('Game Set')).toBeInTheDocument()
+    })
+
+    const addGoalSection = getSectionByTitle('Add Goal to Set')
+    await user.click(within(addGoalSection).getByText('Add Goal to Set'))
+
+    const setSelect = getSelectByOptionText(addGoalSection, 'Select Goal Set')
+    await user.selectOptions(setSelect, 'game-set')
+    expect(within(addGoalSection).queryByText('Best Make Streak (by zone)')).not.toBeInTheDocument()
+
+    await user.selectOptions(setSelect, baseSet.id)
+    const metricSelect = getSelectByOptionText(addGoalSection, 'Best Make Streak (by zone)')
+    await user.selectOptions(metricSelect, 'best_streak_zone')
+
+    const zoneSelect = getSelectByOptionText(addGoalSection, 'Select Zone')
+    await user.selectOptions(zoneSelect, 'left_corner_3')
+    await user.selectOptions(getSelectByOptionText(addGoalSection, 'Total'), 'total')
+    await user.type(getInputByPlaceholder('Target Value (e.g., 44)', addGoalSection), '10')
+
+    await user.click(within(addGoalSection).getByText('Add Goal').closest('button'))
+
+    await waitFor(() => {
+      expect(createGoal).toHaveBeenCalledWith(
+        expect.objectContaining({
+          name: 'Best Make Streak (by zone)',
+          metric: 'best_streak_zone',
+          targetValue: 10,
+          targetType: 'total',
+          zoneId: 'left_corner_3',
+        })
+      )
+    })
+  })
+
   it('should alert when saving a goal set fails', async () => {
     const user = userEvent.setup()
     const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
@@ -1094,4 +1143,56 @@ describe('GoalsManager Component', () => {
       expect(screen.getByText('Target: 18 · Value: 20')).toBeInTheDocument()
     })
   })
+
+  it('should pass the game sessions to game metrics so threes follow each court', async () => {
+    const events = [{ id: 'ev-1', game_id: 'g1', type: 'shot', zone_id: 'center_mid', made: true }]
+    const sessions = [{ id: 'g1', court_spec: 'high_school' }]
+    const rows = { game_events: events, practice_entries: [], game_sessions: sessions }
+    // chainable query; awaiting it (or .order) resolves the table's rows
+    supabase.from.mockImplementation((table) => {
+      const result = Promise.resolve({ data: rows[table], error: null })
+      const query = {
+        select: () => query,
+        eq: () => query,
+        order: () => result,
+        then: (resolve, reject) => result.then(resolve, reject),
+      }
+      return query
+    })
+    getUser.mockResolvedValue({ id: 'user-1' })
+    listGoalSetsWithGoals.mockResolvedValue([
+      {
+        ...baseSet,
+        id: 'set-game',
+        name: 'Game Goal Set',
+        type: 'game',
+        goals: [
+          {
+            id: 'goal-percent',
+            name: 'Zone FG%',
+            details: '',
+            metric: 'fg_pct_zone',
+            target_value: 45,
+            target_end_date: '2026-01-10',
+            target_type: 'percent',
+            zone_id: 'center_mid',
+          },
+        ],
+      },
+    ])
+
+    const user = userEvent.setup()
+    render(<GoalsManager />)
+
+    await user.click((await screen.findByText('Game Goal Set')).closest('[role="button"]'))
+
+    await waitFor(() => {
+      expect(computeGameMetricValue).toHaveBeenCalledWith(
+        'fg_pct_zone',
+        events,
+        expect.objectContaining({ zoneId: 'center_mid', sessions }),
+      )
+    })
+    expect(supabase.from).toHaveBeenCalledWith('game_sessions')
+  })
 })
@@ -702,6 +702,52 @@ describe('Heatmap Component', () => {
       })
     })
 
+    it('should filter game shots by situation tag', async () => {
+      const mockData = [
+        {
+          zone_id: 'left_corner_3',
+          shot_type: 'Catch & Shoot',
+          made: true,
+          situation_tags: ['transition', 'early_clock'],
+          ts: new Date().toISOString(),
+        },
+        {
+          zone_id: 'center_3',
+          shot_type: 'Catch & Shoot',
+          made: true,
+          situation_tags: ['half_court'],
+          ts: new Date().toISOString(),
+        },
+      ]
+      mockSupabaseQuery.gte.mockResolvedValue({ data: mockData, error: null })
+      const user = userEvent.setup()
+
+      render(<Heatmap navigate={mockNavigate} />)
+
+      const courtImage = screen.getByAltText('Half court')
+      Object.defineProperty(courtImage, 'naturalWidth', { value: 800, writable: true })
+      Object.defineProperty(courtImage, 'naturalHeight', { value: 1000, writable: true })
+      courtImage.dispatchEvent(new Event('load'))
+
+      await waitFor(() => {
+        expect(screen.getByText('Center 3')).toBeInTheDocument()
+      })
+
+      const situationPills = screen.getByRole('group', { name: 'Situation filter' })
+      await user.click(within(situationPills).getByRole('button', { name: 'Transition' }))
+
+      await waitFor(() => {
+        expect(screen.getByText('L Corner 3')).toBeInTheDocument()
+        expect(screen.queryByText('Center 3')).not.toBeInTheDocument()
+      })
+
+      // practice has no situations: the pills go away
+      await user.click(within(screen.getByText('Source').closest('section')).getByText('Practice'))
+      await waitFor(() => {
+        expect(screen.queryByRole('button', { name: 'Transition' })).not.toBeInTheDocument()
+      })
+    })
+
     it('should filter by uncontested shots only', async () => {
       const mockData = [
         {
@@ -1211,6 +1257,77 @@ describe('Heatmap Component', () => {
       })
     })
 
+    it('should plot each game shot at its stored location in Shot Chart mode', async () => {
+      const mockData = [
+        {
+          id: 'shot-1',
+          zone_id: 'left_corner_3',
+          shot_type: 'Catch & Shoot',
+          made: true,
+          shot_x: 0.12,
+          shot_y: 0.88,
+          ts: new Date().toISOString(),
+        },
+        {
+          id: 'shot-2',
+          zone_id: 'center_3',
+          shot_type: 'Catch & Shoot',
+          made: false,
+          ts: new Date().toISOString(),
+        },
+      ]
+      mockSupabaseQuery.gte.mockResolvedValue({ data: mockData, error: null })
+      const user = userEvent.setup()
+
+      render(<Heatmap navigate={mockNavigate} />)
+      await user.click(screen.getByText('Shot Chart'))
+
+      const located = await screen.findByLabelText('L Corner 3 make')
+      expect(located.style.left).toBe('12%')
+      expect(located.style.top).toBe('88%')
+      // no stored location: drawn at the zone anchor
+      expect(screen.getByLabelText('Center 3 miss')).toBeInTheDocument()
+      // dots replace the zone chips
+      expect(screen.queryByText('L Corner 3')).not.toBeInTheDocument()
+    })
+
+    it('should chart single practice shots and leave batch rows off', async () => {
+      const mockData = [
+        {
+          id: 'p-shot-1',
+          zone_id: 'nail',
+          shot_type: 'Catch & Shoot',
+          attempts: 1,
+          makes: 1,
+          made: true,
+          shot_x: 0.5,
+          shot_y: 0.4,
+          ts: new Date().toISOString(),
+        },
+        {
+          id: 'p-batch-1',
+          zone_id: 'center_3',
+          shot_type: 'Catch & Shoot',
+          attempts: 10,
+          makes: 4,
+          made: null,
+          ts: new Date().toISOString(),
+        },
+      ]
+      mockSupabaseQuery.gte.mockResolvedValue({ data: mockData, error: null })
+      const user = userEvent.setup()
+
+      render(<Heatmap navigate={mockNavigate} />)
+      await user.click(screen.getByText('Practice'))
+      await user.click(screen.getByText('Shot Chart'))
+
+      const dot = await screen.findByLabelText('Nail make')
+      expect(dot.style.left).toBe('50%')
+      expect(dot.style.top).toBe('40%')
+      expect(screen.queryByLabelText(/^Center 3 (make|miss)$/)).not.toBeInTheDocument()
+      expect(screen.getByText('Shot Chart')).toHaveClass('time-pill--active')
+    })
+
     it('should handle zone chip click', async () => {
       const mockData = [
         {
@@ -6,6 +6,7 @@ import Performance from '../Performance.jsx'
 
 // Mock performance-db module
 vi.mock('../../lib/performance-db', () => ({
+  FATIGUE_MIN_ATTEMPTS: 20,
   getGamePerformance: vi.fn(),
   getPracticePerformance: vi.fn(),
 }))
@@ -419,6 +420,7 @@ describe('Performance Component', () => {
           days: 60,
           shotType: 'all',
           contested: 'all',
+          situation: 'all',
           athleteId: 'ath-1'
         })
       })
@@ -443,6 +445,7 @@ describe('Performance Component', () => {
           days: null,
           shotType: 'all',
           contested: 'all',
+          situation: 'all',
           athleteId: 'ath-1'
         })
       })
@@ -556,6 +559,7 @@ describe('Performance Component', () => {
           days: 30,
           shotType: 'catch_shoot',
           contested: 'all',
+          situation: 'all',
           athleteId: 'ath-1'
         })
       })
@@ -580,6 +584,7 @@ describe('Performance Component', () => {
           days: 30,
           shotType: 'off_dribble',
           contested: 'all',
+          situation: 'all',
           athleteId: 'ath-1'
         })
       })
@@ -636,6 +641,7 @@ describe('Performance Component', () => {
           days: 30,
           shotType: 'all',
           contested: 'contested',
+          situation: 'all',
           athleteId: 'ath-1'
         })
       })
@@ -669,6 +675,7 @@ describe('Performance Component', () => {
           days: 30,
           shotType: 'all',
           contested: 'all',
+          situation: 'all',
           athleteId: 'ath-1'
         })
       })
@@ -695,6 +702,7 @@ describe('Performance Component', () => {
           days: 30,
           shotType: 'all',
           contested: 'uncontested',
+          situation: 'all',
           athleteId: 'ath-1'
         })
       })
@@ -903,6 +911,7 @@ describe('Performance Component', () => {
           days: 30,
           shotType: 'all',
           contested: 'all',
+          situation: 'all',
           athleteId: 'ath-1'
         })
       })
@@ -941,6 +950,7 @@ describe('Performance Component', () => {
           days: 60,
           shotType: 'all',
           contested: 'all',
+          situation: 'all',
           athleteId: 'ath-1'
         })
       })
@@ -1051,6 +1061,7 @@ describe('Performance Component', () => {
           days: 60,
           shotType: 'catch_shoot',
           contested: 'contested',
+          situation: 'all',
           athleteId: 'ath-1'
         })
       })
@@ -1074,6 +1085,7 @@ describe('Performance Component', () => {
           days: 60,
           shotType: 'all',
           contested: 'all',
+          situation: 'all',
           athleteId: 'ath-1'
         })
       })
@@ -1459,4 +1471,187 @@ describe('Performance Component', () => {
       })
     })
   })
+
+  describe('Situation filter', () => {
+    it('should pass the picked situation to the game loader and toggle it off', async () => {
+      const user = userEvent.setup()
+      render(<Performance navigate={mockNavigate} />)
+
+      const pills = await screen.findByRole('group', { name: 'Situation filter' })
+      await user.click(within(pills).getByRole('button', { name: 'Late clock' }))
+
+      await waitFor(() => {
+        expect(getGamePerformance).toHaveBeenLastCalledWith(expect.objectContaining({ situation: 'late_clock' }))
+      })
+      expect(within(pills).getByRole('button', { name: 'Late clock' })).toHaveClass('time-pill--active')
+
+      await user.click(within(pills).getByRole('button', { name: 'Late clock' }))
+      await waitFor(() => {
+        expect(getGamePerformance).toHaveBeenLastCalledWith(expect.objectContaining({ situation: 'all' }))
+      })
+      expect(getPracticePerformance).not.toHaveBeenCalledWith(expect.objectContaining({ situation: expect.anything() }))
+    })
+
+    it('should offer the situation tags set in Account', async () => {
+      Storage.prototype.getItem.mockImplementation((key) =>
+        key === 'nm_situation_tag_groups'
+          ? JSON.stringify([{ key: 'play', tags: [{ key: 'sideline_out', label: 'Sideline out' }] }])
+          : null,
+      )
+      render(<Performance navigate={mockNavigate} />)
+
+      const pills = await screen.findByRole('group', { name: 'Situation filter' })
+      expect(within(pills).getAllByRole('button').map((b) => b.textContent)).toEqual(['Sideline out'])
+    })
+  })
+
+  describe('Shooting vs Defender', () => {
+    it('should list game shooting per tagged defender', async () => {
+      getGamePerformance.mockResolvedValue({
+        ...mockPerformanceData,
+        defenderSplits: [
+          { key: 'lakers|#23 james', label: '#23 James', opponent: 'Lakers', fgm: 1, fga: 4, fgPct: 25 },
+        ],
+      })
+
+      render(<Performance navigate={mockNavigate} />)
+
+      const row = await screen.findByLabelText('#23 James FG%')
+      expect(screen.getByText('Shooting vs Defender')).toBeInTheDocument()
+      expect(within(row).getByText('vs Lakers')).toBeInTheDocument()
+      expect(within(row).getByText('25%')).toBeInTheDocument()
+      expect(within(row).getByText('1/4 FG')).toBeInTheDocument()
+    })
+
+    it('should hide the breakdown without tagged shots', async () => {
+      render(<Performance navigate={mockNavigate} />)
+
+      await screen.findAllByText('L Corner 3')
+      expect(screen.queryByText('Shooting vs Defender')).not.toBeInTheDocument()
+    })
+  })
+
+  describe('Shooting by Lineup', () => {
+    it('should list game FG% per lineup', async () => {
+      getGamePerformance.mockResolvedValue({
+        ...mockPerformanceData,
+        lineupSplits: [
+          { key: 'warriors|#12|#5 ava', label: '#5 Ava · #12', team: 'Warriors', fgm: 3, fga: 4, fgPct: 75 },
+        ],
+      })
+
+      render(<Performance navigate={mockNavigate} />)
+
+      const row = await screen.findByLabelText('#5 Ava · #12 FG%')
+      expect(screen.getByText('Shooting by Lineup')).toBeInTheDocument()
+      expect(within(row).getByText('75%')).toBeInTheDocument()
+      expect(within(row).getByText('3/4 FG')).toBeInTheDocument()
+    })
+
+    it('should hide the card when no lineup was tagged', async () => {
+      render(<Performance navigate={mockNavigate} />)
+
+      await screen.findAllByText('L Corner 3')
+      expect(screen.queryByText('Shooting by Lineup')).not.toBeInTheDocument()
+    })
+  })
+
+  describe('Shot by Shot', () => {
+    it('should show streaks and first-shot FG% from single practice shots', async () => {
+      getPracticePerformance.mockResolvedValue({
+        ...mockPerformanceData,
+        shotSequence: {
+          shots: 12,
+          makes: 7,
+          fgPct: 58.3,
+          longestMakeStreak: 4,
+          longestMissStreak: 2,
+          firstShot: { days: 3, makes: 2, fgPct: 66.7 },
+        },
+      })
+
+      render(<Performance navigate={mockNavigate} />)
+
+      const first = await screen.findByLabelText('First Shot')
+      expect(screen.getByText('Shot by Shot')).toBeInTheDocument()
+      expect(screen.getByText('7/12 single shots')).toBeInTheDocument()
+      expect(within(first).getByText('67%')).toBeInTheDocument()
+      expect(within(first).getByText('2/3 days')).toBeInTheDocument()
+      expect(within(screen.getByLabelText('Make Streak')).getByText('4')).toBeInTheDocument()
+      expect(within(screen.getByLabelText('Miss Streak')).getByText('2')).toBeInTheDocument()
+    })
+
+    it('should hide the card when practice was only logged in batches', async () => {
+      render(<Performance navigate={mockNavigate} />)
+
+      await screen.findAllByText('L Corner 3')
+      expect(screen.queryByText('Shot by Shot')).not.toBeInTheDocument()
+    })
+  })
+
+  describe('Late-Session Fatigue', () => {
+    const block = (label, fga, fgm) => ({
+      label,
+      fga,
+      fgm,
+      threesMade: 0,
+      fgPct: fga ? (fgm / fga) * 100 : null,
+      efgPct: fga ? (fgm / fga) * 100 : null,
+    })
+    const fatigue = {
+      order: {
+        blocks: [block('10%', 30, 15), block('50%', 20, 9), block('100%', 25, 10)],
+        dropOff: { earlyFgPct: 48, lateFgPct: 39, earlyFga: 25, lateFga: 23, change: -9, flagged: true },
+      },
+      minutes: {
+        blocks: [block('0–10m', 40, 20), block('10–20m', 6, 3)],
+        dropOff: { earlyFgPct: 50, lateFgPct: 52, earlyFga: 40, lateFga: 6, change: 2, flagged: false },
+      },
+    }
+
+    it('should chart practice FG% by position in the session and flag a late drop-off', async () => {
+      const user = userEvent.setup()
+      getPracticePerformance.mockResolvedValue({ ...mockPerformanceData, fatigue })
+
+      render(<Performance navigate={mockNavigate} />)
+
+      const indicator = await screen.findByLabelText('Late-session drop-off')
+      expect(screen.getByText('Late-Session Fatigue')).toBeInTheDocument()
+      expect(indicator).toHaveTextContent('FG% 48% → 39% (−9 pts)')
+      expect(within(indicator).getByText('Drop-off')).toBeInTheDocument()
+      expect(screen.queryByText('Late-Game Fatigue')).not.toBeInTheDocument()
+
+      const splits = screen.getByRole('group', { name: 'Fatigue split' })
+      expect(within(splits).getByRole('button', { name: 'Shot order' })).toHaveAttribute('aria-pressed', 'true')
+
+      await user.click(within(splits).getByRole('button', { name: 'Elapsed time' }))
+
+      expect(indicator).toHaveTextContent('FG% 50% → 52% (+2 pts)')
+      expect(indicator).toHaveTextContent('Needs 20+ FGA early and late')
+    })
+
+    it('should show the game card with its own indicator', async () => {
+      getGamePerformance.mockResolvedValue({
+        ...mockPerformanceData,
+        fatigue: {
+          ...fatigue,
+          order: { ...fatigue.order, dropOff: { ...fatigue.order.dropOff, lateFgPct: 47, change: -1, flagged: false } },
+        },
+      })
+
+      render(<Performance navigate={mockNavigate} />)
+
+      const indicator = await screen.findByLabelText('Late-game drop-off')
+      expect(within(indicator).getByText('No drop-off')).toBeInTheDocument()
+      expect(screen.queryByText('Late-Session Fatigue')).not.toBeInTheDocument()
+    })
+
+    it('should hide the card without field goals', async () => {
+      render(<Performance navigate={mockNavigate} />)
+
+      await screen.findAllByText('L Corner 3')
+      expect(screen.queryByText('Late-Session Fatigue')).not.toBeInTheDocument()
+      expect(screen.queryByText('Late-Game Fatigue')).not.toBeInTheDocument()
+    })
+  })
 })
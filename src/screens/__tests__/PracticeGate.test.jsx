@@ -9,6 +9,7 @@ vi.mock('../../lib/practice-db', () => ({
   deletePracticeSession: vi.fn(),
   listPracticeSessions: vi.fn(),
   listActivePracticeSessions: vi.fn(),
+  listPracticeSessionSummaries: vi.fn(),
 }))
 
 vi.mock('../../lib/athlete-db', () => ({
@@ -30,6 +31,7 @@ import {
   deletePracticeSession,
   listPracticeSessions,
   listActivePracticeSessions,
+  listPracticeSessionSummaries,
 } from '../../lib/practice-db'
 import {
   listAthletes,
@@ -50,6 +52,7 @@ describe('PracticeGate Component', () => {
     mockNavigate = vi.fn()
     listPracticeSessions.mockResolvedValue([])
     listActivePracticeSessions.mockResolvedValue([])
+    listPracticeSessionSummaries.mockResolvedValue({})
     listAthletes.mockReturnValue([
       { id: 'ath-1', first_name: 'Max', last_name: 'McCarty' },
       { id: 'ath-2', first_name: 'Jane', last_name: 'Doe' },
@@ -316,4 +319,52 @@ describe('PracticeGate Component', () => {
       expect(listActivePracticeSessions).toHaveBeenCalledTimes(2)
     })
   })
+
+  it('should summarize duration, pace and FG% by interval on previous sessions', async () => {
+    listPracticeSessions.mockResolvedValue([
+      buildSession({ id: 'timed', started_at: '2026-01-12T10:00:00Z' }),
+      buildSession({ id: 'plain', started_at: '2026-01-11T10:00:00Z' }),
+    ])
+    listPracticeSessionSummaries.mockResolvedValue({
+      timed: {
+        durationSec: 1830,
+        attempts: 40,
+        makes: 22,
+        fgPct: 55,
+        shotsPerMin: 1.31,
+        intervals: {
+          work: { attempts: 30, makes: 18, fgPct: 60 },
+          rest: { attempts: 4, makes: 1, fgPct: 25 },
+          intervals: [
+            { index: 0, phase: 'work', attempts: 15, makes: 10, fgPct: 66.7 },
+            { index: 0, phase: 'rest', attempts: 4, makes: 1, fgPct: 25 },
+            { index: 1, phase: 'work', attempts: 15, makes: 8, fgPct: 53.3 },
+          ],
+        },
+      },
+      plain: {
+        durationSec: 600,
+        attempts: 0,
+        makes: 0,
+        fgPct: 0,
+        shotsPerMin: 0,
+        intervals: {
+          work: { attempts: 0, makes: 0, fgPct: 0 },
+          rest: { attempts: 0, makes: 0, fgPct: 0 },
+          intervals: [],
+        },
+      },
+    })
+
+    const user = userEvent.setup()
+    render(<PracticeGate navigate={mockNavigate} />)
+
+    await user.click(await screen.findByRole('button', { name: /january/i }))
+
+    const [timed, plain] = screen.getAllByLabelText('Session summary')
+    expect(timed).toHaveTextContent('30:30 · 1.3 shots/min · 55% (22/40)')
+    expect(timed).toHaveTextContent('Work 60% · Rest 25%')
+    expect(within(timed).getByLabelText('FG% by interval')).toHaveTextContent('#1 67% · #2 53%')
+    expect(plain).toHaveTextContent(/^10:00$/)
+  })
 })
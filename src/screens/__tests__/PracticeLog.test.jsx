@@ -1,8 +1,9 @@
 // src/screens/__tests__/PracticeLog.test.jsx
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
-import { render, screen, waitFor } from '@testing-library/react'
+import { render, screen, waitFor, within } from '@testing-library/react'
 import userEvent from '@testing-library/user-event'
 import PracticeLog from '../PracticeLog.jsx'
+import { zoneAnchorPoint } from '../../constants/shotLocation'
 
 vi.mock('../../lib/practice-db', () => ({
   addPracticeSession: vi.fn(),
@@ -13,6 +14,14 @@ vi.mock('../../lib/practice-db', () => ({
   addMarker: vi.fn(),
   updateEntry: vi.fn(),
   deleteEntry: vi.fn(),
+  listDrills: vi.fn(),
+  addDrill: vi.fn(),
+  updateDrill: vi.fn(),
+  deleteDrill: vi.fn(),
+  getDrillHistory: vi.fn(),
+  setPracticeTimer: vi.fn(),
+  addChallenge: vi.fn(),
+  listChallenges: vi.fn(),
 }))
 
 vi.mock('lucide-react', () => ({
@@ -23,11 +32,19 @@ vi.mock('lucide-react', () => ({
 }))
 
 import {
+  addChallenge,
+  addDrill,
   addEntry,
   addMarker,
+  deleteDrill,
   deleteEntry,
+  getDrillHistory,
+  listChallenges,
+  listDrills,
   listEntriesBySession,
   listPracticeSessions,
+  setPracticeTimer,
+  updateDrill,
   updateEntry,
 } from '../../lib/practice-db'
 
@@ -48,6 +65,14 @@ describe('PracticeLog Component', () => {
     addMarker.mockResolvedValue({ id: 'marker-1' })
     updateEntry.mockResolvedValue({ id: 'entry-1' })
     deleteEntry.mockResolvedValue({ id: 'entry-1' })
+    listDrills.mockResolvedValue([])
+    addDrill.mockResolvedValue({ id: 'drill-new' })
+    updateDrill.mockResolvedValue({ id: 'drill-1' })
+    deleteDrill.mockResolvedValue({ id: 'drill-1' })
+    getDrillHistory.mockResolvedValue({ runs: [], best: null })
+    setPracticeTimer.mockResolvedValue({ id: 'practice-1' })
+    addChallenge.mockResolvedValue({ id: 'challenge-1' })
+    listChallenges.mockResolvedValue([])
   })
 
   afterEach(() => {
@@ -566,4 +591,438 @@ describe('PracticeLog Component', () => {
     expect(screen.queryByRole('button', { name: 'Overhand' })).not.toBeInTheDocument()
     expect(screen.getAllByRole('button', { name: 'N/A' }).length).toBeGreaterThan(0)
   })
+
+  describe('drill templates', () => {
+    const mockDrill = {
+      id: 'drill-1',
+      name: 'Corner Threes',
+      steps: [
+        { zone_id: 'left_corner_3', shot_type: 'catch_shoot', target_reps: 10, make_goal: 6 },
+        { zone_id: 'free_throw', shot_type: null, target_reps: 5, make_goal: null },
+      ],
+    }
+
+    it('creates a drill from a preset', async () => {
+      const user = userEvent.setup()
+      render(<PracticeLog navigate={mockNavigate} />)
+
+      await user.click(await screen.findByRole('button', { name: 'New Drill' }))
+      expect(screen.getByRole('button', { name: 'Save Drill' })).toBeDisabled()
+
+      const presets = screen.getByRole('group', { name: 'Drill presets' })
+      await user.click(within(presets).getByRole('button', { name: 'Mikan Drill' }))
+      expect(screen.getByLabelText('Drill name')).toHaveValue('Mikan Drill')
+      expect(screen.getByLabelText('Step 2 zone')).toHaveValue('right_low_post')
+
+      await user.clear(screen.getByLabelText('Step 1 make goal'))
+      await user.type(screen.getByLabelText('Step 1 make goal'), '8')
+      await user.click(screen.getByRole('button', { name: 'Save Drill' }))
+
+      await waitFor(() => {
+        expect(addDrill).toHaveBeenCalledWith({
+          name: 'Mikan Drill',
+          steps: [
+            { zone_id: 'left_low_post', shot_type: 'layup', target_reps: '10', make_goal: '8' },
+            { zone_id: 'right_low_post', shot_type: 'layup', target_reps: '10', make_goal: '9' },
+          ],
+        })
+      })
+      expect(screen.queryByText('New Drill', { selector: 'div' })).not.toBeInTheDocument()
+    })
+
+    it('shows the best run and recent history of the selected drill', async () => {
+      listDrills.mockResolvedValue([mockDrill])
+      getDrillHistory.mockResolvedValue({
+        runs: [
+          { id: 'run-2', ts: '2025-01-14T10:00:00Z', makes: 9, attempts: 15, complete: true, stepsDone: 2, stepCount: 2, goalsSet: 1, goalsMet: 1 },
+          { id: 'run-1', ts: '2025-01-10T10:00:00Z', makes: 4, attempts: 10, complete: false, stepsDone: 1, stepCount: 2, goalsSet: 1, goalsMet: 0 },
+        ],
+        best: { id: 'run-2', makes: 9, attempts: 15 },
+      })
+      render(<PracticeLog navigate={mockNavigate} />)
+
+      expect(await screen.findByLabelText('Best run')).toHaveTextContent('Best: 9/15 (60%)')
+      expect(getDrillHistory).toHaveBeenCalledWith('drill-1')
+      const history = screen.getByRole('list', { name: 'Drill history' })
+      const rows = within(history).getAllByRole('listitem')
+      expect(rows).toHaveLength(2)
+      expect(rows[0]).toHaveTextContent('1/1 goals · 9/15')
+      expect(rows[1]).toHaveTextContent('1/2 steps')
+    })
+
+    it('walks through the steps of a guided run', async () => {
+      const user = userEvent.setup()
+      listDrills.mockResolvedValue([mockDrill])
+      addMarker.mockResolvedValue({ id: 'run-1' })
+      render(<PracticeLog navigate={mockNavigate} />)
+
+      await user.click(await screen.findByRole('button', { name: 'Start Drill' }))
+      expect(addMarker).toHaveBeenCalledWith({
+        sessionId: 'practice-1',
+        label: 'Corner Threes',
+        drillId: 'drill-1',
+      })
+
+      expect(await screen.findByText('Step 1 of 2')).toBeInTheDocument()
+      const [zoneSelect] = screen.getAllByRole('combobox')
+      expect(zoneSelect).toHaveValue('left_corner_3')
+      const [attemptsInput, makesInput] = screen.getAllByRole('spinbutton')
+      expect(attemptsInput).toHaveValue(10)
+
+      await user.type(makesInput, '7')
+      await user.click(screen.getByRole('button', { name: 'Save Step' }))
+
+      await waitFor(() => {
+        expect(addEntry).toHaveBeenCalledWith(
+          expect.objectContaining({
+            zoneId: 'left_corner_3',
+            shotType: 'catch_shoot',
+            attempts: 10,
+            makes: 7,
+            drillRunId: 'run-1',
+            drillStep: 0,
+          })
+        )
+      })
+      expect(addMarker).toHaveBeenCalledTimes(1)
+
+      expect(await screen.findByText('Step 2 of 2')).toBeInTheDocument()
+      expect(screen.getAllByRole('combobox')[0]).toHaveValue('free_throw')
+      expect(screen.getAllByRole('spinbutton')[0]).toHaveValue(5)
+
+      await user.type(screen.getAllByRole('spinbutton')[1], '4')
+      await user.click(screen.getByRole('button', { name: 'Save Step' }))
+
+      expect(await screen.findByRole('status')).toHaveTextContent(
+        'Corner Threes complete: 11/15 (73%) · 1/1 goals met'
+      )
+      expect(addEntry).toHaveBeenLastCalledWith(
+        expect.objectContaining({ zoneId: 'free_throw', shotType: null, drillStep: 1 })
+      )
+      expect(getDrillHistory).toHaveBeenCalledTimes(2)
+      expect(screen.getByRole('button', { name: 'Save & Mark Set' })).toBeInTheDocument()
+    })
+
+    it('edits and deletes a saved drill', async () => {
+      const user = userEvent.setup()
+      listDrills.mockResolvedValue([mockDrill])
+      render(<PracticeLog navigate={mockNavigate} />)
+
+      await user.click(await screen.findByRole('button', { name: 'Edit drill' }))
+      expect(screen.getByLabelText('Drill name')).toHaveValue('Corner Threes')
+      expect(screen.getByLabelText('Step 2 shot type')).toBeDisabled()
+
+      await user.click(screen.getByRole('button', { name: 'Remove step 2' }))
+      await user.click(screen.getByRole('button', { name: 'Save Drill' }))
+
+      await waitFor(() => {
+        expect(updateDrill).toHaveBeenCalledWith({
+          id: 'drill-1',
+          name: 'Corner Threes',
+          steps: [{ zone_id: 'left_corner_3', shot_type: 'catch_shoot', target_reps: '10', make_goal: '6' }],
+        })
+      })
+
+      await user.click(screen.getByRole('button', { name: 'Edit drill' }))
+      await user.click(screen.getByRole('button', { name: 'Delete Drill' }))
+      await waitFor(() => {
+        expect(deleteDrill).toHaveBeenCalledWith('drill-1')
+      })
+    })
+  })
+
+  describe('per-shot logging', () => {
+    it('logs single makes and misses from the spot tapped on the court', async () => {
+      const user = userEvent.setup()
+      render(<PracticeLog navigate={mockNavigate} />)
+
+      const modes = await screen.findByRole('group', { name: 'Logging mode' })
+      expect(within(modes).getByRole('button', { name: 'Batch' })).toHaveAttribute('aria-pressed', 'true')
+      expect(screen.queryByAltText('Practice court')).not.toBeInTheDocument()
+
+      await user.click(within(modes).getByRole('button', { name: 'Per Shot' }))
+      expect(screen.getByAltText('Practice court')).toBeInTheDocument()
+      expect(screen.queryByRole('button', { name: 'Save & Mark Set' })).not.toBeInTheDocument()
+
+      await user.click(screen.getByRole('button', { name: 'Shoot from Nail' }))
+      expect(screen.getAllByRole('combobox')[0]).toHaveValue('nail')
+      expect(screen.getByLabelText('Selected spot')).toBeInTheDocument()
+
+      await user.click(screen.getByRole('button', { name: 'Make' }))
+
+      const anchor = zoneAnchorPoint('nail')
+      await waitFor(() => {
+        expect(addEntry).toHaveBeenCalledWith(
+          expect.objectContaining({
+            sessionId: 'practice-1',
+            zoneId: 'nail',
+            made: true,
+            shotX: anchor.x,
+            shotY: anchor.y,
+          })
+        )
+      })
+      expect(addEntry.mock.calls[0][0]).not.toHaveProperty('attempts')
+      // single shots do not close a set on their own
+      expect(addMarker).not.toHaveBeenCalled()
+
+      await user.click(screen.getByRole('button', { name: 'Miss' }))
+      await waitFor(() => {
+        expect(addEntry).toHaveBeenLastCalledWith(expect.objectContaining({ zoneId: 'nail', made: false }))
+      })
+
+      await user.click(screen.getByRole('button', { name: 'Mark Set' }))
+      expect(addMarker).toHaveBeenCalledWith({ sessionId: 'practice-1', label: 'Set' })
+    })
+
+    it('shows the current streak and lists single shots as makes or misses', async () => {
+      const user = userEvent.setup()
+      listEntriesBySession.mockResolvedValue([
+        { id: 'b1', session_id: 'practice-1', zone_id: 'nail', attempts: 10, makes: 6, made: null, ts: '2025-01-15T10:00:00Z' },
+        { id: 's1', session_id: 'practice-1', zone_id: 'nail', attempts: 1, makes: 0, made: false, ts: '2025-01-15T10:01:00Z' },
+        { id: 's2', session_id: 'practice-1', zone_id: 'nail', attempts: 1, makes: 1, made: true, shot_x: 0.5, shot_y: 0.4, ts: '2025-01-15T10:02:00Z' },
+        { id: 's3', session_id: 'practice-1', zone_id: 'nail', attempts: 1, makes: 1, made: true, ts: '2025-01-15T10:03:00Z' },
+      ])
+      const { container } = render(<PracticeLog navigate={mockNavigate} />)
+
+      expect(await screen.findByText('6/10')).toBeInTheDocument()
+      expect(screen.getAllByText('Make', { selector: 'div' })).toHaveLength(2)
+      expect(screen.getByText('Miss', { selector: 'div' })).toBeInTheDocument()
+
+      await user.click(screen.getByRole('button', { name: 'Per Shot' }))
+      expect(screen.getByLabelText('Current streak')).toHaveTextContent('Streak: 2 made')
+      // one marker per single shot; the batch is not plotted
+      expect(container.querySelectorAll('.zone-marker')).toHaveLength(3)
+    })
+
+    it('stays on a guided step until its reps are shot', async () => {
+      const user = userEvent.setup()
+      listDrills.mockResolvedValue([
+        {
+          id: 'drill-1',
+          name: 'Nail Pull-ups',
+          steps: [
+            { zone_id: 'nail', shot_type: 'off_dribble', target_reps: 2, make_goal: null },
+            { zone_id: 'free_throw', shot_type: null, target_reps: 1, make_goal: null },
+          ],
+        },
+      ])
+      addMarker.mockResolvedValue({ id: 'run-1' })
+      render(<PracticeLog navigate={mockNavigate} />)
+
+      await user.click(await screen.findByRole('button', { name: 'Start Drill' }))
+      await user.click(screen.getByRole('button', { name: 'Per Shot' }))
+      expect(screen.queryByRole('button', { name: 'Mark Set' })).not.toBeInTheDocument()
+
+      await user.click(screen.getByRole('button', { name: 'Make' }))
+      await waitFor(() => {
+        expect(addEntry).toHaveBeenCalledWith(
+          expect.objectContaining({ zoneId: 'nail', made: true, drillRunId: 'run-1', drillStep: 0 })
+        )
+      })
+      expect(screen.getByText('Step 1 of 2')).toBeInTheDocument()
+      const steps = screen.getByRole('list', { name: 'Drill steps' })
+      expect(within(steps).getAllByRole('listitem')[0]).toHaveTextContent('1/1')
+
+      await user.click(screen.getByRole('button', { name: 'Miss' }))
+      expect(await screen.findByText('Step 2 of 2')).toBeInTheDocument()
+      expect(screen.getAllByRole('combobox')[0]).toHaveValue('free_throw')
+
+      await user.click(screen.getByRole('button', { name: 'Make' }))
+      expect(await screen.findByRole('status')).toHaveTextContent('Nail Pull-ups complete: 2/3 (67%)')
+      expect(addEntry).toHaveBeenLastCalledWith(
+        expect.objectContaining({ zoneId: 'free_throw', made: true, drillStep: 1 })
+      )
+    })
+  })
+
+  describe('streak challenges', () => {
+    it('runs a make-N-in-a-row challenge and saves it once the target is hit', async () => {
+      const user = userEvent.setup()
+      listChallenges.mockResolvedValue([
+        { id: 'c0', zone_id: 'left_corner_3', shot_type: 'catch_shoot', best_streak: 3 },
+      ])
+      render(<PracticeLog navigate={mockNavigate} />)
+
+      const card = await screen.findByRole('region', { name: 'Streak challenge' })
+      await waitFor(() => {
+        expect(within(card).getByLabelText('Challenge record')).toHaveTextContent('Record here: 3')
+      })
+      const targets = within(card).getByRole('group', { name: 'Challenge target' })
+      await user.click(within(targets).getByRole('button', { name: '5 in a row' }))
+      await user.click(within(card).getByRole('button', { name: 'Start Challenge' }))
+
+      // per-shot logging, locked to the challenge zone
+      expect(screen.getByRole('button', { name: 'Per Shot' })).toHaveAttribute('aria-pressed', 'true')
+      expect(screen.getByRole('button', { name: 'Batch' })).toBeDisabled()
+      expect(screen.getAllByRole('combobox')[0]).toBeDisabled()
+      expect(within(card).getByText('Make 5 in a row')).toBeInTheDocument()
+      expect(within(card).getByText('L Corner 3 · Catch & Shoot')).toBeInTheDocument()
+
+      await user.click(screen.getByRole('button', { name: 'Shoot from Nail' }))
+      expect(screen.queryByLabelText('Selected spot')).not.toBeInTheDocument()
+
+      for (const made of [true, true, true, true, false]) {
+        await user.click(screen.getByRole('button', { name: made ? 'Make' : 'Miss' }))
+      }
+      await waitFor(() => {
+        expect(within(card).getByLabelText('Challenge streak')).toHaveTextContent('0/5')
+      })
+      expect(within(card).getByLabelText('Challenge best')).toHaveTextContent('4')
+      expect(within(card).getByLabelText('Challenge record')).toHaveTextContent('4')
+      expect(addEntry).toHaveBeenLastCalledWith(
+        expect.objectContaining({ zoneId: 'left_corner_3', shotType: 'catch_shoot', made: false })
+      )
+
+      for (let i = 0; i < 5; i++) {
+        await user.click(screen.getByRole('button', { name: 'Make' }))
+      }
+
+      expect(await within(card).findByRole('status')).toHaveTextContent(
+        'Challenge complete: 5 in a row in 10 shots (9/10)'
+      )
+      expect(addChallenge).toHaveBeenCalledTimes(1)
+      expect(addChallenge).toHaveBeenCalledWith(
+        expect.objectContaining({
+          sessionId: 'practice-1',
+          zoneId: 'left_corner_3',
+          shotType: 'catch_shoot',
+          targetStreak: 5,
+          bestStreak: 5,
+          attempts: 10,
+          makes: 9,
+          completed: true,
+        })
+      )
+      expect(listChallenges).toHaveBeenCalledTimes(2)
+      expect(screen.getByRole('button', { name: 'Batch' })).not.toBeDisabled()
+    })
+
+    it('saves an unfinished challenge when it is ended early', async () => {
+      const user = userEvent.setup()
+      render(<PracticeLog navigate={mockNavigate} />)
+
+      const card = await screen.findByRole('region', { name: 'Streak challenge' })
+      await user.click(within(card).getByRole('button', { name: 'Start Challenge' }))
+      await user.click(within(card).getByRole('button', { name: 'End Challenge' }))
+      // nothing shot, nothing saved
+      expect(addChallenge).not.toHaveBeenCalled()
+
+      await user.click(within(card).getByRole('button', { name: 'Start Challenge' }))
+      await user.click(screen.getByRole('button', { name: 'Make' }))
+      await user.click(screen.getByRole('button', { name: 'Make' }))
+      await user.click(screen.getByRole('button', { name: 'Miss' }))
+      await waitFor(() => {
+        expect(within(card).getByLabelText('Challenge best')).toHaveTextContent('2')
+      })
+      await user.click(within(card).getByRole('button', { name: 'End Challenge' }))
+
+      expect(addChallenge).toHaveBeenCalledWith(
+        expect.objectContaining({ targetStreak: 10, bestStreak: 2, attempts: 3, makes: 2, completed: false })
+      )
+      expect(await within(card).findByRole('status')).toHaveTextContent(
+        'Challenge ended: best 2 of 10 in a row (2/3)'
+      )
+    })
+  })
+
+  describe('session timing', () => {
+    it('shows the session duration and shots-per-minute pace', async () => {
+      listPracticeSessions.mockResolvedValue([
+        { ...mockSession, started_at: new Date(Date.now() - 10 * 60 * 1000).toISOString() },
+      ])
+      listEntriesBySession.mockResolvedValue([
+        { id: 'e1', session_id: 'practice-1', zone_id: 'nail', attempts: 25, makes: 10, ts: '2025-01-15T10:01:00Z' },
+      ])
+      render(<PracticeLog navigate={mockNavigate} />)
+
+      expect(await screen.findByLabelText('Session duration')).toHaveTextContent(/Duration: 10:0\d/)
+      await waitFor(() => {
+        expect(screen.getByLabelText('Shots per minute')).toHaveTextContent('Pace: 2.5/min')
+      })
+    })
+
+    it('starts a work/rest timer from a preset or custom lengths', async () => {
+      const user = userEvent.setup()
+      render(<PracticeLog navigate={mockNavigate} />)
+
+      const timerCard = await screen.findByRole('region', { name: 'Interval timer' })
+      await user.click(within(timerCard).getByRole('button', { name: '45 / 15' }))
+      expect(setPracticeTimer).toHaveBeenCalledWith('practice-1', { workSec: 45, restSec: 15 })
+
+      expect(within(timerCard).queryByLabelText('Work seconds')).not.toBeInTheDocument()
+      await user.click(within(timerCard).getByRole('button', { name: 'Custom' }))
+      expect(within(timerCard).getByLabelText('Work seconds')).toHaveValue(60)
+
+      await user.clear(within(timerCard).getByLabelText('Rest seconds'))
+      expect(within(timerCard).getByRole('button', { name: 'Start Timer' })).toBeDisabled()
+      await user.type(within(timerCard).getByLabelText('Rest seconds'), '20')
+      await user.click(within(timerCard).getByRole('button', { name: 'Start Timer' }))
+
+      expect(setPracticeTimer).toHaveBeenLastCalledWith('practice-1', { workSec: 60, restSec: 20 })
+    })
+
+    it('counts down the running interval and stops it', async () => {
+      const user = userEvent.setup()
+      listPracticeSessions.mockResolvedValue([
+        {
+          ...mockSession,
+          timer_work_sec: 60,
+          timer_rest_sec: 30,
+          // 70s in: rest of the first interval, about 20s left
+          timer_started_at: new Date(Date.now() - 70 * 1000).toISOString(),
+        },
+      ])
+      render(<PracticeLog navigate={mockNavigate} />)
+
+      const clock = await screen.findByRole('timer', { name: 'Interval time left' })
+      expect(clock).toHaveTextContent(/^Rest 0:(19|20)$/)
+      expect(screen.getByText('Interval 1 · 60s on / 30s off')).toBeInTheDocument()
+
+      await user.click(screen.getByRole('button', { name: 'Stop Timer' }))
+      expect(setPracticeTimer).toHaveBeenCalledWith('practice-1', null)
+    })
+
+    it('numbers a restarted timer on from the earlier intervals', async () => {
+      listPracticeSessions.mockResolvedValue([
+        {
+          ...mockSession,
+          timer_work_sec: 60,
+          timer_rest_sec: 30,
+          timer_started_at: new Date(Date.now() - 10 * 1000).toISOString(),
+          timer_index_offset: 3,
+        },
+      ])
+      render(<PracticeLog navigate={mockNavigate} />)
+
+      expect(await screen.findByText('Interval 4 · 60s on / 30s off')).toBeInTheDocument()
+    })
+
+    it('closes the cue audio context when the screen unmounts', async () => {
+      const user = userEvent.setup()
+      const close = vi.fn().mockResolvedValue(undefined)
+      const ctx = {
+        currentTime: 0,
+        destination: {},
+        createOscillator: () => ({ frequency: {}, connect: vi.fn(), start: vi.fn(), stop: vi.fn() }),
+        createGain: () => ({ gain: {}, connect: vi.fn() }),
+        close,
+      }
+      const original = window.AudioContext
+      window.AudioContext = vi.fn(function AudioContext() {
+        return ctx
+      })
+      try {
+        const { unmount } = render(<PracticeLog navigate={mockNavigate} />)
+        const timerCard = await screen.findByRole('region', { name: 'Interval timer' })
+        await user.click(within(timerCard).getByRole('button', { name: '45 / 15' }))
+        expect(window.AudioContext).toHaveBeenCalledTimes(1)
+
+        unmount()
+        expect(close).toHaveBeenCalledTimes(1)
+      } finally {
+        window.AudioContext = original
+      }
+    })
+  })
 })